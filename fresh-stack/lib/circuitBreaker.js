@@ -0,0 +1,330 @@
+/**
+ * Circuit breaker for generation providers.
+ *
+ * Each target (`provider:model`) is tracked independently. Requests and
+ * provider-health failures (timeouts, 429, 5xx, connection errors as
+ * classified by ./generationErrors) are counted in fixed windows; when a
+ * window crosses both the failure count and failure rate thresholds the
+ * breaker opens and callers route to their failover target. After the
+ * cooldown one caller at a time is let through as a half-open probe: a
+ * success closes the breaker, a failure re-opens it.
+ *
+ * State lives in Redis when available so every instance agrees, otherwise
+ * in process memory. Breaker bookkeeping is best-effort and never fails
+ * the generation request itself.
+ */
+
+const logger = require('./logger');
+const { getRedis } = require('./redis');
+const { GENERATION_ERROR_CODES } = require('./generationErrors');
+
+const BREAKER_STATES = Object.freeze({
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+});
+
+const BREAKER_FAILURE_CODES = new Set([
+  GENERATION_ERROR_CODES.PROVIDER_TIMEOUT,
+  GENERATION_ERROR_CODES.PROVIDER_RATE_LIMITED,
+  GENERATION_ERROR_CODES.PROVIDER_SERVER_ERROR,
+  GENERATION_ERROR_CODES.PROVIDER_CONNECTION_ERROR
+]);
+
+const DEFAULT_KEY_PREFIX = 'alttext:breaker';
+
+function readNumberEnv(key, fallback) {
+  const parsed = Number(process.env[key]);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function createMemoryStore() {
+  const values = new Map();
+  const targets = new Set();
+
+  function read(key, now) {
+    const entry = values.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= now) {
+      values.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  return {
+    async get(key, now) {
+      return read(key, now);
+    },
+    async set(key, value, ttlMs, now) {
+      values.set(key, { value, expiresAt: ttlMs ? now + ttlMs : null });
+    },
+    async setIfAbsent(key, value, ttlMs, now) {
+      if (read(key, now) !== null) return false;
+      values.set(key, { value, expiresAt: now + ttlMs });
+      return true;
+    },
+    async incr(key, ttlMs, now) {
+      const next = Number(read(key, now) || 0) + 1;
+      const existing = values.get(key);
+      values.set(key, { value: String(next), expiresAt: existing?.expiresAt || now + ttlMs });
+      return next;
+    },
+    async del(key) {
+      values.delete(key);
+    },
+    async addTarget(target) {
+      targets.add(target);
+    },
+    async listTargets() {
+      return Array.from(targets);
+    }
+  };
+}
+
+function createRedisStore(redis, keyPrefix) {
+  return {
+    async get(key) {
+      return redis.get(key);
+    },
+    async set(key, value, ttlMs) {
+      if (ttlMs) {
+        await redis.set(key, value, 'PX', ttlMs);
+      } else {
+        await redis.set(key, value);
+      }
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      const result = await redis.set(key, value, 'PX', ttlMs, 'NX');
+      return result === 'OK';
+    },
+    async incr(key, ttlMs) {
+      const count = await redis.incr(key);
+      if (count === 1) await redis.pexpire(key, ttlMs);
+      return count;
+    },
+    async del(key) {
+      await redis.del(key);
+    },
+    async addTarget(target) {
+      await redis.sadd(`${keyPrefix}:targets`, target);
+    },
+    async listTargets() {
+      return redis.smembers(`${keyPrefix}:targets`);
+    }
+  };
+}
+
+function createCircuitBreaker({
+  redis = null,
+  keyPrefix = DEFAULT_KEY_PREFIX,
+  failureThreshold = 5,
+  failureRate = 0.5,
+  windowMs = 60_000,
+  cooldownMs = 30_000,
+  enabled = true,
+  now = () => Date.now()
+} = {}) {
+  const store = redis ? createRedisStore(redis, keyPrefix) : createMemoryStore();
+  // Targets this process already added to the shared target list; the list
+  // only feeds snapshot(), so one write per target per process is enough.
+  const registeredTargets = new Set();
+
+  function stateKey(target) {
+    return `${keyPrefix}:${target}`;
+  }
+
+  function windowKey(target, kind, at) {
+    return `${keyPrefix}:${target}:${Math.floor(at / windowMs)}:${kind}`;
+  }
+
+  async function readRecord(target, at) {
+    const raw = await store.get(stateKey(target), at);
+    if (!raw) return { state: BREAKER_STATES.CLOSED };
+    try {
+      return JSON.parse(raw);
+    } catch (_error) {
+      return { state: BREAKER_STATES.CLOSED };
+    }
+  }
+
+  async function writeRecord(target, record, at) {
+    await store.set(stateKey(target), JSON.stringify(record), null, at);
+  }
+
+  async function registerTarget(target) {
+    if (registeredTargets.has(target)) return;
+    await store.addTarget(target);
+    registeredTargets.add(target);
+  }
+
+  async function open(target, { errorCode = null, reason }, at) {
+    await writeRecord(target, {
+      state: BREAKER_STATES.OPEN,
+      opened_at: at,
+      last_error_code: errorCode,
+      reason
+    }, at);
+    logger.warn('[breaker] circuit_opened', { target, error_code: errorCode, reason, cooldown_ms: cooldownMs });
+  }
+
+  async function safely(operation, fallback, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      logger.warn('[breaker] state_unavailable', { operation, error: error.message });
+      return fallback;
+    }
+  }
+
+  /**
+   * Whether `target` may be called right now. `probe: true` means this
+   * caller holds the half-open probe slot and must report its outcome.
+   */
+  async function allowRequest(target) {
+    if (!enabled) return { allowed: true, state: BREAKER_STATES.CLOSED, probe: false };
+
+    return safely('allow_request', { allowed: true, state: BREAKER_STATES.CLOSED, probe: false }, async () => {
+      const at = now();
+      await registerTarget(target);
+      const record = await readRecord(target, at);
+      if (record.state === BREAKER_STATES.CLOSED) {
+        return { allowed: true, state: BREAKER_STATES.CLOSED, probe: false };
+      }
+
+      if (at - (record.opened_at || 0) < cooldownMs) {
+        return { allowed: false, state: BREAKER_STATES.OPEN, probe: false };
+      }
+
+      // Only one caller across all instances probes a recovering target; the
+      // lock expires after a cooldown in case the prober never reports back.
+      const acquired = await store.setIfAbsent(`${stateKey(target)}:probe`, String(at), cooldownMs, at);
+      if (!acquired) {
+        return { allowed: false, state: BREAKER_STATES.HALF_OPEN, probe: false };
+      }
+      await writeRecord(target, { ...record, state: BREAKER_STATES.HALF_OPEN, probe_started_at: at }, at);
+      logger.info('[breaker] circuit_half_open_probe', { target });
+      return { allowed: true, state: BREAKER_STATES.HALF_OPEN, probe: true };
+    });
+  }
+
+  async function recordSuccess(target, { probe = false } = {}) {
+    if (!enabled) return;
+    await safely('record_success', undefined, async () => {
+      const at = now();
+      if (probe) {
+        await writeRecord(target, { state: BREAKER_STATES.CLOSED, closed_at: at }, at);
+        await store.del(`${stateKey(target)}:probe`);
+        logger.info('[breaker] circuit_closed', { target });
+        return;
+      }
+      await store.incr(windowKey(target, 'requests', at), windowMs * 2, at);
+    });
+  }
+
+  async function recordFailure(target, { errorCode = null, probe = false } = {}) {
+    if (!enabled) return;
+    await safely('record_failure', undefined, async () => {
+      const at = now();
+      const countsTowardBreaker = BREAKER_FAILURE_CODES.has(errorCode);
+
+      if (probe) {
+        await store.del(`${stateKey(target)}:probe`);
+        if (countsTowardBreaker) {
+          await open(target, { errorCode, reason: 'probe_failed' }, at);
+        } else {
+          // The provider answered; the request itself was bad. Treat as healthy.
+          await writeRecord(target, { state: BREAKER_STATES.CLOSED, closed_at: at }, at);
+        }
+        return;
+      }
+
+      const requests = await store.incr(windowKey(target, 'requests', at), windowMs * 2, at);
+      if (!countsTowardBreaker) return;
+      const failures = await store.incr(windowKey(target, 'failures', at), windowMs * 2, at);
+
+      if (failures >= failureThreshold && failures / requests >= failureRate) {
+        const record = await readRecord(target, at);
+        if (record.state === BREAKER_STATES.CLOSED) {
+          await open(target, { errorCode, reason: `failures=${failures}/${requests}` }, at);
+        }
+      }
+    });
+  }
+
+  async function getTargetState(target) {
+    const at = now();
+    const record = await readRecord(target, at);
+    const requests = Number(await store.get(windowKey(target, 'requests', at), at) || 0);
+    const failures = Number(await store.get(windowKey(target, 'failures', at), at) || 0);
+    const reopensAt = record.state === BREAKER_STATES.OPEN && record.opened_at
+      ? new Date(record.opened_at + cooldownMs).toISOString()
+      : null;
+
+    return {
+      target,
+      state: record.state,
+      opened_at: record.opened_at ? new Date(record.opened_at).toISOString() : null,
+      half_open_after: reopensAt,
+      last_error_code: record.last_error_code || null,
+      window_requests: requests,
+      window_failures: failures
+    };
+  }
+
+  /**
+   * Diagnostics view of every target this breaker has seen.
+   */
+  async function snapshot() {
+    const base = {
+      enabled,
+      backend: redis ? 'redis' : 'memory',
+      failure_threshold: failureThreshold,
+      failure_rate: failureRate,
+      window_ms: windowMs,
+      cooldown_ms: cooldownMs
+    };
+    if (!enabled) return { ...base, targets: [] };
+
+    return safely('snapshot', { ...base, targets: [], error: 'BREAKER_STATE_UNAVAILABLE' }, async () => {
+      const targets = (await store.listTargets()).sort();
+      return {
+        ...base,
+        targets: await Promise.all(targets.map((target) => getTargetState(target)))
+      };
+    });
+  }
+
+  return {
+    allowRequest,
+    recordSuccess,
+    recordFailure,
+    getTargetState,
+    snapshot
+  };
+}
+
+let providerBreaker = null;
+
+/**
+ * Process-wide breaker for alt-text vision providers, configured from env.
+ */
+function getProviderCircuitBreaker() {
+  if (providerBreaker) return providerBreaker;
+  providerBreaker = createCircuitBreaker({
+    redis: getRedis(),
+    failureThreshold: readNumberEnv('ALT_TEXT_BREAKER_FAILURE_THRESHOLD', 5),
+    failureRate: Math.min(1, readNumberEnv('ALT_TEXT_BREAKER_FAILURE_RATE', 0.5)),
+    windowMs: readNumberEnv('ALT_TEXT_BREAKER_WINDOW_MS', 60_000),
+    cooldownMs: readNumberEnv('ALT_TEXT_BREAKER_COOLDOWN_MS', 30_000),
+    enabled: String(process.env.ALT_TEXT_CIRCUIT_BREAKER || 'on').toLowerCase() !== 'off'
+  });
+  return providerBreaker;
+}
+
+module.exports = {
+  BREAKER_STATES,
+  BREAKER_FAILURE_CODES,
+  createCircuitBreaker,
+  getProviderCircuitBreaker
+};
@@ -466,8 +466,154 @@ Ben
   }
 }
 
+/**
+ * Send a team invitation to join an account.
+ * @param {Object} params
+ * @param {string} params.to - Invitee email address
+ * @param {string} params.inviteUrl - Link that accepts the invitation
+ * @param {string} params.accountEmail - Email of the account being joined (optional)
+ * @param {string} params.inviterEmail - Email of the person inviting (optional)
+ * @param {string} params.role - Role the invitee gets
+ * @param {string} params.expiresAt - ISO expiry of the invitation
+ * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+ */
+async function sendTeamInvitationEmail({
+  to,
+  inviteUrl,
+  accountEmail = null,
+  inviterEmail = null,
+  role,
+  expiresAt
+}) {
+  if (!resend) {
+    return {
+      success: false,
+      error: 'Email service not configured (RESEND_API_KEY not set)'
+    };
+  }
+
+  const brandName = process.env.EMAIL_BRAND_NAME || 'OpttiAI';
+  const inviter = inviterEmail || accountEmail || 'A teammate';
+  const account = accountEmail ? ` (${accountEmail})` : '';
+  const expires = new Date(expiresAt).toUTCString();
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: fromEmail,
+      to: [to],
+      subject: `${inviter} invited you to their ${brandName} account`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Team invitation</title>
+        </head>
+        <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #1f2937; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <p style="margin-top: 0;">Hello,</p>
+          <p><strong>${escapeHtml(inviter)}</strong> invited you to join their ${escapeHtml(brandName)} account${escapeHtml(account)} as <strong>${escapeHtml(role)}</strong>.</p>
+          <p>Log in or create an account with this email address, then accept the invitation:</p>
+          <p style="margin: 28px 0;">
+            <a href="${escapeHtml(inviteUrl)}" style="display: inline-block; background: #111827; color: white; padding: 12px 18px; border-radius: 8px; text-decoration: none; font-weight: 700;">Accept invitation</a>
+          </p>
+          <p style="font-size: 12px; color: #6b7280; word-break: break-all;">${escapeHtml(inviteUrl)}</p>
+          <p style="font-size: 14px; color: #6b7280;">This invitation expires on ${escapeHtml(expires)}. If you were not expecting it, you can ignore this email.</p>
+        </body>
+        </html>
+      `,
+      text: `
+${inviter} invited you to join their ${brandName} account${account} as ${role}.
+
+Log in or create an account with this email address, then accept the invitation:
+${inviteUrl}
+
+This invitation expires on ${expires}. If you were not expecting it, you can ignore this email.
+      `.trim()
+    });
+
+    if (error) {
+      logger.error('[Email] Failed to send team invitation email', { to, error: error.message });
+      return { success: false, error: error.message };
+    }
+
+    logger.info('[Email] Team invitation email sent', { to, messageId: data?.id });
+    return { success: true, messageId: data?.id };
+  } catch (error) {
+    logger.error('[Email] Error sending team invitation email', { to, error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Send a one-time login link.
+ * @param {Object} params
+ * @param {string} params.to - Login email address
+ * @param {string} params.loginUrl - Single-use link that logs the user in
+ * @param {string} params.expiresAt - ISO expiry of the link
+ * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+ */
+async function sendMagicLinkEmail({ to, loginUrl, expiresAt }) {
+  if (!resend) {
+    return {
+      success: false,
+      error: 'Email service not configured (RESEND_API_KEY not set)'
+    };
+  }
+
+  const brandName = process.env.EMAIL_BRAND_NAME || 'OpttiAI';
+  const minutes = Math.max(1, Math.round((new Date(expiresAt).getTime() - Date.now()) / 60000));
+
+  try {
+    const { data, error } = await resend.emails.send({
+      from: fromEmail,
+      to: [to],
+      subject: `Your ${brandName} login link`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Log in</title>
+        </head>
+        <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #1f2937; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <p style="margin-top: 0;">Hello,</p>
+          <p>Use the button below to log in to your ${escapeHtml(brandName)} account. No password needed.</p>
+          <p style="margin: 28px 0;">
+            <a href="${escapeHtml(loginUrl)}" style="display: inline-block; background: #111827; color: white; padding: 12px 18px; border-radius: 8px; text-decoration: none; font-weight: 700;">Log in</a>
+          </p>
+          <p style="font-size: 12px; color: #6b7280; word-break: break-all;">${escapeHtml(loginUrl)}</p>
+          <p style="font-size: 14px; color: #6b7280;">The link works once and expires in ${minutes} minutes. If you did not ask to log in, you can ignore this email.</p>
+        </body>
+        </html>
+      `,
+      text: `
+Use the link below to log in to your ${brandName} account. No password needed.
+
+${loginUrl}
+
+The link works once and expires in ${minutes} minutes. If you did not ask to log in, you can ignore this email.
+      `.trim()
+    });
+
+    if (error) {
+      logger.error('[Email] Failed to send magic link email', { to, error: error.message });
+      return { success: false, error: error.message };
+    }
+
+    logger.info('[Email] Magic link email sent', { to, messageId: data?.id });
+    return { success: true, messageId: data?.id };
+  } catch (error) {
+    logger.error('[Email] Error sending magic link email', { to, error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
 module.exports = {
   sendPasswordResetEmail,
+  sendMagicLinkEmail,
+  sendTeamInvitationEmail,
   sendContactEmail,
   sendImageSeoAuditEmail,
   getContactRecipientEmail,
@@ -24,11 +24,50 @@ const GENERATION_ERROR_CODES = Object.freeze({
 
 const UNSUPPORTED_IMAGE_MESSAGE_PATTERN = /unsupported image|invalid.*image.*format|image.*(?:could not|cannot) be (?:decoded|processed)|unsupported file|invalid base64 image/i;
 const CONTENT_REJECTED_MESSAGE_PATTERN = /content policy|content_policy|safety system|flagged|rejected as a result of|violat/i;
-const API_KEY_MESSAGE_PATTERN = /incorrect.*api.*key|invalid.*api.*key|authentication.*failed/i;
+const API_KEY_MESSAGE_PATTERN = /incorrect.*api.*key|invalid.*api.*key|api key not valid|authentication.*failed/i;
 const TIMEOUT_MESSAGE_PATTERN = /timeout|timed out/i;
+const MODEL_MISSING_MESSAGE_PATTERN = /model.+(?:does not exist|not found)|not found.+model|You must provide a model parameter/i;
+
+// Gemini reports google.rpc status names alongside (or, behind some
+// proxies, instead of) the HTTP status.
+const RPC_STATUS_TO_HTTP = Object.freeze({
+  UNAUTHENTICATED: 401,
+  PERMISSION_DENIED: 403,
+  RESOURCE_EXHAUSTED: 429,
+  UNAVAILABLE: 503,
+  INTERNAL: 500,
+  DEADLINE_EXCEEDED: 504
+});
+
+/**
+ * Pull the provider's error message out of the vendor-specific body:
+ * OpenAI/Anthropic/Gemini use `{ error: { message } }`, Ollama and some
+ * OpenAI-compatible servers use `{ error: "..." }`.
+ */
+function extractProviderMessage(error) {
+  const data = error?.response?.data;
+  if (typeof data?.error === 'string' && data.error.trim() !== '') return data.error;
+  return data?.error?.message || data?.message || error?.message || 'Provider request failed';
+}
+
+function resolveProviderStatus(error) {
+  const status = error?.response?.status || null;
+  const rpcStatus = RPC_STATUS_TO_HTTP[error?.response?.data?.error?.status];
+  if (rpcStatus && (!status || status === 400)) return rpcStatus;
+  return status;
+}
+
+/**
+ * True when the provider rejected the configured model name, which is the
+ * only case `generateAltText` retries (once, on the provider's fallback model).
+ */
+function isModelMissingError(error) {
+  return MODEL_MISSING_MESSAGE_PATTERN.test(extractProviderMessage(error));
+}
 
 /**
- * Classify a provider-call failure (axios error or structured throw).
+ * Classify a provider-call failure (axios error or structured throw) from
+ * any of the vision providers in ./visionProviders.
  *
  * Returns:
  *  - errorCode:   stable taxonomy code for logs/analytics
@@ -39,8 +78,8 @@ const TIMEOUT_MESSAGE_PATTERN = /timeout|timed out/i;
  * provider message details stay server-side.
  */
 function classifyProviderError(error) {
-  const message = error?.response?.data?.error?.message || error?.message || 'Provider request failed';
-  const providerStatus = error?.response?.status || null;
+  const message = extractProviderMessage(error);
+  const providerStatus = resolveProviderStatus(error);
   const hasResponse = Boolean(error?.response);
   const isTimeout = error?.code === 'ECONNABORTED' || (!hasResponse && TIMEOUT_MESSAGE_PATTERN.test(message));
 
@@ -164,5 +203,7 @@ function publicMessageFor(errorCode) {
 module.exports = {
   GENERATION_ERROR_CODES,
   classifyProviderError,
+  extractProviderMessage,
+  isModelMissingError,
   publicMessageFor
 };
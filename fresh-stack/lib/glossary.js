@@ -0,0 +1,239 @@
+/**
+ * Per-site brand glossary for generated copy (alt text, titles, metas).
+ *
+ * Shape stored on `sites.glossary`:
+ *   {
+ *     terms: [{ term: 'iphone', preferred: 'iPhone' }],   // spelling fixes
+ *     required_keywords: ['Acme'],                         // must appear
+ *     banned_terms: ['CompetitorCo']                       // must never appear
+ *   }
+ *
+ * The glossary is injected into the prompt and enforced again on the
+ * output: preferred spellings are rewritten, banned terms are removed, and
+ * both removals and missing keywords are flagged so the ledger row stays in
+ * review.
+ */
+
+const crypto = require('crypto');
+
+const MAX_GLOSSARY_ENTRIES = 200;
+const MAX_TERM_LENGTH = 100;
+
+const GLOSSARY_RULES = Object.freeze({
+  PREFERRED_TERM: 'preferred_term',
+  BANNED_TERM: 'banned_term',
+  MISSING_KEYWORD: 'missing_keyword'
+});
+
+function cleanTerm(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim().replace(/\s+/g, ' ');
+  return trimmed && trimmed.length <= MAX_TERM_LENGTH ? trimmed : null;
+}
+
+function uniqueTerms(values, field, errors) {
+  if (values == null) return [];
+  if (!Array.isArray(values)) {
+    errors.push(`${field} must be an array of strings`);
+    return [];
+  }
+  const seen = new Set();
+  const result = [];
+  for (const value of values) {
+    const term = cleanTerm(value);
+    if (!term) {
+      errors.push(`${field} entries must be non-empty strings of at most ${MAX_TERM_LENGTH} characters`);
+      continue;
+    }
+    if (!seen.has(term.toLowerCase())) {
+      seen.add(term.toLowerCase());
+      result.push(term);
+    }
+  }
+  return result;
+}
+
+/**
+ * Validate and normalize glossary input. `terms` may be an array of
+ * `{ term, preferred }` or a `{ term: preferred }` map.
+ *
+ * @returns {{ glossary: object, errors: string[] }}
+ */
+function normalizeGlossary(input) {
+  const errors = [];
+  const source = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  if (input != null && source !== input) {
+    errors.push('glossary must be an object');
+  }
+
+  const rawTerms = Array.isArray(source.terms)
+    ? source.terms
+    : Object.entries(source.terms && typeof source.terms === 'object' ? source.terms : {})
+      .map(([term, preferred]) => ({ term, preferred }));
+  const terms = [];
+  const seenTerms = new Set();
+  for (const entry of rawTerms) {
+    const term = cleanTerm(entry?.term);
+    const preferred = cleanTerm(entry?.preferred);
+    if (!term || !preferred) {
+      errors.push('terms entries need a term and a preferred spelling');
+      continue;
+    }
+    if (!seenTerms.has(term.toLowerCase())) {
+      seenTerms.add(term.toLowerCase());
+      terms.push({ term, preferred });
+    }
+  }
+
+  const glossary = {
+    terms,
+    required_keywords: uniqueTerms(source.required_keywords ?? source.requiredKeywords, 'required_keywords', errors),
+    banned_terms: uniqueTerms(source.banned_terms ?? source.bannedTerms, 'banned_terms', errors)
+  };
+
+  const entryCount = glossary.terms.length + glossary.required_keywords.length + glossary.banned_terms.length;
+  if (entryCount > MAX_GLOSSARY_ENTRIES) {
+    errors.push(`glossary is limited to ${MAX_GLOSSARY_ENTRIES} entries`);
+  }
+
+  return { glossary, errors };
+}
+
+function isEmptyGlossary(glossary) {
+  return !glossary
+    || (!glossary.terms?.length && !glossary.required_keywords?.length && !glossary.banned_terms?.length);
+}
+
+/**
+ * Stable short hash of a normalized glossary, or null when empty. Lets
+ * caches keep results generated under different glossaries apart.
+ */
+function glossaryFingerprint(glossary) {
+  if (isEmptyGlossary(glossary)) return null;
+  return crypto.createHash('sha256').update(JSON.stringify(glossary)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Prompt lines describing the glossary; empty when there is nothing to say.
+ */
+function buildGlossaryInstructions(glossary) {
+  if (isEmptyGlossary(glossary)) return [];
+  const lines = ['Brand glossary (follow exactly):'];
+  for (const { term, preferred } of glossary.terms) {
+    lines.push(term.toLowerCase() === preferred.toLowerCase()
+      ? `- Always write "${preferred}" with exactly this spelling and capitalization`
+      : `- Write "${preferred}" instead of "${term}"`);
+  }
+  if (glossary.required_keywords.length) {
+    lines.push(`- Include these keywords: ${glossary.required_keywords.map((keyword) => `"${keyword}"`).join(', ')}`);
+  }
+  if (glossary.banned_terms.length) {
+    lines.push(`- Never mention: ${glossary.banned_terms.map((term) => `"${term}"`).join(', ')}`);
+  }
+  return lines;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word match that also works for non-Latin scripts and terms that
+// start or end with punctuation ("C++", "Wi-Fi"). Earlier alternatives win,
+// so a preferred spelling that contains the term is never rewritten twice.
+function termPattern(...terms) {
+  const alternatives = terms.map(escapeRegExp).join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+function tidyAfterRemoval(text) {
+  return text
+    .replace(/\s{2,}/g, ' ')
+    .replace(/\s+([,.;:!?])/g, '$1')
+    .replace(/([,;:])(?=[,.;:!?])/g, '')
+    .replace(/^[\s,;:.-]+/, '')
+    .trim();
+}
+
+/**
+ * Apply the glossary to generated text.
+ *
+ * @returns {{ text: string, violations: Array<{rule, term, action, replacement?}>, flagged: boolean }}
+ */
+function enforceGlossary(text, glossary) {
+  if (typeof text !== 'string' || isEmptyGlossary(glossary)) {
+    return { text, violations: [], flagged: false };
+  }
+
+  const violations = [];
+  let output = text;
+
+  for (const { term, preferred } of glossary.terms) {
+    output = output.replace(termPattern(preferred, term), (match) => {
+      if (match === preferred) return match;
+      violations.push({ rule: GLOSSARY_RULES.PREFERRED_TERM, term: match, replacement: preferred, action: 'rewritten' });
+      return preferred;
+    });
+  }
+
+  for (const term of glossary.banned_terms) {
+    let removed = false;
+    output = output.replace(termPattern(term), () => {
+      removed = true;
+      return '';
+    });
+    if (removed) {
+      violations.push({ rule: GLOSSARY_RULES.BANNED_TERM, term, action: 'removed' });
+    }
+  }
+  if (violations.some((violation) => violation.rule === GLOSSARY_RULES.BANNED_TERM)) {
+    output = tidyAfterRemoval(output);
+  }
+
+  for (const keyword of glossary.required_keywords) {
+    if (!termPattern(keyword).test(output)) {
+      violations.push({ rule: GLOSSARY_RULES.MISSING_KEYWORD, term: keyword, action: 'flagged' });
+    }
+  }
+
+  return {
+    text: output,
+    violations,
+    flagged: violations.some((violation) => violation.action !== 'rewritten')
+  };
+}
+
+/**
+ * Enforce the glossary on an alt-text generation result: the primary text
+ * and every translation. Translation violations carry their `language`.
+ *
+ * @returns {{ altText: string, translations: object|null, violations: Array, flagged: boolean }}
+ */
+function enforceGlossaryOnResult({ altText, translations = null } = {}, glossary) {
+  const primary = enforceGlossary(altText, glossary);
+  const violations = [...primary.violations];
+  let flagged = primary.flagged;
+  let enforcedTranslations = translations || null;
+
+  if (translations && !isEmptyGlossary(glossary)) {
+    enforcedTranslations = {};
+    for (const [language, text] of Object.entries(translations)) {
+      const checked = enforceGlossary(text, glossary);
+      enforcedTranslations[language] = checked.text;
+      violations.push(...checked.violations.map((violation) => ({ ...violation, language })));
+      flagged = flagged || checked.flagged;
+    }
+  }
+
+  return { altText: primary.text, translations: enforcedTranslations, violations, flagged };
+}
+
+module.exports = {
+  GLOSSARY_RULES,
+  MAX_GLOSSARY_ENTRIES,
+  buildGlossaryInstructions,
+  enforceGlossary,
+  enforceGlossaryOnResult,
+  glossaryFingerprint,
+  isEmptyGlossary,
+  normalizeGlossary
+};
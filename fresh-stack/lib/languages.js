@@ -0,0 +1,72 @@
+/**
+ * Output-language helpers for alt-text generation.
+ *
+ * Languages are BCP-47 tags ("de", "pt-BR", "zh-Hant"). WordPress locale
+ * strings such as Polylang's "de_DE" are accepted and canonicalized. The
+ * effective language for a request is, first match wins:
+ *  1. `context.language` (or the first entry of `context.languages`)
+ *  2. the site's `default_language`
+ *  3. English
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+// Upper bound for one multi-language request; keeps the prompt and the
+// provider's output budget small enough for a single call.
+const MAX_TRANSLATIONS = 8;
+
+/**
+ * Canonical BCP-47 tag for `value`, or null when it is not a valid tag.
+ */
+function normalizeLanguageTag(value) {
+  if (typeof value !== 'string') return null;
+  const candidate = value.trim().replace(/_/g, '-');
+  if (!/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(candidate)) return null;
+  try {
+    return Intl.getCanonicalLocales(candidate)[0] || null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * English display name for a tag ("pt-BR" -> "Brazilian Portuguese"),
+ * falling back to the tag itself.
+ */
+function describeLanguage(tag) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(tag) || tag;
+  } catch (_error) {
+    return tag;
+  }
+}
+
+/**
+ * Resolve the primary language and the full (deduplicated) language list
+ * for a request. Callers validate tags up front; anything that still does
+ * not normalize is ignored here.
+ *
+ * @returns {{ language: string, languages: string[] }}
+ */
+function resolveGenerationLanguages({ language = null, languages = null, siteDefault = null } = {}) {
+  const requested = [];
+  for (const value of [language, ...(Array.isArray(languages) ? languages : [])]) {
+    const tag = normalizeLanguageTag(value);
+    if (tag && !requested.includes(tag)) {
+      requested.push(tag);
+    }
+  }
+
+  const primary = requested[0] || normalizeLanguageTag(siteDefault) || DEFAULT_LANGUAGE;
+  return {
+    language: primary,
+    languages: requested.length ? requested : [primary]
+  };
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  MAX_TRANSLATIONS,
+  describeLanguage,
+  normalizeLanguageTag,
+  resolveGenerationLanguages
+};
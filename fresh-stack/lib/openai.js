@@ -1,26 +1,40 @@
 const axios = require('axios');
-const { classifyProviderError } = require('./generationErrors');
+const {
+  GENERATION_ERROR_CODES,
+  classifyProviderError,
+  extractProviderMessage,
+  isModelMissingError
+} = require('./generationErrors');
+const { getProviderCircuitBreaker } = require('./circuitBreaker');
+const {
+  DEFAULT_VISION_PROVIDER,
+  getVisionProvider,
+  resolveProviderApiKey,
+  resolveProviderTimeoutMs,
+  resolveVisionProviderName
+} = require('./visionProviders');
+const { DEFAULT_LANGUAGE, describeLanguage } = require('./languages');
+const { buildGlossaryInstructions } = require('./glossary');
+const { buildPageContextLines } = require('./pageContext');
+const { buildProductLines } = require('./productMode');
+const { altTextTemplateKey, getBuiltinPromptTemplate } = require('./promptTemplates');
+
+function requestedTranslations(context = {}) {
+  return Array.isArray(context.languages) && context.languages.length > 1 ? context.languages : null;
+}
 
-function buildPrompt(context = {}) {
-  const lines = [
-    'Write clear, descriptive alt text that accurately describes what the image IS and shows. Focus on accessibility and SEO.',
-    '',
-    'Guidelines:',
-    '- Length: 8-16 words, ideally under 125 characters (optimal for Google Images SEO)',
-    '- Describe WHAT the image is: What type (photo, illustration, screenshot, diagram, meme, etc.)? What does it show?',
-    '- Include key elements: Main subjects, actions, setting, colors, and any important text visible in the image',
-    '- Be specific and factual: Describe what is actually visible, not implied meaning',
-    '- Use natural language: Write conversationally, as if describing the image to someone who cannot see it',
-    '- Context awareness: If provided, incorporate relevant keywords from title, caption, or page context naturally',
-    '- Important text: Include any visible text verbatim (quotes, labels, headlines, etc.)',
-    '- Avoid redundancy: Never use "image of" or "picture of" - just describe what it is',
-    '',
-    'Examples:',
-    '- Good: "Aerial view of downtown Chicago skyline at sunset with Lake Michigan in foreground"',
-    '- Good: "Screenshot of mobile app interface showing login form with email and password fields"',
-    '- Good: "Group photo of five colleagues at a conference table reviewing documents"',
-    '- Avoid: "Image of a city" or "Picture showing people"',
-  ];
+/**
+ * `template` (lib/promptTemplates.js) supplies the instruction block; without
+ * one the built-in version for the context (product mode or not) is used.
+ */
+function buildPrompt(context = {}, { glossary = null, template = null } = {}) {
+  const instructions = (template || getBuiltinPromptTemplate(altTextTemplateKey(context))).instructions;
+  const lines = instructions.split('\n');
+  if (context.product) {
+    lines.push('');
+    lines.push('Product (the SKU is for reference only; do not include it):');
+    lines.push(...buildProductLines(context.product));
+  }
 
   const hints = [];
   if (context.title) hints.push(`Title: ${context.title}`);
@@ -32,6 +46,8 @@ function buildPrompt(context = {}) {
   if (context.customPrompt || context.additionalInstructions) {
     hints.push(`Additional user instructions: ${context.customPrompt || context.additionalInstructions}`);
   }
+  // Surrounding page content (lib/pageContext.js), trimmed to its token budget.
+  hints.push(...buildPageContextLines(context.pageContext));
 
   if (hints.length) {
     lines.push('');
@@ -39,19 +55,180 @@ function buildPrompt(context = {}) {
     lines.push(...hints);
   }
 
+  const glossaryLines = buildGlossaryInstructions(glossary);
+  if (glossaryLines.length) {
+    lines.push('');
+    lines.push(...glossaryLines);
+  }
+
+  const translations = requestedTranslations(context);
+  if (translations) {
+    lines.push('');
+    lines.push(`Write the alt text in each of these languages: ${translations.map((tag) => `${describeLanguage(tag)} (${tag})`).join(', ')}.`);
+    lines.push('Each version must describe the image naturally in that language, not word-for-word from another version.');
+    lines.push(`Return only a JSON object mapping each language tag to its alt text, e.g. {"${translations[0]}": "..."}, nothing else.`);
+    return lines.join('\n');
+  }
+
+  if (context.language && context.language !== DEFAULT_LANGUAGE) {
+    lines.push('');
+    lines.push(`Write the alt text in ${describeLanguage(context.language)} (${context.language}).`);
+  }
+
   lines.push('');
   lines.push('Return only the alt text description, nothing else.');
   return lines.join('\n');
 }
 
-async function generateAltText({ image, context }) {
-  const apiKey = process.env.ALTTEXT_OPENAI_API_KEY || process.env.OPENAI_API_KEY;
-  // Prefer a vision-capable model; fall back to gpt-4o-mini if not available.
-  const preferredModel = process.env.OPENAI_MODEL || 'gpt-4o';
-  const fallbackModel = 'gpt-4o-mini';
+/**
+ * Pull `{ tag: altText }` out of a multi-language reply. Tolerates code
+ * fences or prose around the JSON; tags the model skipped are left out.
+ */
+function parseTranslations(text, languages) {
+  if (typeof text !== 'string') return {};
+  const match = text.match(/\{[\s\S]*\}/);
+  let parsed = null;
+  try {
+    parsed = match ? JSON.parse(match[0]) : null;
+  } catch (_error) {
+    parsed = null;
+  }
+  if (!parsed || typeof parsed !== 'object') return {};
+
+  const byLowerTag = new Map(Object.entries(parsed).map(([key, value]) => [key.toLowerCase(), value]));
+  const translations = {};
+  for (const tag of languages) {
+    const value = byLowerTag.get(tag.toLowerCase());
+    if (typeof value === 'string' && value.trim() !== '') {
+      translations[tag] = value.trim();
+    }
+  }
+  return translations;
+}
+
+const ALT_TEXT_FALLBACK_SYSTEM_PROMPT = 'You are an accessibility assistant that writes excellent alternative text.';
+
+function canServeImage(providerName, image) {
+  return Boolean(image.base64) || !image.url || getVisionProvider(providerName).supportsImageUrl;
+}
+
+/**
+ * Secondary target used while the primary's circuit is open: an explicit
+ * ALT_TEXT_FAILOVER_PROVIDER (and optional ALT_TEXT_FAILOVER_MODEL), else
+ * the primary provider's own fallback model.
+ */
+function resolveFailoverTarget(primary, image) {
+  const failoverProvider = resolveVisionProviderName({ provider: process.env.ALT_TEXT_FAILOVER_PROVIDER });
+  if (process.env.ALT_TEXT_FAILOVER_PROVIDER && canServeImage(failoverProvider, image)) {
+    const model = process.env.ALT_TEXT_FAILOVER_MODEL || getVisionProvider(failoverProvider).defaultModel();
+    if (failoverProvider !== primary.provider || model !== primary.model) {
+      return { provider: failoverProvider, model };
+    }
+  }
+
+  const fallbackModel = getVisionProvider(primary.provider).fallbackModel;
+  if (fallbackModel && fallbackModel !== primary.model) {
+    return { provider: primary.provider, model: fallbackModel };
+  }
+  return null;
+}
+
+function breakerTarget({ provider, model }) {
+  return `${provider}:${model}`;
+}
+
+function circuitOpenError(target) {
+  const error = new Error(`All generation targets are unavailable (circuit open for ${target}).`);
+  error.code = 'UPSTREAM_GENERATION_ERROR';
+  error.errorCode = GENERATION_ERROR_CODES.PROVIDER_SERVER_ERROR;
+  error.httpStatusForClient = 503;
+  error.isRetryable = true;
+  error.circuitOpen = true;
+  return error;
+}
+
+/**
+ * Generate alt text through the configured vision provider (see
+ * ./visionProviders). `provider` forces a specific adapter; otherwise it is
+ * picked per plan/environment. A provider that cannot fetch remote images
+ * falls back to OpenAI for URL-only payloads. While the primary target's
+ * circuit breaker is open the request goes to the failover target instead.
+ * `context.language` sets the output language; when `context.languages`
+ * lists several, one call returns them all as `translations`. A site
+ * `glossary` (see ./glossary) is added to the prompt; enforcing it on the
+ * output is up to the caller. `template` is the prompt template version
+ * picked by services/promptTemplates.js (built-in when omitted).
+ */
+async function generateAltText({
+  image,
+  context,
+  plan = null,
+  provider = null,
+  glossary = null,
+  template = null,
+  breaker = getProviderCircuitBreaker()
+}) {
+  const logger = require('./logger');
+  let providerName = resolveVisionProviderName({ provider, plan });
+  if (!canServeImage(providerName, image)) {
+    providerName = DEFAULT_VISION_PROVIDER;
+  }
+  const primary = { provider: providerName, model: getVisionProvider(providerName).defaultModel() };
+
+  let target = primary;
+  let failover = false;
+  let permit = await breaker.allowRequest(breakerTarget(primary));
+  if (!permit.allowed) {
+    const secondary = resolveFailoverTarget(primary, image);
+    const secondaryPermit = secondary ? await breaker.allowRequest(breakerTarget(secondary)) : null;
+    if (!secondaryPermit?.allowed) {
+      logger.warn('[vision-provider] no_healthy_target', {
+        provider: primary.provider,
+        primary: breakerTarget(primary),
+        secondary: secondary ? breakerTarget(secondary) : null,
+        primary_state: permit.state
+      });
+      throw circuitOpenError(breakerTarget(primary));
+    }
+    logger.warn('[vision-provider] failover_selected', {
+      provider: secondary.provider,
+      primary: breakerTarget(primary),
+      failover: breakerTarget(secondary),
+      primary_state: permit.state
+    });
+    target = secondary;
+    permit = secondaryPermit;
+    failover = true;
+  }
+
+  try {
+    const result = await requestAltText({ image, context, glossary, template, providerName: target.provider, model: target.model });
+    await breaker.recordSuccess(breakerTarget(target), { probe: permit.probe });
+    return {
+      ...result,
+      meta: { ...result.meta, failover }
+    };
+  } catch (error) {
+    await breaker.recordFailure(breakerTarget(target), { errorCode: error.errorCode, probe: permit.probe });
+    throw error;
+  }
+}
+
+/**
+ * One generation attempt against a single provider/model (plus the
+ * provider's own model-missing fallback).
+ */
+async function requestAltText({ image, context, glossary, template, providerName, model }) {
+  const adapter = getVisionProvider(providerName);
+  const apiKey = resolveProviderApiKey(adapter);
+  // Fall back once if the provider reports the model as missing.
+  const preferredModel = model;
+  const fallbackModel = adapter.fallbackModel;
   let modelUsed = preferredModel;
 
-  const prompt = buildPrompt(context);
+  const promptTemplate = template || getBuiltinPromptTemplate(altTextTemplateKey(context));
+  const prompt = buildPrompt(context, { glossary, template: promptTemplate });
+  const translationTags = requestedTranslations(context);
   const imageUrl = image.base64
     ? `data:${image.mime_type};base64,${image.base64}`
     : image.url;
@@ -62,6 +239,7 @@ async function generateAltText({ image, context }) {
 
   if (!isProdLogging) {
     logger.info('[OpenAI] Image processing details', {
+      provider: providerName,
       hasBase64: !!image.base64,
       hasUrl: !!image.url,
       imageSource: image.base64 ? 'base64' : (image.url ? 'url' : 'none'),
@@ -78,6 +256,7 @@ async function generateAltText({ image, context }) {
     });
   } else {
     logger.info('[OpenAI] alt_text_request_started', {
+      provider: providerName,
       model: modelUsed,
       status: 'started'
     });
@@ -101,9 +280,10 @@ async function generateAltText({ image, context }) {
     logger.error('[OpenAI] ERROR: No image data provided - neither base64 nor URL');
   }
 
-  if (!apiKey) {
-    logger.error('[OpenAI] Missing API key - check OPENAI_API_KEY or ALTTEXT_OPENAI_API_KEY in .env.local');
-    const configError = new Error('OpenAI API key is not configured. Set ALTTEXT_OPENAI_API_KEY or OPENAI_API_KEY.');
+  if (!apiKey && adapter.requiresApiKey) {
+    const envNames = adapter.apiKeyEnv.join(' or ');
+    logger.error(`[OpenAI] Missing API key - check ${envNames} in .env.local`, { provider: providerName });
+    const configError = new Error(`${adapter.label} API key is not configured. Set ${envNames}.`);
     configError.code = 'BACKEND_CONFIG_ERROR';
     configError.errorCode = 'provider_auth_error';
     configError.httpStatusForClient = 502;
@@ -111,99 +291,68 @@ async function generateAltText({ image, context }) {
     throw configError;
   }
   
-  if (!isProdLogging) {
+  if (!isProdLogging && apiKey) {
     // Log API key shape only outside production, and never the full key.
     logger.debug('[OpenAI] Using API key', {
+      provider: providerName,
       keyPrefix: apiKey.substring(0, 10) + '...',
       keyLength: apiKey.length,
       model: preferredModel
     });
   }
 
+  function callProvider(model, systemPrompt) {
+    const request = adapter.buildRequest({
+      apiKey,
+      model,
+      systemPrompt,
+      prompt,
+      image,
+      maxTokens: translationTags ? 75 * translationTags.length : 75,
+      temperature: 0.2
+    });
+    return axios.post(request.url, request.body, {
+      headers: request.headers,
+      timeout: resolveProviderTimeoutMs()
+    });
+  }
+
   try {
     let response;
     try {
-      response = await axios.post(
-        'https://api.openai.com/v1/chat/completions',
-        {
-          model: modelUsed,
-          temperature: 0.2,
-          max_tokens: 75,
-          messages: [
-            { role: 'system', content: 'You are an expert accessibility and SEO specialist who writes clear, descriptive alt text. Your alt text helps visually impaired users understand images and improves SEO. Always describe what the image IS and what it actually shows, using natural, conversational language.' },
-            {
-              role: 'user',
-              content: [
-                { type: 'text', text: prompt },
-                { type: 'image_url', image_url: { url: imageUrl, detail: 'auto' } }
-              ]
-            }
-          ]
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 60000
-        }
-      );
+      response = await callProvider(modelUsed, promptTemplate.systemPrompt);
     } catch (firstError) {
-      const msg = firstError?.response?.data?.error?.message || '';
-      const modelMissing = /model.+does not exist/i.test(msg) || /You must provide a model parameter/.test(msg);
-      if (modelMissing && modelUsed !== fallbackModel) {
+      if (fallbackModel && modelUsed !== fallbackModel && isModelMissingError(firstError)) {
         modelUsed = fallbackModel;
-        response = await axios.post(
-          'https://api.openai.com/v1/chat/completions',
-          {
-            model: modelUsed,
-            temperature: 0.2,
-            max_tokens: 75,
-            messages: [
-              { role: 'system', content: 'You are an accessibility assistant that writes excellent alternative text.' },
-              {
-                role: 'user',
-                content: [
-                  { type: 'text', text: prompt },
-                  { type: 'image_url', image_url: { url: imageUrl, detail: 'auto' } }
-                ]
-              }
-            ]
-          },
-          {
-            headers: {
-              Authorization: `Bearer ${apiKey}`,
-              'Content-Type': 'application/json'
-            },
-            timeout: 60000
-          }
-        );
+        response = await callProvider(modelUsed, ALT_TEXT_FALLBACK_SYSTEM_PROMPT);
       } else {
         throw firstError;
       }
     }
 
-    const choice = response.data?.choices?.[0];
-    const altText = choice?.message?.content?.trim();
+    const { text: rawText, usage } = adapter.parseResponse(response.data);
+    const translations = translationTags ? parseTranslations(rawText, translationTags) : null;
+    const altText = translations ? (translations[translationTags[0]] || null) : rawText;
     const latencyMs = Date.now() - tsStart;
-    const usage = response.data?.usage || null;
 
     if (!isProdLogging) {
       logger.info('[OpenAI] Raw AI response received', {
+        provider: providerName,
         model: modelUsed,
         fullResponse: JSON.stringify(response.data),
-        choiceContent: choice?.message?.content,
+        choiceContent: altText,
         usage,
         imageSourceUsed: image.base64 ? 'base64' : (image.url ? 'url' : 'none')
       });
     } else {
       logger.info('[OpenAI] alt_text_completed', {
+        provider: providerName,
         model: modelUsed,
         latencyMs,
         promptTokens: usage?.prompt_tokens ?? null,
         completionTokens: usage?.completion_tokens ?? null,
         totalTokens: usage?.total_tokens ?? null,
-        outputLength: typeof choice?.message?.content === 'string' ? choice.message.content.length : 0,
+        outputLength: typeof altText === 'string' ? altText.length : 0,
         status: 'completed'
       });
     }
@@ -211,12 +360,14 @@ async function generateAltText({ image, context }) {
     if (altText) {
       if (!isProdLogging) {
         logger.info('[OpenAI] Alt text generated', {
+          provider: providerName,
           model: modelUsed,
           altTextLength: altText.length,
           altTextPreview: altText.substring(0, 50) + (altText.length > 50 ? '...' : '')
         });
       } else {
         logger.info('[OpenAI] alt_text_output_metrics', {
+          provider: providerName,
           model: modelUsed,
           outputLength: altText.length,
           status: 'completed'
@@ -225,23 +376,40 @@ async function generateAltText({ image, context }) {
     } else {
       logger.error('[OpenAI] Empty alt text response', isProdLogging
         ? {
+          provider: providerName,
           model: modelUsed,
           latencyMs,
           status: response.data?.error?.code || response.status || 'empty_output'
         }
         : {
+          provider: providerName,
           model: modelUsed,
           responsePreview: JSON.stringify(response.data).substring(0, 200)
         });
     }
 
+    if (translations && Object.keys(translations).length < translationTags.length) {
+      logger.warn('[OpenAI] Translations missing from multi-language response', {
+        provider: providerName,
+        model: modelUsed,
+        requested: translationTags,
+        returned: Object.keys(translations)
+      });
+    }
+
     return {
       altText: altText || fallbackAltText(context),
-      usage: response.data?.usage || null,
-      meta: { usedFallback: !altText || modelUsed === fallbackModel, modelUsed }
+      usage,
+      meta: {
+        usedFallback: !altText || modelUsed === fallbackModel,
+        modelUsed,
+        provider: providerName,
+        language: context.language || DEFAULT_LANGUAGE
+      },
+      ...(translations ? { translations } : {})
     };
   } catch (error) {
-    const message = error?.response?.data?.error?.message || error.message || 'OpenAI request failed';
+    const message = extractProviderMessage(error);
     const providerErrorCode = error?.response?.data?.error?.code || error?.response?.status || 'UNKNOWN';
     const httpStatus = error?.response?.status || null;
     const classified = classifyProviderError(error);
@@ -249,6 +417,7 @@ async function generateAltText({ image, context }) {
 
     const failMeta = isProdLogging
       ? {
+        provider: providerName,
         code: providerErrorCode,
         error_code: classified.errorCode,
         status: httpStatus,
@@ -257,6 +426,7 @@ async function generateAltText({ image, context }) {
         retryable: classified.retryable
       }
       : {
+        provider: providerName,
         error: message,
         code: providerErrorCode,
         error_code: classified.errorCode,
@@ -269,7 +439,7 @@ async function generateAltText({ image, context }) {
     logger.error('[OpenAI] Alt text generation failed', failMeta);
 
     if (isApiKeyError) {
-      logger.error('[OpenAI] CRITICAL: OpenAI rejected or missing API key (credentials error). Verify OPENAI_API_KEY / ALTTEXT_OPENAI_API_KEY in environment.');
+      logger.error(`[OpenAI] CRITICAL: ${adapter.label} rejected or missing API key (credentials error). Verify ${adapter.apiKeyEnv.join(' / ')} in environment.`);
     }
 
     // Throw a structured error so callers can decide how to handle it.
@@ -281,6 +451,7 @@ async function generateAltText({ image, context }) {
     genError.httpStatus = httpStatus;
     genError.httpStatusForClient = classified.httpStatus;
     genError.isRetryable = classified.retryable;
+    genError.provider = providerName;
     throw genError;
   }
 }
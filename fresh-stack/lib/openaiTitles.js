@@ -1,22 +1,13 @@
 const axios = require('axios');
 const logger = require('./logger');
+const { buildGlossaryInstructions, enforceGlossary } = require('./glossary');
+const { buildProductLines } = require('./productMode');
+const { getBuiltinPromptTemplate, titlesTemplateKey } = require('./promptTemplates');
 
 const DEFAULT_TITLE_MAX_CHARS = 60;
 const DEFAULT_META_MAX_CHARS = 160;
 const DEFAULT_CONTENT_EXCERPT_CHARS = 4000;
 
-const SYSTEM_PROMPT = (
-  'You are an SEO copywriter writing title tags and meta descriptions for individual web pages.'
-  + ' For each page, write exactly one title tag and one meta description.'
-  + ' Return JSON with the shape {"title": string, "meta": string} and nothing else.'
-  + '\n\nGuidelines:'
-  + '\n- Title: ≤ 60 characters, primary keyword in the first 40 characters, optional brand suffix only if it fits.'
-  + '\n- Meta description: ≤ 160 characters, includes a tangible benefit and a clear next step or context. No clickbait.'
-  + '\n- Tone: match the requested tone if provided; otherwise neutral, plain-English, no marketing fluff.'
-  + '\n- Never repeat the URL or H1 verbatim — paraphrase and improve.'
-  + '\n- Do not invent facts, prices, or quotes that are not present in the page content.'
-);
-
 function clampString(value, max) {
   if (typeof value !== 'string') return value;
   return value.length > max ? value.slice(0, max).trim() : value.trim();
@@ -29,14 +20,23 @@ function truncateExcerpt(value, max = DEFAULT_CONTENT_EXCERPT_CHARS) {
   return trimmed.length > max ? `${trimmed.slice(0, max)}…` : trimmed;
 }
 
-function buildTitlesPrompt({ page = {}, options = {}, previous = null } = {}) {
+function buildTitlesPrompt({ page = {}, options = {}, previous = null, glossary = null } = {}) {
   const titleMax = options.title_max_chars || DEFAULT_TITLE_MAX_CHARS;
   const metaMax = options.meta_max_chars || DEFAULT_META_MAX_CHARS;
-  const lines = [
-    `Write a title (≤${titleMax} chars) and meta description (≤${metaMax} chars) for this page.`,
-    '',
-    'Page:'
-  ];
+  const lines = page.product
+    ? [
+      `Write a product-page title (≤${titleMax} chars) and meta description (≤${metaMax} chars).`,
+      '',
+      'Product:',
+      ...buildProductLines(page.product, { prefix: '- ' }),
+      '',
+      'Page:'
+    ]
+    : [
+      `Write a title (≤${titleMax} chars) and meta description (≤${metaMax} chars) for this page.`,
+      '',
+      'Page:'
+    ];
 
   if (page.url) lines.push(`- URL: ${page.url}`);
   if (page.section) lines.push(`- Section: ${page.section}`);
@@ -57,6 +57,12 @@ function buildTitlesPrompt({ page = {}, options = {}, previous = null } = {}) {
     if (options.tone) lines.push(`- Tone: ${options.tone}`);
   }
 
+  const glossaryLines = buildGlossaryInstructions(glossary);
+  if (glossaryLines.length) {
+    lines.push('');
+    lines.push(...glossaryLines);
+  }
+
   if (previous && (previous.title || previous.meta)) {
     lines.push('');
     lines.push('This is a regeneration. Produce a distinctly different angle and phrasing.');
@@ -85,7 +91,12 @@ function parseTitlesResponse(content) {
   return match ? tryParseJson(match[0]) : null;
 }
 
-async function generateTitleAndMeta({ page, options = {}, previous = null } = {}) {
+/**
+ * `template` is the prompt template version picked by
+ * services/promptTemplates.js; without one the built-in system prompt for
+ * the page (product page or not) is used.
+ */
+async function generateTitleAndMeta({ page, options = {}, previous = null, glossary = null, template = null } = {}) {
   const apiKey = process.env.ALTTEXT_OPENAI_API_KEY || process.env.OPENAI_API_KEY;
   const preferredModel = process.env.OPENAI_TITLES_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini';
   const fallbackModel = 'gpt-4o-mini';
@@ -99,7 +110,7 @@ async function generateTitleAndMeta({ page, options = {}, previous = null } = {}
     throw configError;
   }
 
-  const prompt = buildTitlesPrompt({ page, options, previous });
+  const prompt = buildTitlesPrompt({ page, options, previous, glossary });
   const tsStart = Date.now();
   const isProdLogging = process.env.NODE_ENV === 'production';
 
@@ -112,7 +123,7 @@ async function generateTitleAndMeta({ page, options = {}, previous = null } = {}
     max_tokens: 220,
     response_format: { type: 'json_object' },
     messages: [
-      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'system', content: (template || getBuiltinPromptTemplate(titlesTemplateKey(page))).systemPrompt },
       { role: 'user', content: prompt }
     ]
   };
@@ -184,8 +195,15 @@ async function generateTitleAndMeta({ page, options = {}, previous = null } = {}
       throw parseError;
     }
 
-    const title = clampString(parsed.title, titleMax);
-    const meta = clampString(parsed.meta, metaMax);
+    // Enforce the glossary before clamping so rewrites still respect limits.
+    const titleCheck = enforceGlossary(parsed.title, glossary);
+    const metaCheck = enforceGlossary(parsed.meta, glossary);
+    const title = clampString(titleCheck.text, titleMax);
+    const meta = clampString(metaCheck.text, metaMax);
+    const glossaryViolations = [
+      ...titleCheck.violations.map((violation) => ({ ...violation, field: 'title' })),
+      ...metaCheck.violations.map((violation) => ({ ...violation, field: 'meta' }))
+    ];
 
     if (!title || !meta) {
       const emptyError = new Error('OpenAI returned empty title or meta description.');
@@ -219,7 +237,8 @@ async function generateTitleAndMeta({ page, options = {}, previous = null } = {}
       meta_info: {
         modelUsed,
         regenerated: Boolean(previous && (previous.title || previous.meta)),
-        latencyMs
+        latencyMs,
+        ...(glossaryViolations.length ? { glossary_violations: glossaryViolations } : {})
       }
     };
   } catch (error) {
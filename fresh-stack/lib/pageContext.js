@@ -0,0 +1,183 @@
+/**
+ * Where an image sits on the page, sent by the plugin as `page_context` on
+ * `/api/alt-text` and on bulk job items:
+ *   {
+ *     nearby_text: 'Paragraph around the image…',
+ *     heading: 'Nearest heading above the image',
+ *     link_href: 'https://example.com/product/blue-mug',
+ *     post_type: 'product',
+ *     product_name: 'Blue ceramic mug',
+ *     product_attributes: { Color: 'Blue', Material: ['Ceramic', 'Glaze'] }
+ *   }
+ *
+ * Input is normalized to a camelCase object (long strings are trimmed, not
+ * rejected) and rendered into the prompt under a token budget so long posts
+ * cannot crowd out the rest of the prompt. The normalized object is part of
+ * the result cache key: the same image on two pages gets two descriptions.
+ */
+
+const crypto = require('crypto');
+
+const FIELD_LIMITS = Object.freeze({
+  nearbyText: 2000,
+  heading: 200,
+  linkHref: 500,
+  postType: 40,
+  productName: 200,
+  attributeName: 60,
+  attributeValue: 120
+});
+const MAX_PRODUCT_ATTRIBUTES = 20;
+// Rough provider tokenization (~4 characters per token for English text).
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_PAGE_CONTEXT_TOKENS = 300;
+
+function cleanText(value, limit) {
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  if (text.length <= limit) return text;
+  const cut = text.slice(0, limit);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > limit * 0.6 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+function readString(source, key, limit, errors) {
+  const value = source[key];
+  if (value == null || value === '') return null;
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    errors.push(`${key} must be a string`);
+    return null;
+  }
+  return cleanText(value, limit) || null;
+}
+
+/**
+ * `{ Color: 'Blue', Size: ['S', 'M'] }` or `[{ name, value }]` -> ordered
+ * `[{ name, value }]`, trimmed; entries without a usable value are dropped.
+ */
+function normalizeAttributes(value, errors, field = 'product_attributes') {
+  if (value == null) return [];
+  const entries = Array.isArray(value)
+    ? value.map((item) => [item?.name, item?.value])
+    : typeof value === 'object' ? Object.entries(value) : null;
+  if (!entries) {
+    errors.push(`${field} must be an object or an array of { name, value }`);
+    return [];
+  }
+
+  const attributes = [];
+  for (const [name, raw] of entries) {
+    const values = (Array.isArray(raw) ? raw : [raw]).filter((item) => typeof item === 'string' || typeof item === 'number');
+    if (typeof name !== 'string' || !name.trim() || !values.length) continue;
+    attributes.push({
+      name: cleanText(name, FIELD_LIMITS.attributeName),
+      value: cleanText(values.join(', '), FIELD_LIMITS.attributeValue)
+    });
+    if (attributes.length >= MAX_PRODUCT_ATTRIBUTES) break;
+  }
+  return attributes;
+}
+
+/**
+ * Validate and normalize `page_context` input.
+ *
+ * @returns {{ pageContext: object|null, errors: string[] }}
+ */
+function normalizePageContext(input) {
+  const errors = [];
+  if (input == null) return { pageContext: null, errors };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { pageContext: null, errors: ['page_context must be an object'] };
+  }
+
+  const linkHref = readString(input, 'link_href', FIELD_LIMITS.linkHref, errors);
+  if (linkHref && !/^(https?:\/\/|\/)/i.test(linkHref)) {
+    errors.push('link_href must be an http(s) URL or a site-relative path');
+  }
+  const postType = readString(input, 'post_type', FIELD_LIMITS.postType, errors);
+  if (postType && !/^[a-z0-9_-]+$/i.test(postType)) {
+    errors.push('post_type must be a post type slug such as "post" or "product"');
+  }
+
+  const pageContext = {
+    nearbyText: readString(input, 'nearby_text', FIELD_LIMITS.nearbyText, errors),
+    heading: readString(input, 'heading', FIELD_LIMITS.heading, errors),
+    linkHref,
+    postType: postType ? postType.toLowerCase() : null,
+    productName: readString(input, 'product_name', FIELD_LIMITS.productName, errors),
+    productAttributes: normalizeAttributes(input.product_attributes, errors)
+  };
+  if (errors.length) return { pageContext: null, errors };
+  return { pageContext: isEmptyPageContext(pageContext) ? null : pageContext, errors };
+}
+
+function isEmptyPageContext(pageContext) {
+  if (!pageContext) return true;
+  return !pageContext.nearbyText
+    && !pageContext.heading
+    && !pageContext.linkHref
+    && !pageContext.postType
+    && !pageContext.productName
+    && !(pageContext.productAttributes || []).length;
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+function resolvePageContextTokenBudget() {
+  const configured = Number.parseInt(process.env.ALT_TEXT_PAGE_CONTEXT_TOKENS || '', 10);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_PAGE_CONTEXT_TOKENS;
+}
+
+/**
+ * Prompt lines for a normalized page context, most specific first (product,
+ * heading, link, post type). Nearby text gets whatever budget is left and is
+ * cut at a word boundary; lines that do not fit are dropped.
+ */
+function buildPageContextLines(pageContext, { maxTokens = resolvePageContextTokenBudget() } = {}) {
+  if (isEmptyPageContext(pageContext)) return [];
+
+  const candidates = [];
+  if (pageContext.productName) candidates.push(`Product: ${pageContext.productName}`);
+  if (pageContext.productAttributes?.length) {
+    candidates.push(`Product attributes: ${pageContext.productAttributes.map((item) => `${item.name}: ${item.value}`).join('; ')}`);
+  }
+  if (pageContext.heading) candidates.push(`Section heading: ${pageContext.heading}`);
+  if (pageContext.linkHref) candidates.push(`Image links to: ${pageContext.linkHref}`);
+  if (pageContext.postType) candidates.push(`Content type: ${pageContext.postType}`);
+
+  const lines = [];
+  let remaining = maxTokens;
+  for (const line of candidates) {
+    const cost = estimateTokens(line);
+    if (cost > remaining) continue;
+    lines.push(line);
+    remaining -= cost;
+  }
+
+  if (pageContext.nearbyText) {
+    const label = 'Nearby text: ';
+    const room = (remaining - estimateTokens(label)) * CHARS_PER_TOKEN;
+    // Below ~15 words the excerpt says little; leave it out.
+    if (room >= 80) {
+      lines.push(`${label}${pageContext.nearbyText.length > room ? cleanText(pageContext.nearbyText, room - 1) : pageContext.nearbyText}`);
+    }
+  }
+  return lines;
+}
+
+function pageContextFingerprint(pageContext) {
+  if (isEmptyPageContext(pageContext)) return null;
+  return crypto.createHash('sha256').update(JSON.stringify(pageContext)).digest('hex').slice(0, 16);
+}
+
+module.exports = {
+  DEFAULT_PAGE_CONTEXT_TOKENS,
+  buildPageContextLines,
+  cleanText,
+  estimateTokens,
+  isEmptyPageContext,
+  normalizeAttributes,
+  normalizePageContext,
+  pageContextFingerprint
+};
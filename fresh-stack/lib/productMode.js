@@ -0,0 +1,91 @@
+/**
+ * Product mode for WooCommerce-style catalog images and product pages.
+ *
+ * Sent as `product` on `/api/alt-text` and `/api/jobs` items, and as
+ * `page.product` on `/api/titles/generate` and `/api/titles/jobs` pages:
+ *   {
+ *     name: 'Trail Runner 2',                    // required
+ *     sku: 'TR2-BLU-42',
+ *     brand: 'Acme',
+ *     category: 'Running shoes',
+ *     attributes: { Color: 'Blue', Size: '42' }  // the variant shown
+ *   }
+ *
+ * When present, generation switches to the product prompt templates
+ * (lib/openai.js, lib/openaiTitles.js): alt text names the product and the
+ * variant, titles and metas follow product-page conventions. The normalized
+ * product is part of the cache key and request fingerprints.
+ */
+
+const crypto = require('crypto');
+const { cleanText, normalizeAttributes } = require('./pageContext');
+
+const FIELD_LIMITS = Object.freeze({
+  name: 200,
+  sku: 64,
+  brand: 120,
+  category: 200
+});
+
+function readField(input, key, errors) {
+  const value = input[key];
+  if (value == null || value === '') return null;
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    errors.push(`product.${key} must be a string`);
+    return null;
+  }
+  return cleanText(value, FIELD_LIMITS[key]) || null;
+}
+
+/**
+ * Validate and normalize `product` input.
+ *
+ * @returns {{ product: object|null, errors: string[] }}
+ */
+function normalizeProduct(input) {
+  const errors = [];
+  if (input == null) return { product: null, errors };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { product: null, errors: ['product must be an object'] };
+  }
+
+  const product = {
+    name: readField(input, 'name', errors),
+    sku: readField(input, 'sku', errors),
+    brand: readField(input, 'brand', errors),
+    category: readField(input, 'category', errors),
+    attributes: normalizeAttributes(input.attributes, errors, 'product.attributes')
+  };
+  if (!product.name && !errors.length) errors.push('product.name is required');
+  return errors.length ? { product: null, errors } : { product, errors };
+}
+
+function describeVariant(product) {
+  return (product.attributes || []).map((item) => `${item.name}: ${item.value}`).join('; ');
+}
+
+/**
+ * The "Product:" block shared by the alt-text and title templates.
+ */
+function buildProductLines(product, { prefix = '' } = {}) {
+  if (!product) return [];
+  const lines = [`${prefix}Name: ${product.name}`];
+  if (product.brand) lines.push(`${prefix}Brand: ${product.brand}`);
+  if (product.category) lines.push(`${prefix}Category: ${product.category}`);
+  const variant = describeVariant(product);
+  if (variant) lines.push(`${prefix}Variant: ${variant}`);
+  if (product.sku) lines.push(`${prefix}SKU: ${product.sku}`);
+  return lines;
+}
+
+function productFingerprint(product) {
+  if (!product) return null;
+  return crypto.createHash('sha256').update(JSON.stringify(product)).digest('hex').slice(0, 16);
+}
+
+module.exports = {
+  buildProductLines,
+  describeVariant,
+  normalizeProduct,
+  productFingerprint
+};
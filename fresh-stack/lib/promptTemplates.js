@@ -0,0 +1,210 @@
+/**
+ * Prompt templates for alt text and titles.
+ *
+ * A template is the editable part of a prompt: the system prompt and, for alt
+ * text, the instruction block the user prompt starts with. Everything derived
+ * from the request (hints, page context, product details, glossary, language)
+ * is still added by lib/openai.js and lib/openaiTitles.js.
+ *
+ * The versions below ship with the code as version "builtin". Further versions
+ * live in `prompt_templates` and are picked per plan/site or by experiment in
+ * services/promptTemplates.js.
+ */
+
+const PROMPT_TEMPLATE_KEYS = Object.freeze({
+  ALT_TEXT: 'alt_text',
+  ALT_TEXT_PRODUCT: 'alt_text_product',
+  TITLES: 'titles',
+  TITLES_PRODUCT: 'titles_product'
+});
+
+const BUILTIN_VERSION = 'builtin';
+const VERSION_PATTERN = /^[a-z0-9][a-z0-9._-]{0,39}$/;
+const MAX_PROMPT_LENGTH = 8000;
+const MAX_NOTES_LENGTH = 500;
+
+const ALT_TEXT_SYSTEM_PROMPT = 'You are an expert accessibility and SEO specialist who writes clear, descriptive alt text. Your alt text helps visually impaired users understand images and improves SEO. Always describe what the image IS and what it actually shows, using natural, conversational language.';
+
+const BUILTIN_PROMPT_TEMPLATES = Object.freeze({
+  [PROMPT_TEMPLATE_KEYS.ALT_TEXT]: Object.freeze({
+    key: PROMPT_TEMPLATE_KEYS.ALT_TEXT,
+    version: BUILTIN_VERSION,
+    systemPrompt: ALT_TEXT_SYSTEM_PROMPT,
+    instructions: [
+      'Write clear, descriptive alt text that accurately describes what the image IS and shows. Focus on accessibility and SEO.',
+      '',
+      'Guidelines:',
+      '- Length: 8-16 words, ideally under 125 characters (optimal for Google Images SEO)',
+      '- Describe WHAT the image is: What type (photo, illustration, screenshot, diagram, meme, etc.)? What does it show?',
+      '- Include key elements: Main subjects, actions, setting, colors, and any important text visible in the image',
+      '- Be specific and factual: Describe what is actually visible, not implied meaning',
+      '- Use natural language: Write conversationally, as if describing the image to someone who cannot see it',
+      '- Context awareness: If provided, incorporate relevant keywords from title, caption, or page context naturally',
+      '- Important text: Include any visible text verbatim (quotes, labels, headlines, etc.)',
+      '- Avoid redundancy: Never use "image of" or "picture of" - just describe what it is',
+      '',
+      'Examples:',
+      '- Good: "Aerial view of downtown Chicago skyline at sunset with Lake Michigan in foreground"',
+      '- Good: "Screenshot of mobile app interface showing login form with email and password fields"',
+      '- Good: "Group photo of five colleagues at a conference table reviewing documents"',
+      '- Avoid: "Image of a city" or "Picture showing people"'
+    ].join('\n')
+  }),
+  // Product mode (lib/productMode.js): name the product and the variant shown,
+  // then what the photo shows. Catalog data stays out unless it helps.
+  [PROMPT_TEMPLATE_KEYS.ALT_TEXT_PRODUCT]: Object.freeze({
+    key: PROMPT_TEMPLATE_KEYS.ALT_TEXT_PRODUCT,
+    version: BUILTIN_VERSION,
+    systemPrompt: ALT_TEXT_SYSTEM_PROMPT,
+    instructions: [
+      'Write alt text for a product photo on an online store. Name the product, then describe what this photo shows.',
+      '',
+      'Guidelines:',
+      '- Length: 8-16 words, ideally under 125 characters',
+      '- Start with the product name as given (add the brand only if it is part of how shoppers know the product)',
+      '- Name the variant when it is visible or given: color, size, material, pattern',
+      '- Then describe the shot: front, side, back, close-up detail, packaging, or in use (lifestyle), and the setting',
+      '- If the photo clearly shows a different color than the variant given, describe what is visible',
+      '- Never include prices, discounts, SKUs, or sales words such as "buy", "sale", "best" or "shop now"',
+      '- Avoid redundancy: Never use "image of" or "picture of"',
+      '',
+      'Examples:',
+      '- Good: "Acme Trail Runner 2 running shoe in blue, side view on a white background"',
+      '- Good: "Blue ceramic mug held in one hand beside an open laptop"',
+      '- Avoid: "Buy Acme Trail Runner 2 TR2-BLU-42 best price"'
+    ].join('\n')
+  }),
+  [PROMPT_TEMPLATE_KEYS.TITLES]: Object.freeze({
+    key: PROMPT_TEMPLATE_KEYS.TITLES,
+    version: BUILTIN_VERSION,
+    systemPrompt: (
+      'You are an SEO copywriter writing title tags and meta descriptions for individual web pages.'
+      + ' For each page, write exactly one title tag and one meta description.'
+      + ' Return JSON with the shape {"title": string, "meta": string} and nothing else.'
+      + '\n\nGuidelines:'
+      + '\n- Title: ≤ 60 characters, primary keyword in the first 40 characters, optional brand suffix only if it fits.'
+      + '\n- Meta description: ≤ 160 characters, includes a tangible benefit and a clear next step or context. No clickbait.'
+      + '\n- Tone: match the requested tone if provided; otherwise neutral, plain-English, no marketing fluff.'
+      + '\n- Never repeat the URL or H1 verbatim — paraphrase and improve.'
+      + '\n- Do not invent facts, prices, or quotes that are not present in the page content.'
+    ),
+    instructions: null
+  }),
+  // Product pages (page.product) follow commerce conventions.
+  [PROMPT_TEMPLATE_KEYS.TITLES_PRODUCT]: Object.freeze({
+    key: PROMPT_TEMPLATE_KEYS.TITLES_PRODUCT,
+    version: BUILTIN_VERSION,
+    systemPrompt: (
+      'You are an e-commerce SEO copywriter writing title tags and meta descriptions for product pages.'
+      + ' For each product page, write exactly one title tag and one meta description.'
+      + ' Return JSON with the shape {"title": string, "meta": string} and nothing else.'
+      + '\n\nGuidelines:'
+      + '\n- Title: ≤ 60 characters. Product name first, then the most searched differentiator (variant, size, material or model number), then "| Brand" only if it fits.'
+      + '\n- Meta description: ≤ 160 characters. Say what the product is and who it is for, name one or two concrete attributes, and end with a plain call to action such as "Shop the full range".'
+      + '\n- Keep SKUs out unless they are model numbers shoppers search for.'
+      + '\n- Never invent prices, discounts, stock levels, shipping terms or ratings that are not in the page content.'
+      + '\n- Tone: match the requested tone if provided; otherwise clear and specific, no hype.'
+    ),
+    instructions: null
+  })
+});
+
+function isTitlesTemplateKey(key) {
+  return key === PROMPT_TEMPLATE_KEYS.TITLES || key === PROMPT_TEMPLATE_KEYS.TITLES_PRODUCT;
+}
+
+function getBuiltinPromptTemplate(key) {
+  return BUILTIN_PROMPT_TEMPLATES[key] || null;
+}
+
+function altTextTemplateKey(context = {}) {
+  return context?.product ? PROMPT_TEMPLATE_KEYS.ALT_TEXT_PRODUCT : PROMPT_TEMPLATE_KEYS.ALT_TEXT;
+}
+
+function titlesTemplateKey(page = {}) {
+  return page?.product ? PROMPT_TEMPLATE_KEYS.TITLES_PRODUCT : PROMPT_TEMPLATE_KEYS.TITLES;
+}
+
+function readPrompt(input, key, errors, { required = false } = {}) {
+  const value = input[key];
+  if (value == null || value === '') {
+    if (required) errors.push(`${key} is required`);
+    return null;
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    errors.push(`${key} must be a non-empty string`);
+    return null;
+  }
+  if (value.length > MAX_PROMPT_LENGTH) {
+    errors.push(`${key} must be at most ${MAX_PROMPT_LENGTH} characters`);
+    return null;
+  }
+  return value.trim();
+}
+
+/**
+ * Validate a new template version:
+ *   { template_key: 'alt_text', version: 'v2', system_prompt, instructions?, notes? }
+ * Alt text templates need `instructions` (the guidelines the user prompt
+ * starts with); title templates only have a system prompt.
+ *
+ * @returns {{ template: object|null, errors: string[] }}
+ */
+function normalizePromptTemplate(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { template: null, errors: ['template must be an object'] };
+  }
+
+  const errors = [];
+  const key = input.template_key;
+  if (!Object.values(PROMPT_TEMPLATE_KEYS).includes(key)) {
+    errors.push(`template_key must be one of ${Object.values(PROMPT_TEMPLATE_KEYS).join(', ')}`);
+  }
+  const version = typeof input.version === 'string' ? input.version.trim().toLowerCase() : '';
+  if (!VERSION_PATTERN.test(version)) {
+    errors.push('version must be 1-40 lowercase letters, digits, ".", "_" or "-"');
+  } else if (version === BUILTIN_VERSION) {
+    errors.push(`version "${BUILTIN_VERSION}" is reserved for the prompts that ship with the code`);
+  }
+
+  const systemPrompt = readPrompt(input, 'system_prompt', errors, { required: true });
+  const titles = isTitlesTemplateKey(key);
+  const instructions = readPrompt(input, 'instructions', errors, { required: !titles && Boolean(key) });
+  if (titles && instructions) {
+    errors.push('instructions only apply to alt text templates');
+  }
+  let notes = null;
+  if (input.notes != null) {
+    if (typeof input.notes !== 'string') errors.push('notes must be a string');
+    else notes = input.notes.trim().slice(0, MAX_NOTES_LENGTH) || null;
+  }
+
+  if (errors.length) return { template: null, errors };
+  return { template: { key, version, systemPrompt, instructions, notes }, errors };
+}
+
+/**
+ * What gets recorded with a generation (usage_logs columns, ledger
+ * metadata): which template version wrote it and, under an experiment,
+ * which experiment picked it.
+ */
+function describePromptTemplate(template, assignment = null) {
+  if (!template) return null;
+  return {
+    template: template.key,
+    version: template.version,
+    experiment: assignment?.experiment || null
+  };
+}
+
+module.exports = {
+  BUILTIN_PROMPT_TEMPLATES,
+  BUILTIN_VERSION,
+  PROMPT_TEMPLATE_KEYS,
+  altTextTemplateKey,
+  describePromptTemplate,
+  getBuiltinPromptTemplate,
+  isTitlesTemplateKey,
+  normalizePromptTemplate,
+  titlesTemplateKey
+};
@@ -31,6 +31,7 @@ function buildBulkJobRecord(jobId, items, context, siteKey, acceptedAtMs, option
     jobId,
     type,
     status: 'accepted',
+    callback: options.callback || null,
     results: [],
     errors: [],
     total: items.length,
@@ -65,6 +66,52 @@ function buildBulkJobRecord(jobId, items, context, siteKey, acceptedAtMs, option
   };
 }
 
+// Durable dispatch (BULK_JOB_DISPATCH=redis). Jobs move atomically from the
+// pending list to a processing list when a worker claims them, and the worker
+// holds a lease key with a visibility timeout that it keeps extending while
+// the job runs. A job whose lease lapses (crashed or wedged instance) is put
+// back on the pending list by the reaper; a job that has been claimed
+// `maxAttempts` times goes to the dead-letter list for an operator to inspect,
+// retry or purge via /admin/jobs/dead.
+//
+// A freshly claimed job has no lease for the instant between RPOPLPUSH and the
+// lease write, so the reaper only requeues a job that it has seen without a
+// lease on two consecutive sweeps. It sweeps several times per visibility
+// timeout, so an abandoned job is back on the pending list within about
+// 1.4 visibility timeouts of its last heartbeat. Re-running a job is safe:
+// processors skip items that already finished and quota reservations are
+// idempotency-keyed.
+const DEFAULT_VISIBILITY_TIMEOUT_MS = 5 * 60 * 1000;
+const REAPER_SWEEPS_PER_VISIBILITY_TIMEOUT = 5;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+const DEAD_LETTER_PREVIEW_LIMIT = 50;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function parseQueuedJob(payload) {
+  try {
+    const job = JSON.parse(payload);
+    return job && typeof job === 'object' && job.jobId ? job : null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+function summarizeDeadJob(job) {
+  return {
+    jobId: job.jobId,
+    type: job.type || 'bulk_alt_text',
+    siteKey: job.siteKey || null,
+    itemCount: Array.isArray(job.items) ? job.items.length : 0,
+    attempts: job.attempts || 0,
+    lastError: job.lastError || null,
+    deadLetteredAt: job.deadLetteredAt || null
+  };
+}
+
 function createQueue({
   redis,
   jobHandler,
@@ -72,20 +119,40 @@ function createQueue({
   ttlSeconds = 60 * 60 * 24 * 7,
   queueKey = 'alttext:queue',
   bulkDispatchMode = 'immediate',
-  bulkRunner = null
+  bulkRunner = null,
+  visibilityTimeoutMs = DEFAULT_VISIBILITY_TIMEOUT_MS,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  autoStartWorkers = true,
+  jobWebhooks = null,
+  // Job records live under `${jobKeyPrefix}:${jobId}`; a second queue (audit
+  // jobs) uses its own prefix so the bulk-job routes never see its records.
+  jobKeyPrefix = 'alttext:job',
+  // Called with the job payload once it has used up its attempts.
+  onDeadLetter = null
 }) {
   const jobStore = new Map();
   const jobQueue = [];
+  const deadJobs = [];
+  const jobControls = new Map();
+  const parkedJobs = new Map();
   let activeWorkers = 0;
   let redisWorkersStarted = false;
+  let reaperTimer = null;
+  let stopped = false;
+  let leaselessLastSweep = new Set();
+
+  const processingKey = `${queueKey}:processing`;
+  const deadKey = `${queueKey}:dead`;
+  const leaseKey = (jobId) => `${queueKey}:lease:${jobId}`;
 
   async function setJobRecord(jobId, record) {
     record.updatedAt = nowIso();
     if (record.total > 0) {
-      record.progress = Math.min(1, (record.completed + record.failed) / record.total);
+      record.progress = Math.min(1, (record.completed + record.failed + (record.cancelled || 0)) / record.total);
     }
     if (redis) {
-      await redis.set(`alttext:job:${jobId}`, JSON.stringify(record), 'EX', ttlSeconds);
+      await redis.set(`${jobKeyPrefix}:${jobId}`, JSON.stringify(record), 'EX', ttlSeconds);
     } else {
       jobStore.set(jobId, record);
     }
@@ -93,7 +160,7 @@ function createQueue({
 
   async function getJobRecord(jobId) {
     if (redis) {
-      const val = await redis.get(`alttext:job:${jobId}`);
+      const val = await redis.get(`${jobKeyPrefix}:${jobId}`);
       return val ? JSON.parse(val) : null;
     }
     return jobStore.get(jobId) || null;
@@ -102,60 +169,340 @@ function createQueue({
   async function enqueueJob(job) {
     if (redis) {
       await redis.lpush(queueKey, JSON.stringify(job));
-      startRedisWorkers();
+      if (autoStartWorkers) startRedisWorkers();
     } else {
       jobQueue.push(job);
       processQueueInMemory();
     }
   }
 
+  async function markJobDeadLettered(job) {
+    if (onDeadLetter) {
+      try {
+        await onDeadLetter(job);
+      } catch (err) {
+        logger.error('[jobs] dead_letter_hook_failed', { job_id: job.jobId, error: err.message });
+      }
+    }
+    const record = await getJobRecord(job.jobId);
+    if (!record) return;
+    record.status = 'failed';
+    record.batchError = job.lastError;
+    record.deadLetteredAt = job.deadLetteredAt;
+    record.batchCompletedAt = record.batchCompletedAt || job.deadLetteredAt;
+    await setJobRecord(job.jobId, record);
+    notifyJobEvent({ event: 'job.failed', record, licenseKey: job.licenseKey });
+  }
+
+  /**
+   * Put a job that failed (or whose lease lapsed) back on the pending list,
+   * or on the dead-letter list once it has used up its attempts.
+   */
+  async function retryOrDeadLetter(job, attempt, reason) {
+    const next = { ...job, attempts: attempt, lastError: reason };
+    if (attempt < maxAttempts) {
+      logger.warn('[jobs] job_requeued', { job_id: job.jobId, attempt, max_attempts: maxAttempts, reason });
+      if (redis) {
+        await redis.lpush(queueKey, JSON.stringify(next));
+      } else {
+        jobQueue.push(next);
+      }
+      return 'requeued';
+    }
+
+    next.deadLetteredAt = nowIso();
+    logger.error('[jobs] job_dead_lettered', { job_id: job.jobId, attempts: attempt, reason });
+    if (redis) {
+      await redis.lpush(deadKey, JSON.stringify(next));
+    } else {
+      deadJobs.unshift(next);
+    }
+    await markJobDeadLettered(next);
+    return 'dead_lettered';
+  }
+
   async function processQueueInMemory() {
     if (activeWorkers >= concurrency) return;
     const next = jobQueue.shift();
     if (!next) return;
     activeWorkers += 1;
+    const attempt = (next.attempts || 0) + 1;
     try {
-      await jobHandler(next);
+      await jobHandler({ ...next, attempt });
+    } catch (err) {
+      await retryOrDeadLetter(next, attempt, err.message || 'JOB_FAILED');
     } finally {
       activeWorkers -= 1;
       if (jobQueue.length) processQueueInMemory();
     }
   }
 
+  /**
+   * Claim and run one pending job. Resolves false when the queue was empty.
+   */
+  async function processNext(workerId = 'worker') {
+    const payload = await redis.rpoplpush(queueKey, processingKey);
+    if (!payload) return false;
+
+    const job = parseQueuedJob(payload);
+    if (!job) {
+      logger.error('[jobs] unreadable queue payload dead-lettered', { worker_id: workerId });
+      await redis.lrem(processingKey, 1, payload);
+      await redis.lpush(deadKey, JSON.stringify({ jobId: null, payload, lastError: 'INVALID_PAYLOAD', deadLetteredAt: nowIso() }));
+      return true;
+    }
+
+    const attempt = (job.attempts || 0) + 1;
+    await redis.set(leaseKey(job.jobId), JSON.stringify({ worker_id: workerId, attempt, claimed_at: nowIso() }), 'PX', visibilityTimeoutMs);
+    const heartbeat = setInterval(() => {
+      redis.pexpire(leaseKey(job.jobId), visibilityTimeoutMs).catch((err) => {
+        logger.warn('[jobs] lease_heartbeat_failed', { job_id: job.jobId, error: err.message });
+      });
+    }, Math.max(1000, Math.floor(visibilityTimeoutMs / 3)));
+    heartbeat.unref?.();
+
+    try {
+      await jobHandler({ ...job, attempt });
+    } catch (err) {
+      logger.error('[jobs] job_attempt_failed', { job_id: job.jobId, attempt, error: err.message });
+      if (await redis.lrem(processingKey, 1, payload)) {
+        await retryOrDeadLetter(job, attempt, err.message || 'JOB_FAILED');
+      }
+      return true;
+    } finally {
+      clearInterval(heartbeat);
+      await redis.del(leaseKey(job.jobId));
+    }
+
+    await redis.lrem(processingKey, 1, payload);
+    return true;
+  }
+
+  /**
+   * One reaper sweep: requeue (or dead-letter) claimed jobs whose lease has
+   * lapsed on this and the previous sweep. Returns the number reclaimed.
+   */
+  async function requeueExpiredLeases() {
+    if (!redis) return 0;
+    const payloads = await redis.lrange(processingKey, 0, -1);
+    const leaseless = new Set();
+    let reclaimed = 0;
+
+    for (const payload of payloads) {
+      const job = parseQueuedJob(payload);
+      if (!job) continue;
+      if (await redis.get(leaseKey(job.jobId))) continue;
+      if (!leaselessLastSweep.has(payload)) {
+        leaseless.add(payload);
+        continue;
+      }
+      // LREM is the claim: when several instances sweep at once only one
+      // removes the payload and requeues it.
+      if (!(await redis.lrem(processingKey, 1, payload))) continue;
+      await retryOrDeadLetter(job, (job.attempts || 0) + 1, 'LEASE_EXPIRED');
+      reclaimed += 1;
+    }
+
+    leaselessLastSweep = leaseless;
+    if (reclaimed) {
+      logger.warn('[jobs] abandoned_jobs_reclaimed', { count: reclaimed });
+    }
+    return reclaimed;
+  }
+
   function startRedisWorkers() {
     if (redisWorkersStarted || !redis) return;
     redisWorkersStarted = true;
+    stopped = false;
     for (let i = 0; i < concurrency; i += 1) {
-      redisWorkerLoop();
+      redisWorkerLoop(`${process.pid}:${i}`);
     }
+    reaperTimer = setInterval(() => {
+      requeueExpiredLeases().catch((err) => {
+        logger.error('[jobs] reaper error', err.message);
+      });
+    }, Math.max(1000, Math.floor(visibilityTimeoutMs / REAPER_SWEEPS_PER_VISIBILITY_TIMEOUT)));
+    reaperTimer.unref?.();
+  }
+
+  function stopRedisWorkers() {
+    stopped = true;
+    redisWorkersStarted = false;
+    if (reaperTimer) clearInterval(reaperTimer);
+    reaperTimer = null;
   }
 
-  async function redisWorkerLoop() {
-    while (true) {
+  async function redisWorkerLoop(workerId) {
+    while (!stopped) {
       try {
-        const res = await redis.brpop(queueKey, 2);
-        if (!res) continue;
-        const [, payload] = res;
-        const job = JSON.parse(payload);
-        await jobHandler(job);
+        const worked = await processNext(workerId);
+        if (!worked) await sleep(pollIntervalMs);
       } catch (err) {
         logger.error('[jobs] worker error', err.message);
-        await new Promise(r => setTimeout(r, 300));
+        await sleep(300);
       }
     }
   }
 
+  async function readDeadJobs() {
+    if (!redis) return deadJobs.map((job) => ({ job, payload: null }));
+    const payloads = await redis.lrange(deadKey, 0, -1);
+    return payloads.map((payload) => ({ job: parseQueuedJob(payload) || { jobId: null, lastError: 'INVALID_PAYLOAD' }, payload }));
+  }
+
+  async function removeDeadEntry(entry) {
+    if (redis) return (await redis.lrem(deadKey, 1, entry.payload)) > 0;
+    const index = deadJobs.indexOf(entry.job);
+    if (index === -1) return false;
+    deadJobs.splice(index, 1);
+    return true;
+  }
+
+  async function getQueueStats() {
+    if (!redis) {
+      return { durable: false, pending: jobQueue.length, processing: activeWorkers, dead: deadJobs.length };
+    }
+    const [pending, processing, dead] = await Promise.all([
+      redis.llen(queueKey),
+      redis.llen(processingKey),
+      redis.llen(deadKey)
+    ]);
+    return { durable: true, pending, processing, dead };
+  }
+
   /**
-   * Bulk alt-text job: persists record, then either runs immediately on this process
-   * (default) or enqueues for a worker (redis / multi-instance).
+   * Dead-lettered jobs, newest first. Summaries only: job payloads carry
+   * image data.
+   */
+  async function listDeadJobs({ limit = DEAD_LETTER_PREVIEW_LIMIT } = {}) {
+    const entries = await readDeadJobs();
+    return entries.slice(0, Math.max(1, limit)).map((entry) => summarizeDeadJob(entry.job));
+  }
+
+  /**
+   * Move a dead-lettered job back onto the pending list with a fresh attempt
+   * budget. Resolves null when the job is not in the dead-letter list.
+   */
+  async function retryDeadJob(jobId) {
+    const entry = (await readDeadJobs()).find((candidate) => candidate.job.jobId === jobId);
+    if (!entry || !(await removeDeadEntry(entry))) return null;
+
+    const { attempts, lastError: _lastError, deadLetteredAt: _deadLetteredAt, attempt: _attempt, ...job } = entry.job;
+    const record = await getJobRecord(jobId);
+    if (record) {
+      record.status = 'accepted';
+      record.batchError = null;
+      record.deadLetteredAt = null;
+      record.batchCompletedAt = null;
+      await setJobRecord(jobId, record);
+    }
+    logger.info('[jobs] dead_job_retried', { job_id: jobId, previous_attempts: attempts || 0 });
+    await enqueueJob(job);
+    return summarizeDeadJob(entry.job);
+  }
+
+  /**
+   * Drop one dead-lettered job, or the whole list when no id is given.
+   * Resolves the number of jobs removed.
+   */
+  async function purgeDeadJobs({ jobId = null } = {}) {
+    const entries = await readDeadJobs();
+    const targets = jobId ? entries.filter((entry) => entry.job.jobId === jobId) : entries;
+    let removed = 0;
+    if (!jobId && redis) {
+      if (targets.length) await redis.del(deadKey);
+      removed = targets.length;
+    } else {
+      for (const entry of targets) {
+        if (await removeDeadEntry(entry)) removed += 1;
+      }
+    }
+    logger.info('[jobs] dead_jobs_purged', { job_id: jobId, removed });
+    return removed;
+  }
+
+  /**
+   * Run a job immediately on this process (default) or enqueue it for a
+   * worker (redis / multi-instance).
+   */
+  async function dispatchJob(job) {
+    if (bulkDispatchMode === 'redis' && redis) {
+      await enqueueJob(job);
+      return;
+    }
+    setImmediate(async () => {
+      if (!bulkRunner) {
+        logger.error('[bulk] bulkRunner not configured', { jobId: job.jobId });
+        return;
+      }
+      try {
+        await bulkRunner(job);
+      } catch (err) {
+        logger.error('[bulk] bulkRunner threw', { jobId: job.jobId, error: err.message });
+        // Immediate dispatch has no retry: the failure is final.
+        notifyJobEvent({ event: 'job.failed', record: await getJobRecord(job.jobId), licenseKey: job.licenseKey });
+      }
+    });
+  }
+
+  // Webhook callbacks (services/jobWebhooks.js) for terminal states decided
+  // here or outside a processor; fire-and-forget.
+  function notifyJobEvent({ event, record, licenseKey }) {
+    if (!jobWebhooks || !record) return;
+    jobWebhooks.notify({ event, record, licenseKey });
+  }
+
+  // Pause / cancel (services/bulkJobControl.js). The control state lives in
+  // its own key so processors, which rewrite the whole job record between
+  // items, never clobber a request made mid-run. A paused job's payload is
+  // parked until it is resumed or cancelled; `unparkJob` is the claim, so
+  // exactly one caller gets the payload back.
+  async function getJobControl(jobId) {
+    if (redis) {
+      return (await redis.get(`${jobKeyPrefix}:${jobId}:control`)) || 'running';
+    }
+    return jobControls.get(jobId) || 'running';
+  }
+
+  async function setJobControl(jobId, state) {
+    if (redis) {
+      await redis.set(`${jobKeyPrefix}:${jobId}:control`, state, 'EX', ttlSeconds);
+    } else {
+      jobControls.set(jobId, state);
+    }
+  }
+
+  async function parkJob(job) {
+    const { attempt: _attempt, ...payload } = job;
+    if (redis) {
+      await redis.set(`${jobKeyPrefix}:${job.jobId}:parked`, JSON.stringify(payload), 'EX', ttlSeconds);
+    } else {
+      parkedJobs.set(job.jobId, payload);
+    }
+  }
+
+  async function unparkJob(jobId) {
+    if (redis) {
+      const key = `${jobKeyPrefix}:${jobId}:parked`;
+      const payload = await redis.get(key);
+      if (!payload || !(await redis.del(key))) return null;
+      return parseQueuedJob(payload);
+    }
+    const job = parkedJobs.get(jobId) || null;
+    parkedJobs.delete(jobId);
+    return job;
+  }
+
+  /**
+   * Bulk alt-text job: persists record, then dispatches it (see dispatchJob).
    */
   async function createJob(items, context, siteKey, meta = {}) {
     const jobId = crypto.randomUUID();
     const acceptedAtMs = Date.now();
-    const { licenseKey, userInfo, jobType } = meta;
+    const { licenseKey, userInfo, jobType, callback } = meta;
     const type = jobType || 'bulk_alt_text';
 
-    const jobRecord = buildBulkJobRecord(jobId, items, context, siteKey, acceptedAtMs, { type });
+    const jobRecord = buildBulkJobRecord(jobId, items, context, siteKey, acceptedAtMs, { type, callback });
     await setJobRecord(jobId, jobRecord);
 
     const job = {
@@ -169,25 +516,7 @@ function createQueue({
       acceptedAtMs
     };
 
-    const runBulk = async () => {
-      if (!bulkRunner) {
-        logger.error('[bulk] bulkRunner not configured', { jobId });
-        return;
-      }
-      try {
-        await bulkRunner(job);
-      } catch (err) {
-        logger.error('[bulk] bulkRunner threw', { jobId, error: err.message });
-      }
-    };
-
-    if (bulkDispatchMode === 'redis' && redis) {
-      await enqueueJob(job);
-    } else {
-      setImmediate(() => {
-        runBulk();
-      });
-    }
+    await dispatchJob(job);
 
     return jobId;
   }
@@ -197,8 +526,27 @@ function createQueue({
     getJobRecord,
     setJobRecord,
     startRedisWorkers,
-    enqueueJob
+    stopRedisWorkers,
+    enqueueJob,
+    dispatchJob,
+    notifyJobEvent,
+    getJobControl,
+    setJobControl,
+    parkJob,
+    unparkJob,
+    processNext,
+    requeueExpiredLeases,
+    getQueueStats,
+    listDeadJobs,
+    retryDeadJob,
+    purgeDeadJobs
   };
 }
 
-module.exports = { createQueue, buildBulkJobRecord, normalizeItemIdentifier };
+module.exports = {
+  DEFAULT_MAX_ATTEMPTS,
+  DEFAULT_VISIBILITY_TIMEOUT_MS,
+  createQueue,
+  buildBulkJobRecord,
+  normalizeItemIdentifier
+};
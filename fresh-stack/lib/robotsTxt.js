@@ -0,0 +1,180 @@
+/**
+ * robots.txt parsing and matching for the public-site crawler
+ * (services/imageSeoAudit.js crawlPublicSite).
+ *
+ * Follows RFC 9309 as Google implements it:
+ *  - the crawler obeys the group whose `User-agent` is the longest match for
+ *    its product token (case-insensitive), else the `*` group; groups that
+ *    name the same agent are merged
+ *  - the longest matching `Allow`/`Disallow` path wins, `Allow` on a tie
+ *  - `*` matches any run of characters, a trailing `$` anchors the end
+ *  - an empty `Disallow:` allows everything
+ * `Crawl-delay` (seconds, not in the RFC but widely used) is read from the
+ * same group. `Sitemap:` lines apply to the whole file.
+ */
+
+// Never let a site stall an audit: delays above this are clamped.
+const MAX_CRAWL_DELAY_MS = 10 * 1000;
+// RFC 9309 asks crawlers to parse at least 500 KiB.
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+function productToken(userAgent) {
+  return String(userAgent || '').split(/[\s/]/)[0].toLowerCase();
+}
+
+/**
+ * @returns {{ groups: Array<{ agents: string[], rules: Array<{ allow: boolean, path: string }>, crawlDelaySeconds: number | null }>, sitemaps: string[] }}
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || '').slice(0, MAX_ROBOTS_BYTES).split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator <= 0) continue;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group.
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelaySeconds: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // `Disallow:` with no path allows everything; it adds no rule.
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = Number.parseFloat(value);
+      if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelaySeconds = seconds;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+function selectGroups(groups, userAgent) {
+  const token = productToken(userAgent);
+  let bestLength = -1;
+  let selected = [];
+  for (const group of groups) {
+    for (const agent of group.agents) {
+      const matches = agent === '*' ? token.length > 0 : Boolean(agent) && token.includes(agent);
+      if (!matches) continue;
+      // `*` ranks below any named agent.
+      const length = agent === '*' ? 0 : agent.length;
+      if (length > bestLength) {
+        bestLength = length;
+        selected = [group];
+      } else if (length === bestLength && !selected.includes(group)) {
+        selected.push(group);
+      }
+    }
+  }
+  return selected;
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+function normalizePathForMatch(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (_error) {
+    return value;
+  }
+}
+
+/**
+ * Rules for one crawler. `isAllowed` takes a URL (or path) on the same
+ * origin the robots.txt came from.
+ */
+function createRobotsPolicy(text, userAgent) {
+  const parsed = parseRobotsTxt(text);
+  const groups = selectGroups(parsed.groups, userAgent);
+  const rules = groups.flatMap((group) => group.rules).map((rule) => ({
+    ...rule,
+    // Rule length for precedence counts the pattern as written.
+    length: rule.path.length,
+    regexp: patternToRegExp(normalizePathForMatch(rule.path))
+  }));
+  const delays = groups.map((group) => group.crawlDelaySeconds).filter((seconds) => seconds !== null);
+  const crawlDelayMs = delays.length
+    ? Math.min(Math.round(Math.max(...delays) * 1000), MAX_CRAWL_DELAY_MS)
+    : 0;
+
+  function isAllowed(target) {
+    let path;
+    try {
+      const url = target instanceof URL ? target : new URL(String(target), 'http://robots.invalid');
+      path = `${url.pathname}${url.search}`;
+    } catch (_error) {
+      return true;
+    }
+    if (path === '/robots.txt') return true;
+    const candidate = normalizePathForMatch(path);
+
+    let winner = null;
+    for (const rule of rules) {
+      if (!rule.regexp.test(candidate)) continue;
+      if (!winner || rule.length > winner.length || (rule.length === winner.length && rule.allow)) {
+        winner = rule;
+      }
+    }
+    return winner ? winner.allow : true;
+  }
+
+  return {
+    isAllowed,
+    crawlDelayMs,
+    sitemaps: parsed.sitemaps,
+    hasRules: rules.length > 0
+  };
+}
+
+// Used when robots.txt is missing (4xx): crawl everything.
+const ALLOW_ALL_POLICY = Object.freeze({
+  isAllowed: () => true,
+  crawlDelayMs: 0,
+  sitemaps: [],
+  hasRules: false
+});
+
+// Used when robots.txt is unreachable (5xx, network failure): RFC 9309
+// says to assume a complete disallow.
+const DISALLOW_ALL_POLICY = Object.freeze({
+  isAllowed: () => false,
+  crawlDelayMs: 0,
+  sitemaps: [],
+  hasRules: true
+});
+
+module.exports = {
+  ALLOW_ALL_POLICY,
+  DISALLOW_ALL_POLICY,
+  MAX_CRAWL_DELAY_MS,
+  createRobotsPolicy,
+  parseRobotsTxt
+};
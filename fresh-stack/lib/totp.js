@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) as authenticator apps generate
+ * them: HMAC-SHA1, 30-second steps, 6 digits, secrets in RFC 4648 base32.
+ * Every function takes `now` (ms) so callers and tests control the clock.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateTotpSecret(byteLength = 20) {
+  return base32Encode(crypto.randomBytes(byteLength));
+}
+
+function totpStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+// HOTP (RFC 4226) for one counter value.
+function hotp(key, counter, digits) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', key).update(buffer).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = ((digest[offset] & 0x7f) << 24)
+    | (digest[offset + 1] << 16)
+    | (digest[offset + 2] << 8)
+    | digest[offset + 3];
+  return String(binary % (10 ** digits)).padStart(digits, '0');
+}
+
+function generateTotp(secret, { now = Date.now(), step = totpStep(now), digits = TOTP_DIGITS } = {}) {
+  return hotp(base32Decode(secret), step, digits);
+}
+
+/**
+ * Check a code against the current step and `window` steps either side
+ * (clock drift). Returns the matching step, so callers can refuse a code
+ * that was already used, or null.
+ */
+function verifyTotp(secret, code, { now = Date.now(), window = 1, digits = TOTP_DIGITS } = {}) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(candidate)) return null;
+  const key = base32Decode(secret);
+  const current = totpStep(now);
+  for (let offset = -window; offset <= window; offset += 1) {
+    const expected = hotp(key, current + offset, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return current + offset;
+    }
+  }
+  return null;
+}
+
+function buildOtpauthUrl({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  TOTP_STEP_SECONDS,
+  base32Decode,
+  base32Encode,
+  buildOtpauthUrl,
+  generateTotp,
+  generateTotpSecret,
+  totpStep,
+  verifyTotp
+};
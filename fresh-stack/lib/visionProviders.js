@@ -0,0 +1,285 @@
+/**
+ * Vision provider adapters for alt-text generation.
+ *
+ * Each adapter turns one "system prompt + user prompt + image" request into
+ * the vendor's HTTP call and normalizes the reply to `{ text, usage }` with
+ * OpenAI-style token counts, so `generateAltText` and the usage ledger stay
+ * provider-agnostic. Failures are left as raw axios errors and classified
+ * by `classifyProviderError` in ./generationErrors.
+ *
+ * Selection (first match wins):
+ *  1. explicit `provider` argument
+ *  2. ALT_TEXT_PROVIDER_<PLAN>   e.g. ALT_TEXT_PROVIDER_TRIAL=local
+ *  3. ALT_TEXT_PROVIDER           environment-wide default
+ *  4. openai
+ */
+
+const DEFAULT_VISION_PROVIDER = 'openai';
+const DEFAULT_TIMEOUT_MS = 60000;
+const ANTHROPIC_API_VERSION = '2023-06-01';
+
+function readEnv(...keys) {
+  for (const key of keys) {
+    const value = process.env[key];
+    if (typeof value === 'string' && value.trim() !== '') {
+      return value.trim();
+    }
+  }
+  return null;
+}
+
+function trimTrailingSlash(url) {
+  return String(url).replace(/\/+$/, '');
+}
+
+function toImageDataUrl(image) {
+  return image.base64
+    ? `data:${image.mime_type || 'image/jpeg'};base64,${image.base64}`
+    : image.url;
+}
+
+function parseChatCompletion(data) {
+  const content = data?.choices?.[0]?.message?.content;
+  return {
+    text: typeof content === 'string' ? content.trim() : null,
+    usage: data?.usage || null
+  };
+}
+
+function buildChatCompletionBody({ model, systemPrompt, prompt, image, maxTokens, temperature }) {
+  return {
+    model,
+    temperature,
+    max_tokens: maxTokens,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          { type: 'image_url', image_url: { url: toImageDataUrl(image), detail: 'auto' } }
+        ]
+      }
+    ]
+  };
+}
+
+const VISION_PROVIDERS = Object.freeze({
+  openai: {
+    name: 'openai',
+    label: 'OpenAI',
+    apiKeyEnv: ['ALTTEXT_OPENAI_API_KEY', 'OPENAI_API_KEY'],
+    requiresApiKey: true,
+    supportsImageUrl: true,
+    defaultModel: () => readEnv('OPENAI_MODEL') || 'gpt-4o',
+    fallbackModel: 'gpt-4o-mini',
+    buildRequest({ apiKey, ...request }) {
+      const baseUrl = trimTrailingSlash(readEnv('OPENAI_BASE_URL') || 'https://api.openai.com/v1');
+      return {
+        url: `${baseUrl}/chat/completions`,
+        body: buildChatCompletionBody(request),
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        }
+      };
+    },
+    parseResponse: parseChatCompletion
+  },
+
+  anthropic: {
+    name: 'anthropic',
+    label: 'Anthropic',
+    apiKeyEnv: ['ANTHROPIC_API_KEY'],
+    requiresApiKey: true,
+    supportsImageUrl: true,
+    defaultModel: () => readEnv('ANTHROPIC_MODEL') || 'claude-3-5-sonnet-latest',
+    fallbackModel: 'claude-3-5-haiku-latest',
+    buildRequest({ apiKey, model, systemPrompt, prompt, image, maxTokens, temperature }) {
+      const source = image.base64
+        ? { type: 'base64', media_type: image.mime_type || 'image/jpeg', data: image.base64 }
+        : { type: 'url', url: image.url };
+      return {
+        url: `${trimTrailingSlash(readEnv('ANTHROPIC_BASE_URL') || 'https://api.anthropic.com/v1')}/messages`,
+        body: {
+          model,
+          system: systemPrompt,
+          temperature,
+          max_tokens: maxTokens,
+          messages: [
+            {
+              role: 'user',
+              content: [
+                { type: 'image', source },
+                { type: 'text', text: prompt }
+              ]
+            }
+          ]
+        },
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': ANTHROPIC_API_VERSION,
+          'Content-Type': 'application/json'
+        }
+      };
+    },
+    parseResponse(data) {
+      const text = Array.isArray(data?.content)
+        ? data.content
+          .filter((block) => block?.type === 'text' && typeof block.text === 'string')
+          .map((block) => block.text)
+          .join('')
+          .trim()
+        : null;
+      const inputTokens = data?.usage?.input_tokens;
+      const outputTokens = data?.usage?.output_tokens;
+      return {
+        text: text || null,
+        usage: data?.usage
+          ? {
+            prompt_tokens: inputTokens ?? null,
+            completion_tokens: outputTokens ?? null,
+            total_tokens: (inputTokens || 0) + (outputTokens || 0)
+          }
+          : null
+      };
+    }
+  },
+
+  gemini: {
+    name: 'gemini',
+    label: 'Gemini',
+    apiKeyEnv: ['GEMINI_API_KEY', 'GOOGLE_API_KEY'],
+    requiresApiKey: true,
+    // generateContent only accepts inline bytes or uploaded file URIs, not
+    // arbitrary public image URLs.
+    supportsImageUrl: false,
+    defaultModel: () => readEnv('GEMINI_MODEL') || 'gemini-1.5-flash',
+    fallbackModel: 'gemini-1.5-flash-8b',
+    buildRequest({ apiKey, model, systemPrompt, prompt, image, maxTokens, temperature }) {
+      const baseUrl = trimTrailingSlash(readEnv('GEMINI_BASE_URL') || 'https://generativelanguage.googleapis.com/v1beta');
+      return {
+        url: `${baseUrl}/models/${encodeURIComponent(model)}:generateContent`,
+        body: {
+          system_instruction: { parts: [{ text: systemPrompt }] },
+          contents: [
+            {
+              role: 'user',
+              parts: [
+                { text: prompt },
+                { inline_data: { mime_type: image.mime_type || 'image/jpeg', data: image.base64 } }
+              ]
+            }
+          ],
+          generationConfig: {
+            temperature,
+            maxOutputTokens: maxTokens
+          }
+        },
+        headers: {
+          'x-goog-api-key': apiKey,
+          'Content-Type': 'application/json'
+        }
+      };
+    },
+    parseResponse(data) {
+      const parts = data?.candidates?.[0]?.content?.parts;
+      const text = Array.isArray(parts)
+        ? parts
+          .filter((part) => typeof part?.text === 'string')
+          .map((part) => part.text)
+          .join('')
+          .trim()
+        : null;
+      const meta = data?.usageMetadata;
+      return {
+        text: text || null,
+        usage: meta
+          ? {
+            prompt_tokens: meta.promptTokenCount ?? null,
+            completion_tokens: meta.candidatesTokenCount ?? null,
+            total_tokens: meta.totalTokenCount ?? null
+          }
+          : null
+      };
+    }
+  },
+
+  // Any OpenAI-compatible chat completions server (Ollama, vLLM, LM Studio).
+  local: {
+    name: 'local',
+    label: 'Local vision endpoint',
+    apiKeyEnv: ['LOCAL_VISION_API_KEY'],
+    requiresApiKey: false,
+    supportsImageUrl: true,
+    defaultModel: () => readEnv('LOCAL_VISION_MODEL') || 'llava',
+    fallbackModel: null,
+    buildRequest({ apiKey, ...request }) {
+      const baseUrl = readEnv('LOCAL_VISION_BASE_URL');
+      if (!baseUrl) {
+        const configError = new Error('Local vision provider is not configured. Set LOCAL_VISION_BASE_URL.');
+        configError.code = 'BACKEND_CONFIG_ERROR';
+        throw configError;
+      }
+      return {
+        url: `${trimTrailingSlash(baseUrl)}/chat/completions`,
+        body: buildChatCompletionBody(request),
+        headers: {
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          'Content-Type': 'application/json'
+        }
+      };
+    },
+    parseResponse: parseChatCompletion
+  }
+});
+
+function normalizeProviderName(value) {
+  if (typeof value !== 'string') return null;
+  const key = value.trim().toLowerCase();
+  return VISION_PROVIDERS[key] ? key : null;
+}
+
+function normalizePlanKey(plan) {
+  if (typeof plan !== 'string' || plan.trim() === '') return null;
+  return plan.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+/**
+ * Resolve which provider should serve a request. Unknown names in env are
+ * ignored rather than failing generation.
+ */
+function resolveVisionProviderName({ provider = null, plan = null } = {}) {
+  const explicit = normalizeProviderName(provider);
+  if (explicit) return explicit;
+
+  const planKey = normalizePlanKey(plan);
+  if (planKey) {
+    const planProvider = normalizeProviderName(readEnv(`ALT_TEXT_PROVIDER_${planKey}`));
+    if (planProvider) return planProvider;
+  }
+
+  return normalizeProviderName(readEnv('ALT_TEXT_PROVIDER')) || DEFAULT_VISION_PROVIDER;
+}
+
+function getVisionProvider(name) {
+  return VISION_PROVIDERS[normalizeProviderName(name) || DEFAULT_VISION_PROVIDER];
+}
+
+function resolveProviderApiKey(adapter) {
+  return readEnv(...adapter.apiKeyEnv);
+}
+
+function resolveProviderTimeoutMs() {
+  const parsed = Number(process.env.ALT_TEXT_PROVIDER_TIMEOUT_MS);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_TIMEOUT_MS;
+}
+
+module.exports = {
+  DEFAULT_VISION_PROVIDER,
+  VISION_PROVIDERS,
+  getVisionProvider,
+  resolveProviderApiKey,
+  resolveProviderTimeoutMs,
+  resolveVisionProviderName
+};
@@ -1,10 +1,10 @@
 const { validateLicense } = require('../services/license');
+const { authenticateApiKey, checkApiKeyAccess, isAccountApiKey } = require('../services/apiKeys');
+const { tokenPredatesPasswordChange, verifyAccessToken } = require('../services/authSessions');
+const { checkTwoFactorRequirement } = require('../services/twoFactor');
 const logger = require('../lib/logger');
-const jwt = require('jsonwebtoken');
 const { buildAnonymousContext } = require('../lib/anonymousIdentity');
 
-const JWT_SECRET = process.env.JWT_SECRET;
-
 function supportsAnonymousTrialPath(path = '') {
   return path === '/api/alt-text'
     || path === '/api/usage'
@@ -20,6 +20,32 @@ function isPublicJobPollRequest(req) {
     && /^\/api\/(jobs|optimizer\/audit)\/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(req?.path || '');
 }
 
+// Where a login without 2FA can still go on an account that requires it:
+// the routes that turn 2FA on.
+function isTwoFactorEnrollmentRequest(req) {
+  return (req?.method === 'GET' && req?.path === '/me/two-factor')
+    || (req?.method === 'POST' && ['/me/two-factor/enroll', '/me/two-factor/verify'].includes(req?.path));
+}
+
+// Every header and body field that routes read a site from (lib/siteIdentity
+// extractSiteIdentityFromRequest, the titles and optimizer routes). Routes
+// differ in which one wins, so a site-restricted API key is checked against
+// all of them.
+const SITE_IDENTIFIER_HEADERS = ['X-Site-Key', 'X-Site-Hash', 'X-Install-Hash', 'X-Install-UUID', 'X-WP-Install-UUID'];
+const SITE_IDENTIFIER_BODY_FIELDS = [
+  'site_id', 'siteId', 'site_hash', 'siteHash', 'site_key', 'siteKey', 'site_identifier', 'siteIdentifier',
+  'install_hash', 'installHash', 'install_uuid', 'installUuid', 'install_id', 'installId', 'site_install_id', 'siteInstallId'
+];
+
+function requestSiteIdentifiers(req) {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const values = [
+    ...SITE_IDENTIFIER_HEADERS.map((name) => req.header(name)),
+    ...SITE_IDENTIFIER_BODY_FIELDS.map((field) => body[field])
+  ];
+  return [...new Set(values.filter((value) => value !== undefined && value !== null && value !== '').map(String))];
+}
+
 function authMiddleware({ supabase }) {
   return async function validate(req, res, next) {
     // Public paths that don't require authentication
@@ -127,33 +153,80 @@ function authMiddleware({ supabase }) {
       path: req.path
     });
 
-    // JWT token auth (Bearer token)
+    // Account API keys (opk_…), sent as X-API-Key or a bearer token. Scope and
+    // site restrictions are enforced here, before any route runs.
+    const bearerToken = hasBearerAuth ? authHeader.substring(7) : null;
+    const accountApiKey = [apiKey, bearerToken].find(isAccountApiKey);
+    if (accountApiKey) {
+      const result = await authenticateApiKey(supabase, accountApiKey);
+      if (result.error) {
+        logger.warn('[Auth] API key rejected', { error: result.error, path: req.path });
+        return res.status(result.status).json({ error: result.error, code: result.error, message: result.message });
+      }
+      const { key, license } = result.data;
+      const access = checkApiKeyAccess(key, {
+        path: req.path,
+        siteHashes: requestSiteIdentifiers(req)
+      });
+      if (access.error) {
+        logger.warn('[Auth] API key not allowed', {
+          api_key_id: key.id,
+          error: access.error,
+          path: req.path
+        });
+        return res.status(access.status).json({ error: access.error, code: access.error, message: access.message });
+      }
+      req.license = license;
+      req.apiKey = { id: key.id, name: key.name, scopes: key.scopes || [], site_hashes: key.site_hashes || [] };
+      req.authMethod = 'api_key';
+      return next();
+    }
+
+    // JWT token auth (Bearer token). Session tokens stop working once their
+    // session is revoked.
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
       try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        logger.debug('[Auth] JWT validated', {
-          user_id: decoded.user_id,
-          email: decoded.email
-        });
-
-        // Fetch user from database
-        if (!supabase) {
+        const verified = await verifyAccessToken(supabase, token);
+        if (verified.error) {
+          // Don't return error, fall through to other auth methods
+          logger.warn('[Auth] JWT validation failed', { error: verified.error });
+        } else if (!supabase) {
           logger.warn('[Auth] JWT auth skipped: supabase client not available');
         } else {
+          const decoded = verified.data;
+          logger.debug('[Auth] JWT validated', {
+            user_id: decoded.user_id,
+            email: decoded.email
+          });
+
+          // Fetch user from database
           const { data: user } = await supabase
             .from('licenses')
             .select('*')
             .eq('id', decoded.user_id)
             .single();
 
-          if (user && user.status === 'active') {
+          if (user && user.status === 'active' && !tokenPredatesPasswordChange(decoded, user)) {
+            // The login's own account may require 2FA; team accounts are
+            // checked where they are resolved (accountRoute, checkSiteAccess).
+            if (!isTwoFactorEnrollmentRequest(req)) {
+              const requirement = await checkTwoFactorRequirement(supabase, { account: user, user });
+              if (requirement.error) {
+                return res.status(requirement.status || 403).json({
+                  error: requirement.error,
+                  code: requirement.error,
+                  message: requirement.message
+                });
+              }
+            }
             req.user = user;
             req.license = user; // Set license for quota tracking
             req.authMethod = 'jwt';
+            req.sessionId = decoded.sid || null;
             return next();
           } else {
-            logger.warn('[Auth] JWT user not found or inactive');
+            logger.warn('[Auth] JWT user not found, inactive or signed out by a password reset');
           }
         }
       } catch (err) {
@@ -0,0 +1,52 @@
+-- Team members on an account (services/accountMembers.js). An account is a
+-- licenses row; members are other licenses rows (logins) with a role on it.
+-- account_members: one row per member. site_ids (when not empty) limits an
+-- editor to those sites; access is mirrored into site_memberships.
+-- account_invitations: pending email invitations. Only the SHA-256 of the
+-- invitation token is stored; the token is sent once in the invite email.
+-- licenses.owner_user_id: set once ownership is transferred (NULL = the
+-- license's own login owns it).
+-- Idempotent.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+ALTER TABLE public.licenses
+  ADD COLUMN IF NOT EXISTS owner_user_id UUID REFERENCES public.licenses(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS public.account_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  account_id UUID NOT NULL REFERENCES public.licenses(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES public.licenses(id) ON DELETE CASCADE,
+  email TEXT,
+  role VARCHAR(16) NOT NULL CHECK (role IN ('owner', 'admin', 'editor', 'viewer')),
+  site_ids UUID[] NOT NULL DEFAULT '{}',    -- empty = every site on the account
+  invited_by_user_id UUID REFERENCES public.licenses(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (account_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_members_user
+  ON public.account_members(user_id);
+
+CREATE TABLE IF NOT EXISTS public.account_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  account_id UUID NOT NULL REFERENCES public.licenses(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role VARCHAR(16) NOT NULL CHECK (role IN ('admin', 'editor', 'viewer')),
+  site_ids UUID[] NOT NULL DEFAULT '{}',
+  token_hash CHAR(64) NOT NULL UNIQUE,      -- hex SHA-256 of the invitation token
+  invited_by_user_id UUID REFERENCES public.licenses(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+  accepted_by_user_id UUID REFERENCES public.licenses(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_invitations_account_created
+  ON public.account_invitations(account_id, created_at DESC);
+
+-- Backend uses the service role (bypasses RLS); no anon/authenticated access.
+ALTER TABLE public.account_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.account_invitations ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,141 @@
+-- Account ownership transfer in one transaction (services/accountMembers.js
+-- transferAccountOwnership). Needs the account-members, auth-sessions,
+-- magic-links and two-factor migrations.
+-- account_transfer_ownership(): makes a member the owner, keeps the previous
+-- owner on the team as admin and takes the account's credentials away from
+-- them:
+--  - licenses.license_key is rotated (rows that reference it follow through
+--    ON UPDATE CASCADE, set up below);
+--  - when the license's own login was the owner, that login (email,
+--    password, 2FA, other team memberships) moves to a new licenses row and
+--    the account row keeps no password; its sessions and login links end.
+-- auth_sessions.revoked_reason gains 'ownership_transferred'.
+-- Idempotent.
+
+-- Let sites, usage and other rows keyed on licenses.license_key follow a
+-- rotated key.
+DO $$
+DECLARE
+  v_fk RECORD;
+BEGIN
+  FOR v_fk IN
+    SELECT c.conname, c.conrelid::regclass AS table_name, a.attname AS column_name, c.confdeltype
+    FROM pg_constraint c
+    JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = c.conkey[1]
+    JOIN pg_attribute ra ON ra.attrelid = c.confrelid AND ra.attnum = c.confkey[1]
+    WHERE c.contype = 'f'
+      AND c.confrelid = 'public.licenses'::regclass
+      AND ra.attname = 'license_key'
+      AND c.confupdtype <> 'c'
+  LOOP
+    EXECUTE format(
+      'ALTER TABLE %s DROP CONSTRAINT %I, ADD CONSTRAINT %I FOREIGN KEY (%I) REFERENCES public.licenses(license_key) ON UPDATE CASCADE ON DELETE %s',
+      v_fk.table_name,
+      v_fk.conname,
+      v_fk.conname,
+      v_fk.column_name,
+      CASE v_fk.confdeltype
+        WHEN 'c' THEN 'CASCADE'
+        WHEN 'n' THEN 'SET NULL'
+        WHEN 'd' THEN 'SET DEFAULT'
+        WHEN 'r' THEN 'RESTRICT'
+        ELSE 'NO ACTION'
+      END
+    );
+  END LOOP;
+END $$;
+
+CREATE OR REPLACE FUNCTION public.account_transfer_ownership(
+  p_account_id UUID,
+  p_user_id UUID,
+  p_previous_owner_id UUID
+) RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_account public.licenses%ROWTYPE;
+  v_owner public.account_members%ROWTYPE;
+  v_previous_login UUID := p_previous_owner_id;
+  v_previous_email TEXT;
+BEGIN
+  SELECT *
+  INTO v_account
+  FROM public.licenses
+  WHERE id = p_account_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', FALSE, 'code', 'ACCOUNT_NOT_FOUND');
+  END IF;
+
+  -- Someone else transferred the account since the caller loaded it.
+  IF COALESCE(v_account.owner_user_id, v_account.id) <> p_previous_owner_id THEN
+    RETURN jsonb_build_object('ok', FALSE, 'code', 'OWNER_CHANGED');
+  END IF;
+
+  UPDATE public.account_members
+  SET role = 'owner', site_ids = '{}', updated_at = NOW()
+  WHERE account_id = p_account_id
+    AND user_id = p_user_id
+  RETURNING * INTO v_owner;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', FALSE, 'code', 'MEMBER_NOT_FOUND');
+  END IF;
+
+  IF v_account.owner_user_id IS NULL AND v_account.email IS NOT NULL THEN
+    -- The previous owner signed in as the account row itself: give that
+    -- login a row of its own and leave the account row without credentials.
+    UPDATE public.licenses
+    SET email = NULL,
+        password_hash = NULL,
+        password_reset_token = NULL,
+        password_reset_expires = NULL,
+        password_changed_at = NOW()
+    WHERE id = p_account_id;
+
+    INSERT INTO public.licenses (email, password_hash, plan, status)
+    VALUES (v_account.email, v_account.password_hash, 'free', 'active')
+    RETURNING id INTO v_previous_login;
+
+    UPDATE public.account_two_factor
+    SET user_id = v_previous_login
+    WHERE user_id = p_account_id;
+
+    UPDATE public.account_members
+    SET user_id = v_previous_login
+    WHERE user_id = p_account_id
+      AND account_id <> p_account_id;
+
+    UPDATE public.auth_sessions
+    SET revoked_at = NOW(), revoked_reason = 'ownership_transferred'
+    WHERE user_id = p_account_id
+      AND revoked_at IS NULL;
+
+    UPDATE public.auth_magic_links
+    SET revoked_at = NOW()
+    WHERE user_id = p_account_id
+      AND used_at IS NULL
+      AND revoked_at IS NULL;
+  END IF;
+
+  SELECT lower(email) INTO v_previous_email FROM public.licenses WHERE id = v_previous_login;
+
+  INSERT INTO public.account_members (account_id, user_id, email, role, site_ids, updated_at)
+  VALUES (p_account_id, v_previous_login, v_previous_email, 'admin', '{}', NOW())
+  ON CONFLICT (account_id, user_id) DO UPDATE
+  SET role = 'admin', site_ids = '{}', email = EXCLUDED.email, updated_at = NOW();
+
+  UPDATE public.licenses
+  SET owner_user_id = p_user_id,
+      license_key = gen_random_uuid()::text,
+      updated_at = NOW()
+  WHERE id = p_account_id;
+
+  RETURN jsonb_build_object(
+    'ok', TRUE,
+    'owner', to_jsonb(v_owner),
+    'previous_owner_user_id', v_previous_login
+  );
+END;
+$$;
@@ -0,0 +1,29 @@
+-- Account API keys for headless/CI integrations (services/apiKeys.js).
+-- api_keys: one row per key. Only the SHA-256 of the key is stored; the key
+-- is shown once when it is created. scopes limit the routes a key may call,
+-- site_hashes (when not empty) the sites. Revoked keys keep their row.
+-- Idempotent.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS public.api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  license_id UUID NOT NULL REFERENCES public.licenses(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL,          -- "opk_" + 8 characters, for display
+  key_hash CHAR(64) NOT NULL UNIQUE,        -- hex SHA-256 of the full key
+  scopes TEXT[] NOT NULL,                   -- alt_text:generate | jobs | titles | usage:read | optimizer
+  site_ids UUID[] NOT NULL DEFAULT '{}',    -- empty = every site on the account
+  site_hashes TEXT[] NOT NULL DEFAULT '{}', -- site_hash of each site_ids entry, checked per request
+  expires_at TIMESTAMPTZ,                   -- NULL = never expires
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_license_created
+  ON public.api_keys(license_id, created_at DESC);
+
+-- Backend uses the service role (bypasses RLS); no anon/authenticated access.
+ALTER TABLE public.api_keys ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,38 @@
+-- Login sessions for JWT auth (services/authSessions.js).
+-- auth_sessions: one row per login or registration, with the device's user
+-- agent and IP. Access JWTs carry the row id (`sid`) and stop working once it
+-- is revoked. Only the SHA-256 of the refresh token is stored; the previous
+-- hash is kept so a replayed (already rotated) token revokes the session.
+-- licenses.password_changed_at: tokens issued before sessions existed are
+-- refused when they predate the last password reset.
+-- Idempotent.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+ALTER TABLE public.licenses
+  ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS public.auth_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES public.licenses(id) ON DELETE CASCADE,
+  refresh_token_hash CHAR(64) NOT NULL UNIQUE,   -- hex SHA-256 of the current refresh token
+  previous_refresh_token_hash CHAR(64),          -- the token it replaced, for reuse detection
+  user_agent TEXT,
+  ip_address TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,                      -- last login or refresh
+  expires_at TIMESTAMPTZ NOT NULL,               -- REFRESH_TOKEN_TTL_DAYS after login; not extended by refreshes
+  revoked_at TIMESTAMPTZ,
+  revoked_reason VARCHAR(32)                     -- user | password_reset | refresh_token_reused
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_active
+  ON public.auth_sessions(user_id)
+  WHERE revoked_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_previous_refresh_token_hash
+  ON public.auth_sessions(previous_refresh_token_hash)
+  WHERE previous_refresh_token_hash IS NOT NULL;
+
+-- Backend uses the service role (bypasses RLS); no anon/authenticated access.
+ALTER TABLE public.auth_sessions ENABLE ROW LEVEL SECURITY;
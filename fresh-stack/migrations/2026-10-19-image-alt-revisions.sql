@@ -0,0 +1,42 @@
+-- Append-only alt text history per image. Every ledger write that changes an
+-- image's alt text (generation, regeneration, edit, approval, rejection,
+-- rollback) adds one row; the latest state still lives in image_alt_states.
+-- Rows are never updated. Idempotent.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS public.image_alt_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  site_id UUID NOT NULL REFERENCES public.sites(id) ON DELETE CASCADE,
+  image_ref VARCHAR(255) NOT NULL,
+  attachment_id VARCHAR(255),
+  alt_text TEXT,
+  state VARCHAR(32) NOT NULL,
+  event VARCHAR(32) NOT NULL,  -- generated | regenerated | edited | approved | rejected | rolled_back
+  actor TEXT,                  -- reviewer email / WP user, NULL for system writes
+  source TEXT,                 -- api/alt-text, api/jobs/bulk, review_queue, ...
+  model TEXT,
+  quality_score INTEGER,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_image_alt_revisions_site_image_created
+  ON public.image_alt_revisions(site_id, image_ref, created_at DESC);
+
+CREATE OR REPLACE FUNCTION public.image_alt_revisions_append_only()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'image_alt_revisions is append-only';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_image_alt_revisions_append_only ON public.image_alt_revisions;
+CREATE TRIGGER trg_image_alt_revisions_append_only
+  BEFORE UPDATE ON public.image_alt_revisions
+  FOR EACH ROW EXECUTE FUNCTION public.image_alt_revisions_append_only();
+
+-- Backend uses the service role (bypasses RLS); no anon/authenticated access.
+ALTER TABLE public.image_alt_revisions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,40 @@
+-- Webhook callbacks for bulk jobs (/api/jobs, /api/titles/jobs).
+-- job_webhook_settings: one row per account (license) with the default
+-- callback URL and the secret every delivery is HMAC-signed with; a job's own
+-- callback_url is signed with the same secret.
+-- job_webhook_deliveries: one row per delivery attempt. Idempotent.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS public.job_webhook_settings (
+  license_id UUID PRIMARY KEY REFERENCES public.licenses(id) ON DELETE CASCADE,
+  callback_url TEXT,                               -- NULL = no account default
+  progress_events BOOLEAN NOT NULL DEFAULT FALSE,  -- also send job.item_finished
+  signing_secret TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.job_webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  delivery_id UUID NOT NULL,    -- shared by every attempt of one event
+  license_id UUID NOT NULL REFERENCES public.licenses(id) ON DELETE CASCADE,
+  job_id TEXT NOT NULL,
+  event VARCHAR(64) NOT NULL,   -- job.completed | job.failed | job.cancelled | job.item_finished
+  callback_url TEXT NOT NULL,
+  attempt INTEGER NOT NULL,
+  status VARCHAR(16) NOT NULL,  -- delivered | retrying | failed
+  response_status INTEGER,
+  error TEXT,
+  duration_ms INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_webhook_deliveries_license_created
+  ON public.job_webhook_deliveries(license_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_job_webhook_deliveries_job
+  ON public.job_webhook_deliveries(job_id, created_at DESC);
+
+-- Backend uses the service role (bypasses RLS); no anon/authenticated access.
+ALTER TABLE public.job_webhook_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.job_webhook_deliveries ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,25 @@
+-- Passwordless login links (services/magicLinks.js).
+-- auth_magic_links: one row per emailed link. Only the SHA-256 of the token
+-- is stored; the token is sent once, in the email. A link works once
+-- (used_at) and is revoked when a newer link is requested for the login.
+-- Nothing from the request is stored: the site to link is sent with verify.
+-- Idempotent.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS public.auth_magic_links (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES public.licenses(id) ON DELETE CASCADE,
+  token_hash CHAR(64) NOT NULL UNIQUE,   -- hex SHA-256 of the oml_ token
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,       -- MAGIC_LINK_TTL_MINUTES after creation (default 15)
+  used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_magic_links_user_pending
+  ON public.auth_magic_links(user_id)
+  WHERE used_at IS NULL AND revoked_at IS NULL;
+
+-- Backend uses the service role (bypasses RLS); no anon/authenticated access.
+ALTER TABLE public.auth_magic_links ENABLE ROW LEVEL SECURITY;
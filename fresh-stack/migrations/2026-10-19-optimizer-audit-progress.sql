@@ -0,0 +1,14 @@
+-- Durable audit jobs (services/auditJobs.js): running audits write crawl
+-- progress as they go, and updated_at is what the poll route's stale check
+-- measures, so a long audit that is still moving is not marked interrupted.
+-- Idempotent.
+
+ALTER TABLE public.optimizer_audits
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+UPDATE public.optimizer_audits
+  SET updated_at = COALESCE(completed_at, created_at)
+  WHERE updated_at IS NULL;
+
+ALTER TABLE public.optimizer_audits
+  ALTER COLUMN updated_at SET DEFAULT NOW();
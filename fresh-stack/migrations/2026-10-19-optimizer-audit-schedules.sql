@@ -0,0 +1,26 @@
+-- Recurring optimizer audits: one schedule per site, read by the scheduler in
+-- services/optimizerSchedule.js. optimizer_audits.source tells scheduled runs
+-- apart from ones the plugin started. Idempotent.
+
+CREATE TABLE IF NOT EXISTS public.optimizer_audit_schedules (
+  site_hash TEXT PRIMARY KEY,
+  site_url TEXT NOT NULL,
+  frequency TEXT NOT NULL DEFAULT 'off',  -- 'off' | 'weekly' | 'monthly'
+  next_run_at TIMESTAMPTZ,                -- NULL while off
+  last_run_at TIMESTAMPTZ,
+  last_audit_id UUID,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT chk_optimizer_audit_schedules_frequency CHECK (frequency IN ('off', 'weekly', 'monthly'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_optimizer_audit_schedules_due
+  ON public.optimizer_audit_schedules(next_run_at)
+  WHERE frequency <> 'off';
+
+ALTER TABLE public.optimizer_audits
+  ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'manual';  -- 'manual' | 'scheduled'
+
+-- Backend uses the service role (bypasses RLS); no anon/authenticated access.
+ALTER TABLE public.optimizer_audit_schedules ENABLE ROW LEVEL SECURITY;
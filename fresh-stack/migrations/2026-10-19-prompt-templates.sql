@@ -0,0 +1,70 @@
+-- Versioned prompt templates and A/B experiments (services/promptTemplates.js).
+-- prompt_templates: one row per template version; versions are never edited,
+-- a changed prompt is a new version. Version "builtin" is the prompt that
+-- ships with the code and has no row.
+-- prompt_template_assignments: which version a scope uses: the default, a
+-- plan ("plan:pro") or a site ("site:<uuid>"); the most specific wins.
+-- prompt_experiments: splits sites between versions by weight while running.
+-- usage_logs records the version (and experiment) every generation used.
+-- Idempotent.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS public.prompt_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  template_key VARCHAR(64) NOT NULL,  -- alt_text | alt_text_product | titles | titles_product
+  version VARCHAR(40) NOT NULL,
+  system_prompt TEXT NOT NULL,
+  instructions TEXT,                  -- alt text templates only
+  notes TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT uq_prompt_templates_key_version UNIQUE (template_key, version)
+);
+
+CREATE TABLE IF NOT EXISTS public.prompt_template_assignments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  template_key VARCHAR(64) NOT NULL,
+  scope_key TEXT NOT NULL,            -- default | plan:<plan> | site:<site id>
+  version VARCHAR(40) NOT NULL,
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT uq_prompt_template_assignments_scope UNIQUE (template_key, scope_key)
+);
+
+CREATE TABLE IF NOT EXISTS public.prompt_experiments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  experiment_key VARCHAR(64) NOT NULL UNIQUE,
+  template_key VARCHAR(64) NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'running',  -- running | stopped
+  variants JSONB NOT NULL,            -- [{ "version": "builtin", "weight": 50 }, ...]
+  plans TEXT[],                       -- NULL = every plan
+  started_by TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  stopped_at TIMESTAMPTZ
+);
+
+-- At most one running experiment per template.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_prompt_experiments_running_template
+  ON public.prompt_experiments(template_key)
+  WHERE status = 'running';
+
+ALTER TABLE public.usage_logs
+ADD COLUMN IF NOT EXISTS prompt_template TEXT,
+ADD COLUMN IF NOT EXISTS prompt_version TEXT,
+ADD COLUMN IF NOT EXISTS prompt_experiment TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_usage_logs_prompt_experiment
+  ON public.usage_logs(prompt_experiment)
+  WHERE prompt_experiment IS NOT NULL;
+
+-- Review decisions copy the generation's prompt metadata, so approval rates
+-- per variant are read from the revision history.
+CREATE INDEX IF NOT EXISTS idx_image_alt_revisions_prompt_experiment
+  ON public.image_alt_revisions((metadata->'prompt'->>'experiment'))
+  WHERE metadata ? 'prompt';
+
+-- Backend uses the service role (bypasses RLS); no anon/authenticated access.
+ALTER TABLE public.prompt_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.prompt_template_assignments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.prompt_experiments ENABLE ROW LEVEL SECURITY;
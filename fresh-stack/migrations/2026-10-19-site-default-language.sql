@@ -0,0 +1,16 @@
+-- Per-site default output language for alt-text generation.
+-- BCP-47 tag (e.g. 'de', 'pt-BR'); NULL means English. Requests that send
+-- context.language override it. Idempotent.
+
+ALTER TABLE public.sites
+  ADD COLUMN IF NOT EXISTS default_language text;
+
+ALTER TABLE public.sites
+  DROP CONSTRAINT IF EXISTS sites_default_language_format;
+
+ALTER TABLE public.sites
+  ADD CONSTRAINT sites_default_language_format
+  CHECK (default_language IS NULL OR default_language ~ '^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$');
+
+COMMENT ON COLUMN public.sites.default_language IS
+  'Default BCP-47 language for generated alt text; NULL = en.';
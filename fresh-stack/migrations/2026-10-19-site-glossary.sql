@@ -0,0 +1,9 @@
+-- Per-site brand glossary applied to generated alt text and titles.
+-- Shape: { "terms": [{ "term", "preferred" }], "required_keywords": [], "banned_terms": [] }
+-- Validated and normalized by lib/glossary.js before it is written. Idempotent.
+
+ALTER TABLE public.sites
+  ADD COLUMN IF NOT EXISTS glossary jsonb;
+
+COMMENT ON COLUMN public.sites.glossary IS
+  'Brand glossary: preferred spellings, required keywords, banned terms. NULL = none.';
@@ -0,0 +1,29 @@
+-- Optional TOTP two-factor authentication (services/twoFactor.js).
+-- account_two_factor: one row per login that started enrollment. The TOTP
+-- secret is kept in base32 (the server must recompute codes); recovery codes
+-- are stored only as SHA-256 hashes and removed as they are used.
+-- last_used_step stops a code from being accepted twice; five failed codes in
+-- a row set locked_until 15 minutes ahead.
+-- licenses.require_two_factor: set by the owner of a paid account; logins
+-- without 2FA are refused on that account's routes.
+-- auth_sessions.revoked_reason gains 'two_factor_enabled' (other sessions
+-- end when 2FA is turned on).
+-- Idempotent.
+
+ALTER TABLE public.licenses
+  ADD COLUMN IF NOT EXISTS require_two_factor BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS public.account_two_factor (
+  user_id UUID PRIMARY KEY REFERENCES public.licenses(id) ON DELETE CASCADE,
+  secret TEXT NOT NULL,                           -- base32 TOTP secret
+  enabled_at TIMESTAMPTZ,                         -- NULL while enrollment is pending
+  recovery_code_hashes TEXT[] NOT NULL DEFAULT '{}',
+  last_used_step BIGINT,                          -- 30-second TOTP step of the last accepted code
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  locked_until TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Backend uses the service role (bypasses RLS); no anon/authenticated access.
+ALTER TABLE public.account_two_factor ENABLE ROW LEVEL SECURITY;
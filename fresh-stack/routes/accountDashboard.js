@@ -1,12 +1,62 @@
 const express = require('express');
+const { z } = require('zod');
 const logger = require('../lib/logger');
 const { createAccountDashboardService } = require('../services/accountDashboard');
+const { validateCallbackUrl } = require('../services/jobWebhooks');
+const { API_KEY_SCOPES } = require('../services/apiKeys');
+const { ACCOUNT_ROLES, hasAccountRole, resolveAccountAccess } = require('../services/accountMembers');
+const { checkTwoFactorRequirement } = require('../services/twoFactor');
+
+const jobWebhookSchema = z.object({
+  callback_url: z.string().max(2048).nullable().optional(),
+  progress_events: z.boolean().optional()
+});
+
+const apiKeySchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  scopes: z.array(z.enum(Object.values(API_KEY_SCOPES))).min(1),
+  site_ids: z.array(z.string().min(1).max(64)).max(50).optional(),
+  expires_at: z.string().datetime({ offset: true }).nullable().optional()
+});
+
+const siteIdsSchema = z.array(z.string().min(1).max(64)).max(100);
+
+const teamInviteSchema = z.object({
+  email: z.string().trim().email(),
+  role: z.enum([ACCOUNT_ROLES.ADMIN, ACCOUNT_ROLES.EDITOR, ACCOUNT_ROLES.VIEWER]),
+  site_ids: siteIdsSchema.optional()
+});
+
+const teamMemberSchema = z.object({
+  role: z.enum([ACCOUNT_ROLES.ADMIN, ACCOUNT_ROLES.EDITOR, ACCOUNT_ROLES.VIEWER]).optional(),
+  site_ids: siteIdsSchema.optional()
+}).refine((value) => value.role !== undefined || value.site_ids !== undefined);
+
+const twoFactorCodeSchema = z.object({
+  code: z.string().trim().regex(/^\d{6}$/)
+});
+
+const twoFactorDisableSchema = z.object({
+  code: z.string().trim().optional(),
+  recovery_code: z.string().trim().optional()
+}).refine((value) => Boolean(value.code) !== Boolean(value.recovery_code));
+
+function validationError(message, code = 'VALIDATION_ERROR') {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = code;
+  return error;
+}
 
 function createAccountDashboardRouter({ supabase, getStripe, service } = {}) {
   const router = express.Router();
   const accountService = service || createAccountDashboardService({ supabase, getStripe });
 
-  function accountRoute(routeName, handler) {
+  // Every account route runs on one account with a minimum role. The caller's
+  // own license is the default; X-Account-Id picks a team account they are a
+  // member of. Logins without 2FA are refused on accounts that require it,
+  // except on the routes that turn 2FA on (`twoFactor: false`).
+  function accountRoute(routeName, handler, { role = ACCOUNT_ROLES.VIEWER, twoFactor = true } = {}) {
     return async (req, res) => {
       if (!req.user && !req.license) {
         return res.status(401).json({
@@ -17,6 +67,26 @@ function createAccountDashboardRouter({ supabase, getStripe, service } = {}) {
       }
 
       try {
+        const access = await resolveAccountAccess(supabase, {
+          user: req.user || req.license,
+          accountId: req.header('X-Account-Id') || null
+        });
+        if (access.error) {
+          throw Object.assign(new Error(access.message), { status: access.status, code: access.error });
+        }
+        if (!hasAccountRole(access.data.role, role)) {
+          throw Object.assign(new Error(`This action needs the ${role} role or higher`), { status: 403, code: 'INSUFFICIENT_ROLE' });
+        }
+        if (twoFactor && req.user) {
+          const requirement = await checkTwoFactorRequirement(supabase, { account: access.data.account, user: req.user });
+          if (requirement.error) {
+            throw Object.assign(new Error(requirement.message), { status: requirement.status, code: requirement.error });
+          }
+        }
+        req.account = access.data.account;
+        req.accountRole = access.data.role;
+        req.accountSiteIds = access.data.siteIds;
+
         const payload = await handler(req);
         logger.info('[account-api] request_completed', {
           route: routeName,
@@ -56,7 +126,136 @@ function createAccountDashboardRouter({ supabase, getStripe, service } = {}) {
   })));
   router.post('/me/sites/detach', accountRoute('me.sites.detach', async (req) => (
     accountService.detachSite(req)
+  ), { role: ACCOUNT_ROLES.ADMIN }));
+  router.get('/me/sites/:siteId/review-queue', accountRoute('me.sites.review_queue', async (req) => (
+    accountService.getReviewQueue(req)
+  )));
+  router.post('/me/sites/:siteId/review-queue/approve', accountRoute('me.sites.review_queue.approve', async (req) => (
+    accountService.applyReviewDecisions(req, 'approve')
   )));
+  router.post('/me/sites/:siteId/review-queue/reject', accountRoute('me.sites.review_queue.reject', async (req) => (
+    accountService.applyReviewDecisions(req, 'reject')
+  )));
+  router.get('/me/sites/:siteId/revisions', accountRoute('me.sites.revisions', async (req) => (
+    accountService.getImageRevisions(req)
+  )));
+  router.post('/me/sites/:siteId/revisions/:revisionId/rollback', accountRoute('me.sites.revisions.rollback', async (req) => (
+    accountService.rollbackImageRevision(req)
+  )));
+  router.get('/me/job-webhook', accountRoute('me.job_webhook', async (req) => (
+    accountService.getJobWebhook(req)
+  ), { role: ACCOUNT_ROLES.ADMIN }));
+  router.put('/me/job-webhook', accountRoute('me.job_webhook.update', async (req) => {
+    const parsed = jobWebhookSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      throw validationError('callback_url must be a string or null; progress_events a boolean');
+    }
+    let callbackUrl = parsed.data.callback_url;
+    if (callbackUrl) {
+      const checked = await validateCallbackUrl(callbackUrl);
+      if (checked.error) throw validationError(checked.message, checked.error);
+      callbackUrl = checked.url;
+    }
+    return accountService.updateJobWebhook(req, {
+      callbackUrl: callbackUrl === '' ? null : callbackUrl,
+      progressEvents: parsed.data.progress_events
+    });
+  }, { role: ACCOUNT_ROLES.ADMIN }));
+  router.post('/me/job-webhook/rotate-secret', accountRoute('me.job_webhook.rotate_secret', async (req) => (
+    accountService.rotateJobWebhookSecret(req)
+  ), { role: ACCOUNT_ROLES.ADMIN }));
+  router.get('/me/job-webhook/deliveries', accountRoute('me.job_webhook.deliveries', async (req) => (
+    accountService.getJobWebhookDeliveries(req)
+  ), { role: ACCOUNT_ROLES.ADMIN }));
+  router.get('/me/api-keys', accountRoute('me.api_keys', async (req) => (
+    accountService.getApiKeys(req)
+  ), { role: ACCOUNT_ROLES.ADMIN }));
+  router.post('/me/api-keys', accountRoute('me.api_keys.create', async (req) => {
+    const parsed = apiKeySchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      throw validationError(`name is required; scopes must be a non-empty list of ${Object.values(API_KEY_SCOPES).join(', ')}; site_ids a list of site ids; expires_at an ISO timestamp or null`);
+    }
+    const expiresAt = parsed.data.expires_at ? new Date(parsed.data.expires_at) : null;
+    if (expiresAt && expiresAt.getTime() <= Date.now()) {
+      throw validationError('expires_at must be in the future');
+    }
+    return accountService.createApiKey(req, {
+      name: parsed.data.name,
+      scopes: parsed.data.scopes,
+      siteIds: parsed.data.site_ids || [],
+      expiresAt: expiresAt ? expiresAt.toISOString() : null
+    });
+  }, { role: ACCOUNT_ROLES.ADMIN }));
+  router.delete('/me/api-keys/:keyId', accountRoute('me.api_keys.revoke', async (req) => (
+    accountService.revokeApiKey(req)
+  ), { role: ACCOUNT_ROLES.ADMIN }));
+  router.get('/me/accounts', accountRoute('me.accounts', async (req) => (
+    accountService.getAccounts(req)
+  )));
+  router.get('/me/team', accountRoute('me.team', async (req) => (
+    accountService.getTeam(req)
+  )));
+  router.post('/me/team/invitations', accountRoute('me.team.invite', async (req) => {
+    const parsed = teamInviteSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      throw validationError('email is required; role must be admin, editor or viewer; site_ids a list of site ids');
+    }
+    return accountService.inviteTeamMember(req, parsed.data);
+  }, { role: ACCOUNT_ROLES.ADMIN }));
+  router.delete('/me/team/invitations/:invitationId', accountRoute('me.team.invitation.revoke', async (req) => (
+    accountService.revokeTeamInvitation(req)
+  ), { role: ACCOUNT_ROLES.ADMIN }));
+  router.patch('/me/team/members/:userId', accountRoute('me.team.member.update', async (req) => {
+    const parsed = teamMemberSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      throw validationError('Send role (admin, editor or viewer) and/or site_ids');
+    }
+    return accountService.updateTeamMember(req, parsed.data);
+  }, { role: ACCOUNT_ROLES.ADMIN }));
+  // Admins remove members; any member may remove themselves (checked in the service).
+  router.delete('/me/team/members/:userId', accountRoute('me.team.member.remove', async (req) => (
+    accountService.removeTeamMember(req)
+  )));
+  router.post('/me/team/transfer-ownership', accountRoute('me.team.transfer_ownership', async (req) => {
+    const userId = typeof req.body?.user_id === 'string' ? req.body.user_id.trim() : '';
+    if (!userId) throw validationError('user_id is required');
+    return accountService.transferOwnership(req, userId);
+  }, { role: ACCOUNT_ROLES.OWNER }));
+  router.get('/me/sessions', accountRoute('me.sessions', async (req) => (
+    accountService.getSessions(req)
+  )));
+  // Log out every other device; the caller's own session stays.
+  router.delete('/me/sessions', accountRoute('me.sessions.revoke_others', async (req) => (
+    accountService.revokeOtherSessions(req)
+  )));
+  router.delete('/me/sessions/:sessionId', accountRoute('me.sessions.revoke', async (req) => (
+    accountService.revokeSession(req)
+  )));
+  router.get('/me/two-factor', accountRoute('me.two_factor', async (req) => (
+    accountService.getTwoFactor(req)
+  ), { twoFactor: false }));
+  router.post('/me/two-factor/enroll', accountRoute('me.two_factor.enroll', async (req) => (
+    accountService.startTwoFactor(req)
+  ), { twoFactor: false }));
+  router.post('/me/two-factor/verify', accountRoute('me.two_factor.verify', async (req) => {
+    const parsed = twoFactorCodeSchema.safeParse(req.body || {});
+    if (!parsed.success) throw validationError('code must be the 6-digit code from the authenticator app');
+    return accountService.confirmTwoFactor(req, parsed.data.code);
+  }, { twoFactor: false }));
+  router.post('/me/two-factor/recovery-codes', accountRoute('me.two_factor.recovery_codes', async (req) => {
+    const parsed = twoFactorCodeSchema.safeParse(req.body || {});
+    if (!parsed.success) throw validationError('code must be the 6-digit code from the authenticator app');
+    return accountService.regenerateRecoveryCodes(req, parsed.data.code);
+  }));
+  router.post('/me/two-factor/disable', accountRoute('me.two_factor.disable', async (req) => {
+    const parsed = twoFactorDisableSchema.safeParse(req.body || {});
+    if (!parsed.success) throw validationError('Send either code or recovery_code');
+    return accountService.disableTwoFactor(req, { code: parsed.data.code, recoveryCode: parsed.data.recovery_code });
+  }));
+  router.put('/me/two-factor/requirement', accountRoute('me.two_factor.requirement', async (req) => {
+    if (typeof req.body?.required !== 'boolean') throw validationError('required must be a boolean');
+    return accountService.setTwoFactorRequirement(req, req.body.required);
+  }, { role: ACCOUNT_ROLES.OWNER }));
   router.get('/me/plugins/stats', accountRoute('me.plugins.stats', async (req) => accountService.getPluginStats(req)));
   router.get('/me/plugins/:pluginName/stats', accountRoute('me.plugins.stats.by_plugin', async (req) => (
     accountService.getPluginStats(req, req.params.pluginName)
@@ -64,11 +263,11 @@ function createAccountDashboardRouter({ supabase, getStripe, service } = {}) {
   router.get('/me/licenses', accountRoute('me.licenses', async (req) => ({
     ok: true,
     licenses: await accountService.getLicenses(req)
-  })));
+  }), { role: ACCOUNT_ROLES.ADMIN }));
   router.get('/me/invoices', accountRoute('me.invoices', async (req) => ({
     ok: true,
     invoices: await accountService.getInvoices(req)
-  })));
+  }), { role: ACCOUNT_ROLES.OWNER }));
   router.get('/organizations', accountRoute('organizations', async (req) => ({
     ok: true,
     organizations: await accountService.getOrganizations(req)
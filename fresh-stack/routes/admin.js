@@ -2,6 +2,15 @@ const express = require('express');
 const logger = require('../lib/logger');
 const { getPipelineDiagnostics } = require('../services/v2Diagnostics');
 const { buildDataIntegrityDiagnostics } = require('../services/dataIntegrityDiagnostics');
+const { getProviderCircuitBreaker } = require('../lib/circuitBreaker');
+const {
+  createPromptTemplateVersion,
+  getPromptExperimentResults,
+  listPromptTemplates,
+  setPromptTemplateAssignment,
+  startPromptExperiment,
+  stopPromptExperiment
+} = require('../services/promptTemplates');
 
 function hasValidAdminKey(adminKey) {
   const expectedAdminKey = process.env.ADMIN_KEY || process.env.ADMIN_SECRET;
@@ -12,9 +21,33 @@ function getAdminKey(req) {
   return req.header('X-Admin-Key') || req.header('X-Admin-Secret');
 }
 
-function createAdminRouter({ redis, supabase, resultCache, runtimeIdentityProvider = null }) {
+function createAdminRouter({
+  redis,
+  supabase,
+  resultCache,
+  runtimeIdentityProvider = null,
+  circuitBreaker = getProviderCircuitBreaker(),
+  getJobQueue = () => null
+}) {
   const router = express.Router();
 
+  function requireAdmin(req, res) {
+    if (!hasValidAdminKey(getAdminKey(req))) {
+      res.status(401).json({ error: 'Unauthorized', message: 'Invalid admin key' });
+      return false;
+    }
+    return true;
+  }
+
+  function requireJobQueue(res) {
+    const queue = getJobQueue();
+    if (!queue) {
+      res.status(503).json({ success: false, error: 'QUEUE_UNAVAILABLE', message: 'Job queue not initialised' });
+      return null;
+    }
+    return queue;
+  }
+
   // Database cleanup - protected by admin key (cron job)
   router.post('/cleanup', async (req, res) => {
     const adminKey = getAdminKey(req);
@@ -98,6 +131,7 @@ function createAdminRouter({ redis, supabase, resultCache, runtimeIdentityProvid
 
     try {
       const diagnostics = await getPipelineDiagnostics(supabase, { days: 7 });
+      diagnostics.circuit_breakers = await circuitBreaker.snapshot();
       return res.json({
         success: true,
         diagnostics
@@ -143,6 +177,123 @@ function createAdminRouter({ redis, supabase, resultCache, runtimeIdentityProvid
     }
   });
 
+  // Dead-lettered bulk jobs (see lib/queue.js): inspect, retry or purge.
+  router.get('/jobs/dead', async (req, res) => {
+    if (!requireAdmin(req, res)) return undefined;
+    const queue = requireJobQueue(res);
+    if (!queue) return undefined;
+    try {
+      const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 50, 1), 500);
+      const [stats, jobs] = await Promise.all([queue.getQueueStats(), queue.listDeadJobs({ limit })]);
+      return res.json({ success: true, stats, jobs });
+    } catch (error) {
+      logger.error('[admin] Dead job listing failed', { error: error.message });
+      return res.status(500).json({ success: false, error: 'QUEUE_ERROR', message: error.message });
+    }
+  });
+
+  router.post('/jobs/dead/:jobId/retry', async (req, res) => {
+    if (!requireAdmin(req, res)) return undefined;
+    const queue = requireJobQueue(res);
+    if (!queue) return undefined;
+    try {
+      const job = await queue.retryDeadJob(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ success: false, error: 'JOB_NOT_FOUND', message: 'Job is not in the dead-letter list' });
+      }
+      logger.info('[admin] Dead job requeued', { job_id: req.params.jobId });
+      return res.json({ success: true, job });
+    } catch (error) {
+      logger.error('[admin] Dead job retry failed', { job_id: req.params.jobId, error: error.message });
+      return res.status(500).json({ success: false, error: 'QUEUE_ERROR', message: error.message });
+    }
+  });
+
+  router.delete(['/jobs/dead', '/jobs/dead/:jobId'], async (req, res) => {
+    if (!requireAdmin(req, res)) return undefined;
+    const queue = requireJobQueue(res);
+    if (!queue) return undefined;
+    try {
+      const removed = await queue.purgeDeadJobs({ jobId: req.params.jobId || null });
+      if (req.params.jobId && removed === 0) {
+        return res.status(404).json({ success: false, error: 'JOB_NOT_FOUND', message: 'Job is not in the dead-letter list' });
+      }
+      logger.info('[admin] Dead jobs purged', { job_id: req.params.jobId || null, removed });
+      return res.json({ success: true, removed });
+    } catch (error) {
+      logger.error('[admin] Dead job purge failed', { error: error.message });
+      return res.status(500).json({ success: false, error: 'QUEUE_ERROR', message: error.message });
+    }
+  });
+
+  // Prompt template registry and A/B experiments (services/promptTemplates.js).
+  // X-Admin-Actor, when sent, is stored as who made the change.
+  async function sendPromptTemplateResult(res, work, successStatus = 200) {
+    if (!supabase) {
+      return res.status(503).json({ success: false, error: 'SUPABASE_UNAVAILABLE', message: 'Supabase not available' });
+    }
+    try {
+      const result = await work();
+      if (result.error) {
+        return res.status(result.status || 500).json({
+          success: false,
+          error: result.error,
+          message: result.message,
+          ...(result.details ? { details: result.details } : {})
+        });
+      }
+      return res.status(successStatus).json({ success: true, ...result.data });
+    } catch (error) {
+      logger.error('[admin] Prompt template request failed', { error: error.message });
+      return res.status(500).json({ success: false, error: 'SERVER_ERROR', message: error.message });
+    }
+  }
+
+  router.get('/prompt-templates', async (req, res) => {
+    if (!requireAdmin(req, res)) return undefined;
+    return sendPromptTemplateResult(res, () => listPromptTemplates(supabase));
+  });
+
+  router.post('/prompt-templates', async (req, res) => {
+    if (!requireAdmin(req, res)) return undefined;
+    return sendPromptTemplateResult(res, () => createPromptTemplateVersion(supabase, {
+      body: req.body || {},
+      actor: req.header('X-Admin-Actor') || null
+    }), 201);
+  });
+
+  router.put('/prompt-templates/:key/assignment', async (req, res) => {
+    if (!requireAdmin(req, res)) return undefined;
+    return sendPromptTemplateResult(res, () => setPromptTemplateAssignment(supabase, {
+      key: req.params.key,
+      body: req.body || {},
+      actor: req.header('X-Admin-Actor') || null
+    }));
+  });
+
+  router.post('/prompt-experiments', async (req, res) => {
+    if (!requireAdmin(req, res)) return undefined;
+    return sendPromptTemplateResult(res, () => startPromptExperiment(supabase, {
+      body: req.body || {},
+      actor: req.header('X-Admin-Actor') || null
+    }), 201);
+  });
+
+  router.post('/prompt-experiments/:experimentKey/stop', async (req, res) => {
+    if (!requireAdmin(req, res)) return undefined;
+    return sendPromptTemplateResult(res, () => stopPromptExperiment(supabase, {
+      experimentKey: req.params.experimentKey,
+      actor: req.header('X-Admin-Actor') || null
+    }));
+  });
+
+  router.get('/prompt-experiments/:experimentKey', async (req, res) => {
+    if (!requireAdmin(req, res)) return undefined;
+    return sendPromptTemplateResult(res, () => getPromptExperimentResults(supabase, {
+      experimentKey: req.params.experimentKey
+    }));
+  });
+
   // Health check
   router.get('/health', (req, res) => {
     res.json({
@@ -7,6 +7,12 @@ const { serializeSupabaseError } = require('../lib/supabaseErrors');
 const { buildAnonymousContext } = require('../lib/anonymousIdentity');
 const { validateImagePayload } = require('../lib/validation');
 const { generateAltText } = require('../lib/openai');
+const { resolveVisionProviderName } = require('../lib/visionProviders');
+const {
+  MAX_TRANSLATIONS,
+  normalizeLanguageTag,
+  resolveGenerationLanguages
+} = require('../lib/languages');
 const {
   buildAnonymousTrialStatus,
   getAnonymousTrialLimit,
@@ -19,6 +25,12 @@ const {
   reserveGenerationQuota
 } = require('../services/quota');
 const { upsertGeneratedImageAltState } = require('../services/imageAltState');
+const {
+  buildQualityMetadata,
+  buildQualityResponseFields,
+  evaluateGeneratedAltText
+} = require('../services/altTextQuality');
+const { classifyDecorativeImage } = require('../services/imageSeoAudit');
 const { recordUsage } = require('../services/usage');
 const { findOrCreateTrialSite } = require('../services/site');
 const { buildSiteIdentity, normalizeDomain } = require('../lib/siteIdentity');
@@ -29,11 +41,29 @@ const { buildTrialGenerationForSingleRequest } = require('../lib/trialGeneration
 const { buildEntitlementState } = require('../services/entitlementState');
 const { GENERATION_ERROR_CODES, publicMessageFor } = require('../lib/generationErrors');
 const { normalizeImageForProvider, ImageNormalizationError } = require('../lib/imageNormalization');
+const {
+  enforceGlossaryOnResult,
+  glossaryFingerprint,
+  isEmptyGlossary,
+  normalizeGlossary
+} = require('../lib/glossary');
+const { normalizePageContext, pageContextFingerprint } = require('../lib/pageContext');
+const { normalizeProduct, productFingerprint } = require('../lib/productMode');
+const { altTextTemplateKey, describePromptTemplate } = require('../lib/promptTemplates');
+const { resolvePromptTemplate } = require('../services/promptTemplates');
 
 function hashPayload(base64) {
   return crypto.createHash('md5').update(base64).digest('hex');
 }
 
+// The same image yields different cached results per output language set,
+// per site glossary, per page context, per product and per prompt template
+// version.
+function buildResultCacheKey(base64, languages, ...variantKeys) {
+  const prefix = [languages.join(','), ...variantKeys].filter(Boolean).join(':');
+  return hashPayload(`${prefix}:${base64}`);
+}
+
 function hasValidAdminKey(adminKey) {
   return Boolean(process.env.ADMIN_KEY && adminKey && adminKey === process.env.ADMIN_KEY);
 }
@@ -327,6 +357,7 @@ function createGenerationTelemetry({
   let siteIdentityRef = null;
   let requestTelemetry = null;
   let imageMeta = null;
+  let providerName = null;
 
   function capture(event, {
     entitlementState = null,
@@ -367,7 +398,7 @@ function createGenerationTelemetry({
         generation_mode: 'single',
         retry_count: retryCount,
         duration_ms: Date.now() - startedAt,
-        provider: 'openai',
+        provider: providerName || resolveVisionProviderName(),
         environment: requestTelemetry?.environment || process.env.NODE_ENV || null,
         request_source: requestTelemetry?.request_source || 'wordpress_plugin',
         is_terminal: isTerminal,
@@ -384,10 +415,16 @@ function createGenerationTelemetry({
   }
 
   return {
-    bindContext({ siteIdentity = null, telemetry = null, imageMeta: nextImageMeta = null } = {}) {
+    bindContext({
+      siteIdentity = null,
+      telemetry = null,
+      imageMeta: nextImageMeta = null,
+      provider = null
+    } = {}) {
       if (siteIdentity) siteIdentityRef = siteIdentity;
       if (telemetry) requestTelemetry = telemetry;
       if (nextImageMeta) imageMeta = nextImageMeta;
+      if (provider) providerName = provider;
     },
     emitTerminal(event, options = {}) {
       if (terminalEmitted) {
@@ -466,6 +503,11 @@ function logGenerationAccountingTrace({
   logger[hasFailure ? 'warn' : 'info']('[usage] generation_accounting_trace', payload);
 }
 
+const languageTagSchema = z
+  .string()
+  .max(35)
+  .refine((value) => normalizeLanguageTag(value) !== null, 'Use a BCP-47 language tag such as "de" or "pt-BR".');
+
 const requestSchema = z.object({
   image: z
     .object({
@@ -490,9 +532,25 @@ const requestSchema = z.object({
       tone: z.string().optional(),
       descriptionStyle: z.string().optional(),
       customPrompt: z.string().optional(),
-      additionalInstructions: z.string().optional()
+      additionalInstructions: z.string().optional(),
+      language: languageTagSchema.optional(),
+      languages: z.array(languageTagSchema).min(1).max(MAX_TRANSLATIONS).optional(),
+      // Where the image sits on the page. When present, decorative images get
+      // a `decorative` verdict instead of generated text.
+      markup: z
+        .object({
+          role: z.string().max(40).optional(),
+          ariaHidden: z.boolean().optional(),
+          linkLabel: z.string().max(500).optional(),
+          className: z.string().max(500).optional()
+        })
+        .optional()
     })
     .optional(),
+  // Validated by normalizePageContext (lib/pageContext.js).
+  page_context: z.any().optional(),
+  // Validated by normalizeProduct (lib/productMode.js); switches to the product template.
+  product: z.any().optional(),
   trial_batch: z
     .object({
       requested_total: z.number().int().positive().max(500).optional()
@@ -509,6 +567,29 @@ function createAltTextRouter({
 }) {
   const router = express.Router();
 
+  // Per-site generation settings (default language, glossary). Lookup
+  // failures fall back to English and no glossary.
+  async function lookupSiteGenerationSettings(req) {
+    if (typeof getSiteFromHeaders !== 'function') {
+      return { siteId: null, defaultLanguage: null, glossary: null };
+    }
+    try {
+      const site = await getSiteFromHeaders(req);
+      const { glossary } = normalizeGlossary(site?.glossary);
+      return {
+        siteId: site?.id || null,
+        defaultLanguage: site?.default_language || null,
+        glossary: isEmptyGlossary(glossary) ? null : glossary
+      };
+    } catch (error) {
+      logger.warn('[altText] Site generation settings lookup failed', {
+        request_id: req.id || null,
+        error: error.message
+      });
+      return { siteId: null, defaultLanguage: null, glossary: null };
+    }
+  }
+
   router.post('/', async (req, res) => {
     const startedAt = Date.now();
     const generationRunId = extractGenerationRunId(req);
@@ -568,6 +649,21 @@ function createAltTextRouter({
     }
 
     const { image, context = {} } = parsed.data;
+    const { pageContext, errors: pageContextErrors } = normalizePageContext(parsed.data.page_context);
+    const { product, errors: productErrors } = normalizeProduct(parsed.data.product);
+    if (pageContextErrors.length || productErrors.length) {
+      return res.status(400).json({
+        error: 'INVALID_REQUEST',
+        code: 'INVALID_REQUEST',
+        error_code: GENERATION_ERROR_CODES.INVALID_REQUEST,
+        generation_run_id: generationRunId,
+        message: pageContextErrors.length ? 'Invalid page_context' : 'Invalid product',
+        details: {
+          ...(pageContextErrors.length ? { page_context: pageContextErrors } : {}),
+          ...(productErrors.length ? { product: productErrors } : {})
+        }
+      });
+    }
     const hasAccountAuth = Boolean(
       req.user
       || req.license
@@ -659,6 +755,34 @@ function createAltTextRouter({
       });
     }
 
+    // Decorative images should get alt="", not a description: answer before
+    // validation (SVG icons are unsupported by providers) and before any
+    // cache, quota or provider work, so they cost nothing.
+    if (context.markup) {
+      const { decorative, reasons } = classifyDecorativeImage({
+        filename: image.filename || (image.url ? image.url.split('/').pop()?.split('?')[0] : ''),
+        width: image.width,
+        height: image.height,
+        ...context.markup
+      });
+      if (decorative) {
+        logger.info('[altText] Decorative image, generation skipped', {
+          generation_run_id: generationRunId,
+          site_hash: siteIdentity.siteHash || null,
+          reasons
+        });
+        telemetry.emitTerminal('generation_completed', { outcome: 'decorative', httpStatus: 200 });
+        return res.json({
+          success: true,
+          altText: '',
+          decorative: true,
+          decorative_reasons: reasons,
+          generation_run_id: generationRunId,
+          cached: false
+        });
+      }
+    }
+
     // Validate and normalize image payload FIRST to get clean base64.
     // Unsupported formats (e.g. AVIF/HEIC) are rejected here, before any
     // quota reservation or provider call, as a terminal 400 the client
@@ -700,10 +824,42 @@ function createAltTextRouter({
       logger.warn('[altText] Image validation warnings', { warnings });
     }
 
+    const siteSettings = await lookupSiteGenerationSettings(req);
+    const { language, languages } = resolveGenerationLanguages({
+      language: context.language,
+      languages: context.languages,
+      siteDefault: siteSettings.defaultLanguage
+    });
+    const generationContext = {
+      ...context,
+      language,
+      ...(languages.length > 1 ? { languages } : {}),
+      ...(pageContext ? { pageContext } : {}),
+      ...(product ? { product } : {})
+    };
+    // Resolved before the cache lookup so experiment variants never share
+    // cached results.
+    const { template: promptTemplate, assignment: promptAssignment } = await resolvePromptTemplate(supabase, {
+      key: altTextTemplateKey(generationContext),
+      plan: req.trialMode ? 'trial' : (req.license?.plan || req.user?.plan || null),
+      siteId: siteSettings.siteId,
+      unitKey: siteIdentity.siteHash || null
+    });
+    const promptInfo = describePromptTemplate(promptTemplate, promptAssignment);
+
     // Generate cache key from NORMALIZED base64 (after stripping data URL prefix)
     // This ensures cache consistency even if frontend sends data URLs vs raw base64
     const normalizedBase64 = normalized.base64 || '';
-    const cacheKey = normalizedBase64 ? hashPayload(normalizedBase64) : null;
+    const cacheKey = normalizedBase64
+      ? buildResultCacheKey(
+        normalizedBase64,
+        languages,
+        glossaryFingerprint(siteSettings.glossary),
+        pageContextFingerprint(pageContext),
+        productFingerprint(product),
+        `prompt:${promptInfo.template}@${promptInfo.version}`
+      )
+      : null;
 
     {
       const isProdLogging = process.env.NODE_ENV === 'production';
@@ -711,6 +867,7 @@ function createAltTextRouter({
         ? {
           imageSource: normalizedBase64 ? 'base64' : (normalized.url ? 'url' : 'none'),
           cacheKey: cacheKey ? cacheKey.substring(0, 16) + '...' : null,
+          language,
           bypassCache,
           regenerate,
           warnings: warnings.length
@@ -798,6 +955,18 @@ function createAltTextRouter({
           anonymousResponseFields = buildAnonymousResponseFields(anonymousContext, null);
         }
 
+        // Results cached before the quality gate existed have no verdict;
+        // re-run the heuristics (never the paid model review) for them.
+        const cachedQualityFields = cachedData.quality ? null : buildQualityResponseFields(
+          await evaluateGeneratedAltText({
+            altText: cachedData.altText,
+            context: { filename: normalized.filename },
+            glossaryFlagged: (cachedData.glossary_violations || []).some((violation) => violation.action !== 'rewritten'),
+            modelReview: false,
+            requestId: req.id || null
+          })
+        );
+
         const cachedTrialGeneration = req.trialMode && anonymousResponseFields
           ? buildTrialGenerationForSingleRequest({
             outcome: 'cached_hit',
@@ -813,6 +982,7 @@ function createAltTextRouter({
         return res.json({
           success: true,
           ...cachedData,
+          ...(cachedQualityFields || {}),
           ...creditsInfo,
           ...(trialInfo || {}),
           ...(anonymousResponseFields || {}),
@@ -930,7 +1100,7 @@ function createAltTextRouter({
     const requestFingerprint = buildGenerationFingerprint({
       siteIdentity,
       normalizedImage: normalized,
-      context,
+      context: generationContext,
       userInfo,
       regenerate,
       anonymousContext
@@ -1191,8 +1361,15 @@ function createAltTextRouter({
       return res.status(reservation.status || 402).json(deniedResponseFields);
     }
 
-    logger.info('[altText] Quota reserved, calling OpenAI', {
+    const providerPlan = req.trialMode
+      ? 'trial'
+      : (req.license?.plan || req.user?.plan || reservation.reservation?.plan || null);
+    const providerName = resolveVisionProviderName({ plan: providerPlan });
+    telemetry.bindContext({ provider: providerName });
+
+    logger.info('[altText] Quota reserved, calling vision provider', {
       generation_run_id: generationRunId,
+      provider: providerName,
       mode: req.trialMode ? 'trial' : 'site',
       quota_source: reservation.reservation?.quota_source || 'unknown',
       site_hash: siteIdentity.siteHash,
@@ -1202,18 +1379,38 @@ function createAltTextRouter({
     let altText;
     let usage;
     let meta;
+    let translations = null;
+    let glossaryViolations = [];
+    let glossaryFlagged = false;
     let generationTime = 0;
 
     try {
       const generationResult = await generateAltText({
         image: providerImage,
-        context: { ...context, filename: normalized.filename }
+        context: { ...generationContext, filename: normalized.filename },
+        plan: providerPlan,
+        provider: providerName,
+        glossary: siteSettings.glossary,
+        template: promptTemplate
       });
-      altText = generationResult.altText;
+      const glossaryCheck = enforceGlossaryOnResult(generationResult, siteSettings.glossary);
+      altText = glossaryCheck.altText;
       usage = generationResult.usage;
       meta = generationResult.meta;
+      translations = glossaryCheck.translations;
+      glossaryViolations = glossaryCheck.violations;
+      glossaryFlagged = glossaryCheck.flagged;
+      if (glossaryViolations.length) {
+        logger.info('[altText] Glossary enforced on generated alt text', {
+          request_id: req.id || null,
+          violations: glossaryViolations.length,
+          flagged: glossaryCheck.flagged
+        });
+      }
       generationTime = Date.now() - startTime;
+      telemetry.bindContext({ provider: meta?.provider });
     } catch (error) {
+      telemetry.bindContext({ provider: error.provider });
       const normalizedErrorCode = error.errorCode || GENERATION_ERROR_CODES.INTERNAL_ERROR;
       const errorCode = error.code || 'GENERATION_FAILED';
       const isRetryable = error.isRetryable === true;
@@ -1386,7 +1583,8 @@ function createAltTextRouter({
         imageUrl: normalized.url,
         imageFilename: normalized.filename,
         endpoint: 'api/alt-text',
-        status: 'success'
+        status: 'success',
+        promptTemplate: promptInfo
       };
 
       if (reservation.reservation?.quota_source === 'legacy_trial') {
@@ -1518,7 +1716,8 @@ function createAltTextRouter({
         imageUrl: normalized.url,
         imageFilename: normalized.filename,
         endpoint: 'api/alt-text',
-        status: 'success'
+        status: 'success',
+        promptTemplate: promptInfo
       });
 
       logger.debug('[usage] attribution_debug', {
@@ -1559,6 +1758,21 @@ function createAltTextRouter({
       });
     }
 
+    const quality = await evaluateGeneratedAltText({
+      altText,
+      image: providerImage,
+      context: { ...generationContext, filename: normalized.filename },
+      glossaryFlagged,
+      requestId: req.id || null
+    });
+    if (!quality.passed) {
+      logger.info('[altText] Quality gate routed result to review', {
+        request_id: req.id || null,
+        score: quality.score,
+        reasons: quality.reasons.map((reason) => reason.code)
+      });
+    }
+
     if (effectiveSite?.id) {
       await upsertGeneratedImageAltState(supabase, {
         siteId: effectiveSite.id,
@@ -1566,7 +1780,20 @@ function createAltTextRouter({
         context,
         altText,
         requestId: req.id || null,
-        generationRequestId: reservation.reservation?.generation_request_id || null
+        generationRequestId: reservation.reservation?.generation_request_id || null,
+        state: quality.state,
+        metadata: {
+          quality: buildQualityMetadata(quality),
+          prompt: promptInfo,
+          ...(glossaryViolations.length ? { glossary_violations: glossaryViolations } : {})
+        },
+        revision: {
+          actor: userInfo.user_email || userInfo.user_id || null,
+          source: 'api/alt-text',
+          model: meta?.modelUsed || null,
+          qualityScore: quality.score,
+          metadata: { prompt: promptInfo }
+        }
       });
     } else {
       logger.warn('[image-state] ledger_write_skipped', {
@@ -1658,7 +1885,16 @@ function createAltTextRouter({
     }
 
     if (cacheKey && !bypassCache) {
-      const payload = { altText, warnings, usage, meta };
+      const payload = {
+        altText,
+        language,
+        ...(translations ? { translations } : {}),
+        ...(glossaryViolations.length ? { glossary_violations: glossaryViolations } : {}),
+        ...buildQualityResponseFields(quality),
+        warnings,
+        usage,
+        meta
+      };
       if (redis) {
         redis.set(`alttext:cache:${cacheKey}`, JSON.stringify(payload), 'EX', 60 * 60 * 24 * 7).catch(() => {});
       } else {
@@ -1669,6 +1905,10 @@ function createAltTextRouter({
     const response = {
       success: true,
       altText,
+      language,
+      ...(translations ? { translations } : {}),
+      ...(glossaryViolations.length ? { glossary_violations: glossaryViolations } : {}),
+      ...buildQualityResponseFields(quality),
       generation_run_id: generationRunId,
       credits_used: creditsUsed,
       credits_remaining: creditsRemaining !== null ? creditsRemaining : undefined,
@@ -1684,6 +1924,7 @@ function createAltTextRouter({
       },
       meta: {
         modelUsed: meta?.modelUsed,
+        provider: meta?.provider,
         cached: false,
         generation_time_ms: meta?.generation_time_ms
       }
@@ -1,6 +1,5 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { z } = require('zod');
 const crypto = require('crypto');
 const logger = require('../lib/logger');
@@ -22,9 +21,21 @@ const {
 const { trackAccountCreated, trackPluginConnected } = require('../../src/services/loops');
 const { PLUGIN_IDS } = require('../../src/services/pluginIdentity');
 const { recordPluginConnection } = require('../services/pluginConnections');
-
-const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRES_IN = '30d';
+const { acceptAccountInvitation } = require('../services/accountMembers');
+const { consumeMagicLink, requestMagicLink } = require('../services/magicLinks');
+const {
+  SESSION_REVOKE_REASONS,
+  issueSessionTokens,
+  refreshSession,
+  revokeAllSessions,
+  tokenPredatesPasswordChange,
+  verifyAccessToken
+} = require('../services/authSessions');
+const {
+  completeTwoFactorChallenge,
+  isTwoFactorEnabled,
+  issueTwoFactorChallenge
+} = require('../services/twoFactor');
 
 // Generate UUID v4
 function generateUUID() {
@@ -471,6 +482,37 @@ async function loadAuthEntitlementState({
   }
 }
 
+// Site and plugin context a login may carry. The 2FA step takes it too, so
+// the site is linked when the login completes.
+const LOGIN_CONTEXT_SHAPE = {
+  site_id: z.string().optional(),
+  site_hash: z.string().optional(),
+  site_key: z.string().optional(),
+  site_identifier: z.string().optional(),
+  siteId: z.string().optional(),
+  siteHash: z.string().optional(),
+  siteKey: z.string().optional(),
+  siteIdentifier: z.string().optional(),
+  site_url: z.string().optional(),
+  siteUrl: z.string().optional(),
+  site_fingerprint: z.string().optional(),
+  siteFingerprint: z.string().optional(),
+  fingerprint: z.string().optional(),
+  anon_id: z.string().optional(),
+  install_uuid: z.string().optional(),
+  installUuid: z.string().optional(),
+  install_id: z.string().optional(),
+  installId: z.string().optional(),
+  site_install_id: z.string().optional(),
+  siteInstallId: z.string().optional(),
+  blog_id: z.number().optional(),
+  network_id: z.number().optional(),
+  is_multisite: z.boolean().optional(),
+  plugin_version: z.string().optional(),
+  plugin_id: z.enum(PLUGIN_IDS).optional().default('alt_text'),
+  wordpress_version: z.string().optional()
+};
+
 function createAuthRouter({ supabase }) {
   const router = express.Router();
 
@@ -727,16 +769,10 @@ function createAuthRouter({ supabase }) {
         });
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        {
-          user_id: user.id,
-          email: user.email,
-          license_key: user.license_key,
-        },
-        JWT_SECRET,
-        { expiresIn: JWT_EXPIRES_IN }
-      );
+      // Open a session: short-lived access token plus a refresh token
+      const issued = await issueSessionTokens(supabase, { user, req });
+      if (issued.error) throw new Error(issued.message);
+      const session = issued.data;
 
       logger.info('[Auth] Register successful', {
         email: user.email,
@@ -758,7 +794,9 @@ function createAuthRouter({ supabase }) {
         success: true,
         message: 'Account created. Your free monthly credits are now active.',
         data: {
-          token,
+          token: session.token,
+          refresh_token: session.refresh_token,
+          expires_in: session.expires_in,
           user: {
             id: user.id,
             email: user.email,
@@ -772,7 +810,9 @@ function createAuthRouter({ supabase }) {
           ...(entitlementState ? { entitlement_state: entitlementState } : {})
         },
         // Keep top-level for backward compatibility
-        token,
+        token: session.token,
+        refresh_token: session.refresh_token,
+        expires_in: session.expires_in,
         user: {
           id: user.id,
           email: user.email,
@@ -799,37 +839,136 @@ function createAuthRouter({ supabase }) {
     }
   });
 
+  // Everything after the credentials and 2FA checks: link the site, record
+  // the plugin connection and open the session. Errors go to the caller.
+  async function completeLogin(req, res, { user, data, loginTrace }) {
+    const siteIdentity = buildAuthSiteContext(data);
+    const anonymousContext = buildAnonymousContext({
+      req,
+      body: data,
+      siteIdentity
+    });
+    let siteLink = { site: null, sharedSite: false, existingAccount: null, error: null, trace: null };
+    if (siteIdentity.isValid) {
+      siteLink = await attachSiteContextForAccount({
+        supabase,
+        account: user,
+        siteIdentity,
+        requestId: req.id || null,
+        connectionSource: 'login'
+      });
+    }
+    loginTrace.site_resolution.success = siteLink.trace?.site_resolution?.success ?? loginTrace.site_resolution.success;
+    loginTrace.site_resolution.matched_by = siteLink.trace?.site_resolution?.matched_by || null;
+    loginTrace.site_resolution.created = siteLink.trace?.site_resolution?.created ?? null;
+    loginTrace.site_resolution.error = siteLink.trace?.site_resolution?.error || loginTrace.site_resolution.error;
+    loginTrace.site_write.attempted = siteLink.trace?.site_write?.attempted ?? false;
+    loginTrace.site_write.success = siteLink.trace?.site_write?.success ?? null;
+    loginTrace.site_write.error = siteLink.trace?.site_write?.error || null;
+    loginTrace.site_membership.attempted = siteLink.trace?.site_membership?.attempted ?? false;
+    loginTrace.site_membership.success = siteLink.trace?.site_membership?.success ?? null;
+    loginTrace.site_membership.action = siteLink.trace?.site_membership?.action || null;
+    loginTrace.site_membership.error = siteLink.trace?.site_membership?.error || null;
+    loginTrace.site_id = siteLink.site?.id || null;
+
+    if (siteLink.site) {
+      await observeAnonymousSignupMerge({
+        supabase,
+        account: user,
+        site: siteLink.site,
+        requestId: req.id || null,
+        connectionSource: 'login',
+        anonymousContext
+      });
+    }
+
+    if (siteLink.error === 'AMBIGUOUS_SITE_MATCH') {
+      loginTrace.final_state = 'ambiguous_site_match';
+      emitAuthWriteTrace('login', loginTrace);
+      return res.status(409).json({
+        error: 'AMBIGUOUS_SITE_MATCH',
+        code: 'AMBIGUOUS_SITE_MATCH',
+        message: 'This site matched multiple existing records and needs manual review before it can be linked.'
+      });
+    }
+
+    if (siteLink.error === 'DEVELOPMENT_SITE_NOT_ALLOWED') {
+      loginTrace.final_state = 'development_site_not_allowed';
+      emitAuthWriteTrace('login', loginTrace);
+      return res.status(403).json({
+        error: 'DEVELOPMENT_SITE_NOT_ALLOWED',
+        code: 'DEVELOPMENT_SITE_NOT_ALLOWED',
+        message: 'Development and localhost sites cannot claim production free quota.'
+      });
+    }
+
+    await fireLoopsPluginConnected({
+      supabase,
+      email: user.email,
+      userId: user.id,
+      pluginId: data.plugin_id,
+      pluginVersion: data.plugin_version,
+      requestId: req.id || null
+    });
+
+    // Open a session: short-lived access token plus a refresh token
+    const issued = await issueSessionTokens(supabase, { user, req });
+    if (issued.error) throw new Error(issued.message);
+    const session = issued.data;
+
+    loginTrace.final_state = 'success';
+    emitAuthWriteTrace('login', loginTrace);
+    const entitlementState = await loadAuthEntitlementState({
+      supabase,
+      account: user,
+      site: siteLink.site,
+      siteIdentity,
+      requestId: req.id || null
+    });
+
+    return res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        token: session.token,
+        refresh_token: session.refresh_token,
+        expires_in: session.expires_in,
+        user: {
+          id: user.id,
+          email: user.email,
+          license_key: user.license_key,
+          plan: user.plan,
+          status: user.status,
+        },
+        site: siteLink.site || null,
+        shared_site: siteLink.sharedSite,
+        existing_email: maskEmail(siteLink.existingAccount?.email || null),
+        ...(entitlementState ? { entitlement_state: entitlementState } : {})
+      },
+      // Keep top-level for backward compatibility
+      token: session.token,
+      refresh_token: session.refresh_token,
+      expires_in: session.expires_in,
+      user: {
+        id: user.id,
+        email: user.email,
+        license_key: user.license_key,
+        plan: user.plan,
+        status: user.status,
+      },
+      site: siteLink.site || null,
+      shared_site: siteLink.sharedSite,
+      existing_email: maskEmail(siteLink.existingAccount?.email || null),
+      ...(entitlementState ? { entitlement_state: entitlementState } : {})
+    });
+  }
+
   // Login
   router.post('/login', async (req, res) => {
     const schema = z.object({
       email: z.string().email(),
       password: z.string(),
-      site_id: z.string().optional(),
-      site_hash: z.string().optional(),
-      site_key: z.string().optional(),
-      site_identifier: z.string().optional(),
-      siteId: z.string().optional(),
-      siteHash: z.string().optional(),
-      siteKey: z.string().optional(),
-      siteIdentifier: z.string().optional(),
-      site_url: z.string().optional(),
-      siteUrl: z.string().optional(),
-      site_fingerprint: z.string().optional(),
-      siteFingerprint: z.string().optional(),
-      fingerprint: z.string().optional(),
-      anon_id: z.string().optional(),
-      install_uuid: z.string().optional(),
-      installUuid: z.string().optional(),
-      install_id: z.string().optional(),
-      installId: z.string().optional(),
-      site_install_id: z.string().optional(),
-      siteInstallId: z.string().optional(),
-      blog_id: z.number().optional(),
-      network_id: z.number().optional(),
-      is_multisite: z.boolean().optional(),
-      plugin_version: z.string().optional(),
-      plugin_id: z.enum(PLUGIN_IDS).optional().default('alt_text'),
-      wordpress_version: z.string().optional()
+      ...LOGIN_CONTEXT_SHAPE
     });
 
     const parsed = schema.safeParse(req.body);
@@ -920,132 +1059,248 @@ function createAuthRouter({ supabase }) {
         });
       }
 
-      const siteIdentity = buildAuthSiteContext(parsed.data);
-      const anonymousContext = buildAnonymousContext({
-        req,
-        body: parsed.data,
-        siteIdentity
-      });
-      let siteLink = { site: null, sharedSite: false, existingAccount: null, error: null, trace: null };
-      if (siteIdentity.isValid) {
-        siteLink = await attachSiteContextForAccount({
-          supabase,
-          account: user,
-          siteIdentity,
-          requestId: req.id || null,
-          connectionSource: 'login'
+      // Logins with 2FA get a challenge token instead of a session;
+      // POST /login/2fa finishes the login.
+      const twoFactor = await isTwoFactorEnabled(supabase, user.id);
+      if (twoFactor.error) throw new Error(twoFactor.message);
+      if (twoFactor.data) {
+        loginTrace.final_state = 'two_factor_required';
+        emitAuthWriteTrace('login', loginTrace);
+        return res.json({
+          success: true,
+          two_factor_required: true,
+          message: 'Enter the code from your authenticator app',
+          ...issueTwoFactorChallenge(user)
         });
       }
-      loginTrace.site_resolution.success = siteLink.trace?.site_resolution?.success ?? loginTrace.site_resolution.success;
-      loginTrace.site_resolution.matched_by = siteLink.trace?.site_resolution?.matched_by || null;
-      loginTrace.site_resolution.created = siteLink.trace?.site_resolution?.created ?? null;
-      loginTrace.site_resolution.error = siteLink.trace?.site_resolution?.error || loginTrace.site_resolution.error;
-      loginTrace.site_write.attempted = siteLink.trace?.site_write?.attempted ?? false;
-      loginTrace.site_write.success = siteLink.trace?.site_write?.success ?? null;
-      loginTrace.site_write.error = siteLink.trace?.site_write?.error || null;
-      loginTrace.site_membership.attempted = siteLink.trace?.site_membership?.attempted ?? false;
-      loginTrace.site_membership.success = siteLink.trace?.site_membership?.success ?? null;
-      loginTrace.site_membership.action = siteLink.trace?.site_membership?.action || null;
-      loginTrace.site_membership.error = siteLink.trace?.site_membership?.error || null;
-      loginTrace.site_id = siteLink.site?.id || null;
 
-      if (siteLink.site) {
-        await observeAnonymousSignupMerge({
-          supabase,
-          account: user,
-          site: siteLink.site,
-          requestId: req.id || null,
-          connectionSource: 'login',
-          anonymousContext
-        });
-      }
+      return await completeLogin(req, res, { user, data: parsed.data, loginTrace });
+    } catch (err) {
+      loginTrace.final_state = 'server_error';
+      loginTrace.server_error = err.message;
+      emitAuthWriteTrace('login', loginTrace);
+      logger.error('[Auth] Login error:', err);
+      return res.status(500).json({
+        error: 'SERVER_ERROR',
+        code: 'SERVER_ERROR',
+        message: 'An error occurred during login',
+      });
+    }
+  });
 
-      if (siteLink.error === 'AMBIGUOUS_SITE_MATCH') {
-        loginTrace.final_state = 'ambiguous_site_match';
+  // Second login step for logins with 2FA: the challenge token from /login
+  // plus a code from the authenticator app or a recovery code.
+  router.post('/login/2fa', async (req, res) => {
+    const schema = z.object({
+      challenge_token: z.string().min(1),
+      code: z.string().optional(),
+      recovery_code: z.string().optional(),
+      ...LOGIN_CONTEXT_SHAPE
+    }).refine((value) => Boolean(value.code) !== Boolean(value.recovery_code));
+
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: 'INVALID_REQUEST',
+        code: 'INVALID_REQUEST',
+        message: 'Send challenge_token and either code or recovery_code',
+      });
+    }
+
+    if (!supabase) {
+      return res.status(503).json({
+        error: 'SERVICE_UNAVAILABLE',
+        code: 'SERVICE_UNAVAILABLE',
+        message: 'Service temporarily unavailable. Please try again later.',
+      });
+    }
+
+    const loginTrace = buildAuthWriteTrace({
+      connectionSource: 'login',
+      requestId: req.id || null,
+      email: null,
+      siteIdentity: buildAuthSiteContext(parsed.data)
+    });
+
+    try {
+      const challenge = await completeTwoFactorChallenge(supabase, {
+        challengeToken: parsed.data.challenge_token,
+        code: parsed.data.code,
+        recoveryCode: parsed.data.recovery_code
+      });
+      if (challenge.error) {
+        loginTrace.final_state = 'two_factor_failed';
         emitAuthWriteTrace('login', loginTrace);
-        return res.status(409).json({
-          error: 'AMBIGUOUS_SITE_MATCH',
-          code: 'AMBIGUOUS_SITE_MATCH',
-          message: 'This site matched multiple existing records and needs manual review before it can be linked.'
+        return res.status(challenge.status || 500).json({
+          error: challenge.error,
+          code: challenge.error,
+          message: challenge.message,
         });
       }
 
-      if (siteLink.error === 'DEVELOPMENT_SITE_NOT_ALLOWED') {
-        loginTrace.final_state = 'development_site_not_allowed';
+      const { user, method } = challenge.data;
+      logger.info('[Auth] Login two-factor verified', {
+        userId: user.id,
+        method,
+        recoveryCodesRemaining: challenge.data.recovery_codes_remaining,
+        requestId: req.id || null
+      });
+      loginTrace.email = maskEmail(user.email);
+      loginTrace.user_id = user.id;
+      loginTrace.license_key_prefix = redactLicenseKey(user.license_key);
+
+      if (user.status !== 'active') {
+        loginTrace.final_state = 'account_inactive';
         emitAuthWriteTrace('login', loginTrace);
         return res.status(403).json({
-          error: 'DEVELOPMENT_SITE_NOT_ALLOWED',
-          code: 'DEVELOPMENT_SITE_NOT_ALLOWED',
-          message: 'Development and localhost sites cannot claim production free quota.'
+          error: 'ACCOUNT_INACTIVE',
+          code: 'ACCOUNT_INACTIVE',
+          message: 'Your account is not active',
+          status: user.status,
         });
       }
 
-      await fireLoopsPluginConnected({
-        supabase,
-        email: user.email,
-        userId: user.id,
-        pluginId: parsed.data.plugin_id,
-        pluginVersion: parsed.data.plugin_version,
-        requestId: req.id || null
+      return await completeLogin(req, res, { user, data: parsed.data, loginTrace });
+    } catch (err) {
+      loginTrace.final_state = 'server_error';
+      loginTrace.server_error = err.message;
+      emitAuthWriteTrace('login', loginTrace);
+      logger.error('[Auth] Login 2FA error:', err);
+      return res.status(500).json({
+        error: 'SERVER_ERROR',
+        code: 'SERVER_ERROR',
+        message: 'An error occurred during login',
       });
+    }
+  });
 
-      // Generate JWT token
-      const token = jwt.sign(
-        {
-          user_id: user.id,
-          email: user.email,
-          license_key: user.license_key,
-        },
-        JWT_SECRET,
-        { expiresIn: JWT_EXPIRES_IN }
-      );
+  // Passwordless login: email a single-use login link. The answer is the
+  // same whether or not the email has an account.
+  router.post('/magic-link', async (req, res) => {
+    const schema = z.object({
+      email: z.string().email()
+    });
 
-      loginTrace.final_state = 'success';
-      emitAuthWriteTrace('login', loginTrace);
-      const entitlementState = await loadAuthEntitlementState({
-        supabase,
-        account: user,
-        site: siteLink.site,
-        siteIdentity,
-        requestId: req.id || null
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: 'INVALID_REQUEST',
+        code: 'INVALID_REQUEST',
+        message: 'Invalid email address',
       });
+    }
 
-      return res.json({
-        success: true,
-        message: 'Login successful',
-        data: {
-          token,
-          user: {
-            id: user.id,
-            email: user.email,
-            license_key: user.license_key,
-            plan: user.plan,
-            status: user.status,
-          },
-          site: siteLink.site || null,
-          shared_site: siteLink.sharedSite,
-          existing_email: maskEmail(siteLink.existingAccount?.email || null),
-          ...(entitlementState ? { entitlement_state: entitlementState } : {})
-        },
-        // Keep top-level for backward compatibility
-        token,
-        user: {
-          id: user.id,
-          email: user.email,
-          license_key: user.license_key,
-          plan: user.plan,
-          status: user.status,
-        },
-        site: siteLink.site || null,
-        shared_site: siteLink.sharedSite,
-        existing_email: maskEmail(siteLink.existingAccount?.email || null),
-        ...(entitlementState ? { entitlement_state: entitlementState } : {})
+    if (!supabase) {
+      return res.status(503).json({
+        error: 'SERVICE_UNAVAILABLE',
+        code: 'SERVICE_UNAVAILABLE',
+        message: 'Service temporarily unavailable. Please try again later.',
       });
+    }
+
+    try {
+      const result = await requestMagicLink(supabase, { email: parsed.data.email });
+      if (result.error) {
+        logger.error('[Auth] Magic link request failed', { error: result.error, requestId: req.id || null });
+      } else {
+        logger.info('[Auth] Magic link requested', {
+          email: maskEmail(parsed.data.email),
+          emailSent: result.data.sent,
+          requestId: req.id || null
+        });
+      }
+    } catch (err) {
+      logger.error('[Auth] Magic link error:', err);
+    }
+
+    return res.json({
+      success: true,
+      message: 'If an account exists with this email, you will receive a login link',
+    });
+  });
+
+  // Exchange a login link token for the same session /login opens.
+  router.post('/magic-link/verify', async (req, res) => {
+    const schema = z.object({
+      token: z.string().min(1),
+      ...LOGIN_CONTEXT_SHAPE
+    });
+
+    const parsed = schema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: 'INVALID_REQUEST',
+        code: 'INVALID_REQUEST',
+        message: 'token is required',
+      });
+    }
+
+    if (!supabase) {
+      return res.status(503).json({
+        error: 'SERVICE_UNAVAILABLE',
+        code: 'SERVICE_UNAVAILABLE',
+        message: 'Service temporarily unavailable. Please try again later.',
+      });
+    }
+
+    const loginTrace = buildAuthWriteTrace({
+      connectionSource: 'login',
+      requestId: req.id || null,
+      email: null,
+      siteIdentity: buildAuthSiteContext(parsed.data)
+    });
+
+    try {
+      const link = await consumeMagicLink(supabase, { token: parsed.data.token });
+      if (link.error) {
+        loginTrace.final_state = 'magic_link_invalid';
+        emitAuthWriteTrace('login', loginTrace);
+        return res.status(link.status || 500).json({
+          error: link.error,
+          code: link.error,
+          message: link.message,
+        });
+      }
+
+      const { user } = link.data;
+      loginTrace.email = maskEmail(user.email);
+      loginTrace.user_id = user.id;
+      loginTrace.license_key_prefix = redactLicenseKey(user.license_key);
+
+      if (user.status !== 'active') {
+        loginTrace.final_state = 'account_inactive';
+        emitAuthWriteTrace('login', loginTrace);
+        return res.status(403).json({
+          error: 'ACCOUNT_INACTIVE',
+          code: 'ACCOUNT_INACTIVE',
+          message: 'Your account is not active',
+          status: user.status,
+        });
+      }
+
+      // The link stands in for the password, not for the second factor.
+      const twoFactor = await isTwoFactorEnabled(supabase, user.id);
+      if (twoFactor.error) throw new Error(twoFactor.message);
+      if (twoFactor.data) {
+        loginTrace.final_state = 'two_factor_required';
+        emitAuthWriteTrace('login', loginTrace);
+        return res.json({
+          success: true,
+          two_factor_required: true,
+          message: 'Enter the code from your authenticator app',
+          ...issueTwoFactorChallenge(user)
+        });
+      }
+
+      // Only site fields sent by the verifying client are linked; with 2FA
+      // the client sends them again to /login/2fa.
+      logger.info('[Auth] Magic link login', { userId: user.id, requestId: req.id || null });
+      return await completeLogin(req, res, { user, data: parsed.data, loginTrace });
     } catch (err) {
       loginTrace.final_state = 'server_error';
       loginTrace.server_error = err.message;
       emitAuthWriteTrace('login', loginTrace);
-      logger.error('[Auth] Login error:', err);
+      logger.error('[Auth] Magic link login error:', err);
       return res.status(500).json({
         error: 'SERVER_ERROR',
         code: 'SERVER_ERROR',
@@ -1077,22 +1332,21 @@ function createAuthRouter({ supabase }) {
         });
       }
 
-      // Verify token
-      let decoded;
-      try {
-        decoded = jwt.verify(token, JWT_SECRET);
-      } catch (err) {
-        return res.status(401).json({
-          error: 'INVALID_TOKEN',
-          code: 'INVALID_TOKEN',
-          message: 'Invalid or expired token',
+      // Verify token and its session
+      const verified = await verifyAccessToken(supabase, token);
+      if (verified.error) {
+        return res.status(verified.status).json({
+          error: verified.error,
+          code: verified.error,
+          message: verified.message,
         });
       }
+      const decoded = verified.data;
 
       // Get user from database
       const { data: user, error } = await supabase
         .from('licenses')
-        .select('id, email, license_key, plan, status, max_sites, billing_day_of_month, created_at')
+        .select('*')
         .eq('id', decoded.user_id)
         .maybeSingle();
 
@@ -1103,6 +1357,13 @@ function createAuthRouter({ supabase }) {
           message: 'User account not found',
         });
       }
+      if (tokenPredatesPasswordChange(decoded, user)) {
+        return res.status(401).json({
+          error: 'INVALID_TOKEN',
+          code: 'INVALID_TOKEN',
+          message: 'Invalid or expired token',
+        });
+      }
 
       return res.json({
         success: true,
@@ -1126,6 +1387,135 @@ function createAuthRouter({ supabase }) {
     }
   });
 
+  // Exchange a refresh token for a new access token. The refresh token is
+  // single-use: the response carries its replacement.
+  router.post('/refresh', async (req, res) => {
+    const refreshToken = typeof req.body?.refresh_token === 'string' ? req.body.refresh_token.trim() : '';
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'INVALID_REQUEST',
+        code: 'INVALID_REQUEST',
+        message: 'refresh_token is required',
+      });
+    }
+    if (!supabase) {
+      return res.status(503).json({
+        error: 'SERVICE_UNAVAILABLE',
+        code: 'SERVICE_UNAVAILABLE',
+        message: 'Service temporarily unavailable. Please try again later.',
+      });
+    }
+
+    try {
+      const result = await refreshSession(supabase, { refreshToken, req });
+      if (result.error) {
+        logger.warn('[Auth] Refresh rejected', { error: result.error, requestId: req.id || null });
+        return res.status(result.status || 500).json({
+          error: result.error,
+          code: result.error,
+          message: result.message,
+        });
+      }
+      const { user, ...session } = result.data;
+      return res.json({
+        success: true,
+        token: session.token,
+        refresh_token: session.refresh_token,
+        expires_in: session.expires_in,
+        user: {
+          id: user.id,
+          email: user.email,
+          license_key: user.license_key,
+          plan: user.plan,
+          status: user.status,
+        },
+      });
+    } catch (err) {
+      logger.error('[Auth] Refresh error:', err);
+      return res.status(500).json({
+        error: 'SERVER_ERROR',
+        code: 'SERVER_ERROR',
+        message: 'An error occurred',
+      });
+    }
+  });
+
+  // Accept a team invitation as the logged-in invitee. New invitees register
+  // (or log in) with the invited email first, then send the token here.
+  router.post('/invitations/accept', async (req, res) => {
+    const authHeader = req.header('Authorization');
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        error: 'UNAUTHORIZED',
+        code: 'UNAUTHORIZED',
+        message: 'Log in with the invited email address to accept the invitation',
+      });
+    }
+    const token = typeof req.body?.token === 'string' ? req.body.token.trim() : '';
+    if (!token) {
+      return res.status(400).json({
+        error: 'INVALID_REQUEST',
+        code: 'INVALID_REQUEST',
+        message: 'token is required',
+      });
+    }
+    if (!supabase) {
+      return res.status(503).json({
+        error: 'SERVICE_UNAVAILABLE',
+        code: 'SERVICE_UNAVAILABLE',
+        message: 'Service temporarily unavailable. Please try again later.',
+      });
+    }
+
+    try {
+      const verified = await verifyAccessToken(supabase, authHeader.substring(7));
+      if (verified.error) {
+        return res.status(verified.status).json({
+          error: verified.error,
+          code: verified.error,
+          message: verified.message,
+        });
+      }
+      const decoded = verified.data;
+
+      const { data: user, error } = await supabase
+        .from('licenses')
+        .select('*')
+        .eq('id', decoded.user_id)
+        .maybeSingle();
+      if (error || !user || user.status !== 'active' || tokenPredatesPasswordChange(decoded, user)) {
+        return res.status(404).json({
+          error: 'USER_NOT_FOUND',
+          code: 'USER_NOT_FOUND',
+          message: 'User account not found',
+        });
+      }
+
+      const result = await acceptAccountInvitation(supabase, { token, user });
+      if (result.error) {
+        return res.status(result.status || 500).json({
+          error: result.error,
+          code: result.error,
+          message: result.message,
+        });
+      }
+      logger.info('[Auth] Team invitation accepted', {
+        userId: user.id,
+        accountId: result.data.account_id,
+        role: result.data.member.role,
+        requestId: req.id || null
+      });
+      return res.json({ success: true, ...result.data });
+    } catch (err) {
+      logger.error('[Auth] Accept invitation error:', err);
+      return res.status(500).json({
+        error: 'SERVER_ERROR',
+        code: 'SERVER_ERROR',
+        message: 'An error occurred',
+      });
+    }
+  });
+
   // Forgot password (placeholder - would send email in production)
   router.post('/forgot-password', async (req, res) => {
     logger.info('[Auth] Forgot password request received', { 
@@ -1376,7 +1766,21 @@ function createAuthRouter({ supabase }) {
         });
       }
 
-      logger.info('[Auth] Password reset successful', { email, userId: user.id });
+      // Log out every device, including tokens issued before sessions existed.
+      const { error: passwordChangedError } = await supabase
+        .from('licenses')
+        .update({ password_changed_at: new Date().toISOString() })
+        .eq('id', user.id);
+      if (passwordChangedError) {
+        logger.warn('[Auth] Could not record password change time', { userId: user.id, error: passwordChangedError.message });
+      }
+      const revoked = await revokeAllSessions(supabase, { userId: user.id, reason: SESSION_REVOKE_REASONS.PASSWORD_RESET });
+
+      logger.info('[Auth] Password reset successful', {
+        email,
+        userId: user.id,
+        sessionsRevoked: revoked.data?.revoked ?? null
+      });
 
       return res.json({
         success: true,
@@ -12,7 +12,11 @@ const {
   DEFAULT_PUBLISH_THRESHOLD
 } = require('../services/imageSeoAudit');
 
-function createImageSeoAuditRouter({ supabase, runAudit = runImageSeoAudit } = {}) {
+/**
+ * `dispatchAudit` queues the report as a durable job (services/auditJobs.js);
+ * without it `runAudit` runs on this process after the response.
+ */
+function createImageSeoAuditRouter({ supabase, runAudit = runImageSeoAudit, dispatchAudit = null } = {}) {
   const router = express.Router();
   const rateLimitMap = new Map();
   const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
@@ -90,23 +94,27 @@ function createImageSeoAuditRouter({ supabase, runAudit = runImageSeoAudit } = {
         });
       }
 
-      setImmediate(() => {
-        runAudit({
-          supabase,
-          auditId,
-          email,
-          siteUrl: url.toString(),
-          source: parsed.data.source || 'image_seo_audit'
-        }).catch((error) => {
-          logger.error('[image-seo-audit] background audit failed', {
-            audit_id: auditId,
-            site_url: url.toString(),
-            normalized_domain: normalizedDomain,
-            error: error.message,
-            code: error.code || null
+      const audit = {
+        auditId,
+        email,
+        siteUrl: url.toString(),
+        source: parsed.data.source || 'image_seo_audit'
+      };
+      if (dispatchAudit) {
+        await dispatchAudit(audit);
+      } else {
+        setImmediate(() => {
+          runAudit({ supabase, ...audit }).catch((error) => {
+            logger.error('[image-seo-audit] background audit failed', {
+              audit_id: auditId,
+              site_url: url.toString(),
+              normalized_domain: normalizedDomain,
+              error: error.message,
+              code: error.code || null
+            });
           });
         });
-      });
+      }
 
       return res.status(202).json({
         ok: true,
@@ -4,12 +4,22 @@ const logger = require('../lib/logger');
 const { enforceQuota, getQuotaStatus } = require('../services/quota');
 const { buildEntitlementState } = require('../services/entitlementState');
 const { extractUserInfo } = require('../middleware/auth');
+const { JOB_CONTROL_ACTIONS, requestJobControl } = require('../services/bulkJobControl');
+const { validateCallbackUrl } = require('../services/jobWebhooks');
+const { MAX_TRANSLATIONS, normalizeLanguageTag } = require('../lib/languages');
+const { normalizePageContext } = require('../lib/pageContext');
+const { normalizeProduct } = require('../lib/productMode');
 const {
   LEDGER_SYNC_SCOPES,
   resolveImageAltStateSyncTarget,
   syncImageAltStates
 } = require('../services/imageAltState');
 
+const languageTagSchema = z
+  .string()
+  .max(35)
+  .refine((value) => normalizeLanguageTag(value) !== null, 'Use a BCP-47 language tag such as "de" or "pt-BR".');
+
 const batchSchema = z.object({
   priority: z.enum(['high', 'normal', 'low']).optional(),
   images: z.array(z.object({
@@ -19,12 +29,46 @@ const batchSchema = z.object({
     attachment_id: z.union([z.string(), z.number()]).optional(),
     attachmentId: z.union([z.string(), z.number()]).optional(),
     image_id: z.union([z.string(), z.number()]).optional(),
-    imageId: z.union([z.string(), z.number()]).optional()
+    imageId: z.union([z.string(), z.number()]).optional(),
+    language: languageTagSchema.optional(),
+    languages: z.array(languageTagSchema).min(1).max(MAX_TRANSLATIONS).optional(),
+    // Validated by normalizePageContext (lib/pageContext.js).
+    page_context: z.any().optional(),
+    // Validated by normalizeProduct (lib/productMode.js).
+    product: z.any().optional()
   })).min(1),
-  context: z.any().optional()
+  context: z.any().optional(),
+  callback_url: z.string().max(2048).optional(),
+  callback_progress: z.boolean().optional()
 });
 
-function createJobsRouter({ supabase, checkRateLimit, getSiteFromHeaders, createJob, getJobRecord }) {
+/**
+ * Item-level `language` / `languages` and the normalized `page_context` and
+ * `product` travel in the item context so the processor resolves them
+ * alongside the batch context and site default.
+ */
+function withItemContext({ language, languages, page_context: _rawPageContext, product: _rawProduct, ...item }, { pageContext = null, product = null } = {}) {
+  if (!language && !languages && !pageContext && !product) return item;
+  return {
+    ...item,
+    context: {
+      ...(item.context || {}),
+      ...(language ? { language } : {}),
+      ...(languages ? { languages } : {}),
+      ...(pageContext ? { pageContext } : {}),
+      ...(product ? { product } : {})
+    }
+  };
+}
+
+function createJobsRouter({
+  supabase,
+  checkRateLimit,
+  getSiteFromHeaders,
+  createJob,
+  getJobRecord,
+  jobQueue = null
+}) {
   const router = express.Router();
 
   function resolveAutoSyncScope(context = {}) {
@@ -125,7 +169,26 @@ function createJobsRouter({ supabase, checkRateLimit, getSiteFromHeaders, create
     if (!parsed.success) {
       return res.status(400).json({ error: 'INVALID_REQUEST', details: parsed.error.flatten() });
     }
-    const { priority = 'normal', images, context = {} } = parsed.data;
+    const {
+      priority = 'normal',
+      images,
+      context = {},
+      callback_url: rawCallbackUrl,
+      callback_progress: callbackProgress = false
+    } = parsed.data;
+    const pageContexts = images.map((item) => normalizePageContext(item.page_context));
+    const products = images.map((item) => normalizeProduct(item.product));
+    const pageContextErrors = pageContexts.flatMap(({ errors }, index) => errors.map((message) => `images[${index}].page_context: ${message}`));
+    const productErrors = products.flatMap(({ errors }, index) => errors.map((message) => `images[${index}].${message}`));
+    if (pageContextErrors.length || productErrors.length) {
+      return res.status(400).json({
+        error: 'INVALID_REQUEST',
+        details: {
+          ...(pageContextErrors.length ? { page_context: pageContextErrors } : {}),
+          ...(productErrors.length ? { product: productErrors } : {})
+        }
+      });
+    }
     const rawSiteKey = req.header('X-Site-Key') || req.header('X-Site-Hash') || null;
     const siteKey = rawSiteKey || 'default';
     const siteUrl = req.header('X-Site-URL') || null;
@@ -181,11 +244,24 @@ function createJobsRouter({ supabase, checkRateLimit, getSiteFromHeaders, create
       return res.status(429).json({ error: 'RATE_LIMIT_EXCEEDED', message: 'Rate limit exceeded', code: 'RATE_LIMIT_EXCEEDED' });
     }
 
+    let callback = null;
+    if (rawCallbackUrl) {
+      const checked = await validateCallbackUrl(rawCallbackUrl);
+      if (checked.error) {
+        return res.status(checked.status).json({ error: checked.error, code: checked.error, message: checked.message });
+      }
+      callback = { url: checked.url, progress: callbackProgress };
+    }
+
     const validationCompleteMs = Date.now();
-    const items = images.map(item => ({ ...item, user: userInfo }));
+    const items = images.map((item, index) => ({
+      ...withItemContext(item, { pageContext: pageContexts[index].pageContext, product: products[index].product }),
+      user: userInfo
+    }));
     const jobId = await createJob(items, { ...context, priority }, siteKey, {
       licenseKey,
-      userInfo
+      userInfo,
+      callback
     });
 
     logger.info('[jobs] bulk_job_accepted', {
@@ -234,14 +310,43 @@ function createJobsRouter({ supabase, checkRateLimit, getSiteFromHeaders, create
     const job = await getJobRecord(req.params.jobId);
     if (!job) return res.status(404).json({ error: 'JOB_NOT_FOUND', message: 'Job not found' });
     const percentComplete = job.total
-      ? Math.round(((job.completed || 0) + (job.failed || 0)) / job.total * 100)
+      ? Math.round(((job.completed || 0) + (job.failed || 0) + (job.cancelled || 0)) / job.total * 100)
       : 0;
     res.json({
       ...job,
+      ...(jobQueue ? { control: await jobQueue.getJobControl(job.jobId) } : {}),
       percentComplete
     });
   });
 
+  // Cancel / pause / resume; only the site that submitted the job may steer it.
+  Object.values(JOB_CONTROL_ACTIONS).forEach((action) => {
+    router.post(`/:jobId/${action}`, async (req, res) => {
+      const licenseKey = req.header('X-License-Key') || req.license?.license_key || null;
+      if (!licenseKey) {
+        return res.status(401).json({
+          error: 'LICENSE_REQUIRED',
+          message: 'Bulk jobs require X-License-Key or authenticated license'
+        });
+      }
+      if (!jobQueue) {
+        return res.status(503).json({ error: 'JOB_CONTROL_UNAVAILABLE', message: 'Job control is not available' });
+      }
+
+      const result = await requestJobControl(jobQueue, {
+        jobId: req.params.jobId,
+        action,
+        siteKey: req.header('X-Site-Key') || req.header('X-Site-Hash') || 'default',
+        jobType: 'bulk_alt_text',
+        requestId: req.id || null
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error, code: result.error, message: result.message });
+      }
+      return res.json(result.data);
+    });
+  });
+
   return router;
 }
 
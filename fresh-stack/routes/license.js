@@ -3,7 +3,14 @@ const logger = require('../lib/logger');
 const { buildSiteIdentity } = require('../lib/siteIdentity');
 const { fetchAccountByLicenseKey, resolveCanonicalSite } = require('../services/siteQuota');
 const { validateLicense, activateLicense, deactivateLicense, transferLicense, sanitizeLicense } = require('../services/license');
-const { setSiteQuota, getSites, deactivateSite } = require('../services/site');
+const {
+  setSiteQuota,
+  setSiteDefaultLanguage,
+  getSiteGlossary,
+  setSiteGlossary,
+  getSites,
+  deactivateSite
+} = require('../services/site');
 
 /**
  * Normalize request body: accept both camelCase (frontend) and snake_case (backend).
@@ -226,6 +233,61 @@ function createLicenseRouter({ supabase }) {
     });
   });
 
+  router.post('/sites/:site_id/language', async (req, res) => {
+    const licenseKey = req.header('X-License-Key') || req.license?.license_key || req.body?.license_key;
+    const siteHash = req.params.site_id;
+    const language = req.body?.default_language ?? req.body?.language ?? null;
+    const result = await setSiteDefaultLanguage(supabase, { licenseKey, siteHash, language });
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        error: result.error,
+        message: result.message,
+        code: result.error
+      });
+    }
+    return res.json({
+      success: true,
+      message: 'Site default language updated successfully',
+      default_language: result.data.default_language ?? null,
+      site: result.data
+    });
+  });
+
+  router.get('/sites/:site_id/glossary', async (req, res) => {
+    const licenseKey = req.header('X-License-Key') || req.license?.license_key;
+    const result = await getSiteGlossary(supabase, { licenseKey, siteHash: req.params.site_id });
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        error: result.error,
+        message: result.message,
+        code: result.error
+      });
+    }
+    return res.json({ success: true, glossary: result.data });
+  });
+
+  router.put('/sites/:site_id/glossary', async (req, res) => {
+    const licenseKey = req.header('X-License-Key') || req.license?.license_key || req.body?.license_key;
+    const glossary = req.body?.glossary ?? req.body ?? {};
+    const result = await setSiteGlossary(supabase, { licenseKey, siteHash: req.params.site_id, glossary });
+    if (result.error) {
+      return res.status(result.status || 400).json({
+        success: false,
+        error: result.error,
+        message: result.message,
+        code: result.error,
+        ...(result.details ? { details: result.details } : {})
+      });
+    }
+    return res.json({
+      success: true,
+      message: 'Site glossary updated successfully',
+      glossary: result.data
+    });
+  });
+
   return router;
 }
 
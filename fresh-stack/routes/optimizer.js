@@ -2,11 +2,32 @@ const express = require('express');
 const { z } = require('zod');
 const logger = require('../lib/logger');
 const {
+  createAuditRateLimiter,
   startOptimizerAudit,
   getOptimizerAudit,
   getOptimizerHistory
 } = require('../services/optimizerAudit');
 const { getOptimizerProgress } = require('../services/optimizerProgress');
+const { compareOptimizerAudits } = require('../services/optimizerCompare');
+const {
+  REPORT_FORMATS,
+  MAX_SHARE_DAYS,
+  buildOptimizerReport,
+  exportOptimizerReport,
+  createOptimizerReportShare
+} = require('../services/optimizerReport');
+const {
+  SCHEDULE_FREQUENCIES,
+  getOptimizerSchedule,
+  updateOptimizerSchedule
+} = require('../services/optimizerSchedule');
+
+// The diff snapshot is stored with the result but only the compare route needs it.
+function withoutSnapshot(result) {
+  if (!result || !result.snapshot) return result;
+  const { snapshot: _snapshot, ...rest } = result;
+  return rest;
+}
 
 /**
  * Oppti Optimizer plugin API.
@@ -15,32 +36,49 @@ const { getOptimizerProgress } = require('../services/optimizerProgress');
  *                                  anonymous trial via X-Site-Hash, same rails
  *                                  as the alt-text plugin).
  * GET  /api/optimizer/audit/:id  — poll status/results. Public by UUID, same
- *                                  model as GET /api/jobs/:id.
+ *                                  model as GET /api/jobs/:id. With
+ *                                  ?format=json|csv|pdf, download the full
+ *                                  report (every page finding and image).
+ * POST /api/optimizer/audit/:id/share
+ *                                — signed, expiring public link to the report
+ *                                  (served by routes/reports.js).
+ * GET  /api/optimizer/audit/:id/compare/:otherId
+ *                                — page/image/schema changes from audit
+ *                                  otherId to audit id. Public by UUID too.
  * GET  /api/optimizer/history    — completed audits for the requesting site
  *                                  (same auth rails as audit start).
+ * GET  /api/optimizer/schedule   — recurring audit schedule for the site.
+ * PUT  /api/optimizer/schedule   — set it to off / weekly / monthly (weekly
+ *                                  needs a paid plan).
+ *
+ * `checkRateLimit` is the per-site audit throttle; the scheduler shares it.
+ * `dispatchAudit` queues the audit as a durable job (services/auditJobs.js);
+ * without it audits run in-process.
  */
-function createOptimizerRouter({ supabase = null } = {}) {
+function createOptimizerRouter({
+  supabase = null,
+  checkRateLimit = createAuditRateLimiter(),
+  dispatchAudit = null
+} = {}) {
   const router = express.Router();
 
-  // Per-site crawl throttle — crawling is the expensive bit.
-  const rateLimitMap = new Map();
-  const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
-  const RATE_LIMIT_MAX = Number(process.env.OPTIMIZER_AUDIT_RATE_LIMIT_MAX || 10);
-
-  function checkRateLimit(key) {
-    const now = Date.now();
-    const windowStart = now - RATE_LIMIT_WINDOW_MS;
-    const timestamps = (rateLimitMap.get(key) || []).filter((ts) => ts >= windowStart);
-    if (timestamps.length >= RATE_LIMIT_MAX) return false;
-    timestamps.push(now);
-    rateLimitMap.set(key, timestamps);
-    return true;
-  }
-
   const schema = z.object({
     siteUrl: z.string().min(1).optional()
   });
 
+  const exportSchema = z.object({
+    format: z.enum(REPORT_FORMATS).optional()
+  });
+
+  const shareSchema = z.object({
+    expiresInDays: z.number().int().min(1).max(MAX_SHARE_DAYS).optional()
+  });
+
+  const scheduleSchema = z.object({
+    frequency: z.enum(Object.values(SCHEDULE_FREQUENCIES)),
+    siteUrl: z.string().min(1).optional()
+  });
+
   router.post('/audit', (req, res) => {
     try {
       const parsed = schema.safeParse(req.body || {});
@@ -73,7 +111,7 @@ function createOptimizerRouter({ supabase = null } = {}) {
         });
       }
 
-      const record = startOptimizerAudit({ siteUrl, siteHash, supabase });
+      const record = startOptimizerAudit({ siteUrl, siteHash, supabase, dispatchAudit });
       logger.info('[optimizer] audit started', {
         audit_id: record.auditId,
         site_url: record.siteUrl,
@@ -97,6 +135,15 @@ function createOptimizerRouter({ supabase = null } = {}) {
   });
 
   router.get('/audit/:auditId', async (req, res) => {
+    const query = exportSchema.safeParse(req.query || {});
+    if (!query.success) {
+      return res.status(400).json({
+        ok: false,
+        error: 'VALIDATION_ERROR',
+        message: `format must be one of ${REPORT_FORMATS.join(', ')}`
+      });
+    }
+
     const record = await getOptimizerAudit(req.params.auditId, { supabase });
     if (!record) {
       return res.status(404).json({
@@ -106,6 +153,20 @@ function createOptimizerRouter({ supabase = null } = {}) {
       });
     }
 
+    if (query.data.format) {
+      if (record.status !== 'completed' || !record.result) {
+        return res.status(409).json({
+          ok: false,
+          error: 'AUDIT_NOT_COMPLETED',
+          message: 'The audit has not finished yet'
+        });
+      }
+      const file = await exportOptimizerReport(buildOptimizerReport(record), query.data.format);
+      res.set('Content-Type', file.contentType);
+      res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+      return res.send(file.body);
+    }
+
     return res.json({
       ok: true,
       auditId: record.auditId,
@@ -113,10 +174,64 @@ function createOptimizerRouter({ supabase = null } = {}) {
       siteUrl: record.siteUrl,
       startedAt: record.startedAt,
       errorCode: record.errorCode,
-      result: record.status === 'completed' ? record.result : null
+      progress: record.status === 'running' ? record.progress || null : null,
+      result: record.status === 'completed' ? withoutSnapshot(record.result) : null
     });
   });
 
+  router.post('/audit/:auditId/share', async (req, res) => {
+    const parsed = shareSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({
+        ok: false,
+        error: 'VALIDATION_ERROR',
+        message: parsed.error.issues[0]?.message || 'Invalid share request'
+      });
+    }
+    const siteHash = req.header('X-Site-Hash') || req.header('X-Site-Key');
+    if (!siteHash) {
+      return res.status(400).json({
+        ok: false,
+        error: 'SITE_HASH_REQUIRED',
+        message: 'Provide the X-Site-Hash header'
+      });
+    }
+
+    const share = await createOptimizerReportShare({
+      auditId: req.params.auditId,
+      siteHash,
+      supabase,
+      expiresInDays: parsed.data.expiresInDays
+    });
+    if (share.error) {
+      return res.status(share.status).json({ ok: false, error: share.error, message: share.message });
+    }
+
+    const baseUrl = process.env.REPORT_SHARE_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    logger.info('[optimizer] report shared', {
+      audit_id: req.params.auditId,
+      site_hash: siteHash,
+      expires_at: share.data.expiresAt
+    });
+    return res.status(201).json({
+      ok: true,
+      url: `${baseUrl.replace(/\/+$/, '')}/reports/optimizer/${share.data.token}`,
+      expiresAt: share.data.expiresAt
+    });
+  });
+
+  router.get('/audit/:auditId/compare/:otherAuditId', async (req, res) => {
+    const comparison = await compareOptimizerAudits(req.params.auditId, req.params.otherAuditId, { supabase });
+    if (comparison.error) {
+      return res.status(comparison.status).json({
+        ok: false,
+        error: comparison.error,
+        message: comparison.message
+      });
+    }
+    return res.json({ ok: true, ...comparison.data });
+  });
+
   router.get('/history', async (req, res) => {
     const siteHash = req.header('X-Site-Hash') || req.header('X-Site-Key');
     if (!siteHash) {
@@ -151,6 +266,54 @@ function createOptimizerRouter({ supabase = null } = {}) {
     }
   });
 
+  // Recurring audits (services/optimizerSchedule.js). Same auth rails as
+  // audit start; the plan comes from the license the site is activated under.
+  router.get('/schedule', async (req, res) => {
+    const siteHash = req.header('X-Site-Hash') || req.header('X-Site-Key');
+    if (!siteHash) {
+      return res.status(400).json({
+        ok: false,
+        error: 'SITE_HASH_REQUIRED',
+        message: 'Provide the X-Site-Hash header'
+      });
+    }
+    const result = await getOptimizerSchedule({ supabase, siteHash });
+    if (result.error) {
+      return res.status(result.status).json({ ok: false, error: result.error, message: result.message });
+    }
+    return res.json({ ok: true, schedule: result.data });
+  });
+
+  router.put('/schedule', async (req, res) => {
+    const parsed = scheduleSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({
+        ok: false,
+        error: 'VALIDATION_ERROR',
+        message: parsed.error.issues[0]?.message || 'Invalid schedule request'
+      });
+    }
+    const siteHash = req.header('X-Site-Hash') || req.header('X-Site-Key');
+    if (!siteHash) {
+      return res.status(400).json({
+        ok: false,
+        error: 'SITE_HASH_REQUIRED',
+        message: 'Provide the X-Site-Hash header'
+      });
+    }
+
+    const result = await updateOptimizerSchedule({
+      supabase,
+      siteHash,
+      siteUrl: parsed.data.siteUrl || req.header('X-Site-URL') || null,
+      frequency: parsed.data.frequency
+    });
+    if (result.error) {
+      return res.status(result.status).json({ ok: false, error: result.error, message: result.message });
+    }
+    return res.json({ ok: true, schedule: result.data });
+  });
+
   return router;
 }
 
@@ -0,0 +1,73 @@
+const express = require('express');
+const { z } = require('zod');
+const logger = require('../lib/logger');
+const {
+  REPORT_FORMATS,
+  exportOptimizerReport,
+  renderOptimizerReportHtml,
+  resolveOptimizerReportShare
+} = require('../services/optimizerReport');
+
+function renderMessagePage(title, message) {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head><meta charset="utf-8"><meta name="robots" content="noindex, nofollow"><title>${title}</title></head>
+  <body style="font-family: sans-serif; max-width: 560px; margin: 80px auto; color: #111827;">
+    <h1>${title}</h1>
+    <p>${message}</p>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Public report pages behind signed share links — no plugin or account auth;
+ * the token in the URL is the credential (services/optimizerReport.js).
+ *
+ * GET /reports/optimizer/:token               — HTML report
+ * GET /reports/optimizer/:token?format=pdf    — download (json, csv, pdf)
+ */
+function createReportsRouter({ supabase }) {
+  const router = express.Router();
+
+  const querySchema = z.object({
+    format: z.enum(REPORT_FORMATS).optional()
+  });
+
+  router.get('/optimizer/:token', async (req, res) => {
+    // Tokens must not leak to the audited site via links on the page, nor be indexed.
+    res.set('Referrer-Policy', 'no-referrer');
+    res.set('X-Robots-Tag', 'noindex, nofollow');
+    res.set('Cache-Control', 'private, no-store');
+
+    const query = querySchema.safeParse(req.query || {});
+    if (!query.success) {
+      return res.status(400).type('html').send(renderMessagePage('Unsupported format', `Choose one of ${REPORT_FORMATS.join(', ')}.`));
+    }
+
+    try {
+      const share = await resolveOptimizerReportShare(req.params.token, { supabase });
+      if (share.error) {
+        return res.status(share.status).type('html').send(renderMessagePage('Report unavailable', share.message));
+      }
+
+      const { report, expiresAt } = share.data;
+      if (query.data.format) {
+        const file = await exportOptimizerReport(report, query.data.format);
+        res.set('Content-Type', file.contentType);
+        res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+        return res.send(file.body);
+      }
+      return res.type('html').send(renderOptimizerReportHtml(report, { expiresAt }));
+    } catch (error) {
+      logger.error('[reports] shared report failed', { error: error.message });
+      return res.status(500).type('html').send(renderMessagePage('Report unavailable', 'Unable to load this report. Please try again.'));
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createReportsRouter
+};
@@ -3,10 +3,19 @@ const { z } = require('zod');
 const logger = require('../lib/logger');
 const { reviewAltText } = require('../lib/openai');
 const { validateImagePayload } = require('../lib/validation');
+const { extractUserInfo } = require('../middleware/auth');
+const { ACCOUNT_ROLES, checkSiteAccess } = require('../services/accountMembers');
 const {
   markImageAltStateApproved,
   resolveImageAltStateSiteContext
 } = require('../services/imageAltState');
+const {
+  REVIEW_ACTIONS,
+  applyReviewDecisions,
+  listImageRevisions,
+  listReviewQueue,
+  rollbackImageRevision
+} = require('../services/reviewQueue');
 
 const requestSchema = z.object({
   alt_text: z.string().min(1).optional(),
@@ -94,6 +103,139 @@ function normalizeIncomingImage(image = {}) {
 function createReviewRouter({ supabase } = {}) {
   const router = express.Router();
 
+  // Resolves the caller's canonical site for queue routes; sends the error
+  // response and returns null when it cannot or the caller may not use it.
+  async function resolveQueueSite(req, res, minimumRole = ACCOUNT_ROLES.VIEWER) {
+    if (!supabase) {
+      res.status(500).json({
+        success: false,
+        error: 'SERVER_ERROR',
+        message: 'Review queue storage unavailable'
+      });
+      return null;
+    }
+
+    const resolved = await resolveImageAltStateSiteContext(supabase, req, { readOnly: true });
+    if (resolved.error || !resolved.site?.id) {
+      logger.warn('[review] queue site resolution failed', {
+        request_id: req.id || null,
+        error: resolved.error || 'SITE_NOT_FOUND',
+        site_hash: resolved.siteIdentity?.siteHash || null
+      });
+      res.status(resolved.error === 'INVALID_SITE_IDENTITY' ? 400 : 404).json({
+        success: false,
+        error: resolved.error || 'SITE_NOT_FOUND',
+        message: resolved.error === 'INVALID_SITE_IDENTITY'
+          ? 'Valid site identity is required for the review queue.'
+          : 'Canonical site not found for review queue request.'
+      });
+      return null;
+    }
+
+    if (!(await authorizeReviewSite(req, res, resolved.site, minimumRole))) return null;
+    return resolved.site;
+  }
+
+  // License and API key callers may only touch their own license's sites;
+  // dashboard users must hold minimumRole on the site's account (team members
+  // may be viewers). Sends the error response and returns false when not.
+  async function authorizeReviewSite(req, res, site, minimumRole) {
+    if (!req.user) {
+      const licenseKey = req.license?.license_key || null;
+      if (licenseKey && site.license_key === licenseKey) return true;
+      logger.warn('[review] site license mismatch', {
+        request_id: req.id || null,
+        site_id: site.id,
+        auth_method: req.authMethod || null
+      });
+      res.status(403).json({
+        success: false,
+        error: 'SITE_NOT_ALLOWED',
+        code: 'SITE_NOT_ALLOWED',
+        message: 'This site does not belong to your license'
+      });
+      return false;
+    }
+    const access = await checkSiteAccess(supabase, {
+      user: req.user,
+      access: { account: req.user, role: ACCOUNT_ROLES.OWNER, siteIds: [] },
+      site,
+      minimumRole
+    });
+    if (access.error) {
+      logger.warn('[review] site access denied', {
+        request_id: req.id || null,
+        error: access.error,
+        site_id: site.id,
+        minimum_role: minimumRole
+      });
+      res.status(access.status || 403).json({
+        success: false,
+        error: access.error,
+        code: access.error,
+        message: access.message
+      });
+      return false;
+    }
+    return true;
+  }
+
+  function sendQueueResult(res, result) {
+    if (result.error) {
+      return res.status(result.status || 500).json({
+        success: false,
+        error: result.error,
+        code: result.error,
+        message: result.message
+      });
+    }
+    return res.json({ success: true, data: result.data });
+  }
+
+  router.get('/queue', async (req, res) => {
+    const site = await resolveQueueSite(req, res);
+    if (!site) return undefined;
+    const result = await listReviewQueue(supabase, { siteId: site.id, query: req.query });
+    return sendQueueResult(res, result);
+  });
+
+  Object.values(REVIEW_ACTIONS).forEach((action) => {
+    router.post(`/queue/${action}`, async (req, res) => {
+      const site = await resolveQueueSite(req, res, ACCOUNT_ROLES.EDITOR);
+      if (!site) return undefined;
+      const userInfo = extractUserInfo(req);
+      const result = await applyReviewDecisions(supabase, {
+        siteId: site.id,
+        action,
+        body: req.body || {},
+        reviewer: userInfo.user_email || userInfo.user_id || null,
+        requestId: req.id || null
+      });
+      return sendQueueResult(res, result);
+    });
+  });
+
+  router.get('/revisions', async (req, res) => {
+    const site = await resolveQueueSite(req, res);
+    if (!site) return undefined;
+    const result = await listImageRevisions(supabase, { siteId: site.id, query: req.query });
+    return sendQueueResult(res, result);
+  });
+
+  router.post('/revisions/:revisionId/rollback', async (req, res) => {
+    const site = await resolveQueueSite(req, res, ACCOUNT_ROLES.EDITOR);
+    if (!site) return undefined;
+    const userInfo = extractUserInfo(req);
+    const result = await rollbackImageRevision(supabase, {
+      siteId: site.id,
+      revisionId: req.params.revisionId,
+      body: req.body || {},
+      actor: userInfo.user_email || userInfo.user_id || null,
+      requestId: req.id || null
+    });
+    return sendQueueResult(res, result);
+  });
+
   router.post('/approve', async (req, res) => {
     const parsed = approveSchema.safeParse(req.body || {});
     if (!parsed.success) {
@@ -137,6 +279,8 @@ function createReviewRouter({ supabase } = {}) {
       });
     }
 
+    if (!(await authorizeReviewSite(req, res, resolved.site, ACCOUNT_ROLES.EDITOR))) return undefined;
+
     const image = {
       ...(parsed.data.image || {}),
       attachment_id: parsed.data.attachment_id ?? parsed.data.attachmentId ?? parsed.data.media_id ?? parsed.data.mediaId ?? undefined,
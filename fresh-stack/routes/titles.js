@@ -4,6 +4,7 @@ const logger = require('../lib/logger');
 const { buildSiteIdentity } = require('../lib/siteIdentity');
 const { extractUserInfo } = require('../middleware/auth');
 const { generateTitleAndMeta } = require('../lib/openaiTitles');
+const { describePromptTemplate, titlesTemplateKey } = require('../lib/promptTemplates');
 const {
   TITLES_FEATURE_TYPE,
   reserveTitleGenerationQuota,
@@ -12,6 +13,11 @@ const {
   buildTitleRequestFingerprint
 } = require('../services/titleQuota');
 const { recordUsage } = require('../services/usage');
+const { resolvePromptTemplate } = require('../services/promptTemplates');
+const { getSiteGenerationSettings } = require('../services/site');
+const { JOB_CONTROL_ACTIONS, requestJobControl } = require('../services/bulkJobControl');
+const { validateCallbackUrl } = require('../services/jobWebhooks');
+const { normalizeProduct } = require('../lib/productMode');
 
 const pageSchema = z.object({
   url: z.string().max(2048).optional(),
@@ -20,7 +26,9 @@ const pageSchema = z.object({
   current_title: z.string().max(500).optional().nullable(),
   current_meta: z.string().max(1000).optional().nullable(),
   content_excerpt: z.string().max(8000).optional(),
-  id: z.union([z.string(), z.number()]).optional()
+  id: z.union([z.string(), z.number()]).optional(),
+  // Validated by normalizeProduct (lib/productMode.js).
+  product: z.any().optional()
 }).passthrough();
 
 const optionsSchema = z.object({
@@ -46,9 +54,18 @@ const bulkSchema = z.object({
   priority: z.enum(['high', 'normal', 'low']).optional(),
   pages: z.array(pageSchema).min(1).max(100),
   options: optionsSchema,
-  context: z.any().optional()
+  context: z.any().optional(),
+  callback_url: z.string().max(2048).optional(),
+  callback_progress: z.boolean().optional()
 });
 
+// page.product switches generation to the product-page template.
+function withNormalizedProduct(page, label) {
+  if (page.product == null) return { page, errors: [] };
+  const { product, errors } = normalizeProduct(page.product);
+  return { page: { ...page, product }, errors: errors.map((message) => `${label}.${message}`) };
+}
+
 function resolveLicenseKey(req) {
   return req.user?.license_key
     || req.license?.license_key
@@ -108,7 +125,8 @@ function createTitlesRouter({
   checkRateLimit,
   getSiteFromHeaders, // eslint-disable-line no-unused-vars
   createJob,
-  getJobRecord
+  getJobRecord,
+  jobQueue = null
 }) {
   const router = express.Router();
 
@@ -123,7 +141,16 @@ function createTitlesRouter({
       });
     }
 
-    const { page, options = {}, previous = null, idempotency_key: clientIdempotencyKey } = parsed.data;
+    const { options = {}, previous = null, idempotency_key: clientIdempotencyKey } = parsed.data;
+    const { page, errors: productErrors } = withNormalizedProduct(parsed.data.page, 'page');
+    if (productErrors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_REQUEST',
+        code: 'INVALID_REQUEST',
+        details: { product: productErrors }
+      });
+    }
     const licenseKey = resolveLicenseKey(req);
     if (!licenseKey) {
       return res.status(401).json({
@@ -196,10 +223,18 @@ function createTitlesRouter({
     const generationRequestId = reservation.reservation?.generation_request_id || null;
     const effectiveSite = reservation.site || null;
     const effectiveLicenseKey = effectiveSite?.license_key || licenseKey;
+    const { glossary } = await getSiteGenerationSettings(supabase, { siteId: effectiveSite?.id });
+    const { template: promptTemplate, assignment: promptAssignment } = await resolvePromptTemplate(supabase, {
+      key: titlesTemplateKey(page),
+      plan: reservation.reservation?.plan || null,
+      siteId: effectiveSite?.id || null,
+      unitKey: effectiveSite?.site_hash || siteKey || null
+    });
+    const promptInfo = describePromptTemplate(promptTemplate, promptAssignment);
 
     const genStart = Date.now();
     try {
-      const result = await generateTitleAndMeta({ page, options, previous });
+      const result = await generateTitleAndMeta({ page, options, previous, glossary, template: promptTemplate });
       const generationTimeMs = Date.now() - genStart;
 
       const finalizeResult = await finalizeTitleGenerationQuota(supabase, {
@@ -229,6 +264,7 @@ function createTitlesRouter({
         endpoint: 'api/titles/generate',
         status: 'success',
         featureType: TITLES_FEATURE_TYPE,
+      promptTemplate: promptInfo,
         requestSource: req.header('X-Request-Source') || null,
         pluginChannel: req.header('X-Plugin-Channel') || null,
         environment: req.header('X-Environment') || null,
@@ -288,7 +324,24 @@ function createTitlesRouter({
       });
     }
 
-    const { priority = 'normal', pages, options = {}, context = {} } = parsed.data;
+    const {
+      priority = 'normal',
+      options = {},
+      context = {},
+      callback_url: rawCallbackUrl,
+      callback_progress: callbackProgress = false
+    } = parsed.data;
+    const normalizedPages = parsed.data.pages.map((page, index) => withNormalizedProduct(page, `pages[${index}]`));
+    const productErrors = normalizedPages.flatMap(({ errors }) => errors);
+    if (productErrors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_REQUEST',
+        code: 'INVALID_REQUEST',
+        details: { product: productErrors }
+      });
+    }
+    const pages = normalizedPages.map(({ page }) => page);
     const licenseKey = resolveLicenseKey(req);
     if (!licenseKey) {
       return res.status(401).json({
@@ -339,6 +392,20 @@ function createTitlesRouter({
       });
     }
 
+    let callback = null;
+    if (rawCallbackUrl) {
+      const checked = await validateCallbackUrl(rawCallbackUrl);
+      if (checked.error) {
+        return res.status(checked.status).json({
+          success: false,
+          error: checked.error,
+          code: checked.error,
+          message: checked.message
+        });
+      }
+      callback = { url: checked.url, progress: callbackProgress };
+    }
+
     const userInfo = extractUserInfo(req);
     const items = pages.map((page) => ({
       page,
@@ -351,7 +418,8 @@ function createTitlesRouter({
     const jobId = await createJob(items, { ...context, options, priority }, siteKey, {
       licenseKey,
       userInfo,
-      jobType: 'bulk_titles'
+      jobType: 'bulk_titles',
+      callback
     });
 
     logger.info('[titles.jobs] bulk_job_accepted', {
@@ -381,15 +449,54 @@ function createTitlesRouter({
       return res.status(404).json({ success: false, error: 'JOB_NOT_FOUND', code: 'JOB_NOT_FOUND', message: 'Job not found' });
     }
     const percentComplete = job.total
-      ? Math.round((((job.completed || 0) + (job.failed || 0)) / job.total) * 100)
+      ? Math.round((((job.completed || 0) + (job.failed || 0) + (job.cancelled || 0)) / job.total) * 100)
       : 0;
     return res.json({
       success: true,
       ...job,
+      ...(jobQueue ? { control: await jobQueue.getJobControl(job.jobId) } : {}),
       percentComplete
     });
   });
 
+  Object.values(JOB_CONTROL_ACTIONS).forEach((action) => {
+    router.post(`/jobs/:jobId/${action}`, async (req, res) => {
+      if (!resolveLicenseKey(req)) {
+        return res.status(401).json({
+          success: false,
+          error: 'LICENSE_REQUIRED',
+          code: 'LICENSE_REQUIRED',
+          message: 'A valid license is required for title generation.'
+        });
+      }
+      if (!jobQueue) {
+        return res.status(503).json({
+          success: false,
+          error: 'JOB_CONTROL_UNAVAILABLE',
+          code: 'JOB_CONTROL_UNAVAILABLE',
+          message: 'Job control is not available'
+        });
+      }
+
+      const result = await requestJobControl(jobQueue, {
+        jobId: req.params.jobId,
+        action,
+        siteKey: siteKeyFromRequest(req),
+        jobType: 'bulk_titles',
+        requestId: req.id || null
+      });
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          error: result.error,
+          code: result.error,
+          message: result.message
+        });
+      }
+      return res.json({ success: true, ...result.data });
+    });
+  });
+
   router.get('/quota', async (req, res) => {
     const licenseKey = resolveLicenseKey(req);
     if (!licenseKey) {
@@ -10,6 +10,7 @@ const logger = require('./lib/logger');
 const { createQueue } = require('./lib/queue');
 const { createBulkAltTextProcessor } = require('./services/bulkAltTextProcessor');
 const { createBulkTitlesProcessor } = require('./services/bulkTitlesProcessor');
+const { createJobWebhookNotifier } = require('./services/jobWebhooks');
 const { createAuthRouter } = require('./routes/auth');
 const { createBillingRouter, createBillingWebhookHandler } = require('./routes/billing');
 const { createUsageRouter } = require('./routes/usage');
@@ -23,6 +24,7 @@ const { createAdminRouter } = require('./routes/admin');
 const { createContactRouter } = require('./routes/contact');
 const { createImageSeoAuditRouter } = require('./routes/imageSeoAudit');
 const { createOptimizerRouter } = require('./routes/optimizer');
+const { createReportsRouter } = require('./routes/reports');
 const { createAccountDashboardRouter } = require('./routes/accountDashboard');
 const { createAnalyticsRouter } = require('./routes/analytics');
 const { createLoopsWebhookHandler } = require('./routes/loopsWebhook');
@@ -35,6 +37,9 @@ const {
 const { getBillingPlansJson, getBillingPlansJsonLive } = require('./services/billingPlansCatalog');
 const { buildBillingHealth } = require('./services/billingHealth');
 const { scheduleCustomerHealthCron } = require('./services/customerHealthTelemetry');
+const { createAuditRateLimiter } = require('./services/optimizerAudit');
+const { scheduleOptimizerAuditCron } = require('./services/optimizerSchedule');
+const { AUDIT_JOB_TYPES, createAuditJobRunner, enqueueAuditJob } = require('./services/auditJobs');
 const rateLimitMiddleware = require('./middleware/rateLimit');
 const { authMiddleware } = require('./middleware/auth');
 const requestId = require('./middleware/requestId');
@@ -46,9 +51,17 @@ const HOST = config.host;
 const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY || config.jobs?.concurrency || 2);
 const JOB_TTL_SECONDS = Number(process.env.JOB_TTL_SECONDS || config.jobs?.ttlSeconds || 60 * 60 * 24 * 7);
 const BULK_ITEM_CONCURRENCY = Number(process.env.BULK_ITEM_CONCURRENCY || 3);
+const JOB_VISIBILITY_TIMEOUT_MS = Number(process.env.JOB_VISIBILITY_TIMEOUT_MS || 5 * 60 * 1000);
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 3);
+const JOB_WEBHOOK_MAX_ATTEMPTS = Number(process.env.JOB_WEBHOOK_MAX_ATTEMPTS || 5);
+const JOB_WEBHOOK_RETRY_BASE_DELAY_MS = Number(process.env.JOB_WEBHOOK_RETRY_BASE_DELAY_MS || 2000);
 const BULK_JOB_DISPATCH = String(process.env.BULK_JOB_DISPATCH || 'immediate').toLowerCase() === 'redis'
   ? 'redis'
   : 'immediate';
+const AUDIT_JOB_DISPATCH = String(process.env.AUDIT_JOB_DISPATCH || BULK_JOB_DISPATCH).toLowerCase() === 'redis'
+  ? 'redis'
+  : 'immediate';
+const AUDIT_JOB_CONCURRENCY = Number(process.env.AUDIT_JOB_CONCURRENCY || 2);
 const DIAGNOSTICS_ROUTE_ENABLED = true;
 const PROTECTED_API_PREFIXES = [
   '/api/alt-text',
@@ -109,6 +122,8 @@ function createApp({
   const allowedOrigins = config.allowedOrigins;
   const priceIds = config.stripePrices;
   const queueKey = 'alttext:queue';
+  // Filled in once the job queue exists (below); the admin router is mounted first.
+  const queueHolder = { q: null };
   const altTextRateLimits = new Map();
   const runtimeIdentityProvider = () => buildRuntimeIdentity();
 
@@ -177,7 +192,7 @@ function createApp({
   });
 
   app.get('/ready', async (_req, res) => {
-    const redisRequired = BULK_JOB_DISPATCH === 'redis';
+    const redisRequired = BULK_JOB_DISPATCH === 'redis' || AUDIT_JOB_DISPATCH === 'redis';
     const checks = { redis: !!redis, redis_required: redisRequired, supabase: !!supabaseClient };
     try {
       if (redis) await redis.ping();
@@ -248,11 +263,49 @@ function createApp({
     redis,
     supabase: supabaseClient,
     resultCache: adminResultCache,
-    runtimeIdentityProvider
+    runtimeIdentityProvider,
+    getJobQueue: () => queueHolder.q
   }));
 
   app.use('/api/contact', createContactRouter({ redis }));
-  app.use('/api/image-seo-audit', createImageSeoAuditRouter({ supabase: supabaseClient }));
+
+  // Optimizer audits and image SEO reports run as durable jobs on their own
+  // queue (services/auditJobs.js). In redis mode a crashed worker's audit is
+  // picked up by another instance and resumes from its last crawl checkpoint.
+  const auditQueueHolder = { q: null };
+  const auditJobRunner = createAuditJobRunner({
+    supabase: supabaseClient,
+    getJobRecord: (id) => auditQueueHolder.q.getJobRecord(id),
+    setJobRecord: (id, rec) => auditQueueHolder.q.setJobRecord(id, rec)
+  });
+  const auditQueue = createQueue({
+    redis,
+    concurrency: AUDIT_JOB_CONCURRENCY,
+    ttlSeconds: JOB_TTL_SECONDS,
+    queueKey: 'audit:queue',
+    jobKeyPrefix: 'audit:job',
+    visibilityTimeoutMs: JOB_VISIBILITY_TIMEOUT_MS,
+    maxAttempts: JOB_MAX_ATTEMPTS,
+    bulkDispatchMode: AUDIT_JOB_DISPATCH,
+    bulkRunner: (job) => auditJobRunner.run(job),
+    jobHandler: (job) => auditJobRunner.run(job),
+    onDeadLetter: (job) => auditJobRunner.markDeadLettered(job)
+  });
+  auditQueueHolder.q = auditQueue;
+  if (redis && AUDIT_JOB_DISPATCH === 'redis') {
+    auditQueue.startRedisWorkers();
+    logger.info('[init] audits use redis queue; workers started', { worker_concurrency: AUDIT_JOB_CONCURRENCY });
+  }
+  const dispatchOptimizerAudit = (audit) => enqueueAuditJob(auditQueue, { type: AUDIT_JOB_TYPES.OPTIMIZER, audit });
+  app.locals.dispatchOptimizerAudit = dispatchOptimizerAudit;
+
+  // Shared audit reports: the signed token in the URL is the credential.
+  app.use('/reports', createReportsRouter({ supabase: supabaseClient }));
+
+  app.use('/api/image-seo-audit', createImageSeoAuditRouter({
+    supabase: supabaseClient,
+    dispatchAudit: (audit) => enqueueAuditJob(auditQueue, { type: AUDIT_JOB_TYPES.IMAGE_SEO, audit })
+  }));
 
   app.use((req, res, next) => {
     if (req.path === '/api/billing/webhook') {
@@ -354,20 +407,40 @@ function createApp({
 
   // Oppti Optimizer plugin — site audit start/poll/history. Auth via the same
   // license / JWT / anonymous-trial rails as alt-text (see middleware/auth.js).
-  app.use('/api/optimizer', createOptimizerRouter({ supabase: supabaseClient }));
+  // The audit rate limiter is shared with the recurring-audit cron (startServer).
+  const optimizerAuditRateLimit = createAuditRateLimiter();
+  app.locals.optimizerAuditRateLimit = optimizerAuditRateLimit;
+  app.use('/api/optimizer', createOptimizerRouter({
+    supabase: supabaseClient,
+    checkRateLimit: optimizerAuditRateLimit,
+    dispatchAudit: dispatchOptimizerAudit
+  }));
 
-  const queueHolder = { q: null };
+  const jobControl = {
+    getJobControl: (id) => queueHolder.q.getJobControl(id),
+    parkJob: (job) => queueHolder.q.parkJob(job),
+    unparkJob: (id) => queueHolder.q.unparkJob(id)
+  };
+  const jobWebhooks = createJobWebhookNotifier({
+    supabase: supabaseClient,
+    maxAttempts: JOB_WEBHOOK_MAX_ATTEMPTS,
+    baseDelayMs: JOB_WEBHOOK_RETRY_BASE_DELAY_MS
+  });
   const bulkProcessor = createBulkAltTextProcessor({
     supabase: supabaseClient,
     getJobRecord: (id) => queueHolder.q.getJobRecord(id),
     setJobRecord: (id, rec) => queueHolder.q.setJobRecord(id, rec),
-    itemConcurrency: BULK_ITEM_CONCURRENCY
+    itemConcurrency: BULK_ITEM_CONCURRENCY,
+    jobControl,
+    jobWebhooks
   });
   const bulkTitlesProcessor = createBulkTitlesProcessor({
     supabase: supabaseClient,
     getJobRecord: (id) => queueHolder.q.getJobRecord(id),
     setJobRecord: (id, rec) => queueHolder.q.setJobRecord(id, rec),
-    itemConcurrency: BULK_ITEM_CONCURRENCY
+    itemConcurrency: BULK_ITEM_CONCURRENCY,
+    jobControl,
+    jobWebhooks
   });
 
   async function dispatchBulkJob(job) {
@@ -383,11 +456,14 @@ function createApp({
     concurrency: JOB_CONCURRENCY,
     ttlSeconds: JOB_TTL_SECONDS,
     queueKey,
+    visibilityTimeoutMs: JOB_VISIBILITY_TIMEOUT_MS,
+    maxAttempts: JOB_MAX_ATTEMPTS,
     bulkDispatchMode: BULK_JOB_DISPATCH,
     bulkRunner: (job) => dispatchBulkJob(job),
     jobHandler: async (job) => {
       await dispatchBulkJob(job);
-    }
+    },
+    jobWebhooks
   });
   queueHolder.q = queue;
 
@@ -408,7 +484,8 @@ function createApp({
     checkRateLimit: async (siteKey) => checkRateLimit(siteKey),
     getSiteFromHeaders,
     createJob: queue.createJob,
-    getJobRecord: queue.getJobRecord
+    getJobRecord: queue.getJobRecord,
+    jobQueue: queue
   }));
 
   app.use('/api/titles', createTitlesRouter({
@@ -416,7 +493,8 @@ function createApp({
     checkRateLimit: async (siteKey) => checkRateLimit(siteKey),
     getSiteFromHeaders,
     createJob: queue.createJob,
-    getJobRecord: queue.getJobRecord
+    getJobRecord: queue.getJobRecord,
+    jobQueue: queue
   }));
 
   const billingRouterInstance = createBillingRouter({
@@ -483,6 +561,10 @@ function startServer({
       }
 
       scheduleCustomerHealthCron(supabaseClient);
+      scheduleOptimizerAuditCron(supabaseClient, {
+        checkRateLimit: app.locals.optimizerAuditRateLimit,
+        dispatchAudit: app.locals.dispatchOptimizerAudit
+      });
     }
   });
 }
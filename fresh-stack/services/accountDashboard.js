@@ -2,6 +2,39 @@ const { getSites, deactivateSite } = require('./site');
 const { getQuotaStatus, computePeriodStart } = require('./quota');
 const { getLimits } = require('./planLimits');
 const { recordPluginConnection } = require('./pluginConnections');
+const {
+  applyReviewDecisions,
+  listImageRevisions,
+  listReviewQueue,
+  rollbackImageRevision
+} = require('./reviewQueue');
+const {
+  ensureJobWebhookSettings,
+  listJobWebhookDeliveries,
+  rotateJobWebhookSecret,
+  updateJobWebhookSettings
+} = require('./jobWebhooks');
+const { MAX_ACTIVE_KEYS, createApiKey, listApiKeys, revokeApiKey } = require('./apiKeys');
+const {
+  ACCOUNT_ROLES,
+  checkSiteAccess,
+  inviteAccountMember,
+  listAccountMembers,
+  listMemberAccounts,
+  removeAccountMember,
+  revokeAccountInvitation,
+  transferAccountOwnership,
+  updateAccountMember
+} = require('./accountMembers');
+const { SESSION_REVOKE_REASONS, listSessions, revokeAllSessions, revokeSession } = require('./authSessions');
+const {
+  confirmTwoFactorEnrollment,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  regenerateRecoveryCodes,
+  setTwoFactorRequirement,
+  startTwoFactorEnrollment
+} = require('./twoFactor');
 
 const FEATURE_LABELS = {
   alt_text: 'OpptiAI Alt Text',
@@ -26,10 +59,25 @@ function assertQuery(result, message) {
   return result?.data || [];
 }
 
+// The account the request acts on: the team account picked by the router
+// (X-Account-Id), otherwise the caller's own license.
 function getAccount(request) {
+  return request.account || request.user || request.license || null;
+}
+
+// The login making the request, for reviewer/actor fields and role checks.
+function getActor(request) {
   return request.user || request.license || null;
 }
 
+function getAccess(request) {
+  return {
+    account: getAccount(request),
+    role: request.accountRole || ACCOUNT_ROLES.OWNER,
+    siteIds: request.accountSiteIds || []
+  };
+}
+
 function toDomain(siteUrl) {
   if (!siteUrl) return '';
   try {
@@ -114,6 +162,22 @@ function aggregatePluginStats(rows, pluginName) {
   return [...stats.values()];
 }
 
+function unwrapServiceResult(result) {
+  if (result.error) {
+    throw createServiceError(result.message, result.status || 500, result.error);
+  }
+  return result.data;
+}
+
+function mapJobWebhookSettings(settings) {
+  return {
+    callback_url: settings?.callback_url || null,
+    progress_events: Boolean(settings?.progress_events),
+    signing_secret: settings?.signing_secret || null,
+    updated_at: settings?.updated_at || null
+  };
+}
+
 function createAccountDashboardService({ supabase, getStripe }) {
   async function listRawSites(account) {
     if (!account?.license_key && !account?.id) return [];
@@ -251,6 +315,38 @@ function createAccountDashboardService({ supabase, getStripe }) {
     return aggregatePluginStats(rows, pluginName);
   }
 
+  function requireAccountId(request) {
+    const account = getAccount(request);
+    if (!account?.id) {
+      throw createServiceError('Account license is required', 400, 'VALIDATION_ERROR');
+    }
+    return account;
+  }
+
+  // Sessions belong to the login, not to the account it is acting on.
+  function requireActorId(request) {
+    const actor = getActor(request);
+    if (!actor?.id) {
+      throw createServiceError('Account login is required', 400, 'VALIDATION_ERROR');
+    }
+    return actor;
+  }
+
+  async function findAccountSite(request, siteId, minimumRole = ACCOUNT_ROLES.VIEWER) {
+    const sites = await listRawSites(getAccount(request));
+    const site = siteId ? sites.find((row) => row.id === siteId) : null;
+    if (!site) {
+      throw createServiceError('Site not found on this account', 404, 'SITE_NOT_FOUND');
+    }
+    unwrapServiceResult(await checkSiteAccess(supabase, {
+      user: getActor(request),
+      access: getAccess(request),
+      site,
+      minimumRole
+    }));
+    return site;
+  }
+
   return {
     async getDashboard(request) {
       const account = getAccount(request);
@@ -331,7 +427,8 @@ function createAccountDashboardService({ supabase, getStripe }) {
 
     async getSites(request) {
       const account = getAccount(request);
-      const sites = await listRawSites(account);
+      const { siteIds } = getAccess(request);
+      const sites = (await listRawSites(account)).filter((site) => !siteIds.length || siteIds.includes(site.id));
       let usageRows = [];
       try {
         ({ rows: usageRows } = await listUsageLogRows(account, sites));
@@ -414,6 +511,239 @@ function createAccountDashboardService({ supabase, getStripe }) {
       return listPluginStats(account, pluginName, sites);
     },
 
+    async getReviewQueue(request) {
+      const site = await findAccountSite(request, request.params?.siteId);
+      const result = await listReviewQueue(supabase, { siteId: site.id, query: request.query || {} });
+      return { ok: true, site_id: site.id, ...unwrapServiceResult(result) };
+    },
+
+    async applyReviewDecisions(request, action) {
+      const site = await findAccountSite(request, request.params?.siteId, ACCOUNT_ROLES.EDITOR);
+      const result = await applyReviewDecisions(supabase, {
+        siteId: site.id,
+        action,
+        body: request.body || {},
+        reviewer: getActor(request)?.email || null,
+        requestId: request.id || null
+      });
+      return { ok: true, site_id: site.id, ...unwrapServiceResult(result) };
+    },
+
+    async getImageRevisions(request) {
+      const site = await findAccountSite(request, request.params?.siteId);
+      const result = await listImageRevisions(supabase, { siteId: site.id, query: request.query || {} });
+      return { ok: true, site_id: site.id, ...unwrapServiceResult(result) };
+    },
+
+    async rollbackImageRevision(request) {
+      const site = await findAccountSite(request, request.params?.siteId, ACCOUNT_ROLES.EDITOR);
+      const result = await rollbackImageRevision(supabase, {
+        siteId: site.id,
+        revisionId: request.params?.revisionId,
+        body: request.body || {},
+        actor: getActor(request)?.email || null,
+        requestId: request.id || null
+      });
+      return { ok: true, site_id: site.id, ...unwrapServiceResult(result) };
+    },
+
+    async getJobWebhook(request) {
+      const account = requireAccountId(request);
+      const result = await ensureJobWebhookSettings(supabase, { licenseId: account.id });
+      if (result.error) throw createServiceError('Failed to load webhook settings');
+      return { ok: true, webhook: mapJobWebhookSettings(result.data) };
+    },
+
+    async updateJobWebhook(request, { callbackUrl, progressEvents }) {
+      const account = requireAccountId(request);
+      const result = await updateJobWebhookSettings(supabase, {
+        licenseId: account.id,
+        callbackUrl,
+        progressEvents
+      });
+      if (result.error) throw createServiceError('Failed to save webhook settings');
+      return { ok: true, webhook: mapJobWebhookSettings(result.data) };
+    },
+
+    async rotateJobWebhookSecret(request) {
+      const account = requireAccountId(request);
+      const result = await rotateJobWebhookSecret(supabase, { licenseId: account.id });
+      if (result.error) throw createServiceError('Failed to rotate webhook secret');
+      return { ok: true, webhook: mapJobWebhookSettings(result.data) };
+    },
+
+    async getJobWebhookDeliveries(request) {
+      const account = requireAccountId(request);
+      const result = await listJobWebhookDeliveries(supabase, {
+        licenseId: account.id,
+        jobId: typeof request.query?.job_id === 'string' ? request.query.job_id : null,
+        limit: request.query?.limit
+      });
+      if (result.error) throw createServiceError('Failed to fetch webhook deliveries');
+      return { ok: true, deliveries: result.data };
+    },
+
+    async getApiKeys(request) {
+      const account = requireAccountId(request);
+      const result = await listApiKeys(supabase, { licenseId: account.id });
+      if (result.error) throw createServiceError('Failed to load API keys');
+      return { ok: true, api_keys: result.data };
+    },
+
+    async createApiKey(request, { name, scopes, siteIds = [], expiresAt = null }) {
+      const account = requireAccountId(request);
+      const sites = [];
+      for (const siteId of [...new Set(siteIds)]) {
+        sites.push(await findAccountSite(request, siteId));
+      }
+      const result = await createApiKey(supabase, {
+        licenseId: account.id,
+        name,
+        scopes,
+        sites,
+        expiresAt,
+        actor: getActor(request)?.email || account.email || null
+      });
+      if (result.limitReached) {
+        throw createServiceError(`An account can have at most ${MAX_ACTIVE_KEYS} active API keys`, 409, 'API_KEY_LIMIT_REACHED');
+      }
+      if (result.error) throw createServiceError('Failed to create API key');
+      // The key itself is only ever returned here.
+      return { ok: true, api_key: result.data.key, key: result.data.secret };
+    },
+
+    async revokeApiKey(request) {
+      const account = requireAccountId(request);
+      const result = await revokeApiKey(supabase, { licenseId: account.id, keyId: request.params?.keyId });
+      if (result.error) throw createServiceError('Failed to revoke API key');
+      if (!result.data) throw createServiceError('API key not found on this account', 404, 'API_KEY_NOT_FOUND');
+      return { ok: true, api_key: result.data };
+    },
+
+    async getAccounts(request) {
+      const result = await listMemberAccounts(supabase, { user: getActor(request) });
+      return { ok: true, accounts: unwrapServiceResult(result) };
+    },
+
+    async getTeam(request) {
+      const account = requireAccountId(request);
+      const result = await listAccountMembers(supabase, { account });
+      return { ok: true, role: getAccess(request).role, ...unwrapServiceResult(result) };
+    },
+
+    async inviteTeamMember(request, body) {
+      const account = requireAccountId(request);
+      const result = await inviteAccountMember(supabase, {
+        account,
+        actor: { user: getActor(request), role: getAccess(request).role },
+        body
+      });
+      return { ok: true, ...unwrapServiceResult(result) };
+    },
+
+    async revokeTeamInvitation(request) {
+      const account = requireAccountId(request);
+      const result = await revokeAccountInvitation(supabase, { account, invitationId: request.params?.invitationId });
+      return { ok: true, ...unwrapServiceResult(result) };
+    },
+
+    async updateTeamMember(request, body) {
+      const account = requireAccountId(request);
+      const result = await updateAccountMember(supabase, {
+        account,
+        actor: { user: getActor(request), role: getAccess(request).role },
+        userId: request.params?.userId,
+        body
+      });
+      return { ok: true, ...unwrapServiceResult(result) };
+    },
+
+    async removeTeamMember(request) {
+      const account = requireAccountId(request);
+      const result = await removeAccountMember(supabase, {
+        account,
+        actor: { user: getActor(request), role: getAccess(request).role },
+        userId: request.params?.userId
+      });
+      return { ok: true, ...unwrapServiceResult(result) };
+    },
+
+    async transferOwnership(request, userId) {
+      const account = requireAccountId(request);
+      const result = await transferAccountOwnership(supabase, {
+        account,
+        actor: { user: getActor(request), role: getAccess(request).role },
+        userId
+      });
+      return { ok: true, ...unwrapServiceResult(result) };
+    },
+
+    async getSessions(request) {
+      const user = requireActorId(request);
+      const result = await listSessions(supabase, { user, currentSessionId: request.sessionId || null });
+      return { ok: true, sessions: unwrapServiceResult(result) };
+    },
+
+    async revokeSession(request) {
+      const user = requireActorId(request);
+      const result = await revokeSession(supabase, { user, sessionId: request.params?.sessionId });
+      return { ok: true, session: unwrapServiceResult(result) };
+    },
+
+    async revokeOtherSessions(request) {
+      const user = requireActorId(request);
+      const result = await revokeAllSessions(supabase, { userId: user.id, exceptSessionId: request.sessionId || null });
+      return { ok: true, ...unwrapServiceResult(result) };
+    },
+
+    async getTwoFactor(request) {
+      const user = requireActorId(request);
+      const result = await getTwoFactorStatus(supabase, { user });
+      return {
+        ok: true,
+        two_factor: unwrapServiceResult(result),
+        require_two_factor: Boolean(getAccount(request)?.require_two_factor)
+      };
+    },
+
+    async startTwoFactor(request) {
+      const user = requireActorId(request);
+      const result = await startTwoFactorEnrollment(supabase, { user });
+      return { ok: true, ...unwrapServiceResult(result) };
+    },
+
+    // Turning 2FA on ends the login's other sessions, which were opened
+    // without a second factor.
+    async confirmTwoFactor(request, code) {
+      const user = requireActorId(request);
+      const result = await confirmTwoFactorEnrollment(supabase, { user, code });
+      const data = unwrapServiceResult(result);
+      await revokeAllSessions(supabase, {
+        userId: user.id,
+        reason: SESSION_REVOKE_REASONS.TWO_FACTOR_ENABLED,
+        exceptSessionId: request.sessionId || null
+      });
+      return { ok: true, ...data };
+    },
+
+    async disableTwoFactor(request, { code, recoveryCode }) {
+      const user = requireActorId(request);
+      const result = await disableTwoFactor(supabase, { user, code, recoveryCode });
+      return { ok: true, ...unwrapServiceResult(result) };
+    },
+
+    async regenerateRecoveryCodes(request, code) {
+      const user = requireActorId(request);
+      const result = await regenerateRecoveryCodes(supabase, { user, code });
+      return { ok: true, ...unwrapServiceResult(result) };
+    },
+
+    async setTwoFactorRequirement(request, required) {
+      const account = requireAccountId(request);
+      const result = await setTwoFactorRequirement(supabase, { account, actor: requireActorId(request), required });
+      return { ok: true, ...unwrapServiceResult(result) };
+    },
+
     async detachSite(request) {
       const account = getAccount(request);
       const siteId = typeof request.body?.site_id === 'string' ? request.body.site_id.trim() : '';
@@ -451,6 +781,8 @@ function createAccountDashboardService({ supabase, getStripe }) {
 
     async getLicenses(request) {
       const account = getAccount(request);
+      // The key grants full access to the account, so only its owner sees it.
+      const licenseKey = getAccess(request).role === ACCOUNT_ROLES.OWNER ? account?.license_key : null;
       const [sites, pluginStats, connectionsResult] = await Promise.all([
         listRawSites(account),
         listPluginStats(account),
@@ -495,7 +827,7 @@ function createAccountDashboardService({ supabase, getStripe }) {
           {
             id: account.id,
             plugin_name: FEATURE_LABELS.alt_text,
-            license_key: account.license_key,
+            license_key: licenseKey,
             status: account.status || 'active',
             sites_count: sites.length,
             credits_used_this_month: Number(statsByLabel.get(FEATURE_LABELS.alt_text)?.credits_used || 0),
@@ -510,7 +842,7 @@ function createAccountDashboardService({ supabase, getStripe }) {
         return {
           id: connection.id,
           plugin_name: pluginName,
-          license_key: account.license_key,
+          license_key: licenseKey,
           status: account.status,
           sites_count: sites.length,
           credits_used_this_month: Number(statsByLabel.get(pluginName)?.credits_used || 0),
@@ -0,0 +1,653 @@
+const crypto = require('crypto');
+const logger = require('../lib/logger');
+const { isMissingSchemaError, serializeSupabaseError } = require('../lib/supabaseErrors');
+const { sendTeamInvitationEmail } = require('../lib/email');
+const { getSites } = require('./site');
+const { ensureSiteMembership } = require('./siteQuota');
+const { checkTwoFactorRequirement } = require('./twoFactor');
+
+/**
+ * Team members on an account.
+ *
+ * The account (workspace) is still one `licenses` row: plan, credits, sites
+ * and billing hang off it. Other logins join it through `account_members`
+ * with a role; editors can be limited to some of the account's sites. Until
+ * ownership is transferred the license's own login is the owner without a
+ * member row. After a transfer `licenses.owner_user_id` names the owner and
+ * the previous owner keeps an admin row.
+ *
+ * Members also get a `site_memberships` row (via ensureSiteMembership) for
+ * each site they can reach, so site lookups by user see team sites. What a
+ * member may do on those sites is decided here, not by the site role.
+ */
+
+const ACCOUNT_ROLES = Object.freeze({
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  EDITOR: 'editor',
+  VIEWER: 'viewer'
+});
+
+const ACCOUNT_ROLE_RANK = Object.freeze({
+  viewer: 1,
+  editor: 2,
+  admin: 3,
+  owner: 4
+});
+
+const DEFAULT_INVITE_TTL_DAYS = 7;
+const MEMBER_COLUMNS = 'id, account_id, user_id, email, role, site_ids, invited_by_user_id, created_at, updated_at';
+const INVITATION_COLUMNS = 'id, account_id, email, role, site_ids, invited_by_user_id, expires_at, accepted_at, accepted_by_user_id, revoked_at, created_at';
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function hashInvitationToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function inviteTtlDays() {
+  const days = Number.parseInt(process.env.ACCOUNT_INVITE_TTL_DAYS || '', 10);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_INVITE_TTL_DAYS;
+}
+
+function buildInviteUrl(token) {
+  const base = process.env.FRONTEND_URL || 'https://example.com';
+  return `${base.replace(/\/+$/, '')}/invite?token=${encodeURIComponent(token)}`;
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function hasAccountRole(role, minimumRole) {
+  return (ACCOUNT_ROLE_RANK[role] || 0) >= (ACCOUNT_ROLE_RANK[minimumRole] || 0);
+}
+
+function lowerRole(a, b) {
+  return (ACCOUNT_ROLE_RANK[a] || 0) <= (ACCOUNT_ROLE_RANK[b] || 0) ? a : b;
+}
+
+function accountOwnerId(account) {
+  return account?.owner_user_id || account?.id || null;
+}
+
+// Team roles mapped onto the site membership roles (owner | admin | member).
+function siteMembershipRole(role) {
+  return hasAccountRole(role, ACCOUNT_ROLES.ADMIN) ? 'admin' : 'member';
+}
+
+function forbidden(message, error = 'INSUFFICIENT_ROLE') {
+  return { error, status: 403, message };
+}
+
+function storageError(message, error) {
+  logger.error('[account-members] storage_failed', { message, error: serializeSupabaseError(error) });
+  return { error: 'SERVER_ERROR', status: 500, message };
+}
+
+function mapMember(row) {
+  return {
+    user_id: row.user_id,
+    email: row.email || null,
+    role: row.role,
+    site_ids: row.site_ids || [],
+    joined_at: row.created_at || null
+  };
+}
+
+function mapInvitation(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    role: row.role,
+    site_ids: row.site_ids || [],
+    expires_at: row.expires_at,
+    created_at: row.created_at || null
+  };
+}
+
+async function findMember(supabase, { accountId, userId }) {
+  const { data, error } = await supabase
+    .from('account_members')
+    .select(MEMBER_COLUMNS)
+    .eq('account_id', accountId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error && isMissingSchemaError(error)) return { data: null, error: null };
+  return { data: data || null, error: error || null };
+}
+
+/**
+ * Which account a request acts on and with what role. `accountId` (the
+ * X-Account-Id header) selects a team account; without it the caller acts
+ * on their own license.
+ *
+ * @returns {Promise<{ error: null, data: { account: object, role: string, siteIds: string[] } } | { error: string, status: number, message: string }>}
+ */
+async function resolveAccountAccess(supabase, { user, accountId = null } = {}) {
+  if (!user?.id) {
+    return { error: 'UNAUTHORIZED', status: 401, message: 'Authentication required' };
+  }
+  const own = !accountId || accountId === user.id;
+  if (own && accountOwnerId(user) === user.id) {
+    return { error: null, data: { account: user, role: ACCOUNT_ROLES.OWNER, siteIds: [] } };
+  }
+  if (!supabase) {
+    return { error: 'SERVICE_UNAVAILABLE', status: 503, message: 'Database connection not available' };
+  }
+
+  let account = user;
+  if (!own) {
+    const { data, error } = await supabase
+      .from('licenses')
+      .select('*')
+      .eq('id', accountId)
+      .maybeSingle();
+    if (error) return storageError('Failed to load account', error);
+    account = data;
+  }
+  if (!account) {
+    return { error: 'ACCOUNT_NOT_FOUND', status: 404, message: 'Account not found' };
+  }
+  if (accountOwnerId(account) === user.id) {
+    return { error: null, data: { account, role: ACCOUNT_ROLES.OWNER, siteIds: [] } };
+  }
+
+  const member = await findMember(supabase, { accountId: account.id, userId: user.id });
+  if (member.error) return storageError('Failed to load account membership', member.error);
+  if (!member.data) {
+    return { error: 'ACCOUNT_NOT_FOUND', status: 404, message: 'Account not found' };
+  }
+  return { error: null, data: { account, role: member.data.role, siteIds: member.data.site_ids || [] } };
+}
+
+/**
+ * Check the caller may act on one of the account's sites with at least
+ * `minimumRole`. A site that belongs to another account the caller is a
+ * member of (listed through site_memberships) is held to that membership's
+ * role and site list as well, and to that account's 2FA requirement; a site
+ * of an account the caller is not on is refused.
+ *
+ * @returns {Promise<{ error: null } | { error: string, status: number, message: string }>}
+ */
+async function checkSiteAccess(supabase, { user, access, site, minimumRole = ACCOUNT_ROLES.VIEWER } = {}) {
+  let role = access?.role || ACCOUNT_ROLES.OWNER;
+  let siteIds = access?.siteIds || [];
+
+  const accountLicenseKey = access?.account?.license_key || null;
+  if (supabase && user?.id && site?.license_key && site.license_key !== accountLicenseKey) {
+    const { data: siteAccount, error } = await supabase
+      .from('licenses')
+      .select('id, owner_user_id, require_two_factor')
+      .eq('license_key', site.license_key)
+      .maybeSingle();
+    if (error && !isMissingSchemaError(error)) return storageError('Failed to load site account', error);
+    if (!siteAccount) {
+      return forbidden('This site does not belong to your account', 'SITE_NOT_ALLOWED');
+    }
+    const requirement = await checkTwoFactorRequirement(supabase, { account: siteAccount, user });
+    if (requirement.error) return requirement;
+    if (accountOwnerId(siteAccount) !== user.id) {
+      const member = await findMember(supabase, { accountId: siteAccount.id, userId: user.id });
+      if (member.error) return storageError('Failed to load account membership', member.error);
+      if (!member.data) {
+        return forbidden('This site does not belong to your account', 'SITE_NOT_ALLOWED');
+      }
+      role = lowerRole(role, member.data.role);
+      siteIds = member.data.site_ids || [];
+    }
+  }
+
+  if (siteIds.length && !siteIds.includes(site?.id)) {
+    return forbidden('Your role on this account does not include this site', 'SITE_NOT_ALLOWED');
+  }
+  if (!hasAccountRole(role, minimumRole)) {
+    return forbidden(`This action needs the ${minimumRole} role or higher`);
+  }
+  return { error: null };
+}
+
+async function listAccountSites(supabase, account) {
+  if (!account?.license_key) return [];
+  const result = await getSites(supabase, { licenseKey: account.license_key });
+  return Array.isArray(result.data) ? result.data : [];
+}
+
+/**
+ * Give a member a site membership on every account site their role reaches
+ * and drop the ones it no longer does. Best-effort: failures are logged.
+ */
+async function syncMemberSiteMemberships(supabase, { account, member, invitedByUserId = null, remove = false }) {
+  try {
+    const sites = await listAccountSites(supabase, account);
+    const allowed = new Set(
+      remove ? [] : sites.filter((site) => !member.site_ids?.length || member.site_ids.includes(site.id)).map((site) => site.id)
+    );
+    const dropped = sites.map((site) => site.id).filter((siteId) => !allowed.has(siteId));
+    if (dropped.length) {
+      const { error } = await supabase
+        .from('site_memberships')
+        .delete()
+        .in('site_id', dropped)
+        .eq('user_id', member.user_id);
+      if (error) throw new Error(error.message);
+    }
+    for (const siteId of allowed) {
+      await ensureSiteMembership(supabase, {
+        siteId,
+        userId: member.user_id,
+        role: siteMembershipRole(member.role),
+        invitedByUserId
+      });
+    }
+  } catch (error) {
+    logger.warn('[account-members] site_membership_sync_failed', {
+      account_id: account?.id || null,
+      user_id: member?.user_id || null,
+      error: error.message
+    });
+  }
+}
+
+async function listAccountMembers(supabase, { account } = {}) {
+  const { data: rows, error } = await supabase
+    .from('account_members')
+    .select(MEMBER_COLUMNS)
+    .eq('account_id', account.id)
+    .order('created_at', { ascending: true });
+  if (error) return storageError('Failed to load team members', error);
+
+  const { data: invitations, error: invitationError } = await supabase
+    .from('account_invitations')
+    .select(INVITATION_COLUMNS)
+    .eq('account_id', account.id)
+    .order('created_at', { ascending: false });
+  if (invitationError) return storageError('Failed to load invitations', invitationError);
+
+  const members = (rows || []).map(mapMember);
+  if (!account.owner_user_id && !members.some((member) => member.user_id === account.id)) {
+    members.unshift({ user_id: account.id, email: account.email || null, role: ACCOUNT_ROLES.OWNER, site_ids: [], joined_at: account.created_at || null });
+  }
+  const now = Date.now();
+  const pending = (invitations || [])
+    .filter((row) => !row.accepted_at && !row.revoked_at && new Date(row.expires_at).getTime() > now)
+    .map(mapInvitation);
+  return { error: null, data: { account_id: account.id, owner_user_id: accountOwnerId(account), members, invitations: pending } };
+}
+
+function checkRoleAssignment(actorRole, role, siteIds) {
+  if (role === ACCOUNT_ROLES.OWNER) {
+    return { error: 'VALIDATION_ERROR', status: 400, message: 'Use the ownership transfer to make someone the owner' };
+  }
+  if (!hasAccountRole(actorRole, ACCOUNT_ROLES.OWNER) && hasAccountRole(role, ACCOUNT_ROLES.ADMIN)) {
+    return forbidden('Only the owner can add or change admins');
+  }
+  if (siteIds?.length && role !== ACCOUNT_ROLES.EDITOR) {
+    return { error: 'VALIDATION_ERROR', status: 400, message: 'Only editors can be limited to specific sites' };
+  }
+  return null;
+}
+
+async function checkSiteIds(supabase, account, siteIds = []) {
+  if (!siteIds.length) return null;
+  const accountSiteIds = new Set((await listAccountSites(supabase, account)).map((site) => site.id));
+  const unknown = siteIds.filter((siteId) => !accountSiteIds.has(siteId));
+  return unknown.length
+    ? { error: 'SITE_NOT_FOUND', status: 404, message: `Sites not found on this account: ${unknown.join(', ')}` }
+    : null;
+}
+
+/**
+ * Invite someone by email. A newer invitation for the same email replaces
+ * the pending one. The link is emailed; `invite_url` is returned only when
+ * the email could not be sent, so an admin can pass it on.
+ */
+async function inviteAccountMember(supabase, { account, actor, body } = {}) {
+  const email = normalizeEmail(body.email);
+  const role = body.role;
+  const siteIds = [...new Set(body.site_ids || [])];
+
+  const roleError = checkRoleAssignment(actor.role, role, siteIds);
+  if (roleError) return roleError;
+  const siteError = await checkSiteIds(supabase, account, siteIds);
+  if (siteError) return siteError;
+
+  const listed = await listAccountMembers(supabase, { account });
+  if (listed.error) return listed;
+  if (listed.data.members.some((member) => normalizeEmail(member.email) === email)) {
+    return { error: 'ALREADY_MEMBER', status: 409, message: 'This person is already on the team' };
+  }
+
+  const { error: revokeError } = await supabase
+    .from('account_invitations')
+    .update({ revoked_at: nowIso() })
+    .eq('account_id', account.id)
+    .eq('email', email)
+    .is('accepted_at', null)
+    .is('revoked_at', null);
+  if (revokeError) return storageError('Failed to replace the pending invitation', revokeError);
+
+  const token = `inv_${crypto.randomBytes(24).toString('hex')}`;
+  const expiresAt = new Date(Date.now() + inviteTtlDays() * 24 * 60 * 60 * 1000).toISOString();
+  const { data, error } = await supabase
+    .from('account_invitations')
+    .insert({
+      account_id: account.id,
+      email,
+      role,
+      site_ids: siteIds,
+      token_hash: hashInvitationToken(token),
+      invited_by_user_id: actor.user?.id || null,
+      expires_at: expiresAt
+    })
+    .select(INVITATION_COLUMNS)
+    .maybeSingle();
+  if (error || !data) return storageError('Failed to create invitation', error);
+
+  const inviteUrl = buildInviteUrl(token);
+  const sent = await sendTeamInvitationEmail({
+    to: email,
+    inviteUrl,
+    accountEmail: account.email || null,
+    inviterEmail: actor.user?.email || null,
+    role,
+    expiresAt
+  });
+  logger.info('[account-members] invitation_created', {
+    account_id: account.id,
+    invitation_id: data.id,
+    role,
+    email_sent: Boolean(sent?.success)
+  });
+  return {
+    error: null,
+    data: {
+      invitation: mapInvitation(data),
+      email_sent: Boolean(sent?.success),
+      ...(sent?.success ? {} : { invite_url: inviteUrl })
+    }
+  };
+}
+
+async function revokeAccountInvitation(supabase, { account, invitationId } = {}) {
+  const { data, error } = await supabase
+    .from('account_invitations')
+    .update({ revoked_at: nowIso() })
+    .eq('account_id', account.id)
+    .eq('id', invitationId)
+    .is('accepted_at', null)
+    .select(INVITATION_COLUMNS)
+    .maybeSingle();
+  if (error) return storageError('Failed to revoke invitation', error);
+  if (!data) return { error: 'INVITATION_NOT_FOUND', status: 404, message: 'Invitation not found' };
+  return { error: null, data: { invitation: mapInvitation(data) } };
+}
+
+/**
+ * Accept an invitation as `user` (the logged-in invitee). The invitation
+ * email must match the login's email.
+ */
+async function acceptAccountInvitation(supabase, { token, user } = {}) {
+  const { data: invitation, error } = await supabase
+    .from('account_invitations')
+    .select(`${INVITATION_COLUMNS}, token_hash`)
+    .eq('token_hash', hashInvitationToken(token))
+    .maybeSingle();
+  if (error) return storageError('Failed to load invitation', error);
+  if (!invitation || invitation.revoked_at) {
+    return { error: 'INVITATION_NOT_FOUND', status: 404, message: 'Invitation not found or revoked' };
+  }
+  if (invitation.accepted_at) {
+    return { error: 'INVITATION_ALREADY_ACCEPTED', status: 409, message: 'Invitation has already been accepted' };
+  }
+  if (new Date(invitation.expires_at).getTime() <= Date.now()) {
+    return { error: 'INVITATION_EXPIRED', status: 410, message: 'Invitation has expired' };
+  }
+  if (normalizeEmail(user.email) !== normalizeEmail(invitation.email)) {
+    return forbidden('This invitation was sent to a different email address', 'INVITATION_EMAIL_MISMATCH');
+  }
+
+  const { data: account, error: accountError } = await supabase
+    .from('licenses')
+    .select('*')
+    .eq('id', invitation.account_id)
+    .maybeSingle();
+  if (accountError) return storageError('Failed to load account', accountError);
+  if (!account) return { error: 'ACCOUNT_NOT_FOUND', status: 404, message: 'Account not found' };
+  if (accountOwnerId(account) === user.id) {
+    return { error: 'ALREADY_MEMBER', status: 409, message: 'You already own this account' };
+  }
+
+  // Claim the invitation first: of two requests racing with the same
+  // token only one changes the row.
+  const { data: claimed, error: acceptError } = await supabase
+    .from('account_invitations')
+    .update({ accepted_at: nowIso(), accepted_by_user_id: user.id })
+    .eq('id', invitation.id)
+    .is('accepted_at', null)
+    .is('revoked_at', null)
+    .select('id')
+    .maybeSingle();
+  if (acceptError) return storageError('Failed to accept invitation', acceptError);
+  if (!claimed) {
+    return { error: 'INVITATION_ALREADY_ACCEPTED', status: 409, message: 'Invitation has already been accepted' };
+  }
+
+  const { data: member, error: memberError } = await supabase
+    .from('account_members')
+    .upsert({
+      account_id: account.id,
+      user_id: user.id,
+      email: normalizeEmail(user.email),
+      role: invitation.role,
+      site_ids: invitation.site_ids || [],
+      invited_by_user_id: invitation.invited_by_user_id || null,
+      updated_at: nowIso()
+    }, { onConflict: 'account_id,user_id' })
+    .select(MEMBER_COLUMNS)
+    .maybeSingle();
+  if (memberError || !member) {
+    // Hand the invitation back so the invitee can try again.
+    await supabase
+      .from('account_invitations')
+      .update({ accepted_at: null, accepted_by_user_id: null })
+      .eq('id', invitation.id);
+    return storageError('Failed to add team member', memberError);
+  }
+
+  await syncMemberSiteMemberships(supabase, { account, member, invitedByUserId: invitation.invited_by_user_id || null });
+  logger.info('[account-members] invitation_accepted', {
+    account_id: account.id,
+    invitation_id: invitation.id,
+    user_id: user.id,
+    role: member.role
+  });
+  return { error: null, data: { account_id: account.id, member: mapMember(member) } };
+}
+
+// Admins manage editors and viewers; only the owner manages admins. The
+// owner's row is changed through a transfer only.
+async function loadManagedMember(supabase, { account, actor, userId }) {
+  if (userId === accountOwnerId(account)) {
+    return forbidden('The owner cannot be changed or removed; transfer ownership first');
+  }
+  const member = await findMember(supabase, { accountId: account.id, userId });
+  if (member.error) return storageError('Failed to load team member', member.error);
+  if (!member.data) return { error: 'MEMBER_NOT_FOUND', status: 404, message: 'Team member not found' };
+  if (!hasAccountRole(actor.role, ACCOUNT_ROLES.OWNER) && hasAccountRole(member.data.role, ACCOUNT_ROLES.ADMIN)) {
+    return forbidden('Only the owner can change or remove admins');
+  }
+  return { error: null, data: member.data };
+}
+
+async function updateAccountMember(supabase, { account, actor, userId, body } = {}) {
+  if (userId === actor.user?.id) {
+    return forbidden('You cannot change your own role');
+  }
+  const loaded = await loadManagedMember(supabase, { account, actor, userId });
+  if (loaded.error) return loaded;
+
+  const role = body.role || loaded.data.role;
+  const siteIds = body.site_ids !== undefined
+    ? [...new Set(body.site_ids)]
+    : (role === ACCOUNT_ROLES.EDITOR ? loaded.data.site_ids || [] : []);
+  const roleError = checkRoleAssignment(actor.role, role, siteIds);
+  if (roleError) return roleError;
+  const siteError = await checkSiteIds(supabase, account, siteIds);
+  if (siteError) return siteError;
+
+  const { data, error } = await supabase
+    .from('account_members')
+    .update({ role, site_ids: siteIds, updated_at: nowIso() })
+    .eq('account_id', account.id)
+    .eq('user_id', userId)
+    .select(MEMBER_COLUMNS)
+    .maybeSingle();
+  if (error || !data) return storageError('Failed to update team member', error);
+
+  // Drop and re-add so a narrower role or site list also narrows the site rows.
+  await syncMemberSiteMemberships(supabase, { account, member: data, remove: true });
+  await syncMemberSiteMemberships(supabase, { account, member: data, invitedByUserId: actor.user?.id || null });
+  return { error: null, data: { member: mapMember(data) } };
+}
+
+/**
+ * Remove a member. Anyone but the owner may also remove themselves (leave).
+ */
+async function removeAccountMember(supabase, { account, actor, userId } = {}) {
+  const leaving = userId === actor.user?.id;
+  let member;
+  if (leaving) {
+    if (userId === accountOwnerId(account)) {
+      return forbidden('The owner cannot leave; transfer ownership first');
+    }
+    const found = await findMember(supabase, { accountId: account.id, userId });
+    if (found.error) return storageError('Failed to load team member', found.error);
+    member = found.data;
+    if (!member) return { error: 'MEMBER_NOT_FOUND', status: 404, message: 'Team member not found' };
+  } else {
+    if (!hasAccountRole(actor.role, ACCOUNT_ROLES.ADMIN)) {
+      return forbidden('This action needs the admin role or higher');
+    }
+    const loaded = await loadManagedMember(supabase, { account, actor, userId });
+    if (loaded.error) return loaded;
+    member = loaded.data;
+  }
+
+  const { error } = await supabase
+    .from('account_members')
+    .delete()
+    .eq('account_id', account.id)
+    .eq('user_id', userId);
+  if (error) return storageError('Failed to remove team member', error);
+
+  await syncMemberSiteMemberships(supabase, { account, member, remove: true });
+  logger.info('[account-members] member_removed', { account_id: account.id, user_id: userId, left: leaving });
+  return { error: null, data: { removed: true, user_id: userId } };
+}
+
+/**
+ * Make an existing member the owner. The previous owner stays on the team
+ * as an admin but loses the account's credentials: one transaction
+ * (account_transfer_ownership) rotates the license key and, when the
+ * previous owner signed in as the license itself, moves that login to a
+ * licenses row of its own, which ends its sessions.
+ */
+async function transferAccountOwnership(supabase, { account, actor, userId } = {}) {
+  if (!hasAccountRole(actor.role, ACCOUNT_ROLES.OWNER)) {
+    return forbidden('Only the owner can transfer ownership');
+  }
+  const previousOwnerId = accountOwnerId(account);
+  if (userId === previousOwnerId) {
+    return { error: 'VALIDATION_ERROR', status: 400, message: 'This person already owns the account' };
+  }
+
+  const { data, error } = await supabase.rpc('account_transfer_ownership', {
+    p_account_id: account.id,
+    p_user_id: userId,
+    p_previous_owner_id: previousOwnerId
+  });
+  if (error) return storageError('Failed to transfer ownership', error);
+  if (!data?.ok) {
+    if (data?.code === 'OWNER_CHANGED') {
+      return { error: 'OWNER_CHANGED', status: 409, message: 'Ownership of this account has already changed' };
+    }
+    if (data?.code === 'ACCOUNT_NOT_FOUND') {
+      return { error: 'ACCOUNT_NOT_FOUND', status: 404, message: 'Account not found' };
+    }
+    return { error: 'MEMBER_NOT_FOUND', status: 404, message: 'Team member not found' };
+  }
+
+  const previousOwnerUserId = data.previous_owner_user_id;
+  await syncMemberSiteMemberships(supabase, { account, member: data.owner, invitedByUserId: previousOwnerUserId });
+  await syncMemberSiteMemberships(supabase, {
+    account,
+    member: { user_id: previousOwnerUserId, role: ACCOUNT_ROLES.ADMIN, site_ids: [] },
+    invitedByUserId: userId
+  });
+  logger.info('[account-members] ownership_transferred', {
+    account_id: account.id,
+    from_user_id: previousOwnerId,
+    previous_owner_user_id: previousOwnerUserId,
+    to_user_id: userId
+  });
+  return {
+    error: null,
+    data: {
+      account_id: account.id,
+      owner_user_id: userId,
+      previous_owner_user_id: previousOwnerUserId,
+      previous_owner_role: ACCOUNT_ROLES.ADMIN
+    }
+  };
+}
+
+/**
+ * Accounts a login can act on: its own license plus team memberships.
+ */
+async function listMemberAccounts(supabase, { user } = {}) {
+  const own = await resolveAccountAccess(supabase, { user });
+  const accounts = own.error ? [] : [{ account_id: user.id, email: user.email || null, plan: user.plan || null, role: own.data.role }];
+  if (!supabase) return { error: null, data: accounts };
+
+  const { data: rows, error } = await supabase
+    .from('account_members')
+    .select(MEMBER_COLUMNS)
+    .eq('user_id', user.id);
+  if (error && !isMissingSchemaError(error)) return storageError('Failed to load accounts', error);
+  const teamRows = (rows || []).filter((row) => row.account_id !== user.id);
+  if (!teamRows.length) return { error: null, data: accounts };
+
+  const { data: licenses, error: licenseError } = await supabase
+    .from('licenses')
+    .select('id, email, plan')
+    .in('id', teamRows.map((row) => row.account_id));
+  if (licenseError) return storageError('Failed to load accounts', licenseError);
+  const byId = new Map((licenses || []).map((license) => [license.id, license]));
+  teamRows.forEach((row) => {
+    const license = byId.get(row.account_id);
+    if (license) {
+      accounts.push({ account_id: license.id, email: license.email || null, plan: license.plan || null, role: row.role, site_ids: row.site_ids || [] });
+    }
+  });
+  return { error: null, data: accounts };
+}
+
+module.exports = {
+  ACCOUNT_ROLES,
+  ACCOUNT_ROLE_RANK,
+  acceptAccountInvitation,
+  checkSiteAccess,
+  hasAccountRole,
+  hashInvitationToken,
+  inviteAccountMember,
+  listAccountMembers,
+  listMemberAccounts,
+  removeAccountMember,
+  resolveAccountAccess,
+  revokeAccountInvitation,
+  transferAccountOwnership,
+  updateAccountMember
+};
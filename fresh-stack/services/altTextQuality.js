@@ -0,0 +1,178 @@
+const logger = require('../lib/logger');
+const { reviewAltText } = require('../lib/openai');
+const { IMAGE_ALT_STATES } = require('./imageAltState');
+const { altTextWords, looksLikeFilenameAlt, scoreAltText } = require('./imageSeoAudit');
+
+// Quality gate for freshly generated alt text. Results that pass are written
+// to the ledger as GENERATED; anything with a reason below lands in
+// NEEDS_REVIEW so editors only open the ones that need attention.
+//
+// The heuristic checks are free and always run. The vision-model review
+// (the same call behind POST /api/review) costs a request, so it is opt-in
+// via ALT_TEXT_QUALITY_MODEL_REVIEW=true and only runs when the heuristics
+// pass.
+const MIN_QUALITY_SCORE = Number(process.env.ALT_TEXT_QUALITY_MIN_SCORE || 70);
+const MIN_WORDS = 3;
+const MAX_LENGTH = 160;
+
+const QUALITY_REASONS = Object.freeze({
+  LOW_SCORE: 'low_score',
+  TOO_SHORT: 'too_short',
+  TOO_LONG: 'too_long',
+  REDUNDANT_PREFIX: 'redundant_prefix',
+  FILENAME_ALT: 'filename_alt',
+  MODEL_REFUSAL: 'model_refusal',
+  SUSPECT_TEXT: 'suspect_text',
+  GLOSSARY_VIOLATION: 'glossary_violation',
+  MODEL_REVIEW: 'model_review'
+});
+
+// "Image of …" in the languages we generate most, plus the CJK equivalents
+// ("画像：…", "…の写真", "…的图片"), which put the noun before or after.
+const REDUNDANT_PREFIX_PATTERNS = [
+  /^(?:an?\s+|the\s+)?(?:image|photo(?:graph)?|picture|graphic|screenshot|illustration)\s+(?:of|showing|depicting)\b/i,
+  /^(?:ein(?:e)?\s+|das\s+)?(?:bild|foto|grafik|abbildung)\s+(?:von|eines|einer|zeigt)\b/i,
+  /^(?:une?\s+|la\s+|l['’])?(?:image|photo(?:graphie)?|illustration)\s+(?:de|d['’]|du|des|montrant)/i,
+  /^(?:una?\s+|la\s+)?(?:imagen|foto(?:graf[íi]a)?|ilustraci[óo]n)\s+(?:de|del|que muestra)\b/i,
+  /^(?:un(?:a|')?\s*|l['’]\s*)?(?:immagine|foto(?:grafia)?|illustrazione)\s+(?:di|del|della|che mostra)\b/i,
+  /^(?:uma?\s+|a\s+)?(?:imagem|foto(?:grafia)?|ilustra[çc][ãa]o)\s+(?:de|do|da|mostrando)\b/i,
+  /^(?:een\s+|de\s+)?(?:afbeelding|foto|plaatje)\s+(?:van|met)\b/i,
+  /^(?:画像|写真|イラスト|图片|圖片|照片|图像|圖像)\s*[:：、,，]/u,
+  /(?:の(?:画像|写真|イラスト)|的(?:图片|圖片|照片|图像|圖像))[。.]?$/u
+];
+const REFUSAL_PATTERN = /\b(?:i'?m sorry|i cannot|i can'?t|i am unable|unable to (?:see|view|identify|determine|describe)|as an ai)\b/i;
+const PLACEHOLDER_TEXT_PATTERN = /\blorem ipsum\b|\bdolor sit amet\b/i;
+const QUOTED_TEXT_PATTERN = /["“”]([^"“”]+)["“”]/g;
+
+function isModelReviewEnabled() {
+  return process.env.ALT_TEXT_QUALITY_MODEL_REVIEW === 'true';
+}
+
+function quotedTextShare(text) {
+  let quoted = 0;
+  for (const match of text.matchAll(QUOTED_TEXT_PATTERN)) {
+    quoted += match[1].length;
+  }
+  return text.length ? quoted / text.length : 0;
+}
+
+/**
+ * Heuristic checks on one alt text. Pure and synchronous.
+ *
+ * @returns {{ score: number, reasons: Array<{ code: string, message: string }> }}
+ */
+function checkAltTextQuality(altText, { filename = '', glossaryFlagged = false, minScore = MIN_QUALITY_SCORE } = {}) {
+  const text = typeof altText === 'string' ? altText.trim() : '';
+  const audit = scoreAltText(text, { filename });
+  const reasons = [];
+  const add = (code, message) => reasons.push({ code, message });
+
+  if (audit.score < minScore) {
+    add(QUALITY_REASONS.LOW_SCORE, `Quality score ${audit.score} is below ${minScore}${audit.issues.length ? `: ${audit.issues.join('; ')}` : ''}`);
+  }
+  if (altTextWords(text).length < MIN_WORDS) {
+    add(QUALITY_REASONS.TOO_SHORT, `Fewer than ${MIN_WORDS} words`);
+  }
+  if (text.length > MAX_LENGTH) {
+    add(QUALITY_REASONS.TOO_LONG, `Longer than ${MAX_LENGTH} characters`);
+  }
+  if (REDUNDANT_PREFIX_PATTERNS.some((pattern) => pattern.test(text))) {
+    add(QUALITY_REASONS.REDUNDANT_PREFIX, 'Uses "image of" style wording');
+  }
+  if (filename && text && looksLikeFilenameAlt(text.toLowerCase(), filename)) {
+    add(QUALITY_REASONS.FILENAME_ALT, 'Repeats the filename');
+  }
+  if (REFUSAL_PATTERN.test(text)) {
+    add(QUALITY_REASONS.MODEL_REFUSAL, 'Reads like a model refusal or disclaimer');
+  }
+  if (PLACEHOLDER_TEXT_PATTERN.test(text) || quotedTextShare(text) > 0.5) {
+    add(QUALITY_REASONS.SUSPECT_TEXT, 'Quoted or placeholder text may not be visible in the image');
+  }
+  if (glossaryFlagged) {
+    add(QUALITY_REASONS.GLOSSARY_VIOLATION, 'Brand glossary rules were not met');
+  }
+
+  return { score: audit.score, reasons };
+}
+
+/**
+ * Run the quality gate on a generated result and pick its ledger state.
+ * Never throws: a failed model review is logged and the heuristic verdict
+ * stands.
+ *
+ * @returns {Promise<{ state: string, passed: boolean, score: number, reasons: Array, model_review?: object }>}
+ */
+async function evaluateGeneratedAltText({
+  altText,
+  image = null,
+  context = {},
+  glossaryFlagged = false,
+  modelReview = isModelReviewEnabled(),
+  review = reviewAltText,
+  requestId = null
+} = {}) {
+  const { score, reasons } = checkAltTextQuality(altText, {
+    filename: image?.filename || context.filename || '',
+    glossaryFlagged
+  });
+  const result = { score, reasons };
+
+  if (modelReview && reasons.length === 0) {
+    try {
+      const verdict = await review({ altText, image, context });
+      if (verdict) {
+        result.model_review = { score: verdict.score, status: verdict.status, issues: verdict.issues };
+        if (verdict.status === 'review' || verdict.status === 'critical') {
+          reasons.push({
+            code: QUALITY_REASONS.MODEL_REVIEW,
+            message: verdict.summary || `Model review graded this ${verdict.grade || verdict.status}`
+          });
+        }
+      }
+    } catch (error) {
+      logger.warn('[altTextQuality] Model review failed; using heuristic verdict', {
+        request_id: requestId,
+        error: error.message,
+        code: error.code || null
+      });
+    }
+  }
+
+  const passed = reasons.length === 0;
+  return {
+    ...result,
+    passed,
+    state: passed ? IMAGE_ALT_STATES.GENERATED : IMAGE_ALT_STATES.NEEDS_REVIEW
+  };
+}
+
+/**
+ * The part of a gate result stored under `metadata.quality` on the ledger row.
+ */
+function buildQualityMetadata(quality) {
+  return {
+    passed: quality.passed,
+    score: quality.score,
+    reasons: quality.reasons,
+    ...(quality.model_review ? { model_review: quality.model_review } : {})
+  };
+}
+
+/**
+ * The gate fields returned to clients (and cached with the result).
+ */
+function buildQualityResponseFields(quality) {
+  return {
+    review_state: quality.state,
+    quality: { passed: quality.passed, score: quality.score, reasons: quality.reasons }
+  };
+}
+
+module.exports = {
+  MIN_QUALITY_SCORE,
+  QUALITY_REASONS,
+  buildQualityMetadata,
+  buildQualityResponseFields,
+  checkAltTextQuality,
+  evaluateGeneratedAltText
+};
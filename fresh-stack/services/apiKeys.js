@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const logger = require('../lib/logger');
+
+/**
+ * Account API keys for headless and CI integrations.
+ *
+ * A key belongs to one account (license) and carries a name, the scopes it
+ * may use, optional site restrictions and an optional expiry. Only the
+ * SHA-256 of the key is stored; the key itself is returned once, on create.
+ * Keys are sent as `X-API-Key: opk_…` or `Authorization: Bearer opk_…` and
+ * resolved in middleware/auth.js.
+ */
+
+const API_KEY_PREFIX = 'opk_';
+const API_KEY_SCOPES = Object.freeze({
+  ALT_TEXT_GENERATE: 'alt_text:generate',
+  JOBS: 'jobs',
+  TITLES: 'titles',
+  USAGE_READ: 'usage:read',
+  OPTIMIZER: 'optimizer'
+});
+
+// Route prefixes an API key may call and the scope each needs. Title jobs
+// (/api/titles/jobs) fall under titles.
+const SCOPE_ROUTES = [
+  ['/api/alt-text', API_KEY_SCOPES.ALT_TEXT_GENERATE],
+  ['/api/jobs', API_KEY_SCOPES.JOBS],
+  ['/api/titles', API_KEY_SCOPES.TITLES],
+  ['/api/usage', API_KEY_SCOPES.USAGE_READ],
+  ['/usage', API_KEY_SCOPES.USAGE_READ],
+  ['/api/optimizer', API_KEY_SCOPES.OPTIMIZER]
+];
+
+const MAX_ACTIVE_KEYS = 25;
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+const KEY_COLUMNS = 'id, license_id, name, key_prefix, scopes, site_ids, site_hashes, expires_at, last_used_at, revoked_at, created_by, created_at';
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function isAccountApiKey(value) {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX) && value.length > API_KEY_PREFIX.length;
+}
+
+function generateApiKey() {
+  return `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * The scope a request path needs, or null when API keys may not call it
+ * (account management, billing, review, license routes).
+ */
+function requiredScopeForPath(path = '') {
+  const match = SCOPE_ROUTES.find(([prefix]) => path === prefix || path.startsWith(`${prefix}/`));
+  return match ? match[1] : null;
+}
+
+function isKeyActive(row, now = Date.now()) {
+  if (!row || row.revoked_at) return false;
+  return !row.expires_at || new Date(row.expires_at).getTime() > now;
+}
+
+function mapApiKey(row, now = Date.now()) {
+  return {
+    id: row.id,
+    name: row.name,
+    key_prefix: row.key_prefix,
+    scopes: row.scopes || [],
+    site_ids: row.site_ids || [],
+    expires_at: row.expires_at || null,
+    last_used_at: row.last_used_at || null,
+    revoked_at: row.revoked_at || null,
+    created_by: row.created_by || null,
+    created_at: row.created_at || null,
+    active: isKeyActive(row, now)
+  };
+}
+
+async function listApiKeys(supabase, { licenseId } = {}) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select(KEY_COLUMNS)
+    .eq('license_id', licenseId)
+    .order('created_at', { ascending: false });
+  if (error) return { data: null, error };
+  return { data: (Array.isArray(data) ? data : []).map((row) => mapApiKey(row)), error: null };
+}
+
+/**
+ * Create a key. `sites` are the account sites the key is limited to
+ * (`[{ id, site_hash }]`, empty for every site).
+ *
+ * @returns {Promise<{ data: { key: object, secret: string }|null, error: object|null, limitReached?: boolean }>}
+ */
+async function createApiKey(supabase, { licenseId, name, scopes, sites = [], expiresAt = null, actor = null } = {}) {
+  const existing = await listApiKeys(supabase, { licenseId });
+  if (existing.error) return existing;
+  if (existing.data.filter((key) => key.active).length >= MAX_ACTIVE_KEYS) {
+    return { data: null, error: null, limitReached: true };
+  }
+
+  const secret = generateApiKey();
+  const { data, error } = await supabase
+    .from('api_keys')
+    .insert({
+      license_id: licenseId,
+      name,
+      key_prefix: secret.slice(0, API_KEY_PREFIX.length + 8),
+      key_hash: hashApiKey(secret),
+      scopes: [...new Set(scopes)],
+      site_ids: sites.map((site) => site.id),
+      site_hashes: sites.map((site) => site.site_hash).filter(Boolean),
+      expires_at: expiresAt,
+      created_by: actor
+    })
+    .select(KEY_COLUMNS)
+    .maybeSingle();
+  if (error || !data) return { data: null, error: error || { message: 'API key was not stored' } };
+  return { data: { key: mapApiKey(data), secret }, error: null };
+}
+
+/**
+ * Revoke a key of the account. Revoked keys stay listed with `revoked_at`.
+ * Resolves `data: null` when the account has no such key.
+ */
+async function revokeApiKey(supabase, { licenseId, keyId } = {}) {
+  const { data: existing, error: lookupError } = await supabase
+    .from('api_keys')
+    .select(KEY_COLUMNS)
+    .eq('license_id', licenseId)
+    .eq('id', keyId)
+    .maybeSingle();
+  if (lookupError) return { data: null, error: lookupError };
+  if (!existing) return { data: null, error: null };
+  if (existing.revoked_at) return { data: mapApiKey(existing), error: null };
+
+  const { data, error } = await supabase
+    .from('api_keys')
+    .update({ revoked_at: nowIso() })
+    .eq('license_id', licenseId)
+    .eq('id', keyId)
+    .select(KEY_COLUMNS)
+    .maybeSingle();
+  if (error) return { data: null, error };
+  return { data: data ? mapApiKey(data) : null, error: null };
+}
+
+function touchLastUsed(supabase, row, now) {
+  const lastUsed = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+  if (now - lastUsed < LAST_USED_WRITE_INTERVAL_MS) return;
+  Promise.resolve(
+    supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date(now).toISOString() })
+      .eq('id', row.id)
+  ).then((result) => {
+    if (result?.error) {
+      logger.warn('[api-keys] last_used_update_failed', { api_key_id: row.id, error: result.error.message });
+    }
+  }).catch((error) => {
+    logger.warn('[api-keys] last_used_update_failed', { api_key_id: row.id, error: error.message });
+  });
+}
+
+/**
+ * Resolve a presented key to its account. Checks revocation, expiry and the
+ * account's license status, and records last use (at most once a minute).
+ *
+ * @returns {Promise<{ error: null, data: { key: object, license: object } } | { error: string, status: number, message: string }>}
+ */
+async function authenticateApiKey(supabase, rawKey, { now = Date.now() } = {}) {
+  if (!supabase) {
+    return { error: 'SERVICE_UNAVAILABLE', status: 503, message: 'Database connection not available' };
+  }
+
+  const { data: row, error } = await supabase
+    .from('api_keys')
+    .select(KEY_COLUMNS)
+    .eq('key_hash', hashApiKey(rawKey))
+    .maybeSingle();
+  if (error) {
+    logger.error('[api-keys] lookup_failed', { error: error.message });
+    return { error: 'SERVER_ERROR', status: 500, message: 'Unable to verify API key' };
+  }
+  if (!row) {
+    return { error: 'INVALID_API_KEY', status: 401, message: 'API key not recognised' };
+  }
+  if (row.revoked_at) {
+    return { error: 'API_KEY_REVOKED', status: 401, message: 'API key has been revoked' };
+  }
+  if (!isKeyActive(row, now)) {
+    return { error: 'API_KEY_EXPIRED', status: 401, message: 'API key has expired' };
+  }
+
+  const { data: license, error: licenseError } = await supabase
+    .from('licenses')
+    .select('*')
+    .eq('id', row.license_id)
+    .maybeSingle();
+  if (licenseError || !license) {
+    return { error: 'INVALID_API_KEY', status: 401, message: 'API key account not found' };
+  }
+  if (license.status !== 'active') {
+    return { error: 'LICENSE_SUSPENDED', status: 403, message: 'The account for this API key is not active' };
+  }
+
+  touchLastUsed(supabase, row, now);
+  return { error: null, data: { key: row, license } };
+}
+
+/**
+ * Check a resolved key against the request: the path's scope and, for
+ * site-restricted keys, the site the request is for. `siteHashes` holds every
+ * distinct site identifier the request carries; a restricted key needs
+ * exactly one, and it must be one of the key's sites.
+ *
+ * @returns {{ error: null } | { error: string, status: number, message: string }}
+ */
+function checkApiKeyAccess(key, { path, siteHashes = [] } = {}) {
+  const scope = requiredScopeForPath(path);
+  if (!scope || !(key.scopes || []).includes(scope)) {
+    return {
+      error: 'API_KEY_SCOPE_FORBIDDEN',
+      status: 403,
+      message: scope ? `API key is missing the ${scope} scope` : 'API keys cannot be used for this endpoint'
+    };
+  }
+  const allowedSiteHashes = key.site_hashes || [];
+  if (!allowedSiteHashes.length) return { error: null };
+  if (siteHashes.length > 1) {
+    return {
+      error: 'API_KEY_SITE_CONFLICT',
+      status: 400,
+      message: 'Request names more than one site; send the same site in every site header and field'
+    };
+  }
+  if (!allowedSiteHashes.includes(siteHashes[0])) {
+    return {
+      error: 'API_KEY_SITE_FORBIDDEN',
+      status: 403,
+      message: siteHashes.length ? 'API key is not allowed for this site' : 'API key is limited to specific sites; send X-Site-Key'
+    };
+  }
+  return { error: null };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  MAX_ACTIVE_KEYS,
+  authenticateApiKey,
+  checkApiKeyAccess,
+  createApiKey,
+  hashApiKey,
+  isAccountApiKey,
+  listApiKeys,
+  requiredScopeForPath,
+  revokeApiKey
+};
@@ -0,0 +1,108 @@
+const logger = require('../lib/logger');
+const { runOptimizerAudit, markOptimizerAuditInterrupted } = require('./optimizerAudit');
+const { runImageSeoAudit, markImageSeoAuditInterrupted } = require('./imageSeoAudit');
+
+/**
+ * Durable execution for site audits (Optimizer audits and the free image SEO
+ * report). Audits run as jobs on their own queue (lib/queue.js, separate
+ * queue/record keys from bulk jobs): in redis dispatch mode a worker that dies
+ * mid-crawl loses its lease and another instance picks the job up.
+ *
+ * The job record holds the latest checkpoint — crawl state after every wave,
+ * then the finished report — so a retried attempt resumes instead of
+ * re-crawling (or re-emailing). An audit that fails on its own terms (blocked
+ * URL, unreachable site) is recorded by its service and not retried; only a
+ * crash or a lost lease gets another attempt.
+ */
+
+const AUDIT_JOB_TYPES = {
+  OPTIMIZER: 'optimizer_audit',
+  IMAGE_SEO: 'image_seo_audit'
+};
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function createAuditJobRunner({ supabase, getJobRecord, setJobRecord }) {
+  async function runAudit(job, { checkpoint, onCheckpoint }) {
+    if (job.type === AUDIT_JOB_TYPES.OPTIMIZER) {
+      const record = await runOptimizerAudit(job.audit, { supabase, checkpoint, onCheckpoint });
+      return record.status;
+    }
+    if (job.type === AUDIT_JOB_TYPES.IMAGE_SEO) {
+      try {
+        await runImageSeoAudit({ supabase, ...job.audit, checkpoint, onCheckpoint });
+        return 'completed';
+      } catch (error) {
+        // runImageSeoAudit has already recorded the failure and sent the
+        // failed event; a retry would only repeat it.
+        logger.warn('[audit-jobs] image_seo_audit_failed', {
+          job_id: job.jobId,
+          error: error.message,
+          code: error.code || null
+        });
+        return 'failed';
+      }
+    }
+    logger.error('[audit-jobs] unknown_job_type', { job_id: job.jobId, type: job.type || null });
+    return 'failed';
+  }
+
+  async function run(job) {
+    const record = (await getJobRecord(job.jobId)) || { jobId: job.jobId, type: job.type, createdAt: nowIso() };
+    const checkpoint = record.checkpoint || null;
+    if (checkpoint) {
+      logger.info('[audit-jobs] job_resumed', { job_id: job.jobId, type: job.type, attempt: job.attempt || 1 });
+    }
+
+    record.status = 'running';
+    record.attempt = job.attempt || 1;
+    await setJobRecord(job.jobId, record);
+
+    // A lost checkpoint only costs a longer resume; never fail the audit on it.
+    const onCheckpoint = async (state) => {
+      record.checkpoint = state;
+      try {
+        await setJobRecord(job.jobId, record);
+      } catch (error) {
+        logger.warn('[audit-jobs] checkpoint_save_failed', { job_id: job.jobId, error: error.message });
+      }
+    };
+
+    record.status = await runAudit(job, { checkpoint, onCheckpoint });
+    record.checkpoint = null;
+    record.completedAt = nowIso();
+    await setJobRecord(job.jobId, record);
+  }
+
+  // Queue onDeadLetter hook: the audit will not be retried again, so close it
+  // out for the client that is polling it.
+  async function markDeadLettered(job) {
+    const auditId = job.audit ? job.audit.auditId : job.jobId;
+    if (job.type === AUDIT_JOB_TYPES.OPTIMIZER) {
+      await markOptimizerAuditInterrupted(auditId, { supabase });
+    } else if (job.type === AUDIT_JOB_TYPES.IMAGE_SEO) {
+      await markImageSeoAuditInterrupted(auditId, { supabase });
+    }
+  }
+
+  return { run, markDeadLettered };
+}
+
+/**
+ * Queue an audit. The audit id doubles as the job id, so the job record can
+ * be found from either side.
+ */
+async function enqueueAuditJob(queue, { type, audit }) {
+  const jobId = audit.auditId;
+  await queue.setJobRecord(jobId, { jobId, type, status: 'queued', checkpoint: null, createdAt: nowIso() });
+  await queue.dispatchJob({ jobId, type, audit });
+  return jobId;
+}
+
+module.exports = {
+  AUDIT_JOB_TYPES,
+  createAuditJobRunner,
+  enqueueAuditJob
+};
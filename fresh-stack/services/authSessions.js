@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('../lib/logger');
+const { isMissingSchemaError, serializeSupabaseError } = require('../lib/supabaseErrors');
+
+/**
+ * Login sessions for JWT auth.
+ *
+ * Every login or registration opens a session (one row in auth_sessions with
+ * the device's user agent and IP). The client gets a short-lived access JWT
+ * carrying the session id (`sid`) and a refresh token. Each refresh swaps
+ * the refresh token for a new one; presenting a replaced token again means it
+ * leaked, so the whole session is revoked. Only the SHA-256 of refresh tokens
+ * is stored. Revoking a session ends its access tokens on their next request.
+ */
+
+const REFRESH_TOKEN_PREFIX = 'ort_';
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+const SESSION_COLUMNS = 'id, user_id, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at, revoked_reason';
+
+const SESSION_REVOKE_REASONS = Object.freeze({
+  USER: 'user',
+  PASSWORD_RESET: 'password_reset',
+  REFRESH_TOKEN_REUSED: 'refresh_token_reused',
+  TWO_FACTOR_ENABLED: 'two_factor_enabled',
+  OWNERSHIP_TRANSFERRED: 'ownership_transferred'
+});
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function accessTokenTtl() {
+  return process.env.JWT_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_TTL;
+}
+
+function refreshTokenTtlDays() {
+  const days = Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '', 10);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+}
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateRefreshToken() {
+  return `${REFRESH_TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+}
+
+function unauthorized(error, message) {
+  return { error, status: 401, message };
+}
+
+function storageError(message, error) {
+  logger.error('[auth-sessions] storage_failed', { message, error: serializeSupabaseError(error) });
+  return { error: 'SERVER_ERROR', status: 500, message };
+}
+
+function requestMetadata(req) {
+  const userAgent = req?.header?.('User-Agent') || '';
+  const ip = req?.ip || req?.headers?.['x-forwarded-for']?.split(',')[0]?.trim() || null;
+  return {
+    user_agent: userAgent ? userAgent.slice(0, 512) : null,
+    ip_address: ip
+  };
+}
+
+function isSessionActive(row, now = Date.now()) {
+  return Boolean(row && !row.revoked_at && new Date(row.expires_at).getTime() > now);
+}
+
+function mapSession(row, currentSessionId = null) {
+  return {
+    id: row.id,
+    user_agent: row.user_agent || null,
+    ip_address: row.ip_address || null,
+    created_at: row.created_at || null,
+    last_used_at: row.last_used_at || null,
+    expires_at: row.expires_at,
+    current: row.id === currentSessionId
+  };
+}
+
+function signAccessToken(user, sessionId = null) {
+  const token = jwt.sign(
+    {
+      user_id: user.id,
+      email: user.email,
+      license_key: user.license_key,
+      ...(sessionId ? { sid: sessionId } : {})
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenTtl() }
+  );
+  const { iat, exp } = jwt.decode(token);
+  return { token, expires_in: exp - iat };
+}
+
+/**
+ * Open a session for a login and return its tokens. Before the
+ * auth_sessions migration the login still gets an access token, without a
+ * session or refresh token. Any other storage failure fails the login: a
+ * token without a session could not be revoked.
+ *
+ * @returns {Promise<{ error: null, data: { token: string, refresh_token: string|null, expires_in: number, session_id: string|null } } | { error: string, status: number, message: string }>}
+ */
+async function issueSessionTokens(supabase, { user, req } = {}) {
+  const refreshToken = generateRefreshToken();
+  let session = null;
+  if (supabase) {
+    const now = nowIso();
+    const { data, error } = await supabase
+      .from('auth_sessions')
+      .insert({
+        user_id: user.id,
+        refresh_token_hash: hashRefreshToken(refreshToken),
+        ...requestMetadata(req),
+        last_used_at: now,
+        expires_at: new Date(Date.now() + refreshTokenTtlDays() * 24 * 60 * 60 * 1000).toISOString()
+      })
+      .select(SESSION_COLUMNS)
+      .maybeSingle();
+    if (error && isMissingSchemaError(error)) {
+      logger.warn('[auth-sessions] session_table_missing', {
+        user_id: user.id,
+        error: serializeSupabaseError(error)
+      });
+    } else if (error || !data) {
+      return storageError('Failed to open session', error);
+    } else {
+      session = data;
+    }
+  }
+
+  const access = signAccessToken(user, session?.id || null);
+  return {
+    error: null,
+    data: {
+      token: access.token,
+      refresh_token: session ? refreshToken : null,
+      expires_in: access.expires_in,
+      session_id: session?.id || null
+    }
+  };
+}
+
+async function revokeSessionRow(supabase, sessionId, reason) {
+  const { error } = await supabase
+    .from('auth_sessions')
+    .update({ revoked_at: nowIso(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .is('revoked_at', null);
+  if (error) storageError('Failed to revoke session', error);
+}
+
+/**
+ * Swap a refresh token for a new access token and refresh token. The
+ * session keeps its original expiry.
+ */
+async function refreshSession(supabase, { refreshToken, req } = {}) {
+  if (typeof refreshToken !== 'string' || !refreshToken.startsWith(REFRESH_TOKEN_PREFIX)) {
+    return unauthorized('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+  }
+  const tokenHash = hashRefreshToken(refreshToken);
+  const { data: session, error } = await supabase
+    .from('auth_sessions')
+    .select(SESSION_COLUMNS)
+    .eq('refresh_token_hash', tokenHash)
+    .maybeSingle();
+  if (error) return storageError('Failed to load session', error);
+
+  if (!session) {
+    const { data: reused, error: reuseError } = await supabase
+      .from('auth_sessions')
+      .select(SESSION_COLUMNS)
+      .eq('previous_refresh_token_hash', tokenHash)
+      .maybeSingle();
+    if (reuseError) return storageError('Failed to load session', reuseError);
+    if (reused && !reused.revoked_at) {
+      await revokeSessionRow(supabase, reused.id, SESSION_REVOKE_REASONS.REFRESH_TOKEN_REUSED);
+      logger.warn('[auth-sessions] refresh_token_reused', { session_id: reused.id, user_id: reused.user_id });
+      return unauthorized('REFRESH_TOKEN_REUSED', 'This refresh token was already used; the session has been ended');
+    }
+    return unauthorized('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+  }
+  if (session.revoked_at) {
+    return unauthorized('SESSION_REVOKED', 'This session has been ended');
+  }
+  if (!isSessionActive(session)) {
+    return unauthorized('SESSION_EXPIRED', 'This session has expired; log in again');
+  }
+
+  const { data: user, error: userError } = await supabase
+    .from('licenses')
+    .select('*')
+    .eq('id', session.user_id)
+    .maybeSingle();
+  if (userError) return storageError('Failed to load user', userError);
+  if (!user || user.status !== 'active') {
+    return unauthorized('USER_NOT_FOUND', 'User account not found or inactive');
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+  const { data: rotated, error: rotateError } = await supabase
+    .from('auth_sessions')
+    .update({
+      refresh_token_hash: hashRefreshToken(nextRefreshToken),
+      previous_refresh_token_hash: tokenHash,
+      ...requestMetadata(req),
+      last_used_at: nowIso()
+    })
+    .eq('id', session.id)
+    .eq('refresh_token_hash', tokenHash)
+    .select(SESSION_COLUMNS)
+    .maybeSingle();
+  if (rotateError) return storageError('Failed to refresh session', rotateError);
+  // Another request rotated the same token first.
+  if (!rotated) return unauthorized('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+
+  const access = signAccessToken(user, session.id);
+  return {
+    error: null,
+    data: {
+      token: access.token,
+      refresh_token: nextRefreshToken,
+      expires_in: access.expires_in,
+      session_id: session.id,
+      user
+    }
+  };
+}
+
+/**
+ * Verify an access JWT and, when it belongs to a session, that the session
+ * is still active. Tokens from before sessions existed carry no `sid`; they
+ * are held to the user's password_changed_at instead (see
+ * tokenPredatesPasswordChange).
+ *
+ * @returns {Promise<{ error: null, data: object } | { error: string, status: number, message: string }>}
+ */
+async function verifyAccessToken(supabase, token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (_err) {
+    return unauthorized('INVALID_TOKEN', 'Invalid or expired token');
+  }
+  // Purpose-bound tokens (2FA login challenges) are not access tokens.
+  if (decoded.purpose) return unauthorized('INVALID_TOKEN', 'Invalid or expired token');
+  if (!decoded.sid || !supabase) return { error: null, data: decoded };
+
+  const { data: session, error } = await supabase
+    .from('auth_sessions')
+    .select('id, user_id, expires_at, revoked_at')
+    .eq('id', decoded.sid)
+    .maybeSingle();
+  if (error) {
+    if (isMissingSchemaError(error)) return { error: null, data: decoded };
+    return storageError('Failed to load session', error);
+  }
+  if (!session || session.user_id !== decoded.user_id || session.revoked_at) {
+    return unauthorized('SESSION_REVOKED', 'This session has been ended');
+  }
+  if (!isSessionActive(session)) {
+    return unauthorized('SESSION_EXPIRED', 'This session has expired; log in again');
+  }
+  return { error: null, data: decoded };
+}
+
+// Only for tokens without a session; session tokens end when the password
+// reset revokes their session.
+function tokenPredatesPasswordChange(decoded, user) {
+  if (decoded?.sid || !user?.password_changed_at || !decoded?.iat) return false;
+  return decoded.iat * 1000 < new Date(user.password_changed_at).getTime();
+}
+
+async function listSessions(supabase, { user, currentSessionId = null } = {}) {
+  const { data, error } = await supabase
+    .from('auth_sessions')
+    .select(SESSION_COLUMNS)
+    .eq('user_id', user.id)
+    .is('revoked_at', null)
+    .order('last_used_at', { ascending: false });
+  if (error) {
+    if (isMissingSchemaError(error)) return { error: null, data: [] };
+    return storageError('Failed to load sessions', error);
+  }
+  const now = Date.now();
+  return {
+    error: null,
+    data: (data || []).filter((row) => isSessionActive(row, now)).map((row) => mapSession(row, currentSessionId))
+  };
+}
+
+async function revokeSession(supabase, { user, sessionId, reason = SESSION_REVOKE_REASONS.USER } = {}) {
+  const { data, error } = await supabase
+    .from('auth_sessions')
+    .update({ revoked_at: nowIso(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .eq('user_id', user.id)
+    .is('revoked_at', null)
+    .select(SESSION_COLUMNS)
+    .maybeSingle();
+  if (error) return storageError('Failed to revoke session', error);
+  if (!data) return { error: 'SESSION_NOT_FOUND', status: 404, message: 'Session not found' };
+  logger.info('[auth-sessions] session_revoked', { session_id: sessionId, user_id: user.id, reason });
+  return { error: null, data: mapSession(data) };
+}
+
+/**
+ * Revoke every active session of a user, optionally keeping one (the
+ * caller's own, for "log out other devices").
+ */
+async function revokeAllSessions(supabase, { userId, reason = SESSION_REVOKE_REASONS.USER, exceptSessionId = null } = {}) {
+  let query = supabase
+    .from('auth_sessions')
+    .update({ revoked_at: nowIso(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+  if (exceptSessionId) query = query.neq('id', exceptSessionId);
+  const { data, error } = await query.select('id');
+  if (error) {
+    if (isMissingSchemaError(error)) return { error: null, data: { revoked: 0 } };
+    return storageError('Failed to revoke sessions', error);
+  }
+  const revoked = (data || []).length;
+  logger.info('[auth-sessions] sessions_revoked', { user_id: userId, reason, revoked });
+  return { error: null, data: { revoked } };
+}
+
+module.exports = {
+  SESSION_REVOKE_REASONS,
+  hashRefreshToken,
+  issueSessionTokens,
+  listSessions,
+  refreshSession,
+  revokeAllSessions,
+  revokeSession,
+  tokenPredatesPasswordChange,
+  verifyAccessToken
+};
@@ -4,6 +4,11 @@ const { normalizeItemIdentifier } = require('../lib/queue');
 const { validateImagePayload } = require('../lib/validation');
 const { normalizeImageForProvider, ImageNormalizationError } = require('../lib/imageNormalization');
 const { generateAltText } = require('../lib/openai');
+const { resolveGenerationLanguages } = require('../lib/languages');
+const { enforceGlossaryOnResult } = require('../lib/glossary');
+const { altTextTemplateKey, describePromptTemplate } = require('../lib/promptTemplates');
+const { getSiteGenerationSettings } = require('./site');
+const { buildQualityMetadata, evaluateGeneratedAltText } = require('./altTextQuality');
 const { buildSiteIdentity } = require('../lib/siteIdentity');
 const { hashRequestFingerprint } = require('./siteQuota');
 const {
@@ -12,7 +17,10 @@ const {
   reserveGenerationQuota
 } = require('./quota');
 const { buildEntitlementState } = require('./entitlementState');
+const { JOB_CONTROL_STATES, haltJobRun } = require('./bulkJobControl');
+const { JOB_WEBHOOK_EVENTS } = require('./jobWebhooks');
 const { upsertGeneratedImageAltState } = require('./imageAltState');
+const { resolvePromptTemplate } = require('./promptTemplates');
 const { recordUsage } = require('./usage');
 const { resolveUsageAttributionUserId } = require('./usageAttribution');
 
@@ -68,6 +76,54 @@ async function runWithConcurrency(items, limit, worker) {
   return results;
 }
 
+const ITEM_MAX_ATTEMPTS = Number(process.env.BULK_ITEM_MAX_ATTEMPTS || 3);
+const ITEM_RETRY_BASE_DELAY_MS = Number(process.env.BULK_ITEM_RETRY_BASE_DELAY_MS || 1000);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Run one bulk item, retrying outcomes flagged `isRetryable` (provider rate
+ * limits, timeouts, 5xx) with exponential backoff. Permanent failures, the
+ * last attempt's outcome and outcomes after `shouldStop()` (job cancelled) are
+ * returned as-is, tagged with `attempts`.
+ */
+async function runItemWithRetries(attemptItem, {
+  maxAttempts = ITEM_MAX_ATTEMPTS,
+  baseDelayMs = ITEM_RETRY_BASE_DELAY_MS,
+  wait = sleep,
+  shouldStop = async () => false,
+  logContext = {}
+} = {}) {
+  const attemptsAllowed = Math.max(1, maxAttempts);
+  for (let attempt = 1; ; attempt += 1) {
+    const outcome = await attemptItem(attempt);
+    if (outcome.success || !outcome.isRetryable || attempt >= attemptsAllowed || await shouldStop()) {
+      return { ...outcome, attempts: attempt };
+    }
+    const delayMs = baseDelayMs * 2 ** (attempt - 1);
+    logger.warn('[bulk] item_retry_scheduled', {
+      ...logContext,
+      attempt,
+      max_attempts: attemptsAllowed,
+      delay_ms: delayMs,
+      code: outcome.code || null
+    });
+    await wait(delayMs);
+  }
+}
+
+/**
+ * Items that already reached a terminal state. A job re-run after its lease
+ * lapsed (see lib/queue.js) skips these instead of generating them twice.
+ */
+function finishedItemIndexes(record) {
+  return new Set((record?.items || [])
+    .filter((row) => row.status === 'completed' || row.status === 'failed')
+    .map((row) => row.index));
+}
+
 function stripBulkMeta(context = {}) {
   const { _bulkLicenseKey, _bulkUserInfo, ...rest } = context;
   return rest;
@@ -138,7 +194,8 @@ async function processLicensedBulkItem({
   itemContext,
   jobId,
   itemIndex,
-  clientItemId
+  clientItemId,
+  attempt = 1
 }) {
   const siteIdentity = buildSiteIdentity({
     siteHash: siteKey,
@@ -202,7 +259,8 @@ async function processLicensedBulkItem({
   }
 
   const id = clientItemId != null ? String(clientItemId) : String(itemIndex);
-  const idempotencyKey = `bulk:${jobId}:${id}`;
+  // A retried attempt needs its own reservation; the failed one was released.
+  const idempotencyKey = attempt > 1 ? `bulk:${jobId}:${id}:attempt:${attempt}` : `bulk:${jobId}:${id}`;
   const requestFingerprint = buildItemFingerprint({
     siteKey,
     userInfo,
@@ -253,14 +311,36 @@ async function processLicensedBulkItem({
   const effectiveSite = reservation.site || null;
   const effectiveLicenseKey = effectiveSite?.license_key || licenseKey || null;
   let licenseId = null;
+  const siteSettings = await getSiteGenerationSettings(supabase, { siteId: effectiveSite?.id });
+  const { language, languages } = resolveGenerationLanguages({
+    language: itemContext.language,
+    languages: itemContext.languages,
+    siteDefault: siteSettings.defaultLanguage
+  });
+  const { template: promptTemplate, assignment: promptAssignment } = await resolvePromptTemplate(supabase, {
+    key: altTextTemplateKey(itemContext),
+    plan: reservation.reservation?.plan || null,
+    siteId: effectiveSite?.id || null,
+    unitKey: effectiveSite?.site_hash || siteKey || null
+  });
+  const promptInfo = describePromptTemplate(promptTemplate, promptAssignment);
 
   const genStart = Date.now();
   try {
     const generationResult = await generateAltText({
       image: providerImage,
-      context: { ...itemContext, filename: normalized.filename }
+      context: {
+        ...itemContext,
+        language,
+        languages: languages.length > 1 ? languages : undefined,
+        filename: normalized.filename
+      },
+      plan: reservation.reservation?.plan || null,
+      glossary: siteSettings.glossary,
+      template: promptTemplate
     });
     const generationTimeMs = Date.now() - genStart;
+    const glossaryCheck = enforceGlossaryOnResult(generationResult, siteSettings.glossary);
 
     const finalizeResult = await finalizeGenerationQuotaReservation(supabase, {
       generationRequestId: reservation.reservation?.generation_request_id || null,
@@ -310,7 +390,8 @@ async function processLicensedBulkItem({
       imageUrl: normalized.url,
       imageFilename: normalized.filename,
       endpoint: 'api/jobs/bulk',
-      status: 'success'
+      status: 'success',
+      promptTemplate: promptInfo
     });
 
     logger.debug('[usage] attribution_debug', {
@@ -322,14 +403,33 @@ async function processLicensedBulkItem({
       credits_used: 1
     });
 
+    const quality = await evaluateGeneratedAltText({
+      altText: glossaryCheck.altText,
+      image: providerImage,
+      context: { ...itemContext, language, filename: normalized.filename },
+      glossaryFlagged: glossaryCheck.flagged
+    });
+
     if (effectiveSite?.id) {
       await upsertGeneratedImageAltState(supabase, {
         siteId: effectiveSite.id,
         image: normalized,
         context: itemContext,
-        altText: generationResult.altText,
+        altText: glossaryCheck.altText,
         requestId: null,
-        generationRequestId: reservation.reservation?.generation_request_id || null
+        generationRequestId: reservation.reservation?.generation_request_id || null,
+        state: quality.state,
+        metadata: {
+          quality: buildQualityMetadata(quality),
+          prompt: promptInfo,
+          ...(glossaryCheck.violations.length ? { glossary_violations: glossaryCheck.violations } : {})
+        },
+        revision: {
+          source: 'api/jobs/bulk',
+          model: generationResult.meta?.modelUsed || null,
+          qualityScore: quality.score,
+          metadata: { batch_job_id: jobId, prompt: promptInfo }
+        }
       });
     } else {
       logger.warn('[image-state] ledger_write_skipped', {
@@ -355,7 +455,11 @@ async function processLicensedBulkItem({
 
     return {
       success: true,
-      altText: generationResult.altText,
+      altText: glossaryCheck.altText,
+      language,
+      translations: glossaryCheck.translations,
+      glossaryViolations: glossaryCheck.violations,
+      quality,
       usage: generationResult.usage,
       meta: generationResult.meta,
       warnings,
@@ -394,7 +498,15 @@ async function processLicensedBulkItem({
   }
 }
 
-function createBulkAltTextProcessor({ supabase, getJobRecord, setJobRecord, itemConcurrency = 3 }) {
+function createBulkAltTextProcessor({
+  supabase,
+  getJobRecord,
+  setJobRecord,
+  itemConcurrency = 3,
+  itemRetry = {},
+  jobControl = null,
+  jobWebhooks = null
+}) {
   function createPersistLock() {
     let chain = Promise.resolve();
     return function withLock(fn) {
@@ -429,8 +541,29 @@ function createBulkAltTextProcessor({ supabase, getJobRecord, setJobRecord, item
       return;
     }
 
+    // Cancel / pause requests (services/bulkJobControl.js) are honoured
+    // between items: the item in flight finishes, nothing new starts.
+    let halted = null;
+    async function shouldHalt() {
+      if (!halted && jobControl) {
+        const state = await jobControl.getJobControl(jobId);
+        if (state !== JOB_CONTROL_STATES.RUNNING) halted = state;
+      }
+      return Boolean(halted);
+    }
+
+    // Webhook callbacks run in the background; failures there never touch the job.
+    function notify(event, latest, itemIndex = null) {
+      if (jobWebhooks && latest) jobWebhooks.notify({ event, record: latest, licenseKey, itemIndex });
+    }
+
+    const finished = finishedItemIndexes(record);
+    if (finished.size) {
+      logger.info('[bulkAltText] job_resumed', { job_id: jobId, attempt: job.attempt || null, finished: finished.size });
+    }
+
     record.status = 'processing';
-    record.batchProcessingStartedAt = nowIso();
+    record.batchProcessingStartedAt = record.batchProcessingStartedAt || nowIso();
     record.timings = {
       ...(record.timings || {}),
       batch_processing_started_ms: Date.now() - batchT0
@@ -452,9 +585,14 @@ function createBulkAltTextProcessor({ supabase, getJobRecord, setJobRecord, item
             status: 'completed',
             stage: 'completed',
             altText: outcome.altText,
+            language: outcome.language,
+            translations: outcome.translations,
+            ...(outcome.glossaryViolations?.length ? { glossary_violations: outcome.glossaryViolations } : {}),
+            ...(outcome.quality ? { review_state: outcome.quality.state, quality: buildQualityMetadata(outcome.quality) } : {}),
             success: true,
             usage: outcome.usage,
             meta: outcome.meta,
+            ...(outcome.attempts > 1 ? { attempts: outcome.attempts } : {}),
             timings: {
               ...row.timings,
               completed_at: doneAt,
@@ -465,6 +603,10 @@ function createBulkAltTextProcessor({ supabase, getJobRecord, setJobRecord, item
           latest.results.push({
             ...normalizeItemIdentifier(item, index),
             altText: outcome.altText,
+            language: outcome.language,
+            ...(outcome.translations ? { translations: outcome.translations } : {}),
+            ...(outcome.glossaryViolations?.length ? { glossary_violations: outcome.glossaryViolations } : {}),
+            ...(outcome.quality ? { review_state: outcome.quality.state } : {}),
             success: true
           });
         } else {
@@ -475,6 +617,7 @@ function createBulkAltTextProcessor({ supabase, getJobRecord, setJobRecord, item
             success: false,
             error: outcome.message,
             errorCode: outcome.code,
+            ...(outcome.attempts > 1 ? { attempts: outcome.attempts } : {}),
             timings: {
               ...row.timings,
               completed_at: doneAt,
@@ -502,6 +645,7 @@ function createBulkAltTextProcessor({ supabase, getJobRecord, setJobRecord, item
         }
 
         await setJobRecord(jobId, latest);
+        notify(JOB_WEBHOOK_EVENTS.ITEM_FINISHED, latest, index);
 
         logger.info('[bulkAltText] item_finished', {
           job_id: jobId,
@@ -513,6 +657,7 @@ function createBulkAltTextProcessor({ supabase, getJobRecord, setJobRecord, item
     }
 
     async function processIndex(item, index) {
+      if (finished.has(index) || await shouldHalt()) return null;
       const tPrep = Date.now();
 
       await withLock(async () => {
@@ -542,7 +687,7 @@ function createBulkAltTextProcessor({ supabase, getJobRecord, setJobRecord, item
       });
 
       const itemContext = { ...sharedContext, ...(item.context || {}) };
-      const outcome = await processLicensedBulkItem({
+      const outcome = await runItemWithRetries((attempt) => processLicensedBulkItem({
         supabase,
         licenseKey,
         siteKey,
@@ -551,7 +696,12 @@ function createBulkAltTextProcessor({ supabase, getJobRecord, setJobRecord, item
         itemContext,
         jobId,
         itemIndex: index,
-        clientItemId: item.id
+        clientItemId: item.id,
+        attempt
+      }), {
+        ...itemRetry,
+        shouldStop: async () => (await shouldHalt()) && halted === JOB_CONTROL_STATES.CANCELLED,
+        logContext: { job_id: jobId, item_index: index }
       });
 
       await applyOutcome(index, item, outcome, tPrep);
@@ -568,6 +718,18 @@ function createBulkAltTextProcessor({ supabase, getJobRecord, setJobRecord, item
         await runWithConcurrency(rest, itemConcurrency, (item, j) => processIndex(item, j + 1));
       }
 
+      if (halted) {
+        const halt = await haltJobRun({ getJobRecord, setJobRecord, ...jobControl }, {
+          job,
+          state: halted,
+          withLock,
+          logTag: '[bulkAltText]'
+        });
+        if (halt === 'resumed') return run(job);
+        if (halt === JOB_CONTROL_STATES.CANCELLED) notify(JOB_WEBHOOK_EVENTS.CANCELLED, await getJobRecord(jobId));
+        return;
+      }
+
       await withLock(async () => {
         const latest = await getJobRecord(jobId);
         if (!latest) return;
@@ -593,6 +755,7 @@ function createBulkAltTextProcessor({ supabase, getJobRecord, setJobRecord, item
       });
 
       const final = await getJobRecord(jobId);
+      notify(JOB_WEBHOOK_EVENTS.COMPLETED, final);
       logger.info('[bulkAltText] job_completed', {
         job_id: jobId,
         total: final?.total,
@@ -613,6 +776,8 @@ function createBulkAltTextProcessor({ supabase, getJobRecord, setJobRecord, item
         latest.batchCompletedAt = nowIso();
         await setJobRecord(jobId, latest);
       }
+      // Let a durable queue retry or dead-letter the job.
+      throw err;
     }
   }
 
@@ -621,6 +786,8 @@ function createBulkAltTextProcessor({ supabase, getJobRecord, setJobRecord, item
 
 module.exports = {
   createBulkAltTextProcessor,
+  finishedItemIndexes,
+  runItemWithRetries,
   runWithConcurrency,
   processLicensedBulkItem
 };
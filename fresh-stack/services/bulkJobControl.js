@@ -0,0 +1,199 @@
+const logger = require('../lib/logger');
+const { JOB_WEBHOOK_EVENTS } = require('./jobWebhooks');
+
+// Cancel / pause / resume for bulk alt-text and titles jobs.
+//
+// Requests only flip the job's control state (lib/queue.js keeps it outside
+// the job record); the processors check it before each item and between
+// retries, so the item in flight always finishes and is billed normally.
+// Credits are reserved per item when it starts, so items that never start
+// cost nothing and there is nothing to release for them.
+//
+// A processor that sees `paused` marks the job paused, parks the payload and
+// exits, freeing its worker. Resume claims the parked payload and dispatches
+// it again; the processor skips items that already finished.
+const JOB_CONTROL_ACTIONS = Object.freeze({
+  CANCEL: 'cancel',
+  PAUSE: 'pause',
+  RESUME: 'resume'
+});
+
+const JOB_CONTROL_STATES = Object.freeze({
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled'
+});
+
+const TERMINAL_JOB_STATUSES = Object.freeze(['completed', 'failed', 'cancelled']);
+const TERMINAL_ITEM_STATUSES = Object.freeze(['completed', 'failed', 'cancelled']);
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+/**
+ * Mark every item that has not finished as cancelled and close the job.
+ * Mutates and returns the record.
+ */
+function markJobCancelled(record) {
+  let cancelled = record.cancelled || 0;
+  for (const row of record.items || []) {
+    if (TERMINAL_ITEM_STATUSES.includes(row.status)) continue;
+    Object.assign(row, { status: 'cancelled', stage: 'cancelled', success: false });
+    cancelled += 1;
+  }
+  record.cancelled = cancelled;
+  record.status = 'cancelled';
+  record.cancelledAt = record.cancelledAt || nowIso();
+  record.batchCompletedAt = record.batchCompletedAt || record.cancelledAt;
+  return record;
+}
+
+function markJobPaused(record) {
+  record.status = 'paused';
+  record.pausedAt = nowIso();
+  return record;
+}
+
+function notFound() {
+  return { error: 'JOB_NOT_FOUND', status: 404, message: 'Job not found' };
+}
+
+/**
+ * Apply a control action requested by the site that owns the job.
+ *
+ * @param {object} queue lib/queue.js queue (job records, control state, parking, dispatch)
+ * @returns {Promise<{ error: null, data: object } | { error: string, status: number, message: string }>}
+ */
+async function requestJobControl(queue, {
+  jobId,
+  action,
+  siteKey,
+  jobType = null,
+  requestId = null
+} = {}) {
+  if (!Object.values(JOB_CONTROL_ACTIONS).includes(action)) {
+    return { error: 'INVALID_REQUEST', status: 400, message: 'Unknown job action' };
+  }
+
+  const record = await queue.getJobRecord(jobId);
+  if (!record || record.siteKey !== siteKey || (jobType && (record.type || 'bulk_alt_text') !== jobType)) {
+    return notFound();
+  }
+  if (TERMINAL_JOB_STATUSES.includes(record.status)) {
+    return {
+      error: 'JOB_NOT_ACTIVE',
+      status: 409,
+      message: `Job is already ${record.status}`
+    };
+  }
+
+  const current = await queue.getJobControl(jobId);
+  let next = current;
+  let latest = record;
+
+  if (action === JOB_CONTROL_ACTIONS.PAUSE) {
+    if (current === JOB_CONTROL_STATES.CANCELLED) {
+      return { error: 'JOB_NOT_ACTIVE', status: 409, message: 'Job is being cancelled' };
+    }
+    next = JOB_CONTROL_STATES.PAUSED;
+    await queue.setJobControl(jobId, next);
+  } else if (action === JOB_CONTROL_ACTIONS.RESUME) {
+    if (current === JOB_CONTROL_STATES.CANCELLED) {
+      return { error: 'JOB_NOT_ACTIVE', status: 409, message: 'Job is being cancelled' };
+    }
+    next = JOB_CONTROL_STATES.RUNNING;
+    await queue.setJobControl(jobId, next);
+    const parked = await queue.unparkJob(jobId);
+    if (parked) {
+      latest = (await queue.getJobRecord(jobId)) || record;
+      latest.status = 'accepted';
+      latest.resumedAt = nowIso();
+      await queue.setJobRecord(jobId, latest);
+      await queue.dispatchJob(parked);
+    }
+  } else {
+    next = JOB_CONTROL_STATES.CANCELLED;
+    await queue.setJobControl(jobId, next);
+    // A parked job has no processor to finish the cancellation; do it here.
+    const parked = await queue.unparkJob(jobId);
+    if (parked) {
+      latest = markJobCancelled((await queue.getJobRecord(jobId)) || record);
+      await queue.setJobRecord(jobId, latest);
+      if (queue.notifyJobEvent) {
+        queue.notifyJobEvent({ event: JOB_WEBHOOK_EVENTS.CANCELLED, record: latest, licenseKey: parked.licenseKey });
+      }
+    }
+  }
+
+  logger.info('[jobs] job_control_requested', {
+    job_id: jobId,
+    request_id: requestId,
+    action,
+    previous_control: current,
+    control: next,
+    status: latest.status
+  });
+
+  return {
+    error: null,
+    data: {
+      jobId,
+      status: latest.status,
+      control: next,
+      total: latest.total,
+      completed: latest.completed || 0,
+      failed: latest.failed || 0,
+      cancelled: latest.cancelled || 0
+    }
+  };
+}
+
+/**
+ * Processor side: stop a run the control state says should not continue.
+ * Cancels close the record; pauses park the job. If a resume or cancel lands
+ * while parking, whichever side claims the parked payload handles it.
+ *
+ * @returns {Promise<'cancelled' | 'paused' | 'resumed'>} `resumed` means the
+ *   caller should keep processing.
+ */
+async function haltJobRun(queue, { job, state, withLock, logTag }) {
+  const { jobId } = job;
+  const closeCancelled = async () => {
+    await withLock(async () => {
+      const latest = await queue.getJobRecord(jobId);
+      if (!latest) return;
+      await queue.setJobRecord(jobId, markJobCancelled(latest));
+    });
+    logger.info(`${logTag} job_cancelled`, { job_id: jobId });
+    return JOB_CONTROL_STATES.CANCELLED;
+  };
+
+  if (state === JOB_CONTROL_STATES.CANCELLED) {
+    return closeCancelled();
+  }
+
+  await withLock(async () => {
+    const latest = await queue.getJobRecord(jobId);
+    if (!latest) return;
+    await queue.setJobRecord(jobId, markJobPaused(latest));
+  });
+  await queue.parkJob(job);
+
+  const after = await queue.getJobControl(jobId);
+  if (after !== JOB_CONTROL_STATES.PAUSED && await queue.unparkJob(jobId)) {
+    if (after === JOB_CONTROL_STATES.CANCELLED) return closeCancelled();
+    return 'resumed';
+  }
+
+  logger.info(`${logTag} job_paused`, { job_id: jobId });
+  return JOB_CONTROL_STATES.PAUSED;
+}
+
+module.exports = {
+  JOB_CONTROL_ACTIONS,
+  JOB_CONTROL_STATES,
+  haltJobRun,
+  markJobCancelled,
+  requestJobControl
+};
@@ -1,8 +1,13 @@
 const logger = require('../lib/logger');
 const { buildSiteIdentity } = require('../lib/siteIdentity');
 const { generateTitleAndMeta } = require('../lib/openaiTitles');
+const { describePromptTemplate, titlesTemplateKey } = require('../lib/promptTemplates');
 const { recordUsage } = require('./usage');
-const { runWithConcurrency } = require('./bulkAltTextProcessor');
+const { resolvePromptTemplate } = require('./promptTemplates');
+const { getSiteGenerationSettings } = require('./site');
+const { finishedItemIndexes, runItemWithRetries, runWithConcurrency } = require('./bulkAltTextProcessor');
+const { JOB_CONTROL_STATES, haltJobRun } = require('./bulkJobControl');
+const { JOB_WEBHOOK_EVENTS } = require('./jobWebhooks');
 const {
   TITLES_FEATURE_TYPE,
   reserveTitleGenerationQuota,
@@ -31,7 +36,8 @@ async function processLicensedBulkTitleItem({
   options,
   jobId,
   itemIndex,
-  clientItemId
+  clientItemId,
+  attempt = 1
 }) {
   const siteIdentity = buildSiteIdentity({
     siteHash: siteKey,
@@ -58,7 +64,7 @@ async function processLicensedBulkTitleItem({
   }
 
   const id = clientItemId != null ? String(clientItemId) : String(itemIndex);
-  const idempotencyKey = `bulk:titles:${jobId}:${id}`;
+  const idempotencyKey = attempt > 1 ? `bulk:titles:${jobId}:${id}:attempt:${attempt}` : `bulk:titles:${jobId}:${id}`;
   const requestFingerprint = buildTitleRequestFingerprint({
     siteKey,
     userInfo,
@@ -101,10 +107,18 @@ async function processLicensedBulkTitleItem({
   const effectiveSite = reservation.site || null;
   const effectiveLicenseKey = effectiveSite?.license_key || licenseKey || null;
   const generationRequestId = reservation.reservation?.generation_request_id || null;
+  const { glossary } = await getSiteGenerationSettings(supabase, { siteId: effectiveSite?.id });
+  const { template: promptTemplate, assignment: promptAssignment } = await resolvePromptTemplate(supabase, {
+    key: titlesTemplateKey(page),
+    plan: reservation.reservation?.plan || null,
+    siteId: effectiveSite?.id || null,
+    unitKey: effectiveSite?.site_hash || siteKey || null
+  });
+  const promptInfo = describePromptTemplate(promptTemplate, promptAssignment);
 
   const genStart = Date.now();
   try {
-    const result = await generateTitleAndMeta({ page, options, previous: null });
+    const result = await generateTitleAndMeta({ page, options, previous: null, glossary, template: promptTemplate });
     const generationTimeMs = Date.now() - genStart;
 
     await finalizeTitleGenerationQuota(supabase, {
@@ -133,6 +147,7 @@ async function processLicensedBulkTitleItem({
       endpoint: 'api/titles/jobs/bulk',
       status: 'success',
       featureType: TITLES_FEATURE_TYPE,
+      promptTemplate: promptInfo,
       generationBatchId: jobId
     });
 
@@ -165,7 +180,15 @@ async function processLicensedBulkTitleItem({
   }
 }
 
-function createBulkTitlesProcessor({ supabase, getJobRecord, setJobRecord, itemConcurrency = 3 }) {
+function createBulkTitlesProcessor({
+  supabase,
+  getJobRecord,
+  setJobRecord,
+  itemConcurrency = 3,
+  itemRetry = {},
+  jobControl = null,
+  jobWebhooks = null
+}) {
   function createPersistLock() {
     let chain = Promise.resolve();
     return function withLock(fn) {
@@ -201,8 +224,29 @@ function createBulkTitlesProcessor({ supabase, getJobRecord, setJobRecord, itemC
       return;
     }
 
+    // Cancel / pause requests (services/bulkJobControl.js) are honoured
+    // between items: the item in flight finishes, nothing new starts.
+    let halted = null;
+    async function shouldHalt() {
+      if (!halted && jobControl) {
+        const state = await jobControl.getJobControl(jobId);
+        if (state !== JOB_CONTROL_STATES.RUNNING) halted = state;
+      }
+      return Boolean(halted);
+    }
+
+    // Webhook callbacks run in the background; failures there never touch the job.
+    function notify(event, latest, itemIndex = null) {
+      if (jobWebhooks && latest) jobWebhooks.notify({ event, record: latest, licenseKey, itemIndex });
+    }
+
+    const finished = finishedItemIndexes(record);
+    if (finished.size) {
+      logger.info('[bulkTitles] job_resumed', { job_id: jobId, attempt: job.attempt || null, finished: finished.size });
+    }
+
     record.status = 'processing';
-    record.batchProcessingStartedAt = nowIso();
+    record.batchProcessingStartedAt = record.batchProcessingStartedAt || nowIso();
     record.timings = {
       ...(record.timings || {}),
       batch_processing_started_ms: Date.now() - batchT0
@@ -228,6 +272,7 @@ function createBulkTitlesProcessor({ supabase, getJobRecord, setJobRecord, itemC
             meta: outcome.meta,
             usage: outcome.usage,
             meta_info: outcome.meta_info,
+            ...(outcome.attempts > 1 ? { attempts: outcome.attempts } : {}),
             timings: {
               ...row.timings,
               completed_at: doneAt,
@@ -250,6 +295,7 @@ function createBulkTitlesProcessor({ supabase, getJobRecord, setJobRecord, itemC
             success: false,
             error: outcome.message,
             errorCode: outcome.code,
+            ...(outcome.attempts > 1 ? { attempts: outcome.attempts } : {}),
             timings: {
               ...row.timings,
               completed_at: doneAt,
@@ -279,6 +325,7 @@ function createBulkTitlesProcessor({ supabase, getJobRecord, setJobRecord, itemC
         }
 
         await setJobRecord(jobId, latest);
+        notify(JOB_WEBHOOK_EVENTS.ITEM_FINISHED, latest, index);
 
         logger.info('[bulkTitles] item_finished', {
           job_id: jobId,
@@ -290,6 +337,7 @@ function createBulkTitlesProcessor({ supabase, getJobRecord, setJobRecord, itemC
     }
 
     async function processIndex(item, index) {
+      if (finished.has(index) || await shouldHalt()) return null;
       const tPrep = Date.now();
 
       await withLock(async () => {
@@ -309,7 +357,7 @@ function createBulkTitlesProcessor({ supabase, getJobRecord, setJobRecord, itemC
       });
 
       const itemOptions = { ...sharedOptions, ...(item.options || {}) };
-      const outcome = await processLicensedBulkTitleItem({
+      const outcome = await runItemWithRetries((attempt) => processLicensedBulkTitleItem({
         supabase,
         licenseKey,
         siteKey,
@@ -318,7 +366,12 @@ function createBulkTitlesProcessor({ supabase, getJobRecord, setJobRecord, itemC
         options: itemOptions,
         jobId,
         itemIndex: index,
-        clientItemId: item.id
+        clientItemId: item.id,
+        attempt
+      }), {
+        ...itemRetry,
+        shouldStop: async () => (await shouldHalt()) && halted === JOB_CONTROL_STATES.CANCELLED,
+        logContext: { job_id: jobId, item_index: index }
       });
 
       await applyOutcome(index, item, outcome, tPrep);
@@ -335,6 +388,18 @@ function createBulkTitlesProcessor({ supabase, getJobRecord, setJobRecord, itemC
         await runWithConcurrency(rest, itemConcurrency, (item, j) => processIndex(item, j + 1));
       }
 
+      if (halted) {
+        const halt = await haltJobRun({ getJobRecord, setJobRecord, ...jobControl }, {
+          job,
+          state: halted,
+          withLock,
+          logTag: '[bulkTitles]'
+        });
+        if (halt === 'resumed') return run(job);
+        if (halt === JOB_CONTROL_STATES.CANCELLED) notify(JOB_WEBHOOK_EVENTS.CANCELLED, await getJobRecord(jobId));
+        return;
+      }
+
       await withLock(async () => {
         const latest = await getJobRecord(jobId);
         if (!latest) return;
@@ -348,6 +413,7 @@ function createBulkTitlesProcessor({ supabase, getJobRecord, setJobRecord, itemC
       });
 
       const final = await getJobRecord(jobId);
+      notify(JOB_WEBHOOK_EVENTS.COMPLETED, final);
       logger.info('[bulkTitles] job_completed', {
         job_id: jobId,
         total: final?.total,
@@ -368,6 +434,8 @@ function createBulkTitlesProcessor({ supabase, getJobRecord, setJobRecord, itemC
         latest.batchCompletedAt = nowIso();
         await setJobRecord(jobId, latest);
       }
+      // Let a durable queue retry or dead-letter the job.
+      throw err;
     }
   }
 
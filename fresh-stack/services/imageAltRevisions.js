@@ -0,0 +1,145 @@
+const logger = require('../lib/logger');
+const { isMissingSchemaError, serializeSupabaseError } = require('../lib/supabaseErrors');
+
+/**
+ * Append-only alt text history per image (`image_alt_revisions`).
+ *
+ * image_alt_states keeps only the latest state per image_ref; this table
+ * keeps every alt text the image has had, who or what produced it, the
+ * model and the quality score. Writes are best-effort: a failed history
+ * insert is logged and never fails the ledger write it describes.
+ */
+
+const REVISION_EVENTS = Object.freeze({
+  GENERATED: 'generated',
+  REGENERATED: 'regenerated',
+  EDITED: 'edited',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  ROLLED_BACK: 'rolled_back'
+});
+
+const REVISION_COLUMNS = 'id, site_id, image_ref, attachment_id, alt_text, state, event, actor, source, model, quality_score, metadata, created_at';
+const DEFAULT_REVISION_LIMIT = 50;
+const MAX_REVISION_LIMIT = 200;
+
+async function hasPriorRevision(supabase, { siteId, imageRef }) {
+  const { data, error } = await supabase
+    .from('image_alt_revisions')
+    .select('id')
+    .eq('site_id', siteId)
+    .eq('image_ref', imageRef)
+    .limit(1);
+  return !error && Array.isArray(data) && data.length > 0;
+}
+
+/**
+ * Append one revision. A `generated` event for an image that already has
+ * history is stored as `regenerated`.
+ */
+async function recordImageAltRevision(supabase, {
+  siteId,
+  imageRef,
+  attachmentId = null,
+  altText = null,
+  state,
+  event,
+  actor = null,
+  source = null,
+  model = null,
+  qualityScore = null,
+  metadata = {},
+  requestId = null
+} = {}) {
+  if (!supabase || !siteId || !imageRef || !event) {
+    return { data: null, error: null };
+  }
+
+  try {
+    const resolvedEvent = event === REVISION_EVENTS.GENERATED && await hasPriorRevision(supabase, { siteId, imageRef })
+      ? REVISION_EVENTS.REGENERATED
+      : event;
+
+    const { data, error } = await supabase
+      .from('image_alt_revisions')
+      .insert({
+        site_id: siteId,
+        image_ref: imageRef,
+        attachment_id: attachmentId,
+        alt_text: altText,
+        state,
+        event: resolvedEvent,
+        actor,
+        source,
+        model,
+        quality_score: Number.isFinite(qualityScore) ? Math.round(qualityScore) : null,
+        metadata: metadata && typeof metadata === 'object' ? metadata : {}
+      })
+      .select(REVISION_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      if (!isMissingSchemaError(error)) {
+        logger.warn('[image-revisions] revision_write_failed', {
+          site_id: siteId,
+          image_ref: imageRef,
+          event: resolvedEvent,
+          request_id: requestId,
+          error: serializeSupabaseError(error)
+        });
+      }
+      return { data: null, error };
+    }
+    return { data, error: null };
+  } catch (error) {
+    logger.warn('[image-revisions] revision_write_threw', {
+      site_id: siteId,
+      image_ref: imageRef,
+      request_id: requestId,
+      error: error.message
+    });
+    return { data: null, error };
+  }
+}
+
+/**
+ * Revisions for one image, newest first.
+ */
+async function listImageAltRevisions(supabase, { siteId, imageRef, limit = DEFAULT_REVISION_LIMIT } = {}) {
+  if (!supabase || !siteId || !imageRef) {
+    return { data: [], error: null };
+  }
+
+  const boundedLimit = Math.min(Math.max(Number.parseInt(limit, 10) || DEFAULT_REVISION_LIMIT, 1), MAX_REVISION_LIMIT);
+  const { data, error } = await supabase
+    .from('image_alt_revisions')
+    .select(REVISION_COLUMNS)
+    .eq('site_id', siteId)
+    .eq('image_ref', imageRef)
+    .order('created_at', { ascending: false })
+    .limit(boundedLimit);
+
+  return { data: Array.isArray(data) ? data : [], error: error || null };
+}
+
+async function getImageAltRevision(supabase, { siteId, revisionId } = {}) {
+  if (!supabase || !siteId || !revisionId) {
+    return { data: null, error: null };
+  }
+
+  const { data, error } = await supabase
+    .from('image_alt_revisions')
+    .select(REVISION_COLUMNS)
+    .eq('site_id', siteId)
+    .eq('id', revisionId)
+    .maybeSingle();
+
+  return { data: data || null, error: error || null };
+}
+
+module.exports = {
+  REVISION_EVENTS,
+  getImageAltRevision,
+  listImageAltRevisions,
+  recordImageAltRevision
+};
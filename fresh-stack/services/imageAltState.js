@@ -2,6 +2,11 @@ const crypto = require('crypto');
 const logger = require('../lib/logger');
 const { serializeSupabaseError } = require('../lib/supabaseErrors');
 const { buildSiteIdentity } = require('../lib/siteIdentity');
+const {
+  REVISION_EVENTS,
+  getImageAltRevision,
+  recordImageAltRevision
+} = require('./imageAltRevisions');
 const {
   fetchAccountByLicenseKey,
   resolveCanonicalSite
@@ -366,7 +371,11 @@ function buildSiteIdentityFromRequest(req) {
   });
 }
 
-async function resolveImageAltStateSiteContext(supabase, req, { createIfMissing = false } = {}) {
+/**
+ * Resolve the request's canonical site. Authenticated requests create or heal
+ * the site row even without `createIfMissing`; `readOnly` only looks it up.
+ */
+async function resolveImageAltStateSiteContext(supabase, req, { createIfMissing = false, readOnly = false } = {}) {
   const account = req?.user || req?.license || null;
   const licenseKey = req?.header?.('X-License-Key') || account?.license_key || null;
   const siteIdentity = buildSiteIdentityFromRequest(req);
@@ -379,7 +388,7 @@ async function resolveImageAltStateSiteContext(supabase, req, { createIfMissing
     };
   }
 
-  const shouldCreateIfMissing = Boolean(
+  const shouldCreateIfMissing = !readOnly && Boolean(
     createIfMissing
     || (account && siteIdentity?.isValid)
     || (licenseKey && siteIdentity?.isValid)
@@ -596,9 +605,13 @@ function buildLedgerPayload({
   altText,
   generatedAt,
   reviewedAt,
-  metadata = {}
+  metadata = {},
+  imageRef = null
 } = {}) {
-  const identity = resolveImageAltIdentity({ image, context, body });
+  // Review actions address rows that already exist by their ledger key.
+  const identity = imageRef
+    ? { attachment_id: null, image_ref: imageRef, image_url: null, identity_source: metadata?.identity_source || 'image_ref', error: null }
+    : resolveImageAltIdentity({ image, context, body });
   const normalizedState = normalizeState(state);
 
   if (!siteId) {
@@ -653,7 +666,9 @@ async function upsertImageAltState(supabase, {
   generatedAt = null,
   reviewedAt = null,
   metadata = {},
-  requestId = null
+  requestId = null,
+  imageRef = null,
+  revision = null
 } = {}) {
   const { payload, identity, error } = buildLedgerPayload({
     siteId,
@@ -664,7 +679,8 @@ async function upsertImageAltState(supabase, {
     altText,
     generatedAt,
     reviewedAt,
-    metadata
+    metadata,
+    imageRef
   });
 
   if (error) {
@@ -705,7 +721,25 @@ async function upsertImageAltState(supabase, {
     request_id: requestId || null
   });
 
-  return { data: data || payload, error: null };
+  const written = data || payload;
+  if (revision?.event) {
+    await recordImageAltRevision(supabase, {
+      siteId,
+      imageRef: written.image_ref,
+      attachmentId: written.attachment_id || null,
+      altText: written.alt_text ?? null,
+      state: written.current_state,
+      event: revision.event,
+      actor: revision.actor || null,
+      source: revision.source || null,
+      model: revision.model || null,
+      qualityScore: revision.qualityScore ?? null,
+      metadata: revision.metadata || {},
+      requestId
+    });
+  }
+
+  return { data: written, error: null };
 }
 
 async function upsertGeneratedImageAltState(supabase, {
@@ -715,7 +749,9 @@ async function upsertGeneratedImageAltState(supabase, {
   altText,
   requestId = null,
   generationRequestId = null,
-  state = IMAGE_ALT_STATES.NEEDS_REVIEW
+  state = IMAGE_ALT_STATES.NEEDS_REVIEW,
+  metadata = {},
+  revision = {}
 } = {}) {
   return upsertImageAltState(supabase, {
     siteId,
@@ -725,10 +761,12 @@ async function upsertGeneratedImageAltState(supabase, {
     altText,
     generatedAt: new Date().toISOString(),
     metadata: {
+      ...normalizeMetadata(metadata),
       generation_request_id: generationRequestId || null,
       event: 'generation_completed'
     },
-    requestId
+    requestId,
+    revision: { event: REVISION_EVENTS.GENERATED, ...revision }
   });
 }
 
@@ -738,7 +776,10 @@ async function markImageAltStateApproved(supabase, {
   context = {},
   body = {},
   altText,
-  requestId = null
+  requestId = null,
+  imageRef = null,
+  metadata = {},
+  revision = {}
 } = {}) {
   return upsertImageAltState(supabase, {
     siteId,
@@ -749,25 +790,168 @@ async function markImageAltStateApproved(supabase, {
     altText,
     reviewedAt: new Date().toISOString(),
     metadata: {
+      ...normalizeMetadata(metadata),
       event: 'approve'
     },
-    requestId
+    requestId,
+    imageRef,
+    revision: { event: REVISION_EVENTS.APPROVED, ...revision }
+  });
+}
+
+/**
+ * Reject an image's alt text: clears it and resets the row to MISSING so the
+ * next generation run picks the image up again.
+ */
+async function markImageAltStateRejected(supabase, {
+  siteId,
+  image = {},
+  context = {},
+  body = {},
+  reason = null,
+  requestId = null,
+  imageRef = null,
+  metadata = {},
+  revision = {}
+} = {}) {
+  return upsertImageAltState(supabase, {
+    siteId,
+    state: IMAGE_ALT_STATES.MISSING,
+    image,
+    context,
+    body,
+    altText: null,
+    reviewedAt: new Date().toISOString(),
+    metadata: {
+      ...normalizeMetadata(metadata),
+      event: 'reject',
+      rejection_reason: normalizeString(reason, 500)
+    },
+    requestId,
+    imageRef,
+    revision: {
+      event: REVISION_EVENTS.REJECTED,
+      ...revision,
+      metadata: { reason: normalizeString(reason, 500), ...(revision.metadata || {}) }
+    }
   });
 }
 
-async function listImageAltStatesForSite(supabase, siteId) {
+/**
+ * Restore an image's alt text from one of its revisions. The restored text is
+ * written as APPROVED (someone picked it) and the rollback itself is appended
+ * to the history, so rolling back never loses the text being replaced.
+ */
+async function rollbackImageAltStateToRevision(supabase, {
+  siteId,
+  imageRef,
+  revisionId,
+  actor = null,
+  source = null,
+  requestId = null
+} = {}) {
+  const { data: revision, error: revisionError } = await getImageAltRevision(supabase, { siteId, revisionId });
+  if (revisionError) {
+    logger.error('[image-state] rollback_lookup_failed', {
+      site_id: siteId,
+      revision_id: revisionId,
+      request_id: requestId || null,
+      error: serializeSupabaseError(revisionError)
+    });
+    return { data: null, error: 'SERVER_ERROR', status: 500, message: 'Failed to load revision' };
+  }
+  if (!revision || (imageRef && revision.image_ref !== imageRef)) {
+    return { data: null, error: 'REVISION_NOT_FOUND', status: 404, message: 'Revision not found for this image' };
+  }
+  if (!revision.alt_text) {
+    return { data: null, error: 'REVISION_HAS_NO_ALT_TEXT', status: 409, message: 'This revision has no alt text to restore' };
+  }
+
+  const { data: rows, error: rowError } = await listImageAltStatesForSite(supabase, siteId, { imageRefs: [revision.image_ref] });
+  const current = !rowError && rows.length ? rows[0] : null;
+
+  const write = await upsertImageAltState(supabase, {
+    siteId,
+    state: IMAGE_ALT_STATES.APPROVED,
+    imageRef: revision.image_ref,
+    altText: revision.alt_text,
+    reviewedAt: new Date().toISOString(),
+    metadata: {
+      ...normalizeMetadata(current?.metadata),
+      event: 'rollback',
+      rolled_back_to: revision.id
+    },
+    requestId,
+    revision: {
+      event: REVISION_EVENTS.ROLLED_BACK,
+      actor,
+      source,
+      model: revision.model,
+      qualityScore: revision.quality_score,
+      metadata: {
+        rolled_back_to: revision.id,
+        replaced_alt_text: current?.alt_text ?? null
+      }
+    }
+  });
+
+  if (write.error) {
+    return { data: null, error: 'SERVER_ERROR', status: 500, message: 'Failed to restore revision' };
+  }
+  return { data: write.data, error: null, revision };
+}
+
+const IMAGE_ALT_STATE_COLUMNS = 'id, site_id, image_ref, attachment_id, image_url, current_state, alt_text, last_generated_at, last_reviewed_at, metadata';
+
+/**
+ * Ledger rows for a site. Without options this returns every row (used by
+ * sync); the review queue passes filters and a page window, in which case
+ * `count` is the total number of matching rows.
+ */
+async function listImageAltStatesForSite(supabase, siteId, {
+  states = null,
+  imageRefs = null,
+  qualityReason = null,
+  search = null,
+  limit = null,
+  offset = 0
+} = {}) {
   if (!supabase || !siteId) {
-    return { data: [], error: null };
+    return { data: [], error: null, count: 0 };
   }
 
-  const { data, error } = await supabase
+  const paginated = Number.isInteger(limit) && limit > 0;
+  let query = supabase
     .from('image_alt_states')
-    .select('id, site_id, image_ref, attachment_id, image_url, current_state, alt_text, last_generated_at, last_reviewed_at, metadata')
+    .select(IMAGE_ALT_STATE_COLUMNS, paginated ? { count: 'exact' } : undefined)
     .eq('site_id', siteId);
 
+  if (Array.isArray(states) && states.length) {
+    query = query.in('current_state', states);
+  }
+  if (Array.isArray(imageRefs)) {
+    query = query.in('image_ref', imageRefs);
+  }
+  if (qualityReason) {
+    query = query.contains('metadata', { quality: { reasons: [{ code: qualityReason }] } });
+  }
+  if (search) {
+    query = query.ilike('alt_text', `%${search.replace(/[%_\\]/g, '\\$&')}%`);
+  }
+  if (paginated) {
+    query = query
+      .order('last_generated_at', { ascending: false, nullsFirst: false })
+      .order('id', { ascending: true })
+      .range(offset, offset + limit - 1);
+  }
+
+  const { data, error, count } = await query;
+  const rows = Array.isArray(data) ? data : [];
+
   return {
-    data: Array.isArray(data) ? data : [],
-    error
+    data: rows,
+    error,
+    count: Number.isFinite(count) ? count : rows.length
   };
 }
 
@@ -1131,11 +1315,14 @@ module.exports = {
   buildSiteIdentityFromRequest,
   countImageAltStatesForSite,
   getImageAltStateLedgerCoverage,
+  listImageAltStatesForSite,
   markImageAltStateApproved,
+  markImageAltStateRejected,
   normalizeState,
   resolveImageAltIdentity,
   resolveImageAltStateSiteContext,
   resolveImageAltStateSyncTarget,
+  rollbackImageAltStateToRevision,
   syncImageAltStates,
   upsertGeneratedImageAltState,
   upsertImageAltState
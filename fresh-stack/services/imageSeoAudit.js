@@ -1,9 +1,11 @@
 const crypto = require('crypto');
 const dns = require('dns').promises;
 const net = require('net');
+const zlib = require('zlib');
 const cheerio = require('cheerio');
 const PDFDocument = require('pdfkit');
 const logger = require('../lib/logger');
+const { ALLOW_ALL_POLICY, DISALLOW_ALL_POLICY, createRobotsPolicy } = require('../lib/robotsTxt');
 const { sendImageSeoAuditEmail } = require('../lib/email');
 const {
   trackImageSeoAuditRequested,
@@ -18,6 +20,38 @@ const FETCH_TIMEOUT_MS = Number(process.env.IMAGE_SEO_AUDIT_FETCH_TIMEOUT_MS ||
 // origin, so parallelism dominates total audit time.
 const CRAWL_CONCURRENCY = Number(process.env.IMAGE_SEO_AUDIT_CONCURRENCY || 6);
 const USER_AGENT = 'OpttiAI-Image-SEO-Audit/1.0 (+https://oppti.dev/image-seo-audit)';
+// Sitemap discovery budget: documents fetched (index children included) and
+// the decompressed size accepted per document.
+const MAX_SITEMAP_FETCHES = 12;
+const MAX_SITEMAP_BYTES = 10 * 1024 * 1024;
+// WordPress core serves /wp-sitemap.xml (an index) when no SEO plugin owns /sitemap.xml.
+const DEFAULT_SITEMAP_PATHS = ['/sitemap.xml', '/wp-sitemap.xml'];
+// A page whose fetch timed out, hit a network error or a 429/5xx is retried
+// once at the back of the crawl queue before it counts as failed.
+const MAX_PAGE_FETCH_ATTEMPTS = 2;
+// Image checks beyond alt text. Headers (size, type, 404s) are fetched for at
+// most this many distinct image URLs per audit; markup checks cover every image.
+const MAX_IMAGE_CHECKS = Number(process.env.IMAGE_SEO_AUDIT_MAX_IMAGE_CHECKS || 60);
+const MAX_IMAGE_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const OVERSIZED_IMAGE_BYTES = 300 * 1024;
+// JPEG/PNG/GIF files smaller than this gain little from WebP/AVIF.
+const LEGACY_FORMAT_MIN_BYTES = 20 * 1024;
+const LEGACY_IMAGE_FORMATS = new Set(['jpeg', 'png', 'gif', 'bmp', 'tiff']);
+// Scripts written without spaces between words; these are split with
+// Intl.Segmenter instead of on whitespace.
+const UNSPACED_SCRIPT_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+// The first images in a page's markup are treated as above the fold; later
+// ones should be lazy-loaded.
+const ABOVE_THE_FOLD_IMAGES = 2;
+const IMAGE_CHECK_ISSUES = {
+  BROKEN: 'Broken image URL',
+  MISSING_DIMENSIONS: 'Missing width/height (layout shift risk)',
+  OVERSIZED: 'Oversized image file',
+  LEGACY_FORMAT: 'Legacy format (WebP/AVIF would be smaller)',
+  NOT_LAZY: 'Not lazy-loaded below the fold',
+  MISSING_SRCSET: 'No srcset for responsive sizes'
+};
 
 function normalizeEmail(email) {
   return String(email || '').trim().toLowerCase();
@@ -121,6 +155,7 @@ async function fetchText(url) {
     if (!response.ok) {
       const error = new Error(`Fetch failed with ${response.status}`);
       error.code = 'FETCH_FAILED';
+      error.httpStatus = response.status;
       throw error;
     }
 
@@ -141,6 +176,15 @@ async function fetchText(url) {
   }
 }
 
+// Timeouts, network errors (no code) and 429/5xx may succeed on a second try;
+// SSRF rejections, 4xx and non-HTML responses will not.
+function isRetryableFetchError(error) {
+  if (!error) return false;
+  if (error.name === 'AbortError') return true;
+  if (error.code === 'FETCH_FAILED') return error.httpStatus === 429 || error.httpStatus >= 500;
+  return !error.code;
+}
+
 function hostKey(hostname) {
   return String(hostname || '').toLowerCase().replace(/^www\./, '');
 }
@@ -181,15 +225,151 @@ function uniquePush(queue, seen, url, max) {
   queue.push(url);
 }
 
-function extractSitemapUrls(baseUrl, xml, maxPages) {
-  const urls = [];
-  const matches = String(xml).matchAll(/<loc>\s*([^<]+)\s*<\/loc>/gi);
-  for (const match of matches) {
-    const candidate = sameOriginUrl(baseUrl, decodeXml(match[1]));
-    if (candidate) urls.push(candidate);
-    if (urls.length >= maxPages) break;
+/**
+ * Classify a sitemap document and pull its `<loc>` entries: child sitemaps
+ * for a `<sitemapindex>`, page URLs for a `<urlset>`. Anything else (a soft
+ * 404 HTML page, say) is `kind: null`.
+ */
+function parseSitemap(xml) {
+  const text = String(xml || '');
+  const kind = /<sitemapindex[\s>]/i.test(text)
+    ? 'index'
+    : /<urlset[\s>]/i.test(text)
+      ? 'urlset'
+      : null;
+  if (!kind) return { kind: null, locs: [] };
+
+  const entryTag = kind === 'index' ? 'sitemap' : 'url';
+  const entryPattern = new RegExp(`<${entryTag}[\\s>][\\s\\S]*?<\\/${entryTag}>`, 'gi');
+  const locs = [];
+  for (const [entry] of text.matchAll(entryPattern)) {
+    const loc = entry.match(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/i);
+    if (loc) locs.push(decodeXml(loc[1]));
+  }
+  return { kind, locs };
+}
+
+// Read at most `maxBytes` of a response body and drop the rest of the
+// download, so an endless or huge body cannot fill memory.
+async function readBodyLimited(response, maxBytes) {
+  if (!response.body) return Buffer.alloc(0);
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (size < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) return Buffer.concat(chunks);
+    chunks.push(Buffer.from(value));
+    size += value.byteLength;
+  }
+  reader.cancel().catch(() => {});
+  return Buffer.concat(chunks).subarray(0, maxBytes);
+}
+
+async function fetchSitemap(url) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url.toString(), {
+      redirect: 'follow',
+      signal: controller.signal,
+      headers: {
+        'User-Agent': USER_AGENT,
+        Accept: 'application/xml,text/xml;q=0.9,application/x-gzip;q=0.8,*/*;q=0.5'
+      }
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Fetch failed with ${response.status}`);
+      error.code = 'FETCH_FAILED';
+      throw error;
+    }
+
+    // Content-Encoding: gzip is undone by fetch; a gzipped *file*
+    // (sitemap.xml.gz) arrives as raw gzip bytes.
+    const contentType = response.headers.get('content-type') || '';
+    const body = await readBodyLimited(response, MAX_SITEMAP_BYTES);
+    const gzipped = (/gzip/i.test(contentType) || url.pathname.endsWith('.gz')) && body[0] === 0x1f && body[1] === 0x8b;
+    const text = gzipped
+      ? zlib.gunzipSync(body, { maxOutputLength: MAX_SITEMAP_BYTES }).toString('utf8')
+      : body.toString('utf8');
+
+    return { url: new URL(response.url || url.toString()), text };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * robots.txt rules for our crawler, following RFC 9309: a 4xx (or a file we
+ * cannot read as text) means no rules; a 5xx, timeout or network failure
+ * means the site is unreachable and nothing may be crawled.
+ */
+async function loadRobotsPolicy(origin) {
+  try {
+    const robots = await fetchText(new URL('/robots.txt', origin));
+    return { found: true, unreachable: false, policy: createRobotsPolicy(robots.text, USER_AGENT) };
+  } catch (error) {
+    const unreachable = error.name === 'AbortError' || !error.code || error.httpStatus >= 500;
+    logger.info(unreachable ? '[image-seo-audit] robots.txt unreachable' : '[image-seo-audit] robots.txt skipped', {
+      site_url: origin.toString(),
+      error: error.code || error.message
+    });
+    return { found: false, unreachable, policy: unreachable ? DISALLOW_ALL_POLICY : ALLOW_ALL_POLICY };
+  }
+}
+
+/**
+ * Page URLs from the site's sitemaps: robots.txt `Sitemap:` lines first,
+ * then /sitemap.xml and /wp-sitemap.xml. Sitemap indexes are followed
+ * breadth-first within MAX_SITEMAP_FETCHES documents.
+ */
+async function discoverSitemapPages(startUrl, { sitemapHints = [], maxPages, allowPrivate = false } = {}) {
+  const pending = [
+    ...sitemapHints.map((hint) => sameOriginUrl(startUrl, hint)).filter(Boolean),
+    ...DEFAULT_SITEMAP_PATHS.map((path) => new URL(path, startUrl.origin))
+  ];
+  const fetched = new Set();
+  const pageUrls = [];
+  const sitemapUrls = [];
+  let siteRoot = null;
+
+  while (pending.length > 0 && fetched.size < MAX_SITEMAP_FETCHES && pageUrls.length < maxPages) {
+    const sitemapUrl = pending.shift();
+    const key = sitemapUrl.toString();
+    if (fetched.has(key)) continue;
+    fetched.add(key);
+
+    let sitemap;
+    try {
+      if (!allowPrivate) await assertPublicUrl(sitemapUrl);
+      sitemap = await fetchSitemap(sitemapUrl);
+    } catch (error) {
+      logger.info('[image-seo-audit] sitemap skipped', {
+        sitemap_url: key,
+        error: error.code || error.message
+      });
+      continue;
+    }
+    if (!isSameSite(sitemap.url, startUrl)) continue;
+
+    const { kind, locs } = parseSitemap(sitemap.text);
+    if (!kind) continue;
+    sitemapUrls.push(sitemap.url.toString());
+    siteRoot = siteRoot || new URL('/', sitemap.url.origin);
+
+    for (const loc of locs) {
+      const candidate = sameOriginUrl(sitemap.url, loc);
+      if (!candidate) continue;
+      if (kind === 'index') {
+        pending.push(candidate);
+      } else if (pageUrls.length < maxPages) {
+        pageUrls.push(candidate);
+      }
+    }
   }
-  return urls;
+
+  return { pageUrls, sitemapUrls, siteRoot };
 }
 
 function decodeXml(value) {
@@ -294,14 +474,34 @@ function extractPageData(pageUrl, html) {
     const altAttr = img.attr('alt');
     const alt = altAttr === undefined ? null : String(altAttr);
     const filename = resolvedSrc ? resolvedSrc.split('/').pop()?.split('?')[0] || '' : '';
-    const score = scoreAltText(alt, { filename });
+    const control = img.closest('a, button');
+    const { decorative, reasons: decorativeReasons } = classifyDecorativeImage({
+      filename,
+      width: Number.parseInt(img.attr('width') || '', 10),
+      height: Number.parseInt(img.attr('height') || '', 10),
+      role: img.attr('role'),
+      ariaHidden: img.attr('aria-hidden'),
+      linkLabel: control.length ? (control.attr('aria-label') || control.text()) : '',
+      className: img.attr('class')
+    });
+    const score = scoreAltText(alt, { filename, decorative });
     images.push({
       pageUrl: pageUrl.toString(),
       pageTitle: title,
       src: resolvedSrc,
       filename,
       alt,
-      ...score
+      ...score,
+      decorative,
+      decorativeReasons,
+      // Markup signals for the image checks (checkImages).
+      position: images.length,
+      hasDimensions: Boolean(img.attr('width') && img.attr('height')),
+      // data-src / data-lazy-src mean a script lazy-loader owns the image.
+      lazy: String(img.attr('loading') || '').toLowerCase() === 'lazy'
+        || Boolean(img.attr('data-src') || img.attr('data-lazy-src')),
+      hasSrcset: Boolean(img.attr('srcset') || img.attr('data-srcset')
+        || img.parent('picture').find('source[srcset]').length)
     });
   });
 
@@ -317,19 +517,176 @@ function resolveImageUrl(pageUrl, src) {
   }
 }
 
-function scoreAltText(altText, { filename = '' } = {}) {
-  if (altText === null || altText === undefined || String(altText).trim() === '') {
+function imageFormat(contentType, filename) {
+  const fromType = /^image\/([a-z0-9.+-]+)/i.exec(String(contentType || ''));
+  const raw = (fromType ? fromType[1] : String(filename || '').split('.').pop() || '').toLowerCase();
+  if (raw === 'jpg' || raw === 'pjpeg') return 'jpeg';
+  if (raw === 'svg+xml') return 'svg';
+  if (raw === 'tif') return 'tiff';
+  return raw || null;
+}
+
+// Headers only: HEAD first, GET (body discarded) when the server refuses HEAD.
+// Redirects are followed by hand so every hop passes the SSRF guard.
+async function fetchImageHeaders(url, { allowPrivate = false } = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    let current = url;
+    for (let hop = 0; hop <= MAX_IMAGE_REDIRECTS; hop += 1) {
+      if (!allowPrivate) await assertPublicUrl(current);
+      const request = (method) => fetch(current.toString(), {
+        method,
+        redirect: 'manual',
+        signal: controller.signal,
+        headers: { 'User-Agent': USER_AGENT, Accept: 'image/avif,image/webp,image/*;q=0.8,*/*;q=0.5' }
+      });
+      let response = await request('HEAD');
+      if (response.status === 405 || response.status === 501) {
+        response = await request('GET');
+        response.body?.cancel?.().catch(() => {});
+      }
+
+      const location = REDIRECT_STATUSES.has(response.status) ? response.headers.get('location') : null;
+      if (location) {
+        current = new URL(location, current);
+        if (!['http:', 'https:'].includes(current.protocol)) {
+          throw buildValidationError('IMAGE_REDIRECT_UNSUPPORTED', 'Image redirected to a non-HTTP URL');
+        }
+        continue;
+      }
+
+      const length = Number.parseInt(response.headers.get('content-length') || '', 10);
+      return {
+        status: response.status,
+        bytes: Number.isFinite(length) ? length : null,
+        contentType: response.headers.get('content-type') || null
+      };
+    }
+    throw buildValidationError('IMAGE_TOO_MANY_REDIRECTS', 'Image URL redirected too many times');
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function imageCheckIssues(image) {
+  // Nothing else about a missing file is worth fixing first.
+  if (image.httpStatus === 404 || image.httpStatus === 410) return [IMAGE_CHECK_ISSUES.BROKEN];
+  const format = image.format || imageFormat(null, image.filename);
+  const bytes = image.fileBytes ?? null;
+  const issues = [];
+  if (image.hasDimensions === false) issues.push(IMAGE_CHECK_ISSUES.MISSING_DIMENSIONS);
+  if (format !== 'svg' && bytes !== null && bytes > OVERSIZED_IMAGE_BYTES) issues.push(IMAGE_CHECK_ISSUES.OVERSIZED);
+  if (LEGACY_IMAGE_FORMATS.has(format) && (bytes === null || bytes >= LEGACY_FORMAT_MIN_BYTES)) {
+    issues.push(IMAGE_CHECK_ISSUES.LEGACY_FORMAT);
+  }
+  if (image.lazy === false && image.position >= ABOVE_THE_FOLD_IMAGES) issues.push(IMAGE_CHECK_ISSUES.NOT_LAZY);
+  if (image.hasSrcset === false && format !== 'svg' && !image.decorative) issues.push(IMAGE_CHECK_ISSUES.MISSING_SRCSET);
+  return issues;
+}
+
+/**
+ * Image checks beyond alt text. Fetches headers for up to `maxChecks`
+ * distinct image URLs (same SSRF guard as page fetches; same-site URLs also
+ * honor robots.txt), then sets `checkIssues` on every image from its headers
+ * and markup. Mutates `images`.
+ */
+async function checkImages(images, { allowPrivate = false, robotsPolicy = ALLOW_ALL_POLICY, siteOrigin = null, maxChecks = MAX_IMAGE_CHECKS } = {}) {
+  const srcs = [];
+  for (const image of images) {
+    if (srcs.length >= maxChecks) break;
+    if (image.src && !srcs.includes(image.src)) srcs.push(image.src);
+  }
+
+  const headers = new Map();
+  for (let start = 0; start < srcs.length; start += CRAWL_CONCURRENCY) {
+    await Promise.all(srcs.slice(start, start + CRAWL_CONCURRENCY).map(async (src) => {
+      let url;
+      try {
+        url = new URL(src);
+        if (!['http:', 'https:'].includes(url.protocol)) return;
+        if (url.origin === siteOrigin && !robotsPolicy.isAllowed(url)) return;
+        headers.set(src, await fetchImageHeaders(url, { allowPrivate }));
+      } catch (error) {
+        logger.info('[image-seo-audit] image check failed', { src, error: error.code || error.message });
+      }
+    }));
+  }
+
+  for (const image of images) {
+    const checked = headers.get(image.src);
+    if (checked) {
+      image.httpStatus = checked.status;
+      image.fileBytes = checked.bytes;
+      image.format = imageFormat(checked.contentType, image.filename);
+    } else {
+      image.format = imageFormat(null, image.filename);
+    }
+    image.checkIssues = imageCheckIssues(image);
+  }
+  return { imagesChecked: headers.size };
+}
+
+const SPACER_FILENAME_PATTERN = /^(spacer|blank|pixel|transparent|clear|shim|divider|separator|1x1)([-_]?\d+(x\d+)?)?\.(gif|png|svg|webp)$/i;
+const ICON_HINT_PATTERN = /(^|[\s_.-])(icon|icons|ico|glyph|arrow|chevron|caret)([\s_.-]|$)/i;
+const BACKGROUND_CLASS_PATTERN = /(^|[\s_-])(bg|background|decor|decorative|ornament|divider|separator|spacer)([\s_-]|$)/i;
+const ICON_MAX_PX = 64;
+
+/**
+ * Decide whether an image is decorative, i.e. WCAG wants `alt=""` so screen
+ * readers skip it, rather than a description. Signals: role="presentation" /
+ * "none", aria-hidden, spacer or divider files, pixel- or divider-sized
+ * images, icons inside a link or button that already has a text label, and
+ * background-style class names. Returns `{ decorative, reasons }`.
+ */
+function classifyDecorativeImage({
+  filename = '',
+  width = null,
+  height = null,
+  role = null,
+  ariaHidden = false,
+  linkLabel = '',
+  className = ''
+} = {}) {
+  const reasons = [];
+  const w = Number(width) || null;
+  const h = Number(height) || null;
+  const label = String(linkLabel || '').replace(/\s+/g, ' ').trim();
+
+  if (['presentation', 'none'].includes(String(role || '').trim().toLowerCase())) reasons.push('role="presentation"');
+  if (ariaHidden === true || String(ariaHidden).toLowerCase() === 'true') reasons.push('aria-hidden');
+  if (SPACER_FILENAME_PATTERN.test(String(filename || ''))) reasons.push('Spacer or divider file');
+  if (w && h && w <= 2 && h <= 2) reasons.push('Pixel-sized image');
+  if (w && h && ((h <= 8 && w >= 50) || (w <= 8 && h >= 50))) reasons.push('Divider-shaped image');
+  if (label) {
+    const small = w && h ? Math.max(w, h) <= ICON_MAX_PX : false;
+    if (small || ICON_HINT_PATTERN.test(`${filename} ${className}`)) reasons.push('Icon inside a labelled link or button');
+  }
+  if (BACKGROUND_CLASS_PATTERN.test(String(className || ''))) reasons.push('Background-style image');
+
+  return { decorative: reasons.length > 0, reasons };
+}
+
+function scoreAltText(altText, { filename = '', decorative = false } = {}) {
+  const empty = altText === null || altText === undefined || String(altText).trim() === '';
+  // alt="" is the correct markup for a decorative image; a missing attribute is not.
+  if (decorative && empty && altText !== null && altText !== undefined) {
+    return { score: 100, label: 'Decorative', issues: [], suggestions: [] };
+  }
+  if (empty) {
     return {
       score: 0,
       label: 'Missing',
       issues: ['Missing alt text'],
-      suggestions: ['Add a concise description of what the image shows.']
+      suggestions: [decorative
+        ? 'This image looks decorative: add alt="" so screen readers skip it.'
+        : 'Add a concise description of what the image shows.']
     };
   }
 
   const alt = String(altText).trim();
   const lower = alt.toLowerCase();
-  const words = lower.split(/\s+/).filter(Boolean);
+  const words = altTextWords(lower);
   const issues = [];
   const suggestions = [];
   let score = 100;
@@ -395,6 +752,23 @@ function looksLikeFilenameAlt(alt, filename) {
   return Boolean(cleanFilename && cleanAlt && (cleanAlt === cleanFilename || /^[a-z0-9_-]+\.(jpe?g|png|gif|webp|svg)$/i.test(alt)));
 }
 
+let wordSegmenter = null;
+
+/**
+ * Split alt text into words. Text in Chinese, Japanese, Thai and similar
+ * scripts has no spaces between words, so it goes through Intl.Segmenter.
+ */
+function altTextWords(text) {
+  const value = String(text || '');
+  if (UNSPACED_SCRIPT_PATTERN.test(value) && typeof Intl.Segmenter === 'function') {
+    wordSegmenter = wordSegmenter || new Intl.Segmenter(undefined, { granularity: 'word' });
+    return Array.from(wordSegmenter.segment(value))
+      .filter((segment) => segment.isWordLike)
+      .map((segment) => segment.segment);
+  }
+  return value.split(/\s+/).filter(Boolean);
+}
+
 function hasRepeatedWord(words) {
   const counts = new Map();
   for (const word of words) {
@@ -406,7 +780,45 @@ function hasRepeatedWord(words) {
   return false;
 }
 
-function summarizeAudit({ siteUrl, normalizedDomain, pages, images, maxPages, maxImages, crawlError = null }) {
+// Counts and a 0-100 score for the non-alt image checks, or null when the
+// images were never checked (summaries built from older crawl data).
+function summarizeImageChecks(images, imagesChecked) {
+  if (!images.some((image) => Array.isArray(image.checkIssues))) return null;
+  const count = (issue) => images.filter((image) => (image.checkIssues || []).includes(issue)).length;
+  const counts = {
+    brokenCount: count(IMAGE_CHECK_ISSUES.BROKEN),
+    missingDimensionsCount: count(IMAGE_CHECK_ISSUES.MISSING_DIMENSIONS),
+    oversizedCount: count(IMAGE_CHECK_ISSUES.OVERSIZED),
+    legacyFormatCount: count(IMAGE_CHECK_ISSUES.LEGACY_FORMAT),
+    notLazyCount: count(IMAGE_CHECK_ISSUES.NOT_LAZY),
+    missingSrcsetCount: count(IMAGE_CHECK_ISSUES.MISSING_SRCSET)
+  };
+  const share = (value) => value / images.length;
+  const penalty = (share(counts.brokenCount) * 35)
+    + (share(counts.missingDimensionsCount) * 20)
+    + (share(counts.oversizedCount) * 15)
+    + (share(counts.legacyFormatCount) * 10)
+    + (share(counts.notLazyCount) * 10)
+    + (share(counts.missingSrcsetCount) * 10);
+  const checkedBytes = images.filter((image) => typeof image.fileBytes === 'number');
+  return {
+    imagesChecked,
+    score: Math.max(0, Math.round(100 - penalty)),
+    ...counts,
+    largestImages: checkedBytes
+      .sort((a, b) => b.fileBytes - a.fileBytes)
+      .filter((image, index, list) => list.findIndex((other) => other.src === image.src) === index)
+      .slice(0, 5)
+      .map((image) => ({ src: image.src, pageUrl: image.pageUrl, bytes: image.fileBytes, format: image.format || null }))
+  };
+}
+
+function isMissingAlt(image) {
+  if (image.alt === null || image.alt === undefined) return true;
+  return String(image.alt).trim() === '' && !image.decorative;
+}
+
+function summarizeAudit({ siteUrl, normalizedDomain, pages, images, maxPages, maxImages, crawlError = null, imagesChecked = 0 }) {
   const totalImages = images.length;
   const pagesScanned = pages.length;
   const crawlStatus = pagesScanned === 0
@@ -414,7 +826,10 @@ function summarizeAudit({ siteUrl, normalizedDomain, pages, images, maxPages, ma
     : totalImages === 0
       ? 'no_images'
       : 'ok';
-  const missing = images.filter((image) => image.alt === null || String(image.alt || '').trim() === '').length;
+  const missing = images.filter(isMissingAlt).length;
+  const decorativeCount = images.filter((image) => image.decorative).length;
+  // Decorative images with no alt attribute at all: they need alt="", not a description.
+  const decorativeMissingCount = images.filter((image) => image.decorative && isMissingAlt(image)).length;
   const weak = images.filter((image) => image.score < 70).length;
   const strong = images.filter((image) => image.score >= 85).length;
   const averageQuality = totalImages
@@ -422,15 +837,17 @@ function summarizeAudit({ siteUrl, normalizedDomain, pages, images, maxPages, ma
     : 0;
   const coverageScore = totalImages ? Math.round(((totalImages - missing) / totalImages) * 100) : 0;
   const seoReadinessScore = totalImages ? Math.round(((totalImages - weak) / totalImages) * 100) : 0;
+  const imageChecks = summarizeImageChecks(images, imagesChecked);
+  const altScore = (coverageScore * 0.4) + (averageQuality * 0.4) + (seoReadinessScore * 0.2);
   // Do not invent a quality score when the crawl found nothing to score.
   const score = crawlStatus === 'ok'
-    ? Math.round((coverageScore * 0.4) + (averageQuality * 0.4) + (seoReadinessScore * 0.2))
+    ? Math.round(imageChecks ? (altScore * 0.8) + (imageChecks.score * 0.2) : altScore)
     : 0;
   const missingAltPercent = totalImages ? Math.round((missing / totalImages) * 100) : 0;
 
   const issueCounts = new Map();
   for (const image of images) {
-    for (const issue of image.issues || []) {
+    for (const issue of [...(image.issues || []), ...(image.checkIssues || [])]) {
       issueCounts.set(issue, (issueCounts.get(issue) || 0) + 1);
     }
   }
@@ -447,7 +864,7 @@ function summarizeAudit({ siteUrl, normalizedDomain, pages, images, maxPages, ma
     };
     current.imageCount += 1;
     current.averageQualityTotal += image.score;
-    if (image.alt === null || String(image.alt || '').trim() === '') current.missingCount += 1;
+    if (isMissingAlt(image)) current.missingCount += 1;
     if (image.score < 70) current.weakCount += 1;
     pagePriorityMap.set(pageUrl, current);
   }
@@ -475,10 +892,12 @@ function summarizeAudit({ siteUrl, normalizedDomain, pages, images, maxPages, ma
     pagesScanned,
     totalImages,
     missing,
+    decorativeMissingCount,
     weak,
     averageQuality,
     crawlStatus,
     crawlError,
+    imageChecks,
     topIssues: [...issueCounts.entries()]
       .sort((a, b) => b[1] - a[1])
       .map(([issue, count]) => ({ issue, count }))
@@ -496,9 +915,12 @@ function summarizeAudit({ siteUrl, normalizedDomain, pages, images, maxPages, ma
     missingAltPercent,
     weakAltCount: weak,
     strongAltCount: strong,
+    decorativeCount,
+    decorativeMissingCount,
     averageQuality,
     coverageScore,
     seoReadinessScore,
+    imageChecks,
     capped: pages.length >= maxPages || images.length >= maxImages,
     crawlLimits: { maxPages, maxImages },
     topIssues: [...issueCounts.entries()]
@@ -543,11 +965,13 @@ function buildAuditRecommendations({
   pagesScanned = 0,
   totalImages,
   missing,
+  decorativeMissingCount = 0,
   weak,
   averageQuality,
   topIssues,
   crawlStatus = 'ok',
-  crawlError = null
+  crawlError = null,
+  imageChecks = null
 }) {
   const recommendations = [];
   if (crawlStatus === 'no_pages' || pagesScanned === 0) {
@@ -573,10 +997,18 @@ function buildAuditRecommendations({
     ];
   }
 
-  if (missing > 0) {
+  const meaningfulMissing = missing - decorativeMissingCount;
+  if (meaningfulMissing > 0) {
     recommendations.push({
       title: 'Fill missing alt text first',
-      detail: `${missing} image${missing === 1 ? '' : 's'} had empty or missing alt text. Start with images on commercial, article, and landing pages before decorative icons.`
+      detail: `${meaningfulMissing} image${meaningfulMissing === 1 ? '' : 's'} had empty or missing alt text. Start with images on commercial, article, and landing pages before decorative icons.`
+    });
+  }
+
+  if (decorativeMissingCount > 0) {
+    recommendations.push({
+      title: 'Mark decorative images with empty alt',
+      detail: `${decorativeMissingCount} image${decorativeMissingCount === 1 ? '' : 's'} look decorative (spacers, dividers, icons next to a text label) but have no alt attribute. Give them alt="" instead of a description so screen readers skip them.`
     });
   }
 
@@ -603,6 +1035,34 @@ function buildAuditRecommendations({
     });
   }
 
+  if (imageChecks) {
+    const plural = (count) => `${count} image${count === 1 ? '' : 's'}`;
+    if (imageChecks.brokenCount > 0) {
+      recommendations.push({
+        title: 'Fix broken image URLs',
+        detail: `${plural(imageChecks.brokenCount)} returned "not found". Broken images show as empty boxes to visitors and waste crawl budget.`
+      });
+    }
+    if (imageChecks.missingDimensionsCount > 0) {
+      recommendations.push({
+        title: 'Add width and height to images',
+        detail: `${plural(imageChecks.missingDimensionsCount)} had no width/height attributes, so the page jumps as they load (Cumulative Layout Shift).`
+      });
+    }
+    if (imageChecks.oversizedCount > 0 || imageChecks.legacyFormatCount > 0) {
+      recommendations.push({
+        title: 'Compress images and serve WebP or AVIF',
+        detail: `${plural(imageChecks.oversizedCount)} were over ${Math.round(OVERSIZED_IMAGE_BYTES / 1024)}KB and ${plural(imageChecks.legacyFormatCount)} used JPEG, PNG or GIF where WebP/AVIF would usually be much smaller.`
+      });
+    }
+    if (imageChecks.notLazyCount > 0 || imageChecks.missingSrcsetCount > 0) {
+      recommendations.push({
+        title: 'Lazy-load and size images responsively',
+        detail: `${plural(imageChecks.notLazyCount)} below the fold loaded eagerly and ${plural(imageChecks.missingSrcsetCount)} had no srcset, so phones download desktop-sized files.`
+      });
+    }
+  }
+
   recommendations.push({
     title: 'Use a repeatable WordPress workflow',
     detail: 'After the public-page cleanup, run a media-library scan so new uploads and older unused-but-indexable media do not keep creating the same issue.'
@@ -611,49 +1071,102 @@ function buildAuditRecommendations({
   return recommendations.slice(0, 5);
 }
 
-async function crawlPublicSite(siteUrl, { maxPages = DEFAULT_MAX_PAGES, maxImages = DEFAULT_MAX_IMAGES, allowPrivate = false } = {}) {
+/**
+ * Crawl a public site for pages, images and per-page signals.
+ *
+ * Resumable: `onCheckpoint(state)` is awaited after every wave of page
+ * fetches with a JSON-safe snapshot of the crawl, and passing that snapshot
+ * back as `checkpoint` continues from where it stopped (durable audit jobs,
+ * services/auditJobs.js). A checkpoint for a different start URL is ignored.
+ */
+async function crawlPublicSite(siteUrl, {
+  maxPages = DEFAULT_MAX_PAGES,
+  maxImages = DEFAULT_MAX_IMAGES,
+  allowPrivate = false,
+  checkpoint = null,
+  onCheckpoint = null
+} = {}) {
   const startUrl = normalizeAuditUrl(siteUrl);
   // allowPrivate is a local-development escape hatch (wp-env sites live on
   // localhost). Callers must gate it behind an explicit env flag — never
   // expose it to request input.
   if (!allowPrivate) await assertPublicUrl(startUrl);
 
+  const resumed = checkpoint && checkpoint.requestedSiteUrl === startUrl.toString() ? checkpoint : null;
   const normalizedDomain = hostKey(startUrl.hostname);
-  const queue = [startUrl];
-  const seen = new Set();
-  const pages = [];
-  const images = [];
-  let crawlError = null;
-  let fetchAttempts = 0;
-  let fetchFailures = 0;
+  const queue = resumed ? resumed.queue.map((url) => new URL(url)) : [startUrl];
+  const seen = new Set(resumed ? resumed.seen : []);
+  const pages = resumed ? resumed.pages : [];
+  const images = resumed ? resumed.images : [];
+  const pageAttempts = new Map(resumed ? Object.entries(resumed.pageAttempts || {}) : []);
+  let crawlError = resumed ? resumed.crawlError : null;
+  let fetchAttempts = resumed ? resumed.fetchAttempts : 0;
+  let fetchFailures = resumed ? resumed.fetchFailures : 0;
   // Follow apex <-> www redirects and keep crawling that canonical host.
-  let siteRoot = startUrl;
-
-  let sitemapFound = false;
-  const sitemapUrl = new URL('/sitemap.xml', startUrl.origin);
-  try {
-    const sitemap = await fetchText(sitemapUrl);
-    sitemapFound = true;
-    if (isSameSite(sitemap.url, startUrl)) {
-      siteRoot = new URL('/', sitemap.url.origin);
+  let siteRoot = resumed ? new URL(resumed.siteRoot) : startUrl;
+
+  // robots.txt rules for our user agent gate every page fetch; its Sitemap:
+  // lines seed sitemap discovery. Re-read on resume: it is one small fetch.
+  const robots = await loadRobotsPolicy(startUrl.origin);
+  const blockedByRobots = new Set(resumed ? resumed.blockedByRobots : []);
+  function enqueue(url) {
+    if (!robots.policy.isAllowed(url)) {
+      blockedByRobots.add(url.toString());
+      return;
     }
-    for (const url of extractSitemapUrls(siteRoot, sitemap.text, maxPages)) {
-      uniquePush(queue, seen, url, maxPages);
+    uniquePush(queue, seen, url, maxPages);
+  }
+
+  let sitemapUrls;
+  if (resumed) {
+    sitemapUrls = resumed.sitemapUrls;
+  } else {
+    if (!robots.policy.isAllowed(startUrl)) {
+      queue.length = 0;
+      blockedByRobots.add(startUrl.toString());
     }
-  } catch (error) {
-    logger.info('[image-seo-audit] sitemap skipped', {
-      site_url: startUrl.toString(),
-      error: error.code || error.message
+
+    const sitemaps = await discoverSitemapPages(startUrl, {
+      sitemapHints: robots.policy.sitemaps,
+      maxPages,
+      allowPrivate
     });
+    sitemapUrls = sitemaps.sitemapUrls;
+    if (sitemaps.siteRoot) siteRoot = sitemaps.siteRoot;
+    for (const url of sitemaps.pageUrls) {
+      enqueue(url);
+    }
+  }
+  const sitemapFound = sitemapUrls.length > 0;
+
+  function checkpointState() {
+    return {
+      requestedSiteUrl: startUrl.toString(),
+      siteRoot: siteRoot.toString(),
+      queue: queue.map((url) => url.toString()),
+      seen: [...seen],
+      pages,
+      images,
+      pageAttempts: Object.fromEntries(pageAttempts),
+      crawlError,
+      fetchAttempts,
+      fetchFailures,
+      blockedByRobots: [...blockedByRobots],
+      sitemapUrls
+    };
   }
 
+  // Crawl-delay means one request at a time with the delay between them.
+  const crawlConcurrency = robots.policy.crawlDelayMs > 0 ? 1 : CRAWL_CONCURRENCY;
+  let lastFetchAt = 0;
+
   // Crawl in parallel waves — pages are fetched concurrently (bounded) rather
   // than one at a time, which dominates total audit time on slow origins.
   while (queue.length > 0 && pages.length < maxPages && images.length < maxImages) {
     // Fill a batch of unseen URLs up to the concurrency limit and remaining cap.
     const batch = [];
     while (
-      batch.length < CRAWL_CONCURRENCY
+      batch.length < crawlConcurrency
       && queue.length > 0
       && (pages.length + batch.length) < maxPages
     ) {
@@ -665,6 +1178,12 @@ async function crawlPublicSite(siteUrl, { maxPages = DEFAULT_MAX_PAGES, maxImage
     }
     if (batch.length === 0) break;
 
+    if (robots.policy.crawlDelayMs > 0 && lastFetchAt > 0) {
+      const waitMs = lastFetchAt + robots.policy.crawlDelayMs - Date.now();
+      if (waitMs > 0) await new Promise((resolve) => setTimeout(resolve, waitMs));
+    }
+    lastFetchAt = Date.now();
+
     const fetched = await Promise.all(batch.map(async (url) => {
       if (!allowPrivate) {
         try { await assertPublicUrl(url); } catch (error) { return { url, error }; }
@@ -678,6 +1197,16 @@ async function crawlPublicSite(siteUrl, { maxPages = DEFAULT_MAX_PAGES, maxImage
     }));
 
     for (const item of fetched) {
+      if (!item?.result) {
+        const key = item.url.toString();
+        const attempts = (pageAttempts.get(key) || 0) + 1;
+        pageAttempts.set(key, attempts);
+        if (attempts < MAX_PAGE_FETCH_ATTEMPTS && isRetryableFetchError(item.error)) {
+          seen.delete(key);
+          queue.push(item.url);
+          continue;
+        }
+      }
       fetchAttempts += 1;
       if (!item?.result) {
         fetchFailures += 1;
@@ -719,19 +1248,27 @@ async function crawlPublicSite(siteUrl, { maxPages = DEFAULT_MAX_PAGES, maxImage
         images.push(image);
       }
       for (const link of page.links) {
-        uniquePush(queue, seen, link, maxPages);
+        enqueue(link);
       }
     }
+
+    if (onCheckpoint) await onCheckpoint(checkpointState());
   }
 
   if (pages.length === 0 && !crawlError) {
     crawlError = fetchAttempts === 0
-      ? 'NO_URLS_TO_CRAWL'
+      ? (blockedByRobots.size > 0 ? 'BLOCKED_BY_ROBOTS_TXT' : 'NO_URLS_TO_CRAWL')
       : fetchFailures >= fetchAttempts
         ? 'ALL_PAGE_FETCHES_FAILED'
         : 'NO_SAME_SITE_HTML_PAGES';
   }
 
+  const { imagesChecked } = await checkImages(images, {
+    allowPrivate,
+    robotsPolicy: robots.policy,
+    siteOrigin: siteRoot.origin
+  });
+
   const finalSiteUrl = pages[0]?.url || siteRoot.toString();
 
   return {
@@ -739,6 +1276,14 @@ async function crawlPublicSite(siteUrl, { maxPages = DEFAULT_MAX_PAGES, maxImage
     requestedSiteUrl: startUrl.toString(),
     normalizedDomain,
     sitemapFound,
+    sitemapUrls,
+    robots: {
+      found: robots.found,
+      unreachable: robots.unreachable,
+      crawlDelayMs: robots.policy.crawlDelayMs,
+      sitemaps: robots.policy.sitemaps,
+      blockedUrlCount: blockedByRobots.size
+    },
     pages,
     images,
     summary: summarizeAudit({
@@ -748,7 +1293,8 @@ async function crawlPublicSite(siteUrl, { maxPages = DEFAULT_MAX_PAGES, maxImage
       images,
       maxPages,
       maxImages,
-      crawlError
+      crawlError,
+      imagesChecked
     })
   };
 }
@@ -827,6 +1373,13 @@ function generateAuditPdfBuffer(summary) {
         { width: pageWidth, lineGap: 3 }
       );
     }
+    if (summary.imageChecks && summary.crawlStatus === 'ok') {
+      doc.moveDown(0.5);
+      doc.text(
+        `The score also checks image files (${summary.imageChecks.score}/100 across ${summary.imageChecks.imagesChecked} checked files): broken URLs, missing width/height, oversized or legacy-format files, missing lazy-loading below the fold, and missing srcset.`,
+        { width: pageWidth, lineGap: 3 }
+      );
+    }
     if (summary.capped) {
       doc.moveDown(0.5);
       doc.text(`The crawl reached the configured cap of ${summary.crawlLimits.maxPages} pages or ${summary.crawlLimits.maxImages} images, so treat this as a prioritized sample rather than a full-site inventory.`, { width: pageWidth, lineGap: 3 });
@@ -933,12 +1486,20 @@ async function recordAuditStatus(supabase, row) {
   }
 }
 
+/**
+ * Crawl, email the PDF report and record the outcome. When run as a durable
+ * job (services/auditJobs.js) a retried attempt passes the last `checkpoint`:
+ * `{ crawl }` resumes the crawl where it stopped, `{ report }` means the email
+ * already went out, so only the completion is recorded — never a second email.
+ */
 async function runImageSeoAudit({
   supabase,
   auditId = crypto.randomUUID(),
   email,
   siteUrl,
-  source = 'image_seo_audit'
+  source = 'image_seo_audit',
+  checkpoint = null,
+  onCheckpoint = null
 }) {
   const normalizedEmail = normalizeEmail(email);
   if (!isValidEmail(normalizedEmail)) {
@@ -948,41 +1509,57 @@ async function runImageSeoAudit({
   const url = normalizeAuditUrl(siteUrl);
   const normalizedDomain = url.hostname.replace(/^www\./, '').toLowerCase();
 
-  await recordAuditStatus(supabase, {
-    id: auditId,
-    email: normalizedEmail,
-    siteUrl: url.toString(),
-    normalizedDomain,
-    status: 'queued'
-  });
-
-  try {
-    await trackImageSeoAuditRequested({
+  if (!checkpoint) {
+    await recordAuditStatus(supabase, {
+      id: auditId,
       email: normalizedEmail,
-      websiteUrl: url.toString(),
+      siteUrl: url.toString(),
       normalizedDomain,
-      auditId,
-      source
+      status: 'queued'
     });
-  } catch (error) {
-    logger.warn('[image-seo-audit] requested Loops event failed', { audit_id: auditId, error: error.message });
+
+    try {
+      await trackImageSeoAuditRequested({
+        email: normalizedEmail,
+        websiteUrl: url.toString(),
+        normalizedDomain,
+        auditId,
+        source
+      });
+    } catch (error) {
+      logger.warn('[image-seo-audit] requested Loops event failed', { audit_id: auditId, error: error.message });
+    }
   }
 
   try {
-    const audit = await crawlPublicSite(url.toString());
-    const pdfBuffer = await generateAuditPdfBuffer(audit.summary);
-    const emailResult = await sendImageSeoAuditEmail({
-      to: normalizedEmail,
-      siteUrl: audit.siteUrl,
-      normalizedDomain: audit.normalizedDomain,
-      summary: audit.summary,
-      pdfBuffer
-    });
+    let audit = checkpoint && checkpoint.report;
+    if (!audit) {
+      const crawl = await crawlPublicSite(url.toString(), {
+        checkpoint: checkpoint ? checkpoint.crawl : null,
+        onCheckpoint: onCheckpoint ? (crawlState) => onCheckpoint({ crawl: crawlState }) : null
+      });
+      const pdfBuffer = await generateAuditPdfBuffer(crawl.summary);
+      const emailResult = await sendImageSeoAuditEmail({
+        to: normalizedEmail,
+        siteUrl: crawl.siteUrl,
+        normalizedDomain: crawl.normalizedDomain,
+        summary: crawl.summary,
+        pdfBuffer
+      });
 
-    if (!emailResult.success) {
-      const error = new Error(emailResult.error || 'Failed to send audit report email');
-      error.code = 'EMAIL_SEND_FAILED';
-      throw error;
+      if (!emailResult.success) {
+        const error = new Error(emailResult.error || 'Failed to send audit report email');
+        error.code = 'EMAIL_SEND_FAILED';
+        throw error;
+      }
+
+      audit = {
+        siteUrl: crawl.siteUrl,
+        normalizedDomain: crawl.normalizedDomain,
+        summary: crawl.summary,
+        emailMessageId: emailResult.messageId || null
+      };
+      if (onCheckpoint) await onCheckpoint({ report: audit });
     }
 
     await recordAuditStatus(supabase, {
@@ -1019,7 +1596,7 @@ async function runImageSeoAudit({
       auditId,
       status: 'completed',
       summary: audit.summary,
-      emailMessageId: emailResult.messageId || null
+      emailMessageId: audit.emailMessageId
     };
   } catch (error) {
     const errorCode = error.code || 'AUDIT_FAILED';
@@ -1050,6 +1627,22 @@ async function runImageSeoAudit({
   }
 }
 
+/**
+ * Fail a report request whose job was dead-lettered (it kept crashing or
+ * losing its worker), so it does not sit 'queued' forever.
+ */
+async function markImageSeoAuditInterrupted(auditId, { supabase = null } = {}) {
+  if (!supabase) return;
+  const { error } = await supabase
+    .from('image_seo_audit_requests')
+    .update({ status: 'failed', error_code: 'AUDIT_INTERRUPTED', completed_at: new Date().toISOString() })
+    .eq('id', auditId)
+    .eq('status', 'queued');
+  if (error) {
+    logger.warn('[image-seo-audit] interrupted write failed', { audit_id: auditId, error: error.message });
+  }
+}
+
 const DEFAULT_PUBLISH_THRESHOLD = Number(process.env.IMAGE_SEO_STATS_PUBLISH_THRESHOLD || 25);
 
 /**
@@ -1183,17 +1776,27 @@ module.exports = {
   DEFAULT_MAX_IMAGES,
   DEFAULT_MAX_PAGES,
   DEFAULT_PUBLISH_THRESHOLD,
+  MAX_SITEMAP_BYTES,
   normalizeAuditUrl,
   normalizeEmail,
   isValidEmail,
   assertPublicUrl,
   fetchText,
+  fetchSitemap,
+  parseSitemap,
+  discoverSitemapPages,
   hostKey,
   isSameSite,
   sameOriginUrl,
   scoreAltText,
+  looksLikeFilenameAlt,
+  altTextWords,
+  classifyDecorativeImage,
+  IMAGE_CHECK_ISSUES,
+  checkImages,
   crawlPublicSite,
   generateAuditPdfBuffer,
   runImageSeoAudit,
+  markImageSeoAuditInterrupted,
   getAnonymisedImageSeoSnapshot
 };
@@ -0,0 +1,449 @@
+const crypto = require('crypto');
+const logger = require('../lib/logger');
+const { isMissingSchemaError, serializeSupabaseError } = require('../lib/supabaseErrors');
+const { assertPublicUrl } = require('./imageSeoAudit');
+
+/**
+ * Webhook callbacks for bulk jobs.
+ *
+ * A job is delivered to its own `callback_url` when the submitter gave one,
+ * otherwise to the account default in `job_webhook_settings`. Every POST is
+ * signed with the account's secret, created when the account first opens its
+ * webhook settings; nothing is sent before that:
+ *
+ *   X-Oppti-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+ *
+ * Deliveries run in the background with exponential backoff; each attempt is
+ * written to `job_webhook_deliveries`. A failed delivery never affects the job.
+ */
+
+const JOB_WEBHOOK_EVENTS = Object.freeze({
+  COMPLETED: 'job.completed',
+  FAILED: 'job.failed',
+  CANCELLED: 'job.cancelled',
+  ITEM_FINISHED: 'job.item_finished'
+});
+
+const SIGNATURE_HEADER = 'X-Oppti-Signature';
+const USER_AGENT = 'OpptiAI-Webhooks/1.0';
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_BASE_DELAY_MS = 2000;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const LICENSE_ID_CACHE_TTL_MS = 60 * 1000;
+const SETTINGS_COLUMNS = 'license_id, callback_url, progress_events, signing_secret, created_at, updated_at';
+const DELIVERY_COLUMNS = 'id, delivery_id, job_id, event, callback_url, attempt, status, response_status, error, duration_ms, created_at';
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 200;
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function allowPrivateCallbacks() {
+  return process.env.JOB_WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+}
+
+function generateSigningSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function callbackUrlError(message) {
+  return { error: 'INVALID_CALLBACK_URL', status: 400, message };
+}
+
+/**
+ * Check a callback URL before it is stored or called. Only public https
+ * endpoints are accepted; `JOB_WEBHOOK_ALLOW_PRIVATE_URLS=true` (local
+ * development only) also allows http and private hosts.
+ *
+ * @returns {Promise<{ error: null, url: string } | { error: string, status: number, message: string }>}
+ */
+async function validateCallbackUrl(value, { allowPrivate = allowPrivateCallbacks() } = {}) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch (_error) {
+    return callbackUrlError('callback_url must be an absolute URL');
+  }
+  if (url.protocol !== 'https:' && !(allowPrivate && url.protocol === 'http:')) {
+    return callbackUrlError('callback_url must use https');
+  }
+  if (url.username || url.password) {
+    return callbackUrlError('callback_url must not contain credentials');
+  }
+  if (!allowPrivate) {
+    try {
+      await assertPublicUrl(url);
+    } catch (_error) {
+      return callbackUrlError('callback_url must resolve to a public host');
+    }
+  }
+  url.hash = '';
+  return { error: null, url: url.toString() };
+}
+
+function signJobWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Receiver-side check, exported for tests and integration examples.
+ */
+function verifyJobWebhookSignature(secret, body, header, {
+  toleranceSeconds = DEFAULT_SIGNATURE_TOLERANCE_SECONDS,
+  now = Date.now()
+} = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map((part) => part.trim().split('=')));
+  const timestamp = Number.parseInt(parts.t, 10);
+  if (!Number.isFinite(timestamp) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signJobWebhookPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function summarizeItem(type, row) {
+  const summary = {
+    index: row.index,
+    id: row.id,
+    attachment_id: row.attachment_id ?? null,
+    status: row.status,
+    success: row.success ?? null,
+    error_code: row.errorCode || null
+  };
+  if (type === 'bulk_titles') {
+    return { ...summary, title: row.title ?? null, meta: row.meta ?? null };
+  }
+  return {
+    ...summary,
+    alt_text: row.altText ?? null,
+    language: row.language || null,
+    ...(row.review_state ? { review_state: row.review_state } : {})
+  };
+}
+
+function buildJobWebhookPayload({ deliveryId, event, record, item = null }) {
+  const type = record.type || 'bulk_alt_text';
+  return {
+    id: deliveryId,
+    event,
+    created_at: nowIso(),
+    data: {
+      job_id: record.jobId,
+      type,
+      status: record.status,
+      site_key: record.siteKey || null,
+      total: record.total,
+      completed: record.completed || 0,
+      failed: record.failed || 0,
+      cancelled: record.cancelled || 0,
+      progress: record.progress || 0,
+      created_at: record.createdAt || null,
+      finished_at: record.batchCompletedAt || null,
+      ...(record.batchError ? { error: record.batchError } : {}),
+      ...(item
+        ? { item: summarizeItem(type, item) }
+        : { items: (record.items || []).map((row) => summarizeItem(type, row)) })
+    }
+  };
+}
+
+async function findLicenseId(supabase, licenseKey) {
+  const { data, error } = await supabase
+    .from('licenses')
+    .select('id')
+    .eq('license_key', licenseKey)
+    .maybeSingle();
+  if (error) return { data: null, error };
+  return { data: data?.id || null, error: null };
+}
+
+/**
+ * The account's stored webhook settings, or null when it never opened them.
+ */
+async function findJobWebhookSettings(supabase, { licenseId } = {}) {
+  const { data, error } = await supabase
+    .from('job_webhook_settings')
+    .select(SETTINGS_COLUMNS)
+    .eq('license_id', licenseId)
+    .maybeSingle();
+  return { data: data || null, error: error || null };
+}
+
+/**
+ * The account's webhook settings, created with a fresh signing secret the
+ * first time the account opens or changes them (the /me/job-webhook routes).
+ */
+async function ensureJobWebhookSettings(supabase, { licenseId } = {}) {
+  const existing = await findJobWebhookSettings(supabase, { licenseId });
+  if (existing.error) return existing;
+  if (existing.data) return existing;
+
+  const inserted = await supabase
+    .from('job_webhook_settings')
+    .insert({ license_id: licenseId, signing_secret: generateSigningSecret() })
+    .select(SETTINGS_COLUMNS)
+    .maybeSingle();
+  if (inserted.error?.code === '23505') {
+    // Created concurrently by another delivery or request.
+    return ensureJobWebhookSettings(supabase, { licenseId });
+  }
+  return { data: inserted.data || null, error: inserted.error || null };
+}
+
+async function updateJobWebhookSettings(supabase, { licenseId, callbackUrl, progressEvents } = {}) {
+  const ensured = await ensureJobWebhookSettings(supabase, { licenseId });
+  if (ensured.error) return ensured;
+
+  const patch = { updated_at: nowIso() };
+  if (callbackUrl !== undefined) patch.callback_url = callbackUrl;
+  if (progressEvents !== undefined) patch.progress_events = Boolean(progressEvents);
+
+  const { data, error } = await supabase
+    .from('job_webhook_settings')
+    .update(patch)
+    .eq('license_id', licenseId)
+    .select(SETTINGS_COLUMNS)
+    .maybeSingle();
+  return { data: data || null, error: error || null };
+}
+
+async function rotateJobWebhookSecret(supabase, { licenseId } = {}) {
+  const ensured = await ensureJobWebhookSettings(supabase, { licenseId });
+  if (ensured.error) return ensured;
+
+  const { data, error } = await supabase
+    .from('job_webhook_settings')
+    .update({ signing_secret: generateSigningSecret(), updated_at: nowIso() })
+    .eq('license_id', licenseId)
+    .select(SETTINGS_COLUMNS)
+    .maybeSingle();
+  return { data: data || null, error: error || null };
+}
+
+/**
+ * Delivery attempts for an account, newest first, optionally for one job.
+ */
+async function listJobWebhookDeliveries(supabase, { licenseId, jobId = null, limit = DEFAULT_DELIVERY_LIMIT } = {}) {
+  const boundedLimit = Math.min(Math.max(Number.parseInt(limit, 10) || DEFAULT_DELIVERY_LIMIT, 1), MAX_DELIVERY_LIMIT);
+  let query = supabase
+    .from('job_webhook_deliveries')
+    .select(DELIVERY_COLUMNS)
+    .eq('license_id', licenseId);
+  if (jobId) query = query.eq('job_id', jobId);
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(boundedLimit);
+  return { data: Array.isArray(data) ? data : [], error: error || null };
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Background sender used by the bulk processors and the job queue.
+ * `notify` never throws; it resolves once the delivery succeeded, gave up,
+ * or was skipped because nothing is configured for the job.
+ */
+function createJobWebhookNotifier({
+  supabase,
+  fetchImpl = (...args) => fetch(...args),
+  wait = sleep,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseDelayMs = DEFAULT_RETRY_BASE_DELAY_MS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  allowPrivate = allowPrivateCallbacks()
+} = {}) {
+  // Only the license key -> id lookup is cached. Settings (callback URL and
+  // signing secret) are read on every notification, so a rotated secret or
+  // a changed URL applies right away in every process.
+  const licenseIdCache = new Map();
+
+  async function loadLicenseId(licenseKey) {
+    const cached = licenseIdCache.get(licenseKey);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+    const license = await findLicenseId(supabase, licenseKey);
+    if (license.error || !license.data) return null;
+    licenseIdCache.set(licenseKey, { value: license.data, expiresAt: Date.now() + LICENSE_ID_CACHE_TTL_MS });
+    return license.data;
+  }
+
+  async function loadAccount(licenseKey) {
+    const licenseId = await loadLicenseId(licenseKey);
+    if (!licenseId) return null;
+    const settings = await findJobWebhookSettings(supabase, { licenseId });
+    if (settings.error) {
+      if (!isMissingSchemaError(settings.error)) {
+        logger.warn('[job-webhooks] settings_lookup_failed', {
+          license_id: licenseId,
+          error: serializeSupabaseError(settings.error)
+        });
+      }
+      return null;
+    }
+    return { licenseId, settings: settings.data };
+  }
+
+  async function recordAttempt(row) {
+    try {
+      const { error } = await supabase.from('job_webhook_deliveries').insert(row);
+      if (error && !isMissingSchemaError(error)) {
+        logger.warn('[job-webhooks] delivery_log_failed', {
+          job_id: row.job_id,
+          delivery_id: row.delivery_id,
+          error: serializeSupabaseError(error)
+        });
+      }
+    } catch (error) {
+      logger.warn('[job-webhooks] delivery_log_threw', { job_id: row.job_id, error: error.message });
+    }
+  }
+
+  async function postOnce(url, body, secret, { event, deliveryId }) {
+    if (!allowPrivate) await assertPublicUrl(new URL(url));
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      return await fetchImpl(url, {
+        method: 'POST',
+        // A redirect could point the signed payload at an internal host.
+        redirect: 'manual',
+        signal: controller.signal,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': USER_AGENT,
+          'X-Oppti-Event': event,
+          'X-Oppti-Delivery': deliveryId,
+          [SIGNATURE_HEADER]: signJobWebhookPayload(secret, body)
+        },
+        body
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function deliver({ url, secret, licenseId, event, record, item }) {
+    const deliveryId = crypto.randomUUID();
+    const body = JSON.stringify(buildJobWebhookPayload({ deliveryId, event, record, item }));
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+      const startedAt = Date.now();
+      let responseStatus = null;
+      let errorMessage = null;
+      let retryable = true;
+      try {
+        const response = await postOnce(url, body, secret, { event, deliveryId });
+        responseStatus = response.status;
+        if (response.status >= 200 && response.status < 300) {
+          await recordAttempt({
+            delivery_id: deliveryId,
+            license_id: licenseId,
+            job_id: record.jobId,
+            event,
+            callback_url: url,
+            attempt,
+            status: 'delivered',
+            response_status: responseStatus,
+            duration_ms: Date.now() - startedAt
+          });
+          logger.info('[job-webhooks] delivered', { job_id: record.jobId, event, attempt, delivery_id: deliveryId });
+          return 'delivered';
+        }
+        retryable = isRetryableStatus(response.status);
+        errorMessage = `HTTP ${response.status}`;
+      } catch (error) {
+        errorMessage = error.name === 'AbortError' ? 'TIMEOUT' : error.message;
+        retryable = error.code !== 'SITE_URL_PRIVATE';
+      }
+
+      const willRetry = retryable && attempt < maxAttempts;
+      await recordAttempt({
+        delivery_id: deliveryId,
+        license_id: licenseId,
+        job_id: record.jobId,
+        event,
+        callback_url: url,
+        attempt,
+        status: willRetry ? 'retrying' : 'failed',
+        response_status: responseStatus,
+        error: errorMessage,
+        duration_ms: Date.now() - startedAt
+      });
+      if (!willRetry) {
+        logger.warn('[job-webhooks] delivery_failed', {
+          job_id: record.jobId,
+          event,
+          attempts: attempt,
+          delivery_id: deliveryId,
+          response_status: responseStatus,
+          error: errorMessage
+        });
+        return 'failed';
+      }
+      await wait(baseDelayMs * (2 ** (attempt - 1)));
+    }
+    return 'failed';
+  }
+
+  async function notify({ event, record: liveRecord, licenseKey, itemIndex = null } = {}) {
+    if (!supabase || !liveRecord || !licenseKey) return 'skipped';
+    // Processors keep mutating the record while this runs in the background.
+    const record = structuredClone(liveRecord);
+    const item = itemIndex === null ? null : (record.items || [])[itemIndex] || null;
+    if (event === JOB_WEBHOOK_EVENTS.ITEM_FINISHED && record.callback?.url && !record.callback.progress) return 'skipped';
+    try {
+      const account = await loadAccount(licenseKey);
+      if (!account) return 'skipped';
+
+      const settings = account.settings || {};
+      const url = record.callback?.url || settings.callback_url;
+      const progress = record.callback?.url ? Boolean(record.callback.progress) : settings.progress_events;
+      if (!url || (event === JOB_WEBHOOK_EVENTS.ITEM_FINISHED && !progress)) return 'skipped';
+      if (!settings.signing_secret) {
+        // The secret is created on the settings routes; nothing is sent
+        // unsigned.
+        logger.warn('[job-webhooks] signing_secret_missing', { license_id: account.licenseId, job_id: record.jobId, event });
+        return 'skipped';
+      }
+
+      return await deliver({
+        url,
+        secret: settings.signing_secret,
+        licenseId: account.licenseId,
+        event,
+        record,
+        item
+      });
+    } catch (error) {
+      logger.error('[job-webhooks] notify_failed', { job_id: record.jobId, event, error: error.message });
+      return 'failed';
+    }
+  }
+
+  return { notify };
+}
+
+module.exports = {
+  JOB_WEBHOOK_EVENTS,
+  SIGNATURE_HEADER,
+  buildJobWebhookPayload,
+  createJobWebhookNotifier,
+  ensureJobWebhookSettings,
+  findJobWebhookSettings,
+  listJobWebhookDeliveries,
+  rotateJobWebhookSecret,
+  signJobWebhookPayload,
+  updateJobWebhookSettings,
+  validateCallbackUrl,
+  verifyJobWebhookSignature
+};
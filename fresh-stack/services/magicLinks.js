@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const logger = require('../lib/logger');
+const { isMissingSchemaError, serializeSupabaseError } = require('../lib/supabaseErrors');
+const { sendMagicLinkEmail } = require('../lib/email');
+
+/**
+ * Passwordless login links.
+ *
+ * POST /auth/magic-link emails a single-use link (`oml_…` token) to an
+ * existing login; POST /auth/magic-link/verify exchanges the token for the
+ * same session /auth/login opens. Only the SHA-256 of the token is stored.
+ * A new link replaces the login's unused ones, and links are not re-sent
+ * within a minute of the last one. Nothing the requester sends is kept with
+ * the link: anyone can ask for a link to any email, so only the client that
+ * verifies it chooses which site gets linked.
+ */
+
+const TOKEN_PREFIX = 'oml_';
+const DEFAULT_TTL_MINUTES = 15;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const LINK_COLUMNS = 'id, user_id, expires_at, used_at, revoked_at, created_at';
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function ttlMinutes() {
+  const minutes = Number.parseInt(process.env.MAGIC_LINK_TTL_MINUTES || '', 10);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_TTL_MINUTES;
+}
+
+function hashMagicLinkToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function buildMagicLinkUrl(token) {
+  const base = process.env.FRONTEND_URL || 'https://example.com';
+  return `${base.replace(/\/+$/, '')}/login/magic?token=${encodeURIComponent(token)}`;
+}
+
+function storageError(message, error) {
+  logger.error('[magic-links] storage_failed', { message, error: serializeSupabaseError(error) });
+  return { error: 'SERVER_ERROR', status: 500, message };
+}
+
+function invalidLink() {
+  return { error: 'INVALID_MAGIC_LINK', status: 401, message: 'This login link is invalid or was already used' };
+}
+
+/**
+ * Email a login link to `email` when it belongs to an active login. The
+ * result does not say whether it did, so callers cannot probe for accounts.
+ *
+ * @returns {Promise<{ error: null, data: { sent: boolean } } | { error: string, status: number, message: string }>}
+ */
+async function requestMagicLink(supabase, { email } = {}) {
+  const { data: user, error: userError } = await supabase
+    .from('licenses')
+    .select('id, email, status')
+    .eq('email', email)
+    .maybeSingle();
+  if (userError) return storageError('Failed to load user', userError);
+  if (!user || user.status !== 'active') return { error: null, data: { sent: false } };
+
+  const { data: pending, error: pendingError } = await supabase
+    .from('auth_magic_links')
+    .select(LINK_COLUMNS)
+    .eq('user_id', user.id)
+    .is('used_at', null)
+    .is('revoked_at', null);
+  if (pendingError) {
+    if (isMissingSchemaError(pendingError)) {
+      logger.warn('[magic-links] table_missing', { error: serializeSupabaseError(pendingError) });
+      return { error: null, data: { sent: false } };
+    }
+    return storageError('Failed to load login links', pendingError);
+  }
+  const lastCreated = Math.max(0, ...(pending || []).map((row) => new Date(row.created_at).getTime()));
+  if (Date.now() - lastCreated < RESEND_COOLDOWN_MS) {
+    logger.info('[magic-links] throttled', { user_id: user.id });
+    return { error: null, data: { sent: false } };
+  }
+
+  const { error: revokeError } = await supabase
+    .from('auth_magic_links')
+    .update({ revoked_at: nowIso() })
+    .eq('user_id', user.id)
+    .is('used_at', null)
+    .is('revoked_at', null);
+  if (revokeError) return storageError('Failed to replace the pending login link', revokeError);
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  const expiresAt = new Date(Date.now() + ttlMinutes() * 60 * 1000).toISOString();
+  const { data: link, error } = await supabase
+    .from('auth_magic_links')
+    .insert({
+      user_id: user.id,
+      token_hash: hashMagicLinkToken(token),
+      expires_at: expiresAt
+    })
+    .select(LINK_COLUMNS)
+    .maybeSingle();
+  if (error || !link) return storageError('Failed to create login link', error);
+
+  const sent = await sendMagicLinkEmail({ to: user.email, loginUrl: buildMagicLinkUrl(token), expiresAt });
+  logger.info('[magic-links] link_created', {
+    user_id: user.id,
+    link_id: link.id,
+    email_sent: Boolean(sent?.success)
+  });
+  return { error: null, data: { sent: Boolean(sent?.success) } };
+}
+
+/**
+ * Use a login link. Marking it used is conditional on it being unused, so
+ * two requests racing with the same token cannot both log in.
+ *
+ * @returns {Promise<{ error: null, data: { user: object } } | { error: string, status: number, message: string }>}
+ */
+async function consumeMagicLink(supabase, { token } = {}) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return invalidLink();
+
+  const tokenHash = hashMagicLinkToken(token);
+  const { data: link, error } = await supabase
+    .from('auth_magic_links')
+    .select(LINK_COLUMNS)
+    .eq('token_hash', tokenHash)
+    .maybeSingle();
+  if (error) {
+    if (isMissingSchemaError(error)) return invalidLink();
+    return storageError('Failed to load login link', error);
+  }
+  if (!link || link.used_at || link.revoked_at) return invalidLink();
+  if (new Date(link.expires_at).getTime() <= Date.now()) {
+    return { error: 'MAGIC_LINK_EXPIRED', status: 401, message: 'This login link has expired; request a new one' };
+  }
+
+  const { data: used, error: useError } = await supabase
+    .from('auth_magic_links')
+    .update({ used_at: nowIso() })
+    .eq('id', link.id)
+    .is('used_at', null)
+    .is('revoked_at', null)
+    .select('id')
+    .maybeSingle();
+  if (useError) return storageError('Failed to use login link', useError);
+  if (!used) return invalidLink();
+
+  const { data: user, error: userError } = await supabase
+    .from('licenses')
+    .select('*')
+    .eq('id', link.user_id)
+    .maybeSingle();
+  if (userError) return storageError('Failed to load user', userError);
+  if (!user) return invalidLink();
+
+  logger.info('[magic-links] link_used', { user_id: user.id, link_id: link.id });
+  return { error: null, data: { user } };
+}
+
+module.exports = {
+  consumeMagicLink,
+  hashMagicLinkToken,
+  requestMagicLink
+};
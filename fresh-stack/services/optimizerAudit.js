@@ -57,7 +57,8 @@ function pct(part, whole) {
 
 /* ---------------- category analyzers ---------------- */
 
-function summarizeInternalLinking(pages) {
+// Links from other crawled pages, keyed by normalizePageKey.
+function countInboundLinks(pages) {
   const pageKeys = new Set(pages.map((page) => normalizePageKey(page.url)));
   const inboundCounts = new Map([...pageKeys].map((key) => [key, 0]));
 
@@ -70,6 +71,17 @@ function summarizeInternalLinking(pages) {
       inboundCounts.set(toKey, inboundCounts.get(toKey) + 1);
     }
   }
+  return inboundCounts;
+}
+
+// The first crawled page is the entry point and never counts as orphaned.
+function isOrphanPage(pages, inboundCounts, key) {
+  const isEntry = pages.length > 0 && normalizePageKey(pages[0].url) === key;
+  return (inboundCounts.get(key) || 0) === 0 && !isEntry;
+}
+
+function summarizeInternalLinking(pages) {
+  const inboundCounts = countInboundLinks(pages);
 
   const pagesScanned = pages.length;
   const orphaned = [];
@@ -77,8 +89,7 @@ function summarizeInternalLinking(pages) {
   for (const page of pages) {
     const key = normalizePageKey(page.url);
     const inbound = inboundCounts.get(key) || 0;
-    const isEntry = pages.length > 0 && normalizePageKey(pages[0].url) === key;
-    if (inbound === 0 && !isEntry) orphaned.push({ url: page.url, title: page.title, inbound });
+    if (isOrphanPage(pages, inboundCounts, key)) orphaned.push({ url: page.url, title: page.title, inbound });
     else if (inbound > 0 && inbound < 3) thin.push({ url: page.url, title: page.title, inbound });
   }
 
@@ -208,7 +219,7 @@ function summarizeSchema(pages) {
   };
 }
 
-async function summarizeTechnical({ startUrl, sitemapFound, allowPrivate }) {
+async function summarizeTechnical({ startUrl, sitemapFound, robotsFound = null, allowPrivate }) {
   const https = startUrl.protocol === 'https:';
   const probe = async (path) => {
     try {
@@ -218,20 +229,21 @@ async function summarizeTechnical({ startUrl, sitemapFound, allowPrivate }) {
       return false;
     }
   };
-  // Probe the three well-known files in parallel — they're independent fetches.
-  const [robotsFound, llmsFound, wpSitemap] = await Promise.all([
-    probe('/robots.txt'),
+  // Probe the well-known files in parallel — they're independent fetches.
+  // robots.txt is only probed when the crawl did not already read it.
+  const [robots, llmsFound, wpSitemap] = await Promise.all([
+    robotsFound === null ? probe('/robots.txt') : Promise.resolve(robotsFound),
     probe('/llms.txt'),
     sitemapFound ? Promise.resolve(true) : probe('/wp-sitemap.xml')
   ]);
   // WordPress serves /wp-sitemap.xml when /sitemap.xml is absent.
   const sitemap = sitemapFound || wpSitemap;
 
-  const score = clampScore((https ? 40 : 0) + (robotsFound ? 20 : 0) + (sitemap ? 25 : 0) + (llmsFound ? 15 : 0));
+  const score = clampScore((https ? 40 : 0) + (robots ? 20 : 0) + (sitemap ? 25 : 0) + (llmsFound ? 15 : 0));
 
   const findings = [];
   if (!https) findings.push('Site is not served over HTTPS');
-  if (!robotsFound) findings.push('No robots.txt file, so crawlers get no guidance');
+  if (!robots) findings.push('No robots.txt file, so crawlers get no guidance');
   if (!sitemap) findings.push('No XML sitemap found, so search engines may miss pages');
   if (!llmsFound) findings.push('No llms.txt file, so AI crawlers get no guidance');
   if (!findings.length) findings.push('HTTPS, robots.txt, sitemap and llms.txt are all in place');
@@ -241,12 +253,12 @@ async function summarizeTechnical({ startUrl, sitemapFound, allowPrivate }) {
     score,
     summary: findings.length === 1 && llmsFound
       ? 'Foundations are solid: HTTPS, robots, sitemap and llms.txt all present.'
-      : !llmsFound && https && robotsFound && sitemap
+      : !llmsFound && https && robots && sitemap
         ? 'Foundations are healthy. One file for AI crawlers (llms.txt) is missing.'
         : 'Some technical foundations need attention.',
     findings,
     https,
-    robotsFound,
+    robotsFound: robots,
     sitemapFound: sitemap,
     llmsFound,
     checkedPrivately: Boolean(allowPrivate)
@@ -329,7 +341,20 @@ async function fetchPageSpeed(siteUrl) {
   }
 }
 
-function summarizePerformanceFromPsi(psi) {
+// Image-file findings from the crawl's image checks (imageSeoAudit.checkImages).
+function imagePerformanceFindings(imageChecks) {
+  if (!imageChecks) return [];
+  const findings = [];
+  if (imageChecks.oversizedCount > 0) findings.push(`${imageChecks.oversizedCount} images are oversized files`);
+  if (imageChecks.legacyFormatCount > 0) findings.push(`${imageChecks.legacyFormatCount} images could be served as WebP/AVIF`);
+  if (imageChecks.notLazyCount > 0) findings.push(`${imageChecks.notLazyCount} below-the-fold images are not lazy-loaded`);
+  if (imageChecks.missingDimensionsCount > 0) findings.push(`${imageChecks.missingDimensionsCount} images have no width/height (layout shift)`);
+  if (imageChecks.missingSrcsetCount > 0) findings.push(`${imageChecks.missingSrcsetCount} images have no srcset for smaller screens`);
+  if (imageChecks.brokenCount > 0) findings.push(`${imageChecks.brokenCount} image URLs are broken`);
+  return findings;
+}
+
+function summarizePerformanceFromPsi(psi, imageSummary = {}) {
   const lh = psi && psi.lighthouseResult;
   const perfCategory = lh && lh.categories && lh.categories.performance;
   if (!lh || !perfCategory || perfCategory.score == null) return null;
@@ -349,6 +374,8 @@ function summarizePerformanceFromPsi(psi) {
   flag('total-blocking-time', 'Total blocking time');
   flag('first-contentful-paint', 'First Contentful Paint');
   if (!findings.length) findings.push('Core Web Vitals look healthy on mobile');
+  // Lighthouse already scores image weight; these only say which images to fix.
+  findings.push(...imagePerformanceFindings(imageSummary.imageChecks));
   findings.push('Measured with Google Lighthouse (mobile)');
 
   return {
@@ -370,7 +397,7 @@ function summarizePerformanceFromPsi(psi) {
   };
 }
 
-function summarizePerformance(pages) {
+function summarizePerformance(pages, imageSummary = {}) {
   const total = pages.length;
   if (total === 0) {
     return { available: true, method: 'heuristic', score: 0, summary: 'No pages crawled.', findings: [], pagesScanned: 0 };
@@ -386,12 +413,23 @@ function summarizePerformance(pages) {
   const heavyScripts = Math.max(0, (avgScripts - 15) / 15);
   const heavyImages = Math.max(0, (avgImages - 25) / 25);
 
-  const score = clampScore(100 - (heavyHtml * 25) - (heavyScripts * 20) - (heavyImages * 15) - Math.max(0, avgStylesheets - 10));
+  const imageChecks = imageSummary.imageChecks || null;
+  const imagesScanned = imageSummary.imagesScanned || 0;
+  const imageShare = (count) => (imagesScanned ? (count || 0) / imagesScanned : 0);
+  const heavyImageFiles = imageChecks
+    ? (imageShare(imageChecks.oversizedCount) * 20)
+      + (imageShare(imageChecks.notLazyCount) * 10)
+      + (imageShare(imageChecks.missingDimensionsCount) * 10)
+      + (imageShare(imageChecks.legacyFormatCount) * 5)
+    : 0;
+
+  const score = clampScore(100 - (heavyHtml * 25) - (heavyScripts * 20) - (heavyImages * 15) - Math.max(0, avgStylesheets - 10) - heavyImageFiles);
 
   const findings = [];
   if (avgBytes > 120000) findings.push(`Average page HTML is ${Math.round(avgBytes / 1024)}KB — heavy documents slow first paint`);
   if (avgScripts > 15) findings.push(`Pages load ${Math.round(avgScripts)} scripts on average`);
   if (avgImages > 25) findings.push(`Pages contain ${Math.round(avgImages)} images on average`);
+  findings.push(...imagePerformanceFindings(imageChecks));
   if (!findings.length) findings.push(`Page weight looks reasonable (avg ${Math.round(avgBytes / 1024)}KB HTML, ${Math.round(avgScripts)} scripts)`);
   findings.push('Estimated from page structure — full Core Web Vitals measurement coming soon');
 
@@ -520,6 +558,54 @@ function buildOpportunities({ images, linking, seo, schema, technical, accessibi
   return ops.sort((a, b) => b.points - a.points);
 }
 
+function imageAltStatus(image) {
+  if (image.alt === null || image.alt === undefined) return 'missing';
+  if (String(image.alt).trim() === '') return image.decorative ? 'ok' : 'missing';
+  return image.score < 70 ? 'weak' : 'ok';
+}
+
+/**
+ * Compact per-page / per-image state stored with the result so two audits can
+ * be diffed later (services/optimizerCompare.js). Category summaries only
+ * keep samples, so they are not enough on their own.
+ */
+function buildAuditSnapshot(pages, images) {
+  const inboundCounts = countInboundLinks(pages);
+  const pageKeys = new Set();
+  const snapshotPages = [];
+  for (const page of pages) {
+    const key = normalizePageKey(page.url);
+    if (pageKeys.has(key)) continue;
+    pageKeys.add(key);
+    const s = page.signals || {};
+    snapshotPages.push({
+      url: key,
+      title: page.title || null,
+      hasMetaDescription: Boolean(s.metaDescription),
+      hasCanonical: Boolean(s.canonical),
+      schemaTypes: s.schemaTypes || s.jsonLdTypes || [],
+      orphaned: isOrphanPage(pages, inboundCounts, key)
+    });
+  }
+
+  // One entry per image per page; a repeated image keeps its worst status.
+  const rank = { missing: 0, weak: 1, ok: 2 };
+  const imageMap = new Map();
+  for (const image of images || []) {
+    if (!image.src) continue;
+    const pageUrl = normalizePageKey(image.pageUrl);
+    if (!pageKeys.has(pageUrl)) continue;
+    const key = `${pageUrl} ${image.src}`;
+    const status = imageAltStatus(image);
+    const existing = imageMap.get(key);
+    if (!existing || rank[status] < rank[existing.status]) {
+      imageMap.set(key, { src: image.src, pageUrl, status, alt: image.alt, ...(image.decorative ? { decorative: true } : {}) });
+    }
+  }
+
+  return { version: 1, pages: snapshotPages, images: [...imageMap.values()] };
+}
+
 const CATEGORY_WEIGHTS = {
   images: 0.20,
   internalLinking: 0.15,
@@ -538,9 +624,14 @@ async function buildOptimizerResult({ startUrl, crawl, allowPrivate, psi = null
   const linking = summarizeInternalLinking(contentPages);
   const seo = summarizeSeo(contentPages);
   const schema = summarizeSchema(contentPages);
-  const technical = await summarizeTechnical({ startUrl, sitemapFound: crawl.sitemapFound, allowPrivate });
+  const technical = await summarizeTechnical({
+    startUrl,
+    sitemapFound: crawl.sitemapFound,
+    robotsFound: crawl.robots ? crawl.robots.found : null,
+    allowPrivate
+  });
   const accessibility = summarizeAccessibility(contentPages, imageSummary);
-  const performance = summarizePerformanceFromPsi(psi) || summarizePerformance(contentPages);
+  const performance = summarizePerformanceFromPsi(psi, imageSummary) || summarizePerformance(contentPages, imageSummary);
   const aiReadiness = summarizeAiReadiness({ schema, linking, pages: contentPages, imageSummary, technical });
 
   const images = {
@@ -563,6 +654,7 @@ async function buildOptimizerResult({ startUrl, crawl, allowPrivate, psi = null
     averageQuality: imageSummary.averageQuality,
     coverageScore: imageSummary.coverageScore,
     seoReadinessScore: imageSummary.seoReadinessScore,
+    imageChecks: imageSummary.imageChecks || null,
     topIssues: imageSummary.topIssues,
     recommendations: imageSummary.recommendations,
     pagePriorities: imageSummary.pagePriorities,
@@ -591,7 +683,8 @@ async function buildOptimizerResult({ startUrl, crawl, allowPrivate, psi = null
     capped: imageSummary.capped,
     issuesFound,
     categories,
-    opportunities
+    opportunities,
+    snapshot: buildAuditSnapshot(contentPages, crawl.images)
   };
 }
 
@@ -623,6 +716,8 @@ async function persistAudit(supabase, record) {
     images_scanned: record.result ? record.result.imagesScanned : null,
     result_json: record.result || null,
     error_code: record.errorCode,
+    source: record.source,
+    updated_at: new Date().toISOString(),
     completed_at: record.status === 'running' ? null : new Date().toISOString()
   };
   const { error } = await supabase.from('optimizer_audits').upsert(payload, { onConflict: 'id' });
@@ -635,78 +730,198 @@ async function persistAudit(supabase, record) {
   }
 }
 
-function startOptimizerAudit({ siteUrl, siteHash = null, supabase = null }) {
-  const url = normalizeAuditUrl(siteUrl);
-  const auditId = crypto.randomUUID();
-  const record = {
-    auditId,
-    siteHash,
+/**
+ * Sliding-window per-site throttle for audit starts — crawling is the
+ * expensive bit. Shared by the plugin route and the scheduler so scheduled
+ * runs count against the same budget.
+ */
+function createAuditRateLimiter({
+  windowMs = 60 * 60 * 1000,
+  max = Number(process.env.OPTIMIZER_AUDIT_RATE_LIMIT_MAX || 10)
+} = {}) {
+  const timestamps = new Map();
+  return function checkRateLimit(key) {
+    const now = Date.now();
+    const recent = (timestamps.get(key) || []).filter((ts) => ts >= now - windowMs);
+    if (recent.length >= max) return false;
+    recent.push(now);
+    timestamps.set(key, recent);
+    return true;
+  };
+}
+
+function restoreRecord(audit) {
+  const url = normalizeAuditUrl(audit.siteUrl);
+  return {
+    auditId: audit.auditId,
+    siteHash: audit.siteHash || null,
     siteUrl: url.toString(),
     normalizedDomain: url.hostname.replace(/^www\./, '').toLowerCase(),
     status: 'running',
-    startedAt: new Date().toISOString(),
+    startedAt: audit.startedAt || new Date().toISOString(),
+    source: audit.source || 'manual',
+    progress: null,
     result: null,
     errorCode: null
   };
-  auditStore.set(auditId, record);
-  pruneStore();
+}
+
+// Crawl progress on the stored row, so a poll on another instance sees it.
+async function persistAuditProgress(supabase, record) {
+  if (!supabase) return;
+  const { error } = await supabase
+    .from('optimizer_audits')
+    .update({
+      pages_scanned: record.progress.pagesScanned,
+      images_scanned: record.progress.imagesScanned,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', record.auditId)
+    .eq('status', 'running');
+  if (error) {
+    logger.warn('[optimizer-audit] progress persistence failed', { audit_id: record.auditId, error: error.message });
+  }
+}
+
+/**
+ * Run one audit to a terminal state. `audit` is the durable job payload
+ * ({ auditId, siteUrl, siteHash, source, startedAt }); on a retried job the
+ * in-memory record may be gone (another instance started it), so it is
+ * rebuilt from the payload. `checkpoint` / `onCheckpoint` carry crawl state
+ * (see crawlPublicSite) so a resumed audit skips pages it already fetched.
+ */
+async function runOptimizerAudit(audit, { supabase = null, checkpoint = null, onCheckpoint = null } = {}) {
+  let record = auditStore.get(audit.auditId);
+  if (!record) {
+    record = restoreRecord(audit);
+    auditStore.set(record.auditId, record);
+    pruneStore();
+  }
+  const { auditId, siteHash } = record;
+  const url = new URL(record.siteUrl);
 
   // Local-development escape hatch: wp-env sites live on localhost, which the
   // SSRF guard rightly blocks in production. Opt in explicitly via env only.
   const allowPrivate = process.env.OPTIMIZER_ALLOW_PRIVATE_URLS === 'true';
 
-  (async () => {
-    await persistAudit(supabase, record);
+  await persistAudit(supabase, record);
+  try {
+    if (!allowPrivate) await assertPublicUrl(url);
+    // PSI runs in parallel with the crawl; failures degrade to the heuristic.
+    const psiPromise = fetchPageSpeed(url.toString()).catch((error) => {
+      logger.info('[optimizer-audit] PageSpeed unavailable, using heuristic', {
+        audit_id: auditId,
+        error: error.message
+      });
+      return null;
+    });
+    const crawl = await crawlPublicSite(url.toString(), {
+      allowPrivate,
+      checkpoint: checkpoint ? checkpoint.crawl : null,
+      onCheckpoint: async (crawlState) => {
+        record.progress = { pagesScanned: crawlState.pages.length, imagesScanned: crawlState.images.length };
+        await persistAuditProgress(supabase, record);
+        if (onCheckpoint) await onCheckpoint({ crawl: crawlState });
+      }
+    });
+    record.result = await buildOptimizerResult({ startUrl: url, crawl, allowPrivate, psi: await psiPromise });
+    record.status = 'completed';
+  } catch (error) {
+    record.status = 'failed';
+    record.errorCode = error.code || 'AUDIT_FAILED';
+    logger.warn('[optimizer-audit] audit failed', {
+      audit_id: auditId,
+      site_url: record.siteUrl,
+      error: error.message,
+      code: record.errorCode
+    });
+  }
+  await persistAudit(supabase, record);
+
+  // Record milestones/wins vs the previous audit. Lazy require avoids a
+  // circular dependency (events → progress → audit). Non-fatal.
+  if (record.status === 'completed' && siteHash) {
     try {
-      if (!allowPrivate) await assertPublicUrl(url);
-      // PSI runs in parallel with the crawl; failures degrade to the heuristic.
-      const psiPromise = fetchPageSpeed(url.toString()).catch((error) => {
-        logger.info('[optimizer-audit] PageSpeed unavailable, using heuristic', {
-          audit_id: auditId,
-          error: error.message
-        });
-        return null;
+      const { detectEvents } = require('./optimizerEvents');
+      const recent = await getRecentFullAudits({ siteHash, supabase, limit: 3 });
+      const previous = recent.find((a) => a.auditId !== auditId) || null;
+      await detectEvents({
+        supabase,
+        siteHash,
+        current: { auditId, overallScore: record.result.overallScore, result: record.result, completedAt: record.result.completedAt },
+        previous
       });
-      const crawl = await crawlPublicSite(url.toString(), { allowPrivate });
-      record.result = await buildOptimizerResult({ startUrl: url, crawl, allowPrivate, psi: await psiPromise });
-      record.status = 'completed';
     } catch (error) {
-      record.status = 'failed';
-      record.errorCode = error.code || 'AUDIT_FAILED';
-      logger.warn('[optimizer-audit] audit failed', {
-        audit_id: auditId,
-        site_url: record.siteUrl,
-        error: error.message,
-        code: record.errorCode
-      });
+      logger.warn('[optimizer-audit] event detection failed', { audit_id: auditId, error: error.message });
     }
-    await persistAudit(supabase, record);
+  }
 
-    // Record milestones/wins vs the previous audit. Lazy require avoids a
-    // circular dependency (events → progress → audit). Non-fatal.
-    if (record.status === 'completed' && siteHash) {
-      try {
-        const { detectEvents } = require('./optimizerEvents');
-        const recent = await getRecentFullAudits({ siteHash, supabase, limit: 3 });
-        const previous = recent.find((a) => a.auditId !== auditId) || null;
-        await detectEvents({
-          supabase,
-          siteHash,
-          current: { auditId, overallScore: record.result.overallScore, result: record.result, completedAt: record.result.completedAt },
-          previous
-        });
-      } catch (error) {
-        logger.warn('[optimizer-audit] event detection failed', { audit_id: auditId, error: error.message });
-      }
-    }
-  })();
+  return record;
+}
+
+/**
+ * Accept an audit and hand it to `dispatchAudit` (the durable audit job
+ * queue, services/auditJobs.js) with the row already written, so every
+ * instance can poll it. Without a dispatcher (local dev, unit tests) the
+ * audit runs in-process.
+ */
+function startOptimizerAudit({ siteUrl, siteHash = null, supabase = null, source = 'manual', dispatchAudit = null }) {
+  const record = restoreRecord({ auditId: crypto.randomUUID(), siteUrl, siteHash, source });
+  auditStore.set(record.auditId, record);
+  pruneStore();
+
+  const audit = {
+    auditId: record.auditId,
+    siteUrl: record.siteUrl,
+    siteHash,
+    source,
+    startedAt: record.startedAt
+  };
+
+  if (!dispatchAudit) {
+    runOptimizerAudit(audit, { supabase });
+    return record;
+  }
+
+  (async () => {
+    await persistAudit(supabase, record);
+    await dispatchAudit(audit);
+  })().catch(async (error) => {
+    record.status = 'failed';
+    record.errorCode = 'AUDIT_DISPATCH_FAILED';
+    logger.error('[optimizer-audit] dispatch failed', { audit_id: record.auditId, error: error.message });
+    await persistAudit(supabase, record);
+  });
 
   return record;
 }
 
-// An audit stuck 'running' past this is treated as interrupted (its instance
-// died mid-crawl): crawl + PSI comfortably finish well inside this window.
-const AUDIT_STALE_MS = 5 * 60 * 1000;
+/**
+ * Mark an audit whose job gave up (dead-lettered after repeated crashes or
+ * lease expiries) as failed, so clients stop polling it.
+ */
+async function markOptimizerAuditInterrupted(auditId, { supabase = null } = {}) {
+  const record = auditStore.get(auditId);
+  if (record && record.status === 'running') {
+    record.status = 'failed';
+    record.errorCode = 'AUDIT_INTERRUPTED';
+  }
+  if (!supabase) return;
+  const { error } = await supabase
+    .from('optimizer_audits')
+    .update({ status: 'failed', error_code: 'AUDIT_INTERRUPTED', completed_at: new Date().toISOString() })
+    .eq('id', auditId)
+    .eq('status', 'running');
+  if (error) {
+    logger.warn('[optimizer-audit] interrupted write failed', { audit_id: auditId, error: error.message });
+  }
+}
+
+// An audit whose row has not moved for this long is treated as interrupted.
+// Running audits write progress after every crawl wave and the job queue
+// retries crashed workers well inside this window, so only an audit nobody
+// will ever finish goes quiet this long.
+const AUDIT_STALE_MS = 20 * 60 * 1000;
 
 async function getOptimizerAudit(auditId, { supabase = null } = {}) {
   const inMemory = auditStore.get(auditId);
@@ -716,7 +931,7 @@ async function getOptimizerAudit(auditId, { supabase = null } = {}) {
   // Fallback: another instance ran it, or this one restarted.
   const { data, error } = await supabase
     .from('optimizer_audits')
-    .select('id, site_hash, site_url, status, overall_score, result_json, error_code, created_at, completed_at')
+    .select('id, site_hash, site_url, status, overall_score, result_json, error_code, pages_scanned, images_scanned, created_at, updated_at, completed_at')
     .eq('id', auditId)
     .maybeSingle();
   if (error || !data) return null;
@@ -726,7 +941,8 @@ async function getOptimizerAudit(auditId, { supabase = null } = {}) {
   // Reconcile a stuck 'running' row: the worker instance died before it could
   // write a terminal status. Mark it interrupted (best-effort write-back) so
   // the client stops polling and history/progress don't count it.
-  if (status === 'running' && Date.now() - new Date(data.created_at).getTime() > AUDIT_STALE_MS) {
+  const lastActivity = data.updated_at || data.created_at;
+  if (status === 'running' && Date.now() - new Date(lastActivity).getTime() > AUDIT_STALE_MS) {
     status = 'failed';
     errorCode = 'AUDIT_INTERRUPTED';
     supabase.from('optimizer_audits')
@@ -741,6 +957,9 @@ async function getOptimizerAudit(auditId, { supabase = null } = {}) {
     siteUrl: data.site_url,
     status,
     startedAt: data.created_at,
+    progress: status === 'running' && data.pages_scanned !== null && data.pages_scanned !== undefined
+      ? { pagesScanned: data.pages_scanned, imagesScanned: data.images_scanned }
+      : null,
     result: data.result_json,
     errorCode
   };
@@ -755,7 +974,7 @@ async function getOptimizerHistory({ siteHash, supabase = null, limit = 12 }) {
   if (supabase) {
     const { data, error } = await supabase
       .from('optimizer_audits')
-      .select('id, site_url, status, overall_score, pages_scanned, images_scanned, created_at, completed_at')
+      .select('id, site_url, status, overall_score, pages_scanned, images_scanned, source, created_at, completed_at')
       .eq('site_hash', siteHash)
       .eq('status', 'completed')
       .order('created_at', { ascending: false })
@@ -767,6 +986,7 @@ async function getOptimizerHistory({ siteHash, supabase = null, limit = 12 }) {
         overallScore: row.overall_score,
         pagesScanned: row.pages_scanned,
         imagesScanned: row.images_scanned,
+        source: row.source || 'manual',
         completedAt: row.completed_at || row.created_at
       }));
     }
@@ -782,6 +1002,7 @@ async function getOptimizerHistory({ siteHash, supabase = null, limit = 12 }) {
       overallScore: r.result.overallScore,
       pagesScanned: r.result.pagesScanned,
       imagesScanned: r.result.imagesScanned,
+      source: r.source,
       completedAt: r.result.completedAt
     }));
 }
@@ -824,6 +1045,8 @@ async function getRecentFullAudits({ siteHash, supabase = null, limit = 12 }) {
 }
 
 module.exports = {
+  buildAuditSnapshot,
+  createAuditRateLimiter,
   normalizePageKey,
   isContentPage,
   summarizeInternalLinking,
@@ -836,6 +1059,8 @@ module.exports = {
   summarizeAiReadiness,
   buildOptimizerResult,
   startOptimizerAudit,
+  runOptimizerAudit,
+  markOptimizerAuditInterrupted,
   getOptimizerAudit,
   getOptimizerHistory,
   getRecentFullAudits
@@ -0,0 +1,146 @@
+const { getOptimizerAudit } = require('./optimizerAudit');
+
+/**
+ * Audit-to-audit diff — "what changed since last time" for the plugin.
+ *
+ * Category scores come from the stored results; page and image changes come
+ * from result.snapshot (buildAuditSnapshot). Audits stored before snapshots
+ * existed still compare on scores, with `details: null`.
+ *
+ * Only pages crawled by both audits are compared signal-by-signal, so a page
+ * that simply fell outside one crawl's page cap does not show up as a loss.
+ */
+
+// Keep responses bounded; counts are always exact.
+const MAX_LISTED_CHANGES = 50;
+
+function listed(items) {
+  return { count: items.length, items: items.slice(0, MAX_LISTED_CHANGES) };
+}
+
+function scoreDelta(from, to) {
+  return typeof from === 'number' && typeof to === 'number' ? to - from : null;
+}
+
+function compareCategories(fromResult, toResult) {
+  const fromCategories = fromResult.categories || {};
+  const toCategories = toResult.categories || {};
+  const categories = {};
+  for (const key of new Set([...Object.keys(fromCategories), ...Object.keys(toCategories)])) {
+    const from = fromCategories[key]?.score ?? null;
+    const to = toCategories[key]?.score ?? null;
+    categories[key] = { from, to, delta: scoreDelta(from, to) };
+  }
+  return categories;
+}
+
+function siteSchemaTypes(snapshot) {
+  return new Set(snapshot.pages.flatMap((page) => page.schemaTypes || []));
+}
+
+function compareSnapshots(from, to) {
+  const fromPages = new Map(from.pages.map((page) => [page.url, page]));
+  const toPages = new Map(to.pages.map((page) => [page.url, page]));
+  const bothCrawled = to.pages.filter((page) => fromPages.has(page.url));
+  const pageRef = (page) => ({ url: page.url, title: page.title });
+
+  const gained = (field) => bothCrawled.filter((page) => page[field] && !fromPages.get(page.url)[field]).map(pageRef);
+  const lost = (field) => bothCrawled.filter((page) => !page[field] && fromPages.get(page.url)[field]).map(pageRef);
+
+  const fromImages = new Map(from.images.map((image) => [`${image.pageUrl} ${image.src}`, image]));
+  const newlyMissingAlt = [];
+  const fixedImages = [];
+  for (const image of to.images) {
+    const previous = fromImages.get(`${image.pageUrl} ${image.src}`);
+    if (image.status === 'missing' && (!previous || previous.status !== 'missing')) {
+      newlyMissingAlt.push({ src: image.src, pageUrl: image.pageUrl, isNew: !previous });
+    } else if (image.status === 'ok' && previous && previous.status !== 'ok') {
+      fixedImages.push({ src: image.src, pageUrl: image.pageUrl, previousStatus: previous.status, alt: image.alt });
+    }
+  }
+
+  const fromTypes = siteSchemaTypes(from);
+  const toTypes = siteSchemaTypes(to);
+
+  return {
+    pages: {
+      added: listed(to.pages.filter((page) => !fromPages.has(page.url)).map(pageRef)),
+      removed: listed(from.pages.filter((page) => !toPages.has(page.url)).map(pageRef)),
+      gainedMetaDescription: listed(gained('hasMetaDescription')),
+      lostMetaDescription: listed(lost('hasMetaDescription')),
+      gainedCanonical: listed(gained('hasCanonical')),
+      lostCanonical: listed(lost('hasCanonical')),
+      // Orphaned now but not before, including newly crawled orphans.
+      newOrphans: listed(to.pages
+        .filter((page) => page.orphaned && !fromPages.get(page.url)?.orphaned)
+        .map(pageRef)),
+      noLongerOrphaned: listed(lost('orphaned'))
+    },
+    images: {
+      newlyMissingAlt: listed(newlyMissingAlt),
+      fixed: listed(fixedImages)
+    },
+    schema: {
+      typesAdded: [...toTypes].filter((type) => !fromTypes.has(type)).sort(),
+      typesRemoved: [...fromTypes].filter((type) => !toTypes.has(type)).sort()
+    }
+  };
+}
+
+function auditSummary(audit) {
+  return {
+    auditId: audit.auditId,
+    startedAt: audit.startedAt,
+    completedAt: audit.result.completedAt || null,
+    overallScore: audit.result.overallScore ?? null,
+    pagesScanned: audit.result.pagesScanned ?? null,
+    imagesScanned: audit.result.imagesScanned ?? null
+  };
+}
+
+function sameSite(a, b) {
+  if (a.siteHash && b.siteHash) return a.siteHash === b.siteHash;
+  const domain = (audit) => audit.result.normalizedDomain || null;
+  return Boolean(domain(a)) && domain(a) === domain(b);
+}
+
+/**
+ * Changes from audit `otherAuditId` (the baseline) to audit `auditId`.
+ * Returns { data } or { error, status, message } like the other services.
+ */
+async function compareOptimizerAudits(auditId, otherAuditId, { supabase = null } = {}) {
+  if (auditId === otherAuditId) {
+    return { error: 'SAME_AUDIT', status: 400, message: 'Pick two different audits to compare' };
+  }
+
+  const [current, baseline] = await Promise.all([
+    getOptimizerAudit(auditId, { supabase }),
+    getOptimizerAudit(otherAuditId, { supabase })
+  ]);
+  if (!current || !baseline) {
+    return { error: 'AUDIT_NOT_FOUND', status: 404, message: 'Unknown or expired audit id' };
+  }
+  if (current.status !== 'completed' || baseline.status !== 'completed' || !current.result || !baseline.result) {
+    return { error: 'AUDIT_NOT_COMPLETED', status: 409, message: 'Both audits must be completed to compare them' };
+  }
+  if (!sameSite(current, baseline)) {
+    return { error: 'AUDIT_SITE_MISMATCH', status: 409, message: 'Audits belong to different sites' };
+  }
+
+  const fromSnapshot = baseline.result.snapshot;
+  const toSnapshot = current.result.snapshot;
+
+  return {
+    data: {
+      from: auditSummary(baseline),
+      to: auditSummary(current),
+      overallScoreDelta: scoreDelta(baseline.result.overallScore, current.result.overallScore),
+      categories: compareCategories(baseline.result, current.result),
+      details: fromSnapshot && toSnapshot ? compareSnapshots(fromSnapshot, toSnapshot) : null
+    }
+  };
+}
+
+module.exports = {
+  compareOptimizerAudits
+};
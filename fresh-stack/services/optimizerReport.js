@@ -0,0 +1,413 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { scoreAltText } = require('./imageSeoAudit');
+const { getOptimizerAudit } = require('./optimizerAudit');
+
+/**
+ * Client-facing Optimizer reports: JSON / CSV / PDF exports of a completed
+ * audit and signed, expiring share links that render it as an HTML page.
+ *
+ * Per-page and per-image rows come from result.snapshot (buildAuditSnapshot);
+ * each image is re-scored with scoreAltText so the export carries the same
+ * verdict and issues the crawl saw. Audits stored before snapshots existed
+ * export their scores and findings only (`detailsAvailable: false`).
+ *
+ * Share tokens are `<auditId>.<expiresAtSeconds>.<hmac>`: stateless, so a
+ * link cannot be revoked early — keep lifetimes short.
+ */
+
+const REPORT_FORMATS = ['json', 'csv', 'pdf'];
+const DEFAULT_SHARE_DAYS = 7;
+const MAX_SHARE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CATEGORY_LABELS = {
+  images: 'Images',
+  internalLinking: 'Internal linking',
+  seo: 'SEO',
+  schema: 'Structured data',
+  aiReadiness: 'AI readiness',
+  technical: 'Technical',
+  performance: 'Performance',
+  accessibility: 'Accessibility'
+};
+
+function imageFilename(src) {
+  return String(src || '').split('/').pop()?.split('?')[0] || '';
+}
+
+function reportImages(snapshot) {
+  return snapshot.images.map((image) => {
+    const verdict = scoreAltText(image.alt, { filename: imageFilename(image.src), decorative: Boolean(image.decorative) });
+    return {
+      pageUrl: image.pageUrl,
+      src: image.src,
+      alt: image.alt ?? null,
+      score: verdict.score,
+      verdict: verdict.label,
+      issues: verdict.issues
+    };
+  });
+}
+
+function reportPages(snapshot, images) {
+  return snapshot.pages.map((page) => {
+    const pageImages = images.filter((image) => image.pageUrl === page.url);
+    const missing = pageImages.filter((image) => image.score === 0).length;
+    const weak = pageImages.filter((image) => image.score > 0 && image.score < 70).length;
+    const findings = [];
+    if (!page.hasMetaDescription) findings.push('Missing meta description');
+    if (!page.hasCanonical) findings.push('Missing canonical URL');
+    if (!(page.schemaTypes || []).length) findings.push('No structured data');
+    if (page.orphaned) findings.push('No internal links point to this page');
+    if (missing) findings.push(`${missing} image${missing === 1 ? '' : 's'} missing alt text`);
+    if (weak) findings.push(`${weak} image${weak === 1 ? '' : 's'} with weak alt text`);
+    return {
+      url: page.url,
+      title: page.title,
+      schemaTypes: page.schemaTypes || [],
+      findings
+    };
+  });
+}
+
+/**
+ * Flatten a completed audit record into the export shape shared by every
+ * format and the HTML share page.
+ */
+function buildOptimizerReport(audit) {
+  const result = audit.result;
+  const snapshot = result.snapshot || null;
+  const images = snapshot ? reportImages(snapshot) : [];
+  return {
+    auditId: audit.auditId,
+    siteUrl: result.siteUrl || audit.siteUrl,
+    normalizedDomain: result.normalizedDomain || null,
+    completedAt: result.completedAt || null,
+    overallScore: result.overallScore ?? null,
+    pagesScanned: result.pagesScanned ?? null,
+    imagesScanned: result.imagesScanned ?? null,
+    categories: Object.entries(result.categories || {}).map(([key, category]) => ({
+      key,
+      label: CATEGORY_LABELS[key] || key,
+      score: category.score ?? null,
+      summary: category.summary || null,
+      findings: category.findings || []
+    })),
+    opportunities: (result.opportunities || []).map((item) => ({
+      category: item.cat,
+      level: item.level,
+      issue: item.issue,
+      detail: item.detail
+    })),
+    detailsAvailable: Boolean(snapshot),
+    pages: snapshot ? reportPages(snapshot, images) : [],
+    images
+  };
+}
+
+// Quote every cell; prefix formula-looking values so spreadsheets show them as text.
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function reportToCsv(report) {
+  const rows = [['type', 'category', 'page_url', 'image_src', 'alt_text', 'score', 'verdict', 'finding']];
+  for (const category of report.categories) {
+    for (const finding of category.findings) {
+      rows.push(['site', category.label, '', '', '', category.score, '', finding]);
+    }
+  }
+  for (const page of report.pages) {
+    for (const finding of page.findings) {
+      rows.push(['page', '', page.url, '', '', '', '', finding]);
+    }
+  }
+  for (const image of report.images) {
+    rows.push(['image', 'Images', image.pageUrl, image.src, image.alt, image.score, image.verdict, image.issues.join('; ')]);
+  }
+  return `${rows.map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+function reportToPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 48, info: { Title: 'Site Audit Report' } });
+    const chunks = [];
+    const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const marginLeft = doc.page.margins.left;
+    const brand = '#7B5CFF';
+    const ink = '#111827';
+    const muted = '#4b5563';
+    const border = '#e5e7eb';
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('error', reject);
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+
+    function ensureSpace(height) {
+      if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        doc.x = marginLeft;
+      }
+    }
+
+    function section(title) {
+      ensureSpace(90);
+      doc.x = marginLeft;
+      doc.moveDown(0.8);
+      doc.fillColor(ink).fontSize(15).text(title);
+      doc.moveTo(marginLeft, doc.y + 4).lineTo(marginLeft + pageWidth, doc.y + 4).strokeColor(border).stroke();
+      doc.moveDown(0.8);
+      doc.x = marginLeft;
+    }
+
+    doc.rect(0, 0, doc.page.width, 116).fill('#f4f1ff');
+    doc.fillColor(brand).fontSize(10).text('SITE AUDIT REPORT', marginLeft, 34, { characterSpacing: 1.2 });
+    doc.fillColor(ink).fontSize(28).text(report.normalizedDomain || report.siteUrl, marginLeft, 52, { width: pageWidth });
+    doc.fillColor(muted).fontSize(11).text(
+      `Overall score ${report.overallScore ?? '-'}/100 - ${report.pagesScanned ?? 0} pages, ${report.imagesScanned ?? 0} images`,
+      marginLeft,
+      88
+    );
+    if (report.completedAt) {
+      doc.text(`Audited ${new Date(report.completedAt).toLocaleDateString('en-GB')}`, marginLeft, 102);
+    }
+    doc.x = marginLeft;
+    doc.y = 140;
+
+    section('Scores by category');
+    for (const category of report.categories) {
+      ensureSpace(40);
+      doc.fillColor(ink).fontSize(11).text(`${category.label}: ${category.score ?? '-'}/100`, { width: pageWidth });
+      for (const finding of category.findings) {
+        doc.fillColor(muted).fontSize(10).text(`- ${finding}`, { width: pageWidth, lineGap: 2 });
+      }
+      doc.moveDown(0.4);
+    }
+
+    if (report.opportunities.length) {
+      section('What to fix first');
+      for (const item of report.opportunities) {
+        ensureSpace(40);
+        doc.fillColor(ink).fontSize(11).text(item.issue, { width: pageWidth });
+        doc.fillColor(muted).fontSize(10).text(item.detail, { width: pageWidth, lineGap: 2 });
+        doc.moveDown(0.4);
+      }
+    }
+
+    const pagesWithFindings = report.pages.filter((page) => page.findings.length);
+    if (pagesWithFindings.length) {
+      section('Page findings');
+      for (const page of pagesWithFindings) {
+        ensureSpace(48);
+        doc.fillColor(ink).fontSize(10).text(page.url, { width: pageWidth });
+        doc.fillColor(muted).fontSize(9).text(page.findings.join(' - '), { width: pageWidth, lineGap: 2 });
+        doc.moveDown(0.4);
+      }
+    }
+
+    if (report.images.length) {
+      section('Images');
+      for (const image of report.images) {
+        ensureSpace(48);
+        doc.fillColor(ink).fontSize(10).text(`${image.verdict} (${image.score}/100)`, { width: pageWidth });
+        doc.fillColor(muted).fontSize(9).text(`Image: ${image.src}`, { width: pageWidth });
+        doc.text(`Alt: ${image.alt === null ? '[missing]' : image.alt || '[empty]'}`, { width: pageWidth });
+        if (image.issues.length) doc.text(`Issues: ${image.issues.join(', ')}`, { width: pageWidth });
+        doc.moveDown(0.4);
+      }
+    }
+
+    if (!report.detailsAvailable) {
+      section('Notes');
+      doc.fillColor(muted).fontSize(10).text(
+        'This audit predates per-page and per-image reporting. Run a new audit for the full page and image breakdown.',
+        { width: pageWidth, lineGap: 3 }
+      );
+    }
+    doc.end();
+  });
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+/**
+ * Standalone HTML page for a share link. Download links are relative
+ * (`?format=pdf`), so they reuse the same token.
+ */
+function renderOptimizerReportHtml(report, { expiresAt = null } = {}) {
+  const domain = escapeHtml(report.normalizedDomain || report.siteUrl);
+  const list = (items) => (items.length ? `<ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : '');
+
+  const categories = report.categories.map((category) => `
+        <div class="card">
+          <h3>${escapeHtml(category.label)} <span class="score">${escapeHtml(category.score ?? '-')}/100</span></h3>
+          ${category.summary ? `<p class="muted">${escapeHtml(category.summary)}</p>` : ''}
+          ${list(category.findings)}
+        </div>`).join('');
+
+  const opportunities = report.opportunities.length
+    ? `<h2>What to fix first</h2><ul>${report.opportunities.map((item) => `<li><strong>${escapeHtml(item.issue)}</strong> - ${escapeHtml(item.detail)}</li>`).join('')}</ul>`
+    : '';
+
+  const pageRows = report.pages.filter((page) => page.findings.length).map((page) => `
+          <tr><td><a href="${escapeHtml(page.url)}" rel="noopener noreferrer nofollow">${escapeHtml(page.title || page.url)}</a></td><td>${list(page.findings)}</td></tr>`).join('');
+  const pages = pageRows
+    ? `<h2>Page findings</h2><table><thead><tr><th>Page</th><th>Findings</th></tr></thead><tbody>${pageRows}</tbody></table>`
+    : '';
+
+  const imageRows = report.images.map((image) => `
+          <tr><td class="url">${escapeHtml(image.src)}</td><td>${image.alt === null ? '<em>missing</em>' : escapeHtml(image.alt)}</td><td>${escapeHtml(image.verdict)} (${image.score})</td><td>${escapeHtml(image.issues.join(', '))}</td></tr>`).join('');
+  const images = imageRows
+    ? `<h2>Images</h2><table><thead><tr><th>Image</th><th>Alt text</th><th>Verdict</th><th>Issues</th></tr></thead><tbody>${imageRows}</tbody></table>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex, nofollow">
+    <title>Site audit for ${domain}</title>
+    <style>
+      body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111827; margin: 0; background: #f9fafb; }
+      header { background: #f4f1ff; padding: 32px 24px; }
+      main { max-width: 960px; margin: 0 auto; padding: 24px; }
+      .eyebrow { color: #7B5CFF; font-size: 12px; letter-spacing: 0.1em; text-transform: uppercase; }
+      .muted { color: #4b5563; }
+      .score { color: #7B5CFF; }
+      .cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(260px, 1fr)); gap: 16px; }
+      .card { background: #fff; border: 1px solid #e5e7eb; border-radius: 10px; padding: 16px; }
+      .card h3 { margin-top: 0; font-size: 16px; }
+      table { width: 100%; border-collapse: collapse; background: #fff; font-size: 14px; }
+      th, td { border: 1px solid #e5e7eb; padding: 8px; text-align: left; vertical-align: top; }
+      td ul { margin: 0; padding-left: 18px; }
+      .url { word-break: break-all; }
+    </style>
+  </head>
+  <body>
+    <header>
+      <div class="eyebrow">Site audit report</div>
+      <h1>${domain}</h1>
+      <p class="muted">Overall score <strong>${escapeHtml(report.overallScore ?? '-')}/100</strong> - ${escapeHtml(report.pagesScanned ?? 0)} pages, ${escapeHtml(report.imagesScanned ?? 0)} images${report.completedAt ? ` - audited ${escapeHtml(new Date(report.completedAt).toLocaleDateString('en-GB'))}` : ''}</p>
+      <p><a href="?format=pdf">Download PDF</a> · <a href="?format=csv">Download CSV</a> · <a href="?format=json">Download JSON</a></p>
+    </header>
+    <main>
+      <h2>Scores by category</h2>
+      <div class="cards">${categories}
+      </div>
+      ${opportunities}
+      ${pages}
+      ${images}
+      ${report.detailsAvailable ? '' : '<p class="muted">This audit predates per-page and per-image reporting.</p>'}
+      ${expiresAt ? `<p class="muted">This link expires ${escapeHtml(new Date(expiresAt).toUTCString())}.</p>` : ''}
+    </main>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Serialize a report for download. Resolves { contentType, filename, body }.
+ */
+async function exportOptimizerReport(report, format) {
+  const date = (report.completedAt || new Date().toISOString()).slice(0, 10);
+  const base = `site-audit-${(report.normalizedDomain || 'report').replace(/[^a-z0-9.-]/gi, '-')}-${date}`;
+  if (format === 'csv') {
+    return { contentType: 'text/csv; charset=utf-8', filename: `${base}.csv`, body: reportToCsv(report) };
+  }
+  if (format === 'pdf') {
+    return { contentType: 'application/pdf', filename: `${base}.pdf`, body: await reportToPdf(report) };
+  }
+  return { contentType: 'application/json; charset=utf-8', filename: `${base}.json`, body: JSON.stringify(report, null, 2) };
+}
+
+/* ---------------- share links ---------------- */
+
+function getShareSecret() {
+  return process.env.REPORT_SHARE_SECRET || process.env.JWT_SECRET || null;
+}
+
+function signShare(auditId, expiresAtSeconds, secret) {
+  return crypto.createHmac('sha256', secret).update(`${auditId}.${expiresAtSeconds}`).digest('base64url');
+}
+
+function createShareToken(auditId, expiresAt, secret) {
+  const expiresAtSeconds = Math.floor(expiresAt.getTime() / 1000);
+  return `${auditId}.${expiresAtSeconds}.${signShare(auditId, expiresAtSeconds, secret)}`;
+}
+
+// Returns { auditId, expiresAt } for a well-formed, correctly signed token
+// (expired or not), else null.
+function parseShareToken(token, secret) {
+  const [auditId, expires, signature, extra] = String(token || '').split('.');
+  if (!auditId || !expires || !signature || extra !== undefined || !/^\d+$/.test(expires)) return null;
+  const expected = Buffer.from(signShare(auditId, expires, secret));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+  return { auditId, expiresAt: new Date(Number(expires) * 1000) };
+}
+
+/**
+ * Mint a share link token for a completed audit of the requesting site.
+ * Returns { data: { token, expiresAt } } or { error, status, message }.
+ */
+async function createOptimizerReportShare({ auditId, siteHash, supabase = null, expiresInDays = DEFAULT_SHARE_DAYS, now = new Date() }) {
+  const secret = getShareSecret();
+  if (!secret) {
+    return { error: 'SHARE_UNAVAILABLE', status: 503, message: 'Report sharing is not configured' };
+  }
+  const audit = await getOptimizerAudit(auditId, { supabase });
+  if (!audit) {
+    return { error: 'AUDIT_NOT_FOUND', status: 404, message: 'Unknown or expired audit id' };
+  }
+  if (audit.siteHash && audit.siteHash !== siteHash) {
+    return { error: 'AUDIT_SITE_MISMATCH', status: 403, message: 'This audit belongs to a different site' };
+  }
+  if (audit.status !== 'completed' || !audit.result) {
+    return { error: 'AUDIT_NOT_COMPLETED', status: 409, message: 'Only completed audits can be shared' };
+  }
+
+  const days = Math.min(MAX_SHARE_DAYS, Math.max(1, Number(expiresInDays) || DEFAULT_SHARE_DAYS));
+  const expiresAt = new Date(now.getTime() + days * DAY_MS);
+  return { data: { token: createShareToken(auditId, expiresAt, secret), expiresAt: expiresAt.toISOString() } };
+}
+
+/**
+ * Resolve a share token to its report.
+ * Returns { data: { report, expiresAt } } or { error, status, message }.
+ */
+async function resolveOptimizerReportShare(token, { supabase = null, now = new Date() } = {}) {
+  const secret = getShareSecret();
+  const share = secret ? parseShareToken(token, secret) : null;
+  if (!share) {
+    return { error: 'SHARE_LINK_INVALID', status: 404, message: 'This report link is not valid' };
+  }
+  if (share.expiresAt.getTime() <= now.getTime()) {
+    return { error: 'SHARE_LINK_EXPIRED', status: 410, message: 'This report link has expired' };
+  }
+  const audit = await getOptimizerAudit(share.auditId, { supabase });
+  if (!audit || audit.status !== 'completed' || !audit.result) {
+    return { error: 'AUDIT_NOT_FOUND', status: 404, message: 'This report is no longer available' };
+  }
+  return { data: { report: buildOptimizerReport(audit), expiresAt: share.expiresAt.toISOString() } };
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  MAX_SHARE_DAYS,
+  buildOptimizerReport,
+  exportOptimizerReport,
+  renderOptimizerReportHtml,
+  createOptimizerReportShare,
+  resolveOptimizerReportShare
+};
@@ -0,0 +1,351 @@
+const logger = require('../lib/logger');
+const { PLAN_LIMITS } = require('./planLimits');
+const { normalizeAuditUrl } = require('./imageSeoAudit');
+const {
+  startOptimizerAudit,
+  getOptimizerHistory,
+  createAuditRateLimiter
+} = require('./optimizerAudit');
+
+/**
+ * Recurring optimizer audits. One optimizer_audit_schedules row per site;
+ * the cron below picks up due rows, claims each with a compare-and-set on
+ * next_run_at (safe with several instances) and starts a normal audit with
+ * source 'scheduled', so history, Progress and milestone detection
+ * (optimizerEvents.detectEvents) see it like any other run.
+ *
+ * Frequency is gated by the site's plan: free sites audit monthly, paid plans
+ * may go weekly. A schedule saved on a paid plan keeps its stored frequency
+ * after a downgrade but runs at the plan's allowance until re-upgraded.
+ */
+
+const SCHEDULE_FREQUENCIES = {
+  OFF: 'off',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCHEDULE_INTERVAL_MS = {
+  weekly: 7 * DAY_MS,
+  monthly: 30 * DAY_MS
+};
+
+// Most frequent first; 'off' is always allowed.
+const PLAN_SCHEDULE_FREQUENCIES = {
+  free: ['monthly'],
+  starter: ['weekly', 'monthly'],
+  pro: ['weekly', 'monthly'],
+  agency: ['weekly', 'monthly']
+};
+
+// A rate-limited site is retried after this instead of waiting a full period.
+const RATE_LIMIT_RETRY_MS = 60 * 60 * 1000;
+// Running audits older than this belong to a dead instance (see AUDIT_STALE_MS
+// in optimizerAudit.js) and no longer count against the concurrency cap.
+const RUNNING_AUDIT_WINDOW_MS = 5 * 60 * 1000;
+
+const SCHEDULE_SELECT = 'site_hash, site_url, frequency, next_run_at, last_run_at, last_audit_id, last_error';
+
+function allowedFrequencies(plan) {
+  return PLAN_SCHEDULE_FREQUENCIES[plan] || PLAN_SCHEDULE_FREQUENCIES.free;
+}
+
+function effectiveFrequency(frequency, plan) {
+  if (!frequency || frequency === SCHEDULE_FREQUENCIES.OFF) return SCHEDULE_FREQUENCIES.OFF;
+  const allowed = allowedFrequencies(plan);
+  return allowed.includes(frequency) ? frequency : allowed[0];
+}
+
+function addInterval(from, frequency) {
+  return new Date(new Date(from).getTime() + SCHEDULE_INTERVAL_MS[frequency]).toISOString();
+}
+
+/**
+ * Plan of the license a site is activated under; anything without an active
+ * paid license (trial sites included) is 'free'.
+ */
+async function resolveSitePlan(supabase, siteHash) {
+  if (!supabase || !siteHash) return 'free';
+  const { data: site, error: siteError } = await supabase
+    .from('sites')
+    .select('license_key')
+    .eq('site_hash', siteHash)
+    .maybeSingle();
+  if (siteError || !site?.license_key) return 'free';
+
+  const { data: license, error: licenseError } = await supabase
+    .from('licenses')
+    .select('plan, status')
+    .eq('license_key', site.license_key)
+    .maybeSingle();
+  if (licenseError || !license || license.status !== 'active') return 'free';
+
+  const plan = String(license.plan || '').trim().toLowerCase();
+  return PLAN_LIMITS[plan] ? plan : 'free';
+}
+
+function mapSchedule(row, { siteHash, plan }) {
+  const frequency = row?.frequency || SCHEDULE_FREQUENCIES.OFF;
+  return {
+    siteHash,
+    siteUrl: row?.site_url || null,
+    plan,
+    frequency,
+    effectiveFrequency: effectiveFrequency(frequency, plan),
+    allowedFrequencies: [SCHEDULE_FREQUENCIES.OFF, ...allowedFrequencies(plan)],
+    nextRunAt: frequency === SCHEDULE_FREQUENCIES.OFF ? null : row?.next_run_at || null,
+    lastRunAt: row?.last_run_at || null,
+    lastAuditId: row?.last_audit_id || null,
+    lastError: row?.last_error || null
+  };
+}
+
+async function selectSchedule(supabase, siteHash) {
+  return supabase
+    .from('optimizer_audit_schedules')
+    .select(SCHEDULE_SELECT)
+    .eq('site_hash', siteHash)
+    .maybeSingle();
+}
+
+async function getOptimizerSchedule({ supabase, siteHash }) {
+  if (!supabase) {
+    return { error: 'SCHEDULES_UNAVAILABLE', status: 503, message: 'Audit schedules are not available' };
+  }
+  const [plan, { data, error }] = await Promise.all([
+    resolveSitePlan(supabase, siteHash),
+    selectSchedule(supabase, siteHash)
+  ]);
+  if (error) {
+    logger.warn('[optimizer-schedule] lookup failed', { site_hash: siteHash, error: error.message });
+    return { error: 'SCHEDULE_LOOKUP_FAILED', status: 500, message: 'Unable to load the audit schedule' };
+  }
+  return { data: mapSchedule(data, { siteHash, plan }) };
+}
+
+/**
+ * Turn the schedule on/off or change its frequency. Enabling picks up from
+ * the site's latest completed audit so a fresh manual run is not repeated
+ * right away; a site with no audits is due immediately.
+ */
+async function updateOptimizerSchedule({ supabase, siteHash, siteUrl = null, frequency, now = new Date() }) {
+  if (!supabase) {
+    return { error: 'SCHEDULES_UNAVAILABLE', status: 503, message: 'Audit schedules are not available' };
+  }
+
+  const [plan, { data: existing, error: lookupError }] = await Promise.all([
+    resolveSitePlan(supabase, siteHash),
+    selectSchedule(supabase, siteHash)
+  ]);
+  if (lookupError) {
+    logger.warn('[optimizer-schedule] lookup failed', { site_hash: siteHash, error: lookupError.message });
+    return { error: 'SCHEDULE_LOOKUP_FAILED', status: 500, message: 'Unable to load the audit schedule' };
+  }
+
+  if (frequency !== SCHEDULE_FREQUENCIES.OFF && !allowedFrequencies(plan).includes(frequency)) {
+    return {
+      error: 'PLAN_UPGRADE_REQUIRED',
+      status: 403,
+      message: `${frequency[0].toUpperCase()}${frequency.slice(1)} audits require a paid plan`
+    };
+  }
+
+  let normalizedUrl = existing?.site_url || null;
+  if (siteUrl) {
+    try {
+      normalizedUrl = normalizeAuditUrl(siteUrl).toString();
+    } catch (error) {
+      return { error: error.code || 'SITE_URL_INVALID', status: 400, message: error.message };
+    }
+  }
+  if (!normalizedUrl) {
+    return { error: 'SITE_URL_REQUIRED', status: 400, message: 'Provide siteUrl or the X-Site-URL header' };
+  }
+
+  let nextRunAt = null;
+  if (frequency !== SCHEDULE_FREQUENCIES.OFF) {
+    if (existing?.frequency === frequency && existing.next_run_at) {
+      nextRunAt = existing.next_run_at;
+    } else {
+      const [latest] = await getOptimizerHistory({ siteHash, supabase, limit: 1 });
+      const fromLatest = latest?.completedAt ? addInterval(latest.completedAt, frequency) : null;
+      nextRunAt = fromLatest && new Date(fromLatest) > now ? fromLatest : now.toISOString();
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('optimizer_audit_schedules')
+    .upsert({
+      site_hash: siteHash,
+      site_url: normalizedUrl,
+      frequency,
+      next_run_at: nextRunAt,
+      updated_at: now.toISOString()
+    }, { onConflict: 'site_hash' })
+    .select(SCHEDULE_SELECT)
+    .maybeSingle();
+  if (error) {
+    logger.warn('[optimizer-schedule] update failed', { site_hash: siteHash, error: error.message });
+    return { error: 'SCHEDULE_UPDATE_FAILED', status: 500, message: 'Unable to save the audit schedule' };
+  }
+
+  logger.info('[optimizer-schedule] schedule updated', {
+    site_hash: siteHash,
+    frequency,
+    plan,
+    next_run_at: nextRunAt
+  });
+  return { data: mapSchedule(data, { siteHash, plan }) };
+}
+
+async function countRunningScheduledAudits(supabase, now) {
+  const { count, error } = await supabase
+    .from('optimizer_audits')
+    .select('id', { count: 'exact', head: true })
+    .eq('source', 'scheduled')
+    .eq('status', 'running')
+    .gte('created_at', new Date(now.getTime() - RUNNING_AUDIT_WINDOW_MS).toISOString());
+  if (error) throw new Error(error.message);
+  return count || 0;
+}
+
+async function patchSchedule(supabase, siteHash, patch) {
+  const { error } = await supabase
+    .from('optimizer_audit_schedules')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('site_hash', siteHash);
+  if (error) {
+    logger.warn('[optimizer-schedule] schedule write failed', { site_hash: siteHash, error: error.message });
+  }
+}
+
+/**
+ * One scheduler tick: start due audits until the global cap of running
+ * scheduled audits (across instances) is reached. Sites over the per-site
+ * audit rate limit are pushed back an hour rather than skipped a period.
+ */
+async function runDueOptimizerAudits({
+  supabase,
+  checkRateLimit,
+  maxConcurrent = 2,
+  batchSize = 25,
+  startAudit = startOptimizerAudit,
+  now = new Date()
+}) {
+  const summary = { started: 0, rateLimited: 0, skipped: 0 };
+  let running = await countRunningScheduledAudits(supabase, now);
+  if (running >= maxConcurrent) return summary;
+
+  const { data: due, error } = await supabase
+    .from('optimizer_audit_schedules')
+    .select(SCHEDULE_SELECT)
+    .neq('frequency', SCHEDULE_FREQUENCIES.OFF)
+    .lte('next_run_at', now.toISOString())
+    .order('next_run_at', { ascending: true })
+    .limit(batchSize);
+  if (error) throw new Error(error.message);
+
+  for (const row of due || []) {
+    if (running >= maxConcurrent) break;
+
+    const plan = await resolveSitePlan(supabase, row.site_hash);
+    const frequency = effectiveFrequency(row.frequency, plan);
+
+    // Claim: only the instance whose update still sees the old next_run_at runs it.
+    const { data: claimed, error: claimError } = await supabase
+      .from('optimizer_audit_schedules')
+      .update({ next_run_at: addInterval(now, frequency), last_run_at: now.toISOString(), updated_at: now.toISOString() })
+      .eq('site_hash', row.site_hash)
+      .eq('next_run_at', row.next_run_at)
+      .select('site_hash');
+    if (claimError || !claimed || claimed.length === 0) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    if (!checkRateLimit(row.site_hash)) {
+      summary.rateLimited += 1;
+      await patchSchedule(supabase, row.site_hash, {
+        next_run_at: new Date(now.getTime() + RATE_LIMIT_RETRY_MS).toISOString(),
+        last_error: 'RATE_LIMIT_EXCEEDED'
+      });
+      logger.info('[optimizer-schedule] audit deferred by rate limit', { site_hash: row.site_hash });
+      continue;
+    }
+
+    try {
+      const record = startAudit({ siteUrl: row.site_url, siteHash: row.site_hash, supabase, source: 'scheduled' });
+      running += 1;
+      summary.started += 1;
+      await patchSchedule(supabase, row.site_hash, { last_audit_id: record.auditId, last_error: null });
+      logger.info('[optimizer-schedule] audit started', {
+        audit_id: record.auditId,
+        site_hash: row.site_hash,
+        frequency,
+        plan
+      });
+    } catch (startError) {
+      summary.skipped += 1;
+      await patchSchedule(supabase, row.site_hash, { last_error: startError.code || 'AUDIT_START_FAILED' });
+      logger.warn('[optimizer-schedule] audit start failed', {
+        site_hash: row.site_hash,
+        error: startError.message
+      });
+    }
+  }
+
+  return summary;
+}
+
+function scheduleOptimizerAuditCron(supabase, {
+  enabled = process.env.OPTIMIZER_SCHEDULE_ENABLED === '1',
+  intervalMs = Number(process.env.OPTIMIZER_SCHEDULE_INTERVAL_MS || 15 * 60 * 1000),
+  maxConcurrent = Number(process.env.OPTIMIZER_SCHEDULE_MAX_CONCURRENT || 2),
+  checkRateLimit = createAuditRateLimiter(),
+  dispatchAudit = null
+} = {}) {
+  if (!enabled) {
+    logger.info('[optimizer-schedule] cron disabled (set OPTIMIZER_SCHEDULE_ENABLED=1 to enable)');
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const summary = await runDueOptimizerAudits({
+        supabase,
+        checkRateLimit,
+        maxConcurrent,
+        startAudit: (options) => startOptimizerAudit({ ...options, dispatchAudit })
+      });
+      if (summary.started || summary.rateLimited) {
+        logger.info('[optimizer-schedule] cron run', {
+          started: summary.started,
+          rate_limited: summary.rateLimited,
+          skipped: summary.skipped
+        });
+      }
+    } catch (error) {
+      logger.warn('[optimizer-schedule] cron run failed', { error: error.message });
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  if (typeof timer.unref === 'function') {
+    timer.unref();
+  }
+
+  logger.info('[optimizer-schedule] cron scheduled', { intervalMs, maxConcurrent });
+  return timer;
+}
+
+module.exports = {
+  PLAN_SCHEDULE_FREQUENCIES,
+  SCHEDULE_FREQUENCIES,
+  SCHEDULE_INTERVAL_MS,
+  getOptimizerSchedule,
+  resolveSitePlan,
+  runDueOptimizerAudits,
+  scheduleOptimizerAuditCron,
+  updateOptimizerSchedule
+};
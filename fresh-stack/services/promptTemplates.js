@@ -0,0 +1,534 @@
+const crypto = require('crypto');
+const logger = require('../lib/logger');
+const { isMissingSchemaError, serializeSupabaseError } = require('../lib/supabaseErrors');
+const {
+  BUILTIN_VERSION,
+  PROMPT_TEMPLATE_KEYS,
+  getBuiltinPromptTemplate,
+  normalizePromptTemplate
+} = require('../lib/promptTemplates');
+const { REVISION_EVENTS } = require('./imageAltRevisions');
+
+/**
+ * Prompt template registry and A/B experiments.
+ *
+ * Every generation resolves its template version here, most specific first:
+ *   1. a running experiment for the template (if it covers the plan) splits
+ *      sites between versions by weight; a site keeps its variant for the
+ *      whole experiment (hash of experiment key + site hash);
+ *   2. an assignment for the site, then for the plan, then the default;
+ *   3. the built-in version that ships with lib/promptTemplates.js.
+ * Lookup failures fall back to the built-in version; generation never fails
+ * because of the registry.
+ *
+ * The resolved version is recorded on usage_logs (prompt_template,
+ * prompt_version, prompt_experiment) and as `prompt` in the alt-text ledger
+ * metadata. Review decisions carry it into the revision history, which is
+ * where experiment results read approval rates from.
+ */
+
+const EXPERIMENT_STATUS = Object.freeze({
+  RUNNING: 'running',
+  STOPPED: 'stopped'
+});
+
+const TEMPLATE_COLUMNS = 'template_key, version, system_prompt, instructions, notes, created_by, created_at';
+const ASSIGNMENT_COLUMNS = 'template_key, scope_key, version, updated_by, updated_at';
+const EXPERIMENT_COLUMNS = 'id, experiment_key, template_key, status, variants, plans, started_by, started_at, stopped_at';
+const REGISTRY_CACHE_TTL_MS = 60 * 1000;
+const EXPERIMENT_KEY_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+const PLAN_PATTERN = /^[a-z0-9_-]{1,50}$/;
+const MAX_VARIANTS = 5;
+const RESULTS_PAGE_SIZE = 1000;
+const RESULTS_MAX_PAGES = 50;
+
+const registryCache = new Map();
+
+function invalid(message, details) {
+  return { error: 'INVALID_REQUEST', status: 400, message, ...(details ? { details } : {}) };
+}
+
+function serverError(message) {
+  return { error: 'SERVER_ERROR', status: 500, message };
+}
+
+function isTemplateKey(key) {
+  return Object.values(PROMPT_TEMPLATE_KEYS).includes(key);
+}
+
+function clearPromptTemplateCache() {
+  registryCache.clear();
+}
+
+function toTemplate(row) {
+  return {
+    key: row.template_key,
+    version: row.version,
+    systemPrompt: row.system_prompt,
+    instructions: row.instructions || null
+  };
+}
+
+/**
+ * Versions, assignments and the running experiment for one template key,
+ * cached briefly per process. Returns null when the registry cannot be read.
+ */
+async function loadRegistry(supabase, key) {
+  const cached = registryCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+  try {
+    const [templates, assignments, experiments] = await Promise.all([
+      supabase.from('prompt_templates').select(TEMPLATE_COLUMNS).eq('template_key', key),
+      supabase.from('prompt_template_assignments').select(ASSIGNMENT_COLUMNS).eq('template_key', key),
+      supabase.from('prompt_experiments').select(EXPERIMENT_COLUMNS).eq('template_key', key).eq('status', EXPERIMENT_STATUS.RUNNING)
+    ]);
+    const error = templates.error || assignments.error || experiments.error;
+    if (error) {
+      if (!isMissingSchemaError(error)) {
+        logger.warn('[prompt-templates] registry_lookup_failed', { template_key: key, error: serializeSupabaseError(error) });
+      }
+      return null;
+    }
+
+    const value = {
+      versions: new Map((templates.data || []).map((row) => [row.version, toTemplate(row)])),
+      assignments: new Map((assignments.data || []).map((row) => [row.scope_key, row.version])),
+      experiment: (experiments.data || [])[0] || null
+    };
+    registryCache.set(key, { value, expiresAt: Date.now() + REGISTRY_CACHE_TTL_MS });
+    return value;
+  } catch (error) {
+    logger.warn('[prompt-templates] registry_lookup_threw', { template_key: key, error: error.message });
+    return null;
+  }
+}
+
+function lookupVersion(registry, key, version) {
+  if (version === BUILTIN_VERSION) return getBuiltinPromptTemplate(key);
+  const template = registry.versions.get(version) || null;
+  if (!template) {
+    logger.warn('[prompt-templates] version_missing', { template_key: key, version });
+  }
+  return template;
+}
+
+function experimentCoversPlan(experiment, plan) {
+  return !Array.isArray(experiment.plans) || !experiment.plans.length || experiment.plans.includes(plan);
+}
+
+/**
+ * Deterministic weighted pick: the same unit always lands on the same
+ * variant for a given experiment.
+ */
+function pickExperimentVariant(experiment, unitKey) {
+  const variants = (experiment.variants || []).filter((variant) => variant.weight > 0);
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  if (!total) return null;
+
+  const hash = crypto.createHash('sha256').update(`${experiment.experiment_key}:${unitKey}`).digest();
+  let point = (hash.readUInt32BE(0) / 0x100000000) * total;
+  for (const variant of variants) {
+    point -= variant.weight;
+    if (point < 0) return variant.version;
+  }
+  return variants[variants.length - 1].version;
+}
+
+/**
+ * Template version for one generation.
+ *
+ * `unitKey` is what an experiment splits on (the site hash); without one the
+ * request is left out of experiments.
+ *
+ * @returns {Promise<{ template: object, assignment: { experiment: string, variant: string }|null }>}
+ */
+async function resolvePromptTemplate(supabase, { key, plan = null, siteId = null, unitKey = null } = {}) {
+  const builtin = getBuiltinPromptTemplate(key);
+  const fallback = { template: builtin, assignment: null };
+  if (!supabase || !builtin) return fallback;
+
+  const registry = await loadRegistry(supabase, key);
+  if (!registry) return fallback;
+
+  const { experiment } = registry;
+  if (experiment && unitKey && experimentCoversPlan(experiment, plan)) {
+    const variant = pickExperimentVariant(experiment, unitKey);
+    const template = variant ? lookupVersion(registry, key, variant) : null;
+    if (template) {
+      return { template, assignment: { experiment: experiment.experiment_key, variant } };
+    }
+  }
+
+  const scopes = [siteId && `site:${siteId}`, plan && `plan:${plan}`, 'default'].filter(Boolean);
+  for (const scope of scopes) {
+    const version = registry.assignments.get(scope);
+    const template = version ? lookupVersion(registry, key, version) : null;
+    if (template) return { template, assignment: null };
+  }
+  return fallback;
+}
+
+/**
+ * Every template key with its versions, assignments and running experiment.
+ */
+async function listPromptTemplates(supabase) {
+  const [templates, assignments, experiments] = await Promise.all([
+    supabase.from('prompt_templates').select(TEMPLATE_COLUMNS).order('created_at', { ascending: true }),
+    supabase.from('prompt_template_assignments').select(ASSIGNMENT_COLUMNS),
+    supabase.from('prompt_experiments').select(EXPERIMENT_COLUMNS).order('started_at', { ascending: false })
+  ]);
+  const error = templates.error || assignments.error || experiments.error;
+  if (error) {
+    logger.error('[prompt-templates] list_failed', { error: serializeSupabaseError(error) });
+    return serverError('Failed to load prompt templates');
+  }
+
+  const items = Object.values(PROMPT_TEMPLATE_KEYS).map((key) => ({
+    key,
+    versions: [
+      { version: BUILTIN_VERSION, notes: 'Ships with the code', created_at: null, created_by: null },
+      ...(templates.data || [])
+        .filter((row) => row.template_key === key)
+        .map((row) => ({ version: row.version, notes: row.notes || null, created_at: row.created_at, created_by: row.created_by || null }))
+    ],
+    assignments: (assignments.data || [])
+      .filter((row) => row.template_key === key)
+      .map((row) => ({ scope: row.scope_key, version: row.version, updated_at: row.updated_at, updated_by: row.updated_by || null })),
+    experiments: (experiments.data || []).filter((row) => row.template_key === key).map(toExperimentItem)
+  }));
+
+  return { error: null, data: { templates: items } };
+}
+
+/**
+ * Store a new template version. Versions are immutable; an edited prompt is
+ * a new version.
+ */
+async function createPromptTemplateVersion(supabase, { body = {}, actor = null } = {}) {
+  const { template, errors } = normalizePromptTemplate(body);
+  if (errors.length) return invalid('Invalid prompt template', { template: errors });
+
+  const { data, error } = await supabase
+    .from('prompt_templates')
+    .insert({
+      template_key: template.key,
+      version: template.version,
+      system_prompt: template.systemPrompt,
+      instructions: template.instructions,
+      notes: template.notes,
+      created_by: actor
+    })
+    .select(TEMPLATE_COLUMNS)
+    .maybeSingle();
+  if (error?.code === '23505') {
+    return { error: 'TEMPLATE_VERSION_EXISTS', status: 409, message: `${template.key} already has a version "${template.version}"` };
+  }
+  if (error) {
+    logger.error('[prompt-templates] version_create_failed', { template_key: template.key, version: template.version, error: serializeSupabaseError(error) });
+    return serverError('Failed to save prompt template');
+  }
+
+  clearPromptTemplateCache();
+  logger.info('[prompt-templates] version_created', { template_key: template.key, version: template.version, actor });
+  return { error: null, data: { template: data } };
+}
+
+async function versionExists(supabase, key, version) {
+  if (version === BUILTIN_VERSION) return { exists: true, error: null };
+  const { data, error } = await supabase
+    .from('prompt_templates')
+    .select('version')
+    .eq('template_key', key)
+    .eq('version', version)
+    .maybeSingle();
+  return { exists: Boolean(data), error: error || null };
+}
+
+function parseScope(body) {
+  const scope = body.scope || 'default';
+  if (scope === 'default') return { scopeKey: 'default' };
+  if (scope === 'plan') {
+    const plan = typeof body.plan === 'string' ? body.plan.trim().toLowerCase() : '';
+    return PLAN_PATTERN.test(plan) ? { scopeKey: `plan:${plan}` } : { error: 'plan is required for a plan assignment' };
+  }
+  if (scope === 'site') {
+    const siteId = typeof body.site_id === 'string' ? body.site_id.trim() : '';
+    return /^[0-9a-f-]{36}$/i.test(siteId) ? { scopeKey: `site:${siteId.toLowerCase()}` } : { error: 'site_id must be a site UUID for a site assignment' };
+  }
+  return { error: 'scope must be one of default, plan, site' };
+}
+
+/**
+ * Pin a template version for the default, a plan or a site. `version: null`
+ * removes the assignment so the scope falls through to the next one.
+ */
+async function setPromptTemplateAssignment(supabase, { key, body = {}, actor = null } = {}) {
+  if (!isTemplateKey(key)) return invalid(`Unknown prompt template "${key}"`);
+  const { scopeKey, error: scopeError } = parseScope(body);
+  if (scopeError) return invalid(scopeError);
+
+  if (body.version === null) {
+    const { error } = await supabase
+      .from('prompt_template_assignments')
+      .delete()
+      .eq('template_key', key)
+      .eq('scope_key', scopeKey);
+    if (error) {
+      logger.error('[prompt-templates] assignment_delete_failed', { template_key: key, scope: scopeKey, error: serializeSupabaseError(error) });
+      return serverError('Failed to remove prompt template assignment');
+    }
+    clearPromptTemplateCache();
+    logger.info('[prompt-templates] assignment_removed', { template_key: key, scope: scopeKey, actor });
+    return { error: null, data: { key, scope: scopeKey, version: null } };
+  }
+
+  const version = typeof body.version === 'string' ? body.version.trim().toLowerCase() : '';
+  if (!version) return invalid('version is required (null removes the assignment)');
+  const lookup = await versionExists(supabase, key, version);
+  if (lookup.error) {
+    logger.error('[prompt-templates] version_lookup_failed', { template_key: key, version, error: serializeSupabaseError(lookup.error) });
+    return serverError('Failed to load prompt template');
+  }
+  if (!lookup.exists) {
+    return { error: 'TEMPLATE_VERSION_NOT_FOUND', status: 404, message: `${key} has no version "${version}"` };
+  }
+
+  const { error } = await supabase
+    .from('prompt_template_assignments')
+    .upsert({
+      template_key: key,
+      scope_key: scopeKey,
+      version,
+      updated_by: actor,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'template_key,scope_key' });
+  if (error) {
+    logger.error('[prompt-templates] assignment_write_failed', { template_key: key, scope: scopeKey, error: serializeSupabaseError(error) });
+    return serverError('Failed to save prompt template assignment');
+  }
+
+  clearPromptTemplateCache();
+  logger.info('[prompt-templates] assignment_set', { template_key: key, scope: scopeKey, version, actor });
+  return { error: null, data: { key, scope: scopeKey, version } };
+}
+
+function toExperimentItem(row) {
+  return {
+    key: row.experiment_key,
+    template_key: row.template_key,
+    status: row.status,
+    variants: row.variants || [],
+    plans: row.plans || null,
+    started_by: row.started_by || null,
+    started_at: row.started_at,
+    stopped_at: row.stopped_at || null
+  };
+}
+
+function parseExperimentBody(body = {}) {
+  const errors = [];
+  const experimentKey = typeof body.key === 'string' ? body.key.trim().toLowerCase() : '';
+  if (!EXPERIMENT_KEY_PATTERN.test(experimentKey)) {
+    errors.push('key must be 1-64 lowercase letters, digits, ".", "_" or "-"');
+  }
+  if (!isTemplateKey(body.template_key)) {
+    errors.push(`template_key must be one of ${Object.values(PROMPT_TEMPLATE_KEYS).join(', ')}`);
+  }
+
+  const variants = [];
+  if (!Array.isArray(body.variants) || body.variants.length < 2 || body.variants.length > MAX_VARIANTS) {
+    errors.push(`variants must list 2-${MAX_VARIANTS} template versions`);
+  } else {
+    for (const [index, variant] of body.variants.entries()) {
+      const version = typeof variant?.version === 'string' ? variant.version.trim().toLowerCase() : '';
+      const weight = variant?.weight === undefined ? 1 : variant.weight;
+      if (!version) errors.push(`variants[${index}].version is required`);
+      if (!Number.isInteger(weight) || weight < 0 || weight > 100) errors.push(`variants[${index}].weight must be an integer from 0 to 100`);
+      variants.push({ version, weight });
+    }
+    if (new Set(variants.map((variant) => variant.version)).size !== variants.length) {
+      errors.push('variants must name distinct versions');
+    }
+    if (!variants.some((variant) => variant.weight > 0)) {
+      errors.push('at least one variant needs a weight above 0');
+    }
+  }
+
+  let plans = null;
+  if (body.plans != null) {
+    if (!Array.isArray(body.plans) || !body.plans.every((plan) => typeof plan === 'string' && PLAN_PATTERN.test(plan.trim().toLowerCase()))) {
+      errors.push('plans must be a list of plan ids');
+    } else if (body.plans.length) {
+      plans = [...new Set(body.plans.map((plan) => plan.trim().toLowerCase()))];
+    }
+  }
+
+  return { experiment: { experimentKey, templateKey: body.template_key, variants, plans }, errors };
+}
+
+/**
+ * Start splitting traffic for a template between versions. One experiment
+ * runs per template at a time; every variant must be an existing version.
+ */
+async function startPromptExperiment(supabase, { body = {}, actor = null } = {}) {
+  const { experiment, errors } = parseExperimentBody(body);
+  if (errors.length) return invalid('Invalid prompt experiment', { experiment: errors });
+
+  for (const variant of experiment.variants) {
+    const lookup = await versionExists(supabase, experiment.templateKey, variant.version);
+    if (lookup.error) {
+      logger.error('[prompt-templates] version_lookup_failed', { template_key: experiment.templateKey, version: variant.version, error: serializeSupabaseError(lookup.error) });
+      return serverError('Failed to load prompt template');
+    }
+    if (!lookup.exists) {
+      return { error: 'TEMPLATE_VERSION_NOT_FOUND', status: 404, message: `${experiment.templateKey} has no version "${variant.version}"` };
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('prompt_experiments')
+    .insert({
+      experiment_key: experiment.experimentKey,
+      template_key: experiment.templateKey,
+      status: EXPERIMENT_STATUS.RUNNING,
+      variants: experiment.variants,
+      plans: experiment.plans,
+      started_by: actor
+    })
+    .select(EXPERIMENT_COLUMNS)
+    .maybeSingle();
+  if (error?.code === '23505') {
+    return {
+      error: 'EXPERIMENT_CONFLICT',
+      status: 409,
+      message: `Experiment "${experiment.experimentKey}" already exists or ${experiment.templateKey} already has a running experiment`
+    };
+  }
+  if (error) {
+    logger.error('[prompt-templates] experiment_start_failed', { experiment_key: experiment.experimentKey, error: serializeSupabaseError(error) });
+    return serverError('Failed to start prompt experiment');
+  }
+
+  clearPromptTemplateCache();
+  logger.info('[prompt-templates] experiment_started', {
+    experiment_key: experiment.experimentKey,
+    template_key: experiment.templateKey,
+    variants: experiment.variants.map((variant) => `${variant.version}:${variant.weight}`),
+    actor
+  });
+  return { error: null, data: { experiment: toExperimentItem(data) } };
+}
+
+async function stopPromptExperiment(supabase, { experimentKey, actor = null } = {}) {
+  const { data, error } = await supabase
+    .from('prompt_experiments')
+    .update({ status: EXPERIMENT_STATUS.STOPPED, stopped_at: new Date().toISOString() })
+    .eq('experiment_key', experimentKey)
+    .eq('status', EXPERIMENT_STATUS.RUNNING)
+    .select(EXPERIMENT_COLUMNS)
+    .maybeSingle();
+  if (error) {
+    logger.error('[prompt-templates] experiment_stop_failed', { experiment_key: experimentKey, error: serializeSupabaseError(error) });
+    return serverError('Failed to stop prompt experiment');
+  }
+  if (!data) {
+    return { error: 'EXPERIMENT_NOT_RUNNING', status: 404, message: `No running experiment "${experimentKey}"` };
+  }
+
+  clearPromptTemplateCache();
+  logger.info('[prompt-templates] experiment_stopped', { experiment_key: experimentKey, actor });
+  return { error: null, data: { experiment: toExperimentItem(data) } };
+}
+
+async function collectRows(buildQuery) {
+  const rows = [];
+  for (let page = 0; page < RESULTS_MAX_PAGES; page += 1) {
+    const from = page * RESULTS_PAGE_SIZE;
+    const { data, error } = await buildQuery().range(from, from + RESULTS_PAGE_SIZE - 1);
+    if (error) return { rows, error };
+    rows.push(...(data || []));
+    if (!data || data.length < RESULTS_PAGE_SIZE) break;
+  }
+  return { rows, error: null };
+}
+
+function rate(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 1000 : null;
+}
+
+/**
+ * Per-variant results of an experiment: successful generations (usage_logs)
+ * and review decisions (image_alt_revisions). `approval_rate` counts
+ * approvals without edits over all decisions; edited approvals are reported
+ * separately because the reviewer had to fix the text.
+ */
+async function getPromptExperimentResults(supabase, { experimentKey } = {}) {
+  const { data: experiment, error } = await supabase
+    .from('prompt_experiments')
+    .select(EXPERIMENT_COLUMNS)
+    .eq('experiment_key', experimentKey)
+    .maybeSingle();
+  if (error) {
+    logger.error('[prompt-templates] experiment_lookup_failed', { experiment_key: experimentKey, error: serializeSupabaseError(error) });
+    return serverError('Failed to load prompt experiment');
+  }
+  if (!experiment) {
+    return { error: 'EXPERIMENT_NOT_FOUND', status: 404, message: `No experiment "${experimentKey}"` };
+  }
+
+  const [usage, decisions] = await Promise.all([
+    collectRows(() => supabase
+      .from('usage_logs')
+      .select('prompt_version')
+      .eq('prompt_experiment', experimentKey)
+      .eq('status', 'success')),
+    collectRows(() => supabase
+      .from('image_alt_revisions')
+      .select('event, metadata')
+      .contains('metadata', { prompt: { experiment: experimentKey } })
+      .in('event', [REVISION_EVENTS.APPROVED, REVISION_EVENTS.EDITED, REVISION_EVENTS.REJECTED]))
+  ]);
+  if (usage.error || decisions.error) {
+    logger.error('[prompt-templates] experiment_results_failed', {
+      experiment_key: experimentKey,
+      error: serializeSupabaseError(usage.error || decisions.error)
+    });
+    return serverError('Failed to load prompt experiment results');
+  }
+
+  const variants = (experiment.variants || []).map((variant) => {
+    const versionDecisions = decisions.rows.filter((row) => row.metadata?.prompt?.version === variant.version);
+    const approved = versionDecisions.filter((row) => row.event === REVISION_EVENTS.APPROVED).length;
+    const edited = versionDecisions.filter((row) => row.event === REVISION_EVENTS.EDITED).length;
+    const rejected = versionDecisions.filter((row) => row.event === REVISION_EVENTS.REJECTED).length;
+    const reviewed = approved + edited + rejected;
+    return {
+      version: variant.version,
+      weight: variant.weight,
+      generations: usage.rows.filter((row) => row.prompt_version === variant.version).length,
+      reviewed,
+      approved,
+      edited,
+      rejected,
+      approval_rate: rate(approved, reviewed),
+      edit_rate: rate(edited, reviewed),
+      rejection_rate: rate(rejected, reviewed)
+    };
+  });
+
+  return { error: null, data: { experiment: toExperimentItem(experiment), variants } };
+}
+
+module.exports = {
+  EXPERIMENT_STATUS,
+  clearPromptTemplateCache,
+  createPromptTemplateVersion,
+  getPromptExperimentResults,
+  listPromptTemplates,
+  pickExperimentVariant,
+  resolvePromptTemplate,
+  setPromptTemplateAssignment,
+  startPromptExperiment,
+  stopPromptExperiment
+};
@@ -0,0 +1,385 @@
+const logger = require('../lib/logger');
+const { QUALITY_REASONS } = require('./altTextQuality');
+const {
+  DASHBOARD_REVIEW_STATES,
+  listImageAltStatesForSite,
+  markImageAltStateApproved,
+  markImageAltStateRejected,
+  rollbackImageAltStateToRevision
+} = require('./imageAltState');
+const { REVISION_EVENTS, listImageAltRevisions } = require('./imageAltRevisions');
+
+// Human review queue over the image alt-state ledger. The queue is every
+// GENERATED / NEEDS_REVIEW row for a site. Editors approve rows (optionally
+// with edited text) or reject them with a reason, which clears the alt text
+// and resets the row to MISSING so the next generation run picks it up.
+// Every decision is also appended to the image's revision history
+// (services/imageAltRevisions.js), which editors can browse and roll back.
+//
+// Shared by the plugin (/api/review/queue) and the account dashboard
+// (/me/sites/:siteId/review-queue); callers resolve and authorize the site.
+const DEFAULT_PER_PAGE = 25;
+const MAX_PER_PAGE = 100;
+const MAX_DECISION_ITEMS = 100;
+const MAX_ALT_TEXT_LENGTH = 1000;
+const MAX_REASON_LENGTH = 500;
+const REVISION_SOURCE = 'review_queue';
+
+const REVIEW_ACTIONS = Object.freeze({
+  APPROVE: 'approve',
+  REJECT: 'reject'
+});
+
+function invalid(message) {
+  return { error: 'INVALID_REQUEST', status: 400, message };
+}
+
+function toPositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function toQueueItem(row) {
+  const metadata = row.metadata && typeof row.metadata === 'object' ? row.metadata : {};
+  return {
+    id: row.id,
+    image_ref: row.image_ref,
+    attachment_id: row.attachment_id || null,
+    image_url: row.image_url || null,
+    state: row.current_state,
+    alt_text: row.alt_text ?? null,
+    last_generated_at: row.last_generated_at || null,
+    quality: metadata.quality || null,
+    glossary_violations: metadata.glossary_violations || []
+  };
+}
+
+/**
+ * Parse queue filters from a query string. `state` accepts one state or a
+ * comma-separated list, restricted to the review states.
+ */
+function parseQueueQuery(query = {}) {
+  const requestedStates = typeof query.state === 'string' && query.state.trim()
+    ? query.state.split(',').map((state) => state.trim().toUpperCase()).filter(Boolean)
+    : [...DASHBOARD_REVIEW_STATES];
+  const unknownState = requestedStates.find((state) => !DASHBOARD_REVIEW_STATES.includes(state));
+  if (unknownState) {
+    return invalid(`state must be one of ${DASHBOARD_REVIEW_STATES.join(', ')}`);
+  }
+
+  const reason = typeof query.reason === 'string' && query.reason.trim() ? query.reason.trim() : null;
+  if (reason && !Object.values(QUALITY_REASONS).includes(reason)) {
+    return invalid(`reason must be one of ${Object.values(QUALITY_REASONS).join(', ')}`);
+  }
+
+  const search = typeof query.q === 'string' && query.q.trim() ? query.q.trim().slice(0, 200) : null;
+
+  return {
+    error: null,
+    filters: {
+      states: [...new Set(requestedStates)],
+      reason,
+      search,
+      page: toPositiveInt(query.page, 1),
+      perPage: Math.min(toPositiveInt(query.per_page ?? query.perPage, DEFAULT_PER_PAGE), MAX_PER_PAGE)
+    }
+  };
+}
+
+/**
+ * One page of the review queue for a site.
+ */
+async function listReviewQueue(supabase, { siteId, query = {} } = {}) {
+  const parsed = parseQueueQuery(query);
+  if (parsed.error) return parsed;
+  const { states, reason, search, page, perPage } = parsed.filters;
+
+  const { data, error, count } = await listImageAltStatesForSite(supabase, siteId, {
+    states,
+    qualityReason: reason,
+    search,
+    limit: perPage,
+    offset: (page - 1) * perPage
+  });
+  if (error) {
+    logger.error('[review-queue] list_failed', { site_id: siteId, error: error.message || error });
+    return { error: 'SERVER_ERROR', status: 500, message: 'Failed to load review queue' };
+  }
+
+  return {
+    error: null,
+    data: {
+      items: data.map(toQueueItem),
+      filters: { state: states, reason, q: search },
+      pagination: {
+        page,
+        per_page: perPage,
+        total: count,
+        total_pages: Math.ceil(count / perPage)
+      }
+    }
+  };
+}
+
+function itemImageRef(item) {
+  if (typeof item?.image_ref === 'string' && item.image_ref.trim()) return item.image_ref.trim();
+  const attachmentId = item?.attachment_id ?? item?.attachmentId;
+  if (attachmentId !== undefined && attachmentId !== null && String(attachmentId).trim()) {
+    return `attachment:${String(attachmentId).trim()}`;
+  }
+  return null;
+}
+
+/**
+ * Validate a bulk approve/reject body.
+ * Items are `{ image_ref }` or `{ attachment_id }`, plus `alt_text` to edit
+ * before approving. Rejections need a `reason` (per item or for the batch).
+ */
+function parseDecisionBody(action, body = {}) {
+  if (!Object.values(REVIEW_ACTIONS).includes(action)) {
+    return invalid('Unknown review action');
+  }
+  const items = Array.isArray(body.items) ? body.items : null;
+  if (!items || items.length === 0) {
+    return invalid('items must be a non-empty array');
+  }
+  if (items.length > MAX_DECISION_ITEMS) {
+    return invalid(`At most ${MAX_DECISION_ITEMS} items per request`);
+  }
+
+  const decisions = [];
+  for (const item of items) {
+    const imageRef = itemImageRef(item);
+    if (!imageRef) {
+      return invalid('Each item needs an image_ref or attachment_id');
+    }
+    const decision = { imageRef };
+    if (action === REVIEW_ACTIONS.APPROVE && item.alt_text !== undefined) {
+      if (typeof item.alt_text !== 'string' || !item.alt_text.trim() || item.alt_text.length > MAX_ALT_TEXT_LENGTH) {
+        return invalid(`alt_text must be a non-empty string of at most ${MAX_ALT_TEXT_LENGTH} characters`);
+      }
+      decision.altText = item.alt_text.trim();
+    }
+    if (action === REVIEW_ACTIONS.REJECT) {
+      const reason = item.reason ?? body.reason;
+      if (typeof reason !== 'string' || !reason.trim() || reason.length > MAX_REASON_LENGTH) {
+        return invalid(`reason is required (at most ${MAX_REASON_LENGTH} characters) to reject`);
+      }
+      decision.reason = reason.trim();
+    }
+    decisions.push(decision);
+  }
+
+  const unique = new Map();
+  for (const decision of decisions) {
+    if (!unique.has(decision.imageRef)) unique.set(decision.imageRef, decision);
+  }
+  return { error: null, decisions: [...unique.values()] };
+}
+
+/**
+ * Approve or reject queue items. Items that are not in the queue (unknown
+ * or already approved/rejected) are reported per item; the rest are applied.
+ */
+async function applyReviewDecisions(supabase, {
+  siteId,
+  action,
+  body = {},
+  reviewer = null,
+  requestId = null
+} = {}) {
+  const parsed = parseDecisionBody(action, body);
+  if (parsed.error) return parsed;
+
+  const refs = parsed.decisions.map((decision) => decision.imageRef);
+  const { data: rows, error } = await listImageAltStatesForSite(supabase, siteId, { imageRefs: refs });
+  if (error) {
+    logger.error('[review-queue] decision_lookup_failed', { site_id: siteId, request_id: requestId, error: error.message || error });
+    return { error: 'SERVER_ERROR', status: 500, message: 'Failed to load review items' };
+  }
+  const rowsByRef = new Map(rows.map((row) => [row.image_ref, row]));
+
+  const results = [];
+  for (const decision of parsed.decisions) {
+    const row = rowsByRef.get(decision.imageRef);
+    if (!row) {
+      results.push({ image_ref: decision.imageRef, success: false, error: 'NOT_FOUND' });
+      continue;
+    }
+    if (!DASHBOARD_REVIEW_STATES.includes(row.current_state)) {
+      results.push({ image_ref: decision.imageRef, success: false, error: 'NOT_IN_REVIEW', state: row.current_state });
+      continue;
+    }
+
+    const previousMetadata = row.metadata && typeof row.metadata === 'object' ? row.metadata : {};
+    // The template version that wrote the text rides along on the decision so
+    // prompt experiments can read approval rates from the history.
+    const promptMetadata = previousMetadata.prompt ? { prompt: previousMetadata.prompt } : {};
+    const review = {
+      action,
+      reviewed_by: reviewer,
+      reviewed_at: new Date().toISOString(),
+      previous_state: row.current_state
+    };
+    let write;
+    if (action === REVIEW_ACTIONS.APPROVE) {
+      const edited = decision.altText !== undefined && decision.altText !== row.alt_text;
+      write = await markImageAltStateApproved(supabase, {
+        siteId,
+        imageRef: row.image_ref,
+        altText: edited ? decision.altText : row.alt_text,
+        requestId,
+        metadata: {
+          ...previousMetadata,
+          review: { ...review, edited, ...(edited ? { original_alt_text: row.alt_text ?? null } : {}) }
+        },
+        revision: {
+          event: edited ? REVISION_EVENTS.EDITED : REVISION_EVENTS.APPROVED,
+          actor: reviewer,
+          source: REVISION_SOURCE,
+          metadata: promptMetadata
+        }
+      });
+    } else {
+      write = await markImageAltStateRejected(supabase, {
+        siteId,
+        imageRef: row.image_ref,
+        reason: decision.reason,
+        requestId,
+        metadata: {
+          ...previousMetadata,
+          review: { ...review, reason: decision.reason, rejected_alt_text: row.alt_text ?? null }
+        },
+        revision: {
+          actor: reviewer,
+          source: REVISION_SOURCE,
+          metadata: { rejected_alt_text: row.alt_text ?? null, ...promptMetadata }
+        }
+      });
+    }
+
+    if (write.error) {
+      results.push({ image_ref: decision.imageRef, success: false, error: 'WRITE_FAILED' });
+      continue;
+    }
+    results.push({
+      image_ref: decision.imageRef,
+      success: true,
+      state: write.data?.current_state || null,
+      alt_text: write.data?.alt_text ?? null
+    });
+  }
+
+  const succeeded = results.filter((result) => result.success).length;
+  logger.info('[review-queue] decisions_applied', {
+    site_id: siteId,
+    request_id: requestId,
+    action,
+    requested: parsed.decisions.length,
+    succeeded
+  });
+
+  return {
+    error: null,
+    data: {
+      action,
+      results,
+      summary: { requested: parsed.decisions.length, succeeded, failed: results.length - succeeded }
+    }
+  };
+}
+
+function toRevisionItem(row) {
+  return {
+    id: row.id,
+    image_ref: row.image_ref,
+    attachment_id: row.attachment_id || null,
+    alt_text: row.alt_text ?? null,
+    state: row.state,
+    event: row.event,
+    actor: row.actor || null,
+    source: row.source || null,
+    model: row.model || null,
+    quality_score: row.quality_score ?? null,
+    metadata: row.metadata || {},
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Alt text history for one image, newest first. The image is addressed by
+ * `image_ref` or `attachment_id` in the query string.
+ */
+async function listImageRevisions(supabase, { siteId, query = {} } = {}) {
+  const imageRef = itemImageRef(query);
+  if (!imageRef) {
+    return invalid('image_ref or attachment_id is required');
+  }
+
+  const { data, error } = await listImageAltRevisions(supabase, { siteId, imageRef, limit: query.limit });
+  if (error) {
+    logger.error('[review-queue] revisions_list_failed', { site_id: siteId, image_ref: imageRef, error: error.message || error });
+    return { error: 'SERVER_ERROR', status: 500, message: 'Failed to load revisions' };
+  }
+
+  return {
+    error: null,
+    data: { image_ref: imageRef, revisions: data.map(toRevisionItem) }
+  };
+}
+
+/**
+ * Restore an image's alt text from a previous revision. When the caller
+ * names the image (`image_ref` / `attachment_id`), the revision must belong
+ * to it.
+ */
+async function rollbackImageRevision(supabase, {
+  siteId,
+  revisionId,
+  body = {},
+  actor = null,
+  requestId = null
+} = {}) {
+  if (typeof revisionId !== 'string' || !revisionId.trim()) {
+    return invalid('revision id is required');
+  }
+
+  const result = await rollbackImageAltStateToRevision(supabase, {
+    siteId,
+    imageRef: itemImageRef(body),
+    revisionId: revisionId.trim(),
+    actor,
+    source: REVISION_SOURCE,
+    requestId
+  });
+  if (result.error) {
+    return { error: result.error, status: result.status, message: result.message };
+  }
+
+  logger.info('[review-queue] revision_rolled_back', {
+    site_id: siteId,
+    request_id: requestId,
+    image_ref: result.revision.image_ref,
+    revision_id: result.revision.id
+  });
+
+  return {
+    error: null,
+    data: {
+      image_ref: result.revision.image_ref,
+      state: result.data?.current_state || null,
+      alt_text: result.data?.alt_text ?? null,
+      rolled_back_to: toRevisionItem(result.revision)
+    }
+  };
+}
+
+module.exports = {
+  MAX_DECISION_ITEMS,
+  MAX_PER_PAGE,
+  REVIEW_ACTIONS,
+  applyReviewDecisions,
+  listImageRevisions,
+  listReviewQueue,
+  rollbackImageRevision
+};
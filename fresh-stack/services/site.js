@@ -1,7 +1,9 @@
 const { getLimits } = require('./planLimits');
 const logger = require('../lib/logger');
-const { serializeSupabaseError } = require('../lib/supabaseErrors');
+const { isMissingSchemaError, serializeSupabaseError } = require('../lib/supabaseErrors');
 const { buildSiteIdentity } = require('../lib/siteIdentity');
+const { normalizeLanguageTag } = require('../lib/languages');
+const { normalizeGlossary } = require('../lib/glossary');
 const {
   fetchAccountByLicenseKey,
   recordSiteAudit,
@@ -152,6 +154,119 @@ async function setSiteQuota(supabase, { licenseKey, siteHash, quotaLimit }) {
   return { data, error };
 }
 
+/**
+ * Set (or clear, with null) the default alt-text language for a licensed site.
+ */
+async function setSiteDefaultLanguage(supabase, { licenseKey, siteHash, language }) {
+  if (!licenseKey || !siteHash) {
+    return { error: 'INVALID_REQUEST', status: 400, message: 'License key and site ID required' };
+  }
+  const defaultLanguage = language == null || language === '' ? null : normalizeLanguageTag(language);
+  if (language != null && language !== '' && !defaultLanguage) {
+    return { error: 'INVALID_LANGUAGE', status: 400, message: 'Use a BCP-47 language tag such as "de" or "pt-BR".' };
+  }
+
+  const { data, error } = await supabase
+    .from('sites')
+    .update({ default_language: defaultLanguage, updated_at: new Date().toISOString() })
+    .eq('site_hash', siteHash)
+    .eq('license_key', licenseKey)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    return { error: 'SERVER_ERROR', status: 500, message: error.message };
+  }
+  if (!data) {
+    return { error: 'SITE_NOT_FOUND', status: 404, message: 'Site not found or not under this license' };
+  }
+  return { data, error: null };
+}
+
+async function getSiteGlossary(supabase, { licenseKey, siteHash }) {
+  if (!licenseKey || !siteHash) {
+    return { error: 'INVALID_REQUEST', status: 400, message: 'License key and site ID required' };
+  }
+
+  const { data, error } = await supabase
+    .from('sites')
+    .select('site_hash, glossary')
+    .eq('site_hash', siteHash)
+    .eq('license_key', licenseKey)
+    .maybeSingle();
+
+  if (error) {
+    return { error: 'SERVER_ERROR', status: 500, message: error.message };
+  }
+  if (!data) {
+    return { error: 'SITE_NOT_FOUND', status: 404, message: 'Site not found or not under this license' };
+  }
+  return { data: normalizeGlossary(data.glossary).glossary, error: null };
+}
+
+/**
+ * Replace the brand glossary for a licensed site. An empty glossary clears it.
+ */
+async function setSiteGlossary(supabase, { licenseKey, siteHash, glossary }) {
+  if (!licenseKey || !siteHash) {
+    return { error: 'INVALID_REQUEST', status: 400, message: 'License key and site ID required' };
+  }
+  const normalized = normalizeGlossary(glossary);
+  if (normalized.errors.length) {
+    return { error: 'INVALID_GLOSSARY', status: 400, message: normalized.errors[0], details: normalized.errors };
+  }
+
+  const { data, error } = await supabase
+    .from('sites')
+    .update({ glossary: normalized.glossary, updated_at: new Date().toISOString() })
+    .eq('site_hash', siteHash)
+    .eq('license_key', licenseKey)
+    .select('site_hash, glossary')
+    .maybeSingle();
+
+  if (error) {
+    return { error: 'SERVER_ERROR', status: 500, message: error.message };
+  }
+  if (!data) {
+    return { error: 'SITE_NOT_FOUND', status: 404, message: 'Site not found or not under this license' };
+  }
+  return { data: normalized.glossary, error: null };
+}
+
+/**
+ * Generation settings stored on the site row (default language, glossary).
+ * Best-effort: generation proceeds with defaults when the lookup fails or
+ * the columns have not been migrated yet.
+ */
+async function getSiteGenerationSettings(supabase, { siteId }) {
+  const defaults = { defaultLanguage: null, glossary: null };
+  if (!supabase || !siteId) return defaults;
+
+  try {
+    const { data, error } = await supabase
+      .from('sites')
+      .select('default_language, glossary')
+      .eq('id', siteId)
+      .maybeSingle();
+    if (error) {
+      if (!isMissingSchemaError(error)) {
+        logger.warn('[Site] Generation settings lookup failed', {
+          site_id: siteId,
+          error: serializeSupabaseError(error)
+        });
+      }
+      return defaults;
+    }
+    return {
+      defaultLanguage: data?.default_language || null,
+      glossary: data?.glossary ? normalizeGlossary(data.glossary).glossary : null
+    };
+  } catch (error) {
+    logger.warn('[Site] Generation settings lookup threw', { site_id: siteId, error: error.message });
+    return defaults;
+  }
+}
+
 async function updateSiteActivity(supabase, { siteHash }) {
   const { error } = await supabase
     .from('sites')
@@ -249,6 +364,10 @@ module.exports = {
   createSite,
   getSites,
   setSiteQuota,
+  setSiteDefaultLanguage,
+  getSiteGlossary,
+  setSiteGlossary,
+  getSiteGenerationSettings,
   updateSiteActivity,
   deactivateSite
 };
@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('../lib/logger');
+const { isMissingSchemaError, serializeSupabaseError } = require('../lib/supabaseErrors');
+const { buildOtpauthUrl, generateTotpSecret, verifyTotp } = require('../lib/totp');
+
+/**
+ * Optional TOTP two-factor authentication for dashboard logins.
+ *
+ * A login enrolls by scanning the secret into an authenticator app and
+ * confirming one code; it then gets single-use recovery codes (stored as
+ * SHA-256). From then on POST /auth/login answers with a short-lived
+ * challenge token instead of a session, and POST /auth/login/2fa exchanges
+ * it plus a code for the session. Owners of paid accounts can require 2FA
+ * from everyone acting on the account.
+ */
+
+const TWO_FACTOR_COLUMNS = 'user_id, secret, enabled_at, recovery_code_hashes, last_used_step, failed_attempts, locked_until, created_at, updated_at';
+const CHALLENGE_PURPOSE = 'two_factor_challenge';
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const PAID_PLANS = new Set(['starter', 'pro', 'agency']);
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function issuer() {
+  return process.env.TWO_FACTOR_ISSUER || process.env.EMAIL_BRAND_NAME || 'OpttiAI';
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').trim().toLowerCase().replace(/[\s-]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+// Ten codes like "3f9a-c21b-77d0".
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => (
+    crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-')
+  ));
+}
+
+function storageError(message, error) {
+  logger.error('[two-factor] storage_failed', { message, error: serializeSupabaseError(error) });
+  return { error: 'SERVER_ERROR', status: 500, message };
+}
+
+function invalidCode() {
+  return { error: 'INVALID_TWO_FACTOR_CODE', status: 401, message: 'Invalid authentication or recovery code' };
+}
+
+async function loadTwoFactor(supabase, userId) {
+  const { data, error } = await supabase
+    .from('account_two_factor')
+    .select(TWO_FACTOR_COLUMNS)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error && isMissingSchemaError(error)) return { data: null, error: null };
+  return { data: data || null, error: error || null };
+}
+
+async function updateTwoFactor(supabase, userId, patch) {
+  const { error } = await supabase
+    .from('account_two_factor')
+    .update({ ...patch, updated_at: nowIso() })
+    .eq('user_id', userId);
+  return error || null;
+}
+
+function mapStatus(row) {
+  return {
+    enabled: Boolean(row?.enabled_at),
+    enabled_at: row?.enabled_at || null,
+    pending: Boolean(row && !row.enabled_at),
+    recovery_codes_remaining: row?.enabled_at ? (row.recovery_code_hashes || []).length : 0
+  };
+}
+
+// Postgres array literal for an equality filter on recovery_code_hashes
+// (hex hashes need no quoting).
+function hashArrayLiteral(hashes) {
+  return `{${(hashes || []).join(',')}}`;
+}
+
+/**
+ * Check a TOTP code (each step once) or consume a recovery code. Five
+ * failures in a row lock 2FA for 15 minutes. The code is recorded with a
+ * compare-and-set on the values it was checked against, so two requests
+ * racing with the same code cannot both succeed.
+ */
+async function checkSecondFactor(supabase, row, { code, recoveryCode, now = Date.now() } = {}) {
+  if (row.locked_until && new Date(row.locked_until).getTime() > now) {
+    return { error: 'TWO_FACTOR_LOCKED', status: 429, message: 'Too many invalid codes; try again later' };
+  }
+
+  let patch = null;
+  let method = null;
+  let guard = null;
+  if (code) {
+    const step = verifyTotp(row.secret, code, { now });
+    if (step !== null && step > Number(row.last_used_step ?? -1)) {
+      patch = { last_used_step: step };
+      method = 'totp';
+      guard = (query) => (row.last_used_step === null || row.last_used_step === undefined
+        ? query.is('last_used_step', null)
+        : query.eq('last_used_step', row.last_used_step));
+    }
+  } else if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const hashes = row.recovery_code_hashes || [];
+    if (hashes.includes(hash)) {
+      patch = { recovery_code_hashes: hashes.filter((value) => value !== hash) };
+      method = 'recovery_code';
+      guard = (query) => query.eq('recovery_code_hashes', hashArrayLiteral(hashes));
+    }
+  }
+
+  if (!patch) {
+    const failedAttempts = Number(row.failed_attempts || 0) + 1;
+    const locked = failedAttempts >= MAX_FAILED_ATTEMPTS;
+    const updateError = await updateTwoFactor(supabase, row.user_id, {
+      failed_attempts: locked ? 0 : failedAttempts,
+      locked_until: locked ? new Date(now + LOCKOUT_MS).toISOString() : null
+    });
+    if (updateError) return storageError('Failed to record the attempt', updateError);
+    if (locked) logger.warn('[two-factor] locked', { user_id: row.user_id });
+    return invalidCode();
+  }
+
+  const { data: updated, error: updateError } = await guard(supabase
+    .from('account_two_factor')
+    .update({ ...patch, failed_attempts: 0, locked_until: null, updated_at: nowIso() })
+    .eq('user_id', row.user_id))
+    .select('user_id')
+    .maybeSingle();
+  if (updateError) return storageError('Failed to record the code', updateError);
+  // Another request used this code (or changed the codes) first.
+  if (!updated) return invalidCode();
+  return {
+    error: null,
+    data: {
+      method,
+      recovery_codes_remaining: (patch.recovery_code_hashes || row.recovery_code_hashes || []).length
+    }
+  };
+}
+
+async function loadEnabled(supabase, user) {
+  const loaded = await loadTwoFactor(supabase, user.id);
+  if (loaded.error) return storageError('Failed to load two-factor settings', loaded.error);
+  if (!loaded.data?.enabled_at) {
+    return { error: 'TWO_FACTOR_NOT_ENABLED', status: 400, message: 'Two-factor authentication is not enabled' };
+  }
+  return { error: null, data: loaded.data };
+}
+
+async function getTwoFactorStatus(supabase, { user } = {}) {
+  const loaded = await loadTwoFactor(supabase, user.id);
+  if (loaded.error) return storageError('Failed to load two-factor settings', loaded.error);
+  return { error: null, data: mapStatus(loaded.data) };
+}
+
+async function isTwoFactorEnabled(supabase, userId) {
+  const loaded = await loadTwoFactor(supabase, userId);
+  if (loaded.error) return storageError('Failed to load two-factor settings', loaded.error);
+  return { error: null, data: Boolean(loaded.data?.enabled_at) };
+}
+
+/**
+ * Start (or restart) enrollment with a new secret. 2FA is not on until
+ * confirmTwoFactorEnrollment sees a code from the app.
+ */
+async function startTwoFactorEnrollment(supabase, { user } = {}) {
+  const loaded = await loadTwoFactor(supabase, user.id);
+  if (loaded.error) return storageError('Failed to load two-factor settings', loaded.error);
+  if (loaded.data?.enabled_at) {
+    return { error: 'TWO_FACTOR_ALREADY_ENABLED', status: 409, message: 'Two-factor authentication is already enabled' };
+  }
+
+  const secret = generateTotpSecret();
+  const { error } = await supabase
+    .from('account_two_factor')
+    .upsert({
+      user_id: user.id,
+      secret,
+      enabled_at: null,
+      recovery_code_hashes: [],
+      last_used_step: null,
+      failed_attempts: 0,
+      locked_until: null,
+      updated_at: nowIso()
+    }, { onConflict: 'user_id' });
+  if (error) return storageError('Failed to start two-factor enrollment', error);
+
+  return {
+    error: null,
+    data: {
+      secret,
+      otpauth_url: buildOtpauthUrl({ secret, accountName: user.email || user.id, issuer: issuer() })
+    }
+  };
+}
+
+async function confirmTwoFactorEnrollment(supabase, { user, code, now = Date.now() } = {}) {
+  const loaded = await loadTwoFactor(supabase, user.id);
+  if (loaded.error) return storageError('Failed to load two-factor settings', loaded.error);
+  if (!loaded.data) {
+    return { error: 'TWO_FACTOR_NOT_STARTED', status: 400, message: 'Start enrollment first' };
+  }
+  if (loaded.data.enabled_at) {
+    return { error: 'TWO_FACTOR_ALREADY_ENABLED', status: 409, message: 'Two-factor authentication is already enabled' };
+  }
+  const step = verifyTotp(loaded.data.secret, code, { now });
+  if (step === null) return invalidCode();
+
+  const recoveryCodes = generateRecoveryCodes();
+  const updateError = await updateTwoFactor(supabase, user.id, {
+    enabled_at: new Date(now).toISOString(),
+    recovery_code_hashes: recoveryCodes.map(hashRecoveryCode),
+    last_used_step: step,
+    failed_attempts: 0,
+    locked_until: null
+  });
+  if (updateError) return storageError('Failed to enable two-factor authentication', updateError);
+
+  logger.info('[two-factor] enabled', { user_id: user.id });
+  return { error: null, data: { enabled: true, recovery_codes: recoveryCodes } };
+}
+
+/**
+ * Turn 2FA off with a current code or a recovery code. Refused while the
+ * login's own account requires 2FA.
+ */
+async function disableTwoFactor(supabase, { user, code, recoveryCode, now = Date.now() } = {}) {
+  if (user.require_two_factor) {
+    return { error: 'TWO_FACTOR_ENFORCED', status: 409, message: 'This account requires two-factor authentication; turn the requirement off first' };
+  }
+  const enabled = await loadEnabled(supabase, user);
+  if (enabled.error) return enabled;
+  const checked = await checkSecondFactor(supabase, enabled.data, { code, recoveryCode, now });
+  if (checked.error) return checked;
+
+  const { error } = await supabase
+    .from('account_two_factor')
+    .delete()
+    .eq('user_id', user.id);
+  if (error) return storageError('Failed to disable two-factor authentication', error);
+
+  logger.info('[two-factor] disabled', { user_id: user.id, method: checked.data.method });
+  return { error: null, data: { enabled: false } };
+}
+
+async function regenerateRecoveryCodes(supabase, { user, code, now = Date.now() } = {}) {
+  const enabled = await loadEnabled(supabase, user);
+  if (enabled.error) return enabled;
+  const checked = await checkSecondFactor(supabase, enabled.data, { code, now });
+  if (checked.error) return checked;
+
+  const recoveryCodes = generateRecoveryCodes();
+  const updateError = await updateTwoFactor(supabase, user.id, { recovery_code_hashes: recoveryCodes.map(hashRecoveryCode) });
+  if (updateError) return storageError('Failed to replace recovery codes', updateError);
+  return { error: null, data: { recovery_codes: recoveryCodes } };
+}
+
+function issueTwoFactorChallenge(user) {
+  return {
+    challenge_token: jwt.sign({ user_id: user.id, purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL_SECONDS }),
+    expires_in: CHALLENGE_TTL_SECONDS
+  };
+}
+
+function isTwoFactorChallenge(decoded) {
+  return decoded?.purpose === CHALLENGE_PURPOSE;
+}
+
+/**
+ * Second login step: the challenge token from the password step plus a TOTP
+ * or recovery code.
+ *
+ * @returns {Promise<{ error: null, data: { user: object, method: string, recovery_codes_remaining: number } } | { error: string, status: number, message: string }>}
+ */
+async function completeTwoFactorChallenge(supabase, { challengeToken, code, recoveryCode, now = Date.now() } = {}) {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (_err) {
+    decoded = null;
+  }
+  if (!isTwoFactorChallenge(decoded)) {
+    return { error: 'INVALID_CHALLENGE', status: 401, message: 'Login challenge is invalid or expired; log in again' };
+  }
+
+  const { data: user, error } = await supabase
+    .from('licenses')
+    .select('*')
+    .eq('id', decoded.user_id)
+    .maybeSingle();
+  if (error) return storageError('Failed to load user', error);
+  if (!user) return { error: 'INVALID_CHALLENGE', status: 401, message: 'Login challenge is invalid or expired; log in again' };
+
+  const enabled = await loadEnabled(supabase, user);
+  if (enabled.error) return enabled;
+  const checked = await checkSecondFactor(supabase, enabled.data, { code, recoveryCode, now });
+  if (checked.error) {
+    logger.warn('[two-factor] challenge_failed', { user_id: user.id, error: checked.error });
+    return checked;
+  }
+  return { error: null, data: { user, ...checked.data } };
+}
+
+/**
+ * Owners of paid accounts can require 2FA from everyone acting on the
+ * account. The owner must have 2FA on before requiring it.
+ */
+async function setTwoFactorRequirement(supabase, { account, actor, required } = {}) {
+  if (required) {
+    if (!PAID_PLANS.has(String(account.plan || '').toLowerCase())) {
+      return { error: 'PLAN_REQUIRED', status: 403, message: 'Requiring two-factor authentication needs a paid plan' };
+    }
+    const enabled = await isTwoFactorEnabled(supabase, actor.id);
+    if (enabled.error) return enabled;
+    if (!enabled.data) {
+      return { error: 'TWO_FACTOR_NOT_ENABLED', status: 400, message: 'Turn on two-factor authentication for your own login first' };
+    }
+  }
+
+  const { error } = await supabase
+    .from('licenses')
+    .update({ require_two_factor: Boolean(required), updated_at: nowIso() })
+    .eq('id', account.id);
+  if (error) return storageError('Failed to update the two-factor requirement', error);
+
+  logger.info('[two-factor] requirement_updated', { account_id: account.id, required: Boolean(required) });
+  return { error: null, data: { require_two_factor: Boolean(required) } };
+}
+
+// Checked on every account route: logins without 2FA cannot act on an
+// account that requires it.
+async function checkTwoFactorRequirement(supabase, { account, user } = {}) {
+  if (!account?.require_two_factor) return { error: null };
+  const enabled = await isTwoFactorEnabled(supabase, user.id);
+  if (enabled.error) return enabled;
+  if (!enabled.data) {
+    return { error: 'TWO_FACTOR_REQUIRED', status: 403, message: 'This account requires two-factor authentication; turn it on for your login' };
+  }
+  return { error: null };
+}
+
+module.exports = {
+  checkTwoFactorRequirement,
+  completeTwoFactorChallenge,
+  confirmTwoFactorEnrollment,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  isTwoFactorChallenge,
+  isTwoFactorEnabled,
+  issueTwoFactorChallenge,
+  regenerateRecoveryCodes,
+  setTwoFactorRequirement,
+  startTwoFactorEnrollment
+};
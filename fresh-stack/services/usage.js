@@ -54,7 +54,8 @@ async function recordUsage(supabase, {
   isTrial,
   status = 'success',
   errorMessage = null,
-  featureType = 'alt_text'
+  featureType = 'alt_text',
+  promptTemplate = null
 }) {
   // Resolve the authoritative account attribution (licenses.id).
   // Prefer an explicitly-passed licenseId; otherwise look it up from
@@ -124,7 +125,11 @@ async function recordUsage(supabase, {
     is_internal: isInternal,
     status: status || 'success',
     error_message: errorMessage || null,
-    feature_type: featureType || 'alt_text'
+    feature_type: featureType || 'alt_text',
+    // Template version that produced the output (services/promptTemplates.js).
+    prompt_template: promptTemplate?.template || null,
+    prompt_version: promptTemplate?.version || null,
+    prompt_experiment: promptTemplate?.experiment || null
   };
 
   logger.debug('[usage] Inserting usage log', { 
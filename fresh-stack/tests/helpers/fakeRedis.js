@@ -0,0 +1,146 @@
+/**
+ * In-memory stand-in for the subset of ioredis commands the backend uses.
+ * Expiry is evaluated against `now()` so tests can drive a fake clock.
+ */
+function createFakeRedis({ now = () => Date.now() } = {}) {
+  const strings = new Map();
+  const sets = new Map();
+  const lists = new Map();
+  const expiries = new Map();
+
+  function expired(key) {
+    const at = expiries.get(key);
+    if (at !== undefined && at <= now()) {
+      strings.delete(key);
+      sets.delete(key);
+      lists.delete(key);
+      expiries.delete(key);
+      return true;
+    }
+    return false;
+  }
+
+  function readString(key) {
+    expired(key);
+    return strings.has(key) ? strings.get(key) : null;
+  }
+
+  function readList(key) {
+    expired(key);
+    return lists.get(key) || [];
+  }
+
+  function writeList(key, list) {
+    if (list.length) lists.set(key, list);
+    else lists.delete(key);
+  }
+
+  // Lists are stored head-first: LPUSH prepends, RPOP takes from the end.
+  const redis = {
+    strings,
+    sets,
+    lists,
+    async get(key) {
+      return readString(key);
+    },
+    async set(key, value, ...args) {
+      let ttlMs = null;
+      let onlyIfAbsent = false;
+      for (let i = 0; i < args.length; i += 1) {
+        const flag = String(args[i]).toUpperCase();
+        if (flag === 'PX') ttlMs = Number(args[++i]);
+        else if (flag === 'EX') ttlMs = Number(args[++i]) * 1000;
+        else if (flag === 'NX') onlyIfAbsent = true;
+      }
+      if (onlyIfAbsent && readString(key) !== null) return null;
+      strings.set(key, String(value));
+      if (ttlMs) expiries.set(key, now() + ttlMs);
+      else expiries.delete(key);
+      return 'OK';
+    },
+    async incr(key) {
+      const next = Number(readString(key) || 0) + 1;
+      strings.set(key, String(next));
+      return next;
+    },
+    async pexpire(key, ms) {
+      expiries.set(key, now() + Number(ms));
+      return 1;
+    },
+    async expire(key, seconds) {
+      expiries.set(key, now() + Number(seconds) * 1000);
+      return 1;
+    },
+    async del(...keys) {
+      let removed = 0;
+      for (const key of keys.flat()) {
+        if (strings.delete(key) || sets.delete(key) || lists.delete(key)) removed += 1;
+        expiries.delete(key);
+      }
+      return removed;
+    },
+    async sadd(key, ...members) {
+      expired(key);
+      const set = sets.get(key) || new Set();
+      let added = 0;
+      for (const member of members.flat()) {
+        if (!set.has(member)) {
+          set.add(member);
+          added += 1;
+        }
+      }
+      sets.set(key, set);
+      return added;
+    },
+    async smembers(key) {
+      expired(key);
+      return Array.from(sets.get(key) || []);
+    },
+    async lpush(key, ...values) {
+      const list = [...values.flat().map(String).reverse(), ...readList(key)];
+      writeList(key, list);
+      return list.length;
+    },
+    async rpoplpush(source, destination) {
+      const list = [...readList(source)];
+      if (!list.length) return null;
+      const value = list.pop();
+      writeList(source, list);
+      writeList(destination, [value, ...readList(destination)]);
+      return value;
+    },
+    async lrange(key, start, stop) {
+      const list = readList(key);
+      const end = stop < 0 ? list.length + stop + 1 : stop + 1;
+      return list.slice(start, end);
+    },
+    async lrem(key, count, value) {
+      const list = [...readList(key)];
+      let removed = 0;
+      for (let i = 0; i < list.length && (count === 0 || removed < Math.abs(count));) {
+        if (list[i] === String(value)) {
+          list.splice(i, 1);
+          removed += 1;
+        } else {
+          i += 1;
+        }
+      }
+      writeList(key, list);
+      return removed;
+    },
+    async llen(key) {
+      return readList(key).length;
+    },
+    async keys(pattern) {
+      const matcher = new RegExp(`^${pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+      return [...strings.keys(), ...sets.keys(), ...lists.keys()].filter((key) => !expired(key) && matcher.test(key));
+    },
+    async ping() {
+      return 'PONG';
+    }
+  };
+
+  return redis;
+}
+
+module.exports = { createFakeRedis };
@@ -102,6 +102,63 @@ describe('account dashboard route contracts', () => {
     expect(service.detachSite).toHaveBeenCalledTimes(1);
   });
 
+  test('review queue routes pass the site and action to the service', async () => {
+    const service = createService({
+      getReviewQueue: jest.fn().mockResolvedValue({ ok: true, site_id: 'site-1', items: [] }),
+      applyReviewDecisions: jest.fn().mockResolvedValue({ ok: true, site_id: 'site-1', action: 'approve', results: [] })
+    });
+    const app = createApp({ service });
+
+    const list = await request(app).get('/me/sites/site-1/review-queue?reason=too_short');
+    const approve = await request(app)
+      .post('/me/sites/site-1/review-queue/approve')
+      .send({ items: [{ image_ref: 'attachment:1', alt_text: 'Edited' }] });
+
+    expect(list.status).toBe(200);
+    expect(service.getReviewQueue.mock.calls[0][0].params).toEqual({ siteId: 'site-1' });
+    expect(approve.status).toBe(200);
+    expect(service.applyReviewDecisions).toHaveBeenCalledWith(expect.anything(), 'approve');
+  });
+
+  test('revision routes pass the site and revision to the service', async () => {
+    const service = createService({
+      getImageRevisions: jest.fn().mockResolvedValue({ ok: true, site_id: 'site-1', image_ref: 'attachment:1', revisions: [] }),
+      rollbackImageRevision: jest.fn().mockResolvedValue({ ok: true, site_id: 'site-1', image_ref: 'attachment:1', alt_text: 'Old text' })
+    });
+    const app = createApp({ service });
+
+    const list = await request(app).get('/me/sites/site-1/revisions?image_ref=attachment:1');
+    const rollback = await request(app).post('/me/sites/site-1/revisions/rev-3/rollback').send({});
+
+    expect(list.status).toBe(200);
+    expect(service.getImageRevisions.mock.calls[0][0].query).toEqual({ image_ref: 'attachment:1' });
+    expect(rollback.status).toBe(200);
+    expect(rollback.body.alt_text).toBe('Old text');
+    expect(service.rollbackImageRevision.mock.calls[0][0].params).toEqual({ siteId: 'site-1', revisionId: 'rev-3' });
+  });
+
+  test('review queue rejects sites that are not on the account', async () => {
+    const sites = [{ id: 'site-1', site_hash: 'hash-1', license_key: 'license-1' }];
+    const chain = (result) => {
+      const builder = {
+        select: () => builder,
+        eq: () => builder,
+        order: () => builder,
+        maybeSingle: async () => ({ data: null, error: null }),
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+      };
+      return builder;
+    };
+    const service = createAccountDashboardService({
+      supabase: { from: (table) => chain(table === 'sites' ? { data: sites, error: null } : { data: null, error: null }) },
+      getStripe: jest.fn()
+    });
+    const response = await request(createApp({ service })).get('/me/sites/site-9/review-queue');
+
+    expect(response.status).toBe(404);
+    expect(response.body.code).toBe('SITE_NOT_FOUND');
+  });
+
   test('organizations compatibility response does not query the retired table', async () => {
     const supabase = { from: jest.fn() };
     const service = createAccountDashboardService({ supabase, getStripe: jest.fn() });
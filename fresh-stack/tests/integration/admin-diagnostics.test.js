@@ -18,6 +18,7 @@ jest.mock('../../lib/logger', () => ({
 }));
 
 const { createAdminRouter } = require('../../routes/admin');
+const { createCircuitBreaker } = require('../../lib/circuitBreaker');
 
 function buildCountResponse({ count = 0, error = null, data = [] } = {}) {
   return {
@@ -163,6 +164,36 @@ describe('GET /admin/diagnostics/pipeline', () => {
     expect(response.body.diagnostics.recent_log_summary).toHaveLength(1);
   });
 
+  test('exposes provider circuit breaker state', async () => {
+    const circuitBreaker = createCircuitBreaker({ failureThreshold: 1 });
+    await circuitBreaker.allowRequest('openai:gpt-4o');
+    await circuitBreaker.recordFailure('openai:gpt-4o', { errorCode: 'provider_rate_limited' });
+
+    const app = express();
+    app.use('/admin', createAdminRouter({
+      redis: null,
+      supabase: createHealthyDiagnosticsSupabaseMock(),
+      resultCache: new Map(),
+      circuitBreaker
+    }));
+
+    const response = await request(app)
+      .get('/admin/diagnostics/pipeline')
+      .set('X-Admin-Key', 'test-admin-key');
+
+    expect(response.status).toBe(200);
+    expect(response.body.diagnostics.circuit_breakers).toMatchObject({
+      enabled: true,
+      backend: 'memory',
+      targets: [expect.objectContaining({
+        target: 'openai:gpt-4o',
+        state: 'open',
+        last_error_code: 'provider_rate_limited',
+        half_open_after: expect.any(String)
+      })]
+    });
+  });
+
   test('returns data integrity diagnostics with environment, schema, and table health', async () => {
     const app = express();
     app.use('/admin', createAdminRouter({
@@ -5,6 +5,8 @@ const { generateAltText } = require('../../lib/openai');
 const quotaService = require('../../services/quota');
 const usageService = require('../../services/usage');
 const imageAltStateService = require('../../services/imageAltState');
+const { resolvePromptTemplate } = require('../../services/promptTemplates');
+const { BUILTIN_PROMPT_TEMPLATES } = require('../../lib/promptTemplates');
 
 jest.mock('../../lib/openai', () => ({
   generateAltText: jest.fn().mockResolvedValue({
@@ -46,12 +48,17 @@ jest.mock('../../services/usage', () => ({
 }));
 
 jest.mock('../../services/imageAltState', () => ({
+  IMAGE_ALT_STATES: jest.requireActual('../../services/imageAltState').IMAGE_ALT_STATES,
   upsertGeneratedImageAltState: jest.fn().mockResolvedValue({
     data: { id: 'image_state_1', current_state: 'NEEDS_REVIEW' },
     error: null
   })
 }));
 
+jest.mock('../../services/promptTemplates', () => ({
+  resolvePromptTemplate: jest.fn(jest.requireActual('../../services/promptTemplates').resolvePromptTemplate)
+}));
+
 const { createAltTextRouter } = require('../../routes/altText');
 
 /**
@@ -243,6 +250,40 @@ describe('POST /api/alt-text', () => {
     }));
   });
 
+  test('returns a decorative verdict for decorative markup without generating or charging', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache: new Map(),
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => ({ quota: 50, used: 0, remaining: 50 })
+    }));
+
+    const res = await request(app).post('/api/alt-text').send({
+      image: { url: 'https://example.com/icons/cart.svg', width: 20, height: 20 },
+      context: { markup: { linkLabel: 'View cart' } }
+    });
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(expect.objectContaining({
+      success: true,
+      altText: '',
+      decorative: true,
+      decorative_reasons: ['Icon inside a labelled link or button']
+    }));
+    expect(generateAltText).not.toHaveBeenCalled();
+    expect(quotaService.reserveGenerationQuota).not.toHaveBeenCalled();
+
+    // Markup that does not look decorative is described as usual.
+    const described = await request(app).post('/api/alt-text').send({
+      image: { url: 'https://example.com/team.jpg', width: 1200, height: 800 },
+      context: { markup: { linkLabel: 'Meet the team' } }
+    });
+    expect(described.body.altText).toBe('mock alt');
+    expect(described.body.decorative).toBeUndefined();
+  });
+
   test('persists image state ledger on successful generation', async () => {
     const app = express();
     app.use(express.json());
@@ -285,6 +326,48 @@ describe('POST /api/alt-text', () => {
     }));
   });
 
+  test('quality gate keeps strong results GENERATED and routes weak ones to review', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache: new Map(),
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => null
+    }));
+    const send = (url) => request(app).post('/api/alt-text').send({ image: { url, width: 1, height: 1 } });
+
+    generateAltText.mockResolvedValueOnce({
+      altText: 'Barista pouring steamed milk into a latte at a wooden counter',
+      usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+      meta: { modelUsed: 'mock' }
+    });
+    const strong = await send('https://example.com/latte.jpg');
+    expect(strong.body).toEqual(expect.objectContaining({
+      review_state: 'GENERATED',
+      quality: { passed: true, score: 100, reasons: [] }
+    }));
+
+    generateAltText.mockResolvedValueOnce({
+      altText: 'Image of a latte',
+      usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+      meta: { modelUsed: 'mock' }
+    });
+    const weak = await send('https://example.com/latte-2.jpg');
+    expect(weak.body.review_state).toBe('NEEDS_REVIEW');
+    expect(weak.body.quality.reasons.map((reason) => reason.code)).toEqual(['redundant_prefix']);
+
+    const [[, strongWrite], [, weakWrite]] = imageAltStateService.upsertGeneratedImageAltState.mock.calls.slice(-2);
+    expect(strongWrite.state).toBe('GENERATED');
+    expect(weakWrite).toEqual(expect.objectContaining({
+      state: 'NEEDS_REVIEW',
+      metadata: expect.objectContaining({
+        quality: expect.objectContaining({ passed: false, reasons: [expect.objectContaining({ code: 'redundant_prefix' })] })
+      })
+    }));
+  });
+
   test('uses logged-in quota when trial headers are stale', async () => {
     const supabase = createSupabaseMock({
       id: '11111111-1111-1111-1111-111111111111',
@@ -621,3 +704,368 @@ describe('POST /api/alt-text', () => {
     expect(generateAltText).not.toHaveBeenCalled();
   });
 });
+
+describe('POST /api/alt-text output language', () => {
+  const TINY_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/w8AAn8B9p0Y2ZAAAAAASUVORK5CYII=';
+
+  function buildApp({ site = null } = {}) {
+    const getSiteFromHeaders = jest.fn().mockResolvedValue(site);
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache: new Map(),
+      checkRateLimit: async () => true,
+      getSiteFromHeaders
+    }));
+    return { app, getSiteFromHeaders };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    quotaService.reserveGenerationQuota.mockResolvedValue({
+      error: null,
+      reservation: { generation_request_id: 'generation_request_lang' },
+      site: { id: 'site_1', site_hash: 'site-key-1', license_key: 'key-123' }
+    });
+    quotaService.getQuotaStatus.mockResolvedValue({
+      plan_type: 'pro',
+      credits_used: 0,
+      credits_remaining: 1000,
+      total_limit: 1000
+    });
+  });
+
+  test('falls back to the site default language and caches per language', async () => {
+    const { app } = buildApp({ site: { site_hash: 'site-key-1', default_language: 'de_DE' } });
+    const send = (context) => request(app)
+      .post('/api/alt-text')
+      .set('X-Site-Key', 'site-key-1')
+      .send({ image: { base64: TINY_PNG, mime_type: 'image/png' }, context });
+
+    const first = await send(undefined);
+    expect(first.status).toBe(200);
+    expect(first.body.language).toBe('de-DE');
+    expect(generateAltText.mock.calls[0][0].context).toEqual(expect.objectContaining({ language: 'de-DE' }));
+
+    const french = await send({ language: 'fr' });
+    expect(french.body.cached).toBeUndefined();
+    expect(generateAltText.mock.calls[1][0].context.language).toBe('fr');
+
+    const repeat = await send(undefined);
+    expect(repeat.body).toEqual(expect.objectContaining({ cached: true, language: 'de-DE' }));
+    expect(generateAltText).toHaveBeenCalledTimes(2);
+  });
+
+  test('returns every requested translation from one generation', async () => {
+    generateAltText.mockResolvedValueOnce({
+      altText: 'Rotes Fahrrad an einer Backsteinmauer',
+      translations: {
+        de: 'Rotes Fahrrad an einer Backsteinmauer',
+        fr: 'Vélo rouge contre un mur de briques'
+      },
+      usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+      meta: { modelUsed: 'mock', language: 'de' }
+    });
+    const { app } = buildApp({ site: { site_hash: 'site-key-1', default_language: 'es' } });
+
+    const res = await request(app)
+      .post('/api/alt-text')
+      .send({
+        image: { url: 'https://example.com/bike.jpg', width: 1, height: 1 },
+        context: { languages: ['de', 'fr', 'de'] }
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.language).toBe('de');
+    expect(res.body.translations).toEqual({
+      de: 'Rotes Fahrrad an einer Backsteinmauer',
+      fr: 'Vélo rouge contre un mur de briques'
+    });
+    expect(generateAltText).toHaveBeenCalledTimes(1);
+    expect(generateAltText.mock.calls[0][0].context).toEqual(expect.objectContaining({
+      language: 'de',
+      languages: ['de', 'fr']
+    }));
+  });
+
+  test('rejects language values that are not BCP-47 tags', async () => {
+    const { app } = buildApp();
+
+    const res = await request(app)
+      .post('/api/alt-text')
+      .send({
+        image: { url: 'https://example.com/bike.jpg', width: 1, height: 1 },
+        context: { language: 'german!' }
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_REQUEST');
+    expect(generateAltText).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/alt-text brand glossary', () => {
+  const TINY_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/w8AAn8B9p0Y2ZAAAAAASUVORK5CYII=';
+  const glossary = {
+    terms: [{ term: 'iphone', preferred: 'iPhone' }],
+    required_keywords: ['Acme'],
+    banned_terms: ['CompetitorCo']
+  };
+
+  function buildApp(site, { resultCache = new Map() } = {}) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache,
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => site
+    }));
+    return app;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    quotaService.reserveGenerationQuota.mockResolvedValue({
+      error: null,
+      reservation: { generation_request_id: 'generation_request_glossary' },
+      site: { id: 'site_1', site_hash: 'site-key-1', license_key: 'key-123' }
+    });
+    quotaService.getQuotaStatus.mockResolvedValue({
+      plan_type: 'pro',
+      credits_used: 0,
+      credits_remaining: 1000,
+      total_limit: 1000
+    });
+  });
+
+  test('passes the glossary to generation and enforces it before the ledger write', async () => {
+    generateAltText.mockResolvedValueOnce({
+      altText: 'Person holding an iphone next to a CompetitorCo box',
+      usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+      meta: { modelUsed: 'mock', language: 'en' }
+    });
+    const app = buildApp({ site_hash: 'site-key-1', glossary });
+
+    const res = await request(app)
+      .post('/api/alt-text')
+      .set('X-Site-Key', 'site-key-1')
+      .send({ image: { base64: TINY_PNG, mime_type: 'image/png' } });
+
+    expect(res.status).toBe(200);
+    expect(generateAltText.mock.calls[0][0].glossary).toEqual(glossary);
+    expect(res.body.altText).toBe('Person holding an iPhone next to a box');
+    expect(res.body.glossary_violations).toEqual([
+      { rule: 'preferred_term', term: 'iphone', replacement: 'iPhone', action: 'rewritten' },
+      { rule: 'banned_term', term: 'CompetitorCo', action: 'removed' },
+      { rule: 'missing_keyword', term: 'Acme', action: 'flagged' }
+    ]);
+    expect(imageAltStateService.upsertGeneratedImageAltState).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        altText: 'Person holding an iPhone next to a box',
+        state: 'NEEDS_REVIEW',
+        metadata: expect.objectContaining({ glossary_violations: res.body.glossary_violations })
+      })
+    );
+  });
+
+  test('keeps cached results apart per glossary', async () => {
+    const send = (app) => request(app)
+      .post('/api/alt-text')
+      .set('X-Site-Key', 'site-key-1')
+      .send({ image: { base64: TINY_PNG, mime_type: 'image/png' } });
+    const resultCache = new Map();
+
+    await send(buildApp({ site_hash: 'site-key-1' }, { resultCache }));
+    const withGlossary = await send(buildApp({ site_hash: 'site-key-1', glossary }, { resultCache }));
+
+    expect(withGlossary.body.cached).toBeUndefined();
+    expect(generateAltText).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('POST /api/alt-text page context', () => {
+  const TINY_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/w8AAn8B9p0Y2ZAAAAAASUVORK5CYII=';
+
+  function buildApp({ resultCache = new Map() } = {}) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache,
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => null
+    }));
+    return app;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    quotaService.reserveGenerationQuota.mockResolvedValue({
+      error: null,
+      reservation: { generation_request_id: 'generation_request_page_context' },
+      site: { id: 'site_1', site_hash: 'site-key-1', license_key: 'key-123' }
+    });
+  });
+
+  test('passes the normalized page context to generation and caches per page', async () => {
+    const resultCache = new Map();
+    const app = buildApp({ resultCache });
+    const send = (pageContext) => request(app)
+      .post('/api/alt-text')
+      .set('X-Site-Key', 'site-key-1')
+      .send({ image: { base64: TINY_PNG, mime_type: 'image/png' }, ...(pageContext ? { page_context: pageContext } : {}) });
+
+    const first = await send({ heading: 'Blue ceramic mug', post_type: 'product', product_name: 'Blue ceramic mug' });
+    expect(first.status).toBe(200);
+    expect(generateAltText.mock.calls[0][0].context.pageContext).toEqual(expect.objectContaining({
+      heading: 'Blue ceramic mug',
+      postType: 'product',
+      productName: 'Blue ceramic mug'
+    }));
+
+    const samePage = await send({ heading: 'Blue ceramic mug', post_type: 'product', product_name: 'Blue ceramic mug' });
+    expect(samePage.body.cached).toBe(true);
+
+    const otherPage = await send({ heading: 'Our studio', post_type: 'post' });
+    const noContext = await send(null);
+    expect(otherPage.body.cached).toBeUndefined();
+    expect(noContext.body.cached).toBeUndefined();
+    expect(generateAltText).toHaveBeenCalledTimes(3);
+  });
+
+  test('returns the quality verdict with cached results, including ones cached without it', async () => {
+    generateAltText.mockResolvedValueOnce({
+      altText: 'Image of a blue ceramic mug',
+      usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+      meta: { modelUsed: 'mock' }
+    });
+    const resultCache = new Map();
+    const app = buildApp({ resultCache });
+    const send = () => request(app)
+      .post('/api/alt-text')
+      .set('X-Site-Key', 'site-key-1')
+      .send({ image: { base64: TINY_PNG, mime_type: 'image/png', filename: 'mug.png' } });
+
+    const first = await send();
+    expect(first.body.review_state).toBe('NEEDS_REVIEW');
+
+    const cached = await send();
+    expect(cached.body).toEqual(expect.objectContaining({
+      cached: true,
+      review_state: 'NEEDS_REVIEW',
+      quality: first.body.quality
+    }));
+
+    const [[cacheKey, entry]] = resultCache.entries();
+    const { review_state: _state, quality: _quality, ...legacyEntry } = entry;
+    resultCache.set(cacheKey, legacyEntry);
+    const legacy = await send();
+    expect(legacy.body).toEqual(expect.objectContaining({
+      cached: true,
+      review_state: 'NEEDS_REVIEW',
+      quality: first.body.quality
+    }));
+    expect(generateAltText).toHaveBeenCalledTimes(1);
+  });
+
+  test('switches to product mode and caches per product variant', async () => {
+    const resultCache = new Map();
+    const app = buildApp({ resultCache });
+    const send = (product) => request(app)
+      .post('/api/alt-text')
+      .set('X-Site-Key', 'site-key-1')
+      .send({ image: { base64: TINY_PNG, mime_type: 'image/png' }, product });
+
+    const blue = await send({ name: 'Blue ceramic mug', sku: 'MUG-1', attributes: { Color: 'Blue' } });
+    expect(blue.status).toBe(200);
+    expect(generateAltText.mock.calls[0][0].context.product).toEqual(expect.objectContaining({
+      name: 'Blue ceramic mug',
+      attributes: [{ name: 'Color', value: 'Blue' }]
+    }));
+
+    const red = await send({ name: 'Blue ceramic mug', sku: 'MUG-1', attributes: { Color: 'Red' } });
+    expect(red.body.cached).toBeUndefined();
+    expect(generateAltText).toHaveBeenCalledTimes(2);
+
+    const invalid = await send({ sku: 'MUG-1' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details.product).toEqual(['product.name is required']);
+  });
+
+  test('rejects malformed page context', async () => {
+    const res = await request(buildApp())
+      .post('/api/alt-text')
+      .send({ image: { base64: TINY_PNG, mime_type: 'image/png' }, page_context: { link_href: 'javascript:void(0)' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.page_context).toEqual(['link_href must be an http(s) URL or a site-relative path']);
+    expect(generateAltText).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/alt-text prompt templates', () => {
+  const TINY_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/w8AAn8B9p0Y2ZAAAAAASUVORK5CYII=';
+  const V2 = { key: 'alt_text', version: 'v2', systemPrompt: 'Be literal.', instructions: 'Describe it in 12 words.' };
+
+  function buildApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alt-text', createAltTextRouter({
+      supabase: createSupabaseMock(),
+      redis: null,
+      resultCache: new Map(),
+      checkRateLimit: async () => true,
+      getSiteFromHeaders: async () => ({ id: 'site_1', site_hash: 'site-key-1' })
+    }));
+    return app;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    quotaService.reserveGenerationQuota.mockResolvedValue({
+      error: null,
+      reservation: { generation_request_id: 'generation_request_prompt' },
+      site: { id: 'site_1', site_hash: 'site-key-1', license_key: 'key-123' }
+    });
+  });
+
+  test('generates with the resolved version, records it and caches per version', async () => {
+    resolvePromptTemplate
+      .mockResolvedValueOnce({ template: V2, assignment: { experiment: 'alt-v2', variant: 'v2' } })
+      .mockResolvedValue({ template: BUILTIN_PROMPT_TEMPLATES.alt_text, assignment: null });
+    const app = buildApp();
+    const send = () => request(app)
+      .post('/api/alt-text')
+      .set('X-Site-Key', 'site-key-1')
+      .send({ image: { base64: TINY_PNG, mime_type: 'image/png' } });
+
+    const variant = await send();
+    expect(variant.status).toBe(200);
+    expect(resolvePromptTemplate).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      key: 'alt_text',
+      siteId: 'site_1',
+      unitKey: 'site-key-1'
+    }));
+    expect(generateAltText.mock.calls[0][0].template).toBe(V2);
+    const recorded = { template: 'alt_text', version: 'v2', experiment: 'alt-v2' };
+    expect(usageService.recordUsage).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ promptTemplate: recorded }));
+    expect(imageAltStateService.upsertGeneratedImageAltState).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      metadata: expect.objectContaining({ prompt: recorded }),
+      revision: expect.objectContaining({ metadata: { prompt: recorded } })
+    }));
+
+    const builtin = await send();
+    expect(builtin.body.cached).toBeUndefined();
+    expect(generateAltText.mock.calls[1][0].template).toBe(BUILTIN_PROMPT_TEMPLATES.alt_text);
+
+    const repeat = await send();
+    expect(repeat.body.cached).toBe(true);
+    expect(generateAltText).toHaveBeenCalledTimes(2);
+  });
+});
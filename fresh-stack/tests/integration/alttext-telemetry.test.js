@@ -37,6 +37,7 @@ jest.mock('../../services/usage', () => ({
 }));
 
 jest.mock('../../services/imageAltState', () => ({
+  IMAGE_ALT_STATES: jest.requireActual('../../services/imageAltState').IMAGE_ALT_STATES,
   upsertGeneratedImageAltState: jest.fn().mockResolvedValue({ data: { id: 'state_1' }, error: null })
 }));
 
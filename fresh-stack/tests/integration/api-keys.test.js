@@ -0,0 +1,232 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { authMiddleware } = require('../../middleware/auth');
+const { createAccountDashboardRouter } = require('../../routes/accountDashboard');
+const { hashApiKey, requiredScopeForPath } = require('../../services/apiKeys');
+
+const LICENSE = { id: 'license-uuid-1', license_key: 'license-1', email: 'ci@example.com', plan: 'pro', status: 'active' };
+const SITES = [
+  { id: 'site-uuid-1', site_hash: 'hash-1', license_key: LICENSE.license_key, status: 'active' },
+  { id: 'site-uuid-2', site_hash: 'hash-2', license_key: LICENSE.license_key, status: 'active' }
+];
+
+// In-memory licenses, sites and api_keys with the query surface the key
+// service, auth middleware and account site lookup use.
+function createSupabaseMock() {
+  const tables = {
+    licenses: [{ ...LICENSE }],
+    sites: SITES.map((site) => ({ ...site })),
+    site_memberships: [],
+    api_keys: []
+  };
+  let sequence = 0;
+
+  function buildQuery(table, { patch = null } = {}) {
+    const filters = [];
+    const query = {
+      select: () => query,
+      eq(column, value) {
+        filters.push((row) => row[column] === value);
+        return query;
+      },
+      in(column, list) {
+        filters.push((row) => list.includes(row[column]));
+        return query;
+      },
+      order: () => query,
+      async maybeSingle() {
+        const rows = await query;
+        return { data: rows.data[0] || null, error: null };
+      },
+      then(resolve, reject) {
+        const rows = tables[table].filter((row) => filters.every((filter) => filter(row)));
+        if (patch) rows.forEach((row) => Object.assign(row, patch));
+        return Promise.resolve({ data: rows.map((row) => ({ ...row })), error: null }).then(resolve, reject);
+      }
+    };
+    return query;
+  }
+
+  return {
+    _tables: tables,
+    from(table) {
+      if (!tables[table]) throw new Error(`Unexpected table ${table}`);
+      return {
+        select: () => buildQuery(table),
+        update: (patch) => buildQuery(table, { patch }),
+        insert(payload) {
+          sequence += 1;
+          const row = { id: `key-${sequence}`, created_at: new Date().toISOString(), last_used_at: null, revoked_at: null, ...payload };
+          tables[table].push(row);
+          return { select: () => ({ maybeSingle: async () => ({ data: { ...row }, error: null }) }) };
+        }
+      };
+    }
+  };
+}
+
+// The account dashboard as the signed-in owner sees it, plus the protected
+// API behind the real auth middleware.
+function buildApps(supabase) {
+  const dashboard = express();
+  dashboard.use(express.json());
+  dashboard.use((req, _res, next) => {
+    req.user = LICENSE;
+    req.license = LICENSE;
+    req.authMethod = 'jwt';
+    next();
+  });
+  dashboard.use('/', createAccountDashboardRouter({ supabase }));
+
+  const api = express();
+  api.use(express.json());
+  api.use(authMiddleware({ supabase }));
+  const echo = (req, res) => res.json({ auth: req.authMethod, license_id: req.license?.id, api_key: req.apiKey || null });
+  api.post('/api/alt-text', echo);
+  api.post('/api/titles/jobs', echo);
+  api.post('/api/usage', echo);
+  api.get('/me/api-keys', echo);
+  return { dashboard, api };
+}
+
+describe('account API keys', () => {
+  let supabase;
+  let dashboard;
+  let api;
+
+  beforeEach(() => {
+    supabase = createSupabaseMock();
+    ({ dashboard, api } = buildApps(supabase));
+  });
+
+  test('creates a hashed key, shows it once and authenticates with it', async () => {
+    const created = await request(dashboard).post('/me/api-keys').send({
+      name: 'GitHub Actions',
+      scopes: ['alt_text:generate', 'usage:read']
+    });
+    expect(created.status).toBe(200);
+    const secret = created.body.key;
+    expect(secret).toMatch(/^opk_[0-9a-f]{48}$/);
+    expect(created.body.api_key).toEqual(expect.objectContaining({
+      name: 'GitHub Actions',
+      key_prefix: secret.slice(0, 12),
+      scopes: ['alt_text:generate', 'usage:read'],
+      site_ids: [],
+      expires_at: null,
+      created_by: LICENSE.email,
+      active: true
+    }));
+
+    const stored = supabase._tables.api_keys[0];
+    expect(stored.key_hash).toBe(hashApiKey(secret));
+    expect(JSON.stringify(stored)).not.toContain(secret);
+
+    const listed = await request(dashboard).get('/me/api-keys');
+    expect(listed.body.api_keys).toEqual([expect.objectContaining({ id: stored.id })]);
+    expect(JSON.stringify(listed.body)).not.toContain(stored.key_hash);
+
+    const viaHeader = await request(api).post('/api/alt-text').set('X-API-Key', secret).send({});
+    expect(viaHeader.status).toBe(200);
+    expect(viaHeader.body).toEqual({
+      auth: 'api_key',
+      license_id: LICENSE.id,
+      api_key: { id: stored.id, name: 'GitHub Actions', scopes: ['alt_text:generate', 'usage:read'], site_hashes: [] }
+    });
+    const viaBearer = await request(api).post('/api/usage').set('Authorization', `Bearer ${secret}`).send({});
+    expect(viaBearer.status).toBe(200);
+    expect(supabase._tables.api_keys[0].last_used_at).toEqual(expect.any(String));
+  });
+
+  test('enforces scopes and site restrictions', async () => {
+    const created = await request(dashboard).post('/me/api-keys').send({
+      name: 'Site one only',
+      scopes: ['alt_text:generate'],
+      site_ids: ['site-uuid-1']
+    });
+    const secret = created.body.key;
+    expect(created.body.api_key.site_ids).toEqual(['site-uuid-1']);
+
+    const allowed = await request(api).post('/api/alt-text').set('X-API-Key', secret).set('X-Site-Key', 'hash-1').send({});
+    expect(allowed.status).toBe(200);
+
+    const otherSite = await request(api).post('/api/alt-text').set('X-API-Key', secret).set('X-Site-Key', 'hash-2').send({});
+    expect(otherSite.status).toBe(403);
+    expect(otherSite.body.code).toBe('API_KEY_SITE_FORBIDDEN');
+    const noSite = await request(api).post('/api/alt-text').set('X-API-Key', secret).send({});
+    expect(noSite.status).toBe(403);
+    const sameSite = await request(api).post('/api/alt-text').set('X-API-Key', secret)
+      .set('X-Site-Key', 'hash-1').set('X-Site-Hash', 'hash-1').send({ site_hash: 'hash-1' });
+    expect(sameSite.status).toBe(200);
+
+    // Routes read the site from X-Site-Hash or the body before X-Site-Key.
+    const conflictingHeaders = await request(api).post('/api/alt-text').set('X-API-Key', secret)
+      .set('X-Site-Key', 'hash-1').set('X-Site-Hash', 'hash-2').send({});
+    expect(conflictingHeaders.status).toBe(400);
+    expect(conflictingHeaders.body.code).toBe('API_KEY_SITE_CONFLICT');
+    const conflictingBody = await request(api).post('/api/alt-text').set('X-API-Key', secret)
+      .set('X-Site-Key', 'hash-1').send({ site_hash: 'hash-2' });
+    expect(conflictingBody.status).toBe(400);
+    expect(conflictingBody.body.code).toBe('API_KEY_SITE_CONFLICT');
+
+    const titles = await request(api).post('/api/titles/jobs').set('X-API-Key', secret).set('X-Site-Key', 'hash-1').send({});
+    expect(titles.status).toBe(403);
+    expect(titles.body).toEqual(expect.objectContaining({ code: 'API_KEY_SCOPE_FORBIDDEN', message: 'API key is missing the titles scope' }));
+
+    // Keys never reach account management.
+    const manage = await request(api).get('/me/api-keys').set('X-API-Key', secret).set('X-Site-Key', 'hash-1');
+    expect(manage.status).toBe(403);
+
+    const foreignSite = await request(dashboard).post('/me/api-keys').send({ name: 'x', scopes: ['jobs'], site_ids: ['not-mine'] });
+    expect(foreignSite.status).toBe(404);
+    expect(foreignSite.body.code).toBe('SITE_NOT_FOUND');
+    const badScope = await request(dashboard).post('/me/api-keys').send({ name: 'x', scopes: ['billing'] });
+    expect(badScope.status).toBe(400);
+    const pastExpiry = await request(dashboard).post('/me/api-keys').send({ name: 'x', scopes: ['jobs'], expires_at: '2020-01-01T00:00:00Z' });
+    expect(pastExpiry.status).toBe(400);
+  });
+
+  test('revoked and expired keys are refused', async () => {
+    const created = await request(dashboard).post('/me/api-keys').send({ name: 'Nightly', scopes: ['alt_text:generate'] });
+    const secret = created.body.key;
+
+    const revoked = await request(dashboard).delete(`/me/api-keys/${created.body.api_key.id}`);
+    expect(revoked.status).toBe(200);
+    expect(revoked.body.api_key).toEqual(expect.objectContaining({ revoked_at: expect.any(String), active: false }));
+    const afterRevoke = await request(api).post('/api/alt-text').set('X-API-Key', secret).send({});
+    expect(afterRevoke.status).toBe(401);
+    expect(afterRevoke.body.code).toBe('API_KEY_REVOKED');
+
+    const missing = await request(dashboard).delete('/me/api-keys/key-404');
+    expect(missing.status).toBe(404);
+
+    const expiring = await request(dashboard).post('/me/api-keys').send({
+      name: 'Short lived',
+      scopes: ['alt_text:generate'],
+      expires_at: new Date(Date.now() + 60 * 1000).toISOString()
+    });
+    supabase._tables.api_keys[1].expires_at = new Date(Date.now() - 1000).toISOString();
+    const afterExpiry = await request(api).post('/api/alt-text').set('X-API-Key', expiring.body.key).send({});
+    expect(afterExpiry.status).toBe(401);
+    expect(afterExpiry.body.code).toBe('API_KEY_EXPIRED');
+
+    const unknown = await request(api).post('/api/alt-text').set('X-API-Key', 'opk_unknown').send({});
+    expect(unknown.status).toBe(401);
+    expect(unknown.body.code).toBe('INVALID_API_KEY');
+  });
+
+  test('maps request paths to scopes', () => {
+    expect(requiredScopeForPath('/api/jobs/abc/cancel')).toBe('jobs');
+    expect(requiredScopeForPath('/api/titles/generate')).toBe('titles');
+    expect(requiredScopeForPath('/api/optimizer/audit')).toBe('optimizer');
+    expect(requiredScopeForPath('/api/review/queue')).toBeNull();
+    expect(requiredScopeForPath('/api/jobsx')).toBeNull();
+  });
+});
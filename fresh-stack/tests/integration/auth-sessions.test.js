@@ -0,0 +1,267 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/services/loops', () => ({
+  trackAccountCreated: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../services/pluginConnections', () => ({
+  recordPluginConnection: jest.fn().mockResolvedValue({ isFirstConnection: false, error: null })
+}));
+
+jest.mock('../../services/quota', () => ({
+  getQuotaStatus: jest.fn().mockResolvedValue({ error: 'QUOTA_UNAVAILABLE' })
+}));
+
+const { authMiddleware } = require('../../middleware/auth');
+const { createAccountDashboardRouter } = require('../../routes/accountDashboard');
+const { createAuthRouter } = require('../../routes/auth');
+const { hashRefreshToken } = require('../../services/authSessions');
+
+const PASSWORD = 'correct-horse-battery';
+const USER = {
+  id: 'user-uuid-1',
+  email: 'owner@example.com',
+  license_key: 'license-1',
+  plan: 'pro',
+  status: 'active',
+  password_hash: bcrypt.hashSync(PASSWORD, 4)
+};
+
+// In-memory licenses, auth_sessions and account_two_factor with the query surface the auth
+// routes, session service and auth middleware use.
+function createSupabaseMock() {
+  const tables = {
+    licenses: [{ ...USER }],
+    auth_sessions: [],
+    account_two_factor: []
+  };
+  let sequence = 0;
+
+  function buildQuery(table, { patch = null } = {}) {
+    const filters = [];
+    const query = {
+      select: () => query,
+      eq(column, value) {
+        filters.push((row) => row[column] === value);
+        return query;
+      },
+      neq(column, value) {
+        filters.push((row) => row[column] !== value);
+        return query;
+      },
+      is(column, value) {
+        filters.push((row) => (row[column] ?? null) === value);
+        return query;
+      },
+      order: () => query,
+      async maybeSingle() {
+        const rows = await query;
+        return { data: rows.data[0] || null, error: null };
+      },
+      async single() {
+        const rows = await query;
+        return { data: rows.data[0] || null, error: rows.data[0] ? null : { message: 'No rows' } };
+      },
+      then(resolve, reject) {
+        const rows = tables[table].filter((row) => filters.every((filter) => filter(row)));
+        if (patch) rows.forEach((row) => Object.assign(row, patch));
+        return Promise.resolve({ data: rows.map((row) => ({ ...row })), error: null }).then(resolve, reject);
+      }
+    };
+    return query;
+  }
+
+  const mock = {
+    _tables: tables,
+    insertError: null,
+    from(table) {
+      if (!tables[table]) throw new Error(`Unexpected table ${table}`);
+      return {
+        select: () => buildQuery(table),
+        update: (patch) => buildQuery(table, { patch }),
+        insert(payload) {
+          if (mock.insertError) {
+            return { select: () => ({ maybeSingle: async () => ({ data: null, error: mock.insertError }) }) };
+          }
+          sequence += 1;
+          const row = { id: `session-${sequence}`, created_at: new Date().toISOString(), revoked_at: null, ...payload };
+          tables[table].push(row);
+          return { select: () => ({ maybeSingle: async () => ({ data: { ...row }, error: null }) }) };
+        }
+      };
+    }
+  };
+  return mock;
+}
+
+// Auth routes are public; account routes sit behind the auth middleware, as
+// in server.js.
+function buildApp(supabase) {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', createAuthRouter({ supabase }));
+  app.use(authMiddleware({ supabase }));
+  app.use('/', createAccountDashboardRouter({ supabase }));
+  return app;
+}
+
+describe('auth sessions', () => {
+  let supabase;
+  let app;
+
+  const login = (userAgent = 'Mozilla/5.0 (Macintosh)') => request(app)
+    .post('/auth/login')
+    .set('User-Agent', userAgent)
+    .send({ email: USER.email, password: PASSWORD });
+
+  beforeEach(() => {
+    supabase = createSupabaseMock();
+    app = buildApp(supabase);
+  });
+
+  test('login opens a session with a short-lived access token and a hashed refresh token', async () => {
+    const res = await login();
+    expect(res.status).toBe(200);
+    const { token, refresh_token: refreshToken, expires_in: expiresIn } = res.body;
+    expect(res.body.data).toEqual(expect.objectContaining({ token, refresh_token: refreshToken, expires_in: 900 }));
+    expect(expiresIn).toBe(900);
+    expect(refreshToken).toMatch(/^ort_[0-9a-f]{64}$/);
+
+    const [session] = supabase._tables.auth_sessions;
+    expect(jwt.decode(token)).toEqual(expect.objectContaining({ user_id: USER.id, sid: session.id }));
+    expect(session).toEqual(expect.objectContaining({
+      user_id: USER.id,
+      refresh_token_hash: hashRefreshToken(refreshToken),
+      user_agent: 'Mozilla/5.0 (Macintosh)'
+    }));
+    expect(JSON.stringify(session)).not.toContain(refreshToken);
+
+    await login('Mozilla/5.0 (iPhone)');
+    const sessions = await request(app).get('/me/sessions').set('Authorization', `Bearer ${token}`);
+    expect(sessions.status).toBe(200);
+    expect(sessions.body.sessions).toHaveLength(2);
+    expect(sessions.body.sessions.find((row) => row.current)).toEqual(expect.objectContaining({
+      id: session.id,
+      user_agent: 'Mozilla/5.0 (Macintosh)'
+    }));
+  });
+
+  test('refresh rotates the refresh token and a replayed token ends the session', async () => {
+    const first = await login();
+    const refreshed = await request(app).post('/auth/refresh').send({ refresh_token: first.body.refresh_token });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body).toEqual(expect.objectContaining({
+      success: true,
+      expires_in: 900,
+      user: expect.objectContaining({ id: USER.id })
+    }));
+    expect(refreshed.body.refresh_token).not.toBe(first.body.refresh_token);
+    expect(jwt.decode(refreshed.body.token).sid).toBe(jwt.decode(first.body.token).sid);
+
+    const me = await request(app).get('/auth/me').set('Authorization', `Bearer ${refreshed.body.token}`);
+    expect(me.status).toBe(200);
+
+    const replayed = await request(app).post('/auth/refresh').send({ refresh_token: first.body.refresh_token });
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.code).toBe('REFRESH_TOKEN_REUSED');
+    expect(supabase._tables.auth_sessions[0]).toEqual(expect.objectContaining({
+      revoked_at: expect.any(String),
+      revoked_reason: 'refresh_token_reused'
+    }));
+
+    const afterRevoke = await request(app).post('/auth/refresh').send({ refresh_token: refreshed.body.refresh_token });
+    expect(afterRevoke.status).toBe(401);
+    expect(afterRevoke.body.code).toBe('SESSION_REVOKED');
+    const meAfter = await request(app).get('/auth/me').set('Authorization', `Bearer ${refreshed.body.token}`);
+    expect(meAfter.status).toBe(401);
+    expect(meAfter.body.code).toBe('SESSION_REVOKED');
+
+    const garbage = await request(app).post('/auth/refresh').send({ refresh_token: 'ort_nope' });
+    expect(garbage.status).toBe(401);
+    expect(garbage.body.code).toBe('INVALID_REFRESH_TOKEN');
+  });
+
+  test('revoking sessions logs devices out', async () => {
+    const laptop = await login('laptop');
+    const phone = await login('phone');
+    const tablet = await login('tablet');
+    const laptopId = jwt.decode(laptop.body.token).sid;
+
+    const revoked = await request(app).delete(`/me/sessions/${laptopId}`).set('Authorization', `Bearer ${phone.body.token}`);
+    expect(revoked.status).toBe(200);
+    expect(revoked.body.session).toEqual(expect.objectContaining({ id: laptopId }));
+    const laptopAfter = await request(app).get('/me/sessions').set('Authorization', `Bearer ${laptop.body.token}`);
+    expect(laptopAfter.status).toBe(401);
+    const again = await request(app).delete(`/me/sessions/${laptopId}`).set('Authorization', `Bearer ${phone.body.token}`);
+    expect(again.status).toBe(404);
+    expect(again.body.code).toBe('SESSION_NOT_FOUND');
+
+    const others = await request(app).delete('/me/sessions').set('Authorization', `Bearer ${phone.body.token}`);
+    expect(others.status).toBe(200);
+    expect(others.body.revoked).toBe(1);
+    const tabletAfter = await request(app).get('/me/sessions').set('Authorization', `Bearer ${tablet.body.token}`);
+    expect(tabletAfter.status).toBe(401);
+    const remaining = await request(app).get('/me/sessions').set('Authorization', `Bearer ${phone.body.token}`);
+    expect(remaining.body.sessions).toEqual([expect.objectContaining({ user_agent: 'phone', current: true })]);
+  });
+
+  test('a password reset revokes every session and older session-less tokens', async () => {
+    const session = await login();
+    const legacyToken = jwt.sign(
+      { user_id: USER.id, email: USER.email, license_key: USER.license_key, iat: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET
+    );
+    const legacyBefore = await request(app).get('/me/sessions').set('Authorization', `Bearer ${legacyToken}`);
+    expect(legacyBefore.status).toBe(200);
+
+    Object.assign(supabase._tables.licenses[0], {
+      password_reset_token: 'reset-token',
+      password_reset_expires: new Date(Date.now() + 60 * 1000).toISOString()
+    });
+    const reset = await request(app).post('/auth/reset-password').send({
+      email: USER.email,
+      token: 'reset-token',
+      newPassword: 'a-new-password'
+    });
+    expect(reset.status).toBe(200);
+    expect(supabase._tables.auth_sessions[0].revoked_reason).toBe('password_reset');
+    expect(supabase._tables.licenses[0].password_changed_at).toEqual(expect.any(String));
+
+    const sessionAfter = await request(app).get('/me/sessions').set('Authorization', `Bearer ${session.body.token}`);
+    expect(sessionAfter.status).toBe(401);
+    const refreshAfter = await request(app).post('/auth/refresh').send({ refresh_token: session.body.refresh_token });
+    expect(refreshAfter.status).toBe(401);
+    const legacyAfter = await request(app).get('/me/sessions').set('Authorization', `Bearer ${legacyToken}`);
+    expect(legacyAfter.status).toBe(401);
+
+    const relogin = await request(app).post('/auth/login').send({ email: USER.email, password: 'a-new-password' });
+    expect(relogin.status).toBe(200);
+    const fresh = await request(app).get('/me/sessions').set('Authorization', `Bearer ${relogin.body.token}`);
+    expect(fresh.status).toBe(200);
+  });
+
+  test('a failed session insert fails the login unless the table is missing', async () => {
+    supabase.insertError = { code: '08006', message: 'connection failure' };
+    const failed = await login();
+    expect(failed.status).toBe(500);
+    expect(failed.body.token).toBeUndefined();
+
+    supabase.insertError = { code: '42P01', message: 'relation "auth_sessions" does not exist' };
+    const legacy = await login();
+    expect(legacy.status).toBe(200);
+    expect(legacy.body.refresh_token).toBeNull();
+    expect(jwt.decode(legacy.body.token).sid).toBeUndefined();
+  });
+});
@@ -0,0 +1,212 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { createQueue } = require('../../lib/queue');
+const { createAdminRouter } = require('../../routes/admin');
+const { finishedItemIndexes, runItemWithRetries } = require('../../services/bulkAltTextProcessor');
+const { createFakeRedis } = require('../helpers/fakeRedis');
+
+const QUEUE_KEY = 'test:queue';
+
+function createHarness({ jobHandler = jest.fn().mockResolvedValue(undefined), maxAttempts = 3 } = {}) {
+  const clock = { now: Date.parse('2026-10-19T10:00:00.000Z') };
+  const redis = createFakeRedis({ now: () => clock.now });
+  const queue = createQueue({
+    redis,
+    jobHandler,
+    queueKey: QUEUE_KEY,
+    bulkDispatchMode: 'redis',
+    visibilityTimeoutMs: 60 * 1000,
+    maxAttempts,
+    // Drive workers by hand: no background loops in tests.
+    autoStartWorkers: false
+  });
+  return { clock, redis, queue, jobHandler };
+}
+
+async function enqueueBulkJob(queue) {
+  return queue.createJob([{ id: 'a', image: { url: 'https://example.com/a.jpg' } }], {}, 'site-hash', {
+    licenseKey: 'license-1'
+  });
+}
+
+describe('durable redis job queue', () => {
+  test('a claimed job is acknowledged once the handler finishes', async () => {
+    const { redis, queue, jobHandler } = createHarness();
+    const jobId = await enqueueBulkJob(queue);
+
+    await expect(queue.processNext('w1')).resolves.toBe(true);
+    await expect(queue.processNext('w1')).resolves.toBe(false);
+
+    expect(jobHandler).toHaveBeenCalledWith(expect.objectContaining({ jobId, attempt: 1 }));
+    await expect(queue.getQueueStats()).resolves.toEqual({ durable: true, pending: 0, processing: 0, dead: 0 });
+    await expect(redis.get(`${QUEUE_KEY}:lease:${jobId}`)).resolves.toBeNull();
+  });
+
+  test('failed jobs are retried, then dead-lettered with the job record marked failed', async () => {
+    const { queue, jobHandler } = createHarness({
+      jobHandler: jest.fn().mockRejectedValue(new Error('redis write timeout')),
+      maxAttempts: 2
+    });
+    const jobId = await enqueueBulkJob(queue);
+
+    await queue.processNext('w1');
+    await expect(queue.getQueueStats()).resolves.toEqual(expect.objectContaining({ pending: 1, dead: 0 }));
+    await queue.processNext('w1');
+
+    expect(jobHandler.mock.calls.map(([job]) => job.attempt)).toEqual([1, 2]);
+    await expect(queue.getQueueStats()).resolves.toEqual(expect.objectContaining({ pending: 0, processing: 0, dead: 1 }));
+    await expect(queue.listDeadJobs()).resolves.toEqual([expect.objectContaining({
+      jobId,
+      attempts: 2,
+      itemCount: 1,
+      lastError: 'redis write timeout'
+    })]);
+    await expect(queue.getJobRecord(jobId)).resolves.toEqual(expect.objectContaining({
+      status: 'failed',
+      batchError: 'redis write timeout'
+    }));
+  });
+
+  test('jobs abandoned by a crashed worker are requeued after the lease lapses', async () => {
+    const { clock, redis, queue, jobHandler } = createHarness();
+    const jobId = await enqueueBulkJob(queue);
+
+    // A worker claims the job and dies without acknowledging it.
+    await redis.rpoplpush(QUEUE_KEY, `${QUEUE_KEY}:processing`);
+    await redis.set(`${QUEUE_KEY}:lease:${jobId}`, 'crashed-worker', 'PX', 60 * 1000);
+
+    await expect(queue.requeueExpiredLeases()).resolves.toBe(0);
+    clock.now += 61 * 1000;
+    await expect(queue.requeueExpiredLeases()).resolves.toBe(0);
+    await expect(queue.requeueExpiredLeases()).resolves.toBe(1);
+
+    await expect(queue.getQueueStats()).resolves.toEqual(expect.objectContaining({ pending: 1, processing: 0 }));
+    await queue.processNext('w2');
+    expect(jobHandler).toHaveBeenCalledWith(expect.objectContaining({ jobId, attempt: 2, lastError: 'LEASE_EXPIRED' }));
+  });
+
+  test('the background reaper reclaims an abandoned job within two sweeps of the lease lapsing', async () => {
+    jest.useFakeTimers();
+    const redis = createFakeRedis();
+    const jobHandler = jest.fn().mockResolvedValue(undefined);
+    const queue = createQueue({
+      redis,
+      jobHandler,
+      queueKey: QUEUE_KEY,
+      bulkDispatchMode: 'redis',
+      visibilityTimeoutMs: 60 * 1000,
+      autoStartWorkers: false
+    });
+
+    try {
+      const jobId = await enqueueBulkJob(queue);
+      await redis.rpoplpush(QUEUE_KEY, `${QUEUE_KEY}:processing`);
+      await redis.set(`${QUEUE_KEY}:lease:${jobId}`, 'crashed-worker', 'PX', 60 * 1000);
+      queue.startRedisWorkers();
+
+      await jest.advanceTimersByTimeAsync(59 * 1000);
+      expect(jobHandler).not.toHaveBeenCalled();
+
+      // Lease lapses at 60s; sweeps every 12s see it leaseless at 60s and 72s.
+      await jest.advanceTimersByTimeAsync(26 * 1000);
+      expect(jobHandler).toHaveBeenCalledWith(expect.objectContaining({ jobId, attempt: 2, lastError: 'LEASE_EXPIRED' }));
+    } finally {
+      queue.stopRedisWorkers();
+      await jest.advanceTimersByTimeAsync(2000);
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('admin dead-letter endpoints', () => {
+  const originalAdminKey = process.env.ADMIN_KEY;
+  let harness;
+  let app;
+  let jobId;
+
+  beforeEach(async () => {
+    process.env.ADMIN_KEY = 'admin-test-key';
+    harness = createHarness({ jobHandler: jest.fn().mockRejectedValue(new Error('boom')), maxAttempts: 1 });
+    jobId = await enqueueBulkJob(harness.queue);
+    await harness.queue.processNext('w1');
+
+    app = express();
+    app.use('/admin', createAdminRouter({ getJobQueue: () => harness.queue }));
+  });
+
+  afterAll(() => {
+    process.env.ADMIN_KEY = originalAdminKey;
+  });
+
+  test('lists, retries and purges dead jobs behind the admin key', async () => {
+    await request(app).get('/admin/jobs/dead').expect(401);
+
+    const listed = await request(app).get('/admin/jobs/dead').set('X-Admin-Key', 'admin-test-key');
+    expect(listed.status).toBe(200);
+    expect(listed.body.stats).toEqual({ durable: true, pending: 0, processing: 0, dead: 1 });
+    expect(listed.body.jobs).toEqual([expect.objectContaining({ jobId, lastError: 'boom' })]);
+    expect(listed.body.jobs[0]).not.toHaveProperty('items');
+
+    const retried = await request(app).post(`/admin/jobs/dead/${jobId}/retry`).set('X-Admin-Key', 'admin-test-key');
+    expect(retried.status).toBe(200);
+    await expect(harness.queue.getQueueStats()).resolves.toEqual(expect.objectContaining({ pending: 1, dead: 0 }));
+    await expect(harness.queue.getJobRecord(jobId)).resolves.toEqual(expect.objectContaining({ status: 'accepted' }));
+
+    // The retried job gets a fresh attempt budget, fails again and is purged.
+    await harness.queue.processNext('w1');
+    expect(harness.jobHandler).toHaveBeenLastCalledWith(expect.objectContaining({ jobId, attempt: 1 }));
+    const purged = await request(app).delete('/admin/jobs/dead').set('X-Admin-Key', 'admin-test-key');
+    expect(purged.body).toEqual({ success: true, removed: 1 });
+
+    await request(app).post(`/admin/jobs/dead/${jobId}/retry`).set('X-Admin-Key', 'admin-test-key').expect(404);
+    await request(app).delete(`/admin/jobs/dead/${jobId}`).set('X-Admin-Key', 'admin-test-key').expect(404);
+  });
+});
+
+describe('bulk item retries', () => {
+  test('retries retryable failures with exponential backoff', async () => {
+    const wait = jest.fn().mockResolvedValue(undefined);
+    const attemptItem = jest.fn()
+      .mockResolvedValueOnce({ success: false, code: 'UPSTREAM_RATE_LIMITED', isRetryable: true })
+      .mockResolvedValueOnce({ success: false, code: 'UPSTREAM_GENERATION_ERROR', isRetryable: true })
+      .mockResolvedValueOnce({ success: true, altText: 'A red bicycle' });
+
+    const outcome = await runItemWithRetries(attemptItem, { maxAttempts: 3, baseDelayMs: 100, wait });
+
+    expect(outcome).toEqual(expect.objectContaining({ success: true, attempts: 3 }));
+    expect(attemptItem.mock.calls.map(([attempt]) => attempt)).toEqual([1, 2, 3]);
+    expect(wait.mock.calls.map(([delay]) => delay)).toEqual([100, 200]);
+  });
+
+  test('does not retry permanent failures and stops at the attempt cap', async () => {
+    const wait = jest.fn().mockResolvedValue(undefined);
+    const permanent = jest.fn().mockResolvedValue({ success: false, code: 'INVALID_IMAGE', isRetryable: false });
+    await expect(runItemWithRetries(permanent, { maxAttempts: 3, wait }))
+      .resolves.toEqual(expect.objectContaining({ code: 'INVALID_IMAGE', attempts: 1 }));
+
+    const flaky = jest.fn().mockResolvedValue({ success: false, code: 'UPSTREAM_RATE_LIMITED', isRetryable: true });
+    await expect(runItemWithRetries(flaky, { maxAttempts: 2, baseDelayMs: 1, wait }))
+      .resolves.toEqual(expect.objectContaining({ success: false, attempts: 2 }));
+    expect(flaky).toHaveBeenCalledTimes(2);
+  });
+
+  test('resumed jobs skip items that already finished', () => {
+    const record = {
+      items: [
+        { index: 0, status: 'completed' },
+        { index: 1, status: 'generating' },
+        { index: 2, status: 'failed' },
+        { index: 3, status: 'queued' }
+      ]
+    };
+    expect([...finishedItemIndexes(record)]).toEqual([0, 2]);
+  });
+});
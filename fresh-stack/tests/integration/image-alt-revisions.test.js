@@ -0,0 +1,185 @@
+const {
+  IMAGE_ALT_STATES,
+  upsertGeneratedImageAltState
+} = require('../../services/imageAltState');
+const { REVISION_EVENTS } = require('../../services/imageAltRevisions');
+const {
+  applyReviewDecisions,
+  listImageRevisions,
+  rollbackImageRevision
+} = require('../../services/reviewQueue');
+
+// In-memory image_alt_states + image_alt_revisions with just the query
+// surface the ledger and history services use.
+function createSupabaseMock() {
+  const tables = { image_alt_states: [], image_alt_revisions: [] };
+  let sequence = 0;
+
+  function buildQuery(table) {
+    const filters = [];
+    let limit = null;
+    let descending = false;
+
+    const query = {
+      select: () => query,
+      eq(column, value) {
+        filters.push((row) => row[column] === value);
+        return query;
+      },
+      in(column, values) {
+        filters.push((row) => values.includes(row[column]));
+        return query;
+      },
+      order(_column, options = {}) {
+        descending = options.ascending === false;
+        return query;
+      },
+      limit(value) {
+        limit = value;
+        return query;
+      },
+      range: () => query,
+      async maybeSingle() {
+        const rows = await query;
+        return { data: rows.data[0] || null, error: null };
+      },
+      then(resolve, reject) {
+        let rows = tables[table].filter((row) => filters.every((filter) => filter(row)));
+        if (descending) rows = [...rows].reverse();
+        if (limit !== null) rows = rows.slice(0, limit);
+        return Promise.resolve({ data: rows.map((row) => ({ ...row })), error: null, count: rows.length }).then(resolve, reject);
+      }
+    };
+    return query;
+  }
+
+  return {
+    _tables: tables,
+    from(table) {
+      if (!tables[table]) throw new Error(`Unexpected table ${table}`);
+      return {
+        select: () => buildQuery(table).select(),
+        insert(payload) {
+          sequence += 1;
+          const row = { id: `rev_${sequence}`, created_at: new Date(Date.UTC(2026, 9, 19, 10, sequence)).toISOString(), ...payload };
+          tables[table].push(row);
+          return { select: () => ({ maybeSingle: async () => ({ data: { ...row }, error: null }) }) };
+        },
+        upsert(payload) {
+          let existing = tables[table].find((row) => row.site_id === payload.site_id && row.image_ref === payload.image_ref);
+          if (!existing) {
+            existing = { id: `row_${payload.image_ref}` };
+            tables[table].push(existing);
+          }
+          Object.assign(existing, payload);
+          return { select: () => ({ maybeSingle: async () => ({ data: { ...existing }, error: null }) }) };
+        }
+      };
+    }
+  };
+}
+
+async function generate(supabase, altText, { model = 'gpt-4o-mini', score = 90 } = {}) {
+  return upsertGeneratedImageAltState(supabase, {
+    siteId: 'site_1',
+    image: { attachment_id: 7 },
+    altText,
+    state: IMAGE_ALT_STATES.GENERATED,
+    revision: { source: 'api/alt-text', model, qualityScore: score }
+  });
+}
+
+describe('image alt text revision history', () => {
+  let supabase;
+
+  beforeEach(() => {
+    supabase = createSupabaseMock();
+  });
+
+  test('records generation, regeneration and edited approval with provenance', async () => {
+    await generate(supabase, 'Red bicycle leaning on a brick wall');
+    await generate(supabase, 'Red city bike against a brick wall', { model: 'gpt-4o', score: 72.4 });
+    await applyReviewDecisions(supabase, {
+      siteId: 'site_1',
+      action: 'approve',
+      reviewer: 'editor@example.com',
+      body: { items: [{ attachment_id: 7, alt_text: 'Red city bicycle parked against a brick wall' }] }
+    });
+
+    const result = await listImageRevisions(supabase, { siteId: 'site_1', query: { attachment_id: '7' } });
+
+    expect(result.error).toBeNull();
+    expect(result.data.image_ref).toBe('attachment:7');
+    expect(result.data.revisions.map((revision) => [revision.event, revision.alt_text])).toEqual([
+      [REVISION_EVENTS.EDITED, 'Red city bicycle parked against a brick wall'],
+      [REVISION_EVENTS.REGENERATED, 'Red city bike against a brick wall'],
+      [REVISION_EVENTS.GENERATED, 'Red bicycle leaning on a brick wall']
+    ]);
+    expect(result.data.revisions[0]).toEqual(expect.objectContaining({
+      state: IMAGE_ALT_STATES.APPROVED,
+      actor: 'editor@example.com',
+      source: 'review_queue'
+    }));
+    expect(result.data.revisions[1]).toEqual(expect.objectContaining({
+      model: 'gpt-4o',
+      quality_score: 72,
+      source: 'api/alt-text'
+    }));
+  });
+
+  test('rolls an image back to a previous revision and appends the rollback', async () => {
+    await generate(supabase, 'Golden retriever catching a frisbee');
+    await generate(supabase, 'Dog in a park');
+    const firstRevisionId = supabase._tables.image_alt_revisions[0].id;
+
+    const result = await rollbackImageRevision(supabase, {
+      siteId: 'site_1',
+      revisionId: firstRevisionId,
+      body: { attachment_id: 7 },
+      actor: 'support@example.com'
+    });
+
+    expect(result.error).toBeNull();
+    expect(result.data).toEqual(expect.objectContaining({
+      image_ref: 'attachment:7',
+      state: IMAGE_ALT_STATES.APPROVED,
+      alt_text: 'Golden retriever catching a frisbee'
+    }));
+    expect(supabase._tables.image_alt_states[0]).toEqual(expect.objectContaining({
+      current_state: IMAGE_ALT_STATES.APPROVED,
+      alt_text: 'Golden retriever catching a frisbee',
+      metadata: expect.objectContaining({ event: 'rollback', rolled_back_to: firstRevisionId })
+    }));
+    expect(supabase._tables.image_alt_revisions).toHaveLength(3);
+    expect(supabase._tables.image_alt_revisions[2]).toEqual(expect.objectContaining({
+      event: REVISION_EVENTS.ROLLED_BACK,
+      actor: 'support@example.com',
+      alt_text: 'Golden retriever catching a frisbee',
+      metadata: { rolled_back_to: firstRevisionId, replaced_alt_text: 'Dog in a park' }
+    }));
+  });
+
+  test('refuses rollbacks to unknown, foreign or empty revisions', async () => {
+    await generate(supabase, 'Golden retriever catching a frisbee');
+    await applyReviewDecisions(supabase, {
+      siteId: 'site_1',
+      action: 'reject',
+      body: { items: [{ attachment_id: 7 }], reason: 'Wrong breed' }
+    });
+    const [generated, rejected] = supabase._tables.image_alt_revisions;
+    expect(rejected).toEqual(expect.objectContaining({
+      event: REVISION_EVENTS.REJECTED,
+      alt_text: null,
+      metadata: expect.objectContaining({ reason: 'Wrong breed', rejected_alt_text: 'Golden retriever catching a frisbee' })
+    }));
+
+    await expect(rollbackImageRevision(supabase, { siteId: 'site_2', revisionId: generated.id }))
+      .resolves.toEqual(expect.objectContaining({ error: 'REVISION_NOT_FOUND', status: 404 }));
+    await expect(rollbackImageRevision(supabase, { siteId: 'site_1', revisionId: generated.id, body: { attachment_id: 8 } }))
+      .resolves.toEqual(expect.objectContaining({ error: 'REVISION_NOT_FOUND', status: 404 }));
+    await expect(rollbackImageRevision(supabase, { siteId: 'site_1', revisionId: rejected.id }))
+      .resolves.toEqual(expect.objectContaining({ error: 'REVISION_HAS_NO_ALT_TEXT', status: 409 }));
+    await expect(listImageRevisions(supabase, { siteId: 'site_1', query: {} }))
+      .resolves.toEqual(expect.objectContaining({ error: 'INVALID_REQUEST', status: 400 }));
+  });
+});
@@ -0,0 +1,355 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { createQueue } = require('../../lib/queue');
+const { createAccountDashboardRouter } = require('../../routes/accountDashboard');
+const {
+  JOB_WEBHOOK_EVENTS,
+  SIGNATURE_HEADER,
+  createJobWebhookNotifier,
+  rotateJobWebhookSecret,
+  verifyJobWebhookSignature
+} = require('../../services/jobWebhooks');
+
+const LICENSE = { id: 'license-uuid-1', license_key: 'license-1', email: 'agency@example.com', status: 'active' };
+const CALLBACK_URL = 'https://203.0.113.10/hooks/jobs';
+
+// In-memory licenses + job webhook tables with the query surface the
+// webhook service uses.
+function createSupabaseMock() {
+  const tables = {
+    licenses: [{ id: LICENSE.id, license_key: LICENSE.license_key }],
+    job_webhook_settings: [],
+    job_webhook_deliveries: []
+  };
+
+  function buildQuery(table, { patch = null } = {}) {
+    const filters = [];
+    let limit = null;
+    let descending = false;
+
+    function matching() {
+      return tables[table].filter((row) => filters.every((filter) => filter(row)));
+    }
+
+    const query = {
+      select: () => query,
+      eq(column, value) {
+        filters.push((row) => row[column] === value);
+        return query;
+      },
+      order(_column, options = {}) {
+        descending = options.ascending === false;
+        return query;
+      },
+      limit(value) {
+        limit = value;
+        return query;
+      },
+      async maybeSingle() {
+        const rows = await query;
+        return { data: rows.data[0] || null, error: null };
+      },
+      then(resolve, reject) {
+        let rows = matching();
+        if (patch) rows.forEach((row) => Object.assign(row, patch));
+        if (descending) rows = [...rows].reverse();
+        if (limit !== null) rows = rows.slice(0, limit);
+        return Promise.resolve({ data: rows.map((row) => ({ ...row })), error: null }).then(resolve, reject);
+      }
+    };
+    return query;
+  }
+
+  return {
+    _tables: tables,
+    from(table) {
+      if (!tables[table]) throw new Error(`Unexpected table ${table}`);
+      return {
+        select: () => buildQuery(table),
+        update: (patch) => buildQuery(table, { patch }),
+        insert(payload) {
+          const row = { created_at: new Date().toISOString(), updated_at: new Date().toISOString(), ...payload };
+          tables[table].push(row);
+          const result = { data: { ...row }, error: null };
+          return {
+            select: () => ({ maybeSingle: async () => result }),
+            then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+          };
+        }
+      };
+    }
+  };
+}
+
+function completedRecord(overrides = {}) {
+  return {
+    jobId: 'job-1',
+    type: 'bulk_alt_text',
+    status: 'completed',
+    siteKey: 'site-hash',
+    callback: null,
+    total: 2,
+    completed: 1,
+    failed: 1,
+    progress: 1,
+    items: [
+      { index: 0, id: 'a', attachment_id: '12', status: 'completed', success: true, altText: 'Red bicycle', language: 'en' },
+      { index: 1, id: 'b', attachment_id: null, status: 'failed', success: false, errorCode: 'INVALID_IMAGE' }
+    ],
+    ...overrides
+  };
+}
+
+function createNotifier(supabase, responses) {
+  const fetchImpl = jest.fn();
+  responses.forEach((response) => {
+    if (response instanceof Error) fetchImpl.mockRejectedValueOnce(response);
+    else fetchImpl.mockResolvedValueOnce({ status: response });
+  });
+  const wait = jest.fn().mockResolvedValue(undefined);
+  const notifier = createJobWebhookNotifier({
+    supabase,
+    fetchImpl,
+    wait,
+    maxAttempts: 3,
+    baseDelayMs: 100,
+    allowPrivate: true
+  });
+  return { notifier, fetchImpl, wait };
+}
+
+describe('job webhook deliveries', () => {
+  let supabase;
+
+  beforeEach(() => {
+    supabase = createSupabaseMock();
+  });
+
+  function storeAccountSecret(signingSecret = 'whsec_account') {
+    supabase._tables.job_webhook_settings.push({
+      license_id: LICENSE.id,
+      callback_url: null,
+      progress_events: false,
+      signing_secret: signingSecret
+    });
+  }
+
+  test('posts a signed completion payload to the job callback and logs the delivery', async () => {
+    storeAccountSecret();
+    const { notifier, fetchImpl } = createNotifier(supabase, [200]);
+
+    const outcome = await notifier.notify({
+      event: JOB_WEBHOOK_EVENTS.COMPLETED,
+      record: completedRecord({ callback: { url: CALLBACK_URL, progress: false } }),
+      licenseKey: LICENSE.license_key
+    });
+
+    expect(outcome).toBe('delivered');
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe(CALLBACK_URL);
+    expect(init).toEqual(expect.objectContaining({ method: 'POST', redirect: 'manual' }));
+    expect(init.headers['X-Oppti-Event']).toBe('job.completed');
+
+    // The account secret signs the raw body.
+    expect(verifyJobWebhookSignature('whsec_account', init.body, init.headers[SIGNATURE_HEADER])).toBe(true);
+    expect(verifyJobWebhookSignature('whsec_other', init.body, init.headers[SIGNATURE_HEADER])).toBe(false);
+
+    const payload = JSON.parse(init.body);
+    expect(payload).toEqual(expect.objectContaining({ event: 'job.completed', id: init.headers['X-Oppti-Delivery'] }));
+    expect(payload.data).toEqual(expect.objectContaining({ job_id: 'job-1', status: 'completed', completed: 1, failed: 1 }));
+    expect(payload.data.items).toEqual([
+      expect.objectContaining({ id: 'a', attachment_id: '12', alt_text: 'Red bicycle', status: 'completed' }),
+      expect.objectContaining({ id: 'b', error_code: 'INVALID_IMAGE', status: 'failed' })
+    ]);
+
+    expect(supabase._tables.job_webhook_deliveries).toEqual([expect.objectContaining({
+      license_id: LICENSE.id,
+      job_id: 'job-1',
+      event: 'job.completed',
+      attempt: 1,
+      status: 'delivered',
+      response_status: 200
+    })]);
+  });
+
+  test('never creates settings or a secret while notifying', async () => {
+    const { notifier, fetchImpl } = createNotifier(supabase, [200]);
+    const record = completedRecord();
+
+    await expect(notifier.notify({ event: JOB_WEBHOOK_EVENTS.COMPLETED, record, licenseKey: LICENSE.license_key }))
+      .resolves.toBe('skipped');
+    await expect(notifier.notify({
+      event: JOB_WEBHOOK_EVENTS.ITEM_FINISHED,
+      record,
+      licenseKey: LICENSE.license_key,
+      itemIndex: 0
+    })).resolves.toBe('skipped');
+    // A job callback is not sent until the account has a signing secret.
+    await expect(notifier.notify({
+      event: JOB_WEBHOOK_EVENTS.COMPLETED,
+      record: completedRecord({ callback: { url: CALLBACK_URL, progress: false } }),
+      licenseKey: LICENSE.license_key
+    })).resolves.toBe('skipped');
+
+    expect(fetchImpl).not.toHaveBeenCalled();
+    expect(supabase._tables.job_webhook_settings).toHaveLength(0);
+    expect(supabase._tables.job_webhook_deliveries).toHaveLength(0);
+  });
+
+  test('retries server errors with backoff but gives up on client errors', async () => {
+    storeAccountSecret();
+    const { notifier, wait } = createNotifier(supabase, [503, new Error('socket hang up'), 200]);
+    const record = completedRecord({ callback: { url: CALLBACK_URL, progress: false } });
+
+    await expect(notifier.notify({ event: JOB_WEBHOOK_EVENTS.COMPLETED, record, licenseKey: LICENSE.license_key }))
+      .resolves.toBe('delivered');
+    expect(wait.mock.calls.map(([delay]) => delay)).toEqual([100, 200]);
+    expect(supabase._tables.job_webhook_deliveries.map((row) => [row.attempt, row.status, row.response_status, row.error || null]))
+      .toEqual([
+        [1, 'retrying', 503, 'HTTP 503'],
+        [2, 'retrying', null, 'socket hang up'],
+        [3, 'delivered', 200, null]
+      ]);
+    const deliveryIds = new Set(supabase._tables.job_webhook_deliveries.map((row) => row.delivery_id));
+    expect(deliveryIds.size).toBe(1);
+
+    const rejected = createNotifier(supabase, [410]);
+    await expect(rejected.notifier.notify({ event: JOB_WEBHOOK_EVENTS.FAILED, record, licenseKey: LICENSE.license_key }))
+      .resolves.toBe('failed');
+    expect(rejected.fetchImpl).toHaveBeenCalledTimes(1);
+    expect(supabase._tables.job_webhook_deliveries.at(-1)).toEqual(expect.objectContaining({ status: 'failed', response_status: 410 }));
+  });
+
+  test('falls back to the account default and only sends item events when progress is on', async () => {
+    storeAccountSecret();
+    supabase._tables.job_webhook_settings[0].callback_url = CALLBACK_URL;
+    const { notifier, fetchImpl } = createNotifier(supabase, [200, 200]);
+    const record = completedRecord({ status: 'processing' });
+
+    await expect(notifier.notify({
+      event: JOB_WEBHOOK_EVENTS.ITEM_FINISHED,
+      record,
+      licenseKey: LICENSE.license_key,
+      itemIndex: 0
+    })).resolves.toBe('skipped');
+
+    await notifier.notify({
+      event: JOB_WEBHOOK_EVENTS.ITEM_FINISHED,
+      record: { ...record, callback: { url: 'https://203.0.113.20/progress', progress: true } },
+      licenseKey: LICENSE.license_key,
+      itemIndex: 1
+    });
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe('https://203.0.113.20/progress');
+    const payload = JSON.parse(init.body);
+    expect(payload.data.item).toEqual(expect.objectContaining({ index: 1, id: 'b', status: 'failed' }));
+    expect(payload.data).not.toHaveProperty('items');
+    expect(verifyJobWebhookSignature('whsec_account', init.body, init.headers[SIGNATURE_HEADER])).toBe(true);
+  });
+
+  test('signs with a rotated secret right away', async () => {
+    storeAccountSecret();
+    const { notifier, fetchImpl } = createNotifier(supabase, [200, 200]);
+    const send = () => notifier.notify({
+      event: JOB_WEBHOOK_EVENTS.COMPLETED,
+      record: completedRecord({ callback: { url: CALLBACK_URL, progress: false } }),
+      licenseKey: LICENSE.license_key
+    });
+
+    await send();
+    const rotated = await rotateJobWebhookSecret(supabase, { licenseId: LICENSE.id });
+    await send();
+
+    const [, init] = fetchImpl.mock.calls[1];
+    expect(verifyJobWebhookSignature(rotated.data.signing_secret, init.body, init.headers[SIGNATURE_HEADER])).toBe(true);
+  });
+
+  test('the queue reports jobs that fail for good', async () => {
+    const notify = jest.fn().mockResolvedValue('delivered');
+    const queue = createQueue({
+      redis: null,
+      bulkDispatchMode: 'immediate',
+      bulkRunner: jest.fn().mockRejectedValue(new Error('provider outage')),
+      jobHandler: async () => {},
+      jobWebhooks: { notify }
+    });
+
+    const jobId = await queue.createJob([{ id: 'a', image: { url: 'https://example.com/a.jpg' } }], {}, 'site-hash', {
+      licenseKey: LICENSE.license_key,
+      callback: { url: CALLBACK_URL, progress: false }
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(notify).toHaveBeenCalledWith(expect.objectContaining({
+      event: 'job.failed',
+      licenseKey: LICENSE.license_key,
+      record: expect.objectContaining({ jobId, callback: { url: CALLBACK_URL, progress: false } })
+    }));
+  });
+});
+
+describe('account job webhook settings', () => {
+  let supabase;
+  let app;
+
+  beforeEach(() => {
+    supabase = createSupabaseMock();
+    app = express();
+    app.use(express.json());
+    app.use((req, _res, next) => {
+      req.user = LICENSE;
+      req.license = LICENSE;
+      req.authMethod = 'jwt';
+      next();
+    });
+    app.use('/', createAccountDashboardRouter({ supabase }));
+  });
+
+  test('registers a default callback, rotates the secret and lists deliveries', async () => {
+    const initial = await request(app).get('/me/job-webhook');
+    expect(initial.status).toBe(200);
+    expect(initial.body.webhook).toEqual(expect.objectContaining({ callback_url: null, progress_events: false }));
+    const firstSecret = initial.body.webhook.signing_secret;
+    expect(firstSecret).toMatch(/^whsec_/);
+
+    const saved = await request(app)
+      .put('/me/job-webhook')
+      .send({ callback_url: CALLBACK_URL, progress_events: true });
+    expect(saved.status).toBe(200);
+    expect(saved.body.webhook).toEqual(expect.objectContaining({
+      callback_url: CALLBACK_URL,
+      progress_events: true,
+      signing_secret: firstSecret
+    }));
+
+    const rotated = await request(app).post('/me/job-webhook/rotate-secret');
+    expect(rotated.body.webhook.signing_secret).toMatch(/^whsec_/);
+    expect(rotated.body.webhook.signing_secret).not.toBe(firstSecret);
+
+    supabase._tables.job_webhook_deliveries.push(
+      { license_id: LICENSE.id, job_id: 'job-1', event: 'job.completed', status: 'delivered' },
+      { license_id: 'someone-else', job_id: 'job-2', event: 'job.completed', status: 'delivered' }
+    );
+    const deliveries = await request(app).get('/me/job-webhook/deliveries?job_id=job-1');
+    expect(deliveries.body.deliveries).toEqual([expect.objectContaining({ job_id: 'job-1' })]);
+  });
+
+  test('rejects callback URLs that are not public https endpoints', async () => {
+    for (const callbackUrl of ['http://203.0.113.10/hook', 'https://10.0.0.5/hook', 'https://localhost/hook', 'not a url']) {
+      const response = await request(app).put('/me/job-webhook').send({ callback_url: callbackUrl });
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('INVALID_CALLBACK_URL');
+    }
+    expect(supabase._tables.job_webhook_settings).toHaveLength(0);
+  });
+});
@@ -35,8 +35,14 @@ jest.mock('../../services/quota', () => ({
   finalizeGenerationQuotaReservation: jest.fn().mockResolvedValue({})
 }));
 
+// Images from this host wait until the test opens the gate.
+const mockHeldGenerations = { release: null, gate: Promise.resolve() };
+
 jest.mock('../../lib/openai', () => ({
   generateAltText: jest.fn().mockImplementation(async ({ image }) => {
+    if (image?.url?.startsWith('https://held.example/')) {
+      await mockHeldGenerations.gate;
+    }
     if (image?.url === 'https://fail.example/bad.jpg') {
       const e = new Error('simulated provider failure');
       e.code = 'UPSTREAM_GENERATION_ERROR';
@@ -55,6 +61,7 @@ jest.mock('../../services/usage', () => ({
 }));
 
 jest.mock('../../services/imageAltState', () => ({
+  IMAGE_ALT_STATES: jest.requireActual('../../services/imageAltState').IMAGE_ALT_STATES,
   LEDGER_SYNC_SCOPES: {
     FULL_SITE: 'full_site',
     PARTIAL: 'partial'
@@ -99,18 +106,25 @@ describe('POST /api/jobs bulk pipeline', () => {
   let app;
   let queue;
   let quota;
+  let siteSettings;
+  let jobWebhooks;
 
   beforeEach(() => {
     jest.clearAllMocks();
     process.env.BULK_JOB_DISPATCH = 'immediate';
+    siteSettings = {};
+    jobWebhooks = { notify: jest.fn().mockResolvedValue('delivered') };
 
     const queueHolder = { q: null };
     const supabase = {
-      from: () => ({
+      from: (table) => ({
         select: () => ({
           eq: () => ({
             maybeSingle: () => Promise.resolve({
-              data: { id: '11111111-1111-1111-1111-111111111111' },
+              data: {
+                id: '11111111-1111-1111-1111-111111111111',
+                ...(table === 'sites' ? siteSettings : {})
+              },
               error: null
             })
           })
@@ -122,7 +136,13 @@ describe('POST /api/jobs bulk pipeline', () => {
       supabase,
       getJobRecord: (id) => queueHolder.q.getJobRecord(id),
       setJobRecord: (id, rec) => queueHolder.q.setJobRecord(id, rec),
-      itemConcurrency: 3
+      itemConcurrency: 3,
+      jobControl: {
+        getJobControl: (id) => queueHolder.q.getJobControl(id),
+        parkJob: (job) => queueHolder.q.parkJob(job),
+        unparkJob: (id) => queueHolder.q.unparkJob(id)
+      },
+      jobWebhooks
     });
 
     queue = createQueue({
@@ -145,7 +165,8 @@ describe('POST /api/jobs bulk pipeline', () => {
       checkRateLimit: async () => true,
       getSiteFromHeaders: async () => null,
       createJob: queue.createJob,
-      getJobRecord: queue.getJobRecord
+      getJobRecord: queue.getJobRecord,
+      jobQueue: queue
     }));
   });
 
@@ -393,4 +414,304 @@ describe('POST /api/jobs bulk pipeline', () => {
       scope: 'full_site'
     }));
   });
+
+  test('generates each item in its own language, defaulting to the site language', async () => {
+    const siteReservation = {
+      error: null,
+      reservation: { generation_request_id: null, quota_source: 'site' },
+      site: { id: 'site_1', site_hash: 'bulk-site', license_key: 'test-bulk-license' }
+    };
+    siteSettings = { default_language: 'es' };
+    quota.reserveGenerationQuota
+      .mockResolvedValueOnce(siteReservation)
+      .mockResolvedValueOnce(siteReservation);
+    const { generateAltText } = require('../../lib/openai');
+
+    const res = await request(app)
+      .post('/api/jobs')
+      .set('X-License-Key', 'test-bulk-license')
+      .set('X-Site-Key', 'bulk-site')
+      .send({
+        images: [
+          { id: 'a', image: { url: 'https://example.com/a.jpg', width: 10, height: 10, filename: 'a.jpg' } },
+          { id: 'b', language: 'nl', image: { url: 'https://example.com/b.jpg', width: 10, height: 10, filename: 'b.jpg' } }
+        ]
+      });
+
+    expect(res.status).toBe(202);
+    await flushImmediate();
+    await flushImmediate();
+
+    let job;
+    for (let i = 0; i < 50; i += 1) {
+      await new Promise((r) => setTimeout(r, 20));
+      const st = await request(app).get(`/api/jobs/${res.body.jobId}`);
+      job = st.body;
+      if (job.status === 'completed') break;
+    }
+
+    const languageByFile = Object.fromEntries(generateAltText.mock.calls.map(([args]) => [args.context.filename, args.context.language]));
+    expect(languageByFile).toEqual({ 'a.jpg': 'es', 'b.jpg': 'nl' });
+    expect(job.results.map((result) => result.language).sort()).toEqual(['es', 'nl']);
+  });
+
+  test('passes each item\'s page context and product to generation', async () => {
+    const { generateAltText } = require('../../lib/openai');
+
+    const res = await request(app)
+      .post('/api/jobs')
+      .set('X-License-Key', 'test-bulk-license')
+      .set('X-Site-Key', 'bulk-site')
+      .send({
+        images: [
+          {
+            id: 'a',
+            image: { url: 'https://example.com/a.jpg', width: 10, height: 10, filename: 'a.jpg' },
+            page_context: { heading: 'Blue ceramic mug', product_attributes: { Color: 'Blue' } },
+            product: { name: 'Blue ceramic mug', attributes: { Color: 'Blue' } }
+          },
+          { id: 'b', image: { url: 'https://example.com/b.jpg', width: 10, height: 10, filename: 'b.jpg' } }
+        ]
+      });
+
+    expect(res.status).toBe(202);
+    for (let i = 0; i < 50 && generateAltText.mock.calls.length < 2; i += 1) {
+      await new Promise((r) => setTimeout(r, 20));
+    }
+
+    const pageContextByFile = Object.fromEntries(generateAltText.mock.calls.map(([args]) => [args.context.filename, args.context.pageContext || null]));
+    expect(pageContextByFile['a.jpg']).toEqual(expect.objectContaining({
+      heading: 'Blue ceramic mug',
+      productAttributes: [{ name: 'Color', value: 'Blue' }]
+    }));
+    expect(pageContextByFile['b.jpg']).toBeNull();
+    const productByFile = Object.fromEntries(generateAltText.mock.calls.map(([args]) => [args.context.filename, args.context.product || null]));
+    expect(productByFile['a.jpg']).toEqual(expect.objectContaining({ name: 'Blue ceramic mug' }));
+    expect(productByFile['b.jpg']).toBeNull();
+  });
+
+  test('rejects items with malformed page context', async () => {
+    const res = await request(app)
+      .post('/api/jobs')
+      .set('X-License-Key', 'test-bulk-license')
+      .set('X-Site-Key', 'bulk-site')
+      .send({
+        images: [
+          { image: { url: 'https://example.com/1.jpg', width: 1, height: 1 }, page_context: ['not', 'an', 'object'] }
+        ]
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.page_context).toEqual(['images[0].page_context: page_context must be an object']);
+  });
+
+  test('rejects items with an invalid language tag', async () => {
+    const res = await request(app)
+      .post('/api/jobs')
+      .set('X-License-Key', 'test-bulk-license')
+      .set('X-Site-Key', 'bulk-site')
+      .send({
+        images: [
+          { language: 'not a language', image: { url: 'https://example.com/1.jpg', width: 1, height: 1 } }
+        ]
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('INVALID_REQUEST');
+  });
+
+  test('enforces the site glossary on bulk results and the ledger write', async () => {
+    const siteReservation = {
+      error: null,
+      reservation: { generation_request_id: null, quota_source: 'site' },
+      site: { id: 'site_1', site_hash: 'bulk-site', license_key: 'test-bulk-license' }
+    };
+    quota.reserveGenerationQuota.mockResolvedValueOnce(siteReservation);
+    siteSettings = { glossary: { terms: { wordpress: 'WordPress' } } };
+    const { generateAltText } = require('../../lib/openai');
+    generateAltText.mockResolvedValueOnce({
+      altText: 'Laptop showing the wordpress dashboard',
+      usage: { total_tokens: 10 },
+      meta: { modelUsed: 'gpt-4o-mini' }
+    });
+
+    const res = await request(app)
+      .post('/api/jobs')
+      .set('X-License-Key', 'test-bulk-license')
+      .set('X-Site-Key', 'bulk-site')
+      .send({ images: [{ id: 'a', image: { url: 'https://example.com/a.jpg', width: 10, height: 10 } }] });
+
+    expect(res.status).toBe(202);
+    let job;
+    for (let i = 0; i < 50; i += 1) {
+      await new Promise((r) => setTimeout(r, 20));
+      const st = await request(app).get(`/api/jobs/${res.body.jobId}`);
+      job = st.body;
+      if (job.status === 'completed') break;
+    }
+
+    const violations = [{ rule: 'preferred_term', term: 'wordpress', replacement: 'WordPress', action: 'rewritten' }];
+    expect(generateAltText.mock.calls[0][0].glossary).toEqual(expect.objectContaining({
+      terms: [{ term: 'wordpress', preferred: 'WordPress' }]
+    }));
+    expect(job.results[0]).toEqual(expect.objectContaining({
+      altText: 'Laptop showing the WordPress dashboard',
+      glossary_violations: violations
+    }));
+    expect(imageAltStateService.upsertGeneratedImageAltState).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      altText: 'Laptop showing the WordPress dashboard',
+      metadata: expect.objectContaining({ glossary_violations: violations })
+    }));
+  });
+
+  test('stores the callback on the job and notifies on every item and on completion', async () => {
+    const images = [
+      { id: 'a', image: { url: 'https://example.com/a.jpg', width: 10, height: 10, filename: 'a.jpg' } },
+      { id: 'b', image: { url: 'https://example.com/b.jpg', width: 10, height: 10, filename: 'b.jpg' } }
+    ];
+
+    const invalid = await request(app)
+      .post('/api/jobs')
+      .set('X-License-Key', 'test-bulk-license')
+      .set('X-Site-Key', 'bulk-site')
+      .send({ images, callback_url: 'http://203.0.113.10/hook' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.code).toBe('INVALID_CALLBACK_URL');
+
+    const res = await request(app)
+      .post('/api/jobs')
+      .set('X-License-Key', 'test-bulk-license')
+      .set('X-Site-Key', 'bulk-site')
+      .send({ images, callback_url: 'https://203.0.113.10/hook', callback_progress: true });
+    expect(res.status).toBe(202);
+
+    let job;
+    for (let i = 0; i < 50; i += 1) {
+      await new Promise((r) => setTimeout(r, 20));
+      job = (await request(app).get(`/api/jobs/${res.body.jobId}`)).body;
+      if (job.status === 'completed') break;
+    }
+
+    expect(job.callback).toEqual({ url: 'https://203.0.113.10/hook', progress: true });
+    expect(jobWebhooks.notify.mock.calls.map(([call]) => [call.event, call.itemIndex ?? null])).toEqual([
+      ['job.item_finished', 0],
+      ['job.item_finished', 1],
+      ['job.completed', null]
+    ]);
+    expect(jobWebhooks.notify).toHaveBeenLastCalledWith(expect.objectContaining({
+      licenseKey: 'test-bulk-license',
+      record: expect.objectContaining({ jobId: res.body.jobId, status: 'completed', completed: 2 })
+    }));
+  });
+
+  describe('job control', () => {
+    const openai = require('../../lib/openai');
+
+    // The first item runs alone; the next three (one per item worker) then
+    // block in generation with two more still queued behind them.
+    async function startHeldJob() {
+      mockHeldGenerations.gate = new Promise((resolve) => {
+        mockHeldGenerations.release = resolve;
+      });
+      const images = Array.from({ length: 6 }, (_, i) => ({
+        id: `img-${i}`,
+        image: {
+          url: i >= 1 && i <= 3 ? `https://held.example/${i}.jpg` : `https://example.com/${i}.jpg`,
+          width: 10,
+          height: 10,
+          filename: `h${i}.jpg`
+        }
+      }));
+      const res = await request(app)
+        .post('/api/jobs')
+        .set('X-License-Key', 'test-bulk-license')
+        .set('X-Site-Key', 'bulk-site')
+        .send({ images });
+      expect(res.status).toBe(202);
+
+      for (let i = 0; i < 100 && openai.generateAltText.mock.calls.length < 4; i += 1) {
+        await new Promise((r) => setTimeout(r, 10));
+      }
+      expect(openai.generateAltText).toHaveBeenCalledTimes(4);
+      return res.body.jobId;
+    }
+
+    function control(jobId, action, siteKey = 'bulk-site') {
+      return request(app)
+        .post(`/api/jobs/${jobId}/${action}`)
+        .set('X-License-Key', 'test-bulk-license')
+        .set('X-Site-Key', siteKey);
+    }
+
+    async function waitForStatus(jobId, statuses) {
+      let job;
+      for (let i = 0; i < 80; i += 1) {
+        await new Promise((r) => setTimeout(r, 20));
+        job = (await request(app).get(`/api/jobs/${jobId}`)).body;
+        if (statuses.includes(job.status)) break;
+      }
+      return job;
+    }
+
+    afterEach(() => {
+      if (mockHeldGenerations.release) mockHeldGenerations.release();
+    });
+
+    test('pauses between items and resumes from the first unfinished one', async () => {
+      const jobId = await startHeldJob();
+
+      const paused = await control(jobId, 'pause');
+      expect(paused.status).toBe(200);
+      expect(paused.body).toEqual(expect.objectContaining({ jobId, control: 'paused' }));
+
+      mockHeldGenerations.release();
+      let job = await waitForStatus(jobId, ['paused']);
+      expect(job).toEqual(expect.objectContaining({ status: 'paused', control: 'paused', completed: 4 }));
+      expect(job.items.slice(4).map((item) => item.status)).toEqual(['queued', 'queued']);
+      expect(quota.reserveGenerationQuota).toHaveBeenCalledTimes(4);
+
+      const resumed = await control(jobId, 'resume');
+      expect(resumed.status).toBe(200);
+      expect(resumed.body.control).toBe('running');
+
+      job = await waitForStatus(jobId, ['completed']);
+      expect(job).toEqual(expect.objectContaining({ status: 'completed', completed: 6, percentComplete: 100 }));
+      expect(openai.generateAltText).toHaveBeenCalledTimes(6);
+    });
+
+    test('cancels the rest of the job without reserving credits for it', async () => {
+      const jobId = await startHeldJob();
+
+      await control(jobId, 'cancel', 'other-site').expect(404);
+      const cancelled = await control(jobId, 'cancel');
+      expect(cancelled.status).toBe(200);
+      expect(cancelled.body.control).toBe('cancelled');
+
+      mockHeldGenerations.release();
+      const job = await waitForStatus(jobId, ['cancelled']);
+      expect(job).toEqual(expect.objectContaining({
+        status: 'cancelled',
+        completed: 4,
+        cancelled: 2,
+        percentComplete: 100
+      }));
+      expect(job.items.slice(4).map((item) => item.status)).toEqual(['cancelled', 'cancelled']);
+      expect(quota.reserveGenerationQuota).toHaveBeenCalledTimes(4);
+
+      const again = await control(jobId, 'resume');
+      expect(again.status).toBe(409);
+      expect(again.body.error).toBe('JOB_NOT_ACTIVE');
+    });
+
+    test('cancels a paused job directly', async () => {
+      const jobId = await startHeldJob();
+      await control(jobId, 'pause').expect(200);
+      mockHeldGenerations.release();
+      await waitForStatus(jobId, ['paused']);
+
+      const cancelled = await control(jobId, 'cancel');
+      expect(cancelled.body).toEqual(expect.objectContaining({ status: 'cancelled', cancelled: 2, completed: 4 }));
+      await expect(queue.unparkJob(jobId)).resolves.toBeNull();
+    });
+  });
 });
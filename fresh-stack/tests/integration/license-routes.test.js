@@ -53,10 +53,10 @@ const FULL_LICENSE_ROW = {
 
 const SITE = { id: 'site-row-1', site_hash: 'site-1', site_url: 'https://example.com' };
 
-function buildApp() {
+function buildApp(supabase = {}) {
   const app = express();
   app.use(express.json());
-  app.use('/license', createLicenseRouter({ supabase: {} }));
+  app.use('/license', createLicenseRouter({ supabase }));
   return app;
 }
 
@@ -152,3 +152,42 @@ describe('license routes response sanitisation', () => {
     expect(res.body.license).toBeUndefined();
   });
 });
+
+describe('site glossary routes', () => {
+  test('PUT /license/sites/:site_id/glossary stores the normalized glossary', async () => {
+    const update = jest.fn();
+    const chain = {
+      update: (payload) => { update(payload); return chain; },
+      eq: () => chain,
+      select: () => chain,
+      maybeSingle: () => Promise.resolve({ data: { site_hash: 'site-1' }, error: null })
+    };
+    const supabase = { from: () => chain };
+
+    const res = await request(buildApp(supabase))
+      .put('/license/sites/site-1/glossary')
+      .set('X-License-Key', 'key-123')
+      .send({ glossary: { terms: { wordpress: 'WordPress' }, banned_terms: ['Wix'] } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.glossary).toEqual({
+      terms: [{ term: 'wordpress', preferred: 'WordPress' }],
+      required_keywords: [],
+      banned_terms: ['Wix']
+    });
+    expect(update).toHaveBeenCalledWith(expect.objectContaining({ glossary: res.body.glossary }));
+  });
+
+  test('PUT /license/sites/:site_id/glossary rejects malformed entries', async () => {
+    const res = await request(buildApp())
+      .put('/license/sites/site-1/glossary')
+      .set('X-License-Key', 'key-123')
+      .send({ glossary: { required_keywords: 'Acme' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual(expect.objectContaining({
+      code: 'INVALID_GLOSSARY',
+      details: ['required_keywords must be an array of strings']
+    }));
+  });
+});
@@ -0,0 +1,208 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../lib/email', () => ({
+  sendMagicLinkEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'email-1' }),
+  sendPasswordResetEmail: jest.fn(),
+  sendTeamInvitationEmail: jest.fn(),
+  isAvailable: () => true
+}));
+
+jest.mock('../../../src/services/loops', () => ({
+  trackAccountCreated: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../services/pluginConnections', () => ({
+  recordPluginConnection: jest.fn().mockResolvedValue({ isFirstConnection: false, error: null })
+}));
+
+jest.mock('../../services/quota', () => ({
+  getQuotaStatus: jest.fn().mockResolvedValue({ error: 'QUOTA_UNAVAILABLE' })
+}));
+
+jest.mock('../../services/siteQuota', () => ({
+  ensureSiteMembership: jest.fn(),
+  fetchAccountByLicenseKey: jest.fn(),
+  recordSiteAudit: jest.fn(),
+  resolveCanonicalSite: jest.fn().mockResolvedValue({ error: 'SITE_LOOKUP_FAILED' }),
+  syncLegacySitePointers: jest.fn()
+}));
+
+const { sendMagicLinkEmail } = require('../../lib/email');
+const { createAuthRouter } = require('../../routes/auth');
+const { hashMagicLinkToken } = require('../../services/magicLinks');
+const { resolveCanonicalSite } = require('../../services/siteQuota');
+
+const USER = {
+  id: 'user-uuid-1',
+  email: 'owner@example.com',
+  license_key: 'license-1',
+  plan: 'free',
+  status: 'active',
+  password_hash: 'not-used'
+};
+
+// In-memory tables with the query surface the magic link, session and 2FA
+// services use.
+function createSupabaseMock() {
+  const tables = {
+    licenses: [{ ...USER }],
+    auth_sessions: [],
+    auth_magic_links: [],
+    account_two_factor: []
+  };
+  let sequence = 0;
+
+  function buildQuery(table, { patch = null } = {}) {
+    const filters = [];
+    const query = {
+      select: () => query,
+      eq(column, value) {
+        filters.push((row) => row[column] === value);
+        return query;
+      },
+      is(column, value) {
+        filters.push((row) => (row[column] ?? null) === value);
+        return query;
+      },
+      async maybeSingle() {
+        const rows = await query;
+        return { data: rows.data[0] || null, error: null };
+      },
+      then(resolve, reject) {
+        const rows = tables[table].filter((row) => filters.every((filter) => filter(row)));
+        if (patch) rows.forEach((row) => Object.assign(row, patch));
+        return Promise.resolve({ data: rows.map((row) => ({ ...row })), error: null }).then(resolve, reject);
+      }
+    };
+    return query;
+  }
+
+  return {
+    _tables: tables,
+    from(table) {
+      if (!tables[table]) throw new Error(`Unexpected table ${table}`);
+      return {
+        select: () => buildQuery(table),
+        update: (patch) => buildQuery(table, { patch }),
+        insert(payload) {
+          sequence += 1;
+          const row = { id: `${table}-${sequence}`, created_at: new Date(Date.now()).toISOString(), ...payload };
+          tables[table].push(row);
+          return { select: () => ({ maybeSingle: async () => ({ data: { ...row }, error: null }) }) };
+        }
+      };
+    }
+  };
+}
+
+describe('magic link login', () => {
+  let supabase;
+  let app;
+  let clock;
+
+  const requestLink = (body = { email: USER.email }) => request(app).post('/auth/magic-link').send(body);
+  const verify = (token, body = {}) => request(app).post('/auth/magic-link/verify').send({ token, ...body });
+  const lastToken = () => {
+    const { loginUrl } = sendMagicLinkEmail.mock.calls[sendMagicLinkEmail.mock.calls.length - 1][0];
+    return new URL(loginUrl).searchParams.get('token');
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    supabase = createSupabaseMock();
+    app = express();
+    app.use(express.json());
+    app.use('/auth', createAuthRouter({ supabase }));
+    clock = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => clock);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('emails a single-use link that opens a session', async () => {
+    const unknown = await requestLink({ email: 'nobody@example.com' });
+    const known = await requestLink();
+    expect(unknown.status).toBe(200);
+    expect(known.body).toEqual(unknown.body);
+    expect(sendMagicLinkEmail).toHaveBeenCalledTimes(1);
+    expect(sendMagicLinkEmail).toHaveBeenCalledWith(expect.objectContaining({ to: USER.email }));
+
+    const token = lastToken();
+    expect(token).toMatch(/^oml_[0-9a-f]{64}$/);
+    expect(supabase._tables.auth_magic_links[0].token_hash).toBe(hashMagicLinkToken(token));
+    expect(JSON.stringify(supabase._tables.auth_magic_links)).not.toContain(token);
+
+    const login = await verify(token);
+    expect(login.status).toBe(200);
+    expect(login.body).toEqual(expect.objectContaining({
+      success: true,
+      refresh_token: expect.stringMatching(/^ort_/),
+      user: expect.objectContaining({ id: USER.id })
+    }));
+    expect(jwt.decode(login.body.token)).toEqual(expect.objectContaining({ user_id: USER.id, sid: expect.any(String) }));
+
+    const reused = await verify(token);
+    expect(reused.status).toBe(401);
+    expect(reused.body.code).toBe('INVALID_MAGIC_LINK');
+  });
+
+  test('a newer link replaces the old one and links expire', async () => {
+    await requestLink();
+    const first = lastToken();
+    await requestLink();
+    expect(sendMagicLinkEmail).toHaveBeenCalledTimes(1);
+
+    clock += 61 * 1000;
+    await requestLink();
+    expect(sendMagicLinkEmail).toHaveBeenCalledTimes(2);
+    const second = lastToken();
+    expect((await verify(first)).body.code).toBe('INVALID_MAGIC_LINK');
+
+    clock += 16 * 60 * 1000;
+    const expired = await verify(second);
+    expect(expired.status).toBe(401);
+    expect(expired.body.code).toBe('MAGIC_LINK_EXPIRED');
+  });
+
+  test('site fields sent with the request are not linked to the account', async () => {
+    // Anyone can ask for a link to any email; the owner opens it without site fields.
+    await requestLink({ email: USER.email, site_hash: 'attacker-site', site_url: 'https://attacker.example.com' });
+    const login = await verify(lastToken());
+    expect(login.status).toBe(200);
+    expect(login.body.site).toBeNull();
+    expect(resolveCanonicalSite).not.toHaveBeenCalled();
+    expect(JSON.stringify(supabase._tables.auth_magic_links)).not.toContain('attacker');
+  });
+
+  test('links the site the verifying client sends and still asks for the second factor', async () => {
+    await requestLink();
+    const login = await verify(lastToken(), { site_hash: 'site-hash-123', site_url: 'https://shop.example.com' });
+    expect(login.status).toBe(200);
+    expect(resolveCanonicalSite).toHaveBeenCalledWith(
+      supabase,
+      expect.objectContaining({ siteHash: 'site-hash-123', canonicalDomain: 'shop.example.com' }),
+      expect.objectContaining({ account: expect.objectContaining({ id: USER.id }) })
+    );
+
+    supabase._tables.account_two_factor.push({ user_id: USER.id, secret: 'JBSWY3DPEHPK3PXP', enabled_at: new Date().toISOString() });
+    clock += 61 * 1000;
+    await requestLink();
+    const challenged = await verify(lastToken());
+    expect(challenged.status).toBe(200);
+    expect(challenged.body).toEqual(expect.objectContaining({ two_factor_required: true, challenge_token: expect.any(String) }));
+    expect(challenged.body.token).toBeUndefined();
+  });
+});
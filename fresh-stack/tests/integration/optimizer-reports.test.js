@@ -0,0 +1,223 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { createOptimizerRouter } = require('../../routes/optimizer');
+const { createReportsRouter } = require('../../routes/reports');
+const { buildAuditSnapshot } = require('../../services/optimizerAudit');
+const { resolveOptimizerReportShare } = require('../../services/optimizerReport');
+
+const DONE_ID = '11111111-1111-4111-8111-111111111111';
+const RUNNING_ID = '22222222-2222-4222-8222-222222222222';
+
+const snapshot = buildAuditSnapshot([
+  {
+    url: 'https://example.com/',
+    title: 'Home',
+    links: ['https://example.com/about'],
+    signals: { metaDescription: 'Welcome', canonical: 'https://example.com/', schemaTypes: ['WebSite'] }
+  },
+  {
+    url: 'https://example.com/about',
+    title: 'About <us>',
+    links: [],
+    signals: { metaDescription: null, canonical: null, schemaTypes: [] }
+  }
+], [
+  { pageUrl: 'https://example.com/', src: 'https://example.com/hero.jpg', alt: 'Cyclist riding at sunrise', score: 100 },
+  { pageUrl: 'https://example.com/about', src: 'https://example.com/team.jpg', alt: null, score: 0 },
+  { pageUrl: 'https://example.com/about', src: 'https://example.com/IMG_0042.jpg', alt: '=IMG_0042', score: 55 }
+]);
+
+const rows = [
+  {
+    id: DONE_ID,
+    site_hash: 'site-1',
+    site_url: 'https://example.com/',
+    status: 'completed',
+    created_at: new Date().toISOString(),
+    error_code: null,
+    result_json: {
+      siteUrl: 'https://example.com/',
+      normalizedDomain: 'example.com',
+      completedAt: '2026-10-19T10:00:00.000Z',
+      overallScore: 72,
+      pagesScanned: 2,
+      imagesScanned: 3,
+      categories: {
+        images: { score: 40, summary: '1 of 3 images are invisible.', findings: ['1 images have no description'] },
+        seo: { score: 80, summary: 'Mostly fine.', findings: ['1 pages have no description'] }
+      },
+      opportunities: [{ cat: 'images', level: 'critical', issue: 'Generate missing image descriptions', detail: '1 images missing descriptions' }],
+      snapshot
+    }
+  },
+  {
+    id: RUNNING_ID,
+    site_hash: 'site-1',
+    site_url: 'https://example.com/',
+    status: 'running',
+    created_at: new Date().toISOString(),
+    error_code: null,
+    result_json: null
+  }
+];
+
+// getOptimizerAudit reads optimizer_audits by id: select().eq('id', x).maybeSingle().
+function makeSupabase() {
+  return {
+    from() {
+      let id = null;
+      const query = {
+        select() { return query; },
+        eq(_column, value) { id = value; return query; },
+        maybeSingle() { return Promise.resolve({ data: rows.find((r) => r.id === id) || null, error: null }); }
+      };
+      return query;
+    }
+  };
+}
+
+function buildApp() {
+  const supabase = makeSupabase();
+  const app = express();
+  app.use(express.json());
+  app.use('/api/optimizer', createOptimizerRouter({ supabase }));
+  app.use('/reports', createReportsRouter({ supabase }));
+  return app;
+}
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('optimizer report export and share links', () => {
+  const originalSecret = process.env.REPORT_SHARE_SECRET;
+
+  beforeEach(() => {
+    process.env.REPORT_SHARE_SECRET = 'test-share-secret';
+  });
+
+  afterAll(() => {
+    if (originalSecret === undefined) delete process.env.REPORT_SHARE_SECRET;
+    else process.env.REPORT_SHARE_SECRET = originalSecret;
+  });
+
+  test('exports every page finding and image verdict as JSON and CSV', async () => {
+    const app = buildApp();
+
+    const json = await request(app).get(`/api/optimizer/audit/${DONE_ID}?format=json`);
+    expect(json.status).toBe(200);
+    expect(json.headers['content-disposition']).toBe('attachment; filename="site-audit-example.com-2026-10-19.json"');
+    const report = JSON.parse(json.text);
+    expect(report.overallScore).toBe(72);
+    expect(report.pages).toEqual([
+      expect.objectContaining({ url: 'https://example.com/', findings: [] }),
+      expect.objectContaining({
+        url: 'https://example.com/about',
+        findings: [
+          'Missing meta description',
+          'Missing canonical URL',
+          'No structured data',
+          '1 image missing alt text',
+          '1 image with weak alt text'
+        ]
+      })
+    ]);
+    expect(report.images).toEqual([
+      expect.objectContaining({ src: 'https://example.com/hero.jpg', verdict: 'Strong', score: 100 }),
+      expect.objectContaining({ src: 'https://example.com/team.jpg', verdict: 'Missing', score: 0, issues: ['Missing alt text'] }),
+      expect.objectContaining({ src: 'https://example.com/IMG_0042.jpg', verdict: 'Needs review', issues: ['Too short to be useful'] })
+    ]);
+
+    const csv = await request(app).get(`/api/optimizer/audit/${DONE_ID}?format=csv`);
+    expect(csv.status).toBe(200);
+    expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+    const lines = csv.text.trim().split('\r\n');
+    expect(lines[0]).toBe('"type","category","page_url","image_src","alt_text","score","verdict","finding"');
+    expect(lines).toContain('"page","","https://example.com/about","","","","","Missing canonical URL"');
+    // Formula-looking alt text is neutralised for spreadsheets.
+    expect(csv.text).toContain('"\'=IMG_0042"');
+
+    const pdf = await request(app).get(`/api/optimizer/audit/${DONE_ID}?format=pdf`).buffer(true).parse(binaryParser);
+    expect(pdf.status).toBe(200);
+    expect(pdf.headers['content-type']).toBe('application/pdf');
+    expect(pdf.body.subarray(0, 4).toString()).toBe('%PDF');
+  });
+
+  test('refuses exports of unfinished audits and unknown formats', async () => {
+    const app = buildApp();
+
+    const running = await request(app).get(`/api/optimizer/audit/${RUNNING_ID}?format=csv`);
+    expect(running.status).toBe(409);
+    expect(running.body.error).toBe('AUDIT_NOT_COMPLETED');
+
+    const badFormat = await request(app).get(`/api/optimizer/audit/${DONE_ID}?format=xlsx`);
+    expect(badFormat.status).toBe(400);
+
+    const poll = await request(app).get(`/api/optimizer/audit/${DONE_ID}`);
+    expect(poll.body.result.overallScore).toBe(72);
+    expect(poll.body.result.snapshot).toBeUndefined();
+  });
+
+  test('a share link renders the report publicly until it expires', async () => {
+    const app = buildApp();
+
+    const created = await request(app)
+      .post(`/api/optimizer/audit/${DONE_ID}/share`)
+      .set('X-Site-Hash', 'site-1')
+      .send({ expiresInDays: 3 });
+    expect(created.status).toBe(201);
+    const path = new URL(created.body.url).pathname;
+    expect(path).toMatch(new RegExp(`^/reports/optimizer/${DONE_ID}\\.\\d+\\.`));
+
+    const page = await request(app).get(path);
+    expect(page.status).toBe(200);
+    expect(page.headers['content-type']).toMatch(/^text\/html/);
+    expect(page.headers['referrer-policy']).toBe('no-referrer');
+    expect(page.text).toContain('example.com');
+    expect(page.text).toContain('About &lt;us&gt;');
+    expect(page.text).not.toContain('About <us>');
+
+    const csv = await request(app).get(`${path}?format=csv`);
+    expect(csv.status).toBe(200);
+    expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+
+    const tampered = await request(app).get(path.replace(/.$/, (c) => (c === 'A' ? 'B' : 'A')));
+    expect(tampered.status).toBe(404);
+
+    const token = path.split('/').pop();
+    const later = new Date(Date.now() + 4 * 24 * 60 * 60 * 1000);
+    await expect(resolveOptimizerReportShare(token, { supabase: makeSupabase(), now: later }))
+      .resolves.toEqual(expect.objectContaining({ error: 'SHARE_LINK_EXPIRED', status: 410 }));
+  });
+
+  test('only the audited site can share a completed audit', async () => {
+    const app = buildApp();
+
+    const otherSite = await request(app).post(`/api/optimizer/audit/${DONE_ID}/share`).set('X-Site-Hash', 'site-2').send({});
+    expect(otherSite.status).toBe(403);
+    expect(otherSite.body.error).toBe('AUDIT_SITE_MISMATCH');
+
+    const running = await request(app).post(`/api/optimizer/audit/${RUNNING_ID}/share`).set('X-Site-Hash', 'site-1').send({});
+    expect(running.status).toBe(409);
+
+    const tooLong = await request(app).post(`/api/optimizer/audit/${DONE_ID}/share`).set('X-Site-Hash', 'site-1').send({ expiresInDays: 90 });
+    expect(tooLong.status).toBe(400);
+
+    delete process.env.REPORT_SHARE_SECRET;
+    const previousJwt = process.env.JWT_SECRET;
+    delete process.env.JWT_SECRET;
+    const unconfigured = await request(app).post(`/api/optimizer/audit/${DONE_ID}/share`).set('X-Site-Hash', 'site-1').send({});
+    if (previousJwt !== undefined) process.env.JWT_SECRET = previousJwt;
+    expect(unconfigured.status).toBe(503);
+  });
+});
@@ -0,0 +1,279 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { createOptimizerRouter } = require('../../routes/optimizer');
+const { runDueOptimizerAudits } = require('../../services/optimizerSchedule');
+
+const NOW = new Date('2026-10-19T12:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysFromNow(days) {
+  return new Date(NOW.getTime() + days * DAY_MS).toISOString();
+}
+
+// In-memory tables with the PostgREST query surface the schedule service uses.
+function createSupabaseMock(seed = {}) {
+  const tables = {
+    sites: [],
+    licenses: [],
+    optimizer_audits: [],
+    optimizer_audit_schedules: [],
+    ...seed
+  };
+
+  function buildQuery(table, { patch = null, head = false } = {}) {
+    const filters = [];
+    let order = null;
+    let limit = null;
+
+    const query = {
+      select: () => query,
+      eq(column, value) {
+        filters.push((row) => row[column] === value);
+        return query;
+      },
+      neq(column, value) {
+        filters.push((row) => row[column] !== value);
+        return query;
+      },
+      lte(column, value) {
+        filters.push((row) => row[column] !== null && row[column] <= value);
+        return query;
+      },
+      gte(column, value) {
+        filters.push((row) => row[column] !== null && row[column] >= value);
+        return query;
+      },
+      order(column, options = {}) {
+        order = { column, ascending: options.ascending !== false };
+        return query;
+      },
+      limit(value) {
+        limit = value;
+        return query;
+      },
+      async maybeSingle() {
+        const { data } = await query;
+        return { data: data[0] || null, error: null };
+      },
+      then(resolve, reject) {
+        let rows = tables[table].filter((row) => filters.every((filter) => filter(row)));
+        if (patch) rows.forEach((row) => Object.assign(row, patch));
+        if (order) {
+          rows = [...rows].sort((a, b) => (a[order.column] < b[order.column] ? -1 : 1) * (order.ascending ? 1 : -1));
+        }
+        if (limit !== null) rows = rows.slice(0, limit);
+        const result = head
+          ? { data: null, count: rows.length, error: null }
+          : { data: rows.map((row) => ({ ...row })), error: null };
+        return Promise.resolve(result).then(resolve, reject);
+      }
+    };
+    return query;
+  }
+
+  return {
+    _tables: tables,
+    from(table) {
+      if (!tables[table]) throw new Error(`Unexpected table ${table}`);
+      return {
+        select: (_columns, options = {}) => buildQuery(table, { head: Boolean(options.head) }),
+        update: (patch) => buildQuery(table, { patch }),
+        upsert(payload) {
+          let row = tables[table].find((existing) => existing.site_hash === payload.site_hash);
+          if (row) Object.assign(row, payload);
+          else {
+            row = { last_run_at: null, last_audit_id: null, last_error: null, ...payload };
+            tables[table].push(row);
+          }
+          return buildQuery(table).eq('site_hash', payload.site_hash);
+        }
+      };
+    }
+  };
+}
+
+function paidSite(siteHash, plan = 'pro') {
+  return {
+    sites: { site_hash: siteHash, license_key: `key-${siteHash}` },
+    licenses: { license_key: `key-${siteHash}`, plan, status: 'active' }
+  };
+}
+
+function schedule(siteHash, frequency, nextRunAt) {
+  return {
+    site_hash: siteHash,
+    site_url: `https://${siteHash}.example/`,
+    frequency,
+    next_run_at: nextRunAt,
+    last_run_at: null,
+    last_audit_id: null,
+    last_error: null
+  };
+}
+
+describe('scheduled optimizer audits', () => {
+  test('starts due audits oldest first, up to the global running cap, at the plan frequency', async () => {
+    const pro = paidSite('pro-site');
+    const supabase = createSupabaseMock({
+      sites: [pro.sites],
+      licenses: [pro.licenses],
+      // One scheduled audit is already running elsewhere; one is a stale leftover.
+      optimizer_audits: [
+        { id: 'a1', source: 'scheduled', status: 'running', created_at: new Date(NOW.getTime() - 60 * 1000).toISOString() },
+        { id: 'a2', source: 'scheduled', status: 'running', created_at: daysFromNow(-1) }
+      ],
+      optimizer_audit_schedules: [
+        // Weekly stored on a free site (downgraded) runs monthly.
+        schedule('free-site', 'weekly', daysFromNow(-2)),
+        schedule('pro-site', 'weekly', daysFromNow(-1)),
+        schedule('later-site', 'monthly', daysFromNow(3)),
+        schedule('off-site', 'off', null)
+      ]
+    });
+    const startAudit = jest.fn(({ siteHash }) => ({ auditId: `audit-${siteHash}` }));
+
+    const first = await runDueOptimizerAudits({
+      supabase,
+      startAudit,
+      checkRateLimit: () => true,
+      maxConcurrent: 2,
+      now: NOW
+    });
+
+    expect(first).toEqual({ started: 1, rateLimited: 0, skipped: 0 });
+    expect(startAudit).toHaveBeenCalledWith({
+      siteUrl: 'https://free-site.example/',
+      siteHash: 'free-site',
+      supabase,
+      source: 'scheduled'
+    });
+    const [freeRow, proRow] = supabase._tables.optimizer_audit_schedules;
+    expect(freeRow).toEqual(expect.objectContaining({
+      next_run_at: daysFromNow(30),
+      last_run_at: NOW.toISOString(),
+      last_audit_id: 'audit-free-site'
+    }));
+    expect(proRow.next_run_at).toBe(daysFromNow(-1));
+
+    // With room under the cap the paid site goes next, on a weekly cadence.
+    supabase._tables.optimizer_audits = [];
+    await runDueOptimizerAudits({ supabase, startAudit, checkRateLimit: () => true, maxConcurrent: 2, now: NOW });
+    expect(startAudit).toHaveBeenCalledTimes(2);
+    expect(proRow.next_run_at).toBe(daysFromNow(7));
+    expect(supabase._tables.optimizer_audit_schedules[2].last_run_at).toBeNull();
+  });
+
+  test('defers a site over the per-site audit rate limit by an hour', async () => {
+    const supabase = createSupabaseMock({
+      optimizer_audit_schedules: [schedule('busy-site', 'monthly', daysFromNow(-1))]
+    });
+    const startAudit = jest.fn();
+    const checkRateLimit = jest.fn().mockReturnValue(false);
+
+    const summary = await runDueOptimizerAudits({ supabase, startAudit, checkRateLimit, now: NOW });
+
+    expect(summary).toEqual({ started: 0, rateLimited: 1, skipped: 0 });
+    expect(checkRateLimit).toHaveBeenCalledWith('busy-site');
+    expect(startAudit).not.toHaveBeenCalled();
+    expect(supabase._tables.optimizer_audit_schedules[0]).toEqual(expect.objectContaining({
+      next_run_at: new Date(NOW.getTime() + 60 * 60 * 1000).toISOString(),
+      last_error: 'RATE_LIMIT_EXCEEDED'
+    }));
+  });
+});
+
+describe('optimizer schedule API', () => {
+  function buildApp(supabase) {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/optimizer', createOptimizerRouter({ supabase }));
+    return app;
+  }
+
+  test('free sites can schedule monthly audits but weekly needs a paid plan', async () => {
+    const supabase = createSupabaseMock();
+    const app = buildApp(supabase);
+
+    const initial = await request(app).get('/api/optimizer/schedule').set('X-Site-Hash', 'free-site');
+    expect(initial.status).toBe(200);
+    expect(initial.body.schedule).toEqual(expect.objectContaining({
+      plan: 'free',
+      frequency: 'off',
+      allowedFrequencies: ['off', 'monthly'],
+      nextRunAt: null
+    }));
+
+    const weekly = await request(app)
+      .put('/api/optimizer/schedule')
+      .set('X-Site-Hash', 'free-site')
+      .set('X-Site-URL', 'https://free-site.example')
+      .send({ frequency: 'weekly' });
+    expect(weekly.status).toBe(403);
+    expect(weekly.body.error).toBe('PLAN_UPGRADE_REQUIRED');
+
+    const monthly = await request(app)
+      .put('/api/optimizer/schedule')
+      .set('X-Site-Hash', 'free-site')
+      .set('X-Site-URL', 'https://free-site.example')
+      .send({ frequency: 'monthly' });
+    expect(monthly.status).toBe(200);
+    expect(monthly.body.schedule).toEqual(expect.objectContaining({
+      siteUrl: 'https://free-site.example/',
+      frequency: 'monthly',
+      effectiveFrequency: 'monthly'
+    }));
+    // No audits yet, so the first scheduled run is due straight away.
+    expect(new Date(monthly.body.schedule.nextRunAt).getTime()).toBeLessThanOrEqual(Date.now());
+  });
+
+  test('paid sites can go weekly, picking up from their latest audit', async () => {
+    const pro = paidSite('pro-site', 'agency');
+    const lastAudit = new Date(Date.now() - 2 * DAY_MS).toISOString();
+    const supabase = createSupabaseMock({
+      sites: [pro.sites],
+      licenses: [pro.licenses],
+      optimizer_audits: [{ id: 'a1', site_hash: 'pro-site', status: 'completed', created_at: lastAudit, completed_at: lastAudit }]
+    });
+    const app = buildApp(supabase);
+
+    const response = await request(app)
+      .put('/api/optimizer/schedule')
+      .set('X-Site-Hash', 'pro-site')
+      .send({ frequency: 'weekly', siteUrl: 'pro-site.example' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.schedule).toEqual(expect.objectContaining({
+      plan: 'agency',
+      frequency: 'weekly',
+      allowedFrequencies: ['off', 'weekly', 'monthly'],
+      nextRunAt: new Date(new Date(lastAudit).getTime() + 7 * DAY_MS).toISOString()
+    }));
+
+    const off = await request(app).put('/api/optimizer/schedule').set('X-Site-Hash', 'pro-site').send({ frequency: 'off' });
+    expect(off.body.schedule).toEqual(expect.objectContaining({ frequency: 'off', nextRunAt: null }));
+  });
+
+  test('rejects unknown frequencies and requests without a site', async () => {
+    const app = buildApp(createSupabaseMock());
+
+    const invalid = await request(app).put('/api/optimizer/schedule').set('X-Site-Hash', 's').send({ frequency: 'daily' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('VALIDATION_ERROR');
+
+    const noSite = await request(app).get('/api/optimizer/schedule');
+    expect(noSite.status).toBe(400);
+    expect(noSite.body.error).toBe('SITE_HASH_REQUIRED');
+
+    const noUrl = await request(app).put('/api/optimizer/schedule').set('X-Site-Hash', 's').send({ frequency: 'monthly' });
+    expect(noUrl.status).toBe(400);
+    expect(noUrl.body.error).toBe('SITE_URL_REQUIRED');
+  });
+});
@@ -0,0 +1,288 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { createAdminRouter } = require('../../routes/admin');
+const { describePromptTemplate } = require('../../lib/promptTemplates');
+const { IMAGE_ALT_STATES, upsertGeneratedImageAltState } = require('../../services/imageAltState');
+const { applyReviewDecisions } = require('../../services/reviewQueue');
+const { clearPromptTemplateCache, resolvePromptTemplate } = require('../../services/promptTemplates');
+
+const UNIQUE_KEYS = {
+  prompt_templates: (row) => `${row.template_key}:${row.version}`,
+  prompt_experiments: (row) => row.experiment_key
+};
+
+function matchesPartial(value, expected) {
+  if (expected && typeof expected === 'object') {
+    return Boolean(value) && Object.entries(expected).every(([key, inner]) => matchesPartial(value[key], inner));
+  }
+  return value === expected;
+}
+
+// In-memory tables with the PostgREST query surface the registry, ledger and
+// review queue use.
+function createSupabaseMock() {
+  const tables = {
+    prompt_templates: [],
+    prompt_template_assignments: [],
+    prompt_experiments: [],
+    usage_logs: [],
+    image_alt_states: [],
+    image_alt_revisions: []
+  };
+  let sequence = 0;
+
+  function buildQuery(table, { action = 'select', values = null } = {}) {
+    const filters = [];
+    let window = null;
+
+    function apply() {
+      const matched = tables[table].filter((row) => filters.every((filter) => filter(row)));
+      if (action === 'update') matched.forEach((row) => Object.assign(row, values));
+      if (action === 'delete') tables[table] = tables[table].filter((row) => !matched.includes(row));
+      return (window ? matched.slice(...window) : matched).map((row) => ({ ...row }));
+    }
+
+    const query = {
+      select: () => query,
+      eq(column, value) {
+        filters.push((row) => row[column] === value);
+        return query;
+      },
+      in(column, list) {
+        filters.push((row) => list.includes(row[column]));
+        return query;
+      },
+      contains(column, value) {
+        filters.push((row) => matchesPartial(row[column], value));
+        return query;
+      },
+      order: () => query,
+      limit: () => query,
+      range(from, to) {
+        window = [from, to + 1];
+        return query;
+      },
+      async maybeSingle() {
+        return { data: apply()[0] || null, error: null };
+      },
+      then(resolve, reject) {
+        return Promise.resolve({ data: apply(), error: null, count: null }).then(resolve, reject);
+      }
+    };
+    return query;
+  }
+
+  function insertRow(table, payload) {
+    const uniqueKey = UNIQUE_KEYS[table];
+    const conflict = uniqueKey && tables[table].some((row) => uniqueKey(row) === uniqueKey(payload));
+    const runningConflict = table === 'prompt_experiments'
+      && tables[table].some((row) => row.template_key === payload.template_key && row.status === 'running');
+    if (conflict || runningConflict) {
+      return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+    }
+    sequence += 1;
+    const row = { id: `${table}_${sequence}`, created_at: new Date(Date.UTC(2026, 9, 19, 10, sequence)).toISOString(), ...payload };
+    tables[table].push(row);
+    return { data: { ...row }, error: null };
+  }
+
+  return {
+    _tables: tables,
+    from(table) {
+      if (!tables[table]) throw new Error(`Unexpected table ${table}`);
+      return {
+        select: () => buildQuery(table),
+        update: (values) => buildQuery(table, { action: 'update', values }),
+        delete: () => buildQuery(table, { action: 'delete' }),
+        insert(payload) {
+          const result = insertRow(table, payload);
+          return { select: () => ({ maybeSingle: async () => result }) };
+        },
+        upsert(payload, { onConflict } = {}) {
+          const columns = (onConflict || '').split(',');
+          const existing = tables[table].find((row) => columns.every((column) => row[column] === payload[column]));
+          const row = existing ? Object.assign(existing, payload) : insertRow(table, payload).data;
+          const result = { data: { ...row }, error: null };
+          return {
+            select: () => ({ maybeSingle: async () => result }),
+            then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+          };
+        }
+      };
+    }
+  };
+}
+
+function buildApp(supabase) {
+  const app = express();
+  app.use(express.json());
+  app.use('/admin', createAdminRouter({ supabase, redis: null, resultCache: new Map() }));
+  return app;
+}
+
+// What the alt-text routes do after a generation: usage row plus ledger write.
+async function recordGeneration(supabase, { siteHash, attachmentId }) {
+  const { template, assignment } = await resolvePromptTemplate(supabase, { key: 'alt_text', plan: 'pro', unitKey: siteHash });
+  const prompt = describePromptTemplate(template, assignment);
+  supabase._tables.usage_logs.push({ status: 'success', prompt_template: prompt.template, prompt_version: prompt.version, prompt_experiment: prompt.experiment });
+  await upsertGeneratedImageAltState(supabase, {
+    siteId: siteHash,
+    image: { attachment_id: attachmentId },
+    altText: `Generated alt ${attachmentId}`,
+    state: IMAGE_ALT_STATES.NEEDS_REVIEW,
+    metadata: { prompt },
+    revision: { source: 'api/alt-text', metadata: { prompt } }
+  });
+  return prompt;
+}
+
+describe('prompt template registry admin API', () => {
+  const originalAdminKey = process.env.ADMIN_KEY;
+  let supabase;
+  let app;
+
+  beforeEach(() => {
+    process.env.ADMIN_KEY = 'admin-secret';
+    clearPromptTemplateCache();
+    supabase = createSupabaseMock();
+    app = buildApp(supabase);
+  });
+
+  afterAll(() => {
+    if (originalAdminKey === undefined) delete process.env.ADMIN_KEY;
+    else process.env.ADMIN_KEY = originalAdminKey;
+  });
+
+  const admin = (method, path) => request(app)[method](path).set('X-Admin-Key', 'admin-secret').set('X-Admin-Actor', 'ops@example.com');
+
+  test('stores template versions and pins them per scope', async () => {
+    const created = await admin('post', '/admin/prompt-templates').send({
+      template_key: 'alt_text',
+      version: 'v2',
+      system_prompt: 'You write short, literal alt text.',
+      instructions: 'Describe the image in at most 12 words.',
+      notes: 'Shorter output'
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.template).toEqual(expect.objectContaining({ template_key: 'alt_text', version: 'v2', created_by: 'ops@example.com' }));
+
+    const duplicate = await admin('post', '/admin/prompt-templates').send({
+      template_key: 'alt_text',
+      version: 'v2',
+      system_prompt: 'Other',
+      instructions: 'Other'
+    });
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.error).toBe('TEMPLATE_VERSION_EXISTS');
+
+    const invalid = await admin('post', '/admin/prompt-templates').send({ template_key: 'alt_text', version: 'v3' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details.template).toEqual(['system_prompt is required', 'instructions is required']);
+
+    const pinned = await admin('put', '/admin/prompt-templates/alt_text/assignment').send({ scope: 'plan', plan: 'Pro', version: 'v2' });
+    expect(pinned.status).toBe(200);
+    expect(pinned.body).toEqual({ success: true, key: 'alt_text', scope: 'plan:pro', version: 'v2' });
+    await expect(resolvePromptTemplate(supabase, { key: 'alt_text', plan: 'pro' }))
+      .resolves.toEqual(expect.objectContaining({ template: expect.objectContaining({ version: 'v2' }) }));
+
+    const unknown = await admin('put', '/admin/prompt-templates/alt_text/assignment').send({ version: 'v9' });
+    expect(unknown.status).toBe(404);
+
+    const cleared = await admin('put', '/admin/prompt-templates/alt_text/assignment').send({ scope: 'plan', plan: 'pro', version: null });
+    expect(cleared.status).toBe(200);
+    await expect(resolvePromptTemplate(supabase, { key: 'alt_text', plan: 'pro' }))
+      .resolves.toEqual(expect.objectContaining({ template: expect.objectContaining({ version: 'builtin' }) }));
+
+    const listed = await admin('get', '/admin/prompt-templates');
+    expect(listed.body.templates.find((item) => item.key === 'alt_text').versions.map((item) => item.version))
+      .toEqual(['builtin', 'v2']);
+
+    const unauthorized = await request(app).get('/admin/prompt-templates');
+    expect(unauthorized.status).toBe(401);
+  });
+
+  test('splits sites between variants and reports approval rates from review decisions', async () => {
+    await admin('post', '/admin/prompt-templates').send({
+      template_key: 'alt_text',
+      version: 'v2',
+      system_prompt: 'You write short, literal alt text.',
+      instructions: 'Describe the image in at most 12 words.'
+    });
+
+    const started = await admin('post', '/admin/prompt-experiments').send({
+      key: 'alt-v2',
+      template_key: 'alt_text',
+      variants: [{ version: 'builtin', weight: 50 }, { version: 'v2', weight: 50 }]
+    });
+    expect(started.status).toBe(201);
+    expect(started.body.experiment).toEqual(expect.objectContaining({ key: 'alt-v2', status: 'running', started_by: 'ops@example.com' }));
+
+    const second = await admin('post', '/admin/prompt-experiments').send({
+      key: 'alt-v3',
+      template_key: 'alt_text',
+      variants: [{ version: 'builtin' }, { version: 'v2' }]
+    });
+    expect(second.status).toBe(409);
+    const missingVersion = await admin('post', '/admin/prompt-experiments').send({
+      key: 'titles-x',
+      template_key: 'titles',
+      variants: [{ version: 'builtin' }, { version: 'v2' }]
+    });
+    expect(missingVersion.status).toBe(404);
+
+    // Generate for sites until both variants have two images, then review.
+    const bySite = { builtin: [], v2: [] };
+    for (let index = 1; bySite.builtin.length < 2 || bySite.v2.length < 2; index += 1) {
+      const siteHash = `site-${index}`;
+      const prompt = await recordGeneration(supabase, { siteHash, attachmentId: index });
+      expect(prompt.experiment).toBe('alt-v2');
+      bySite[prompt.version].push({ siteHash, attachmentId: index });
+    }
+
+    const decide = (site, action, extra = {}) => applyReviewDecisions(supabase, {
+      siteId: site.siteHash,
+      action,
+      reviewer: 'editor@example.com',
+      body: { items: [{ attachment_id: site.attachmentId, ...extra }], reason: 'Wrong subject' }
+    });
+    await decide(bySite.v2[0], 'approve');
+    await decide(bySite.v2[1], 'approve');
+    await decide(bySite.builtin[0], 'approve', { alt_text: 'Edited by hand' });
+    await decide(bySite.builtin[1], 'reject');
+
+    const results = await admin('get', '/admin/prompt-experiments/alt-v2');
+    expect(results.status).toBe(200);
+    const byVersion = Object.fromEntries(results.body.variants.map((variant) => [variant.version, variant]));
+    expect(byVersion.v2).toEqual(expect.objectContaining({
+      generations: bySite.v2.length,
+      reviewed: 2,
+      approved: 2,
+      approval_rate: 1
+    }));
+    expect(byVersion.builtin).toEqual(expect.objectContaining({
+      generations: bySite.builtin.length,
+      reviewed: 2,
+      approved: 0,
+      edited: 1,
+      rejected: 1,
+      approval_rate: 0,
+      edit_rate: 0.5,
+      rejection_rate: 0.5
+    }));
+
+    const stopped = await admin('post', '/admin/prompt-experiments/alt-v2/stop');
+    expect(stopped.body.experiment.status).toBe('stopped');
+    const stoppedAgain = await admin('post', '/admin/prompt-experiments/alt-v2/stop');
+    expect(stoppedAgain.status).toBe(404);
+    await expect(resolvePromptTemplate(supabase, { key: 'alt_text', unitKey: 'site-1' }))
+      .resolves.toEqual(expect.objectContaining({ assignment: null }));
+  });
+});
@@ -0,0 +1,192 @@
+const { IMAGE_ALT_STATES } = require('../../services/imageAltState');
+const { applyReviewDecisions, listReviewQueue } = require('../../services/reviewQueue');
+
+function createLedgerSupabaseMock(rows) {
+  const state = { rows: rows.map((row) => ({ ...row })) };
+
+  function buildQuery() {
+    const filters = [];
+    let window = null;
+    let countMode = false;
+
+    const query = {
+      select(_columns, options = {}) {
+        countMode = options?.count === 'exact';
+        return query;
+      },
+      eq(column, value) {
+        filters.push((row) => row[column] === value);
+        return query;
+      },
+      in(column, values) {
+        filters.push((row) => values.includes(row[column]));
+        return query;
+      },
+      contains(_column, value) {
+        const code = value.quality.reasons[0].code;
+        filters.push((row) => (row.metadata?.quality?.reasons || []).some((reason) => reason.code === code));
+        return query;
+      },
+      ilike(column, pattern) {
+        const needle = pattern.replace(/^%|%$/g, '').toLowerCase();
+        filters.push((row) => String(row[column] || '').toLowerCase().includes(needle));
+        return query;
+      },
+      order: () => query,
+      range(from, to) {
+        window = [from, to + 1];
+        return query;
+      },
+      then(resolve, reject) {
+        const matched = state.rows.filter((row) => filters.every((filter) => filter(row)));
+        const data = window ? matched.slice(...window) : matched;
+        return Promise.resolve({ data, error: null, count: countMode ? matched.length : null }).then(resolve, reject);
+      }
+    };
+    return query;
+  }
+
+  return {
+    _state: state,
+    from(table) {
+      if (table !== 'image_alt_states') throw new Error(`Unexpected table ${table}`);
+      return {
+        select: (columns, options) => buildQuery().select(columns, options),
+        upsert(payload) {
+          const existing = state.rows.find((row) => row.site_id === payload.site_id && row.image_ref === payload.image_ref);
+          Object.assign(existing, payload);
+          return { select: () => ({ maybeSingle: async () => ({ data: { ...existing }, error: null }) }) };
+        }
+      };
+    }
+  };
+}
+
+function ledgerRow(index, overrides = {}) {
+  return {
+    id: `row_${index}`,
+    site_id: 'site_1',
+    image_ref: `attachment:${index}`,
+    attachment_id: String(index),
+    image_url: `https://example.com/${index}.jpg`,
+    current_state: IMAGE_ALT_STATES.GENERATED,
+    alt_text: `Generated description number ${index}`,
+    last_generated_at: '2026-10-19T10:00:00.000Z',
+    metadata: { quality: { passed: true, score: 100, reasons: [] }, identity_source: 'attachment_id' },
+    ...overrides
+  };
+}
+
+describe('review queue service', () => {
+  let supabase;
+
+  beforeEach(() => {
+    supabase = createLedgerSupabaseMock([
+      ledgerRow(1),
+      ledgerRow(2, {
+        current_state: IMAGE_ALT_STATES.NEEDS_REVIEW,
+        alt_text: 'Image of a cat',
+        metadata: { quality: { passed: false, score: 90, reasons: [{ code: 'redundant_prefix', message: 'x' }] } }
+      }),
+      ledgerRow(3, { current_state: IMAGE_ALT_STATES.APPROVED }),
+      ledgerRow(4, { current_state: IMAGE_ALT_STATES.MISSING, alt_text: null }),
+      ledgerRow(5, { site_id: 'site_2' })
+    ]);
+  });
+
+  test('lists only the site review states with pagination', async () => {
+    const result = await listReviewQueue(supabase, { siteId: 'site_1', query: { per_page: '1', page: '2' } });
+
+    expect(result.error).toBeNull();
+    expect(result.data.pagination).toEqual({ page: 2, per_page: 1, total: 2, total_pages: 2 });
+    expect(result.data.items).toEqual([expect.objectContaining({
+      image_ref: 'attachment:2',
+      state: IMAGE_ALT_STATES.NEEDS_REVIEW,
+      quality: expect.objectContaining({ passed: false })
+    })]);
+  });
+
+  test('filters by state, quality reason and text', async () => {
+    const byReason = await listReviewQueue(supabase, { siteId: 'site_1', query: { reason: 'redundant_prefix' } });
+    expect(byReason.data.items.map((item) => item.image_ref)).toEqual(['attachment:2']);
+
+    const bySearch = await listReviewQueue(supabase, { siteId: 'site_1', query: { state: 'generated', q: 'number 1' } });
+    expect(bySearch.data.items.map((item) => item.image_ref)).toEqual(['attachment:1']);
+
+    const invalid = await listReviewQueue(supabase, { siteId: 'site_1', query: { state: 'APPROVED' } });
+    expect(invalid).toEqual(expect.objectContaining({ error: 'INVALID_REQUEST', status: 400 }));
+  });
+
+  test('bulk approves, recording edited text and keeping generation metadata', async () => {
+    const result = await applyReviewDecisions(supabase, {
+      siteId: 'site_1',
+      action: 'approve',
+      reviewer: 'editor@example.com',
+      body: {
+        items: [
+          { attachment_id: 1 },
+          { image_ref: 'attachment:2', alt_text: 'Tabby cat asleep on a sunny windowsill' }
+        ]
+      }
+    });
+
+    expect(result.data.summary).toEqual({ requested: 2, succeeded: 2, failed: 0 });
+    const [first, second] = supabase._state.rows;
+    expect(first).toEqual(expect.objectContaining({
+      current_state: IMAGE_ALT_STATES.APPROVED,
+      alt_text: 'Generated description number 1'
+    }));
+    expect(first.metadata.review).toEqual(expect.objectContaining({ action: 'approve', edited: false }));
+    expect(second).toEqual(expect.objectContaining({
+      current_state: IMAGE_ALT_STATES.APPROVED,
+      alt_text: 'Tabby cat asleep on a sunny windowsill'
+    }));
+    expect(second.metadata).toEqual(expect.objectContaining({
+      event: 'approve',
+      quality: expect.objectContaining({ passed: false }),
+      review: expect.objectContaining({
+        edited: true,
+        original_alt_text: 'Image of a cat',
+        reviewed_by: 'editor@example.com',
+        previous_state: IMAGE_ALT_STATES.NEEDS_REVIEW
+      })
+    }));
+  });
+
+  test('reject with a reason resets the image to MISSING for regeneration', async () => {
+    const result = await applyReviewDecisions(supabase, {
+      siteId: 'site_1',
+      action: 'reject',
+      body: { items: [{ image_ref: 'attachment:2' }], reason: 'Wrong animal' }
+    });
+
+    expect(result.data.results).toEqual([
+      { image_ref: 'attachment:2', success: true, state: IMAGE_ALT_STATES.MISSING, alt_text: null }
+    ]);
+    expect(supabase._state.rows[1].metadata).toEqual(expect.objectContaining({
+      event: 'reject',
+      rejection_reason: 'Wrong animal',
+      review: expect.objectContaining({ reason: 'Wrong animal', rejected_alt_text: 'Image of a cat' })
+    }));
+  });
+
+  test('reports items outside the queue and validates the body', async () => {
+    const result = await applyReviewDecisions(supabase, {
+      siteId: 'site_1',
+      action: 'approve',
+      body: { items: [{ attachment_id: 3 }, { attachment_id: 5 }] }
+    });
+    expect(result.data.results).toEqual([
+      { image_ref: 'attachment:3', success: false, error: 'NOT_IN_REVIEW', state: IMAGE_ALT_STATES.APPROVED },
+      { image_ref: 'attachment:5', success: false, error: 'NOT_FOUND' }
+    ]);
+
+    const missingReason = await applyReviewDecisions(supabase, {
+      siteId: 'site_1',
+      action: 'reject',
+      body: { items: [{ attachment_id: 1 }] }
+    });
+    expect(missingReason).toEqual(expect.objectContaining({ error: 'INVALID_REQUEST', status: 400 }));
+    expect(supabase._state.rows[0].current_state).toBe(IMAGE_ALT_STATES.GENERATED);
+  });
+});
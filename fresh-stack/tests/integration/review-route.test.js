@@ -10,7 +10,8 @@ jest.mock('../../services/imageAltState', () => ({
   resolveImageAltStateSiteContext: jest.fn().mockResolvedValue({
     site: {
       id: 'site_1',
-      site_hash: 'site-hash-1'
+      site_hash: 'site-hash-1',
+      license_key: 'key-123'
     },
     siteIdentity: {
       siteHash: 'site-hash-1',
@@ -28,8 +29,17 @@ jest.mock('../../services/imageAltState', () => ({
   })
 }));
 
+jest.mock('../../services/reviewQueue', () => ({
+  REVIEW_ACTIONS: jest.requireActual('../../services/reviewQueue').REVIEW_ACTIONS,
+  listReviewQueue: jest.fn(),
+  applyReviewDecisions: jest.fn(),
+  listImageRevisions: jest.fn(),
+  rollbackImageRevision: jest.fn()
+}));
+
 const { reviewAltText } = require('../../lib/openai');
 const imageAltStateService = require('../../services/imageAltState');
+const reviewQueueService = require('../../services/reviewQueue');
 const { createReviewRouter } = require('../../routes/review');
 
 function createChainableMock(resolveData = null, resolveError = null) {
@@ -190,4 +200,142 @@ describe('POST /api/review', () => {
       })
     }));
   });
+
+  test('POST /api/review/approve needs the editor role on a team site', async () => {
+    const owner = { id: 'owner_1', license_key: 'key-owner', plan: 'agency', status: 'active' };
+    const viewer = { id: 'viewer_1', license_key: 'key-viewer', plan: 'free', status: 'active' };
+    const members = { account_members: { account_id: owner.id, user_id: viewer.id, role: 'viewer', site_ids: [] } };
+    const supabase = {
+      from: (table) => createChainableMock(table === 'licenses' ? owner : members[table] || null)
+    };
+    imageAltStateService.resolveImageAltStateSiteContext.mockResolvedValueOnce({
+      site: { id: 'site_1', site_hash: 'site-hash-1', license_key: owner.license_key },
+      siteIdentity: { siteHash: 'site-hash-1' },
+      error: null
+    });
+    const app = express();
+    app.use(express.json());
+    app.use((req, _res, next) => {
+      req.user = viewer;
+      req.license = viewer;
+      next();
+    });
+    app.use('/api/review', createReviewRouter({ supabase }));
+
+    const res = await request(app)
+      .post('/api/review/approve')
+      .set('X-Site-Key', 'site-hash-1')
+      .send({ attachment_id: 123, alt_text: 'Approved alt text' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('INSUFFICIENT_ROLE');
+    expect(imageAltStateService.markImageAltStateApproved).not.toHaveBeenCalled();
+  });
+
+  test('GET /api/review/queue lists the resolved site queue', async () => {
+    reviewQueueService.listReviewQueue.mockResolvedValue({
+      error: null,
+      data: { items: [], pagination: { page: 1, per_page: 25, total: 0, total_pages: 0 } }
+    });
+    const app = createApp(createSupabaseMock({ id: 'license_123', license_key: 'key-123', plan: 'pro', status: 'active' }));
+
+    const res = await request(app)
+      .get('/api/review/queue?state=NEEDS_REVIEW&page=2')
+      .set('X-License-Key', 'key-123')
+      .set('X-Site-Key', 'site-hash-1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.pagination.total).toBe(0);
+    expect(reviewQueueService.listReviewQueue).toHaveBeenCalledWith(expect.anything(), {
+      siteId: 'site_1',
+      query: { state: 'NEEDS_REVIEW', page: '2' }
+    });
+    expect(imageAltStateService.resolveImageAltStateSiteContext).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.anything(),
+      { readOnly: true }
+    );
+  });
+
+  test('queue routes refuse a license caller on another license\'s site', async () => {
+    imageAltStateService.resolveImageAltStateSiteContext.mockResolvedValueOnce({
+      site: { id: 'site_2', site_hash: 'site-hash-2', license_key: 'key-other' },
+      siteIdentity: { siteHash: 'site-hash-2' },
+      error: null
+    });
+    const app = createApp(createSupabaseMock({ id: 'license_123', license_key: 'key-123', plan: 'pro', status: 'active' }));
+
+    const res = await request(app)
+      .post('/api/review/queue/approve')
+      .set('X-License-Key', 'key-123')
+      .set('X-Site-Key', 'site-hash-2')
+      .send({ items: [{ attachment_id: 1 }] });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('SITE_NOT_ALLOWED');
+    expect(reviewQueueService.applyReviewDecisions).not.toHaveBeenCalled();
+  });
+
+  test('POST /api/review/queue/reject passes the reviewer and surfaces validation errors', async () => {
+    reviewQueueService.applyReviewDecisions.mockResolvedValue({
+      error: 'INVALID_REQUEST',
+      status: 400,
+      message: 'reason is required (at most 500 characters) to reject'
+    });
+    const app = createApp(createSupabaseMock({ id: 'license_123', license_key: 'key-123', plan: 'pro', status: 'active' }));
+
+    const res = await request(app)
+      .post('/api/review/queue/reject')
+      .set('X-License-Key', 'key-123')
+      .set('X-Site-Key', 'site-hash-1')
+      .set('X-WP-User-Email', 'editor@example.com')
+      .send({ items: [{ attachment_id: 1 }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual(expect.objectContaining({ success: false, code: 'INVALID_REQUEST' }));
+    expect(reviewQueueService.applyReviewDecisions).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      siteId: 'site_1',
+      action: 'reject',
+      reviewer: 'editor@example.com',
+      body: { items: [{ attachment_id: 1 }] }
+    }));
+  });
+
+  test('revision history routes list revisions and roll back as the WP user', async () => {
+    reviewQueueService.listImageRevisions.mockResolvedValue({
+      error: null,
+      data: { image_ref: 'attachment:7', revisions: [] }
+    });
+    reviewQueueService.rollbackImageRevision.mockResolvedValue({
+      error: 'REVISION_NOT_FOUND',
+      status: 404,
+      message: 'Revision not found for this image'
+    });
+    const app = createApp(createSupabaseMock({ id: 'license_123', license_key: 'key-123', plan: 'pro', status: 'active' }));
+
+    const list = await request(app)
+      .get('/api/review/revisions?attachment_id=7')
+      .set('X-License-Key', 'key-123')
+      .set('X-Site-Key', 'site-hash-1');
+    const rollback = await request(app)
+      .post('/api/review/revisions/rev_1/rollback')
+      .set('X-License-Key', 'key-123')
+      .set('X-Site-Key', 'site-hash-1')
+      .set('X-WP-User-Email', 'editor@example.com')
+      .send({ attachment_id: 7 });
+
+    expect(list.status).toBe(200);
+    expect(reviewQueueService.listImageRevisions).toHaveBeenCalledWith(expect.anything(), {
+      siteId: 'site_1',
+      query: { attachment_id: '7' }
+    });
+    expect(rollback.status).toBe(404);
+    expect(rollback.body.code).toBe('REVISION_NOT_FOUND');
+    expect(reviewQueueService.rollbackImageRevision).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      siteId: 'site_1',
+      revisionId: 'rev_1',
+      actor: 'editor@example.com',
+      body: { attachment_id: 7 }
+    }));
+  });
 });
@@ -813,4 +813,20 @@ describe('authenticated site healing on read paths', () => {
       })
     ]));
   });
+
+  test('image state site context never creates a site when readOnly', async () => {
+    const supabase = createSupabaseMock();
+    const account = supabase._state.licenses[0];
+    const sitesBefore = supabase._state.sites.length;
+    const req = buildRequest(account, {
+      'X-License-Key': account.license_key,
+      'X-Site-Key': 'site-image-readonly',
+      'X-Site-URL': 'https://image-readonly.example.com/'
+    });
+
+    const resolved = await resolveImageAltStateSiteContext(supabase, req, { readOnly: true });
+
+    expect(resolved.site).toBeNull();
+    expect(supabase._state.sites).toHaveLength(sitesBefore);
+  });
 });
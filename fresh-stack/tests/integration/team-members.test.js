@@ -0,0 +1,383 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../lib/email', () => ({
+  sendTeamInvitationEmail: jest.fn().mockResolvedValue({ success: false, error: 'Email service not configured' })
+}));
+
+jest.mock('../../../src/services/loops', () => ({
+  trackAccountCreated: jest.fn().mockResolvedValue(undefined)
+}));
+
+const { sendTeamInvitationEmail } = require('../../lib/email');
+const { createAccountDashboardRouter } = require('../../routes/accountDashboard');
+const { createAuthRouter } = require('../../routes/auth');
+const { ACCOUNT_ROLES, acceptAccountInvitation, checkSiteAccess } = require('../../services/accountMembers');
+
+const OWNER = { id: 'owner-uuid', license_key: 'license-owner', email: 'owner@agency.test', plan: 'agency', status: 'active' };
+const EDITOR = { id: 'editor-uuid', license_key: 'license-editor', email: 'editor@agency.test', plan: 'free', status: 'active' };
+const VIEWER = { id: 'viewer-uuid', license_key: 'license-viewer', email: 'viewer@agency.test', plan: 'free', status: 'active' };
+const SITES = [
+  { id: 'site-uuid-1', site_hash: 'hash-1', license_key: OWNER.license_key, status: 'active' },
+  { id: 'site-uuid-2', site_hash: 'hash-2', license_key: OWNER.license_key, status: 'active' }
+];
+
+// In-memory tables with the query surface the member service, site lookup
+// and site membership helpers use.
+function createSupabaseMock() {
+  const tables = {
+    licenses: [OWNER, EDITOR, VIEWER].map((row) => ({ ...row })),
+    sites: SITES.map((site) => ({ ...site })),
+    site_memberships: [],
+    account_members: [],
+    account_invitations: []
+  };
+  let sequence = 0;
+  const nextId = (table) => {
+    sequence += 1;
+    return `${table}-${sequence}`;
+  };
+
+  function buildQuery(table, { patch = null, remove = false } = {}) {
+    const filters = [];
+    const query = {
+      select: () => query,
+      eq(column, value) {
+        filters.push((row) => row[column] === value);
+        return query;
+      },
+      in(column, list) {
+        filters.push((row) => list.includes(row[column]));
+        return query;
+      },
+      is(column, value) {
+        filters.push((row) => (row[column] ?? null) === value);
+        return query;
+      },
+      order: () => query,
+      async maybeSingle() {
+        const rows = await query;
+        return { data: rows.data[0] || null, error: null };
+      },
+      async single() {
+        const rows = await query;
+        return { data: rows.data[0] || null, error: rows.data[0] ? null : { message: 'No rows' } };
+      },
+      then(resolve, reject) {
+        const rows = tables[table].filter((row) => filters.every((filter) => filter(row)));
+        if (patch) rows.forEach((row) => Object.assign(row, patch));
+        if (remove) tables[table] = tables[table].filter((row) => !rows.includes(row));
+        return Promise.resolve({ data: rows.map((row) => ({ ...row })), error: null }).then(resolve, reject);
+      }
+    };
+    return query;
+  }
+
+  function written(row) {
+    const result = { data: { ...row }, error: null };
+    return {
+      select: () => ({
+        maybeSingle: async () => result,
+        single: async () => result
+      }),
+      then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+  }
+
+  // account_transfer_ownership (migrations/2026-10-19-account-ownership-transfer.sql).
+  async function transferOwnership({ p_account_id: accountId, p_user_id: userId, p_previous_owner_id: previousOwnerId }) {
+    const account = tables.licenses.find((row) => row.id === accountId);
+    if (!account) return { ok: false, code: 'ACCOUNT_NOT_FOUND' };
+    if ((account.owner_user_id || account.id) !== previousOwnerId) return { ok: false, code: 'OWNER_CHANGED' };
+    const owner = tables.account_members.find((row) => row.account_id === accountId && row.user_id === userId);
+    if (!owner) return { ok: false, code: 'MEMBER_NOT_FOUND' };
+    Object.assign(owner, { role: 'owner', site_ids: [] });
+
+    let previousLogin = previousOwnerId;
+    if (!account.owner_user_id && account.email) {
+      const login = { id: nextId('licenses'), license_key: nextId('license'), email: account.email, plan: 'free', status: 'active' };
+      tables.licenses.push(login);
+      Object.assign(account, { email: null, password_hash: null });
+      tables.account_members
+        .filter((row) => row.user_id === accountId && row.account_id !== accountId)
+        .forEach((row) => { row.user_id = login.id; });
+      previousLogin = login.id;
+    }
+    const email = tables.licenses.find((row) => row.id === previousLogin).email;
+    const admin = tables.account_members.find((row) => row.account_id === accountId && row.user_id === previousLogin);
+    if (admin) {
+      Object.assign(admin, { role: 'admin', site_ids: [], email });
+    } else {
+      tables.account_members.push({ id: nextId('account_members'), account_id: accountId, user_id: previousLogin, email, role: 'admin', site_ids: [] });
+    }
+
+    const licenseKey = nextId('license');
+    tables.sites.filter((site) => site.license_key === account.license_key).forEach((site) => { site.license_key = licenseKey; });
+    Object.assign(account, { owner_user_id: userId, license_key: licenseKey });
+    return { ok: true, owner: { ...owner }, previous_owner_user_id: previousLogin };
+  }
+
+  return {
+    _tables: tables,
+    async rpc(name, params) {
+      if (name !== 'account_transfer_ownership') throw new Error(`Unexpected rpc ${name}`);
+      return { data: await transferOwnership(params), error: null };
+    },
+    from(table) {
+      if (!tables[table]) throw new Error(`Unexpected table ${table}`);
+      return {
+        select: () => buildQuery(table),
+        update: (patch) => buildQuery(table, { patch }),
+        delete: () => buildQuery(table, { remove: true }),
+        insert(payload) {
+          const row = { id: nextId(table), created_at: new Date().toISOString(), ...payload };
+          tables[table].push(row);
+          return written(row);
+        },
+        upsert(payload, { onConflict } = {}) {
+          const keys = String(onConflict || 'id').split(',');
+          const existing = tables[table].find((row) => keys.every((key) => row[key] === payload[key]));
+          if (existing) {
+            Object.assign(existing, payload);
+            return written(existing);
+          }
+          const row = { id: nextId(table), created_at: new Date().toISOString(), ...payload };
+          tables[table].push(row);
+          return written(row);
+        }
+      };
+    }
+  };
+}
+
+// The dashboard signed in as `as` (a licenses row), and the auth router for
+// accepting invitations.
+function buildApps(supabase) {
+  const dashboard = express();
+  dashboard.use(express.json());
+  dashboard.use((req, _res, next) => {
+    const login = supabase._tables.licenses.find((row) => row.id === req.header('X-Test-User'));
+    req.user = login;
+    req.license = login;
+    req.authMethod = 'jwt';
+    next();
+  });
+  dashboard.use('/', createAccountDashboardRouter({ supabase }));
+
+  const auth = express();
+  auth.use(express.json());
+  auth.use('/auth', createAuthRouter({ supabase }));
+  return { dashboard, auth };
+}
+
+function tokenFrom(inviteUrl) {
+  return new URL(inviteUrl).searchParams.get('token');
+}
+
+function bearer(user) {
+  return `Bearer ${jwt.sign({ user_id: user.id, email: user.email }, process.env.JWT_SECRET)}`;
+}
+
+describe('account team members', () => {
+  let supabase;
+  let dashboard;
+  let auth;
+
+  const as = (user) => ({
+    get: (path) => request(dashboard).get(path).set('X-Test-User', user.id),
+    post: (path, body = {}) => request(dashboard).post(path).set('X-Test-User', user.id).send(body),
+    patch: (path, body = {}) => request(dashboard).patch(path).set('X-Test-User', user.id).send(body),
+    delete: (path) => request(dashboard).delete(path).set('X-Test-User', user.id)
+  });
+
+  async function inviteAndAccept(user, body) {
+    const invited = await as(OWNER).post('/me/team/invitations', { email: user.email, ...body });
+    expect(invited.status).toBe(200);
+    const accepted = await request(auth)
+      .post('/auth/invitations/accept')
+      .set('Authorization', bearer(user))
+      .send({ token: tokenFrom(invited.body.invite_url) });
+    expect(accepted.status).toBe(200);
+    return accepted;
+  }
+
+  beforeEach(() => {
+    sendTeamInvitationEmail.mockClear();
+    supabase = createSupabaseMock();
+    ({ dashboard, auth } = buildApps(supabase));
+  });
+
+  test('invites by email and the invitee accepts with a matching login', async () => {
+    const invited = await as(OWNER).post('/me/team/invitations', { email: 'Editor@Agency.test', role: 'editor', site_ids: ['site-uuid-1'] });
+    expect(invited.status).toBe(200);
+    expect(invited.body.invitation).toEqual(expect.objectContaining({ email: EDITOR.email, role: 'editor', site_ids: ['site-uuid-1'] }));
+    expect(invited.body.email_sent).toBe(false);
+    expect(sendTeamInvitationEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: EDITOR.email,
+      inviteUrl: invited.body.invite_url,
+      inviterEmail: OWNER.email,
+      role: 'editor'
+    }));
+    const token = tokenFrom(invited.body.invite_url);
+    expect(token).toMatch(/^inv_[0-9a-f]{48}$/);
+    expect(JSON.stringify(supabase._tables.account_invitations)).not.toContain(token);
+
+    const pending = await as(OWNER).get('/me/team');
+    expect(pending.body.members).toEqual([expect.objectContaining({ user_id: OWNER.id, role: 'owner' })]);
+    expect(pending.body.invitations).toHaveLength(1);
+
+    const wrongLogin = await request(auth).post('/auth/invitations/accept').set('Authorization', bearer(VIEWER)).send({ token });
+    expect(wrongLogin.status).toBe(403);
+    expect(wrongLogin.body.code).toBe('INVITATION_EMAIL_MISMATCH');
+    const loggedOut = await request(auth).post('/auth/invitations/accept').send({ token });
+    expect(loggedOut.status).toBe(401);
+
+    const accepted = await request(auth).post('/auth/invitations/accept').set('Authorization', bearer(EDITOR)).send({ token });
+    expect(accepted.status).toBe(200);
+    expect(accepted.body).toEqual({
+      success: true,
+      account_id: OWNER.id,
+      member: expect.objectContaining({ user_id: EDITOR.id, role: 'editor', site_ids: ['site-uuid-1'] })
+    });
+    expect(supabase._tables.site_memberships).toEqual([
+      expect.objectContaining({ site_id: 'site-uuid-1', user_id: EDITOR.id, role: 'member' })
+    ]);
+
+    const again = await request(auth).post('/auth/invitations/accept').set('Authorization', bearer(EDITOR)).send({ token });
+    expect(again.status).toBe(409);
+    expect(again.body.code).toBe('INVITATION_ALREADY_ACCEPTED');
+
+    const accounts = await as(EDITOR).get('/me/accounts');
+    expect(accounts.body.accounts).toEqual([
+      expect.objectContaining({ account_id: EDITOR.id, role: 'owner' }),
+      expect.objectContaining({ account_id: OWNER.id, role: 'editor', site_ids: ['site-uuid-1'] })
+    ]);
+  });
+
+  test('enforces roles and editor site restrictions on the team account', async () => {
+    await inviteAndAccept(EDITOR, { role: 'editor', site_ids: ['site-uuid-1'] });
+    await inviteAndAccept(VIEWER, { role: 'viewer' });
+
+    const editorSites = await as(EDITOR).get('/me/sites').set('X-Account-Id', OWNER.id);
+    expect(editorSites.status).toBe(200);
+    expect(editorSites.body.sites.map((site) => site.id)).toEqual(['site-uuid-1']);
+    const otherSite = await as(EDITOR).get('/me/sites/site-uuid-2/review-queue').set('X-Account-Id', OWNER.id);
+    expect(otherSite.status).toBe(403);
+    expect(otherSite.body.code).toBe('SITE_NOT_ALLOWED');
+
+    const viewerApprove = await as(VIEWER).post('/me/sites/site-uuid-1/review-queue/approve').set('X-Account-Id', OWNER.id);
+    expect(viewerApprove.status).toBe(403);
+    expect(viewerApprove.body.code).toBe('INSUFFICIENT_ROLE');
+    const viewerInvite = await as(VIEWER).post('/me/team/invitations', { email: 'x@agency.test', role: 'viewer' }).set('X-Account-Id', OWNER.id);
+    expect(viewerInvite.status).toBe(403);
+    const viewerKeys = await as(VIEWER).get('/me/api-keys').set('X-Account-Id', OWNER.id);
+    expect(viewerKeys.status).toBe(403);
+
+    const stranger = await as(VIEWER).get('/me/team').set('X-Account-Id', 'someone-else');
+    expect(stranger.status).toBe(404);
+    expect(stranger.body.code).toBe('ACCOUNT_NOT_FOUND');
+
+    const viewerWithSites = await as(OWNER).patch(`/me/team/members/${VIEWER.id}`, { site_ids: ['site-uuid-1'] });
+    expect(viewerWithSites.status).toBe(400);
+    const promoted = await as(OWNER).patch(`/me/team/members/${VIEWER.id}`, { role: 'admin' });
+    expect(promoted.status).toBe(200);
+    expect(promoted.body.member).toEqual(expect.objectContaining({ role: 'admin', site_ids: [] }));
+    expect(supabase._tables.site_memberships.filter((row) => row.user_id === VIEWER.id).map((row) => row.role)).toEqual(['admin', 'admin']);
+
+    // Admins manage editors but not other admins or the owner.
+    const adminInvitesAdmin = await as(VIEWER).post('/me/team/invitations', { email: 'x@agency.test', role: 'admin' }).set('X-Account-Id', OWNER.id);
+    expect(adminInvitesAdmin.status).toBe(403);
+    const adminRemovesEditor = await as(VIEWER).delete(`/me/team/members/${EDITOR.id}`).set('X-Account-Id', OWNER.id);
+    expect(adminRemovesEditor.status).toBe(200);
+    expect(supabase._tables.site_memberships.filter((row) => row.user_id === EDITOR.id)).toEqual([]);
+    const adminRemovesOwner = await as(VIEWER).delete(`/me/team/members/${OWNER.id}`).set('X-Account-Id', OWNER.id);
+    expect(adminRemovesOwner.status).toBe(403);
+  });
+
+  test('refuses logged-in users on sites of accounts they are not on', async () => {
+    const viewer = supabase._tables.licenses.find((row) => row.id === VIEWER.id);
+    const ownAccess = { account: viewer, role: ACCOUNT_ROLES.OWNER, siteIds: [] };
+
+    await expect(checkSiteAccess(supabase, { user: viewer, access: ownAccess, site: SITES[0] })).resolves.toEqual(
+      expect.objectContaining({ error: 'SITE_NOT_ALLOWED', status: 403 })
+    );
+    await expect(checkSiteAccess(supabase, {
+      user: viewer,
+      access: ownAccess,
+      site: { id: 'site-orphan', license_key: 'license-unknown' }
+    })).resolves.toEqual(expect.objectContaining({ error: 'SITE_NOT_ALLOWED', status: 403 }));
+
+    await inviteAndAccept(VIEWER, { role: 'viewer' });
+    await expect(checkSiteAccess(supabase, { user: viewer, access: ownAccess, site: SITES[0] })).resolves.toEqual({ error: null });
+    await expect(checkSiteAccess(supabase, {
+      user: viewer,
+      access: ownAccess,
+      site: SITES[0],
+      minimumRole: ACCOUNT_ROLES.EDITOR
+    })).resolves.toEqual(expect.objectContaining({ error: 'INSUFFICIENT_ROLE' }));
+  });
+
+  test('only one of two racing requests accepts an invitation', async () => {
+    const invited = await as(OWNER).post('/me/team/invitations', { email: EDITOR.email, role: 'editor' });
+    const token = tokenFrom(invited.body.invite_url);
+
+    const results = await Promise.all([
+      acceptAccountInvitation(supabase, { token, user: EDITOR }),
+      acceptAccountInvitation(supabase, { token, user: EDITOR })
+    ]);
+
+    expect(results.map((result) => result.error)).toEqual([null, 'INVITATION_ALREADY_ACCEPTED']);
+    expect(supabase._tables.account_members).toHaveLength(1);
+  });
+
+  test('the owner transfers ownership and stays on as admin without the account credentials', async () => {
+    await inviteAndAccept(EDITOR, { role: 'editor' });
+
+    const notOwner = await as(EDITOR).post('/me/team/transfer-ownership', { user_id: EDITOR.id }).set('X-Account-Id', OWNER.id);
+    expect(notOwner.status).toBe(403);
+    const unknown = await as(OWNER).post('/me/team/transfer-ownership', { user_id: VIEWER.id });
+    expect(unknown.status).toBe(404);
+
+    const transferred = await as(OWNER).post('/me/team/transfer-ownership', { user_id: EDITOR.id });
+    expect(transferred.status).toBe(200);
+    expect(transferred.body).toEqual(expect.objectContaining({ owner_user_id: EDITOR.id, previous_owner_role: 'admin' }));
+
+    // The license key is rotated (sites follow it) and the previous owner's
+    // email login now lives on a row of its own.
+    const account = supabase._tables.licenses.find((row) => row.id === OWNER.id);
+    expect(account).toEqual(expect.objectContaining({ owner_user_id: EDITOR.id, email: null }));
+    expect(account.license_key).not.toBe(OWNER.license_key);
+    expect(supabase._tables.sites.map((site) => site.license_key)).toEqual([account.license_key, account.license_key]);
+    const formerOwner = supabase._tables.licenses.find((row) => row.email === OWNER.email);
+    expect(formerOwner.id).toBe(transferred.body.previous_owner_user_id);
+    expect(formerOwner.license_key).not.toBe(account.license_key);
+
+    const team = await as(EDITOR).get('/me/team').set('X-Account-Id', OWNER.id);
+    expect(team.status).toBe(200);
+    expect(team.body.owner_user_id).toBe(EDITOR.id);
+    expect(team.body.members).toEqual(expect.arrayContaining([
+      expect.objectContaining({ user_id: EDITOR.id, role: 'owner' }),
+      expect.objectContaining({ user_id: formerOwner.id, email: OWNER.email, role: 'admin' })
+    ]));
+
+    // Credentials still bound to the account row no longer reach it.
+    const accountRow = await as(OWNER).get('/me/team');
+    expect(accountRow.status).toBe(404);
+
+    const formerOwnerTransfers = await as(formerOwner).post('/me/team/transfer-ownership', { user_id: formerOwner.id }).set('X-Account-Id', OWNER.id);
+    expect(formerOwnerTransfers.status).toBe(403);
+    const formerOwnerLeaves = await as(formerOwner).delete(`/me/team/members/${formerOwner.id}`).set('X-Account-Id', OWNER.id);
+    expect(formerOwnerLeaves.status).toBe(200);
+    expect(supabase._tables.account_members.map((row) => row.user_id)).toEqual([EDITOR.id]);
+  });
+});
@@ -100,7 +100,8 @@ describe('POST /api/titles/jobs bulk pipeline', () => {
       supabase,
       checkRateLimit: async () => true,
       createJob: queue.createJob,
-      getJobRecord: queue.getJobRecord
+      getJobRecord: queue.getJobRecord,
+      jobQueue: queue
     }));
   });
 
@@ -183,4 +184,49 @@ describe('POST /api/titles/jobs bulk pipeline', () => {
     expect(res.status).toBe(400);
     expect(res.body.code).toBe('INVALID_REQUEST');
   });
+
+  test('returns 400 naming the page whose product data is invalid', async () => {
+    const res = await request(app)
+      .post('/api/titles/jobs')
+      .set('X-License-Key', 'test-titles-bulk')
+      .set('X-Site-Hash', 'site-hash')
+      .set('X-Site-URL', 'https://example.test')
+      .send({ pages: [{ url: '/a', product: { name: 'Mug' } }, { url: '/b', product: { sku: 'MUG-2' } }] });
+    expect(res.status).toBe(400);
+    expect(res.body.details.product).toEqual(['pages[1].product.name is required']);
+  });
+
+  test('only lets the owning site control an active titles job', async () => {
+    const submit = await request(app)
+      .post('/api/titles/jobs')
+      .set('X-License-Key', 'test-titles-bulk')
+      .set('X-Site-Hash', 'site-hash')
+      .send({ pages: [{ url: '/a', h1: 'A' }] });
+    const { jobId } = submit.body;
+
+    for (let i = 0; i < 10; i += 1) await flushImmediate();
+    await new Promise((r) => setTimeout(r, 30));
+
+    const foreign = await request(app)
+      .post(`/api/titles/jobs/${jobId}/cancel`)
+      .set('X-License-Key', 'test-titles-bulk')
+      .set('X-Site-Hash', 'other-site');
+    expect(foreign.status).toBe(404);
+    expect(foreign.body.code).toBe('JOB_NOT_FOUND');
+
+    const finished = await request(app)
+      .post(`/api/titles/jobs/${jobId}/pause`)
+      .set('X-License-Key', 'test-titles-bulk')
+      .set('X-Site-Hash', 'site-hash');
+    expect(finished.status).toBe(409);
+    expect(finished.body).toEqual(expect.objectContaining({ success: false, code: 'JOB_NOT_ACTIVE' }));
+
+    // Alt-text job ids are not addressable through the titles routes.
+    await queue.setJobRecord('alt-job', { jobId: 'alt-job', siteKey: 'site-hash', status: 'processing', items: [] });
+    await request(app)
+      .post('/api/titles/jobs/alt-job/cancel')
+      .set('X-License-Key', 'test-titles-bulk')
+      .set('X-Site-Hash', 'site-hash')
+      .expect(404);
+  });
 });
@@ -180,6 +180,32 @@ describe('POST /api/titles/generate', () => {
     expect(res.body.code).toBe('INVALID_REQUEST');
   });
 
+  test('passes normalized product data to generation and rejects products without a name', async () => {
+    const { generateTitleAndMeta } = require('../../lib/openaiTitles');
+    const app = buildApp();
+    const send = (product) => request(app)
+      .post('/api/titles/generate')
+      .set('X-License-Key', 'test-titles-license')
+      .set('X-Site-Hash', 'site-hash')
+      .set('X-Site-URL', 'https://example.test')
+      .send({ page: { url: '/product/mug', product } });
+
+    const res = await send({ name: 'Blue ceramic mug', brand: 'Acme', attributes: { Size: '350 ml' } });
+    expect(res.status).toBe(200);
+    expect(generateTitleAndMeta.mock.calls[0][0].page.product).toEqual({
+      name: 'Blue ceramic mug',
+      sku: null,
+      brand: 'Acme',
+      category: null,
+      attributes: [{ name: 'Size', value: '350 ml' }]
+    });
+
+    const invalid = await send({ sku: 'MUG-1' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details.product).toEqual(['page.product.name is required']);
+    expect(generateTitleAndMeta).toHaveBeenCalledTimes(1);
+  });
+
   test('returns 429 and releases reservation when OpenAI rate-limits', async () => {
     const app = buildApp();
     const res = await request(app)
@@ -0,0 +1,312 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/services/loops', () => ({
+  trackAccountCreated: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../services/pluginConnections', () => ({
+  recordPluginConnection: jest.fn().mockResolvedValue({ isFirstConnection: false, error: null })
+}));
+
+jest.mock('../../services/quota', () => ({
+  getQuotaStatus: jest.fn().mockResolvedValue({ error: 'QUOTA_UNAVAILABLE' })
+}));
+
+const { authMiddleware } = require('../../middleware/auth');
+const { generateTotp } = require('../../lib/totp');
+const { createAccountDashboardRouter } = require('../../routes/accountDashboard');
+const { createAuthRouter } = require('../../routes/auth');
+const { checkSiteAccess } = require('../../services/accountMembers');
+const { completeTwoFactorChallenge } = require('../../services/twoFactor');
+
+const PASSWORD = 'correct-horse-battery';
+const OWNER = {
+  id: 'owner-uuid-1',
+  email: 'owner@example.com',
+  license_key: 'license-owner',
+  plan: 'free',
+  status: 'active',
+  password_hash: bcrypt.hashSync(PASSWORD, 4)
+};
+const MEMBER = {
+  id: 'member-uuid-1',
+  email: 'editor@example.com',
+  license_key: 'license-member',
+  plan: 'free',
+  status: 'active',
+  password_hash: bcrypt.hashSync(PASSWORD, 4)
+};
+
+// In-memory tables with the query surface the auth routes, session and 2FA
+// services, team access checks and auth middleware use.
+function createSupabaseMock() {
+  const tables = {
+    licenses: [{ ...OWNER }, { ...MEMBER }],
+    auth_sessions: [],
+    account_two_factor: [],
+    account_members: [{ account_id: OWNER.id, user_id: MEMBER.id, role: 'editor', site_ids: [] }]
+  };
+  let sequence = 0;
+
+  function buildQuery(table, { patch = null, remove = false } = {}) {
+    const filters = [];
+    const query = {
+      select: () => query,
+      eq(column, value) {
+        // Array columns compare against a Postgres array literal, as PostgREST does.
+        filters.push((row) => row[column] === value
+          || (Array.isArray(row[column]) && `{${row[column].join(',')}}` === value));
+        return query;
+      },
+      neq(column, value) {
+        filters.push((row) => row[column] !== value);
+        return query;
+      },
+      is(column, value) {
+        filters.push((row) => (row[column] ?? null) === value);
+        return query;
+      },
+      order: () => query,
+      async maybeSingle() {
+        const rows = await query;
+        return { data: rows.data[0] || null, error: null };
+      },
+      async single() {
+        const rows = await query;
+        return { data: rows.data[0] || null, error: rows.data[0] ? null : { message: 'No rows' } };
+      },
+      then(resolve, reject) {
+        const rows = tables[table].filter((row) => filters.every((filter) => filter(row)));
+        if (patch) rows.forEach((row) => Object.assign(row, patch));
+        if (remove) tables[table] = tables[table].filter((row) => !rows.includes(row));
+        return Promise.resolve({ data: rows.map((row) => ({ ...row })), error: null }).then(resolve, reject);
+      }
+    };
+    return query;
+  }
+
+  return {
+    _tables: tables,
+    from(table) {
+      if (!tables[table]) throw new Error(`Unexpected table ${table}`);
+      return {
+        select: () => buildQuery(table),
+        update: (patch) => buildQuery(table, { patch }),
+        delete: () => buildQuery(table, { remove: true }),
+        async upsert(payload) {
+          tables[table] = tables[table].filter((row) => row.user_id !== payload.user_id);
+          tables[table].push({ ...payload });
+          return { data: null, error: null };
+        },
+        insert(payload) {
+          sequence += 1;
+          const row = { id: `session-${sequence}`, created_at: new Date().toISOString(), revoked_at: null, ...payload };
+          tables[table].push(row);
+          return { select: () => ({ maybeSingle: async () => ({ data: { ...row }, error: null }) }) };
+        }
+      };
+    }
+  };
+}
+
+function buildApp(supabase) {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', createAuthRouter({ supabase }));
+  app.use(authMiddleware({ supabase }));
+  app.use('/', createAccountDashboardRouter({ supabase }));
+  return app;
+}
+
+describe('two-factor authentication', () => {
+  let supabase;
+  let app;
+  let clock;
+
+  const login = (user = OWNER) => request(app).post('/auth/login').send({ email: user.email, password: PASSWORD });
+  const bearer = (res) => `Bearer ${res.body.token}`;
+  const tick = () => { clock += 30 * 1000; };
+
+  // Enroll and confirm with a fresh login; returns that login and the secret.
+  async function enableTwoFactor(user = OWNER) {
+    const session = await login(user);
+    const enrolled = await request(app).post('/me/two-factor/enroll').set('Authorization', bearer(session));
+    expect(enrolled.status).toBe(200);
+    const verified = await request(app)
+      .post('/me/two-factor/verify')
+      .set('Authorization', bearer(session))
+      .send({ code: generateTotp(enrolled.body.secret, { now: clock }) });
+    expect(verified.status).toBe(200);
+    return { session, secret: enrolled.body.secret, recoveryCodes: verified.body.recovery_codes };
+  }
+
+  beforeEach(() => {
+    supabase = createSupabaseMock();
+    app = buildApp(supabase);
+    clock = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => clock);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('enrollment turns 2FA on and login then needs a code', async () => {
+    const other = await login();
+    const session = await login();
+    const enrolled = await request(app).post('/me/two-factor/enroll').set('Authorization', bearer(session));
+    expect(enrolled.status).toBe(200);
+    expect(enrolled.body.otpauth_url).toContain(`secret=${enrolled.body.secret}`);
+
+    const wrong = await request(app).post('/me/two-factor/verify').set('Authorization', bearer(session)).send({ code: '000000' });
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.code).toBe('INVALID_TWO_FACTOR_CODE');
+
+    const code = generateTotp(enrolled.body.secret, { now: clock });
+    const verified = await request(app).post('/me/two-factor/verify').set('Authorization', bearer(session)).send({ code });
+    expect(verified.status).toBe(200);
+    expect(verified.body.recovery_codes).toHaveLength(10);
+    expect(JSON.stringify(supabase._tables.account_two_factor)).not.toContain(verified.body.recovery_codes[0]);
+
+    // Sessions opened without the second factor end; this one stays.
+    expect((await request(app).get('/me/sessions').set('Authorization', bearer(other))).status).toBe(401);
+    const status = await request(app).get('/me/two-factor').set('Authorization', bearer(session));
+    expect(status.body.two_factor).toEqual(expect.objectContaining({ enabled: true, recovery_codes_remaining: 10 }));
+
+    const challenged = await login();
+    expect(challenged.status).toBe(200);
+    expect(challenged.body).toEqual(expect.objectContaining({ two_factor_required: true, expires_in: 300 }));
+    expect(challenged.body.token).toBeUndefined();
+    const asBearer = await request(app).get('/me/sessions').set('Authorization', `Bearer ${challenged.body.challenge_token}`);
+    expect(asBearer.status).toBe(401);
+
+    // The code that confirmed enrollment cannot be used again.
+    const replayed = await request(app).post('/auth/login/2fa').send({ challenge_token: challenged.body.challenge_token, code });
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.code).toBe('INVALID_TWO_FACTOR_CODE');
+
+    tick();
+    const completed = await request(app).post('/auth/login/2fa').send({
+      challenge_token: challenged.body.challenge_token,
+      code: generateTotp(enrolled.body.secret, { now: clock })
+    });
+    expect(completed.status).toBe(200);
+    expect(completed.body.refresh_token).toMatch(/^ort_/);
+    expect(jwt.decode(completed.body.token).sid).toEqual(expect.any(String));
+    expect((await request(app).get('/me/sessions').set('Authorization', bearer(completed))).status).toBe(200);
+  });
+
+  test('recovery codes work once and repeated failures lock the login', async () => {
+    const { secret, recoveryCodes } = await enableTwoFactor();
+    const challenge = (await login()).body.challenge_token;
+
+    const recovered = await request(app).post('/auth/login/2fa').send({ challenge_token: challenge, recovery_code: recoveryCodes[0].toUpperCase() });
+    expect(recovered.status).toBe(200);
+    const reused = await request(app).post('/auth/login/2fa').send({ challenge_token: challenge, recovery_code: recoveryCodes[0] });
+    expect(reused.status).toBe(401);
+    const status = await request(app).get('/me/two-factor').set('Authorization', bearer(recovered));
+    expect(status.body.two_factor.recovery_codes_remaining).toBe(9);
+
+    for (let attempt = 0; attempt < 4; attempt += 1) {
+      const failed = await request(app).post('/auth/login/2fa').send({ challenge_token: challenge, code: '000000' });
+      expect(failed.status).toBe(401);
+    }
+    tick();
+    const locked = await request(app).post('/auth/login/2fa').send({
+      challenge_token: challenge,
+      code: generateTotp(secret, { now: clock })
+    });
+    expect(locked.status).toBe(429);
+    expect(locked.body.code).toBe('TWO_FACTOR_LOCKED');
+
+    const expired = await request(app).post('/auth/login/2fa').send({ challenge_token: 'not-a-token', code: '123456' });
+    expect(expired.status).toBe(401);
+    expect(expired.body.code).toBe('INVALID_CHALLENGE');
+  });
+
+  test('two requests racing with the same code or recovery code cannot both log in', async () => {
+    const { secret, recoveryCodes } = await enableTwoFactor();
+    const challengeToken = (await login()).body.challenge_token;
+
+    tick();
+    const code = generateTotp(secret, { now: clock });
+    const byCode = await Promise.all([1, 2].map(() => completeTwoFactorChallenge(supabase, { challengeToken, code })));
+    expect(byCode.filter((result) => !result.error)).toHaveLength(1);
+    expect(byCode.filter((result) => result.error === 'INVALID_TWO_FACTOR_CODE')).toHaveLength(1);
+
+    const byRecovery = await Promise.all([1, 2].map(() => (
+      completeTwoFactorChallenge(supabase, { challengeToken, recoveryCode: recoveryCodes[0] })
+    )));
+    expect(byRecovery.filter((result) => !result.error)).toHaveLength(1);
+    expect(supabase._tables.account_two_factor[0].recovery_code_hashes).toHaveLength(9);
+  });
+
+  test('owners of paid accounts can require 2FA from every member', async () => {
+    const owner = await login();
+    const requirement = (session, required) => request(app)
+      .put('/me/two-factor/requirement')
+      .set('Authorization', bearer(session))
+      .send({ required });
+
+    expect((await requirement(owner, true)).body.code).toBe('PLAN_REQUIRED');
+    supabase._tables.licenses[0].plan = 'pro';
+    expect((await requirement(owner, true)).body.code).toBe('TWO_FACTOR_NOT_ENABLED');
+
+    const { session, secret } = await enableTwoFactor();
+    const required = await requirement(session, true);
+    expect(required.status).toBe(200);
+    expect(supabase._tables.licenses[0].require_two_factor).toBe(true);
+
+    const member = await login(MEMBER);
+    const blocked = await request(app).get('/me/sessions').set('Authorization', bearer(member)).set('X-Account-Id', OWNER.id);
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.code).toBe('TWO_FACTOR_REQUIRED');
+    const ownAccount = await request(app).get('/me/sessions').set('Authorization', bearer(member));
+    expect(ownAccount.status).toBe(200);
+    // Team sites reached outside /me (e.g. /api/review) are held to it too.
+    const memberRow = supabase._tables.licenses[1];
+    const siteAccess = await checkSiteAccess(supabase, {
+      user: memberRow,
+      access: { account: memberRow },
+      site: { id: 'site-1', license_key: OWNER.license_key }
+    });
+    expect(siteAccess).toEqual(expect.objectContaining({ error: 'TWO_FACTOR_REQUIRED', status: 403 }));
+
+    // An account's own login is checked by the auth middleware on every route.
+    memberRow.require_two_factor = true;
+    const ownRequired = await request(app).get('/me/sessions').set('Authorization', bearer(member));
+    expect(ownRequired.status).toBe(403);
+    expect(ownRequired.body.code).toBe('TWO_FACTOR_REQUIRED');
+    const canEnroll = await request(app).get('/me/two-factor').set('Authorization', bearer(member));
+    expect(canEnroll.status).toBe(200);
+    delete memberRow.require_two_factor;
+
+    tick();
+    const memberTwoFactor = await enableTwoFactor(MEMBER);
+    const allowed = await request(app)
+      .get('/me/sessions')
+      .set('Authorization', bearer(memberTwoFactor.session))
+      .set('X-Account-Id', OWNER.id);
+    expect(allowed.status).toBe(200);
+
+    tick();
+    const disable = await request(app)
+      .post('/me/two-factor/disable')
+      .set('Authorization', bearer(session))
+      .send({ code: generateTotp(secret, { now: clock }) });
+    expect(disable.status).toBe(409);
+    expect(disable.body.code).toBe('TWO_FACTOR_ENFORCED');
+  });
+});
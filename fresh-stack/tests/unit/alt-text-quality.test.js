@@ -0,0 +1,85 @@
+const { IMAGE_ALT_STATES } = require('../../services/imageAltState');
+const {
+  QUALITY_REASONS,
+  checkAltTextQuality,
+  evaluateGeneratedAltText
+} = require('../../services/altTextQuality');
+
+function reasonCodes(altText, options) {
+  return checkAltTextQuality(altText, options).reasons.map((reason) => reason.code);
+}
+
+describe('alt text quality gate', () => {
+  test('passes specific, natural descriptions', () => {
+    expect(checkAltTextQuality('Golden retriever catching a red frisbee in a city park')).toEqual({
+      score: 100,
+      reasons: []
+    });
+  });
+
+  test('flags short, long and "image of" results', () => {
+    expect(reasonCodes('Dog')).toEqual([QUALITY_REASONS.LOW_SCORE, QUALITY_REASONS.TOO_SHORT]);
+    expect(reasonCodes('A photo of a dog on a beach')).toEqual([QUALITY_REASONS.REDUNDANT_PREFIX]);
+    expect(reasonCodes(`Dog on a beach ${'with sand '.repeat(20)}`)).toContain(QUALITY_REASONS.TOO_LONG);
+  });
+
+  test('counts words in Chinese, Japanese and Thai without relying on spaces', () => {
+    expect(checkAltTextQuality('公園で自転車に乗る女性')).toEqual({ score: 100, reasons: [] });
+    expect(checkAltTextQuality('一只猫坐在红色沙发上')).toEqual({ score: 100, reasons: [] });
+    expect(checkAltTextQuality('ผู้หญิงขี่จักรยานในสวนสาธารณะ')).toEqual({ score: 100, reasons: [] });
+    expect(reasonCodes('猫')).toEqual([QUALITY_REASONS.LOW_SCORE, QUALITY_REASONS.TOO_SHORT]);
+  });
+
+  test('flags "image of" wording in other languages', () => {
+    expect(reasonCodes('Foto von einem Hund am Strand')).toEqual([QUALITY_REASONS.REDUNDANT_PREFIX]);
+    expect(reasonCodes("Photo d'un chien sur la plage")).toEqual([QUALITY_REASONS.REDUNDANT_PREFIX]);
+    expect(reasonCodes('Imagen de un perro en la playa')).toEqual([QUALITY_REASONS.REDUNDANT_PREFIX]);
+    expect(reasonCodes('画像：公園で自転車に乗る女性')).toEqual([QUALITY_REASONS.REDUNDANT_PREFIX]);
+    expect(reasonCodes('公園で自転車に乗る女性の写真')).toEqual([QUALITY_REASONS.REDUNDANT_PREFIX]);
+    expect(reasonCodes('Perro corriendo en la playa')).toEqual([]);
+  });
+
+  test('flags filename echoes, refusals and suspicious quoted text', () => {
+    expect(reasonCodes('golden retriever park', { filename: 'golden-retriever_park.jpg' }))
+      .toContain(QUALITY_REASONS.FILENAME_ALT);
+    expect(reasonCodes("I'm sorry, I cannot describe this image")).toContain(QUALITY_REASONS.MODEL_REFUSAL);
+    expect(reasonCodes('Sign reading "Lorem ipsum dolor sit amet consectetur"')).toContain(QUALITY_REASONS.SUSPECT_TEXT);
+    expect(reasonCodes('Storefront sign reading "Open" above a glass door')).toEqual([]);
+  });
+
+  test('routes failing results to NEEDS_REVIEW without calling the model', async () => {
+    const review = jest.fn();
+
+    const result = await evaluateGeneratedAltText({
+      altText: 'Red bicycle leaning against a brick wall',
+      glossaryFlagged: true,
+      modelReview: true,
+      review
+    });
+
+    expect(result).toEqual(expect.objectContaining({ passed: false, state: IMAGE_ALT_STATES.NEEDS_REVIEW }));
+    expect(result.reasons.map((reason) => reason.code)).toEqual([QUALITY_REASONS.GLOSSARY_VIOLATION]);
+    expect(review).not.toHaveBeenCalled();
+  });
+
+  test('uses the model review when enabled and tolerates its failures', async () => {
+    const altText = 'Red bicycle leaning against a brick wall';
+    const doubtful = await evaluateGeneratedAltText({
+      altText,
+      modelReview: true,
+      review: async () => ({ score: 40, status: 'critical', grade: 'Critical', summary: 'Bicycle is blue', issues: ['Wrong color'] })
+    });
+    expect(doubtful).toEqual(expect.objectContaining({
+      state: IMAGE_ALT_STATES.NEEDS_REVIEW,
+      reasons: [{ code: QUALITY_REASONS.MODEL_REVIEW, message: 'Bicycle is blue' }],
+      model_review: { score: 40, status: 'critical', issues: ['Wrong color'] }
+    }));
+
+    const unavailable = await evaluateGeneratedAltText({
+      altText,
+      modelReview: true,
+      review: async () => { throw new Error('timeout'); }
+    });
+    expect(unavailable).toEqual(expect.objectContaining({ passed: true, state: IMAGE_ALT_STATES.GENERATED }));
+  });
+});
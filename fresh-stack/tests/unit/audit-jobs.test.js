@@ -0,0 +1,117 @@
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../services/optimizerAudit', () => ({
+  runOptimizerAudit: jest.fn(),
+  markOptimizerAuditInterrupted: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../services/imageSeoAudit', () => ({
+  runImageSeoAudit: jest.fn(),
+  markImageSeoAuditInterrupted: jest.fn().mockResolvedValue(undefined)
+}));
+
+const { createQueue } = require('../../lib/queue');
+const { runOptimizerAudit, markOptimizerAuditInterrupted } = require('../../services/optimizerAudit');
+const { runImageSeoAudit } = require('../../services/imageSeoAudit');
+const { AUDIT_JOB_TYPES, createAuditJobRunner, enqueueAuditJob } = require('../../services/auditJobs');
+
+const AUDIT_ID = '11111111-1111-4111-8111-111111111111';
+
+function buildAuditQueue({ maxAttempts = 3 } = {}) {
+  const holder = { q: null };
+  const runner = createAuditJobRunner({
+    supabase: null,
+    getJobRecord: (id) => holder.q.getJobRecord(id),
+    setJobRecord: (id, rec) => holder.q.setJobRecord(id, rec)
+  });
+  holder.q = createQueue({
+    redis: null,
+    maxAttempts,
+    jobKeyPrefix: 'audit:job',
+    jobHandler: (job) => runner.run(job),
+    onDeadLetter: (job) => runner.markDeadLettered(job)
+  });
+  return holder.q;
+}
+
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 20));
+}
+
+describe('durable audit jobs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('a retried optimizer audit resumes from the crawl checkpoint the failed attempt saved', async () => {
+    const queue = buildAuditQueue();
+    const crawlState = { requestedSiteUrl: 'https://example.com/', pages: [{ url: 'https://example.com/' }], queue: ['https://example.com/about'] };
+    runOptimizerAudit
+      .mockImplementationOnce(async (_audit, { onCheckpoint }) => {
+        await onCheckpoint({ crawl: crawlState });
+        throw new Error('worker crashed');
+      })
+      .mockImplementationOnce(async () => ({ status: 'completed' }));
+
+    await queue.enqueueJob({
+      jobId: AUDIT_ID,
+      type: AUDIT_JOB_TYPES.OPTIMIZER,
+      audit: { auditId: AUDIT_ID, siteUrl: 'https://example.com/' }
+    });
+    await settle();
+
+    expect(runOptimizerAudit).toHaveBeenCalledTimes(2);
+    expect(runOptimizerAudit.mock.calls[0][1].checkpoint).toBeNull();
+    expect(runOptimizerAudit.mock.calls[1][1].checkpoint).toEqual({ crawl: crawlState });
+    expect(await queue.getJobRecord(AUDIT_ID)).toEqual(expect.objectContaining({
+      status: 'completed',
+      attempt: 2,
+      checkpoint: null
+    }));
+  });
+
+  test('an audit whose job keeps crashing is marked interrupted once dead-lettered', async () => {
+    const queue = buildAuditQueue({ maxAttempts: 2 });
+    runOptimizerAudit.mockRejectedValue(new Error('out of memory'));
+
+    await queue.enqueueJob({
+      jobId: AUDIT_ID,
+      type: AUDIT_JOB_TYPES.OPTIMIZER,
+      audit: { auditId: AUDIT_ID, siteUrl: 'https://example.com/' }
+    });
+    await settle();
+
+    expect(runOptimizerAudit).toHaveBeenCalledTimes(2);
+    expect(markOptimizerAuditInterrupted).toHaveBeenCalledWith(AUDIT_ID, { supabase: null });
+    expect((await queue.listDeadJobs()).map((job) => job.jobId)).toEqual([AUDIT_ID]);
+  });
+
+  test('an image SEO report that fails on its own terms is not retried', async () => {
+    const queue = buildAuditQueue();
+    const error = new Error('Site unreachable');
+    error.code = 'ALL_PAGE_FETCHES_FAILED';
+    runImageSeoAudit.mockRejectedValue(error);
+
+    await enqueueAuditJob({
+      setJobRecord: queue.setJobRecord,
+      dispatchJob: (job) => queue.enqueueJob(job)
+    }, {
+      type: AUDIT_JOB_TYPES.IMAGE_SEO,
+      audit: { auditId: AUDIT_ID, email: 'user@example.com', siteUrl: 'https://example.com/', source: 'image_seo_audit' }
+    });
+    await settle();
+
+    expect(runImageSeoAudit).toHaveBeenCalledTimes(1);
+    expect(runImageSeoAudit).toHaveBeenCalledWith(expect.objectContaining({
+      auditId: AUDIT_ID,
+      email: 'user@example.com',
+      checkpoint: null
+    }));
+    expect(await queue.getJobRecord(AUDIT_ID)).toEqual(expect.objectContaining({ type: 'image_seo_audit', status: 'failed' }));
+  });
+});
@@ -0,0 +1,131 @@
+const { createCircuitBreaker, BREAKER_STATES } = require('../../lib/circuitBreaker');
+const { createFakeRedis } = require('../helpers/fakeRedis');
+
+const TARGET = 'openai:gpt-4o';
+
+function buildClock(start = 1_750_000_000_000) {
+  let current = start;
+  return {
+    now: () => current,
+    advance: (ms) => { current += ms; }
+  };
+}
+
+async function failTimes(breaker, count, errorCode = 'provider_server_error') {
+  for (let i = 0; i < count; i += 1) {
+    await breaker.recordFailure(TARGET, { errorCode });
+  }
+}
+
+describe('provider circuit breaker', () => {
+  test('opens after the failure threshold and rate are both crossed', async () => {
+    const clock = buildClock();
+    const breaker = createCircuitBreaker({ failureThreshold: 3, failureRate: 0.5, now: clock.now });
+
+    await breaker.recordSuccess(TARGET);
+    await failTimes(breaker, 2);
+    expect((await breaker.allowRequest(TARGET)).allowed).toBe(true);
+
+    await failTimes(breaker, 1, 'provider_timeout');
+    const permit = await breaker.allowRequest(TARGET);
+    expect(permit).toEqual({ allowed: false, state: BREAKER_STATES.OPEN, probe: false });
+    expect(await breaker.getTargetState(TARGET)).toMatchObject({
+      state: BREAKER_STATES.OPEN,
+      last_error_code: 'provider_timeout',
+      window_failures: 3,
+      window_requests: 4
+    });
+  });
+
+  test('ignores failures that are not provider-health problems', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 2 });
+
+    await failTimes(breaker, 5, 'invalid_request');
+    await failTimes(breaker, 5, 'provider_auth_error');
+
+    expect((await breaker.allowRequest(TARGET)).allowed).toBe(true);
+    expect((await breaker.getTargetState(TARGET)).window_failures).toBe(0);
+  });
+
+  test('stays closed when failures are a small share of traffic', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 3, failureRate: 0.5 });
+
+    for (let i = 0; i < 10; i += 1) await breaker.recordSuccess(TARGET);
+    await failTimes(breaker, 3, 'provider_rate_limited');
+
+    expect((await breaker.allowRequest(TARGET)).state).toBe(BREAKER_STATES.CLOSED);
+  });
+
+  test('half-opens after the cooldown with a single probe that closes on success', async () => {
+    const clock = buildClock();
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 10_000, now: clock.now });
+    await failTimes(breaker, 1);
+
+    clock.advance(9_999);
+    expect((await breaker.allowRequest(TARGET)).allowed).toBe(false);
+
+    clock.advance(1);
+    const probe = await breaker.allowRequest(TARGET);
+    expect(probe).toEqual({ allowed: true, state: BREAKER_STATES.HALF_OPEN, probe: true });
+    expect(await breaker.allowRequest(TARGET)).toEqual({ allowed: false, state: BREAKER_STATES.HALF_OPEN, probe: false });
+
+    await breaker.recordSuccess(TARGET, { probe: true });
+    expect(await breaker.allowRequest(TARGET)).toEqual({ allowed: true, state: BREAKER_STATES.CLOSED, probe: false });
+  });
+
+  test('a failed probe re-opens the breaker for another cooldown', async () => {
+    const clock = buildClock();
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 5_000, now: clock.now });
+    await failTimes(breaker, 1);
+
+    clock.advance(5_000);
+    const probe = await breaker.allowRequest(TARGET);
+    await breaker.recordFailure(TARGET, { errorCode: 'provider_server_error', probe: probe.probe });
+
+    expect(await breaker.getTargetState(TARGET)).toMatchObject({ state: BREAKER_STATES.OPEN });
+    clock.advance(4_999);
+    expect((await breaker.allowRequest(TARGET)).allowed).toBe(false);
+  });
+
+  test('instances sharing redis agree on state and probe ownership', async () => {
+    const clock = buildClock();
+    const redis = createFakeRedis({ now: clock.now });
+    const instanceA = createCircuitBreaker({ redis, failureThreshold: 2, cooldownMs: 1_000, now: clock.now });
+    const instanceB = createCircuitBreaker({ redis, failureThreshold: 2, cooldownMs: 1_000, now: clock.now });
+
+    await instanceA.recordFailure(TARGET, { errorCode: 'provider_timeout' });
+    await instanceB.recordFailure(TARGET, { errorCode: 'provider_timeout' });
+    expect((await instanceA.allowRequest(TARGET)).allowed).toBe(false);
+
+    clock.advance(1_000);
+    expect((await instanceB.allowRequest(TARGET)).probe).toBe(true);
+    expect((await instanceA.allowRequest(TARGET)).allowed).toBe(false);
+
+    const snapshot = await instanceA.snapshot();
+    expect(snapshot).toMatchObject({ backend: 'redis', enabled: true });
+    expect(snapshot.targets).toEqual([expect.objectContaining({ target: TARGET, state: BREAKER_STATES.HALF_OPEN })]);
+  });
+
+  test('adds a target to the shared target list once per process', async () => {
+    const redis = createFakeRedis();
+    const sadd = jest.spyOn(redis, 'sadd');
+    const breaker = createCircuitBreaker({ redis });
+
+    for (let i = 0; i < 5; i += 1) {
+      await breaker.allowRequest(TARGET);
+    }
+    await breaker.allowRequest('anthropic:claude');
+
+    expect(sadd.mock.calls.map(([, target]) => target)).toEqual([TARGET, 'anthropic:claude']);
+    expect((await breaker.snapshot()).targets.map((entry) => entry.target)).toEqual(['anthropic:claude', TARGET]);
+  });
+
+  test('falls back to allowing traffic when redis errors', async () => {
+    const redis = createFakeRedis();
+    redis.get = async () => { throw new Error('connection lost'); };
+    const breaker = createCircuitBreaker({ redis });
+
+    expect((await breaker.allowRequest(TARGET)).allowed).toBe(true);
+    await expect(breaker.recordFailure(TARGET, { errorCode: 'provider_timeout' })).resolves.toBeUndefined();
+  });
+});
@@ -1,4 +1,9 @@
-const { classifyProviderError, GENERATION_ERROR_CODES } = require('../../lib/generationErrors');
+const {
+  classifyProviderError,
+  extractProviderMessage,
+  isModelMissingError,
+  GENERATION_ERROR_CODES
+} = require('../../lib/generationErrors');
 
 function axiosError({ status = null, message = 'boom', code = null, data = null } = {}) {
   const error = new Error(message);
@@ -86,4 +91,40 @@ describe('classifyProviderError', () => {
       retryable: false
     });
   });
+
+  test('classifies Anthropic overloaded (529) as a retryable server error', () => {
+    expect(classifyProviderError(axiosError({
+      status: 529,
+      data: { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+    }))).toMatchObject({
+      errorCode: GENERATION_ERROR_CODES.PROVIDER_SERVER_ERROR,
+      retryable: true
+    });
+  });
+
+  test('classifies Gemini invalid API keys and RESOURCE_EXHAUSTED statuses', () => {
+    expect(classifyProviderError(axiosError({
+      status: 400,
+      data: { error: { code: 400, message: 'API key not valid. Please pass a valid API key.', status: 'INVALID_ARGUMENT' } }
+    }))).toMatchObject({
+      errorCode: GENERATION_ERROR_CODES.PROVIDER_AUTH_ERROR,
+      legacyCode: 'BACKEND_CONFIG_ERROR'
+    });
+    expect(classifyProviderError(axiosError({
+      status: 400,
+      data: { error: { code: 429, message: 'Quota exceeded', status: 'RESOURCE_EXHAUSTED' } }
+    }))).toMatchObject({
+      errorCode: GENERATION_ERROR_CODES.PROVIDER_RATE_LIMITED,
+      providerStatus: 429,
+      retryable: true
+    });
+  });
+
+  test('reads string error bodies from OpenAI-compatible local servers', () => {
+    const ollamaError = axiosError({ status: 404, data: { error: "model 'llava:13b' not found, try pulling it first" } });
+    expect(extractProviderMessage(ollamaError)).toBe("model 'llava:13b' not found, try pulling it first");
+    expect(isModelMissingError(ollamaError)).toBe(true);
+    expect(isModelMissingError(axiosError({ status: 404, message: 'The model `gpt-9` does not exist' }))).toBe(true);
+    expect(isModelMissingError(axiosError({ status: 429, message: 'Rate limit reached' }))).toBe(false);
+  });
 });
@@ -0,0 +1,83 @@
+const {
+  GLOSSARY_RULES,
+  MAX_GLOSSARY_ENTRIES,
+  enforceGlossary,
+  enforceGlossaryOnResult,
+  glossaryFingerprint,
+  normalizeGlossary
+} = require('../../lib/glossary');
+
+describe('brand glossary', () => {
+  test('normalizes map-style terms, camelCase keys and duplicates', () => {
+    const { glossary, errors } = normalizeGlossary({
+      terms: { ' wordpress ': 'WordPress', WordPress: 'WordPress' },
+      requiredKeywords: ['Acme', 'acme'],
+      bannedTerms: ['CompetitorCo']
+    });
+
+    expect(errors).toEqual([]);
+    expect(glossary).toEqual({
+      terms: [{ term: 'wordpress', preferred: 'WordPress' }],
+      required_keywords: ['Acme'],
+      banned_terms: ['CompetitorCo']
+    });
+  });
+
+  test('reports invalid entries and oversized glossaries', () => {
+    expect(normalizeGlossary({ banned_terms: 'nope', terms: [{ term: 'x' }] }).errors).toEqual([
+      'terms entries need a term and a preferred spelling',
+      'banned_terms must be an array of strings'
+    ]);
+
+    const tooMany = Array.from({ length: MAX_GLOSSARY_ENTRIES + 1 }, (_, i) => `term-${i}`);
+    expect(normalizeGlossary({ banned_terms: tooMany }).errors).toEqual([
+      `glossary is limited to ${MAX_GLOSSARY_ENTRIES} entries`
+    ]);
+  });
+
+  test('rewrites preferred spellings on whole words only', () => {
+    const glossary = normalizeGlossary({ terms: [{ term: 'wifi', preferred: 'Wi-Fi' }] }).glossary;
+
+    const result = enforceGlossary('Router with WIFI antenna, not a wifiless model, Wi-Fi ready', glossary);
+    expect(result.text).toBe('Router with Wi-Fi antenna, not a wifiless model, Wi-Fi ready');
+    expect(result.violations).toEqual([
+      { rule: GLOSSARY_RULES.PREFERRED_TERM, term: 'WIFI', replacement: 'Wi-Fi', action: 'rewritten' }
+    ]);
+    expect(result.flagged).toBe(false);
+  });
+
+  test('removes banned terms and flags missing keywords', () => {
+    const glossary = normalizeGlossary({ required_keywords: ['Acme'], banned_terms: ['cheap'] }).glossary;
+
+    const result = enforceGlossary('Cheap, red running shoes on a shelf', glossary);
+    expect(result.text).toBe('red running shoes on a shelf');
+    expect(result.violations.map((violation) => violation.rule)).toEqual([
+      GLOSSARY_RULES.BANNED_TERM,
+      GLOSSARY_RULES.MISSING_KEYWORD
+    ]);
+    expect(result.flagged).toBe(true);
+  });
+
+  test('enforces translations and tags their violations with the language', () => {
+    const glossary = normalizeGlossary({ terms: { iphone: 'iPhone' } }).glossary;
+
+    const result = enforceGlossaryOnResult({
+      altText: 'An iPhone on a desk',
+      translations: { en: 'An iPhone on a desk', de: 'Ein iphone auf einem Schreibtisch' }
+    }, glossary);
+
+    expect(result.translations.de).toBe('Ein iPhone auf einem Schreibtisch');
+    expect(result.violations).toEqual([
+      expect.objectContaining({ rule: GLOSSARY_RULES.PREFERRED_TERM, term: 'iphone', language: 'de' })
+    ]);
+  });
+
+  test('fingerprints only non-empty glossaries', () => {
+    const empty = normalizeGlossary({}).glossary;
+    const one = normalizeGlossary({ banned_terms: ['a'] }).glossary;
+
+    expect(glossaryFingerprint(empty)).toBeNull();
+    expect(glossaryFingerprint(one)).toMatch(/^[0-9a-f]{16}$/);
+    expect(glossaryFingerprint(one)).not.toBe(glossaryFingerprint(normalizeGlossary({ banned_terms: ['b'] }).glossary));
+  });
+});
@@ -9,6 +9,7 @@ jest.mock('../../../src/services/loops', () => ({
 }));
 
 const dns = require('dns').promises;
+const zlib = require('zlib');
 
 function mockFetchResponse(url, text, contentType = 'text/html; charset=utf-8') {
   return {
@@ -18,7 +19,8 @@ function mockFetchResponse(url, text, contentType = 'text/html; charset=utf-8')
     headers: {
       get: (name) => (String(name).toLowerCase() === 'content-type' ? contentType : null)
     },
-    text: jest.fn().mockResolvedValue(text)
+    text: jest.fn().mockResolvedValue(text),
+    body: new Response(text).body
   };
 }
 
@@ -44,6 +46,25 @@ describe('image SEO audit service', () => {
     expect(scoreAltText('Woman comparing image SEO reports on a WordPress dashboard').score).toBeGreaterThanOrEqual(85);
   });
 
+  test('classifies decorative images and accepts empty alt on them', () => {
+    const { classifyDecorativeImage, scoreAltText } = require('../../services/imageSeoAudit');
+
+    expect(classifyDecorativeImage({ filename: 'spacer.gif' }).reasons).toEqual(['Spacer or divider file']);
+    expect(classifyDecorativeImage({ role: 'presentation' }).decorative).toBe(true);
+    expect(classifyDecorativeImage({ ariaHidden: 'true' }).decorative).toBe(true);
+    expect(classifyDecorativeImage({ width: 600, height: 4 }).reasons).toEqual(['Divider-shaped image']);
+    expect(classifyDecorativeImage({ linkLabel: ' Cart ', width: 24, height: 24 }).reasons).toEqual(['Icon inside a labelled link or button']);
+    expect(classifyDecorativeImage({ className: 'wp-block-cover__image-background' }).decorative).toBe(true);
+    // A large image in a labelled link, or an icon in an unlabelled one, still needs a description.
+    expect(classifyDecorativeImage({ linkLabel: 'Read more', width: 800, height: 600 }).decorative).toBe(false);
+    expect(classifyDecorativeImage({ filename: 'cart-icon.svg', linkLabel: '' }).decorative).toBe(false);
+    expect(classifyDecorativeImage({ filename: 'pixel-art-gallery.png' }).decorative).toBe(false);
+
+    expect(scoreAltText('', { decorative: true })).toEqual(expect.objectContaining({ score: 100, label: 'Decorative', issues: [] }));
+    expect(scoreAltText(null, { decorative: true })).toEqual(expect.objectContaining({ score: 0, label: 'Missing' }));
+    expect(scoreAltText('', {}).label).toBe('Missing');
+  });
+
   test('rejects private and local URLs', async () => {
     const { normalizeAuditUrl, assertPublicUrl } = require('../../services/imageSeoAudit');
 
@@ -117,6 +138,139 @@ describe('image SEO audit service', () => {
     expect(audit.pages.every((page) => page.url.startsWith('https://www.example.com'))).toBe(true);
   });
 
+  test('honors robots.txt rules and follows sitemap indexes, gzipped sitemaps and robots Sitemap: lines', async () => {
+    const { crawlPublicSite } = require('../../services/imageSeoAudit');
+    const gzippedPosts = zlib.gzipSync(
+      '<urlset><url><loc>https://example.com/blog/first</loc></url><url><loc>https://example.com/members/area</loc></url></urlset>'
+    );
+
+    global.fetch = jest.fn(async (url) => {
+      const requested = String(url);
+      if (requested === 'https://example.com/robots.txt') {
+        return mockFetchResponse(requested, [
+          'User-agent: *',
+          'Disallow: /members/',
+          'Sitemap: https://example.com/sitemap_index.xml'
+        ].join('\n'), 'text/plain');
+      }
+      if (requested === 'https://example.com/sitemap_index.xml') {
+        return mockFetchResponse(requested, [
+          '<sitemapindex>',
+          '<sitemap><loc>https://example.com/post-sitemap.xml.gz</loc></sitemap>',
+          '<sitemap><loc>https://other.example/foreign-sitemap.xml</loc></sitemap>',
+          '</sitemapindex>'
+        ].join(''), 'application/xml');
+      }
+      if (requested === 'https://example.com/post-sitemap.xml.gz') {
+        return {
+          ...mockFetchResponse(requested, '', 'application/x-gzip'),
+          body: new Response(gzippedPosts).body
+        };
+      }
+      if (requested.endsWith('sitemap.xml')) {
+        return { ok: false, status: 404, url: requested, headers: { get: () => null } };
+      }
+      return mockFetchResponse(requested, '<html><head><title>Page</title></head><body><a href="/members/login">Members</a><img src="/a.jpg" alt="A cyclist at sunrise"></body></html>');
+    });
+
+    const audit = await crawlPublicSite('https://example.com', { maxPages: 5, maxImages: 10 });
+
+    const requested = global.fetch.mock.calls.map(([url]) => String(url));
+    expect(requested).not.toContain('https://other.example/foreign-sitemap.xml');
+    expect(requested.some((url) => url.includes('/members/'))).toBe(false);
+    expect(audit.sitemapFound).toBe(true);
+    expect(audit.sitemapUrls).toEqual([
+      'https://example.com/sitemap_index.xml',
+      'https://example.com/post-sitemap.xml.gz'
+    ]);
+    expect(audit.pages.map((page) => page.url)).toEqual(['https://example.com/', 'https://example.com/blog/first']);
+    expect(audit.robots).toEqual(expect.objectContaining({ found: true, crawlDelayMs: 0, blockedUrlCount: 2 }));
+  });
+
+  test('reports a crawl blocked by robots.txt without fetching pages', async () => {
+    const { crawlPublicSite } = require('../../services/imageSeoAudit');
+
+    global.fetch = jest.fn(async (url) => {
+      const requested = String(url);
+      if (requested.endsWith('/robots.txt')) {
+        return mockFetchResponse(requested, 'User-agent: OpttiAI-Image-SEO-Audit\nDisallow: /', 'text/plain');
+      }
+      if (requested.endsWith('/wp-sitemap.xml')) {
+        return mockFetchResponse(requested, '<urlset><url><loc>https://example.com/hello-world/</loc></url></urlset>', 'application/xml');
+      }
+      if (requested.endsWith('sitemap.xml')) {
+        return { ok: false, status: 404, url: requested, headers: { get: () => null } };
+      }
+      return mockFetchResponse(requested, '<html><body><img src="/a.jpg"></body></html>');
+    });
+
+    const audit = await crawlPublicSite('https://example.com', { maxPages: 5, maxImages: 10 });
+
+    expect(audit.sitemapUrls).toEqual(['https://example.com/wp-sitemap.xml']);
+    expect(audit.pages).toHaveLength(0);
+    expect(audit.summary.crawlError).toBe('BLOCKED_BY_ROBOTS_TXT');
+    expect(global.fetch.mock.calls.map(([url]) => String(url))).toEqual([
+      'https://example.com/robots.txt',
+      'https://example.com/sitemap.xml',
+      'https://example.com/wp-sitemap.xml'
+    ]);
+  });
+
+  test('treats an unreachable robots.txt as disallow-all and a missing one as allow-all', async () => {
+    const { crawlPublicSite } = require('../../services/imageSeoAudit');
+    const crawlWithRobots = (robotsResponse) => {
+      global.fetch = jest.fn(async (url) => {
+        const requested = String(url);
+        if (requested.endsWith('/robots.txt')) return robotsResponse(requested);
+        if (requested.endsWith('sitemap.xml')) {
+          return { ok: false, status: 404, url: requested, headers: { get: () => null } };
+        }
+        return mockFetchResponse(requested, '<html><body><img src="/a.jpg" alt="A cyclist at sunrise"></body></html>');
+      });
+      return crawlPublicSite('https://example.com', { maxPages: 2, maxImages: 10 });
+    };
+
+    const serverError = await crawlWithRobots((requested) => ({ ok: false, status: 503, url: requested, headers: { get: () => null } }));
+    expect(serverError.pages).toHaveLength(0);
+    expect(serverError.summary.crawlError).toBe('BLOCKED_BY_ROBOTS_TXT');
+    expect(serverError.robots).toEqual(expect.objectContaining({ found: false, unreachable: true }));
+
+    const networkError = await crawlWithRobots(() => { throw new TypeError('fetch failed'); });
+    expect(networkError.pages).toHaveLength(0);
+    expect(networkError.robots.unreachable).toBe(true);
+
+    const missing = await crawlWithRobots((requested) => ({ ok: false, status: 404, url: requested, headers: { get: () => null } }));
+    expect(missing.pages.map((page) => page.url)).toEqual(['https://example.com/']);
+    expect(missing.robots).toEqual(expect.objectContaining({ found: false, unreachable: false }));
+  });
+
+  test('stops reading a sitemap body at MAX_SITEMAP_BYTES', async () => {
+    const { MAX_SITEMAP_BYTES, fetchSitemap } = require('../../services/imageSeoAudit');
+    const chunk = new Uint8Array(1024 * 1024).fill(0x20);
+    let pulls = 0;
+    let cancelled = false;
+    const endless = new ReadableStream({
+      pull(controller) {
+        pulls += 1;
+        controller.enqueue(chunk);
+      },
+      cancel() {
+        cancelled = true;
+      }
+    });
+    global.fetch = jest.fn(async (url) => ({
+      ...mockFetchResponse(String(url), '', 'application/xml'),
+      text: jest.fn(),
+      body: endless
+    }));
+
+    const sitemap = await fetchSitemap(new URL('https://example.com/sitemap.xml'));
+
+    expect(sitemap.text).toHaveLength(MAX_SITEMAP_BYTES);
+    expect(pulls).toBeLessThanOrEqual(MAX_SITEMAP_BYTES / chunk.length + 2);
+    expect(cancelled).toBe(true);
+  });
+
   test('marks empty crawls as incomplete instead of clean', async () => {
     const { crawlPublicSite } = require('../../services/imageSeoAudit');
 
@@ -141,6 +295,183 @@ describe('image SEO audit service', () => {
     expect(audit.summary.recommendations[0].title).toMatch(/could not crawl/i);
   });
 
+  test('retries a page that failed with a server error and resumes a crawl from its checkpoint', async () => {
+    const { crawlPublicSite } = require('../../services/imageSeoAudit');
+
+    let aboutFailures = 0;
+    global.fetch = jest.fn(async (url) => {
+      const requested = String(url);
+      if (requested.endsWith('/sitemap.xml')) {
+        return mockFetchResponse(requested, '<urlset><url><loc>https://example.com/about</loc></url></urlset>', 'application/xml');
+      }
+      if (requested.endsWith('/about') && aboutFailures === 0) {
+        aboutFailures += 1;
+        return { ...mockFetchResponse(requested, ''), ok: false, status: 503 };
+      }
+      return mockFetchResponse(requested, '<html><head><title>Page</title></head><body><img src="/a.jpg" alt="A cyclist at sunrise"></body></html>');
+    });
+
+    const checkpoints = [];
+    const audit = await crawlPublicSite('https://example.com', {
+      maxPages: 5,
+      maxImages: 10,
+      onCheckpoint: (state) => { checkpoints.push(JSON.parse(JSON.stringify(state))); }
+    });
+
+    expect(audit.pages.map((page) => page.url).sort()).toEqual(['https://example.com/', 'https://example.com/about']);
+    expect(audit.summary.crawlStatus).not.toBe('no_pages');
+    expect(checkpoints.length).toBeGreaterThanOrEqual(2);
+    expect(checkpoints[0].pageAttempts['https://example.com/about']).toBe(1);
+
+    // Resume from the first wave: fetched pages are not requested again.
+    global.fetch.mockClear();
+    const resumed = await crawlPublicSite('https://example.com', { maxPages: 5, maxImages: 10, checkpoint: checkpoints[0] });
+    const refetched = global.fetch.mock.calls
+      .filter(([, options]) => options?.method !== 'HEAD')
+      .map(([url]) => String(url));
+    expect(refetched).toEqual(['https://example.com/robots.txt', 'https://example.com/about']);
+    expect(resumed.pages.map((page) => page.url).sort()).toEqual(['https://example.com/', 'https://example.com/about']);
+  });
+
+  test('checks image files and markup beyond alt text', async () => {
+    const { crawlPublicSite, IMAGE_CHECK_ISSUES } = require('../../services/imageSeoAudit');
+
+    const imageHeaders = {
+      'https://example.com/hero.jpg': { status: 200, type: 'image/jpeg', length: '450000' },
+      'https://example.com/team.webp': { status: 200, type: 'image/webp', length: '40000' },
+      'https://example.com/gone.png': { status: 404, type: 'text/html', length: null },
+      'https://example.com/footer.avif': { status: 200, type: 'image/avif', length: '12000' }
+    };
+    global.fetch = jest.fn(async (url, options = {}) => {
+      const requested = String(url);
+      if (options.method === 'HEAD') {
+        const file = imageHeaders[requested];
+        return {
+          ok: file.status < 400,
+          status: file.status,
+          url: requested,
+          headers: { get: (name) => ({ 'content-type': file.type, 'content-length': file.length })[String(name).toLowerCase()] ?? null }
+        };
+      }
+      if (requested.endsWith('sitemap.xml') || requested.endsWith('/robots.txt')) {
+        return { ok: false, status: 404, url: requested, headers: { get: () => null } };
+      }
+      return mockFetchResponse(requested, [
+        '<html><head><title>Home</title></head><body>',
+        '<img src="/hero.jpg" alt="Cyclist riding at sunrise">',
+        '<picture><source srcset="/team-2x.webp 2x"><img src="/team.webp" alt="Our team at the workshop" width="800" height="600"></picture>',
+        '<img src="/gone.png" alt="Old product photo on a table" width="400" height="300" srcset="/gone.png 1x">',
+        '<img src="/footer.avif" alt="Mountain trail at dusk" width="400" height="300" loading="lazy" srcset="/footer.avif 1x">',
+        '</body></html>'
+      ].join(''));
+    });
+
+    const audit = await crawlPublicSite('https://example.com', { maxPages: 1, maxImages: 10 });
+
+    const issuesBySrc = Object.fromEntries(audit.images.map((image) => [image.src, image.checkIssues]));
+    expect(issuesBySrc['https://example.com/hero.jpg']).toEqual([
+      IMAGE_CHECK_ISSUES.MISSING_DIMENSIONS,
+      IMAGE_CHECK_ISSUES.OVERSIZED,
+      IMAGE_CHECK_ISSUES.LEGACY_FORMAT,
+      IMAGE_CHECK_ISSUES.MISSING_SRCSET
+    ]);
+    expect(issuesBySrc['https://example.com/team.webp']).toEqual([]);
+    expect(issuesBySrc['https://example.com/gone.png']).toEqual([IMAGE_CHECK_ISSUES.BROKEN]);
+    expect(issuesBySrc['https://example.com/footer.avif']).toEqual([]);
+
+    expect(audit.summary.imageChecks).toEqual(expect.objectContaining({
+      imagesChecked: 4,
+      brokenCount: 1,
+      missingDimensionsCount: 1,
+      oversizedCount: 1,
+      legacyFormatCount: 1,
+      notLazyCount: 0,
+      missingSrcsetCount: 1
+    }));
+    expect(audit.summary.imageChecks.largestImages[0]).toEqual(expect.objectContaining({ src: 'https://example.com/hero.jpg', bytes: 450000, format: 'jpeg' }));
+    // Alt text is all strong, so the checks alone pull the score below 100.
+    expect(audit.summary.score).toBeLessThan(100);
+    expect(audit.summary.recommendations.map((item) => item.title)).toEqual(expect.arrayContaining([
+      'Fix broken image URLs',
+      'Add width and height to images',
+      'Compress images and serve WebP or AVIF'
+    ]));
+  });
+
+  test('re-checks every image redirect hop against the private URL guard', async () => {
+    const { checkImages } = require('../../services/imageSeoAudit');
+    dns.lookup.mockImplementation(async (hostname) => (
+      hostname === 'metadata.internal'
+        ? [{ address: '169.254.169.254', family: 4 }]
+        : [{ address: '93.184.216.34', family: 4 }]
+    ));
+    const redirects = {
+      'https://cdn.example.com/moved.jpg': 'https://cdn.example.com/final.jpg',
+      'https://cdn.example.com/leak.jpg': 'http://metadata.internal/latest/meta-data/',
+      'https://cdn.example.com/loop.jpg': 'https://cdn.example.com/loop.jpg'
+    };
+    global.fetch = jest.fn(async (url) => {
+      const requested = String(url);
+      const location = redirects[requested];
+      return {
+        ok: !location,
+        status: location ? 302 : 200,
+        url: requested,
+        headers: { get: (name) => ({ location, 'content-type': 'image/jpeg', 'content-length': '2048' })[String(name).toLowerCase()] ?? null }
+      };
+    });
+
+    const images = ['moved', 'leak', 'loop'].map((name) => ({ src: `https://cdn.example.com/${name}.jpg`, filename: `${name}.jpg` }));
+    const { imagesChecked } = await checkImages(images);
+
+    expect(imagesChecked).toBe(1);
+    expect(images[0]).toEqual(expect.objectContaining({ httpStatus: 200, fileBytes: 2048 }));
+    expect(images[1].httpStatus).toBeUndefined();
+    const requested = global.fetch.mock.calls.map(([url]) => String(url));
+    expect(requested).not.toContain('http://metadata.internal/latest/meta-data/');
+    expect(requested.filter((url) => url.endsWith('/loop.jpg'))).toHaveLength(6);
+    expect(global.fetch.mock.calls.every(([, options]) => options.redirect === 'manual')).toBe(true);
+  });
+
+  test('does not count decorative images with alt="" as missing alt text', async () => {
+    const { crawlPublicSite } = require('../../services/imageSeoAudit');
+
+    global.fetch = jest.fn(async (url, options = {}) => {
+      const requested = String(url);
+      if (options.method === 'HEAD' || requested.endsWith('sitemap.xml') || requested.endsWith('/robots.txt')) {
+        return { ok: false, status: 404, url: requested, headers: { get: () => null } };
+      }
+      return mockFetchResponse(requested, [
+        '<html><head><title>Home</title></head><body>',
+        '<img src="/spacer.gif" alt="">',
+        '<a href="/cart">Cart <img src="/cart.svg" width="20" height="20"></a>',
+        '<img src="/team.jpg" alt="">',
+        '<img src="/hero.jpg" alt="Cyclist riding at sunrise">',
+        '</body></html>'
+      ].join(''));
+    });
+
+    const audit = await crawlPublicSite('https://example.com', { maxPages: 1, maxImages: 10 });
+
+    const bySrc = Object.fromEntries(audit.images.map((image) => [image.src, image]));
+    expect(bySrc['https://example.com/spacer.gif']).toEqual(expect.objectContaining({ decorative: true, label: 'Decorative', score: 100 }));
+    expect(bySrc['https://example.com/cart.svg']).toEqual(expect.objectContaining({
+      decorative: true,
+      decorativeReasons: ['Icon inside a labelled link or button'],
+      label: 'Missing'
+    }));
+    expect(bySrc['https://example.com/team.jpg']).toEqual(expect.objectContaining({ decorative: false, label: 'Missing' }));
+
+    expect(audit.summary).toEqual(expect.objectContaining({
+      missingAltCount: 2,
+      decorativeCount: 2,
+      decorativeMissingCount: 1
+    }));
+    const titles = audit.summary.recommendations.map((item) => item.title);
+    expect(titles).toEqual(expect.arrayContaining(['Fill missing alt text first', 'Mark decorative images with empty alt']));
+    expect(audit.summary.recommendations.find((item) => item.title === 'Fill missing alt text first').detail).toMatch(/^1 image had/);
+  });
+
   test('generates a non-empty PDF report', async () => {
     const { generateAuditPdfBuffer } = require('../../services/imageSeoAudit');
 
@@ -197,4 +528,28 @@ describe('image SEO audit service', () => {
       auditScore: expect.any(Number)
     }));
   });
+
+  test('a resumed audit whose report was already emailed only records completion', async () => {
+    const { runImageSeoAudit } = require('../../services/imageSeoAudit');
+    const { sendImageSeoAuditEmail } = require('../../lib/email');
+    const loops = require('../../../src/services/loops');
+    global.fetch = jest.fn();
+
+    const summary = { score: 80, pagesScanned: 3, imagesScanned: 9, missingAltPercent: 10 };
+    const result = await runImageSeoAudit({
+      supabase: null,
+      auditId: '00000000-0000-4000-8000-000000000002',
+      email: 'user@example.com',
+      siteUrl: 'https://example.com',
+      checkpoint: {
+        report: { siteUrl: 'https://example.com/', normalizedDomain: 'example.com', summary, emailMessageId: 'email_9' }
+      }
+    });
+
+    expect(result).toEqual(expect.objectContaining({ ok: true, summary, emailMessageId: 'email_9' }));
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(sendImageSeoAuditEmail).not.toHaveBeenCalled();
+    expect(loops.trackImageSeoAuditRequested).not.toHaveBeenCalled();
+    expect(loops.trackImageSeoAuditCompleted).toHaveBeenCalledWith(expect.objectContaining({ auditScore: 80 }));
+  });
 });
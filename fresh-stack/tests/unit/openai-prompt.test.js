@@ -12,4 +12,71 @@ describe('OpenAI prompt builder', () => {
     expect(prompt).toContain('Requested style: E-commerce');
     expect(prompt).toContain('Additional user instructions: Mention product material when visible.');
   });
+
+  test('leaves English prompts unchanged and names other output languages', () => {
+    expect(buildPrompt({ language: 'en' })).toBe(buildPrompt({}));
+
+    const prompt = buildPrompt({ language: 'pt-BR' });
+    expect(prompt).toContain('Write the alt text in Brazilian Portuguese (pt-BR).');
+    expect(prompt).toContain('Return only the alt text description, nothing else.');
+  });
+
+  test('asks for a JSON object keyed by language when several are requested', () => {
+    const prompt = buildPrompt({ language: 'de', languages: ['de', 'fr'] });
+
+    expect(prompt).toContain('German (de), French (fr)');
+    expect(prompt).toContain('Return only a JSON object mapping each language tag to its alt text');
+    expect(prompt).not.toContain('Return only the alt text description');
+  });
+
+  test('adds surrounding page content as context', () => {
+    const prompt = buildPrompt({
+      pageTitle: 'Shop',
+      pageContext: {
+        nearbyText: 'Hand-glazed in our Leeds studio.',
+        heading: 'Blue ceramic mug',
+        linkHref: null,
+        postType: 'product',
+        productName: 'Blue ceramic mug',
+        productAttributes: [{ name: 'Color', value: 'Blue' }]
+      }
+    });
+
+    expect(prompt).toContain('Product: Blue ceramic mug\nProduct attributes: Color: Blue\nSection heading: Blue ceramic mug');
+    expect(prompt).toContain('Content type: product');
+    expect(prompt).toContain('Nearby text: Hand-glazed in our Leeds studio.');
+    expect(buildPrompt({ pageContext: null })).toBe(buildPrompt({}));
+  });
+
+  test('uses the product template when product data is sent', () => {
+    const prompt = buildPrompt({
+      title: 'trail-runner-blue.jpg',
+      language: 'de',
+      product: {
+        name: 'Trail Runner 2',
+        sku: 'TR2-BLU-42',
+        brand: 'Acme',
+        category: 'Running shoes',
+        attributes: [{ name: 'Color', value: 'Blue' }]
+      }
+    });
+
+    expect(prompt).toMatch(/^Write alt text for a product photo on an online store\./);
+    expect(prompt).toContain('Name: Trail Runner 2\nBrand: Acme\nCategory: Running shoes\nVariant: Color: Blue\nSKU: TR2-BLU-42');
+    expect(prompt).toContain('Never include prices, discounts, SKUs');
+    expect(prompt).not.toContain('Aerial view of downtown Chicago');
+    // Shared tail still applies: hints, language.
+    expect(prompt).toContain('Title: trail-runner-blue.jpg');
+    expect(prompt).toContain('Write the alt text in German (de).');
+  });
+
+  test('injects the brand glossary only when one is set', () => {
+    expect(buildPrompt({}, { glossary: { terms: [], required_keywords: [], banned_terms: [] } })).toBe(buildPrompt({}));
+
+    const prompt = buildPrompt({}, {
+      glossary: { terms: [{ term: 'iphone', preferred: 'iPhone' }], required_keywords: ['Acme'], banned_terms: [] }
+    });
+    expect(prompt).toContain('- Always write "iPhone" with exactly this spelling and capitalization');
+    expect(prompt).toContain('- Include these keywords: "Acme"');
+  });
 });
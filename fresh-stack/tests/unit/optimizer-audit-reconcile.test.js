@@ -27,7 +27,7 @@ describe('getOptimizerAudit — stale reconcile', () => {
   it('marks a long-running row as interrupted', async () => {
     let updated = null;
     const stale = { id: UUID, site_hash: 's', site_url: 'https://x.com', status: 'running',
-      created_at: new Date(Date.now() - 10 * 60 * 1000).toISOString(), result_json: null, error_code: null };
+      created_at: new Date(Date.now() - 30 * 60 * 1000).toISOString(), result_json: null, error_code: null };
     const supabase = makeSupabase(stale, (patch) => { updated = patch; });
 
     const res = await getOptimizerAudit(UUID, { supabase });
@@ -47,6 +47,19 @@ describe('getOptimizerAudit — stale reconcile', () => {
     expect(updated).toBeNull();
   });
 
+  it('keeps a long audit running while it is still writing progress', async () => {
+    let updated = null;
+    const busy = { id: UUID, site_hash: 's', site_url: 'https://x.com', status: 'running',
+      created_at: new Date(Date.now() - 30 * 60 * 1000).toISOString(), updated_at: new Date(Date.now() - 30 * 1000).toISOString(),
+      pages_scanned: 12, images_scanned: 140, result_json: null, error_code: null };
+    const supabase = makeSupabase(busy, (patch) => { updated = patch; });
+
+    const res = await getOptimizerAudit(UUID, { supabase });
+    expect(res.status).toBe('running');
+    expect(res.progress).toEqual({ pagesScanned: 12, imagesScanned: 140 });
+    expect(updated).toBeNull();
+  });
+
   it('passes a completed row through untouched', async () => {
     const done = { id: UUID, site_hash: 's', site_url: 'https://x.com', status: 'completed',
       created_at: new Date(Date.now() - 60 * 60 * 1000).toISOString(), result_json: { overallScore: 88 }, error_code: null };
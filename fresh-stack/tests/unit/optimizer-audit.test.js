@@ -159,6 +159,25 @@ describe('summarizePerformance', () => {
     expect(heavy.score).toBeLessThan(light.score);
     expect(heavy.findings.join(' ')).toMatch(/Core Web Vitals/);
   });
+
+  it('folds image weight, lazy-loading and dimension checks into the estimate', () => {
+    const imageSummary = {
+      imagesScanned: 4,
+      imageChecks: { oversizedCount: 2, legacyFormatCount: 2, notLazyCount: 2, missingDimensionsCount: 4, missingSrcsetCount: 0, brokenCount: 0 }
+    };
+    const result = summarizePerformance([page('https://a.com/')], imageSummary);
+    expect(result.score).toBe(73);
+    expect(result.findings).toEqual(expect.arrayContaining([
+      '2 images are oversized files',
+      '2 below-the-fold images are not lazy-loaded',
+      '4 images have no width/height (layout shift)'
+    ]));
+
+    const psi = { lighthouseResult: { categories: { performance: { score: 0.95 } }, audits: {} } };
+    const measured = summarizePerformanceFromPsi(psi, imageSummary);
+    expect(measured.score).toBe(95);
+    expect(measured.findings).toContain('2 images could be served as WebP/AVIF');
+  });
 });
 
 describe('summarizeAiReadiness', () => {
@@ -0,0 +1,140 @@
+const { buildAuditSnapshot } = require('../../services/optimizerAudit');
+const { compareOptimizerAudits } = require('../../services/optimizerCompare');
+
+const BASE_ID = '11111111-1111-1111-1111-111111111111';
+const NEXT_ID = '22222222-2222-2222-2222-222222222222';
+const OTHER_SITE_ID = '33333333-3333-3333-3333-333333333333';
+
+function page(path, { meta = true, canonical = true, schema = [], links = [] } = {}) {
+  return {
+    url: `https://example.com${path}`,
+    title: `Page ${path}`,
+    links: links.map((target) => `https://example.com${target}`),
+    signals: {
+      metaDescription: meta ? 'A description' : null,
+      canonical: canonical ? `https://example.com${path}` : null,
+      schemaTypes: schema
+    }
+  };
+}
+
+function image(path, src, alt, score = 90) {
+  return { pageUrl: `https://example.com${path}`, src: `https://example.com/${src}`, alt, score };
+}
+
+function row(id, { siteHash = 'site-1', status = 'completed', overall, categories, snapshot }) {
+  return {
+    id,
+    site_hash: siteHash,
+    site_url: 'https://example.com/',
+    status,
+    created_at: new Date().toISOString(),
+    error_code: null,
+    result_json: status === 'completed'
+      ? { overallScore: overall, normalizedDomain: 'example.com', completedAt: new Date().toISOString(), categories, snapshot }
+      : null
+  };
+}
+
+// getOptimizerAudit reads optimizer_audits by id: select().eq('id', x).maybeSingle().
+function makeSupabase(rows) {
+  return {
+    from() {
+      let id = null;
+      const query = {
+        select() { return query; },
+        eq(_column, value) { id = value; return query; },
+        maybeSingle() { return Promise.resolve({ data: rows.find((r) => r.id === id) || null, error: null }); }
+      };
+      return query;
+    }
+  };
+}
+
+describe('compareOptimizerAudits', () => {
+  const baseSnapshot = buildAuditSnapshot([
+    page('/', { schema: ['WebSite'], links: ['/about', '/blog'] }),
+    page('/about', { meta: false }),
+    page('/blog', { canonical: false }),
+    page('/old-landing')
+  ], [
+    image('/', 'hero.jpg', null, 0),
+    image('/about', 'team.jpg', 'Our team at the office'),
+    image('/about', 'logo.png', 'logo', 10),
+    image('/blog', 'cover.jpg', 'Blog cover with coffee')
+  ]);
+
+  const nextSnapshot = buildAuditSnapshot([
+    page('/', { schema: ['WebSite', 'Organization'], links: ['/about'] }),
+    page('/about'),
+    page('/blog', { canonical: true, meta: false }),
+    page('/new-page', { schema: [] })
+  ], [
+    image('/', 'hero.jpg', 'Cyclist riding at sunrise'),
+    image('/about', 'team.jpg', ''),
+    image('/about', 'logo.png', 'Example Co. logo'),
+    image('/blog', 'cover.jpg', 'Blog cover with coffee'),
+    image('/new-page', 'chart.png', null, 0)
+  ]);
+
+  const rows = [
+    row(BASE_ID, { overall: 61, categories: { images: { score: 40 }, seo: { score: 70 } }, snapshot: baseSnapshot }),
+    row(NEXT_ID, { overall: 68, categories: { images: { score: 55 }, seo: { score: 66 } }, snapshot: nextSnapshot }),
+    row(OTHER_SITE_ID, { siteHash: 'site-2', overall: 90, categories: {}, snapshot: baseSnapshot })
+  ];
+
+  it('reports page, image and schema changes from the baseline to the newer audit', async () => {
+    const { data, error } = await compareOptimizerAudits(NEXT_ID, BASE_ID, { supabase: makeSupabase(rows) });
+
+    expect(error).toBeUndefined();
+    expect(data.from.auditId).toBe(BASE_ID);
+    expect(data.to.auditId).toBe(NEXT_ID);
+    expect(data.overallScoreDelta).toBe(7);
+    expect(data.categories).toEqual({
+      images: { from: 40, to: 55, delta: 15 },
+      seo: { from: 70, to: 66, delta: -4 }
+    });
+
+    const { pages, images, schema } = data.details;
+    const urls = (list) => list.items.map((item) => item.url);
+    expect(urls(pages.added)).toEqual(['https://example.com/new-page']);
+    expect(urls(pages.removed)).toEqual(['https://example.com/old-landing']);
+    expect(urls(pages.gainedMetaDescription)).toEqual(['https://example.com/about']);
+    expect(urls(pages.lostMetaDescription)).toEqual(['https://example.com/blog']);
+    expect(urls(pages.gainedCanonical)).toEqual(['https://example.com/blog']);
+    expect(pages.lostCanonical.count).toBe(0);
+    // /blog lost its only inbound link; /new-page arrived with none.
+    expect(urls(pages.newOrphans)).toEqual(['https://example.com/blog', 'https://example.com/new-page']);
+
+    expect(images.newlyMissingAlt.items).toEqual([
+      { src: 'https://example.com/team.jpg', pageUrl: 'https://example.com/about', isNew: false },
+      { src: 'https://example.com/chart.png', pageUrl: 'https://example.com/new-page', isNew: true }
+    ]);
+    expect(images.fixed.items).toEqual([
+      expect.objectContaining({ src: 'https://example.com/hero.jpg', previousStatus: 'missing' }),
+      expect.objectContaining({ src: 'https://example.com/logo.png', previousStatus: 'weak', alt: 'Example Co. logo' })
+    ]);
+    expect(schema).toEqual({ typesAdded: ['Organization'], typesRemoved: [] });
+  });
+
+  it('still compares scores for audits stored without a snapshot', async () => {
+    const legacy = row(BASE_ID, { overall: 50, categories: { images: { score: 30 } } });
+    const { data } = await compareOptimizerAudits(NEXT_ID, BASE_ID, { supabase: makeSupabase([legacy, rows[1]]) });
+    expect(data.overallScoreDelta).toBe(18);
+    expect(data.details).toBeNull();
+  });
+
+  it('refuses unknown, unfinished and cross-site comparisons', async () => {
+    const running = row(BASE_ID, { status: 'running' });
+    const supabase = makeSupabase([...rows.slice(1), running]);
+
+    await expect(compareOptimizerAudits(NEXT_ID, '44444444-4444-4444-4444-444444444444', { supabase }))
+      .resolves.toEqual(expect.objectContaining({ error: 'AUDIT_NOT_FOUND', status: 404 }));
+    await expect(compareOptimizerAudits(NEXT_ID, BASE_ID, { supabase }))
+      .resolves.toEqual(expect.objectContaining({ error: 'AUDIT_NOT_COMPLETED', status: 409 }));
+    await expect(compareOptimizerAudits(NEXT_ID, OTHER_SITE_ID, { supabase }))
+      .resolves.toEqual(expect.objectContaining({ error: 'AUDIT_SITE_MISMATCH', status: 409 }));
+    await expect(compareOptimizerAudits(NEXT_ID, NEXT_ID, { supabase }))
+      .resolves.toEqual(expect.objectContaining({ error: 'SAME_AUDIT', status: 400 }));
+  });
+});
@@ -0,0 +1,65 @@
+const {
+  buildPageContextLines,
+  normalizePageContext,
+  pageContextFingerprint
+} = require('../../lib/pageContext');
+
+describe('page context', () => {
+  test('normalizes plugin input and trims long text instead of rejecting it', () => {
+    const { pageContext, errors } = normalizePageContext({
+      nearby_text: `  Our   new mug ${'is glazed by hand '.repeat(200)}`,
+      heading: 'Blue ceramic mug',
+      link_href: '/product/blue-mug',
+      post_type: 'Product',
+      product_name: 'Blue ceramic mug',
+      product_attributes: { Color: 'Blue', Material: ['Ceramic', 'Glaze'], Empty: [] }
+    });
+
+    expect(errors).toEqual([]);
+    expect(pageContext.nearbyText.startsWith('Our new mug is glazed')).toBe(true);
+    expect(pageContext.nearbyText.length).toBeLessThanOrEqual(2001);
+    expect(pageContext.postType).toBe('product');
+    expect(pageContext.productAttributes).toEqual([
+      { name: 'Color', value: 'Blue' },
+      { name: 'Material', value: 'Ceramic, Glaze' }
+    ]);
+
+    expect(normalizePageContext(undefined)).toEqual({ pageContext: null, errors: [] });
+    expect(normalizePageContext({ heading: '   ' })).toEqual({ pageContext: null, errors: [] });
+    expect(normalizePageContext('text').errors).toEqual(['page_context must be an object']);
+    expect(normalizePageContext({ link_href: 'javascript:alert(1)', heading: {} }).errors).toEqual([
+      'link_href must be an http(s) URL or a site-relative path',
+      'heading must be a string'
+    ]);
+  });
+
+  test('keeps product details and headings and fits nearby text into the token budget', () => {
+    const { pageContext } = normalizePageContext({
+      nearby_text: 'word '.repeat(400),
+      heading: 'Blue ceramic mug',
+      product_name: 'Blue ceramic mug',
+      product_attributes: { Color: 'Blue' }
+    });
+
+    const lines = buildPageContextLines(pageContext, { maxTokens: 60 });
+    expect(lines.slice(0, 3)).toEqual([
+      'Product: Blue ceramic mug',
+      'Product attributes: Color: Blue',
+      'Section heading: Blue ceramic mug'
+    ]);
+    expect(lines[3]).toMatch(/^Nearby text: word word .*…$/);
+    expect(lines.join('\n').length).toBeLessThanOrEqual(60 * 4 + 3);
+
+    // No room left for a useful excerpt: nearby text is dropped.
+    expect(buildPageContextLines(pageContext, { maxTokens: 20 }).some((line) => line.startsWith('Nearby text'))).toBe(false);
+    expect(buildPageContextLines(null)).toEqual([]);
+  });
+
+  test('fingerprints differ per page context', () => {
+    const a = normalizePageContext({ heading: 'Mugs' }).pageContext;
+    const b = normalizePageContext({ heading: 'Plates' }).pageContext;
+    expect(pageContextFingerprint(a)).not.toBe(pageContextFingerprint(b));
+    expect(pageContextFingerprint(a)).toBe(pageContextFingerprint(normalizePageContext({ heading: ' Mugs ' }).pageContext));
+    expect(pageContextFingerprint(null)).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+const { buildProductLines, normalizeProduct, productFingerprint } = require('../../lib/productMode');
+
+describe('product mode', () => {
+  test('normalizes product data and requires a name', () => {
+    const { product, errors } = normalizeProduct({
+      name: '  Trail   Runner 2 ',
+      sku: 'TR2-BLU-42',
+      brand: 'Acme',
+      category: 'Running shoes',
+      attributes: { Color: 'Blue', Size: 42 }
+    });
+
+    expect(errors).toEqual([]);
+    expect(product).toEqual({
+      name: 'Trail Runner 2',
+      sku: 'TR2-BLU-42',
+      brand: 'Acme',
+      category: 'Running shoes',
+      attributes: [{ name: 'Color', value: 'Blue' }, { name: 'Size', value: '42' }]
+    });
+    expect(buildProductLines(product)).toEqual([
+      'Name: Trail Runner 2',
+      'Brand: Acme',
+      'Category: Running shoes',
+      'Variant: Color: Blue; Size: 42',
+      'SKU: TR2-BLU-42'
+    ]);
+
+    expect(normalizeProduct(undefined)).toEqual({ product: null, errors: [] });
+    expect(normalizeProduct({ sku: 'X1' }).errors).toEqual(['product.name is required']);
+    expect(normalizeProduct({ name: 'Mug', attributes: 'blue' }).errors).toEqual([
+      'product.attributes must be an object or an array of { name, value }'
+    ]);
+    expect(normalizeProduct(['Mug']).errors).toEqual(['product must be an object']);
+  });
+
+  test('fingerprints change with the variant', () => {
+    const blue = normalizeProduct({ name: 'Mug', attributes: { Color: 'Blue' } }).product;
+    const red = normalizeProduct({ name: 'Mug', attributes: { Color: 'Red' } }).product;
+    expect(productFingerprint(blue)).not.toBe(productFingerprint(red));
+    expect(productFingerprint(null)).toBeNull();
+  });
+});
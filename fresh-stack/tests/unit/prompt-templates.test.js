@@ -0,0 +1,163 @@
+jest.mock('../../lib/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { buildPrompt } = require('../../lib/openai');
+const { buildTitlesPrompt } = require('../../lib/openaiTitles');
+const {
+  BUILTIN_PROMPT_TEMPLATES,
+  PROMPT_TEMPLATE_KEYS,
+  normalizePromptTemplate
+} = require('../../lib/promptTemplates');
+const {
+  clearPromptTemplateCache,
+  pickExperimentVariant,
+  resolvePromptTemplate
+} = require('../../services/promptTemplates');
+
+// Registry tables keyed by name; every query resolves to the rows matching
+// its eq() filters.
+function createRegistryMock(tables, { error = null } = {}) {
+  const calls = [];
+  return {
+    calls,
+    from(table) {
+      calls.push(table);
+      const filters = [];
+      const query = {
+        select: () => query,
+        eq(column, value) {
+          filters.push((row) => row[column] === value);
+          return query;
+        },
+        then(resolve, reject) {
+          const data = error ? null : (tables[table] || []).filter((row) => filters.every((filter) => filter(row)));
+          return Promise.resolve({ data, error }).then(resolve, reject);
+        }
+      };
+      return query;
+    }
+  };
+}
+
+const V2_ROW = {
+  template_key: 'alt_text',
+  version: 'v2',
+  system_prompt: 'You write short, literal alt text.',
+  instructions: 'Describe the image in at most 12 words.'
+};
+
+describe('prompt templates', () => {
+  beforeEach(() => {
+    clearPromptTemplateCache();
+  });
+
+  test('buildPrompt starts with the template instructions and keeps the request-derived parts', () => {
+    const prompt = buildPrompt(
+      { title: 'Harbour', language: 'de', product: { name: 'Blue Mug', attributes: [] } },
+      { template: { key: 'alt_text_product', version: 'v2', instructions: 'Name the product first.\nKeep it short.' } }
+    );
+
+    expect(prompt.startsWith('Name the product first.\nKeep it short.\n\nProduct (the SKU is for reference only; do not include it):\nName: Blue Mug')).toBe(true);
+    expect(prompt).toContain('Title: Harbour');
+    expect(prompt).toContain('Write the alt text in German (de).');
+    expect(prompt).not.toContain('Guidelines:');
+  });
+
+  test('built-in templates reproduce the prompts that shipped before the registry', () => {
+    expect(buildPrompt({}).startsWith(BUILTIN_PROMPT_TEMPLATES.alt_text.instructions)).toBe(true);
+    expect(BUILTIN_PROMPT_TEMPLATES.titles.systemPrompt).toMatch(/^You are an SEO copywriter/);
+    expect(BUILTIN_PROMPT_TEMPLATES.titles_product.systemPrompt).toMatch(/product pages/);
+    expect(buildTitlesPrompt({ page: { url: 'https://example.com/a' } })).toMatch(/^Write a title/);
+  });
+
+  test('validates new template versions', () => {
+    expect(normalizePromptTemplate({
+      template_key: 'alt_text',
+      version: 'V2',
+      system_prompt: '  Be literal.  ',
+      instructions: 'Describe it.'
+    })).toEqual({
+      template: { key: 'alt_text', version: 'v2', systemPrompt: 'Be literal.', instructions: 'Describe it.', notes: null },
+      errors: []
+    });
+
+    expect(normalizePromptTemplate({ template_key: 'alt_text', version: 'v2', system_prompt: 'x' }).errors)
+      .toEqual(['instructions is required']);
+    expect(normalizePromptTemplate({ template_key: 'titles', version: 'builtin', system_prompt: 'x', instructions: 'y' }).errors)
+      .toEqual([
+        'version "builtin" is reserved for the prompts that ship with the code',
+        'instructions only apply to alt text templates'
+      ]);
+    expect(normalizePromptTemplate({ template_key: 'emails', version: 'v1', system_prompt: 'x' }).errors[0])
+      .toMatch(/^template_key must be one of alt_text, alt_text_product, titles, titles_product/);
+  });
+
+  test('experiment variants are sticky per unit and follow the weights', () => {
+    const experiment = {
+      experiment_key: 'alt-v2',
+      variants: [{ version: 'builtin', weight: 1 }, { version: 'v2', weight: 3 }]
+    };
+    const picks = Array.from({ length: 400 }, (_, index) => pickExperimentVariant(experiment, `site-${index}`));
+    const v2Share = picks.filter((version) => version === 'v2').length / picks.length;
+
+    expect(v2Share).toBeGreaterThan(0.65);
+    expect(v2Share).toBeLessThan(0.85);
+    expect(pickExperimentVariant(experiment, 'site-7')).toBe(picks[7]);
+    expect(pickExperimentVariant({ ...experiment, variants: [{ version: 'builtin', weight: 0 }, { version: 'v2', weight: 5 }] }, 'site-7'))
+      .toBe('v2');
+  });
+
+  test('resolves experiment first, then site, plan and default assignments', async () => {
+    const supabase = createRegistryMock({
+      prompt_templates: [V2_ROW, { ...V2_ROW, version: 'v3', instructions: 'Three.' }],
+      prompt_template_assignments: [
+        { template_key: 'alt_text', scope_key: 'default', version: 'v3' },
+        { template_key: 'alt_text', scope_key: 'plan:pro', version: 'v2' },
+        { template_key: 'alt_text', scope_key: 'site:site-uuid', version: 'builtin' }
+      ],
+      prompt_experiments: [{
+        experiment_key: 'alt-v2',
+        template_key: 'alt_text',
+        status: 'running',
+        variants: [{ version: 'builtin', weight: 0 }, { version: 'v2', weight: 1 }],
+        plans: ['agency']
+      }]
+    });
+
+    const inExperiment = await resolvePromptTemplate(supabase, { key: 'alt_text', plan: 'agency', unitKey: 'hash-1' });
+    expect(inExperiment.template).toEqual(expect.objectContaining({ version: 'v2', systemPrompt: V2_ROW.system_prompt }));
+    expect(inExperiment.assignment).toEqual({ experiment: 'alt-v2', variant: 'v2' });
+
+    const site = await resolvePromptTemplate(supabase, { key: 'alt_text', plan: 'pro', siteId: 'site-uuid', unitKey: 'hash-1' });
+    expect(site).toEqual({ template: BUILTIN_PROMPT_TEMPLATES.alt_text, assignment: null });
+
+    const plan = await resolvePromptTemplate(supabase, { key: 'alt_text', plan: 'pro', unitKey: 'hash-1' });
+    expect(plan.template.version).toBe('v2');
+
+    const fallback = await resolvePromptTemplate(supabase, { key: 'alt_text', plan: 'free' });
+    expect(fallback.template).toEqual(expect.objectContaining({ version: 'v3', instructions: 'Three.' }));
+
+    // Three registry reads, then served from the cache.
+    expect(supabase.calls).toHaveLength(3);
+  });
+
+  test('falls back to the built-in template when the registry is unavailable or points nowhere', async () => {
+    const broken = createRegistryMock({}, { error: { code: '42P01', message: 'relation "prompt_templates" does not exist' } });
+    await expect(resolvePromptTemplate(broken, { key: 'titles', plan: 'pro' }))
+      .resolves.toEqual({ template: BUILTIN_PROMPT_TEMPLATES.titles, assignment: null });
+
+    clearPromptTemplateCache();
+    const dangling = createRegistryMock({
+      prompt_template_assignments: [{ template_key: 'titles', scope_key: 'default', version: 'deleted' }]
+    });
+    await expect(resolvePromptTemplate(dangling, { key: PROMPT_TEMPLATE_KEYS.TITLES }))
+      .resolves.toEqual({ template: BUILTIN_PROMPT_TEMPLATES.titles, assignment: null });
+
+    await expect(resolvePromptTemplate(null, { key: 'alt_text' }))
+      .resolves.toEqual({ template: BUILTIN_PROMPT_TEMPLATES.alt_text, assignment: null });
+  });
+});
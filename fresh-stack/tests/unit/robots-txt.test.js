@@ -0,0 +1,72 @@
+const { createRobotsPolicy, parseRobotsTxt } = require('../../lib/robotsTxt');
+
+const USER_AGENT = 'OpttiAI-Image-SEO-Audit/1.0 (+https://oppti.dev/image-seo-audit)';
+
+describe('robots.txt policy', () => {
+  test('parses groups, rules, crawl-delay and sitemap lines', () => {
+    const parsed = parseRobotsTxt([
+      '# comment',
+      'User-agent: Googlebot',
+      'User-agent: Bingbot',
+      'Disallow: /private',
+      '',
+      'User-agent: *',
+      'Disallow:',
+      'Crawl-delay: 2',
+      'Sitemap: https://example.com/sitemap_index.xml'
+    ].join('\n'));
+
+    expect(parsed.groups).toEqual([
+      { agents: ['googlebot', 'bingbot'], rules: [{ allow: false, path: '/private' }], crawlDelaySeconds: null },
+      { agents: ['*'], rules: [], crawlDelaySeconds: 2 }
+    ]);
+    expect(parsed.sitemaps).toEqual(['https://example.com/sitemap_index.xml']);
+  });
+
+  test('uses the most specific matching group and falls back to *', () => {
+    const robots = [
+      'User-agent: *',
+      'Disallow: /',
+      '',
+      'User-agent: opttiai',
+      'Disallow: /wp-admin/',
+      'Crawl-delay: 30'
+    ].join('\n');
+
+    const policy = createRobotsPolicy(robots, USER_AGENT);
+    expect(policy.isAllowed('https://example.com/about')).toBe(true);
+    expect(policy.isAllowed('https://example.com/wp-admin/options.php')).toBe(false);
+    // Crawl-delay is clamped so one site cannot stall an audit.
+    expect(policy.crawlDelayMs).toBe(10 * 1000);
+
+    const other = createRobotsPolicy(robots, 'SomeOtherBot/2.0');
+    expect(other.isAllowed('/about')).toBe(false);
+  });
+
+  test('longest match wins, Allow wins ties, and wildcards and $ anchors apply', () => {
+    const policy = createRobotsPolicy([
+      'User-agent: *',
+      'Disallow: /shop/',
+      'Allow: /shop/catalog',
+      'Disallow: /*.pdf$',
+      'Disallow: /*?replytocom=',
+      'Allow: /tie',
+      'Disallow: /tie'
+    ].join('\n'), USER_AGENT);
+
+    expect(policy.isAllowed('/shop/cart')).toBe(false);
+    expect(policy.isAllowed('/shop/catalog/shoes')).toBe(true);
+    expect(policy.isAllowed('/files/guide.pdf')).toBe(false);
+    expect(policy.isAllowed('/files/guide.pdf?download=1')).toBe(true);
+    expect(policy.isAllowed('/blog/post?replytocom=12')).toBe(false);
+    expect(policy.isAllowed('/tie')).toBe(true);
+    expect(policy.isAllowed('/robots.txt')).toBe(true);
+  });
+
+  test('an empty or missing file allows everything', () => {
+    const policy = createRobotsPolicy('', USER_AGENT);
+    expect(policy.isAllowed('/anything')).toBe(true);
+    expect(policy.crawlDelayMs).toBe(0);
+    expect(policy.hasRules).toBe(false);
+  });
+});
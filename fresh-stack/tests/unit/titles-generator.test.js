@@ -133,4 +133,26 @@ describe('generateTitleAndMeta', () => {
     expect(result.title.length).toBeLessThanOrEqual(60);
     expect(result.meta.length).toBeLessThanOrEqual(160);
   });
+
+  test('enforces the glossary on title and meta and reports violations', async () => {
+    axios.post.mockResolvedValueOnce({
+      data: {
+        choices: [{ message: { content: '{"title":"Best woo themes","meta":"Compare woo and Shopify themes."}' } }],
+        usage: { total_tokens: 100 }
+      }
+    });
+
+    const result = await generateTitleAndMeta({
+      page: { url: '/themes' },
+      glossary: { terms: [{ term: 'woo', preferred: 'WooCommerce' }], required_keywords: [], banned_terms: ['Shopify'] }
+    });
+
+    expect(result.title).toBe('Best WooCommerce themes');
+    expect(result.meta).toBe('Compare WooCommerce and themes.');
+    expect(result.meta_info.glossary_violations).toEqual([
+      { rule: 'preferred_term', term: 'woo', replacement: 'WooCommerce', action: 'rewritten', field: 'title' },
+      { rule: 'preferred_term', term: 'woo', replacement: 'WooCommerce', action: 'rewritten', field: 'meta' },
+      { rule: 'banned_term', term: 'Shopify', action: 'removed', field: 'meta' }
+    ]);
+  });
 });
@@ -21,6 +21,32 @@ describe('Titles prompt builder', () => {
     expect(prompt).toContain('Return JSON only');
   });
 
+  test('uses the product-page template when the page carries a product', () => {
+    const prompt = buildTitlesPrompt({
+      page: {
+        url: '/product/trail-runner-2',
+        h1: 'Trail Runner 2',
+        product: {
+          name: 'Trail Runner 2',
+          sku: 'TR2-BLU-42',
+          brand: 'Acme',
+          category: 'Running shoes',
+          attributes: [{ name: 'Color', value: 'Blue' }, { name: 'Size', value: '42' }]
+        }
+      },
+      options: { brand_name: 'Acme' }
+    });
+
+    expect(prompt).toMatch(/^Write a product-page title \(≤60 chars\) and meta description \(≤160 chars\)\./);
+    expect(prompt).toContain('Product:\n- Name: Trail Runner 2\n- Brand: Acme\n- Category: Running shoes\n- Variant: Color: Blue; Size: 42\n- SKU: TR2-BLU-42');
+    expect(prompt).toContain('- URL: /product/trail-runner-2');
+    expect(prompt).toContain('Return JSON only');
+
+    const plain = buildTitlesPrompt({ page: { url: '/about' } });
+    expect(plain).toMatch(/^Write a title/);
+    expect(plain).not.toContain('Product:');
+  });
+
   test('honors title_max_chars and meta_max_chars overrides in the directive line', () => {
     const prompt = buildTitlesPrompt({
       page: { url: '/x' },
@@ -69,4 +95,16 @@ describe('Titles prompt builder', () => {
     const excerptLine = prompt.split('- Content excerpt:')[1] || '';
     expect(excerptLine.length).toBeLessThan(longText.length);
   });
+
+  test('adds the site glossary when one is configured', () => {
+    const prompt = buildTitlesPrompt({
+      page: { url: '/x' },
+      options: {},
+      glossary: { terms: [{ term: 'woo', preferred: 'WooCommerce' }], required_keywords: [], banned_terms: ['Shopify'] }
+    });
+
+    expect(prompt).toContain('Brand glossary (follow exactly):');
+    expect(prompt).toContain('- Write "WooCommerce" instead of "woo"');
+    expect(prompt).toContain('- Never mention: "Shopify"');
+  });
 });
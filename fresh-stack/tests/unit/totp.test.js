@@ -0,0 +1,61 @@
+const {
+  base32Decode,
+  base32Encode,
+  buildOtpauthUrl,
+  generateTotp,
+  generateTotpSecret,
+  verifyTotp
+} = require('../../lib/totp');
+
+// RFC 6238 appendix B, SHA-1 seed.
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  test('matches the RFC 6238 SHA-1 test vectors', () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037']
+    ];
+    for (const [seconds, expected] of vectors) {
+      expect(generateTotp(RFC_SECRET, { now: seconds * 1000, digits: 8 })).toBe(expected);
+    }
+    expect(generateTotp(RFC_SECRET, { now: 59 * 1000 })).toBe('287082');
+  });
+
+  test('round-trips base32 and ignores spacing and case', () => {
+    const secret = generateTotpSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Encode(base32Decode(secret))).toBe(secret);
+    expect(base32Decode(`${secret.slice(0, 4).toLowerCase()} ${secret.slice(4)}`)).toEqual(base32Decode(secret));
+    expect(() => base32Decode('not base32!')).toThrow('Invalid base32 character');
+  });
+
+  test('accepts codes one step either side and returns the matching step', () => {
+    const now = 1_750_000_000_000;
+    const step = Math.floor(now / 1000 / 30);
+    const previous = generateTotp(RFC_SECRET, { step: step - 1 });
+
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, { now }), { now })).toBe(step);
+    expect(verifyTotp(RFC_SECRET, previous, { now })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, previous, { now, window: 0 })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, { step: step + 2 }), { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abc123', { now })).toBeNull();
+  });
+
+  test('builds an otpauth URL authenticator apps can scan', () => {
+    const url = new URL(buildOtpauthUrl({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'owner@example.com', issuer: 'OpttiAI' }));
+    expect(url.protocol).toBe('otpauth:');
+    expect(url.host).toBe('totp');
+    expect(decodeURIComponent(url.pathname)).toBe('/OpttiAI:owner@example.com');
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      secret: 'JBSWY3DPEHPK3PXP',
+      issuer: 'OpttiAI',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
@@ -0,0 +1,286 @@
+const http = require('http');
+const { generateAltText } = require('../../lib/openai');
+const { resolveVisionProviderName } = require('../../lib/visionProviders');
+const { createCircuitBreaker } = require('../../lib/circuitBreaker');
+
+const PROVIDER_ENV_KEYS = [
+  'ALT_TEXT_PROVIDER',
+  'ALT_TEXT_PROVIDER_TRIAL',
+  'ALT_TEXT_PROVIDER_FREE',
+  'OPENAI_API_KEY',
+  'ALTTEXT_OPENAI_API_KEY',
+  'OPENAI_BASE_URL',
+  'ANTHROPIC_API_KEY',
+  'ANTHROPIC_BASE_URL',
+  'GEMINI_API_KEY',
+  'GEMINI_BASE_URL',
+  'LOCAL_VISION_BASE_URL',
+  'LOCAL_VISION_MODEL',
+  'ALT_TEXT_FAILOVER_PROVIDER',
+  'ALT_TEXT_FAILOVER_MODEL'
+];
+
+/**
+ * Minimal stand-in for every vendor API: records each request and replies
+ * with whatever the current test queued for that path.
+ */
+function startStubServer() {
+  const requests = [];
+  const replies = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(raw || '{}') });
+      const reply = replies.shift() || { status: 500, body: { error: { message: 'no stub reply queued' } } };
+      res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply.body));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}`,
+        requests,
+        reply: (status, body) => replies.push({ status, body }),
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+  });
+}
+
+describe('vision provider layer', () => {
+  let stub;
+  const savedEnv = {};
+
+  beforeAll(async () => {
+    stub = await startStubServer();
+  });
+
+  afterAll(async () => {
+    await stub.close();
+  });
+
+  beforeEach(() => {
+    for (const key of PROVIDER_ENV_KEYS) {
+      savedEnv[key] = process.env[key];
+      delete process.env[key];
+    }
+    stub.requests.length = 0;
+  });
+
+  afterEach(() => {
+    for (const key of PROVIDER_ENV_KEYS) {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    }
+  });
+
+  test('resolves provider per plan, then environment, then openai', () => {
+    expect(resolveVisionProviderName()).toBe('openai');
+
+    process.env.ALT_TEXT_PROVIDER = 'anthropic';
+    process.env.ALT_TEXT_PROVIDER_TRIAL = 'local';
+    expect(resolveVisionProviderName({ plan: 'trial' })).toBe('local');
+    expect(resolveVisionProviderName({ plan: 'pro' })).toBe('anthropic');
+    expect(resolveVisionProviderName({ plan: 'trial', provider: 'gemini' })).toBe('gemini');
+
+    process.env.ALT_TEXT_PROVIDER = 'not-a-vendor';
+    expect(resolveVisionProviderName({ plan: 'pro' })).toBe('openai');
+  });
+
+  test('local OpenAI-compatible endpoint needs no API key', async () => {
+    process.env.ALT_TEXT_PROVIDER_FREE = 'local';
+    process.env.LOCAL_VISION_BASE_URL = `${stub.baseUrl}/v1`;
+    process.env.LOCAL_VISION_MODEL = 'llava:7b';
+    stub.reply(200, {
+      choices: [{ message: { content: ' Red bicycle leaning on a brick wall ' } }],
+      usage: { prompt_tokens: 10, completion_tokens: 7, total_tokens: 17 }
+    });
+
+    const result = await generateAltText({
+      image: { base64: 'aGVsbG8=', mime_type: 'image/png' },
+      context: { title: 'Bike' },
+      plan: 'free'
+    });
+
+    expect(result).toEqual({
+      altText: 'Red bicycle leaning on a brick wall',
+      usage: { prompt_tokens: 10, completion_tokens: 7, total_tokens: 17 },
+      meta: { usedFallback: false, modelUsed: 'llava:7b', provider: 'local', language: 'en', failover: false }
+    });
+    expect(stub.requests[0].url).toBe('/v1/chat/completions');
+    expect(stub.requests[0].headers.authorization).toBeUndefined();
+    expect(stub.requests[0].body.messages[1].content[1].image_url.url).toBe('data:image/png;base64,aGVsbG8=');
+  });
+
+  test('anthropic adapter sends base64 image blocks and normalizes token usage', async () => {
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-test';
+    process.env.ANTHROPIC_BASE_URL = `${stub.baseUrl}/v1`;
+    stub.reply(200, {
+      content: [{ type: 'text', text: 'Golden retriever catching a frisbee in a park' }],
+      usage: { input_tokens: 40, output_tokens: 9 }
+    });
+
+    const result = await generateAltText({
+      image: { base64: 'aGVsbG8=', mime_type: 'image/jpeg' },
+      context: {},
+      provider: 'anthropic'
+    });
+
+    const sent = stub.requests[0];
+    expect(sent.url).toBe('/v1/messages');
+    expect(sent.headers['x-api-key']).toBe('sk-ant-test');
+    expect(sent.body.system).toEqual(expect.any(String));
+    expect(sent.body.messages[0].content[0]).toEqual({
+      type: 'image',
+      source: { type: 'base64', media_type: 'image/jpeg', data: 'aGVsbG8=' }
+    });
+    expect(result.altText).toBe('Golden retriever catching a frisbee in a park');
+    expect(result.usage).toEqual({ prompt_tokens: 40, completion_tokens: 9, total_tokens: 49 });
+    expect(result.meta.provider).toBe('anthropic');
+  });
+
+  test('gemini adapter falls back to its secondary model when the model is missing', async () => {
+    process.env.GEMINI_API_KEY = 'gemini-test';
+    process.env.GEMINI_BASE_URL = stub.baseUrl;
+    stub.reply(404, { error: { code: 404, message: 'models/gemini-1.5-flash is not found for API version v1beta', status: 'NOT_FOUND' } });
+    stub.reply(200, {
+      candidates: [{ content: { parts: [{ text: 'Bar chart comparing quarterly revenue' }] } }],
+      usageMetadata: { promptTokenCount: 30, candidatesTokenCount: 6, totalTokenCount: 36 }
+    });
+
+    const result = await generateAltText({
+      image: { base64: 'aGVsbG8=', mime_type: 'image/webp' },
+      context: {},
+      provider: 'gemini'
+    });
+
+    expect(stub.requests.map((r) => r.url)).toEqual([
+      '/models/gemini-1.5-flash:generateContent',
+      '/models/gemini-1.5-flash-8b:generateContent'
+    ]);
+    expect(stub.requests[0].headers['x-goog-api-key']).toBe('gemini-test');
+    expect(stub.requests[0].body.contents[0].parts[1]).toEqual({
+      inline_data: { mime_type: 'image/webp', data: 'aGVsbG8=' }
+    });
+    expect(result).toMatchObject({
+      altText: 'Bar chart comparing quarterly revenue',
+      usage: { prompt_tokens: 30, completion_tokens: 6, total_tokens: 36 },
+      meta: { usedFallback: true, modelUsed: 'gemini-1.5-flash-8b', provider: 'gemini' }
+    });
+  });
+
+  test('multi-language requests return every translation from one call', async () => {
+    process.env.OPENAI_API_KEY = 'sk-test';
+    process.env.OPENAI_BASE_URL = stub.baseUrl;
+    stub.reply(200, {
+      choices: [{ message: { content: '```json\n{"DE": "Rotes Fahrrad an einer Backsteinmauer", "fr": "Vélo rouge contre un mur de briques"}\n```' } }]
+    });
+
+    const result = await generateAltText({
+      image: { base64: 'aGVsbG8=', mime_type: 'image/png' },
+      context: { language: 'de', languages: ['de', 'fr', 'ja'] }
+    });
+
+    expect(stub.requests).toHaveLength(1);
+    expect(stub.requests[0].body.max_tokens).toBe(225);
+    expect(result.altText).toBe('Rotes Fahrrad an einer Backsteinmauer');
+    expect(result.translations).toEqual({
+      de: 'Rotes Fahrrad an einer Backsteinmauer',
+      fr: 'Vélo rouge contre un mur de briques'
+    });
+    expect(result.meta.language).toBe('de');
+  });
+
+  test('URL-only images skip providers that cannot fetch remote images', async () => {
+    process.env.ALT_TEXT_PROVIDER = 'gemini';
+    process.env.OPENAI_API_KEY = 'sk-test';
+    process.env.OPENAI_BASE_URL = stub.baseUrl;
+    stub.reply(200, { choices: [{ message: { content: 'Mountain lake at dawn' } }] });
+
+    const result = await generateAltText({ image: { url: 'https://example.com/lake.jpg' }, context: {} });
+
+    expect(stub.requests[0].url).toBe('/chat/completions');
+    expect(result.meta.provider).toBe('openai');
+  });
+
+  test('provider failures are classified into the shared taxonomy', async () => {
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-test';
+    process.env.ANTHROPIC_BASE_URL = stub.baseUrl;
+    stub.reply(429, { type: 'error', error: { type: 'rate_limit_error', message: 'Number of requests has exceeded your rate limit' } });
+
+    await expect(generateAltText({
+      image: { base64: 'aGVsbG8=' },
+      context: {},
+      provider: 'anthropic'
+    })).rejects.toMatchObject({
+      code: 'UPSTREAM_RATE_LIMITED',
+      errorCode: 'provider_rate_limited',
+      httpStatusForClient: 503,
+      isRetryable: true,
+      provider: 'anthropic'
+    });
+    expect(stub.requests).toHaveLength(1);
+  });
+
+  test('missing provider credentials fail before any request is made', async () => {
+    await expect(generateAltText({
+      image: { base64: 'aGVsbG8=' },
+      context: {},
+      provider: 'gemini'
+    })).rejects.toMatchObject({
+      code: 'BACKEND_CONFIG_ERROR',
+      errorCode: 'provider_auth_error',
+      message: expect.stringContaining('GEMINI_API_KEY')
+    });
+
+    process.env.ALT_TEXT_PROVIDER = 'local';
+    await expect(generateAltText({ image: { base64: 'aGVsbG8=' }, context: {} })).rejects.toMatchObject({
+      code: 'BACKEND_CONFIG_ERROR',
+      errorCode: 'provider_auth_error',
+      isRetryable: false
+    });
+    expect(stub.requests).toHaveLength(0);
+  });
+
+  test('routes to the failover provider while the primary circuit is open', async () => {
+    process.env.OPENAI_API_KEY = 'sk-test';
+    process.env.OPENAI_BASE_URL = stub.baseUrl;
+    process.env.ALT_TEXT_FAILOVER_PROVIDER = 'local';
+    process.env.LOCAL_VISION_BASE_URL = `${stub.baseUrl}/local`;
+    const breaker = createCircuitBreaker({ failureThreshold: 2, failureRate: 0.5 });
+    const image = { base64: 'aGVsbG8=', mime_type: 'image/png' };
+
+    stub.reply(503, { error: { message: 'The server is overloaded' } });
+    stub.reply(503, { error: { message: 'The server is overloaded' } });
+    await expect(generateAltText({ image, context: {}, breaker })).rejects.toMatchObject({ errorCode: 'provider_server_error' });
+    await expect(generateAltText({ image, context: {}, breaker })).rejects.toMatchObject({ errorCode: 'provider_server_error' });
+
+    stub.reply(200, { choices: [{ message: { content: 'Lighthouse on a rocky coast' } }] });
+    const result = await generateAltText({ image, context: {}, breaker });
+
+    expect(stub.requests.map((r) => r.url)).toEqual(['/chat/completions', '/chat/completions', '/local/chat/completions']);
+    expect(result.meta).toMatchObject({ provider: 'local', failover: true });
+    expect((await breaker.getTargetState('openai:gpt-4o')).state).toBe('open');
+  });
+
+  test('fails fast without calling any provider when every target is open', async () => {
+    process.env.OPENAI_API_KEY = 'sk-test';
+    process.env.OPENAI_BASE_URL = stub.baseUrl;
+    const breaker = createCircuitBreaker({ failureThreshold: 1 });
+    await breaker.recordFailure('openai:gpt-4o', { errorCode: 'provider_timeout' });
+    await breaker.recordFailure('openai:gpt-4o-mini', { errorCode: 'provider_timeout' });
+
+    await expect(generateAltText({ image: { base64: 'aGVsbG8=' }, context: {}, breaker })).rejects.toMatchObject({
+      code: 'UPSTREAM_GENERATION_ERROR',
+      errorCode: 'provider_server_error',
+      httpStatusForClient: 503,
+      isRetryable: true,
+      circuitOpen: true
+    });
+    expect(stub.requests).toHaveLength(0);
+  });
+});